@@ -0,0 +1,366 @@
+/**
+ * Accounts Module
+ *
+ * Registry of trading accounts (.claude/accounts.json) so positions, sizing,
+ * Greeks and circuit breakers can be scoped to the account that holds them:
+ * - Each account has a type (cash, margin, ira), a size and a risk config
+ *   that position sizing uses instead of the global defaults
+ * - Optional strategy sleeves split an account's capital (allocation_pct or
+ *   a fixed capital) and can tighten its risk config further
+ * - Positions carry `account` and optional `sleeve`; positions without an
+ *   account belong to the default account
+ *
+ * A scope key names an account or one of its sleeves ("IRA", "IRA/wheel");
+ * breaker state and profiles are keyed by it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { calculatePositionSize, validateRiskParameters } from './position-sizing.js';
+
+const ACCOUNTS_DIR = '.claude';
+
+export const DEFAULT_ACCOUNT = 'default';
+export const ACCOUNT_TYPES = ['cash', 'margin', 'ira'];
+export const RISK_CONFIG_KEYS = ['max_risk_pct', 'min_reward_ratio', 'min_prob_profit', 'max_concentration'];
+
+// Bucket for an account's positions without a sleeve
+const UNASSIGNED_SLEEVE = 'unassigned';
+
+function accountsFile(options = {}) {
+  return path.join(options.dir || ACCOUNTS_DIR, 'accounts.json');
+}
+
+/**
+ * Load the account registry
+ * @param {object} options - { dir }
+ * @returns {object} { accounts: { NAME: account } }
+ */
+export function loadAccounts(options = {}) {
+  const file = accountsFile(options);
+  try {
+    if (!fs.existsSync(file)) {
+      return { accounts: {} };
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { accounts: data.accounts || {} };
+  } catch (error) {
+    console.error('Error loading accounts:', error.message);
+    return { accounts: {} };
+  }
+}
+
+function saveAccounts(registry, options = {}) {
+  const file = accountsFile(options);
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2));
+}
+
+/**
+ * Get one account from the registry
+ * @param {string} name - Account name
+ * @param {object} options - { dir }
+ * @returns {object|null} Account
+ */
+export function getAccount(name, options = {}) {
+  return loadAccounts(options).accounts[name] || null;
+}
+
+function validateRiskConfig(riskConfig = {}, label) {
+  Object.entries(riskConfig).forEach(([key, value]) => {
+    if (!RISK_CONFIG_KEYS.includes(key)) {
+      throw new Error(`Unknown risk setting for ${label}: ${key}`);
+    }
+    if (!(typeof value === 'number' && value > 0)) {
+      throw new Error(`${key} for ${label} must be a positive number`);
+    }
+  });
+}
+
+/**
+ * Create or update an account
+ * @param {object} account - { name, type (cash/margin/ira), account_size, risk_config, sleeves: { NAME: { allocation_pct | capital, risk_config, description } }, description }
+ * @param {object} settings - { replace: overwrite instead of merging, remove_sleeves: sleeve names to drop }
+ * @param {object} options - { dir }
+ * @returns {object} Saved account
+ */
+export function saveAccount(account = {}, settings = {}, options = {}) {
+  const { name } = account;
+  if (!name || /[/\s]/.test(name)) {
+    throw new Error('Account name is required and may not contain "/" or spaces');
+  }
+
+  const registry = loadAccounts(options);
+  const existing = settings.replace ? null : registry.accounts[name];
+  const merged = {
+    name,
+    type: account.type ?? existing?.type ?? 'margin',
+    account_size: account.account_size ?? existing?.account_size,
+    description: account.description ?? existing?.description,
+    risk_config: { ...existing?.risk_config, ...account.risk_config },
+    sleeves: { ...existing?.sleeves },
+    created_at: existing?.created_at || new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+  Object.entries(account.sleeves || {}).forEach(([sleeve, config]) => {
+    merged.sleeves[sleeve] = { ...merged.sleeves[sleeve], ...config };
+  });
+  (settings.remove_sleeves || []).forEach(sleeve => { delete merged.sleeves[sleeve]; });
+
+  if (!ACCOUNT_TYPES.includes(merged.type)) {
+    throw new Error(`Account type must be one of ${ACCOUNT_TYPES.join(', ')}`);
+  }
+  if (!(merged.account_size > 0)) {
+    throw new Error(`Account ${name} needs a positive account_size`);
+  }
+  validateRiskConfig(merged.risk_config, name);
+
+  let allocated = 0;
+  Object.entries(merged.sleeves).forEach(([sleeve, config]) => {
+    if (!sleeve || /[/\s]/.test(sleeve)) {
+      throw new Error(`Sleeve name "${sleeve}" may not contain "/" or spaces`);
+    }
+    const hasPct = config.allocation_pct !== undefined;
+    const hasCapital = config.capital !== undefined;
+    if (hasPct === hasCapital) {
+      throw new Error(`Sleeve ${sleeve} needs either allocation_pct or capital`);
+    }
+    if (hasPct && !(config.allocation_pct > 0 && config.allocation_pct <= 1)) {
+      throw new Error(`Sleeve ${sleeve} allocation_pct must be between 0 and 1`);
+    }
+    if (hasCapital && !(config.capital > 0)) {
+      throw new Error(`Sleeve ${sleeve} capital must be positive`);
+    }
+    validateRiskConfig(config.risk_config, `${name}/${sleeve}`);
+    allocated += hasPct ? config.allocation_pct * merged.account_size : config.capital;
+  });
+  if (allocated > merged.account_size + 0.005) {
+    throw new Error(`Sleeves allocate $${allocated.toFixed(2)} of a $${merged.account_size} account`);
+  }
+
+  registry.accounts[name] = merged;
+  saveAccounts(registry, options);
+  return merged;
+}
+
+/**
+ * Remove an account from the registry (its positions keep their account field)
+ * @param {string} name - Account name
+ * @param {object} options - { dir }
+ * @returns {boolean} Whether the account existed
+ */
+export function removeAccount(name, options = {}) {
+  const registry = loadAccounts(options);
+  if (!registry.accounts[name]) return false;
+  delete registry.accounts[name];
+  saveAccounts(registry, options);
+  return true;
+}
+
+/**
+ * Scope key for an account and optional sleeve
+ * @param {string} account - Account name (default account when missing)
+ * @param {string} sleeve - Optional sleeve
+ * @returns {string} "ACCOUNT" or "ACCOUNT/SLEEVE"
+ */
+export function scopeKey(account, sleeve = null) {
+  return sleeve ? `${account || DEFAULT_ACCOUNT}/${sleeve}` : (account || DEFAULT_ACCOUNT);
+}
+
+/**
+ * Capital of a registered account or one of its sleeves
+ * @param {string} account - Account name
+ * @param {string} sleeve - Optional sleeve
+ * @param {object} options - { dir }
+ * @returns {number|null} Capital, or null when the account or sleeve is not registered
+ */
+export function scopeCapital(account, sleeve = null, options = {}) {
+  const registered = getAccount(account || DEFAULT_ACCOUNT, options);
+  if (!registered) return null;
+  if (!sleeve) return registered.account_size;
+  const config = registered.sleeves?.[sleeve];
+  if (!config) return null;
+  return parseFloat((config.capital ?? config.allocation_pct * registered.account_size).toFixed(2));
+}
+
+/**
+ * Split a scope key into its account and sleeve
+ * @param {string} key - "ACCOUNT" or "ACCOUNT/SLEEVE"
+ * @returns {object} { account, sleeve }
+ */
+export function parseScopeKey(key) {
+  const [account, sleeve] = (key || DEFAULT_ACCOUNT).split('/');
+  return { account, sleeve: sleeve || null };
+}
+
+/**
+ * Account and sleeve a position belongs to
+ * @param {object} position - Tracked position
+ * @returns {object} { account, sleeve }
+ */
+export function positionScope(position) {
+  return { account: position.account || DEFAULT_ACCOUNT, sleeve: position.sleeve || null };
+}
+
+/**
+ * Positions in an account and, optionally, one of its sleeves
+ * @param {Array} positions - Positions
+ * @param {object} scope - { account, sleeve }; an empty scope keeps every position
+ * @returns {Array} Matching positions
+ */
+export function filterByScope(positions = [], scope = {}) {
+  return positions.filter(position => {
+    const { account, sleeve } = positionScope(position);
+    return (!scope.account || account === scope.account) && (!scope.sleeve || sleeve === scope.sleeve);
+  });
+}
+
+/**
+ * Group positions by account and sleeve
+ * @param {Array} positions - Positions
+ * @returns {object} { ACCOUNT: { positions, sleeves: { SLEEVE|unassigned: positions } } }
+ */
+export function groupByScope(positions = []) {
+  const groups = {};
+  positions.forEach(position => {
+    const { account, sleeve } = positionScope(position);
+    groups[account] = groups[account] || { positions: [], sleeves: {} };
+    groups[account].positions.push(position);
+    const bucket = sleeve || UNASSIGNED_SLEEVE;
+    groups[account].sleeves[bucket] = groups[account].sleeves[bucket] || [];
+    groups[account].sleeves[bucket].push(position);
+  });
+  return groups;
+}
+
+/**
+ * Capital and risk config for sizing within an account or sleeve.
+ * Registry values are the defaults; an explicit account_size or risk_config
+ * overrides them. Without a registered account, account_size is required.
+ * @param {object} scope - { account, sleeve, account_size, risk_config }
+ * @param {object} options - { dir }
+ * @returns {object} { account, sleeve, scope, account_size (capital to size against), account_capital, account_type, risk_config }
+ */
+export function resolveSizingScope(scope = {}, options = {}) {
+  const name = scope.account || DEFAULT_ACCOUNT;
+  const account = getAccount(name, options);
+
+  if (!account) {
+    if (scope.account && scope.account !== DEFAULT_ACCOUNT) {
+      throw new Error(`Unknown account: ${scope.account}`);
+    }
+    if (scope.sleeve) {
+      throw new Error(`Sleeve ${scope.sleeve} needs a registered account`);
+    }
+    if (!(scope.account_size > 0)) {
+      throw new Error('account_size is required when no account is registered');
+    }
+    return {
+      account: name,
+      sleeve: null,
+      scope: name,
+      account_size: scope.account_size,
+      account_capital: scope.account_size,
+      account_type: null,
+      risk_config: { ...scope.risk_config }
+    };
+  }
+
+  const accountCapital = scope.account_size || account.account_size;
+  let capital = accountCapital;
+  let riskConfig = { ...account.risk_config };
+  if (scope.sleeve) {
+    const sleeve = account.sleeves?.[scope.sleeve];
+    if (!sleeve) {
+      throw new Error(`Account ${name} has no sleeve ${scope.sleeve}`);
+    }
+    capital = sleeve.capital ?? sleeve.allocation_pct * accountCapital;
+    riskConfig = { ...riskConfig, ...sleeve.risk_config };
+  }
+
+  return {
+    account: name,
+    sleeve: scope.sleeve || null,
+    scope: scopeKey(name, scope.sleeve),
+    account_size: parseFloat(capital.toFixed(2)),
+    account_capital: accountCapital,
+    account_type: account.type,
+    risk_config: { ...riskConfig, ...scope.risk_config }
+  };
+}
+
+/**
+ * Size a strategy against an account's or sleeve's capital and risk config
+ * @param {object} strategy - Strategy with max_loss, max_profit, risk_reward_ratio, probability_profit
+ * @param {object} scope - { account, sleeve, account_size, risk_config } (see resolveSizingScope)
+ * @param {object} options - { dir, include_costs (default true) }
+ * @returns {object} calculatePositionSize result with the scope it was sized in
+ */
+export function sizePositionForScope(strategy, scope = {}, options = {}) {
+  const resolved = resolveSizingScope(scope, options);
+  const riskConfig = validateRiskParameters(resolved.risk_config);
+  return {
+    ...calculatePositionSize(strategy, resolved.account_size, riskConfig, options.include_costs ?? true),
+    account: resolved.account,
+    sleeve: resolved.sleeve,
+    sized_against: resolved.account_size
+  };
+}
+
+/**
+ * Registry accounts with their sleeves' capital and open position counts
+ * @param {Array} positions - Open positions
+ * @param {object} options - { dir }
+ * @returns {Array} Account summaries, including unregistered accounts that hold positions
+ */
+export function summarizeAccounts(positions = [], options = {}) {
+  const { accounts } = loadAccounts(options);
+  const groups = groupByScope(positions);
+  const names = [...new Set([...Object.keys(accounts), ...Object.keys(groups)])];
+
+  return names.map(name => {
+    const account = accounts[name];
+    const group = groups[name] || { positions: [], sleeves: {} };
+    const sleeveNames = [...new Set([...Object.keys(account?.sleeves || {}), ...Object.keys(group.sleeves)])];
+    return {
+      name,
+      registered: Boolean(account),
+      type: account?.type || null,
+      account_size: account?.account_size || null,
+      risk_config: account?.risk_config || {},
+      open_positions: group.positions.length,
+      sleeves: sleeveNames.map(sleeve => {
+        const config = account?.sleeves?.[sleeve];
+        return {
+          name: sleeve,
+          capital: config ? scopeCapital(name, sleeve, options) : null,
+          allocation_pct: config?.allocation_pct ?? null,
+          risk_config: config?.risk_config || {},
+          open_positions: (group.sleeves[sleeve] || []).length
+        };
+      })
+    };
+  });
+}
+
+export default {
+  DEFAULT_ACCOUNT,
+  ACCOUNT_TYPES,
+  RISK_CONFIG_KEYS,
+  loadAccounts,
+  getAccount,
+  saveAccount,
+  removeAccount,
+  scopeKey,
+  scopeCapital,
+  parseScopeKey,
+  positionScope,
+  filterByScope,
+  groupByScope,
+  resolveSizingScope,
+  sizePositionForScope,
+  summarizeAccounts
+};
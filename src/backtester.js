@@ -0,0 +1,653 @@
+/**
+ * Options Strategy Backtester
+ *
+ * Replays daily underlying bars and trades a rule-based options strategy:
+ * - Scheduled entries at a target DTE using the strategy-builder generators,
+ *   choosing the candidate whose short legs sit closest to a delta target
+ * - Legs priced with the option-pricing model from trailing realized volatility,
+ *   or from historical option aggregates when a price provider is supplied
+ * - Exits from generateExitSignals (profit target, stop loss, time stop) and
+ *   settlement at expiration
+ * - Commissions, fees, slippage and market impact from transaction-costs.js
+ * - Equity curve, win rate, drawdown, Sharpe ratio and per-trade logs
+ */
+
+import fs from 'fs';
+import {
+  DEFAULT_RISK_FREE_RATE,
+  calculateGreeks,
+  priceOption,
+  yearsToExpiration
+} from './option-pricing.js';
+import {
+  buildCustomStrategy,
+  generateStrategies,
+  MULTI_EXPIRATION_TYPES,
+  STRATEGY_TYPES
+} from './strategy-builder.js';
+import { generateExitSignals } from './position-tracker.js';
+import { COST_CONFIG, calculateEntryCost, calculateExitCost } from './transaction-costs.js';
+
+const TRADING_DAYS_PER_YEAR = 252;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const EXIT_SIGNAL_TYPES = ['STOP_LOSS', 'PROFIT_TARGET', 'TIME_STOP'];
+
+/**
+ * Default trading rules
+ * Profit target and stop loss are percentages of the entry premium, the same
+ * convention calculatePositionPnL uses for tracked positions.
+ */
+export const DEFAULT_BACKTEST_RULES = {
+  structure: 'iron_condor', // Any STRATEGY_TYPES entry, or 'custom' with legs
+  legs: null, // Custom template: [{ action, type, delta | strike_offset_pct, quantity, back_month }]
+  entry_dte: 45,
+  back_dte_offset: 28, // Extra days for the back month of calendars/diagonals
+  delta_target: null, // |delta| of the short legs (long legs for debit-only structures)
+  entry_every_n_days: 5, // Trading days between entries
+  max_open_positions: 1,
+  contracts: 1,
+  profit_target_pct: 50,
+  stop_loss_pct: 100,
+  time_stop_dte: 21
+};
+
+/**
+ * Load daily bars from a local JSON file
+ * Accepts an array of bars or an object with a `results` array (API response shape)
+ * @param {string} filePath - Path to the JSON file
+ * @returns {Array} Raw bars
+ */
+export function loadBarsFile(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const bars = Array.isArray(parsed) ? parsed : parsed.results || parsed.bars;
+    if (!Array.isArray(bars)) {
+      throw new Error('expected an array of bars or an object with a results array');
+    }
+    return bars;
+  } catch (error) {
+    throw new Error(`Failed to load bars file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize bars to sorted { date, close } records
+ * @param {Array} bars - API bars ({ t, c }) or dataset rows ({ date, close })
+ * @returns {Array} [{ date: 'YYYY-MM-DD', close }]
+ */
+export function normalizeBars(bars = []) {
+  const byDate = new Map();
+
+  bars.forEach(bar => {
+    const close = bar.c ?? bar.close;
+    const date = bar.date
+      ? String(bar.date).slice(0, 10)
+      : Number.isFinite(bar.t) ? new Date(bar.t).toISOString().split('T')[0] : null;
+    if (date && close > 0) byDate.set(date, { date, close });
+  });
+
+  return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Annualized close-to-close realized volatility
+ * @param {Array} closes - Closing prices
+ * @param {number} endIndex - Index of the last close to include
+ * @param {number} lookback - Number of returns
+ * @returns {number|null} Annualized volatility, or null without enough history
+ */
+export function realizedVolatility(closes, endIndex, lookback = 20) {
+  if (endIndex < lookback) return null;
+
+  const returns = [];
+  for (let i = endIndex - lookback + 1; i <= endIndex; i++) {
+    returns.push(Math.log(closes[i] / closes[i - 1]));
+  }
+  const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (returns.length - 1);
+  return Math.sqrt(variance * TRADING_DAYS_PER_YEAR);
+}
+
+/**
+ * Run a backtest over daily bars
+ * @param {Array} bars - Daily underlying bars (see normalizeBars)
+ * @param {Object} rules - Trading rules (see DEFAULT_BACKTEST_RULES)
+ * @param {Object} config - { symbol, start_date, end_date, starting_capital, rate, volatility_lookback,
+ *   implied_volatility, iv_premium, min_volatility, style, strike_increment, bid_ask_spread_pct,
+ *   cost_config, option_price_provider: async (leg, date) => price|null, include_equity_curve }
+ * @returns {Promise<Object>} Summary statistics, equity curve and trade log
+ */
+export async function runBacktest(bars, rules = {}, config = {}) {
+  const settings = { ...DEFAULT_BACKTEST_RULES, ...rules };
+  const {
+    symbol = null,
+    start_date = null,
+    end_date = null,
+    starting_capital = 10000,
+    rate = DEFAULT_RISK_FREE_RATE,
+    volatility_lookback = 20,
+    implied_volatility = null,
+    iv_premium = 1,
+    min_volatility = 0.05,
+    style = 'european',
+    strike_increment = null,
+    bid_ask_spread_pct = 0.05,
+    cost_config = {},
+    option_price_provider = null,
+    include_equity_curve = true
+  } = config;
+
+  if (settings.structure === 'custom') {
+    if (!Array.isArray(settings.legs) || settings.legs.length === 0) {
+      throw new Error('Custom structure requires a legs template');
+    }
+  } else if (!STRATEGY_TYPES.includes(settings.structure)) {
+    throw new Error(`Unknown structure "${settings.structure}". Use one of: ${STRATEGY_TYPES.join(', ')}, custom`);
+  }
+
+  const series = normalizeBars(bars).filter(bar => !end_date || bar.date <= end_date);
+  if (series.length < volatility_lookback + 2) {
+    throw new Error(`Need at least ${volatility_lookback + 2} daily bars, got ${series.length}`);
+  }
+
+  const closes = series.map(bar => bar.close);
+  const costs = { ...COST_CONFIG, ...cost_config };
+  const pricing = {
+    rate,
+    style,
+    strike_increment,
+    bid_ask_spread_pct,
+    costs,
+    provider: option_price_provider,
+    market_marks: 0,
+    model_marks: 0
+  };
+
+  const volatilityAt = (index) => {
+    if (implied_volatility) return implied_volatility;
+    const realized = realizedVolatility(closes, index, volatility_lookback) ?? min_volatility;
+    return Math.max(min_volatility, realized * iv_premium);
+  };
+
+  // Bars before the start date (or the volatility lookback) only warm up the estimate
+  const startIndex = start_date ? series.findIndex(bar => bar.date >= start_date) : 0;
+  if (startIndex < 0) {
+    throw new Error(`No bars on or after ${start_date}`);
+  }
+  const firstIndex = Math.max(volatility_lookback, startIndex);
+  if (firstIndex >= series.length - 1) {
+    throw new Error(`Not enough bars after the ${volatility_lookback}-day volatility warm-up`);
+  }
+
+  const openTrades = [];
+  const closedTrades = [];
+  const equityCurve = [];
+  const skippedEntries = [];
+  let realizedPnL = 0;
+  let lastEntryIndex = -Infinity;
+  let tradeCounter = 0;
+
+  for (let i = firstIndex; i < series.length; i++) {
+    const { date, close: spot } = series[i];
+    const asOf = new Date(`${date}T20:00:00Z`);
+    const volatility = volatilityAt(i);
+    const isLastBar = i === series.length - 1;
+
+    // Manage open positions
+    for (const trade of [...openTrades]) {
+      const marks = await markLegs(trade, date, asOf, spot, volatility, pricing);
+      const currentValue = marks.reduce((sum, mark) => sum + mark.signed_value, 0);
+      const pnlPerShare = currentValue - trade.entry_value;
+      const profitPct = trade.entry_value !== 0 ? (pnlPerShare / Math.abs(trade.entry_value)) * 100 : 0;
+      trade.unrealized_pnl = pnlPerShare * trade.contracts * 100;
+
+      let exitReason = null;
+      if (date >= trade.expiration) {
+        exitReason = 'EXPIRATION';
+      } else {
+        const exitSignals = generateExitSignals(
+          { expiration: trade.expiration },
+          { profit_pct: profitPct },
+          {
+            profit_target_pct: settings.profit_target_pct,
+            stop_loss_pct: settings.stop_loss_pct,
+            time_stop_dte: settings.time_stop_dte,
+            as_of: asOf
+          }
+        );
+        const triggered = exitSignals.signals.find(signal => EXIT_SIGNAL_TYPES.includes(signal.type));
+        if (triggered) exitReason = triggered.type;
+        else if (isLastBar) exitReason = 'END_OF_DATA';
+      }
+
+      if (exitReason) {
+        const closed = closeTrade(trade, marks, date, spot, exitReason, pricing);
+        realizedPnL += closed.gross_pnl - closed.exit_costs;
+        openTrades.splice(openTrades.indexOf(trade), 1);
+        closedTrades.push(closed);
+      }
+    }
+
+    // Scheduled entries
+    const entryDue = i - lastEntryIndex >= settings.entry_every_n_days &&
+      openTrades.length < settings.max_open_positions &&
+      !isLastBar;
+    if (entryDue) {
+      lastEntryIndex = i;
+      const opened = await openTrade(settings, date, asOf, spot, volatility, pricing);
+      if (opened.trade) {
+        opened.trade.id = ++tradeCounter;
+        realizedPnL -= opened.trade.entry_costs;
+        opened.trade.unrealized_pnl = 0;
+        openTrades.push(opened.trade);
+      } else {
+        skippedEntries.push({ date, reason: opened.reason });
+      }
+    }
+
+    const unrealized = openTrades.reduce((sum, trade) => sum + trade.unrealized_pnl, 0);
+    equityCurve.push({
+      date,
+      underlying_price: spot,
+      equity: parseFloat((starting_capital + realizedPnL + unrealized).toFixed(2)),
+      open_positions: openTrades.length
+    });
+  }
+
+  const summary = summarizeBacktest(closedTrades, equityCurve, starting_capital);
+
+  return {
+    symbol,
+    period: {
+      start: series[firstIndex].date,
+      end: series[series.length - 1].date,
+      trading_days: series.length - firstIndex
+    },
+    rules: settings,
+    summary,
+    trades: closedTrades,
+    skipped_entries: skippedEntries.slice(0, 20),
+    skipped_entry_count: skippedEntries.length,
+    equity_curve: include_equity_curve ? equityCurve : undefined,
+    pricing: {
+      model: style === 'american' ? 'bjerksund_stensland' : 'black_scholes',
+      volatility_source: implied_volatility ? 'fixed' : 'realized',
+      volatility_lookback,
+      iv_premium,
+      market_marks: pricing.market_marks,
+      model_marks: pricing.model_marks
+    },
+    assumptions: [
+      'Option prices are model values unless a historical option price was available',
+      'Entries use a synthetic chain priced at the entry-day volatility; listed strikes may differ',
+      'Expiring legs settle at intrinsic value without closing costs',
+      'Sharpe ratio uses daily equity returns and a zero risk-free rate'
+    ]
+  };
+}
+
+/**
+ * Summarize closed trades and the equity curve
+ * @param {Array} trades - Closed trades with net_pnl and days_held
+ * @param {Array} equityCurve - [{ equity }]
+ * @param {number} startingCapital - Initial equity
+ * @returns {Object} Performance statistics
+ */
+export function summarizeBacktest(trades, equityCurve, startingCapital) {
+  const wins = trades.filter(t => t.net_pnl > 0);
+  const losses = trades.filter(t => t.net_pnl <= 0);
+  const grossWins = wins.reduce((sum, t) => sum + t.net_pnl, 0);
+  const grossLosses = losses.reduce((sum, t) => sum + t.net_pnl, 0);
+  const netPnL = trades.reduce((sum, t) => sum + t.net_pnl, 0);
+  const totalCosts = trades.reduce((sum, t) => sum + t.entry_costs + t.exit_costs, 0);
+
+  // Drawdown from the running equity peak
+  let peak = startingCapital;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+  equityCurve.forEach(point => {
+    peak = Math.max(peak, point.equity);
+    maxDrawdown = Math.min(maxDrawdown, point.equity - peak);
+    maxDrawdownPct = Math.min(maxDrawdownPct, peak > 0 ? (point.equity - peak) / peak : 0);
+  });
+
+  const returns = [];
+  for (let i = 1; i < equityCurve.length; i++) {
+    const previous = equityCurve[i - 1].equity;
+    if (previous > 0) returns.push(equityCurve[i].equity / previous - 1);
+  }
+  const meanReturn = returns.length > 0 ? returns.reduce((sum, r) => sum + r, 0) / returns.length : 0;
+  const stdReturn = returns.length > 1
+    ? Math.sqrt(returns.reduce((sum, r) => sum + (r - meanReturn) ** 2, 0) / (returns.length - 1))
+    : 0;
+
+  const endingEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : startingCapital;
+  const years = equityCurve.length / TRADING_DAYS_PER_YEAR;
+  const totalReturn = endingEquity / startingCapital - 1;
+
+  const exitReasons = trades.reduce((acc, t) => {
+    acc[t.exit_reason] = (acc[t.exit_reason] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    starting_capital: startingCapital,
+    ending_equity: parseFloat(endingEquity.toFixed(2)),
+    net_pnl: parseFloat(netPnL.toFixed(2)),
+    total_return_pct: parseFloat((totalReturn * 100).toFixed(2)),
+    annualized_return_pct: years > 0 && endingEquity > 0
+      ? parseFloat(((Math.pow(endingEquity / startingCapital, 1 / years) - 1) * 100).toFixed(2))
+      : 0,
+    total_trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    win_rate: trades.length > 0 ? parseFloat((wins.length / trades.length).toFixed(3)) : 0,
+    avg_win: wins.length > 0 ? parseFloat((grossWins / wins.length).toFixed(2)) : 0,
+    avg_loss: losses.length > 0 ? parseFloat((grossLosses / losses.length).toFixed(2)) : 0,
+    largest_win: wins.length > 0 ? Math.max(...wins.map(t => t.net_pnl)) : 0,
+    largest_loss: losses.length > 0 ? Math.min(...losses.map(t => t.net_pnl)) : 0,
+    profit_factor: grossLosses < 0 ? parseFloat((grossWins / -grossLosses).toFixed(2)) : null,
+    expectancy: trades.length > 0 ? parseFloat((netPnL / trades.length).toFixed(2)) : 0,
+    avg_days_held: trades.length > 0
+      ? parseFloat((trades.reduce((sum, t) => sum + t.days_held, 0) / trades.length).toFixed(1))
+      : 0,
+    total_costs: parseFloat(totalCosts.toFixed(2)),
+    max_drawdown: parseFloat(maxDrawdown.toFixed(2)),
+    max_drawdown_pct: parseFloat((maxDrawdownPct * 100).toFixed(2)),
+    sharpe_ratio: stdReturn > 0
+      ? parseFloat((meanReturn / stdReturn * Math.sqrt(TRADING_DAYS_PER_YEAR)).toFixed(2))
+      : 0,
+    exit_reasons: exitReasons
+  };
+}
+
+// Open a position for the configured structure, or explain why none qualified
+async function openTrade(rules, date, asOf, spot, volatility, pricing) {
+  const expiration = nearestFriday(asOf, rules.entry_dte);
+  const chains = { [expiration]: buildSyntheticChain(spot, expiration, asOf, volatility, pricing) };
+  const needsBackMonth = rules.structure === 'custom'
+    ? rules.legs.some(leg => leg.back_month)
+    : MULTI_EXPIRATION_TYPES.includes(rules.structure);
+  const backExpiration = needsBackMonth ? nearestFriday(asOf, rules.entry_dte + rules.back_dte_offset) : null;
+  if (backExpiration) {
+    chains[backExpiration] = buildSyntheticChain(spot, backExpiration, asOf, volatility, pricing);
+  }
+
+  let strategy;
+  try {
+    strategy = rules.structure === 'custom'
+      ? buildFromTemplate(rules.legs, chains, expiration, backExpiration, spot, asOf, pricing)
+      : selectCandidate(generateStrategies(chains, spot, [rules.structure], { as_of: asOf }), rules.delta_target);
+  } catch (error) {
+    return { trade: null, reason: error.message };
+  }
+  if (!strategy) {
+    return { trade: null, reason: `No ${rules.structure} candidate qualified` };
+  }
+
+  const legs = [];
+  for (const leg of strategy.legs) {
+    const legExpiration = leg.expiration || strategy.expiration;
+    const marketPrice = await lookupPrice(pricing, { ...leg, expiration: legExpiration }, date);
+    legs.push({
+      action: leg.action,
+      type: leg.type,
+      strike: leg.strike,
+      expiration: legExpiration,
+      quantity: leg.quantity || 1,
+      entry_price: marketPrice ?? leg.price
+    });
+  }
+
+  const contracts = rules.contracts;
+  const entryValue = legs.reduce((sum, leg) => sum + signOf(leg.action) * leg.quantity * leg.entry_price, 0);
+  const entryCosts = legs.reduce((sum, leg) =>
+    sum + fillCost(leg.entry_price, leg.action, leg.quantity * contracts, pricing), 0);
+
+  return {
+    trade: {
+      strategy_name: strategy.strategy_name,
+      type: strategy.type,
+      entry_date: date,
+      entry_spot: spot,
+      entry_volatility: parseFloat(volatility.toFixed(4)),
+      expiration: legs.map(leg => leg.expiration).sort()[0],
+      legs,
+      contracts,
+      entry_value: entryValue,
+      max_profit: strategy.max_profit,
+      max_risk: strategy.max_risk,
+      probability_profit: strategy.probability_profit,
+      entry_costs: entryCosts
+    }
+  };
+}
+
+// Close a position at the day's marks and build its trade-log record
+function closeTrade(trade, marks, date, spot, exitReason, pricing) {
+  const exitValue = marks.reduce((sum, mark) => sum + mark.signed_value, 0);
+  const grossPnL = (exitValue - trade.entry_value) * trade.contracts * 100;
+
+  // Expiring legs settle; everything else pays to close
+  const exitCosts = marks.reduce((sum, mark, index) => {
+    const leg = trade.legs[index];
+    if (date >= leg.expiration) return sum;
+    const closingAction = leg.action === 'buy' ? 'sell' : 'buy';
+    return sum + fillCost(mark.price, closingAction, leg.quantity * trade.contracts, pricing);
+  }, 0);
+
+  const daysHeld = Math.round((new Date(date) - new Date(trade.entry_date)) / MS_PER_DAY);
+  const netPnL = grossPnL - trade.entry_costs - exitCosts;
+
+  return {
+    id: trade.id,
+    strategy_name: trade.strategy_name,
+    type: trade.type,
+    entry_date: trade.entry_date,
+    exit_date: date,
+    days_held: daysHeld,
+    expiration: trade.expiration,
+    entry_spot: parseFloat(trade.entry_spot.toFixed(2)),
+    exit_spot: parseFloat(spot.toFixed(2)),
+    entry_volatility: trade.entry_volatility,
+    contracts: trade.contracts,
+    legs: trade.legs.map((leg, index) => ({
+      ...leg,
+      exit_price: parseFloat(marks[index].price.toFixed(2))
+    })),
+    ...(trade.entry_value >= 0
+      ? { net_debit: parseFloat(trade.entry_value.toFixed(2)) }
+      : { net_credit: parseFloat((-trade.entry_value).toFixed(2)) }),
+    max_profit: trade.max_profit,
+    max_risk: trade.max_risk,
+    probability_profit: trade.probability_profit,
+    gross_pnl: parseFloat(grossPnL.toFixed(2)),
+    entry_costs: parseFloat(trade.entry_costs.toFixed(2)),
+    exit_costs: parseFloat(exitCosts.toFixed(2)),
+    net_pnl: parseFloat(netPnL.toFixed(2)),
+    return_on_risk_pct: trade.max_risk > 0
+      ? parseFloat((netPnL / (trade.max_risk * trade.contracts * 100) * 100).toFixed(2))
+      : null,
+    exit_reason: exitReason
+  };
+}
+
+// Price every leg of an open trade for the day
+async function markLegs(trade, date, asOf, spot, volatility, pricing) {
+  const marks = [];
+  for (const leg of trade.legs) {
+    const time = yearsToExpiration(leg.expiration, asOf);
+    let price = time > 0 ? await lookupPrice(pricing, leg, date) : null;
+    if (price === null) {
+      price = priceOption({
+        type: leg.type,
+        spot,
+        strike: leg.strike,
+        time,
+        volatility,
+        rate: pricing.rate,
+        style: pricing.style
+      });
+    }
+    marks.push({ price, signed_value: signOf(leg.action) * leg.quantity * price });
+  }
+  return marks;
+}
+
+// Historical option close from the provider, counting which source priced the mark
+async function lookupPrice(pricing, leg, date) {
+  if (pricing.provider) {
+    try {
+      const price = await pricing.provider(leg, date);
+      if (Number.isFinite(price) && price >= 0) {
+        pricing.market_marks++;
+        return price;
+      }
+    } catch (error) {
+      console.error(`Option price lookup failed for ${leg.type} ${leg.strike} ${leg.expiration}: ${error.message}`);
+    }
+  }
+  pricing.model_marks++;
+  return null;
+}
+
+// Slippage versus mid plus commissions, fees and impact for one fill
+function fillCost(price, action, contracts, pricing) {
+  const mid = parseFloat(price.toFixed(2)); // Options quote in cents
+  if (!(contracts > 0) || !(mid > 0)) return 0;
+
+  const halfSpread = (mid * pricing.bid_ask_spread_pct) / 2;
+  const bid = Math.max(0, mid - halfSpread);
+  const ask = mid + halfSpread;
+
+  if (action === 'buy') {
+    const fill = calculateEntryCost(mid, bid, ask, contracts, pricing.costs);
+    return (fill.entry_price - mid) * contracts * 100 + fill.commission + fill.regulatory_fees + fill.market_impact;
+  }
+  const fill = calculateExitCost(mid, bid, ask, contracts, pricing.costs);
+  return (mid - fill.exit_price) * contracts * 100 + fill.commission + fill.regulatory_fees + fill.market_impact;
+}
+
+// Model-priced chain around the money with deltas, in the snapshot contract shape
+function buildSyntheticChain(spot, expiration, asOf, volatility, pricing) {
+  const increment = pricing.strike_increment || strikeIncrementFor(spot);
+  const time = yearsToExpiration(expiration, asOf);
+  const lowest = Math.ceil((spot * 0.75) / increment) * increment;
+  const calls = [];
+  const puts = [];
+
+  for (let strike = lowest; strike <= spot * 1.25; strike += increment) {
+    const roundedStrike = parseFloat(strike.toFixed(2));
+    for (const type of ['call', 'put']) {
+      const greeks = calculateGreeks({
+        type,
+        spot,
+        strike: roundedStrike,
+        time,
+        volatility,
+        rate: pricing.rate,
+        style: 'european'
+      });
+      const price = parseFloat(greeks.price.toFixed(2));
+      if (price <= 0) continue;
+
+      (type === 'call' ? calls : puts).push({
+        type,
+        strike: roundedStrike,
+        expiration,
+        implied_volatility: volatility,
+        price: { last: price },
+        greeks: { delta: greeks.delta }
+      });
+    }
+  }
+
+  return { calls, puts };
+}
+
+// Pick the generated candidate nearest the delta target, or the best expected value per unit risk
+function selectCandidate(candidates, deltaTarget) {
+  const valid = candidates.filter(c => c && c.max_risk > 0);
+  if (valid.length === 0) return null;
+
+  if (deltaTarget) {
+    const distance = (strategy) => {
+      const sold = strategy.legs.filter(leg => leg.action === 'sell' && Number.isFinite(leg.delta));
+      const reference = sold.length > 0 ? sold : strategy.legs.filter(leg => Number.isFinite(leg.delta));
+      if (reference.length === 0) return Infinity;
+      const meanDelta = reference.reduce((sum, leg) => sum + Math.abs(leg.delta), 0) / reference.length;
+      return Math.abs(meanDelta - deltaTarget);
+    };
+    return valid.reduce((best, c) => (distance(c) < distance(best) ? c : best));
+  }
+
+  const expectedValue = (s) =>
+    (s.max_profit * s.probability_profit - s.max_risk * (1 - s.probability_profit)) / s.max_risk;
+  return valid.reduce((best, c) => (expectedValue(c) > expectedValue(best) ? c : best));
+}
+
+// Resolve a custom legs template against the synthetic chains
+function buildFromTemplate(template, chains, expiration, backExpiration, spot, asOf, pricing) {
+  const legs = template.map((spec, index) => {
+    const legExpiration = spec.back_month ? backExpiration : expiration;
+    const side = chains[legExpiration][spec.type === 'call' ? 'calls' : 'puts'];
+    if (side.length === 0) {
+      throw new Error(`Leg ${index + 1}: no ${spec.type} prices available`);
+    }
+
+    let contract;
+    if (Number.isFinite(spec.delta)) {
+      contract = side.reduce((best, c) =>
+        (Math.abs(Math.abs(c.greeks.delta) - Math.abs(spec.delta)) <
+         Math.abs(Math.abs(best.greeks.delta) - Math.abs(spec.delta)) ? c : best));
+    } else {
+      const targetStrike = spot * (1 + (spec.strike_offset_pct || 0) / 100);
+      contract = side.reduce((best, c) =>
+        (Math.abs(c.strike - targetStrike) < Math.abs(best.strike - targetStrike) ? c : best));
+    }
+
+    return {
+      action: spec.action,
+      type: spec.type,
+      strike: contract.strike,
+      expiration: legExpiration,
+      quantity: spec.quantity || 1,
+      price: contract.price.last,
+      iv: contract.implied_volatility,
+      delta: contract.greeks.delta
+    };
+  });
+
+  return buildCustomStrategy(legs, spot, { as_of: asOf, rate: pricing.rate });
+}
+
+// Expiration Friday nearest to `days` calendar days after the date
+function nearestFriday(asOf, days) {
+  const target = new Date(asOf.getTime() + days * MS_PER_DAY);
+  let shift = (5 - target.getUTCDay() + 7) % 7;
+  if (shift > 3) shift -= 7;
+  const friday = new Date(target.getTime() + shift * MS_PER_DAY);
+  if (friday <= asOf) friday.setTime(friday.getTime() + 7 * MS_PER_DAY);
+  return friday.toISOString().split('T')[0];
+}
+
+// Listed-strike spacing typical for the price level
+function strikeIncrementFor(spot) {
+  if (spot < 25) return 0.5;
+  if (spot < 150) return 1;
+  if (spot < 500) return 5;
+  return 10;
+}
+
+function signOf(action) {
+  return action === 'buy' ? 1 : -1;
+}
+
+export default {
+  DEFAULT_BACKTEST_RULES,
+  loadBarsFile,
+  normalizeBars,
+  realizedVolatility,
+  runBacktest,
+  summarizeBacktest
+};
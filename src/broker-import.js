@@ -0,0 +1,911 @@
+/**
+ * Broker Statement Import
+ *
+ * Brings broker executions into the position tracker:
+ * - CSV exports: the header row is found by column aliases, so account
+ *   preambles and total rows are skipped; actions such as "Sell to Open",
+ *   STO/BTC codes or separate side and open/close columns are understood
+ * - OFX investment statements (SGML or XML): option and stock buys and sells,
+ *   option expirations, assignments and exercises
+ * - Option contracts from OCC/OSI symbols (see option-symbol.js) or from
+ *   broker descriptions, normalized into the leg format
+ *   calculatePortfolioGreeks expects
+ * - Opening fills of one order (or, without order IDs, one account,
+ *   underlying and trade time) grouped into a strategy
+ * - Reconciliation against tracked positions as a dry-run plan of opens,
+ *   rolls, closes, partial closes, leg removals, expirations and assignments;
+ *   fills already imported (by trade ID) are skipped
+ */
+
+import crypto from 'crypto';
+import { classifyLegs } from './strategy-builder.js';
+import { parseOptionSymbol, formatOptionTicker } from './option-symbol.js';
+import { isCreditPosition, appendPositionEvents } from './position-store.js';
+import {
+  loadPositions,
+  getPosition,
+  buildOpenEvents,
+  buildFillEvent,
+  buildRollEvents,
+  buildAdjustmentEvents,
+  buildAssignmentEvent
+} from './position-tracker.js';
+
+const MONTHS = { JAN: 1, FEB: 2, MAR: 3, APR: 4, MAY: 5, JUN: 6, JUL: 7, AUG: 8, SEP: 9, OCT: 10, NOV: 11, DEC: 12 };
+const MONTH_PATTERN = Object.keys(MONTHS).join('|');
+
+// Normalized header (lowercase, alphanumerics only) -> field
+const CSV_COLUMNS = {
+  date: ['date', 'tradedate', 'transactiondate', 'rundate', 'activitydate', 'executiondate', 'exectime', 'datetime'],
+  action: ['action', 'side', 'transcode', 'transactiontype', 'buysell'],
+  effect: ['poseffect', 'positioneffect', 'openclose'],
+  symbol: ['symbol', 'instrument', 'securitysymbol', 'ticker', 'contract'],
+  description: ['description', 'securitydescription', 'instrumentdescription'],
+  quantity: ['quantity', 'qty', 'filledqty', 'contracts'],
+  price: ['price', 'fillprice', 'executionprice', 'tradeprice', 'netprice'],
+  commission: ['commission', 'commissions', 'comm'],
+  fees: ['fees', 'fee', 'feescomm', 'regfees', 'miscfees', 'otherfees'],
+  account: ['account', 'accountnumber', 'accountname'],
+  order_id: ['orderid', 'ordernumber', 'ordernum'],
+  trade_id: ['tradeid', 'transactionid', 'executionid', 'refnumber', 'referencenumber'],
+  underlying: ['underlying', 'underlyingsymbol', 'root'],
+  expiration: ['expiration', 'expirationdate', 'expiry', 'exp'],
+  strike: ['strike', 'strikeprice'],
+  option_type: ['putcall', 'callput', 'optiontype', 'type']
+};
+
+// Words in option descriptions that are never the underlying
+const DESCRIPTION_WORDS = new Set([
+  'CALL', 'CALLS', 'PUT', 'PUTS', 'C', 'P', 'SHS', 'OPTION', 'EXP', 'BUY', 'SELL', 'TO', 'OPEN', 'CLOSE',
+  'YOU', 'BOUGHT', 'SOLD', 'OPENING', 'CLOSING', 'TRANSACTION'
+]);
+
+function round(value, digits = 4) {
+  return parseFloat(value.toFixed(digits));
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  const number = parseFloat(text.replace(/[^0-9.]/g, ''));
+  if (!Number.isFinite(number)) return null;
+  return /^\(.*\)$/.test(text) || text.startsWith('-') ? -number : number;
+}
+
+function isoDate(year, month, day) {
+  const fullYear = String(year).length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10);
+  const m = parseInt(month, 10);
+  const d = parseInt(day, 10);
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+  return `${fullYear}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function parseDate(value) {
+  const text = String(value || '').trim().toUpperCase();
+  let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/); // ISO and OFX (20240315103000)
+  if (match) return isoDate(match[1], match[2], match[3]);
+  match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/);
+  if (match) return isoDate(match[3], match[1], match[2]);
+  match = text.match(new RegExp(`^(\\d{1,2})[- ]?(${MONTH_PATTERN})[- ]?(\\d{4}|\\d{2})\\b`));
+  if (match) return isoDate(match[3], MONTHS[match[2]], match[1]);
+  return null;
+}
+
+function parseTime(value) {
+  const text = String(value || '').trim();
+  const ofx = text.match(/^\d{8}(\d{2})(\d{2})(\d{2})?/);
+  if (ofx) return `${ofx[1]}:${ofx[2]}:${ofx[3] || '00'}`;
+  const match = text.match(/\b(\d{1,2}):(\d{2})(?::(\d{2}))?/);
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}:${match[3] || '00'}` : null;
+}
+
+// Contract from separate fields (CSV columns, OFX security data or a description)
+function optionContract(root, expiration, type, strike) {
+  if (!root || !expiration || !type || !(strike > 0)) return null;
+  try {
+    return parseOptionSymbol(formatOptionTicker({ root, expiration, type, strike }));
+  } catch (error) {
+    return null;
+  }
+}
+
+// "SPY 06/21/2024 500.00 P", "SPY 6/21/2024 Put $500.00", "PUT (SPY) SPDR S&P500 ETF JUN 21 24 $500 (100 SHS)"
+function parseOptionDescription(description) {
+  if (!description) return null;
+  let text = ` ${String(description).toUpperCase().replace(/[(),]/g, ' ').replace(/\s+/g, ' ')} `;
+
+  const typeMatch = text.match(/ (CALLS?|PUTS?|C|P) /);
+  if (!typeMatch) return null;
+
+  const datePatterns = [
+    [/ (\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2}) /, m => isoDate(m[3], m[1], m[2])],
+    [new RegExp(` (${MONTH_PATTERN}) (\\d{1,2}) '?(\\d{4}|\\d{2}) `), m => isoDate(m[3], MONTHS[m[1]], m[2])],
+    [new RegExp(` (\\d{1,2}) ?(${MONTH_PATTERN}) ?'?(\\d{4}|\\d{2}) `), m => isoDate(m[3], MONTHS[m[2]], m[1])]
+  ];
+  let expiration = null;
+  for (const [pattern, toDate] of datePatterns) {
+    const match = text.match(pattern);
+    if (match) {
+      expiration = toDate(match);
+      text = text.replace(match[0], ' ');
+      break;
+    }
+  }
+  if (!expiration) return null;
+
+  const strikeMatch = text.match(/\$ ?(\d+(?:\.\d+)?)/) || text.match(/ (\d+(?:\.\d+)?)(?= )(?! SHS)/);
+  const underlying = text.trim().split(' ')
+    .find(token => /^[A-Z][A-Z.]{0,5}$/.test(token) && !DESCRIPTION_WORDS.has(token) && !MONTHS[token]);
+
+  return optionContract(underlying, expiration, typeMatch[1].startsWith('C') ? 'call' : 'put', strikeMatch ? parseFloat(strikeMatch[1]) : null);
+}
+
+// Side, position effect and event from broker action text (and a separate open/close column)
+function parseAction(action = '', effect = '') {
+  const text = ` ${`${action} ${effect}`.toUpperCase().replace(/[^A-Z]+/g, ' ')} `;
+  const has = (...words) => words.some(word => text.includes(` ${word} `));
+
+  let event = 'trade';
+  if (has('OEXP', 'EXPIRED', 'EXPIRATION', 'EXPIRE')) event = 'expiration';
+  else if (has('OASGN', 'ASSIGNED', 'ASSIGNMENT', 'ASSIGN')) event = 'assignment';
+  else if (has('OEXCS', 'EXERCISED', 'EXERCISE')) event = 'exercise';
+
+  let side = null;
+  if (has('STO', 'STC', 'SELL', 'SOLD', 'SLD', 'SELLTOOPEN', 'SELLTOCLOSE')) side = 'sell';
+  else if (has('BTO', 'BTC', 'BUY', 'BOUGHT', 'BOT', 'BUYTOOPEN', 'BUYTOCLOSE')) side = 'buy';
+
+  let positionEffect = null;
+  if (has('BTO', 'STO', 'OPEN', 'OPENING', 'BUYTOOPEN', 'SELLTOOPEN')) positionEffect = 'open';
+  else if (has('BTC', 'STC', 'CLOSE', 'CLOSING', 'BUYTOCLOSE', 'SELLTOCLOSE')) positionEffect = 'close';
+
+  return { event, side, effect: positionEffect };
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.map(cells => cells.map(cell => cell.trim()));
+}
+
+function mapColumns(header) {
+  const columns = {};
+  header.forEach((cell, index) => {
+    const name = cell.toLowerCase().replace(/[^a-z0-9]/g, '');
+    Object.entries(CSV_COLUMNS).forEach(([field, aliases]) => {
+      if (aliases.includes(name)) {
+        columns[field] = [...(columns[field] || []), index];
+      }
+    });
+  });
+  return columns;
+}
+
+function rowId(prefix, text, seen) {
+  // Identical rows are separate executions: number repeats so each keeps its own ID
+  const count = (seen.get(text) || 0) + 1;
+  seen.set(text, count);
+  return `${prefix}:${crypto.createHash('sha1').update(`${text}#${count}`).digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Parse a broker CSV export into normalized fills
+ * @param {string} text - CSV content
+ * @param {Object} options - { account } for exports without an account column
+ * @returns {Object} { fills, skipped: [{ line, reason }] }
+ */
+export function parseBrokerCsv(text, options = {}) {
+  const rows = parseCsvRows(String(text).replace(/^\uFEFF/, ''));
+  const headerIndex = rows.findIndex(row => {
+    const columns = mapColumns(row);
+    return columns.date && (columns.symbol || columns.description) && columns.quantity;
+  });
+  if (headerIndex === -1) {
+    throw new Error('No header row with date, symbol and quantity columns found');
+  }
+
+  const columns = mapColumns(rows[headerIndex]);
+  const fills = [];
+  const skipped = [];
+  const seen = new Map();
+
+  rows.slice(headerIndex + 1).forEach((row, i) => {
+    const line = headerIndex + i + 2;
+    const get = field => (columns[field] ? row[columns[field][0]] : undefined);
+    const skip = reason => skipped.push({ line, reason });
+    if (row.every(cell => cell === '')) return;
+
+    const date = parseDate(get('date'));
+    if (!date) return skip('No trade date');
+
+    const actionText = get('action');
+    const { event, side: parsedSide, effect } = parseAction(actionText, get('effect'));
+    const quantity = parseNumber(get('quantity'));
+    // Without an action column the quantity sign gives the side
+    const side = parsedSide || (!actionText && quantity ? (quantity < 0 ? 'sell' : 'buy') : null);
+    if (event === 'trade' && !side) return skip(`Not a trade: ${actionText}`);
+    if (!quantity) return skip('No quantity');
+
+    const symbol = (get('symbol') || '').toUpperCase();
+    const description = get('description') || '';
+    const typeText = (get('option_type') || '').toUpperCase();
+    const columnType = /^C(ALL)?$/.test(typeText) ? 'call' : /^P(UT)?$/.test(typeText) ? 'put' : null;
+    const contract = parseOptionSymbol(symbol) ||
+      optionContract((get('underlying') || symbol).toUpperCase(), parseDate(get('expiration')), columnType, parseNumber(get('strike'))) ||
+      parseOptionDescription(symbol) ||
+      parseOptionDescription(description);
+    if (!contract && !/^[A-Z][A-Z./]{0,9}$/.test(symbol)) return skip(`Unrecognized instrument: ${symbol || description}`);
+
+    const fees = ['commission', 'fees']
+      .flatMap(field => columns[field] || [])
+      .reduce((sum, index) => sum + Math.abs(parseNumber(row[index]) || 0), 0);
+
+    fills.push({
+      source: 'csv',
+      line,
+      trade_id: get('trade_id') || rowId('csv', row.join(','), seen),
+      order_id: get('order_id') || null,
+      account: get('account') || options.account || null,
+      date,
+      time: parseTime(get('date')),
+      event,
+      side,
+      effect,
+      instrument: contract ? 'option' : 'stock',
+      symbol: contract ? contract.underlying : symbol,
+      ...(contract && { type: contract.type, strike: contract.strike, expiration: contract.expiration, ticker: contract.ticker }),
+      quantity: Math.abs(quantity),
+      price: Math.abs(parseNumber(get('price')) || 0),
+      fees: round(fees, 2),
+      description
+    });
+  });
+
+  return { fills, skipped };
+}
+
+function decodeEntities(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// OFX 1.x is SGML (leaf elements are not closed), 2.x is XML; one tree builder reads both
+function parseOfxTree(text) {
+  const root = { tag: 'ROOT', children: [] };
+  const stack = [root];
+  const pattern = /<(\/?)([A-Z0-9.]+)>([^<]*)/gi;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const [, closing, rawTag, rawText] = match;
+    const tag = rawTag.toUpperCase();
+    if (closing) {
+      const index = stack.map(node => node.tag).lastIndexOf(tag);
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    const content = rawText.trim();
+    const parent = stack[stack.length - 1];
+    if (content !== '') {
+      parent.children.push({ tag, value: decodeEntities(content) });
+    } else {
+      const node = { tag, children: [] };
+      parent.children.push(node);
+      stack.push(node);
+    }
+  }
+  return root;
+}
+
+function findNode(node, tag) {
+  for (const child of node?.children || []) {
+    if (child.tag === tag) return child;
+    const found = findNode(child, tag);
+    if (found) return found;
+  }
+  return null;
+}
+
+function findNodes(node, tag, found = []) {
+  (node?.children || []).forEach(child => {
+    if (child.tag === tag) found.push(child);
+    else findNodes(child, tag, found);
+  });
+  return found;
+}
+
+function nodeValue(node, tag) {
+  return findNode(node, tag)?.value;
+}
+
+function readOfxSecurities(root) {
+  const securities = new Map();
+
+  findNodes(root, 'STOCKINFO').forEach(info => {
+    const secinfo = findNode(info, 'SECINFO');
+    securities.set(nodeValue(secinfo, 'UNIQUEID'), {
+      instrument: 'stock',
+      symbol: (nodeValue(secinfo, 'TICKER') || '').toUpperCase(),
+      name: nodeValue(secinfo, 'SECNAME')
+    });
+  });
+
+  findNodes(root, 'OPTINFO').forEach(info => {
+    const secinfo = findNode(info, 'SECINFO');
+    const ticker = nodeValue(secinfo, 'TICKER');
+    const name = nodeValue(secinfo, 'SECNAME');
+    // The underlying's SECID is a direct child of OPTINFO
+    const underlyingId = nodeValue(info.children.find(child => child.tag === 'SECID'), 'UNIQUEID');
+    const optType = (nodeValue(info, 'OPTTYPE') || '').toLowerCase();
+
+    const contract = parseOptionSymbol(ticker) ||
+      optionContract(
+        securities.get(underlyingId)?.symbol,
+        parseDate(nodeValue(info, 'DTEXPIRE')),
+        ['call', 'put'].includes(optType) ? optType : null,
+        parseNumber(nodeValue(info, 'STRIKEPRICE'))
+      ) ||
+      parseOptionDescription(name);
+    securities.set(nodeValue(secinfo, 'UNIQUEID'), { instrument: 'option', contract, name });
+  });
+
+  return securities;
+}
+
+const OFX_CLOSURE_EVENTS = { EXPIRE: 'expiration', ASSIGN: 'assignment', EXERCISE: 'exercise' };
+
+/**
+ * Parse an OFX investment statement into normalized fills
+ * @param {string} text - OFX content (SGML or XML)
+ * @param {Object} options - { account } when the statement has no account ID
+ * @returns {Object} { fills, skipped: [{ trade_id, reason }] }
+ */
+export function parseOfx(text, options = {}) {
+  const start = String(text).search(/<OFX>/i);
+  if (start === -1) {
+    throw new Error('No <OFX> element found');
+  }
+
+  const root = parseOfxTree(String(text).slice(start));
+  const securities = readOfxSecurities(root);
+  const fills = [];
+  const skipped = [];
+  const seen = new Map();
+
+  findNodes(root, 'INVSTMTRS').forEach(statement => {
+    const account = nodeValue(findNode(statement, 'INVACCTFROM'), 'ACCTID') || options.account || null;
+
+    (findNode(statement, 'INVTRANLIST')?.children || []).forEach(node => {
+      if (!node.children) return; // DTSTART / DTEND
+
+      const invtran = findNode(node, 'INVTRAN');
+      const fitid = nodeValue(invtran, 'FITID');
+      const tradeId = fitid ? `ofx:${fitid}` : rowId('ofx', JSON.stringify(node), seen);
+      const skip = reason => skipped.push({ trade_id: tradeId, reason });
+
+      let event = 'trade';
+      let side = null;
+      let effect = null;
+      if (node.tag === 'BUYOPT' || node.tag === 'BUYSTOCK') {
+        side = 'buy';
+        effect = { BUYTOOPEN: 'open', BUYTOCLOSE: 'close' }[nodeValue(node, 'OPTBUYTYPE')] || null;
+      } else if (node.tag === 'SELLOPT' || node.tag === 'SELLSTOCK') {
+        side = 'sell';
+        effect = { SELLTOOPEN: 'open', SELLTOCLOSE: 'close' }[nodeValue(node, 'OPTSELLTYPE')] || null;
+      } else if (node.tag === 'CLOSUREOPT') {
+        event = OFX_CLOSURE_EVENTS[nodeValue(node, 'OPTACTION')];
+        if (!event) return skip(`Unsupported option action ${nodeValue(node, 'OPTACTION')}`);
+      } else {
+        return skip(`Unsupported transaction ${node.tag}`);
+      }
+
+      const security = securities.get(nodeValue(findNode(node, 'SECID'), 'UNIQUEID'));
+      if (!security) return skip('Security not in the statement\'s security list');
+      if (security.instrument === 'option' && !security.contract) return skip(`Unrecognized option ${security.name}`);
+
+      const dateText = nodeValue(invtran, 'DTTRADE');
+      const fees = ['COMMISSION', 'FEES', 'TAXES']
+        .reduce((sum, tag) => sum + Math.abs(parseNumber(nodeValue(node, tag)) || 0), 0);
+      const contract = security.contract;
+
+      fills.push({
+        source: 'ofx',
+        trade_id: tradeId,
+        order_id: null,
+        account,
+        date: parseDate(dateText),
+        time: parseTime(dateText),
+        event,
+        side,
+        effect,
+        instrument: security.instrument,
+        symbol: contract ? contract.underlying : security.symbol,
+        ...(contract && { type: contract.type, strike: contract.strike, expiration: contract.expiration, ticker: contract.ticker }),
+        quantity: Math.abs(parseNumber(nodeValue(node, 'UNITS')) || 0),
+        price: Math.abs(parseNumber(nodeValue(node, 'UNITPRICE')) || 0),
+        fees: round(fees, 2),
+        description: security.name || nodeValue(invtran, 'MEMO') || ''
+      });
+    });
+  });
+
+  return { fills, skipped };
+}
+
+/**
+ * Parse a broker statement, detecting OFX or CSV
+ * @param {string} text - File content
+ * @param {Object} options - { format: auto|csv|ofx, account }
+ * @returns {Object} { format, fills, skipped }
+ */
+export function parseStatement(text, options = {}) {
+  const { format = 'auto' } = options;
+  const resolved = format === 'auto' ? (/<OFX>/i.test(text) ? 'ofx' : 'csv') : format;
+  if (!['csv', 'ofx'].includes(resolved)) {
+    throw new Error(`Unknown statement format: ${format}`);
+  }
+  const parsed = resolved === 'ofx' ? parseOfx(text, options) : parseBrokerCsv(text, options);
+  return { format: resolved, ...parsed };
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+// Signed cash per share: sells bring premium in, buys pay it out
+function fillCash(fill) {
+  return (fill.side === 'sell' ? 1 : -1) * fill.price * fill.quantity;
+}
+
+function bookPosition(position) {
+  return {
+    ref: position.id,
+    symbol: position.symbol,
+    strategy: position.strategy,
+    account: position.account ?? null,
+    contracts: position.contracts ?? 1,
+    credit: isCreditPosition(position),
+    leg_count: (position.legs || []).length,
+    legs: (position.legs || [])
+      .filter(leg => leg.status === 'open')
+      .map(leg => ({ leg_id: leg.leg_id, action: leg.action, type: leg.type, strike: leg.strike, expiration: leg.expiration, quantity: leg.quantity || 1 }))
+  };
+}
+
+function legMatchesFill(leg, fill) {
+  if (leg.type !== fill.type || leg.strike !== fill.strike || leg.expiration !== fill.expiration) return false;
+  if (fill.event === 'trade') return leg.action !== fill.side;
+  if (fill.event === 'assignment') return leg.action === 'sell';
+  if (fill.event === 'exercise') return leg.action === 'buy';
+  return true;
+}
+
+function findOpenLeg(book, fill) {
+  for (const position of book) {
+    if (position.symbol !== fill.symbol) continue;
+    if (position.account && fill.account && position.account !== fill.account) continue;
+    const leg = position.legs.find(candidate => legMatchesFill(candidate, fill));
+    if (leg) return { position, leg };
+  }
+  return null;
+}
+
+// Fill as recorded on the position; expirations and assignments close the leg at zero
+function fillRecord(fill, leg) {
+  return {
+    side: fill.side || (leg.action === 'sell' ? 'buy' : 'sell'),
+    quantity: fill.quantity,
+    price: fill.price,
+    fees: fill.fees,
+    leg_id: leg.leg_id,
+    trade_id: fill.trade_id,
+    ticker: fill.ticker,
+    event: fill.event
+  };
+}
+
+// Opening fills -> legs in tracker format with per-unit ratios
+function buildOpening(fills) {
+  const merged = new Map();
+  fills.forEach(fill => {
+    const key = `${fill.ticker}|${fill.side}`;
+    const leg = merged.get(key) || {
+      action: fill.side, type: fill.type, strike: fill.strike, expiration: fill.expiration, quantity: 0, cost: 0, fills: []
+    };
+    leg.quantity += fill.quantity;
+    leg.cost += fill.price * fill.quantity;
+    leg.fills.push(fill);
+    merged.set(key, leg);
+  });
+
+  const legs = [...merged.values()];
+  const contracts = legs.reduce((g, leg) => gcd(g, Math.round(leg.quantity)), 0) || 1;
+  const net = legs.reduce((sum, leg) => sum + (leg.action === 'sell' ? leg.cost : -leg.cost), 0) / contracts;
+
+  return {
+    contracts,
+    net,
+    legs: legs.map(leg => ({
+      action: leg.action,
+      type: leg.type,
+      strike: leg.strike,
+      expiration: leg.expiration,
+      quantity: leg.quantity / contracts,
+      price: round(leg.cost / leg.quantity),
+      fills: leg.fills
+    }))
+  };
+}
+
+function planOpen(fills, book, refs) {
+  const first = fills[0];
+  const { contracts, net, legs } = buildOpening(fills);
+  const strategy = classifyLegs(legs.map(leg => ({ ...leg, sign: leg.action === 'buy' ? 1 : -1 })));
+  const shortLeg = legs.find(leg => leg.action === 'sell') || legs[0];
+  const ref = `new_${refs.count += 1}`;
+  const credit = net > 0;
+
+  book.push({
+    ref,
+    symbol: first.symbol,
+    strategy,
+    account: first.account,
+    contracts,
+    credit,
+    leg_count: legs.length,
+    legs: legs.map((leg, i) => ({ ...leg, leg_id: `leg_${i + 1}` }))
+  });
+
+  return {
+    action: 'open',
+    position_id: ref,
+    symbol: first.symbol,
+    strategy,
+    account: first.account,
+    contracts,
+    ...(credit ? { entry_credit: round(net) } : { entry_price: round(-net) }),
+    expiration: legs.map(leg => leg.expiration).sort()[0],
+    strike_price: shortLeg.strike,
+    entry_date: first.date,
+    legs: legs.map(({ fills: legFills, ...leg }) => leg),
+    fills: legs.flatMap((leg, i) => leg.fills.map(fill => fillRecord(fill, { leg_id: `leg_${i + 1}`, action: leg.action })))
+  };
+}
+
+// Closing fills (trades, expirations, assignments) -> one action per position touched
+function planCloses(fills, book, unmatched) {
+  const byPosition = new Map();
+  fills.forEach(fill => {
+    const found = findOpenLeg(book, fill);
+    if (!found) {
+      unmatched.push({ trade_id: fill.trade_id, ticker: fill.ticker, date: fill.date, reason: 'No open tracked leg to close' });
+      return;
+    }
+    const entry = byPosition.get(found.position) || { legs: new Map(), fills: [] };
+    const legEntry = entry.legs.get(found.leg.leg_id) || { leg: found.leg, quantity: 0 };
+    legEntry.quantity += fill.quantity;
+    entry.legs.set(found.leg.leg_id, legEntry);
+    entry.fills.push({ fill, leg: found.leg });
+    byPosition.set(found.position, entry);
+  });
+
+  const actions = [];
+  byPosition.forEach((entry, position) => {
+    const first = entry.fills[0].fill;
+    const trades = entry.fills.map(({ fill }) => fill);
+    const records = entry.fills.map(({ fill, leg }) => fillRecord(fill, leg));
+    const base = { position_id: position.ref, symbol: position.symbol, strategy: position.strategy, date: first.date, book: position };
+    const legIds = [...entry.legs.keys()];
+
+    if (first.event === 'assignment' || first.event === 'exercise') {
+      entry.legs.forEach(({ leg }) => {
+        actions.push({ action: 'assign', ...base, leg_id: leg.leg_id, fills: records.filter(record => record.leg_id === leg.leg_id) });
+      });
+      position.legs = position.legs.filter(leg => !legIds.includes(leg.leg_id));
+      if (position.legs.length === 0) position.contracts = 0;
+      return;
+    }
+
+    const closed = Math.min(...[...entry.legs.values()].map(({ leg, quantity }) => Math.round(quantity / leg.quantity)));
+    const allLegs = legIds.length === position.legs.length;
+    const cash = trades.reduce((sum, fill) => sum + fillCash(fill), 0);
+    const fees = round(trades.reduce((sum, fill) => sum + (fill.fees || 0), 0), 2);
+
+    if (allLegs) {
+      const contracts = Math.min(closed, position.contracts);
+      const price = round((position.credit ? -1 : 1) * cash / contracts);
+      const full = contracts === position.contracts;
+      actions.push({
+        action: !full ? 'partial_close' : first.event === 'expiration' ? 'expire' : 'close',
+        ...base,
+        contracts,
+        ...(!full && { contracts_remaining: position.contracts - contracts }),
+        close_price: price,
+        fees,
+        fills: records
+      });
+      position.contracts -= contracts;
+      if (full) book.splice(book.indexOf(position), 1);
+    } else if (closed >= position.contracts) {
+      actions.push({
+        action: 'adjust',
+        ...base,
+        remove_legs: legIds,
+        net_credit: round(cash / position.contracts),
+        fees,
+        fills: records
+      });
+      position.legs = position.legs.filter(leg => !legIds.includes(leg.leg_id));
+    } else {
+      trades.forEach(fill => unmatched.push({
+        trade_id: fill.trade_id,
+        ticker: fill.ticker,
+        date: fill.date,
+        reason: `Closes ${closed} of ${position.contracts} contracts on some legs of ${position.ref}; record it with adjust_position`
+      }));
+    }
+  });
+  return actions;
+}
+
+// A close of every leg and an open on the same underlying in one order
+function planRoll(closed, opening, book) {
+  const position = closed.book;
+  const { contracts, net, legs } = buildOpening(opening);
+  const ratio = contracts / closed.contracts;
+  const openLegs = legs.map((leg, i) => ({ ...leg, quantity: leg.quantity * ratio, leg_id: `leg_${position.leg_count + i + 1}` }));
+  const closingCash = (position.credit ? -1 : 1) * closed.close_price * closed.contracts;
+
+  // The position stays open on the new legs
+  position.contracts = closed.contracts;
+  position.legs = openLegs.map(({ fills, ...leg }) => leg);
+  position.leg_count += openLegs.length;
+  book.push(position);
+
+  return {
+    action: 'roll',
+    position_id: closed.position_id,
+    symbol: closed.symbol,
+    strategy: closed.strategy,
+    date: closed.date,
+    contracts: closed.contracts,
+    close_legs: [...new Set(closed.fills.map(record => record.leg_id))],
+    open_legs: openLegs.map(({ fills, leg_id: legId, ...leg }) => leg),
+    net_credit: round((closingCash + net * contracts) / closed.contracts),
+    fees: round(closed.fees + opening.reduce((sum, fill) => sum + (fill.fees || 0), 0), 2),
+    fills: [...closed.fills, ...openLegs.flatMap(leg => leg.fills.map(fill => fillRecord(fill, leg)))],
+    book: position
+  };
+}
+
+/**
+ * Plan how imported fills change the tracked positions; nothing is written.
+ * Fills are replayed in date order against the open positions, so a close
+ * can match a position opened earlier in the same statement. An order that
+ * closes every leg of a position and opens new legs on the same underlying
+ * is planned as a roll.
+ * @param {Array} fills - Normalized fills from parseStatement
+ * @param {Array} positions - Tracked positions (loadPositions)
+ * @returns {Object} { actions, duplicates, unmatched, skipped }
+ */
+export function planImport(fills, positions = []) {
+  const imported = new Set(positions.flatMap(position => (position.fills || []).map(fill => fill.trade_id)).filter(Boolean));
+  const book = positions.filter(position => position.status === 'open').map(bookPosition);
+  const refs = { count: 0 };
+  const actions = [];
+  const duplicates = [];
+  const unmatched = [];
+  const skipped = [];
+
+  const pending = [];
+  fills.forEach(fill => {
+    if (imported.has(fill.trade_id)) duplicates.push(fill.trade_id);
+    else if (fill.instrument !== 'option') skipped.push({ trade_id: fill.trade_id, reason: 'Stock trades are not tracked' });
+    else pending.push(fill);
+  });
+
+  // Statements are often newest first; on the same date and time, opens go before closes
+  const phase = fill => (fill.event === 'trade' && fill.effect !== 'close' ? 0 : 1);
+  pending.sort((a, b) => `${a.date} ${a.time || ''}`.localeCompare(`${b.date} ${b.time || ''}`) || phase(a) - phase(b));
+
+  const groups = new Map();
+  pending.forEach(fill => {
+    const key = fill.order_id
+      ? `order|${fill.account}|${fill.order_id}`
+      : `${fill.account}|${fill.date}|${fill.time || ''}|${fill.symbol}|${fill.event}`;
+    groups.set(key, [...(groups.get(key) || []), fill]);
+  });
+
+  groups.forEach(group => {
+    // Without an open/close flag, a fill against an opposite open leg closes it
+    const isClose = fill => fill.event !== 'trade' || fill.effect === 'close' ||
+      (fill.effect === null && findOpenLeg(book, fill) !== null);
+    const closing = group.filter(isClose);
+    const opening = group.filter(fill => !isClose(fill));
+
+    const closeActions = planCloses(closing, book, unmatched);
+    const closed = closeActions.length === 1 && closeActions[0].action === 'close' ? closeActions[0] : null;
+    if (closed && opening.length > 0 && opening.every(fill => fill.symbol === closed.symbol)) {
+      actions.push(planRoll(closed, opening, book));
+      return;
+    }
+
+    actions.push(...closeActions);
+    if (opening.length > 0) actions.push(planOpen(opening, book, refs));
+  });
+
+  return { actions, duplicates, unmatched, skipped };
+}
+
+// Events for one planned action: the opening or change plus its fills
+function actionEvents(action, ids, importOptions, options) {
+  if (action.action === 'open') {
+    const events = buildOpenEvents({
+      symbol: action.symbol,
+      strategy: action.strategy,
+      ...(action.account && { account: action.account }),
+      ...(importOptions.sleeve && { sleeve: importOptions.sleeve }),
+      contracts: action.contracts,
+      ...(action.entry_credit !== undefined ? { entry_credit: action.entry_credit } : { entry_price: action.entry_price }),
+      expiration: action.expiration,
+      strike_price: action.strike_price,
+      entry_date: action.entry_date,
+      legs: action.legs,
+      tags: importOptions.tags || []
+    });
+    const positionId = events[0].position_id;
+    return [...events, ...action.fills.map(fill => buildFillEvent(positionId, fill))];
+  }
+
+  const positionId = ids.get(action.position_id) || action.position_id;
+  const position = getPosition(positionId, options);
+  if (!position) {
+    throw new Error(`Position ${positionId} not found`);
+  }
+  const fills = action.fills.map(fill => buildFillEvent(positionId, fill));
+
+  switch (action.action) {
+    case 'roll':
+      return [
+        ...buildRollEvents(position, {
+          close_legs: action.close_legs,
+          open_legs: action.open_legs,
+          net_credit: action.net_credit,
+          description: 'Imported roll'
+        }),
+        ...fills
+      ];
+
+    case 'close':
+    case 'expire':
+    case 'partial_close':
+      return [
+        ...fills,
+        ...buildAdjustmentEvents(position, {
+          close_contracts: action.contracts,
+          close_price: action.close_price,
+          close_date: action.date,
+          fees: action.fees
+        })
+      ];
+
+    case 'adjust':
+      return [
+        ...fills,
+        ...buildAdjustmentEvents(position, {
+          remove_legs: action.remove_legs,
+          net_credit: action.net_credit,
+          description: 'Imported leg close'
+        })
+      ];
+
+    case 'assign':
+      return [...fills, buildAssignmentEvent(position, { leg_id: action.leg_id, assignment_date: action.date })];
+
+    default:
+      throw new Error(`Unknown import action ${action.action}`);
+  }
+}
+
+// Each action is written as one batch, so a failure leaves no part of it behind
+function applyAction(action, ids, importOptions, options) {
+  const events = actionEvents(action, ids, importOptions, options);
+  const positionId = events[0].position_id;
+  appendPositionEvents(events, options);
+  if (action.action === 'open') ids.set(action.position_id, positionId);
+  return positionId;
+}
+
+/**
+ * Import a broker statement into the position tracker.
+ * Dry run (the default) returns the planned changes without writing; otherwise
+ * actions are applied in order, each with its fills as one all-or-none write,
+ * and the import stops at the first failure.
+ * @param {string} text - CSV or OFX content
+ * @param {Object} importOptions - { format: auto|csv|ofx, account, sleeve and tags for new positions, dry_run (default true) }
+ * @param {Object} options - Store options
+ * @returns {Object} { dry_run, format, summary, actions, unmatched, skipped, duplicates, applied, errors }
+ */
+export function importBrokerStatement(text, importOptions = {}, options = {}) {
+  const { dry_run = true } = importOptions;
+  const parsed = parseStatement(text, importOptions);
+  const plan = planImport(parsed.fills, loadPositions(options));
+
+  const count = type => plan.actions.filter(action => action.action === type).length;
+  const result = {
+    dry_run,
+    format: parsed.format,
+    summary: {
+      fills: parsed.fills.length,
+      opens: count('open'),
+      rolls: count('roll'),
+      closes: count('close'),
+      partial_closes: count('partial_close'),
+      adjustments: count('adjust'),
+      expirations: count('expire'),
+      assignments: count('assign'),
+      duplicates: plan.duplicates.length,
+      unmatched: plan.unmatched.length,
+      skipped: parsed.skipped.length + plan.skipped.length
+    },
+    // Fills and working state stay internal; the diff lists trade IDs
+    actions: plan.actions.map(({ fills, book, ...action }) => ({ ...action, trade_ids: fills.map(fill => fill.trade_id) })),
+    unmatched: plan.unmatched,
+    skipped: [...parsed.skipped, ...plan.skipped]
+  };
+  if (dry_run) return result;
+
+  const ids = new Map();
+  const applied = [];
+  const errors = [];
+  for (const [index, action] of plan.actions.entries()) {
+    try {
+      applied.push({ action: action.action, position_id: applyAction(action, ids, importOptions, options) });
+    } catch (error) {
+      console.error(`Import stopped at action ${index + 1}:`, error.message);
+      errors.push({ action_index: index, action: action.action, error: error.message });
+      break;
+    }
+  }
+  return { ...result, applied, errors };
+}
+
+export default {
+  parseBrokerCsv,
+  parseOfx,
+  parseStatement,
+  planImport,
+  importBrokerStatement
+};
@@ -5,15 +5,36 @@
  * when predefined risk limits are exceeded.
  *
  * Critical for protecting capital during adverse market conditions.
+ *
+ * - Rules are configured in profiles: a default profile, overridden per
+ *   account, per sleeve and then per symbol (.claude/circuit-breaker-profiles.json)
+ * - State (daily P&L, recorded trades, tripped breakers) is kept per account
+ *   and per sleeve in .claude/circuit-breakers.json; a sleeve's trades also
+ *   count toward its account, and account halts apply to every sleeve
+ * - A tripped breaker stays active for its cooldown (minutes, or until the
+ *   end of the day, week or month) and then expires on its own
+ * - Every evaluation, trade, reset, expiry and profile change is appended to
+ *   .claude/circuit-breaker-audit.jsonl
  */
 
 import fs from 'fs';
 import path from 'path';
+import { findCorrelationClusters } from './correlation-risk.js';
+import { DEFAULT_ACCOUNT, loadAccounts, scopeKey, scopeCapital, parseScopeKey, filterByScope } from './accounts.js';
+
+const BREAKER_DIR = '.claude';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_DAY = 24 * 60 * MS_PER_MINUTE;
 
-const BREAKER_STATE_FILE = '.claude/circuit-breakers.json';
+// Recorded trades are kept this long for drawdown and loss-streak rules
+const TRADE_RETENTION_DAYS = 45;
+
+export const COOLDOWN_WINDOWS = ['end_of_day', 'end_of_week', 'end_of_month'];
 
 /**
  * Default circuit breaker configuration
+ * Limits set to null are not checked.
  */
 export const DEFAULT_BREAKERS = {
   max_daily_loss: 500, // Max $500 loss per day
@@ -22,147 +43,549 @@ export const DEFAULT_BREAKERS = {
   max_portfolio_risk_pct: 0.20, // Max 20% of account at risk
   vix_spike_threshold: 40, // Halt if VIX > 40
   correlation_threshold: 0.85, // Warn if positions >85% correlated
+  max_trades_per_day: null, // No new positions after this many trades in a day
+  max_consecutive_losses: null, // No new positions after this many losing trades in a row
+  max_vega: null, // Max absolute net vega ($ per IV point)
+  max_short_gamma: null, // Max negative net gamma
+  max_weekly_drawdown: null, // Max $ drawdown of recorded trades this week
+  max_monthly_drawdown: null, // Max $ drawdown of recorded trades this month
   enabled: true
 };
 
 /**
- * Load circuit breaker state
- * @returns {object} Breaker state
+ * Breaker rules: the config key holding the limit, what tripping means and
+ * how long a tripped breaker stays active (minutes or a calendar window; 0 =
+ * only while the condition holds). Cooldowns can be overridden per profile.
+ */
+export const BREAKER_RULES = [
+  {
+    type: 'MAX_DAILY_LOSS',
+    key: 'max_daily_loss',
+    severity: 'CRITICAL',
+    action: 'HALT_ALL_TRADING',
+    cooldown: 'end_of_day',
+    evaluate: ({ daily_pnl }, limit) => daily_pnl < -limit &&
+      `Daily loss $${Math.abs(daily_pnl).toFixed(2)} exceeds limit of $${limit}`
+  },
+  {
+    type: 'MAX_DAILY_LOSS_PCT',
+    key: 'max_daily_loss_pct',
+    severity: 'CRITICAL',
+    action: 'HALT_ALL_TRADING',
+    cooldown: 'end_of_day',
+    evaluate: ({ daily_pnl, account_size }, limit) => account_size && daily_pnl / account_size < -limit &&
+      `Daily loss ${Math.abs(daily_pnl / account_size * 100).toFixed(2)}% exceeds limit of ${limit * 100}%`
+  },
+  {
+    type: 'MAX_PORTFOLIO_RISK',
+    key: 'max_portfolio_risk_pct',
+    severity: 'HIGH',
+    action: 'NO_NEW_POSITIONS',
+    cooldown: 0,
+    evaluate: ({ portfolio_risk, account_size }, limit) => portfolio_risk && account_size && portfolio_risk / account_size > limit &&
+      `Portfolio risk ${(portfolio_risk / account_size * 100).toFixed(1)}% exceeds limit of ${limit * 100}%`
+  },
+  {
+    type: 'VIX_SPIKE',
+    key: 'vix_spike_threshold',
+    severity: 'HIGH',
+    action: 'REDUCE_EXPOSURE',
+    cooldown: 60,
+    evaluate: ({ vix_level }, limit) => vix_level && vix_level > limit &&
+      `VIX at ${vix_level.toFixed(1)} exceeds threshold of ${limit}`
+  },
+  {
+    type: 'CORRELATION',
+    key: 'correlation_threshold',
+    severity: 'MEDIUM',
+    action: 'NO_NEW_CORRELATED_POSITIONS',
+    cooldown: 0,
+    // correlation = analyzeCorrelationRisk result
+    evaluate: ({ correlation }, limit) => correlation?.pairs
+      ? findCorrelationClusters(correlation.pairs, limit).map(cluster => ({
+        message: `${cluster.symbols.join(', ')} positions are ${(cluster.min_correlation * 100).toFixed(0)}%+ correlated in the same direction (limit ${limit * 100}%)`,
+        symbols: cluster.symbols
+      }))
+      : null
+  },
+  {
+    type: 'MAX_TRADES_PER_DAY',
+    key: 'max_trades_per_day',
+    severity: 'MEDIUM',
+    action: 'NO_NEW_POSITIONS',
+    cooldown: 'end_of_day',
+    evaluate: ({ trades_today }, limit) => trades_today >= limit &&
+      `${trades_today} trades today reaches the limit of ${limit}`
+  },
+  {
+    type: 'CONSECUTIVE_LOSSES',
+    key: 'max_consecutive_losses',
+    severity: 'HIGH',
+    action: 'NO_NEW_POSITIONS',
+    cooldown: 24 * 60,
+    evaluate: ({ consecutive_losses }, limit) => consecutive_losses >= limit &&
+      `${consecutive_losses} losing trades in a row reaches the limit of ${limit}`
+  },
+  {
+    type: 'MAX_VEGA',
+    key: 'max_vega',
+    severity: 'HIGH',
+    action: 'REDUCE_EXPOSURE',
+    cooldown: 0,
+    evaluate: ({ net_vega }, limit) => Number.isFinite(net_vega) && Math.abs(net_vega) > limit &&
+      `Net vega ${net_vega.toFixed(0)} exceeds limit of ±${limit}`
+  },
+  {
+    type: 'MAX_SHORT_GAMMA',
+    key: 'max_short_gamma',
+    severity: 'HIGH',
+    action: 'REDUCE_EXPOSURE',
+    cooldown: 0,
+    evaluate: ({ net_gamma }, limit) => Number.isFinite(net_gamma) && net_gamma < -limit &&
+      `Net short gamma ${net_gamma.toFixed(2)} exceeds limit of -${limit}`
+  },
+  {
+    type: 'MAX_WEEKLY_DRAWDOWN',
+    key: 'max_weekly_drawdown',
+    severity: 'CRITICAL',
+    action: 'HALT_ALL_TRADING',
+    cooldown: 'end_of_week',
+    evaluate: ({ weekly_drawdown }, limit) => weekly_drawdown > limit &&
+      `Drawdown this week $${weekly_drawdown.toFixed(2)} exceeds limit of $${limit}`
+  },
+  {
+    type: 'MAX_MONTHLY_DRAWDOWN',
+    key: 'max_monthly_drawdown',
+    severity: 'CRITICAL',
+    action: 'HALT_ALL_TRADING',
+    cooldown: 'end_of_month',
+    evaluate: ({ monthly_drawdown }, limit) => monthly_drawdown > limit &&
+      `Drawdown this month $${monthly_drawdown.toFixed(2)} exceeds limit of $${limit}`
+  }
+];
+
+function breakerPaths(options = {}) {
+  const dir = options.dir || BREAKER_DIR;
+  return {
+    state: path.join(dir, 'circuit-breakers.json'),
+    profiles: path.join(dir, 'circuit-breaker-profiles.json'),
+    audit: path.join(dir, 'circuit-breaker-audit.jsonl')
+  };
+}
+
+function writeJson(file, data) {
+  const dir = path.dirname(file);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+function today(now = new Date()) {
+  return now.toISOString().split('T')[0];
+}
+
+// Start of the UTC week (Monday) or month containing `now`
+function periodStart(period, now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  if (period === 'week') {
+    start.setUTCDate(start.getUTCDate() - (start.getUTCDay() + 6) % 7);
+  } else if (period === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+/**
+ * When a breaker tripped at `from` expires
+ * @param {number|string} cooldown - Minutes, or end_of_day / end_of_week / end_of_month
+ * @param {Date} from - Trip time
+ * @returns {string|null} ISO expiry, or null when the breaker only lasts while its condition holds
+ */
+export function cooldownExpiry(cooldown, from = new Date()) {
+  if (cooldown === 'end_of_day') {
+    return new Date(periodStart('day', from).getTime() + MS_PER_DAY).toISOString();
+  }
+  if (cooldown === 'end_of_week') {
+    return new Date(periodStart('week', from).getTime() + 7 * MS_PER_DAY).toISOString();
+  }
+  if (cooldown === 'end_of_month') {
+    const start = periodStart('month', from);
+    return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1)).toISOString();
+  }
+  return cooldown > 0 ? new Date(from.getTime() + cooldown * MS_PER_MINUTE).toISOString() : null;
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {object} entry - Audit fields (event, account, ...)
+ * @param {object} options - { dir }
  */
-function loadBreakerState() {
+function appendAudit(entry, options = {}) {
   try {
-    if (!fs.existsSync(BREAKER_STATE_FILE)) {
-      const initialState = {
-        daily_pnl: 0,
-        last_reset_date: new Date().toISOString().split('T')[0],
-        breakers_tripped: [],
-        trades_today: 0
-      };
-      saveBreakerState(initialState);
-      return initialState;
+    const file = breakerPaths(options).audit;
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
     }
+    fs.appendFileSync(file, JSON.stringify({ at: new Date().toISOString(), ...entry }) + '\n');
+  } catch (error) {
+    console.error('Error writing breaker audit log:', error.message);
+  }
+}
+
+/**
+ * Read the audit log, newest first
+ * @param {object} filters - { account (includes its sleeves), sleeve, event, since (ISO date/time), limit (default 100) }
+ * @param {object} options - { dir }
+ * @returns {object} { total, entries }
+ */
+export function getBreakerAudit(filters = {}, options = {}) {
+  const { account, sleeve, event, since, limit = 100 } = filters;
+  const file = breakerPaths(options).audit;
+  if (!fs.existsSync(file)) {
+    return { total: 0, entries: [] };
+  }
 
-    const data = fs.readFileSync(BREAKER_STATE_FILE, 'utf8');
-    const state = JSON.parse(data);
-
-    // Reset daily counters if new day
-    const today = new Date().toISOString().split('T')[0];
-    if (state.last_reset_date !== today) {
-      state.daily_pnl = 0;
-      state.trades_today = 0;
-      state.breakers_tripped = [];
-      state.last_reset_date = today;
-      saveBreakerState(state);
+  const entries = fs.readFileSync(file, 'utf8').split('\n')
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch {
+        return null;
+      }
+    })
+    .filter(entry => entry &&
+      (!account || entry.account === account) &&
+      (!sleeve || entry.sleeve === sleeve) &&
+      (!event || entry.event === event) &&
+      (!since || entry.at >= since))
+    .reverse();
+
+  return { total: entries.length, entries: entries.slice(0, limit) };
+}
+
+function emptyAccountState(now = new Date()) {
+  return {
+    daily_pnl: 0,
+    last_reset_date: today(now),
+    breakers_tripped: [],
+    trades_today: 0,
+    trades: [],
+    streak_reset_at: null // Loss streaks only count trades after this (last reset or cooldown expiry)
+  };
+}
+
+/**
+ * Load circuit breaker state, migrating the single-account layout
+ * @param {object} options - { dir }
+ * @returns {object} { version, accounts: { ACCOUNT: account state } }
+ */
+function loadBreakerState(options = {}) {
+  const file = breakerPaths(options).state;
+  try {
+    if (!fs.existsSync(file)) {
+      return { version: 2, accounts: {} };
     }
 
-    return state;
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.accounts) return data;
+
+    // Single flat state: it becomes the default account; old trips last the day they tripped
+    const legacy = { ...emptyAccountState(), ...data, trades: [] };
+    legacy.breakers_tripped = (data.breakers_tripped || []).map(breaker => ({
+      ...breaker,
+      expires_at: breaker.expires_at || cooldownExpiry('end_of_day', new Date(breaker.triggered_at || Date.now()))
+    }));
+    return { version: 2, accounts: { [DEFAULT_ACCOUNT]: legacy } };
   } catch (error) {
     console.error('Error loading breaker state:', error.message);
-    return {
-      daily_pnl: 0,
-      last_reset_date: new Date().toISOString().split('T')[0],
-      breakers_tripped: [],
-      trades_today: 0
-    };
+    return { version: 2, accounts: {} };
   }
 }
 
 /**
  * Save circuit breaker state
  * @param {object} state - Breaker state
+ * @param {object} options - { dir }
  */
-function saveBreakerState(state) {
+function saveBreakerState(state, options = {}) {
   try {
-    const dir = path.dirname(BREAKER_STATE_FILE);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-    fs.writeFileSync(BREAKER_STATE_FILE, JSON.stringify(state, null, 2));
+    writeJson(breakerPaths(options).state, state);
   } catch (error) {
     console.error('Error saving breaker state:', error.message);
   }
 }
 
+// Audit fields for a scope key: the account, plus the sleeve when there is one
+function scopeFields(key) {
+  const { account, sleeve } = parseScopeKey(key);
+  return sleeve ? { account, sleeve } : { account };
+}
+
+/**
+ * One account's (or sleeve's) state with daily counters reset on a new day,
+ * expired breakers dropped (and audited) and old trades pruned
+ */
+function accountState(state, key, options = {}, now = new Date()) {
+  const current = state.accounts[key] || emptyAccountState(now);
+  current.trades = current.trades || [];
+
+  if (current.last_reset_date !== today(now)) {
+    current.daily_pnl = 0;
+    current.trades_today = 0;
+    current.last_reset_date = today(now);
+  }
+
+  const nowIso = now.toISOString();
+  const expired = current.breakers_tripped.filter(breaker => breaker.expires_at && breaker.expires_at <= nowIso);
+  if (expired.length > 0) {
+    current.breakers_tripped = current.breakers_tripped.filter(breaker => !expired.includes(breaker));
+    if (expired.some(breaker => breaker.type === 'CONSECUTIVE_LOSSES')) current.streak_reset_at = nowIso;
+    expired.forEach(breaker => appendAudit({
+      event: 'breaker_expired', ...scopeFields(key), type: breaker.type, triggered_at: breaker.triggered_at, expires_at: breaker.expires_at
+    }, options));
+  }
+
+  const cutoff = new Date(now.getTime() - TRADE_RETENTION_DAYS * MS_PER_DAY).toISOString();
+  current.trades = current.trades.filter(trade => trade.at >= cutoff);
+
+  state.accounts[key] = current;
+  return current;
+}
+
+
+// Largest fall from the running peak of cumulative trade P&L since `start`
+function drawdownSince(trades, start) {
+  let cumulative = 0;
+  let peak = 0;
+  let drawdown = 0;
+  trades.filter(trade => trade.at >= start.toISOString()).forEach(trade => {
+    cumulative += trade.pnl;
+    peak = Math.max(peak, cumulative);
+    drawdown = Math.max(drawdown, peak - cumulative);
+  });
+  return parseFloat(drawdown.toFixed(2));
+}
+
+// Losing trades in a row, counting only trades after `since`
+function consecutiveLosses(trades, since = null) {
+  let count = 0;
+  for (let i = trades.length - 1; i >= 0 && trades[i].pnl < 0 && !(since && trades[i].at <= since); i--) count++;
+  return count;
+}
+
+function tradeStats(current, now = new Date()) {
+  return {
+    trades_today: current.trades_today,
+    consecutive_losses: consecutiveLosses(current.trades, current.streak_reset_at),
+    weekly_drawdown: drawdownSince(current.trades, periodStart('week', now)),
+    monthly_drawdown: drawdownSince(current.trades, periodStart('month', now))
+  };
+}
+
+function normalizeSymbol(symbol) {
+  return symbol ? String(symbol).toUpperCase() : null;
+}
+
+/**
+ * Load breaker profiles
+ * @param {object} options - { dir }
+ * @returns {object} { default: { rules, cooldowns }, accounts: { NAME: ... }, symbols: { SYMBOL: ... } }
+ */
+export function loadBreakerProfiles(options = {}) {
+  const file = breakerPaths(options).profiles;
+  const empty = { default: { rules: {}, cooldowns: {} }, accounts: {}, symbols: {} };
+  try {
+    if (!fs.existsSync(file)) return empty;
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+      default: data.default || empty.default,
+      accounts: data.accounts || {},
+      symbols: data.symbols || {}
+    };
+  } catch (error) {
+    console.error('Error loading breaker profiles:', error.message);
+    return empty;
+  }
+}
+
+/**
+ * Effective configuration: DEFAULT_BREAKERS, then the default profile, the
+ * account's profile, the sleeve's profile and the symbol's profile
+ * @param {object} scope - { account, sleeve, symbol }
+ * @param {object} options - { dir }
+ * @returns {object} Breaker config with cooldowns (minutes or window per breaker type) and the profiles applied
+ */
+export function resolveBreakerConfig(scope = {}, options = {}) {
+  const profiles = loadBreakerProfiles(options);
+  const symbol = normalizeSymbol(scope.symbol);
+  const sleeveKey = scope.account && scope.sleeve ? scopeKey(scope.account, scope.sleeve) : null;
+  const layers = [
+    ['default', profiles.default],
+    scope.account && profiles.accounts[scope.account] ? [`account:${scope.account}`, profiles.accounts[scope.account]] : null,
+    sleeveKey && profiles.accounts[sleeveKey] ? [`sleeve:${sleeveKey}`, profiles.accounts[sleeveKey]] : null,
+    symbol && profiles.symbols[symbol] ? [`symbol:${symbol}`, profiles.symbols[symbol]] : null
+  ].filter(Boolean);
+
+  const config = { ...DEFAULT_BREAKERS, cooldowns: {}, profiles_applied: [] };
+  BREAKER_RULES.forEach(rule => { config.cooldowns[rule.type] = rule.cooldown; });
+  layers.forEach(([name, profile]) => {
+    Object.assign(config, profile.rules || {});
+    Object.assign(config.cooldowns, profile.cooldowns || {});
+    config.profiles_applied.push(name);
+  });
+  return config;
+}
+
+function validateProfile(rules = {}, cooldowns = {}) {
+  Object.entries(rules).forEach(([key, value]) => {
+    if (!(key in DEFAULT_BREAKERS)) {
+      throw new Error(`Unknown breaker rule: ${key}`);
+    }
+    if (key === 'enabled') {
+      if (typeof value !== 'boolean') throw new Error('enabled must be true or false');
+    } else if (value !== null && !(typeof value === 'number' && value >= 0)) {
+      throw new Error(`${key} must be a non-negative number or null`);
+    }
+  });
+  Object.entries(cooldowns).forEach(([type, value]) => {
+    if (!BREAKER_RULES.some(rule => rule.type === type)) {
+      throw new Error(`Unknown breaker type: ${type}`);
+    }
+    if (!COOLDOWN_WINDOWS.includes(value) && !(typeof value === 'number' && value >= 0)) {
+      throw new Error(`Cooldown for ${type} must be minutes or one of ${COOLDOWN_WINDOWS.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Create, change or remove a breaker profile
+ * @param {object} update - { scope: default|account|symbol, name (account or symbol), sleeve (with an account), rules, cooldowns, replace, remove }
+ * @param {object} options - { dir }
+ * @returns {object} { scope, name, profile (null when removed) }
+ */
+export function updateBreakerProfile(update = {}, options = {}) {
+  const { scope = 'default', rules = {}, cooldowns = {}, replace = false, remove = false } = update;
+  if (!['default', 'account', 'symbol'].includes(scope)) {
+    throw new Error(`Unknown profile scope: ${scope}`);
+  }
+  if (!update.name && scope !== 'default') {
+    throw new Error(`A ${scope} profile needs a name`);
+  }
+  if (update.sleeve && scope !== 'account') {
+    throw new Error('Only account profiles can target a sleeve');
+  }
+  const name = scope === 'symbol' ? normalizeSymbol(update.name)
+    : scope === 'account' ? scopeKey(update.name, update.sleeve) : update.name;
+  validateProfile(rules, cooldowns);
+
+  const profiles = loadBreakerProfiles(options);
+  const collection = scope === 'account' ? profiles.accounts : profiles.symbols;
+  const existing = scope === 'default' ? profiles.default : collection[name];
+
+  let profile = null;
+  if (remove) {
+    if (scope === 'default') profiles.default = { rules: {}, cooldowns: {} };
+    else delete collection[name];
+  } else {
+    profile = {
+      rules: { ...(replace ? {} : existing?.rules), ...rules },
+      cooldowns: { ...(replace ? {} : existing?.cooldowns), ...cooldowns },
+      updated_at: new Date().toISOString()
+    };
+    if (scope === 'default') profiles.default = profile;
+    else collection[name] = profile;
+  }
+
+  writeJson(breakerPaths(options).profiles, profiles);
+  appendAudit({ event: remove ? 'profile_removed' : 'profile_updated', scope, name: name || 'default', rules, cooldowns }, options);
+  return { scope, name: name || 'default', profile };
+}
+
 /**
  * Check if circuit breakers should trip
- * @param {object} context - Trading context (account size, current positions, market data)
- * @param {object} config - Circuit breaker configuration
+ * @param {object} context - Trading context (account, sleeve, symbol, account size (default: the registered account or sleeve capital), current positions, market data, net vega/gamma, correlation report)
+ * @param {object} config - Circuit breaker configuration (default: resolved from the profiles for the account, sleeve and symbol)
+ * @param {object} options - { dir }
  * @returns {object} Breaker check result
  */
-export function checkCircuitBreakers(context, config = DEFAULT_BREAKERS) {
-  if (!config.enabled) {
+export function checkCircuitBreakers(context, config = null, options = {}) {
+  const account = context.account || DEFAULT_ACCOUNT;
+  const sleeve = context.sleeve || null;
+  const key = scopeKey(account, sleeve);
+  const symbol = normalizeSymbol(context.symbol);
+  const effective = config
+    ? { ...DEFAULT_BREAKERS, ...config, cooldowns: { ...Object.fromEntries(BREAKER_RULES.map(r => [r.type, r.cooldown])), ...config.cooldowns } }
+    : resolveBreakerConfig({ account, sleeve, symbol }, options);
+
+  if (!effective.enabled) {
     return {
+      account,
+      ...(sleeve ? { sleeve } : {}),
       trading_allowed: true,
+      new_positions_allowed: true,
       breakers_tripped: [],
       warnings: [],
       message: 'Circuit breakers disabled'
     };
   }
 
-  const state = loadBreakerState();
+  const now = new Date();
+  const state = loadBreakerState(options);
+  const current = accountState(state, key, options, now);
+  // Breakers tripped on the whole account bind each of its sleeves
+  const parent = sleeve ? accountState(state, account, options, now) : null;
   const breakers_tripped = [];
   const warnings = [];
 
   const {
-    account_size,
-    daily_pnl = state.daily_pnl,
+    account_size = scopeCapital(account, sleeve, options) ?? undefined,
+    daily_pnl = current.daily_pnl,
     portfolio_risk,
     vix_level,
-    positions = []
+    positions = [],
+    correlation
   } = context;
 
-  // Check 1: Daily loss limit (absolute)
-  if (daily_pnl < -config.max_daily_loss) {
-    breakers_tripped.push({
-      type: 'MAX_DAILY_LOSS',
-      severity: 'CRITICAL',
-      message: `Daily loss $${Math.abs(daily_pnl).toFixed(2)} exceeds limit of $${config.max_daily_loss}`,
-      action: 'HALT_ALL_TRADING',
-      triggered_at: new Date().toISOString()
-    });
-  }
+  const inputs = {
+    account_size,
+    daily_pnl,
+    portfolio_risk,
+    vix_level,
+    correlation,
+    net_vega: context.net_vega ?? context.portfolio_greeks?.net_vega,
+    net_gamma: context.net_gamma ?? context.portfolio_greeks?.net_gamma,
+    ...tradeStats(current, now)
+  };
 
-  // Check 2: Daily loss limit (percentage)
-  if (account_size && daily_pnl / account_size < -config.max_daily_loss_pct) {
-    const lossPct = Math.abs(daily_pnl / account_size * 100);
-    breakers_tripped.push({
-      type: 'MAX_DAILY_LOSS_PCT',
-      severity: 'CRITICAL',
-      message: `Daily loss ${lossPct.toFixed(2)}% exceeds limit of ${config.max_daily_loss_pct * 100}%`,
-      action: 'HALT_ALL_TRADING',
-      triggered_at: new Date().toISOString()
-    });
-  }
+  BREAKER_RULES.forEach(rule => {
+    const limit = effective[rule.key];
+    if (limit === null || limit === undefined) return;
 
-  // Check 3: Portfolio risk limit
-  if (portfolio_risk && account_size) {
-    const riskPct = portfolio_risk / account_size;
-    if (riskPct > config.max_portfolio_risk_pct) {
+    const result = rule.evaluate(inputs, limit);
+    const trips = Array.isArray(result) ? result : result ? [{ message: result }] : [];
+    trips.forEach(trip => {
+      const cooldown = effective.cooldowns[rule.type];
       breakers_tripped.push({
-        type: 'MAX_PORTFOLIO_RISK',
-        severity: 'HIGH',
-        message: `Portfolio risk ${(riskPct * 100).toFixed(1)}% exceeds limit of ${config.max_portfolio_risk_pct * 100}%`,
-        action: 'NO_NEW_POSITIONS',
-        triggered_at: new Date().toISOString()
+        type: rule.type,
+        severity: rule.severity,
+        message: trip.message,
+        action: rule.action,
+        ...(trip.symbols ? { symbols: trip.symbols } : {}),
+        triggered_at: now.toISOString(),
+        expires_at: cooldownExpiry(cooldown, now)
       });
-    }
-  }
-
-  // Check 4: VIX spike (extreme volatility)
-  if (vix_level && vix_level > config.vix_spike_threshold) {
-    breakers_tripped.push({
-      type: 'VIX_SPIKE',
-      severity: 'HIGH',
-      message: `VIX at ${vix_level.toFixed(1)} exceeds threshold of ${config.vix_spike_threshold}`,
-      action: 'REDUCE_EXPOSURE',
-      triggered_at: new Date().toISOString()
     });
-  }
+  });
 
-  // Check 5: Individual position losses
+  // Individual position losses, against each position's symbol profile
   if (positions && positions.length > 0) {
     positions.forEach(pos => {
-      if (pos.pnl && pos.pnl.profit_pct <= -config.max_position_loss_pct * 100) {
+      const limit = config ? effective.max_position_loss_pct
+        : resolveBreakerConfig({ account, sleeve, symbol: pos.symbol }, options).max_position_loss_pct;
+      if (limit !== null && pos.pnl && pos.pnl.profit_pct <= -limit * 100) {
         warnings.push({
           type: 'POSITION_STOP_LOSS',
           severity: 'HIGH',
@@ -177,63 +600,129 @@ export function checkCircuitBreakers(context, config = DEFAULT_BREAKERS) {
   }
 
   // Warnings (not full breakers)
-  if (daily_pnl < -config.max_daily_loss * 0.7) {
+  if (effective.max_daily_loss !== null && daily_pnl < -effective.max_daily_loss * 0.7) {
     warnings.push({
       type: 'APPROACHING_DAILY_LIMIT',
       severity: 'MEDIUM',
-      message: `Daily P&L $${daily_pnl.toFixed(2)} approaching limit of -$${config.max_daily_loss}`,
+      message: `Daily P&L $${daily_pnl.toFixed(2)} approaching limit of -$${effective.max_daily_loss}`,
       action: 'MONITOR_CLOSELY'
     });
   }
 
-  // Update state
-  state.daily_pnl = daily_pnl;
-  if (breakers_tripped.length > 0) {
-    state.breakers_tripped = [...state.breakers_tripped, ...breakers_tripped];
+  // Breakers still cooling down from earlier trips stay in force
+  const breakerKey = breaker => `${breaker.type}:${(breaker.symbols || []).join(',')}`;
+  const freshKeys = new Set(breakers_tripped.map(breakerKey));
+  const coolingDown = current.breakers_tripped
+    .filter(breaker => !freshKeys.has(breakerKey(breaker)))
+    .map(breaker => ({ ...breaker, cooling_down: true }));
+  if (parent) {
+    coolingDown.push(...parent.breakers_tripped.map(breaker => ({ ...breaker, cooling_down: true, inherited_from: account })));
   }
-  saveBreakerState(state);
 
-  const trading_allowed = breakers_tripped.length === 0 ||
-    !breakers_tripped.some(b => b.action === 'HALT_ALL_TRADING');
+  // Update state: persist new trips that outlast this check, keeping the original trip time
+  current.daily_pnl = daily_pnl;
+  const activeKeys = new Set(current.breakers_tripped.map(breakerKey));
+  current.breakers_tripped.push(...breakers_tripped.filter(b => b.expires_at && !activeKeys.has(breakerKey(b))));
+  saveBreakerState(state, options);
+
+  const active = [...breakers_tripped, ...coolingDown];
+  const trading_allowed = !active.some(b => b.action === 'HALT_ALL_TRADING');
+  const restricted_symbols = [...new Set(active.flatMap(b => b.symbols || []))];
+  // A symbol that would deepen a correlated cluster may not be opened either
+  const new_positions_allowed = !active.some(b =>
+    b.action === 'HALT_ALL_TRADING' || b.action === 'NO_NEW_POSITIONS' ||
+    (b.action === 'NO_NEW_CORRELATED_POSITIONS' && symbol && (b.symbols || []).includes(symbol))
+  );
+  const correlationOnly = active.length > 0 && active.every(b => b.action === 'NO_NEW_CORRELATED_POSITIONS');
+
+  appendAudit({
+    event: 'evaluation',
+    ...scopeFields(key),
+    symbol,
+    profiles: effective.profiles_applied || ['custom'],
+    inputs: {
+      account_size, daily_pnl, portfolio_risk, vix_level,
+      net_vega: inputs.net_vega, net_gamma: inputs.net_gamma, positions: positions.length
+    },
+    tripped: breakers_tripped.map(b => b.type),
+    cooling_down: coolingDown.map(b => b.type),
+    warnings: warnings.map(w => w.type),
+    trading_allowed,
+    new_positions_allowed
+  }, options);
 
   return {
+    account,
+    ...(sleeve ? { sleeve } : {}),
+    account_size: account_size ?? null,
     trading_allowed,
-    new_positions_allowed: !breakers_tripped.some(b =>
-      b.action === 'HALT_ALL_TRADING' || b.action === 'NO_NEW_POSITIONS'
-    ),
-    breakers_tripped,
+    new_positions_allowed,
+    // Underlyings where adding exposure deepens a correlated cluster
+    restricted_symbols,
+    breakers_tripped: active,
     warnings,
-    state,
-    message: breakers_tripped.length > 0 ?
-      `⚠️  ${breakers_tripped.length} circuit breaker(s) tripped` :
+    state: current,
+    profiles_applied: effective.profiles_applied || ['custom'],
+    message: active.length > 0 ?
+      `⚠️  ${active.length} circuit breaker(s) tripped` :
       warnings.length > 0 ?
         `⚠️  ${warnings.length} warning(s)` :
         '✅ All systems normal',
-    recommendation: breakers_tripped.length > 0 ?
-      'STOP TRADING - Review positions and reset breakers manually' :
-      warnings.length > 0 ?
-        'CAUTION - Monitor positions closely' :
-        'Continue trading within risk limits'
+    recommendation: correlationOnly ?
+      `AVOID NEW POSITIONS in ${restricted_symbols.join(', ')} - other trading may continue` :
+      active.length > 0 ?
+        'STOP TRADING - Review positions and reset breakers manually' :
+        warnings.length > 0 ?
+          'CAUTION - Monitor positions closely' :
+          'Continue trading within risk limits'
   };
 }
 
 /**
- * Record a trade for daily tracking
+ * Record a trade for daily tracking, loss streaks and drawdowns.
+ * A sleeve's trade counts toward both the sleeve and its account.
  * @param {number} pnl - Trade P&L
+ * @param {object} details - { account, sleeve, symbol, position_id }
+ * @param {object} options - { dir }
+ * @returns {object} The account's (or sleeve's) counters after the trade
  */
-export function recordTrade(pnl) {
-  const state = loadBreakerState();
-  state.daily_pnl += pnl;
-  state.trades_today += 1;
-  saveBreakerState(state);
+export function recordTrade(pnl, details = {}, options = {}) {
+  const account = details.account || DEFAULT_ACCOUNT;
+  const sleeve = details.sleeve || null;
+  const now = new Date();
+  const state = loadBreakerState(options);
+  const trade = {
+    at: now.toISOString(),
+    pnl,
+    ...(details.symbol ? { symbol: normalizeSymbol(details.symbol) } : {}),
+    ...(details.position_id ? { position_id: details.position_id } : {})
+  };
+
+  const scopes = sleeve ? [scopeKey(account, sleeve), account] : [account];
+  const [current] = scopes.map(key => {
+    const scoped = accountState(state, key, options, now);
+    scoped.daily_pnl += pnl;
+    scoped.trades_today += 1;
+    scoped.trades.push(trade);
+    return scoped;
+  });
+  saveBreakerState(state, options);
+  appendAudit({
+    event: 'trade_recorded', account, ...(sleeve ? { sleeve } : {}),
+    pnl, symbol: normalizeSymbol(details.symbol), position_id: details.position_id
+  }, options);
+
+  return { account, ...(sleeve ? { sleeve } : {}), daily_pnl: current.daily_pnl, ...tradeStats(current, now) };
 }
 
 /**
  * Manually reset circuit breakers (use with caution)
  * @param {string} resetCode - Confirmation code
+ * @param {object} request - { account, sleeve, types (default all), reason }
+ * @param {object} options - { dir }
  * @returns {object} Reset result
  */
-export function resetCircuitBreakers(resetCode) {
+export function resetCircuitBreakers(resetCode, request = {}, options = {}) {
   if (resetCode !== 'RESET_CONFIRMED') {
     return {
       success: false,
@@ -241,12 +730,26 @@ export function resetCircuitBreakers(resetCode) {
     };
   }
 
-  const state = loadBreakerState();
-  state.breakers_tripped = [];
-  saveBreakerState(state);
+  const account = request.account || DEFAULT_ACCOUNT;
+  const sleeve = request.sleeve || null;
+  const state = loadBreakerState(options);
+  const current = accountState(state, scopeKey(account, sleeve), options);
+  const cleared = current.breakers_tripped.filter(breaker => !request.types || request.types.includes(breaker.type));
+  current.breakers_tripped = current.breakers_tripped.filter(breaker => !cleared.includes(breaker));
+  // A cleared streak starts over; otherwise the losses already recorded would trip it again
+  if (!request.types || request.types.includes('CONSECUTIVE_LOSSES')) {
+    current.streak_reset_at = new Date().toISOString();
+  }
+  saveBreakerState(state, options);
+  appendAudit({
+    event: 'reset', account, ...(sleeve ? { sleeve } : {}), cleared: cleared.map(b => b.type), reason: request.reason || null
+  }, options);
 
   return {
     success: true,
+    account,
+    ...(sleeve ? { sleeve } : {}),
+    cleared: cleared.map(b => b.type),
     message: 'Circuit breakers reset. Trading resumed.',
     warning: 'Use caution - address root cause before continuing'
   };
@@ -254,26 +757,104 @@ export function resetCircuitBreakers(resetCode) {
 
 /**
  * Get current breaker status
+ * @param {string} scope - Account or "ACCOUNT/SLEEVE" (default: the default account)
+ * @param {object} options - { dir }
  * @returns {object} Current status
  */
-export function getBreakerStatus() {
-  const state = loadBreakerState();
-  const isTrading = state.breakers_tripped.length === 0;
+export function getBreakerStatus(scope = DEFAULT_ACCOUNT, options = {}) {
+  const { account, sleeve } = parseScopeKey(scope);
+  const now = new Date();
+  const state = loadBreakerState(options);
+  const current = accountState(state, scopeKey(account, sleeve), options, now);
+  saveBreakerState(state, options);
+  const isTrading = !current.breakers_tripped.some(b => b.action === 'HALT_ALL_TRADING');
 
   return {
-    status: isTrading ? 'ACTIVE' : 'TRIPPED',
-    daily_pnl: state.daily_pnl,
-    trades_today: state.trades_today,
-    last_reset: state.last_reset_date,
-    breakers_tripped: state.breakers_tripped,
-    trading_allowed: isTrading
+    account,
+    ...(sleeve ? { sleeve } : {}),
+    status: current.breakers_tripped.length === 0 ? 'ACTIVE' : 'TRIPPED',
+    daily_pnl: current.daily_pnl,
+    trades_today: current.trades_today,
+    last_reset: current.last_reset_date,
+    breakers_tripped: current.breakers_tripped,
+    trading_allowed: isTrading,
+    ...tradeStats(current, now),
+    config: resolveBreakerConfig({ account, sleeve }, options)
+  };
+}
+
+/**
+ * Check every account and sleeve: registered ones, ones with breaker state
+ * and ones holding positions
+ * @param {object} context - Shared context (vix_level, positions across all accounts) and
+ *   scopes: { "ACCOUNT" | "ACCOUNT/SLEEVE": per-scope context (account_size, daily_pnl, portfolio_risk, net_vega, ...) }
+ * @param {object} options - { dir }
+ * @returns {object} { accounts: check per scope, aggregate: totals across accounts }
+ */
+export function checkAllAccounts(context = {}, options = {}) {
+  const { scopes = {}, positions = [], ...shared } = context;
+  const { accounts: registered } = loadAccounts(options);
+  const keys = new Set([
+    ...Object.entries(registered).flatMap(([name, account]) =>
+      [name, ...Object.keys(account.sleeves || {}).map(sleeve => scopeKey(name, sleeve))]),
+    ...Object.keys(loadBreakerState(options).accounts),
+    ...positions.map(pos => scopeKey(pos.account, pos.sleeve)),
+    ...positions.map(pos => scopeKey(pos.account)),
+    ...Object.keys(scopes)
+  ]);
+
+  const accounts = [...keys].sort().map(key => {
+    const { account, sleeve } = parseScopeKey(key);
+    return checkCircuitBreakers({
+      ...shared,
+      ...scopes[key],
+      account,
+      sleeve,
+      positions: filterByScope(positions, { account, sleeve })
+    }, null, options);
+  });
+
+  // Sleeve P&L is already part of its account's, so totals use whole accounts only
+  const whole = accounts.filter(result => !result.sleeve);
+  const dailyPnl = whole.reduce((sum, result) => sum + (result.state?.daily_pnl || 0), 0);
+  const capital = whole.reduce((sum, result) => sum + (result.account_size || 0), 0);
+  const halted = accounts.filter(result => !result.trading_allowed).map(result => scopeKey(result.account, result.sleeve));
+  const restricted = accounts.filter(result => result.trading_allowed && !result.new_positions_allowed)
+    .map(result => scopeKey(result.account, result.sleeve));
+
+  return {
+    accounts,
+    aggregate: {
+      accounts_checked: whole.length,
+      sleeves_checked: accounts.length - whole.length,
+      total_daily_pnl: parseFloat(dailyPnl.toFixed(2)),
+      total_capital: parseFloat(capital.toFixed(2)),
+      daily_pnl_pct: capital > 0 ? parseFloat((dailyPnl / capital * 100).toFixed(2)) : null,
+      breakers_tripped: accounts.reduce((sum, result) => sum + result.breakers_tripped.length, 0),
+      halted,
+      new_positions_blocked: restricted,
+      trading_allowed: halted.length === 0,
+      message: halted.length > 0
+        ? `⚠️  Trading halted in ${halted.join(', ')}`
+        : restricted.length > 0
+          ? `⚠️  New positions blocked in ${restricted.join(', ')}`
+          : '✅ All accounts normal'
+    }
   };
 }
 
 export default {
   DEFAULT_BREAKERS,
+  BREAKER_RULES,
+  COOLDOWN_WINDOWS,
+  cooldownExpiry,
+  loadBreakerProfiles,
+  resolveBreakerConfig,
+  updateBreakerProfile,
   checkCircuitBreakers,
   recordTrade,
   resetCircuitBreakers,
-  getBreakerStatus
+  getBreakerStatus,
+  checkAllAccounts,
+  getBreakerAudit
 };
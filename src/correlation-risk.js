@@ -0,0 +1,414 @@
+/**
+ * Correlation Risk Module
+ *
+ * Measures how much of a portfolio is really one bet:
+ * - Daily log returns per underlying from historical bars, aligned on the
+ *   dates every series shares
+ * - Correlation and (annualized) covariance matrices across held underlyings
+ *   and the benchmark, with each underlying's beta to the benchmark
+ * - Beta-weighted delta and gamma (in benchmark shares) and dollar delta per
+ *   underlying, so exposure across unrelated names adds up meaningfully
+ * - Clusters of underlyings whose positions move together: highly correlated
+ *   with deltas in the same direction (or anti-correlated with opposite ones)
+ *
+ * Option deltas come from the legs' Greeks, or the pricing model when legs
+ * carry only an IV or price (prepareLegsForRevaluation).
+ */
+
+import { prepareLegsForRevaluation } from './portfolio-greeks.js';
+
+export const TRADING_DAYS_PER_YEAR = 252;
+
+// Positions with less beta-weighted delta than this are treated as non-directional
+const DIRECTIONAL_DELTA = 1;
+
+function round(value, digits = 4) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+function barDate(bar) {
+  return new Date(bar.t).toISOString().split('T')[0];
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function covariance(a, b) {
+  const meanA = mean(a);
+  const meanB = mean(b);
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - meanA) * (b[i] - meanB);
+  }
+  return sum / (a.length - 1);
+}
+
+/**
+ * Daily log returns keyed by date
+ * @param {Array} bars - Daily bars ({ t, c }) in any order
+ * @returns {Object} { 'YYYY-MM-DD': log return }
+ */
+export function dailyReturns(bars = []) {
+  const sorted = bars.filter(bar => bar.c > 0 && Number.isFinite(bar.t)).sort((a, b) => a.t - b.t);
+  const returns = {};
+  for (let i = 1; i < sorted.length; i++) {
+    returns[barDate(sorted[i])] = Math.log(sorted[i].c / sorted[i - 1].c);
+  }
+  return returns;
+}
+
+/**
+ * Correlation and covariance across return series, on the dates all series share
+ * @param {Object} returnsBySymbol - { SYMBOL: { date: return } }
+ * @param {object} options - { min_observations (default 20) }
+ * @returns {object} { symbols, observations, volatility, correlation, covariance, excluded }
+ */
+export function buildCorrelationMatrix(returnsBySymbol = {}, options = {}) {
+  const { min_observations = 20 } = options;
+
+  const excluded = [];
+  const symbols = Object.keys(returnsBySymbol).filter(symbol => {
+    const count = Object.keys(returnsBySymbol[symbol] || {}).length;
+    if (count < min_observations) {
+      excluded.push({ symbol, reason: `Only ${count} daily returns (need ${min_observations})` });
+      return false;
+    }
+    return true;
+  });
+
+  const dates = symbols.length === 0 ? [] : Object.keys(returnsBySymbol[symbols[0]])
+    .filter(date => symbols.every(symbol => returnsBySymbol[symbol][date] !== undefined))
+    .sort();
+
+  if (symbols.length > 0 && dates.length < min_observations) {
+    return {
+      symbols: [],
+      observations: dates.length,
+      volatility: {},
+      correlation: {},
+      covariance: {},
+      excluded: [...excluded, ...symbols.map(symbol => ({ symbol, reason: `Only ${dates.length} shared trading days (need ${min_observations})` }))]
+    };
+  }
+
+  const series = {};
+  symbols.forEach(symbol => { series[symbol] = dates.map(date => returnsBySymbol[symbol][date]); });
+
+  const dailyCov = {};
+  symbols.forEach(a => {
+    dailyCov[a] = {};
+    symbols.forEach(b => { dailyCov[a][b] = dailyCov[b]?.[a] ?? covariance(series[a], series[b]); });
+  });
+
+  const volatility = {};
+  const correlation = {};
+  const annualCov = {};
+  symbols.forEach(a => {
+    volatility[a] = round(Math.sqrt(dailyCov[a][a] * TRADING_DAYS_PER_YEAR));
+    correlation[a] = {};
+    annualCov[a] = {};
+    symbols.forEach(b => {
+      const denominator = Math.sqrt(dailyCov[a][a] * dailyCov[b][b]);
+      correlation[a][b] = a === b ? 1 : round(denominator > 0 ? dailyCov[a][b] / denominator : 0);
+      annualCov[a][b] = round(dailyCov[a][b] * TRADING_DAYS_PER_YEAR, 6);
+    });
+  });
+
+  return { symbols, observations: dates.length, volatility, correlation, covariance: annualCov, excluded };
+}
+
+/**
+ * Beta of each series to the benchmark from an annualized covariance matrix
+ * @param {object} matrix - From buildCorrelationMatrix (benchmark included)
+ * @param {string} benchmark - Benchmark symbol
+ * @returns {Object} { SYMBOL: beta }
+ */
+export function calculateBetas(matrix, benchmark) {
+  const benchmarkVar = matrix.covariance[benchmark]?.[benchmark];
+  const betas = {};
+  if (!(benchmarkVar > 0)) return betas;
+  matrix.symbols.forEach(symbol => {
+    betas[symbol] = round(matrix.covariance[symbol][benchmark] / benchmarkVar);
+  });
+  return betas;
+}
+
+/**
+ * Share-equivalent delta and gamma per underlying from open option legs and held shares
+ * Legs with Greeks are used as given; the rest are model-priced from their IV
+ * or price (prepareLegsForRevaluation).
+ * @param {Array} positions - Positions with legs (and optional shares from assignment)
+ * @param {object} config - { contract_multiplier, underlying_prices, ... } (see prepareLegsForRevaluation)
+ * @returns {object} { by_symbol: { SYMBOL: { delta, gamma, position_ids } }, skipped }
+ */
+export function aggregateUnderlyingExposure(positions = [], config = {}) {
+  const { contract_multiplier = 100 } = config;
+  const hasGreeks = leg => leg.greeks && Number.isFinite(leg.greeks.delta);
+
+  const bySymbol = {};
+  const add = (symbol, positionId, delta, gamma) => {
+    bySymbol[symbol] = bySymbol[symbol] || { delta: 0, gamma: 0, position_ids: [] };
+    bySymbol[symbol].delta += delta;
+    bySymbol[symbol].gamma += gamma;
+    if (!bySymbol[symbol].position_ids.includes(positionId)) bySymbol[symbol].position_ids.push(positionId);
+  };
+
+  const toModel = [];
+  positions.forEach((position, index) => {
+    const positionId = position.id || `position_${index + 1}`;
+    const symbol = String(position.symbol || '').toUpperCase();
+    const legs = (position.legs || []).filter(leg => !leg.status || leg.status === 'open');
+
+    legs.filter(hasGreeks).forEach(leg => {
+      const sign = (leg.action === 'buy' || leg.position === 'long') ? 1 : -1;
+      const shares = sign * (leg.quantity || 1) * (position.contracts || leg.contracts || 1) * contract_multiplier;
+      add(symbol, positionId, leg.greeks.delta * shares, (leg.greeks.gamma || 0) * shares);
+    });
+
+    const unpriced = legs.filter(leg => !hasGreeks(leg));
+    if (unpriced.length > 0) {
+      toModel.push({ ...position, id: positionId, symbol, legs: unpriced });
+    }
+
+    const quantity = position.shares?.quantity || 0;
+    if (quantity !== 0) add(symbol, positionId, quantity, 0);
+  });
+
+  const { legs, skipped } = prepareLegsForRevaluation(toModel, config);
+  legs.forEach(leg => add(leg.symbol, leg.position_id, (leg.greeks.delta || 0) * leg.shares, (leg.greeks.gamma || 0) * leg.shares));
+
+  return { by_symbol: bySymbol, skipped };
+}
+
+/**
+ * Beta-weighted exposure in benchmark terms
+ * A 1-point benchmark move moves the underlying beta * price / benchmark_price
+ * points, so delta scales by that ratio and gamma by its square.
+ * @param {Object} bySymbol - From aggregateUnderlyingExposure
+ * @param {object} market - { prices, betas, benchmark, benchmark_price }
+ * @returns {object} Per-underlying and total beta-weighted delta, gamma and dollar delta
+ */
+export function betaWeightedExposure(bySymbol, market) {
+  const { prices = {}, betas = {}, benchmark, benchmark_price } = market;
+  const underlyings = [];
+  const unweighted = [];
+  let totalDelta = 0;
+  let totalGamma = 0;
+  let totalDollarDelta = 0;
+
+  Object.entries(bySymbol).forEach(([symbol, exposure]) => {
+    const price = prices[symbol];
+    const beta = symbol === benchmark ? 1 : betas[symbol];
+    const dollarDelta = Number.isFinite(price) ? exposure.delta * price : null;
+
+    let weightedDelta = null;
+    let weightedGamma = null;
+    if (Number.isFinite(price) && Number.isFinite(beta) && benchmark_price > 0) {
+      const ratio = beta * price / benchmark_price;
+      weightedDelta = exposure.delta * ratio;
+      weightedGamma = exposure.gamma * ratio * ratio;
+      totalDelta += weightedDelta;
+      totalGamma += weightedGamma;
+    } else {
+      unweighted.push(symbol);
+    }
+    if (dollarDelta !== null) totalDollarDelta += dollarDelta;
+
+    underlyings.push({
+      symbol,
+      price: round(price, 2),
+      beta: round(beta),
+      delta: round(exposure.delta, 2),
+      gamma: round(exposure.gamma),
+      dollar_delta: round(dollarDelta, 2),
+      beta_weighted_delta: round(weightedDelta, 2),
+      beta_weighted_gamma: round(weightedGamma),
+      beta_weighted_dollar_delta: round(weightedDelta !== null ? weightedDelta * benchmark_price : null, 2),
+      position_ids: exposure.position_ids
+    });
+  });
+
+  return {
+    benchmark,
+    benchmark_price: round(benchmark_price, 2),
+    beta_weighted_delta: round(totalDelta, 2),
+    beta_weighted_gamma: round(totalGamma),
+    beta_weighted_dollar_delta: round(totalDelta * (benchmark_price || 0), 2),
+    dollar_delta: round(totalDollarDelta, 2),
+    // P&L for a 1% benchmark move, delta only
+    pnl_per_1pct_benchmark_move: round(totalDelta * (benchmark_price || 0) * 0.01, 2),
+    underlyings,
+    unweighted
+  };
+}
+
+/**
+ * Correlated pairs of held underlyings, with whether their positions point the same way
+ * @param {object} matrix - From buildCorrelationMatrix
+ * @param {Array} underlyings - betaWeightedExposure().underlyings
+ * @returns {Array} [{ symbols, correlation, same_direction, effective_correlation }]
+ */
+export function correlationPairs(matrix, underlyings) {
+  const held = underlyings.filter(u => matrix.symbols.includes(u.symbol));
+  const direction = (u) => {
+    const delta = u.beta_weighted_delta ?? u.delta;
+    return Math.abs(delta) < DIRECTIONAL_DELTA ? 0 : Math.sign(delta);
+  };
+
+  const pairs = [];
+  for (let i = 0; i < held.length; i++) {
+    for (let j = i + 1; j < held.length; j++) {
+      const correlation = matrix.correlation[held[i].symbol][held[j].symbol];
+      const product = direction(held[i]) * direction(held[j]);
+      // Non-directional positions (delta-neutral) share the underlyings' co-movement as is
+      const effective = product === 0 ? Math.abs(correlation) : correlation * product;
+      pairs.push({
+        symbols: [held[i].symbol, held[j].symbol],
+        correlation,
+        same_direction: product === 0 ? null : product > 0,
+        effective_correlation: round(effective)
+      });
+    }
+  }
+  return pairs.sort((a, b) => b.effective_correlation - a.effective_correlation);
+}
+
+/**
+ * Group underlyings that are effectively the same bet: connected by pairs whose
+ * effective correlation (correlation signed by the positions' directions) meets the threshold
+ * @param {Array} pairs - From correlationPairs
+ * @param {number} threshold - Minimum effective correlation
+ * @returns {Array} [{ symbols, min_correlation, pairs }]
+ */
+export function findCorrelationClusters(pairs = [], threshold = 0.85) {
+  const parent = {};
+  const find = (symbol) => {
+    while (parent[symbol] !== symbol) symbol = parent[symbol];
+    return symbol;
+  };
+
+  const linked = pairs.filter(pair => pair.effective_correlation >= threshold);
+  linked.forEach(({ symbols: [a, b] }) => {
+    parent[a] = parent[a] ?? a;
+    parent[b] = parent[b] ?? b;
+    parent[find(a)] = find(b);
+  });
+
+  const groups = {};
+  Object.keys(parent).forEach(symbol => {
+    const rootSymbol = find(symbol);
+    groups[rootSymbol] = groups[rootSymbol] || [];
+    groups[rootSymbol].push(symbol);
+  });
+
+  return Object.values(groups).map(symbols => {
+    const clusterPairs = linked.filter(pair => symbols.includes(pair.symbols[0]));
+    return {
+      symbols: symbols.sort(),
+      min_correlation: Math.min(...clusterPairs.map(pair => pair.effective_correlation)),
+      pairs: clusterPairs
+    };
+  });
+}
+
+/**
+ * Full correlation and beta-weighted risk report for a set of positions
+ * @param {Array} positions - Positions with legs (Greeks, IV or price per leg) and optional shares
+ * @param {Object} barsBySymbol - { SYMBOL: daily bars }, benchmark included
+ * @param {object} options - { benchmark, underlying_prices, correlation_threshold, min_observations, rate, dividend_yield }
+ * @returns {object} Correlation matrix, betas, beta-weighted exposure, correlated clusters and warnings
+ */
+export function analyzeCorrelationRisk(positions = [], barsBySymbol = {}, options = {}) {
+  const {
+    benchmark = 'SPY',
+    underlying_prices = {},
+    correlation_threshold = 0.85,
+    min_observations = 20
+  } = options;
+
+  const returnsBySymbol = {};
+  const prices = {};
+  Object.entries(barsBySymbol).forEach(([symbol, bars]) => {
+    returnsBySymbol[symbol] = dailyReturns(bars);
+    const last = [...(bars || [])].sort((a, b) => b.t - a.t)[0];
+    if (last?.c > 0) prices[symbol] = last.c;
+  });
+  Object.assign(prices, underlying_prices);
+
+  const matrix = buildCorrelationMatrix(returnsBySymbol, { min_observations });
+  const betas = calculateBetas(matrix, benchmark);
+  const { by_symbol, skipped } = aggregateUnderlyingExposure(positions, { ...options, underlying_prices: prices });
+  const exposure = betaWeightedExposure(by_symbol, {
+    prices,
+    betas,
+    benchmark,
+    benchmark_price: prices[benchmark]
+  });
+
+  const pairs = correlationPairs(matrix, exposure.underlyings);
+  const clusters = findCorrelationClusters(pairs, correlation_threshold).map(cluster => {
+    const members = exposure.underlyings.filter(u => cluster.symbols.includes(u.symbol));
+    return {
+      ...cluster,
+      position_ids: members.flatMap(u => u.position_ids),
+      beta_weighted_delta: round(members.reduce((sum, u) => sum + (u.beta_weighted_delta || 0), 0), 2),
+      dollar_delta: round(members.reduce((sum, u) => sum + (u.dollar_delta || 0), 0), 2)
+    };
+  });
+
+  // One-day, one-sigma P&L of the dollar deltas, with and without diversification
+  const held = exposure.underlyings.filter(u => matrix.symbols.includes(u.symbol) && u.dollar_delta !== null);
+  let variance = 0;
+  held.forEach(a => held.forEach(b => {
+    variance += a.dollar_delta * b.dollar_delta * matrix.covariance[a.symbol][b.symbol] / TRADING_DAYS_PER_YEAR;
+  }));
+  const deltaRisk = Math.sqrt(Math.max(variance, 0));
+  const undiversified = held.reduce((sum, u) =>
+    sum + Math.abs(u.dollar_delta) * matrix.volatility[u.symbol] / Math.sqrt(TRADING_DAYS_PER_YEAR), 0);
+
+  const warnings = [];
+  clusters.forEach(cluster => {
+    warnings.push(`⚠️  ${cluster.symbols.join(', ')} are effectively one bet (correlation ≥ ${cluster.min_correlation}, ${cluster.position_ids.length} positions, beta-weighted delta ${cluster.beta_weighted_delta})`);
+  });
+  if (exposure.unweighted.length > 0) {
+    warnings.push(`Not beta-weighted (no price or return history): ${exposure.unweighted.join(', ')}`);
+  }
+  if (skipped.length > 0) {
+    warnings.push(`${skipped.length} leg(s) without Greeks, IV or price were left out of delta`);
+  }
+
+  return {
+    benchmark,
+    lookback_observations: matrix.observations,
+    symbols: matrix.symbols,
+    correlation_matrix: matrix.correlation,
+    covariance_matrix: matrix.covariance,
+    volatility: matrix.volatility,
+    betas,
+    exposure,
+    pairs,
+    clusters,
+    correlation_threshold,
+    delta_risk: {
+      one_day_1sd: round(deltaRisk, 2),
+      one_day_1sd_undiversified: round(undiversified, 2),
+      diversification_ratio: deltaRisk > 0 ? round(undiversified / deltaRisk, 2) : null
+    },
+    excluded: matrix.excluded,
+    skipped_legs: skipped,
+    warnings
+  };
+}
+
+export default {
+  TRADING_DAYS_PER_YEAR,
+  dailyReturns,
+  buildCorrelationMatrix,
+  calculateBetas,
+  aggregateUnderlyingExposure,
+  betaWeightedExposure,
+  correlationPairs,
+  findCorrelationClusters,
+  analyzeCorrelationRisk
+};
@@ -1,5 +1,32 @@
 // Dealer positioning analysis module
-// Calculates dealer gamma exposure (GEX) and vega exposure (VEX) matrices
+// Calculates dealer gamma exposure (GEX) and vega exposure (VEX) matrices,
+// delta/charm/vanna exposure and GEX recomputed across hypothetical spot prices
+
+import { DEFAULT_RISK_FREE_RATE, normalCDF, normalPDF, yearsToExpiration } from './option-pricing.js';
+
+// Dealer side per contract type, matching calculateDealerGEX: short calls, long puts
+const DEALER_SIGN = { call: -1, put: 1 };
+const CONTRACT_MULTIPLIER = 100;
+// Floor on time to expiry so same-day contracts keep finite gamma
+const MIN_EXPOSURE_TIME = 1 / (365 * 4);
+
+/**
+ * Black-Scholes delta, gamma, vanna (per vol point) and charm (per day) with
+ * no dividend yield; the same formulas as calculateGreeks without the price
+ * and first-order terms the spot curve does not need
+ */
+function exposureGreeks(type, S, K, T, sigma, r) {
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r + sigma * sigma / 2) * T) / (sigma * sqrtT);
+  const d2 = d1 - sigma * sqrtT;
+  const pdf = normalPDF(d1);
+  return {
+    delta: type === 'call' ? normalCDF(d1) : normalCDF(d1) - 1,
+    gamma: pdf / (S * sigma * sqrtT),
+    vanna: (-pdf * d2 / sigma) / 100,
+    charm: -(pdf * (2 * r * T - d2 * sigma * sqrtT) / (2 * T * sigma * sqrtT)) / 365
+  };
+}
 
 /**
  * Calculate dealer gamma exposure for a single option
@@ -50,6 +77,46 @@ export function calculateDealerVEX(option, optionType) {
   return -1 * vega * oi * contractMultiplier;
 }
 
+/**
+ * Dealer gamma, delta, charm and vanna exposure for one contract, from
+ * Black-Scholes Greeks at the contract's implied volatility so they can be
+ * re-evaluated at any spot or volatility
+ * - gex: dollars of delta hedging per 1% move (same scale as calculateDealerGEX)
+ * - dex: dealer dollar delta
+ * - charm: change in dealer dollar delta per calendar day
+ * - vanna: change in dealer dollar delta per 1 vol point
+ * @param {Object} option - Option with strike, implied_volatility and OI
+ * @param {number} spotPrice - Spot to evaluate at
+ * @param {string} optionType - 'call' or 'put'
+ * @param {Object} options - { expiration, asOf, rate, volShift (vol points), time (years, overrides expiration) }
+ * @returns {Object|null} Exposures, or null without IV/OI/expiration
+ */
+export function calculateDealerExposures(option, spotPrice, optionType, options = {}) {
+  const { asOf = new Date(), rate = DEFAULT_RISK_FREE_RATE, volShift = 0 } = options;
+  const expiration = options.expiration || option.expiration;
+  const oi = option.price?.open_interest || 0;
+  const iv = option.implied_volatility;
+  if (!(oi > 0) || !(iv > 0) || !(option.strike > 0) || !(expiration || options.time >= 0)) return null;
+  const time = options.time ?? yearsToExpiration(expiration, asOf);
+
+  const greeks = exposureGreeks(
+    optionType,
+    spotPrice,
+    option.strike,
+    Math.max(time, MIN_EXPOSURE_TIME),
+    Math.max(iv + volShift / 100, 0.01),
+    rate
+  );
+
+  const notional = DEALER_SIGN[optionType] * oi * CONTRACT_MULTIPLIER * spotPrice;
+  return {
+    gex: notional * greeks.gamma * spotPrice * 0.01,
+    dex: notional * greeks.delta,
+    charm: notional * greeks.charm,
+    vanna: notional * greeks.vanna
+  };
+}
+
 /**
  * Generate dealer positioning matrix across strikes and expirations
  * @param {Object} chainData - Option chain data organized by expiration
@@ -61,13 +128,33 @@ export function generateDealerMatrix(chainData, spotPrice, options = {}) {
   const {
     strikeMin = null,
     strikeMax = null,
-    includeVEX = false
+    includeVEX = false,
+    includeDEX = false,
+    includeCharm = false,
+    includeVanna = false,
+    asOf = new Date(),
+    rate = DEFAULT_RISK_FREE_RATE
   } = options;
 
   const gexMatrix = {};
   const vexMatrix = {};
   const strikeSet = new Set();
 
+  // Second-order exposures come from one Greeks evaluation per contract
+  const exposureMatrices = {};
+  if (includeDEX) exposureMatrices.dex = {};
+  if (includeCharm) exposureMatrices.charm = {};
+  if (includeVanna) exposureMatrices.vanna = {};
+  const addExposures = (option, optionType, expiration) => {
+    const kinds = Object.keys(exposureMatrices);
+    if (kinds.length === 0) return;
+    const exposures = calculateDealerExposures(option, spotPrice, optionType, { expiration, asOf, rate });
+    kinds.forEach(kind => {
+      const row = exposureMatrices[kind][expiration] || (exposureMatrices[kind][expiration] = {});
+      row[option.strike] = (row[option.strike] || 0) + (exposures ? exposures[kind] : 0);
+    });
+  };
+
   // Process each expiration
   Object.keys(chainData).forEach(expiration => {
     const expData = chainData[expiration];
@@ -91,6 +178,7 @@ export function generateDealerMatrix(chainData, spotPrice, options = {}) {
         const vex = calculateDealerVEX(call, 'call');
         vexMatrix[expiration][strike] = (vexMatrix[expiration][strike] || 0) + vex;
       }
+      addExposures(call, 'call', expiration);
     });
 
     // Process puts
@@ -110,16 +198,165 @@ export function generateDealerMatrix(chainData, spotPrice, options = {}) {
         const vex = calculateDealerVEX(put, 'put');
         vexMatrix[expiration][strike] = (vexMatrix[expiration][strike] || 0) + vex;
       }
+      addExposures(put, 'put', expiration);
     });
   });
 
   return {
     gexMatrix,
     vexMatrix: includeVEX ? vexMatrix : null,
+    dexMatrix: exposureMatrices.dex || null,
+    charmMatrix: exposureMatrices.charm || null,
+    vannaMatrix: exposureMatrices.vanna || null,
     strikes: Array.from(strikeSet).sort((a, b) => a - b)
   };
 }
 
+/**
+ * Totals of an exposure matrix by expiration and the largest strikes
+ * @param {Object} matrix - Values by expiration and strike
+ * @param {number} topCount - Strikes to list
+ * @returns {Object} { total, by_expiration, top_strikes }
+ */
+export function summarizeExposureMatrix(matrix, topCount = 5) {
+  const byExpiration = {};
+  const byStrike = {};
+  let total = 0;
+
+  Object.entries(matrix).forEach(([expiration, strikes]) => {
+    byExpiration[expiration] = 0;
+    Object.entries(strikes).forEach(([strike, value]) => {
+      byExpiration[expiration] += value;
+      byStrike[strike] = (byStrike[strike] || 0) + value;
+      total += value;
+    });
+    byExpiration[expiration] = parseFloat(byExpiration[expiration].toFixed(2));
+  });
+
+  return {
+    total: parseFloat(total.toFixed(2)),
+    by_expiration: byExpiration,
+    top_strikes: Object.entries(byStrike)
+      .map(([strike, value]) => ({ strike: parseFloat(strike), value: parseFloat(value.toFixed(2)) }))
+      .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+      .slice(0, topCount)
+  };
+}
+
+// Contracts with what the spot/vol profiles need, filtered like the matrix
+function profileContracts(chainData, strikeMin, strikeMax, asOf) {
+  const contracts = [];
+  Object.entries(chainData).forEach(([expiration, expData]) => {
+    const time = yearsToExpiration(expiration, asOf);
+    [['call', expData.calls], ['put', expData.puts]].forEach(([type, options]) => {
+      options?.forEach(option => {
+        if (strikeMin !== null && option.strike < strikeMin) return;
+        if (strikeMax !== null && option.strike > strikeMax) return;
+        contracts.push({ option, type, time });
+      });
+    });
+  });
+  return contracts;
+}
+
+/**
+ * Dealer GEX (and DEX, charm, vanna) recomputed at hypothetical spot prices
+ * The zero-gamma level is where total GEX changes sign across spot, which
+ * is the true flip point rather than the strike with the smallest GEX.
+ * @param {Object} chainData - Option chain data organized by expiration
+ * @param {number} spotPrice - Current underlying price
+ * @param {Object} options - { range (fraction, default 0.1), points (default 41), strikeMin, strikeMax, asOf, rate }
+ * @returns {Object} { points, zero_gamma_level, contracts_used, contracts_skipped }
+ */
+export function calculateGEXCurve(chainData, spotPrice, options = {}) {
+  const {
+    range = 0.1,
+    points = 41,
+    strikeMin = null,
+    strikeMax = null,
+    asOf = new Date(),
+    rate = DEFAULT_RISK_FREE_RATE
+  } = options;
+
+  const contracts = profileContracts(chainData, strikeMin, strikeMax, asOf);
+  const spots = Array.from({ length: points }, (_, i) =>
+    spotPrice * (1 - range + (2 * range * i) / (points - 1)));
+
+  let used = 0;
+  const totals = spots.map(() => ({ gex: 0, dex: 0, charm: 0, vanna: 0 }));
+  contracts.forEach(({ option, type, time }) => {
+    let counted = false;
+    spots.forEach((spot, i) => {
+      const exposures = calculateDealerExposures(option, spot, type, { time, rate });
+      if (!exposures) return;
+      counted = true;
+      Object.keys(totals[i]).forEach(kind => { totals[i][kind] += exposures[kind]; });
+    });
+    if (counted) used++;
+  });
+
+  const curve = spots.map((spot, i) => ({
+    spot: parseFloat(spot.toFixed(2)),
+    move_percent: parseFloat(((spot / spotPrice - 1) * 100).toFixed(2)),
+    gex: parseFloat(totals[i].gex.toFixed(2)),
+    dex: parseFloat(totals[i].dex.toFixed(2)),
+    charm: parseFloat(totals[i].charm.toFixed(2)),
+    vanna: parseFloat(totals[i].vanna.toFixed(2))
+  }));
+
+  const crossings = [];
+  for (let i = 1; i < curve.length; i++) {
+    const [a, b] = [curve[i - 1], curve[i]];
+    if (a.gex !== 0 && Math.sign(a.gex) !== Math.sign(b.gex)) {
+      crossings.push(a.spot + (b.spot - a.spot) * Math.abs(a.gex) / (Math.abs(a.gex) + Math.abs(b.gex)));
+    }
+  }
+  const zeroGammaLevel = crossings.length > 0
+    ? crossings.reduce((best, level) => (Math.abs(level - spotPrice) < Math.abs(best - spotPrice) ? level : best))
+    : null;
+
+  return {
+    points: curve,
+    zero_gamma_level: zeroGammaLevel !== null ? parseFloat(zeroGammaLevel.toFixed(2)) : null,
+    contracts_used: used,
+    contracts_skipped: contracts.length - used
+  };
+}
+
+/**
+ * Dealer delta at shifted implied volatility: the hedge flow a vol move
+ * forces through vanna
+ * @param {Object} chainData - Option chain data organized by expiration
+ * @param {number} spotPrice - Current underlying price
+ * @param {Object} options - { shifts (vol points), strikeMin, strikeMax, asOf, rate }
+ * @returns {Array} [{ iv_shift, dex, dex_change }]
+ */
+export function calculateVannaVolProfile(chainData, spotPrice, options = {}) {
+  const {
+    shifts = [-10, -5, -2, 0, 2, 5, 10],
+    strikeMin = null,
+    strikeMax = null,
+    asOf = new Date(),
+    rate = DEFAULT_RISK_FREE_RATE
+  } = options;
+
+  const contracts = profileContracts(chainData, strikeMin, strikeMax, asOf);
+  const dexAt = (volShift) => contracts.reduce((sum, { option, type, time }) => {
+    const exposures = calculateDealerExposures(option, spotPrice, type, { time, rate, volShift });
+    return sum + (exposures ? exposures.dex : 0);
+  }, 0);
+
+  const base = dexAt(0);
+  return shifts.map(shift => {
+    const dex = shift === 0 ? base : dexAt(shift);
+    return {
+      iv_shift: shift,
+      dex: parseFloat(dex.toFixed(2)),
+      dex_change: parseFloat((dex - base).toFixed(2))
+    };
+  });
+}
+
 /**
  * Identify key levels from GEX matrix
  * @param {Object} gexMatrix - GEX values by expiration and strike
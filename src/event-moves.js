@@ -0,0 +1,321 @@
+/**
+ * Event Moves Module
+ *
+ * Reads the move the options market is pricing, expiration by expiration,
+ * and isolates the part attributable to a scheduled event:
+ * - Straddle-implied move per expiration (ATM straddle at mid, falling back
+ *   to the last trade) alongside the ATM-IV one standard deviation move
+ * - Implied one-day event move by differencing total variance between the
+ *   expirations on either side of the event date, assuming a constant
+ *   ex-event daily variance
+ * - Realized moves on prior event days from daily bars, compared with the
+ *   implied move
+ *
+ * Time is measured in trading days (weekdays) so weekends do not dilute the
+ * event variance.
+ */
+
+import { yearsToExpiration } from './option-pricing.js';
+
+export const TRADING_DAYS_PER_YEAR = 252;
+
+// E|X| = sigma * sqrt(2/pi) for a normal move; the ATM straddle prices roughly this
+const ABS_MOVE_FACTOR = Math.sqrt(2 / Math.PI);
+
+export const EVENT_TIMINGS = ['before_open', 'intraday', 'after_close'];
+
+function round(value, digits = 4) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+function toDateString(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Weekdays after `from` up to and including `to`
+ * @param {string|Date} from - Start date (excluded)
+ * @param {string|Date} to - End date (included)
+ * @returns {number} Trading days
+ */
+export function countTradingDays(from, to) {
+  const start = new Date(`${toDateString(from)}T00:00:00Z`);
+  const end = new Date(`${toDateString(to)}T00:00:00Z`);
+  let days = 0;
+  for (let day = new Date(start.getTime() + 86400000); day <= end; day = new Date(day.getTime() + 86400000)) {
+    const weekday = day.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) days++;
+  }
+  return days;
+}
+
+function optionPrice(option) {
+  const { bid, ask, last } = option.price || {};
+  if (bid > 0 && ask > 0 && ask >= bid) return { price: (bid + ask) / 2, source: 'mid' };
+  if (last > 0) return { price: last, source: 'last' };
+  return null;
+}
+
+/**
+ * Straddle-implied move for one expiration
+ * @param {Object} expData - { calls, puts } from a chain snapshot
+ * @param {number} spot - Underlying price
+ * @param {string} expiration - Expiration date
+ * @param {Date} asOf - Valuation time
+ * @returns {Object|null} Move summary, or null without a priced ATM straddle
+ */
+export function straddleImpliedMove(expData, spot, expiration, asOf = new Date()) {
+  const tradingDays = countTradingDays(asOf, expiration);
+  if (tradingDays < 1) return null;
+
+  const putsByStrike = new Map((expData.puts || []).map(put => [put.strike, put]));
+  const pairs = (expData.calls || [])
+    .filter(call => putsByStrike.has(call.strike))
+    .map(call => ({ call, put: putsByStrike.get(call.strike) }))
+    .filter(pair => optionPrice(pair.call) && optionPrice(pair.put));
+  if (pairs.length === 0) return null;
+
+  const { call, put } = pairs.reduce((best, pair) =>
+    Math.abs(pair.call.strike - spot) < Math.abs(best.call.strike - spot) ? pair : best);
+  const callQuote = optionPrice(call);
+  const putQuote = optionPrice(put);
+  const straddle = callQuote.price + putQuote.price;
+
+  // Strip the intrinsic value when the strike is off spot
+  const extrinsicStraddle = straddle - Math.abs(spot - call.strike);
+  const ivs = [call.implied_volatility, put.implied_volatility].filter(iv => iv > 0);
+  const atmIV = ivs.length > 0 ? ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length : null;
+
+  // Total variance to expiration: from ATM IV when available, else from the straddle
+  const calendarT = yearsToExpiration(expiration, asOf);
+  const straddleStd = Math.max(straddle, extrinsicStraddle) / (spot * ABS_MOVE_FACTOR);
+  const totalVariance = atmIV !== null ? atmIV * atmIV * calendarT : straddleStd * straddleStd;
+
+  return {
+    expiration,
+    dte: round(calendarT * 365, 2),
+    trading_days: tradingDays,
+    atm_strike: call.strike,
+    call_price: round(callQuote.price),
+    put_price: round(putQuote.price),
+    price_source: callQuote.source === 'mid' && putQuote.source === 'mid' ? 'mid' : 'last',
+    straddle_price: round(straddle),
+    implied_move: round(straddle, 2),
+    implied_move_percent: round(straddle / spot * 100, 2),
+    move_range: [round(spot - straddle, 2), round(spot + straddle, 2)],
+    atm_iv: round(atmIV),
+    one_sd_move: round(Math.sqrt(totalVariance) * spot, 2),
+    one_sd_move_percent: round(Math.sqrt(totalVariance) * 100, 2),
+    total_variance: round(totalVariance, 6),
+    daily_variance: round(totalVariance / tradingDays, 8),
+    iv_source: atmIV !== null ? 'atm_iv' : 'straddle'
+  };
+}
+
+/**
+ * Straddle-implied moves across expirations
+ * @param {Object} chainData - Result of getOptionChainSnapshot
+ * @param {Object} options - { as_of, max_expirations }
+ * @returns {Array} Moves in expiration order
+ */
+export function buildMoveTermStructure(chainData, options = {}) {
+  const { max_expirations = 8 } = options;
+  const spot = chainData?.underlying?.price;
+  if (!(spot > 0)) {
+    throw new Error('Chain snapshot has no underlying price');
+  }
+  const asOf = options.as_of ? new Date(options.as_of) : new Date(chainData.snapshot_time || Date.now());
+
+  return Object.keys(chainData.data || {})
+    .sort()
+    .map(expiration => straddleImpliedMove(chainData.data[expiration], spot, expiration, asOf))
+    .filter(Boolean)
+    .slice(0, max_expirations);
+}
+
+/**
+ * Whether an expiration's options are still open when the event hits
+ */
+function includesEvent(expiration, eventDate, timing) {
+  return timing === 'after_close' ? expiration > eventDate : expiration >= eventDate;
+}
+
+/**
+ * Back out the one-day event move from total variance
+ * With constant ex-event daily variance v, an expiration before the event
+ * carries w1 = v*n1 and the first one after it w2 = v*(n2 - 1) + e, where e
+ * is the whole event-day variance (comparable to the realized reaction).
+ * When the event falls inside the first listed expiration, the first two
+ * expirations after it give v = (w3 - w2)/(n3 - n2) instead.
+ * @param {Array} termStructure - From buildMoveTermStructure
+ * @param {string} eventDate - Event date (YYYY-MM-DD)
+ * @param {Object} options - { timing: before_open | intraday | after_close }
+ * @returns {Object} Event variance, move and the expirations used
+ */
+export function impliedEventMove(termStructure, eventDate, options = {}) {
+  const { timing = 'after_close', spot = null } = options;
+  if (!EVENT_TIMINGS.includes(timing)) {
+    throw new Error(`Unknown event timing: ${timing}. Use ${EVENT_TIMINGS.join(', ')}`);
+  }
+
+  const before = termStructure.filter(point => !includesEvent(point.expiration, eventDate, timing));
+  const after = termStructure.filter(point => includesEvent(point.expiration, eventDate, timing));
+  if (after.length === 0) {
+    throw new Error(`No listed expiration includes the event on ${eventDate}`);
+  }
+
+  let method;
+  let baseDailyVariance;
+  let pre = null;
+  const post = after[0];
+  if (before.length > 0) {
+    pre = before[before.length - 1];
+    method = 'pre_post_difference';
+    baseDailyVariance = pre.total_variance / pre.trading_days;
+  } else if (after.length > 1 && after[1].trading_days > post.trading_days) {
+    pre = after[1];
+    method = 'post_event_pair';
+    baseDailyVariance = (after[1].total_variance - post.total_variance) / (after[1].trading_days - post.trading_days);
+  } else {
+    throw new Error('Need an expiration before the event or two after it to separate the event variance');
+  }
+
+  const eventVariance = post.total_variance - baseDailyVariance * (post.trading_days - 1);
+  // An event-free day still carries the base variance; only the excess is the event premium
+  const eventStd = Math.sqrt(Math.max(eventVariance, 0));
+  const priced = baseDailyVariance > 0 && eventVariance > baseDailyVariance * 1.05;
+  const expectedAbsMove = eventStd * ABS_MOVE_FACTOR;
+
+  const result = {
+    event_date: eventDate,
+    timing,
+    method,
+    reference_expiration: pre.expiration,
+    event_expiration: post.expiration,
+    base_iv: round(Math.sqrt(Math.max(baseDailyVariance, 0) * TRADING_DAYS_PER_YEAR)),
+    normal_day_move_percent: round(Math.sqrt(Math.max(baseDailyVariance, 0)) * 100, 2),
+    event_variance: round(Math.max(eventVariance, 0), 8),
+    event_std_move_percent: round(eventStd * 100, 2),
+    expected_abs_move_percent: round(expectedAbsMove * 100, 2),
+    // Event-day variance relative to an ordinary day
+    event_to_normal_variance: round(baseDailyVariance > 0 ? Math.max(eventVariance, 0) / baseDailyVariance : null, 2),
+    // Share of the event expiration's variance that comes from the event day
+    event_variance_share: round(Math.max(eventVariance, 0) / post.total_variance),
+    priced
+  };
+  if (spot > 0) {
+    result.expected_abs_move = round(expectedAbsMove * spot, 2);
+    result.event_std_move = round(eventStd * spot, 2);
+  }
+  if (!priced) {
+    result.note = 'Term structure shows no excess variance at the event; the market is not pricing a distinct event move';
+  }
+  return result;
+}
+
+/**
+ * Realized close-to-close reactions on prior event dates
+ * The reaction session is the event day for before_open/intraday events and
+ * the next session for after_close events (or the next session when the
+ * date was not a trading day).
+ * @param {Array} bars - Daily bars with t (ms) and c
+ * @param {Array} eventDates - Prior event dates (YYYY-MM-DD)
+ * @param {Object} options - { timing }
+ * @returns {Object} Per-event moves and summary statistics
+ */
+export function realizedEventMoves(bars, eventDates, options = {}) {
+  const { timing = 'after_close' } = options;
+  const sessions = bars
+    .filter(bar => bar.c > 0)
+    .map(bar => ({ date: toDateString(bar.t), close: bar.c }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const reactionIndexes = new Set();
+  const events = [];
+  const skipped = [];
+  eventDates.slice().sort().forEach(eventDate => {
+    const index = sessions.findIndex(session =>
+      timing === 'after_close' ? session.date > eventDate : session.date >= eventDate);
+    if (index < 1) {
+      skipped.push(eventDate);
+      return;
+    }
+    reactionIndexes.add(index);
+    const move = sessions[index].close / sessions[index - 1].close - 1;
+    events.push({
+      event_date: eventDate,
+      reaction_date: sessions[index].date,
+      previous_close: sessions[index - 1].close,
+      close: sessions[index].close,
+      move_percent: round(move * 100, 2)
+    });
+  });
+
+  // Ordinary sessions in the same window, for scale
+  const ordinary = [];
+  for (let i = 1; i < sessions.length; i++) {
+    if (!reactionIndexes.has(i)) ordinary.push(Math.abs(sessions[i].close / sessions[i - 1].close - 1));
+  }
+
+  const absMoves = events.map(event => Math.abs(event.move_percent));
+  const sortedAbs = absMoves.slice().sort((a, b) => a - b);
+  const mean = absMoves.length > 0 ? absMoves.reduce((sum, m) => sum + m, 0) / absMoves.length : null;
+  const median = sortedAbs.length > 0
+    ? (sortedAbs.length % 2 ? sortedAbs[(sortedAbs.length - 1) / 2]
+      : (sortedAbs[sortedAbs.length / 2 - 1] + sortedAbs[sortedAbs.length / 2]) / 2)
+    : null;
+
+  return {
+    events,
+    skipped_dates: skipped,
+    count: events.length,
+    mean_abs_move_percent: round(mean, 2),
+    median_abs_move_percent: round(median, 2),
+    max_abs_move_percent: round(sortedAbs[sortedAbs.length - 1] ?? null, 2),
+    rms_move_percent: round(absMoves.length > 0
+      ? Math.sqrt(absMoves.reduce((sum, m) => sum + m * m, 0) / absMoves.length) : null, 2),
+    ordinary_day_abs_move_percent: round(ordinary.length > 0
+      ? ordinary.reduce((sum, m) => sum + m, 0) / ordinary.length * 100 : null, 2)
+  };
+}
+
+/**
+ * Compare the implied event move with past reactions
+ * @param {Object} implied - From impliedEventMove
+ * @param {Object} realized - From realizedEventMoves
+ * @returns {Object|null} Ratio, exceedance rate and a verdict
+ */
+export function compareEventMoves(implied, realized) {
+  if (!implied || !realized || realized.count === 0 || !(realized.mean_abs_move_percent > 0)) return null;
+
+  const ratio = implied.expected_abs_move_percent / realized.mean_abs_move_percent;
+  const exceeded = realized.events.filter(event => Math.abs(event.move_percent) > implied.expected_abs_move_percent).length;
+
+  let verdict = 'FAIR';
+  if (ratio > 1.2) verdict = 'RICH';
+  else if (ratio < 0.8) verdict = 'CHEAP';
+
+  return {
+    implied_vs_realized_ratio: round(ratio, 2),
+    realized_exceeded_implied: exceeded,
+    exceedance_rate: round(exceeded / realized.count, 2),
+    verdict,
+    interpretation: verdict === 'RICH'
+      ? 'Options price a bigger move than past events delivered; favors selling event premium'
+      : verdict === 'CHEAP'
+        ? 'Options price a smaller move than past events delivered; favors buying event premium'
+        : 'Implied event move is in line with past reactions',
+    sample_warning: realized.count < 4 ? `Only ${realized.count} prior events; treat the comparison as indicative` : null
+  };
+}
+
+export default {
+  TRADING_DAYS_PER_YEAR,
+  EVENT_TIMINGS,
+  countTradingDays,
+  straddleImpliedMove,
+  buildMoveTermStructure,
+  impliedEventMove,
+  realizedEventMoves,
+  compareEventMoves
+};
@@ -0,0 +1,433 @@
+/**
+ * Dealer Positioning History Module
+ *
+ * Records every full-chain GEX/VEX computation so dealer positioning can be
+ * followed over time:
+ * - Per-record headline levels: total GEX/VEX, flip level, call wall, put wall
+ * - Per-strike call/put GEX and open interest, kept for attribution
+ * - Full expiration x strike matrices for the latest few snapshots only
+ * - Day-over-day deltas, with each strike's GEX change split into the part
+ *   explained by open interest changes and the part from gamma/spot moves
+ *
+ * Each symbol has an append-only log (.claude/gex-history/SYMBOL.jsonl) of
+ * compact records and a small SYMBOL.matrices.json holding the latest
+ * MAX_MATRIX_SNAPSHOTS matrices.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { calculateDealerGEX, calculateDealerVEX } from './dealer-positioning.js';
+
+const GEX_HISTORY_DIR = '.claude/gex-history';
+const LEGACY_HISTORY_FILE = 'gex-history.json'; // single-file store, next to the directory
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+export const MAX_RECORDS_PER_SYMBOL = 500;
+export const MAX_MATRIX_SNAPSHOTS = 5;
+
+// Appends since the last prune, per log file; pruning waits for some slack so
+// a full log is not rewritten on every snapshot
+const recordCounts = new Map();
+
+function historyPaths(symbol, dir) {
+  const name = symbol.toUpperCase().replace(/[^A-Z0-9._-]/g, '_');
+  return {
+    records: path.join(dir, `${name}.jsonl`),
+    matrices: path.join(dir, `${name}.matrices.json`)
+  };
+}
+
+/**
+ * Records in a symbol log, oldest first; unreadable lines are skipped
+ * @param {string} file - Symbol log
+ * @returns {Array} Records
+ */
+function readRecords(file) {
+  if (!fs.existsSync(file)) return [];
+  const records = [];
+  fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      console.error(`Skipping unreadable GEX history line in ${file}:`, error.message);
+    }
+  });
+  return records.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+function writeRecords(file, records) {
+  fs.writeFileSync(file, records.map(record => JSON.stringify(record) + '\n').join(''));
+}
+
+function loadMatrices(file) {
+  try {
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')).snapshots || [] : [];
+  } catch (error) {
+    console.error('Error loading GEX matrices:', error.message);
+    return [];
+  }
+}
+
+// Keeps only the latest MAX_MATRIX_SNAPSHOTS matrices, so the rewrite stays small
+function saveMatrices(file, snapshots) {
+  const latest = [...snapshots]
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .slice(-MAX_MATRIX_SNAPSHOTS);
+  fs.writeFileSync(file, JSON.stringify({ snapshots: latest }));
+}
+
+/**
+ * Create the history directory, splitting a legacy single-file store into
+ * per-symbol logs (keeping matrices only for the latest snapshots)
+ * @param {string} dir - History directory
+ * @param {boolean} create - Create the directory even without a legacy store
+ */
+function ensureHistoryDir(dir, create = true) {
+  if (fs.existsSync(dir)) return;
+  const legacy = path.join(path.dirname(dir), LEGACY_HISTORY_FILE);
+  const migrate = fs.existsSync(legacy);
+  if (create || migrate) fs.mkdirSync(dir, { recursive: true });
+  if (!migrate) return;
+
+  try {
+    const symbols = JSON.parse(fs.readFileSync(legacy, 'utf8')).symbols || {};
+    Object.entries(symbols).forEach(([symbol, records]) => {
+      const paths = historyPaths(symbol, dir);
+      writeRecords(paths.records, records.map(({ gex_matrix, vex_matrix, ...record }) => record));
+      saveMatrices(paths.matrices, records.filter(record => record.gex_matrix || record.vex_matrix)
+        .map(({ timestamp, gex_matrix, vex_matrix }) => ({ timestamp, gex_matrix, vex_matrix })));
+    });
+    fs.renameSync(legacy, `${legacy}.migrated`);
+    console.error(`Moved GEX history for ${Object.keys(symbols).length} symbol(s) into ${dir}`);
+  } catch (error) {
+    console.error('Error migrating GEX history:', error.message);
+  }
+}
+
+function round(value, digits = 2) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+// Matrices are stored sparsely and in whole dollars to keep the file small
+function compactMatrix(matrix) {
+  if (!matrix) return null;
+  const compact = {};
+  Object.entries(matrix).forEach(([expiration, strikes]) => {
+    const cells = {};
+    Object.entries(strikes).forEach(([strike, value]) => {
+      if (value !== 0) cells[strike] = Math.round(value);
+    });
+    if (Object.keys(cells).length > 0) compact[expiration] = cells;
+  });
+  return compact;
+}
+
+/**
+ * Level where cumulative GEX (summed up from the lowest strike) changes sign,
+ * interpolated between strikes; the crossing nearest spot when there are several
+ * @param {Array} rows - [{ strike, gex }] sorted by strike
+ * @param {number} spotPrice - Current underlying price
+ * @returns {number|null} Flip level
+ */
+export function findFlipLevel(rows, spotPrice) {
+  const crossings = [];
+  let cumulative = 0;
+  rows.forEach((row, i) => {
+    const previous = cumulative;
+    cumulative += row.gex;
+    if (i > 0 && previous !== 0 && Math.sign(previous) !== Math.sign(cumulative)) {
+      const lower = rows[i - 1].strike;
+      // Place the zero between the two strikes in proportion to the cumulative values
+      const fraction = Math.abs(previous) / (Math.abs(previous) + Math.abs(cumulative));
+      crossings.push(lower + fraction * (row.strike - lower));
+    }
+  });
+  if (crossings.length === 0) return null;
+
+  return round(crossings.reduce((best, level) =>
+    Math.abs(level - spotPrice) < Math.abs(best - spotPrice) ? level : best));
+}
+
+/**
+ * Headline dealer levels and per-strike detail for a chain
+ * @param {Object} chainData - Option chain data organized by expiration
+ * @param {number} spotPrice - Current underlying price
+ * @returns {Object} { total_gex, total_vex, flip_level, call_wall, put_wall, strikes }
+ */
+export function summarizeDealerPositioning(chainData, spotPrice) {
+  const byStrike = new Map();
+  const rowFor = (strike) => {
+    if (!byStrike.has(strike)) {
+      byStrike.set(strike, { call_gex: 0, put_gex: 0, call_oi: 0, put_oi: 0, vex: 0 });
+    }
+    return byStrike.get(strike);
+  };
+
+  Object.values(chainData).forEach(expData => {
+    expData.calls?.forEach(call => {
+      const row = rowFor(call.strike);
+      row.call_gex += calculateDealerGEX(call, spotPrice, 'call');
+      row.call_oi += call.price?.open_interest || 0;
+      row.vex += calculateDealerVEX(call, 'call');
+    });
+    expData.puts?.forEach(put => {
+      const row = rowFor(put.strike);
+      row.put_gex += calculateDealerGEX(put, spotPrice, 'put');
+      row.put_oi += put.price?.open_interest || 0;
+      row.vex += calculateDealerVEX(put, 'put');
+    });
+  });
+
+  const rows = [...byStrike.entries()]
+    .map(([strike, row]) => ({ strike, ...row, gex: row.call_gex + row.put_gex }))
+    .sort((a, b) => a.strike - b.strike);
+
+  // Walls are the strikes carrying the most call and put gamma
+  const callWall = rows.reduce((best, row) =>
+    (!best || Math.abs(row.call_gex) > Math.abs(best.call_gex) ? row : best), null);
+  const putWall = rows.reduce((best, row) =>
+    (!best || Math.abs(row.put_gex) > Math.abs(best.put_gex) ? row : best), null);
+
+  const strikes = {};
+  rows.forEach(row => {
+    strikes[row.strike] = {
+      call_gex: Math.round(row.call_gex),
+      put_gex: Math.round(row.put_gex),
+      call_oi: row.call_oi,
+      put_oi: row.put_oi,
+      vex: Math.round(row.vex)
+    };
+  });
+
+  return {
+    total_gex: round(rows.reduce((sum, row) => sum + row.gex, 0)),
+    total_vex: round(rows.reduce((sum, row) => sum + row.vex, 0)),
+    flip_level: findFlipLevel(rows, spotPrice),
+    call_wall: callWall && callWall.call_gex !== 0 ? callWall.strike : null,
+    put_wall: putWall && putWall.put_gex !== 0 ? putWall.strike : null,
+    strikes
+  };
+}
+
+/**
+ * Persist one computed dealer matrix
+ * The record is appended to the symbol log; the matrices replace the oldest
+ * of the kept MAX_MATRIX_SNAPSHOTS.
+ * @param {string} symbol - Underlying symbol
+ * @param {Object} snapshot - { underlying_price, chain_data, gex_matrix, vex_matrix, zero_gamma_strike, regime, complete, timestamp }
+ * @param {Object} options - { dir, max_records }
+ * @returns {Object} Stored record
+ */
+export function recordDealerSnapshot(symbol, snapshot, options = {}) {
+  const { dir = GEX_HISTORY_DIR, max_records = MAX_RECORDS_PER_SYMBOL } = options;
+  if (!(snapshot?.underlying_price > 0) || !snapshot.chain_data) {
+    throw new Error('Snapshot with an underlying price and chain data is required');
+  }
+
+  const timestamp = snapshot.timestamp || new Date().toISOString();
+  const record = {
+    timestamp,
+    date: timestamp.split('T')[0],
+    underlying_price: snapshot.underlying_price,
+    expirations: Object.keys(snapshot.chain_data).length,
+    complete: snapshot.complete !== false,
+    zero_gamma_strike: snapshot.zero_gamma_strike ?? null,
+    regime: snapshot.regime || null,
+    ...summarizeDealerPositioning(snapshot.chain_data, snapshot.underlying_price)
+  };
+  const gexMatrix = compactMatrix(snapshot.gex_matrix);
+  const vexMatrix = compactMatrix(snapshot.vex_matrix);
+
+  try {
+    ensureHistoryDir(dir);
+    const paths = historyPaths(symbol, dir);
+    if (!recordCounts.has(paths.records)) {
+      recordCounts.set(paths.records, readRecords(paths.records).length);
+    }
+    fs.appendFileSync(paths.records, JSON.stringify(record) + '\n');
+    const count = recordCounts.get(paths.records) + 1;
+    recordCounts.set(paths.records, count);
+
+    if (count > max_records + Math.floor(max_records / 5)) {
+      const kept = readRecords(paths.records).slice(-max_records);
+      writeRecords(paths.records, kept);
+      recordCounts.set(paths.records, kept.length);
+    }
+
+    if (gexMatrix || vexMatrix) {
+      saveMatrices(paths.matrices, [...loadMatrices(paths.matrices), { timestamp, gex_matrix: gexMatrix, vex_matrix: vexMatrix }]);
+    }
+  } catch (error) {
+    console.error('Error saving GEX history:', error.message);
+    throw error;
+  }
+
+  return { ...record, gex_matrix: gexMatrix, vex_matrix: vexMatrix };
+}
+
+/**
+ * Stored dealer records for a symbol, oldest first
+ * @param {string} symbol - Underlying symbol
+ * @param {Object} options - { from, to, lookback_days, as_of, include_matrix, max_records, dir }
+ * @returns {Array} Records; with include_matrix, gex_matrix/vex_matrix are set
+ *   for the latest MAX_MATRIX_SNAPSHOTS and null for older records
+ */
+export function getDealerHistory(symbol, options = {}) {
+  const {
+    from = null,
+    to = null,
+    lookback_days = null,
+    as_of = new Date(),
+    include_matrix = false,
+    max_records = MAX_RECORDS_PER_SYMBOL,
+    dir = GEX_HISTORY_DIR
+  } = options;
+  ensureHistoryDir(dir, false);
+  const paths = historyPaths(symbol, dir);
+
+  const start = from || (lookback_days
+    ? new Date(new Date(as_of).getTime() - lookback_days * MS_PER_DAY).toISOString().split('T')[0]
+    : null);
+  const records = readRecords(paths.records)
+    .slice(-max_records)
+    .filter(record => (!start || record.date >= start) && (!to || record.date <= to));
+  if (!include_matrix) return records;
+
+  const matrices = new Map(loadMatrices(paths.matrices).map(entry => [entry.timestamp, entry]));
+  return records.map(record => ({
+    ...record,
+    gex_matrix: matrices.get(record.timestamp)?.gex_matrix ?? null,
+    vex_matrix: matrices.get(record.timestamp)?.vex_matrix ?? null
+  }));
+}
+
+/**
+ * Split each strike's GEX change between two records into an open interest
+ * effect (new contracts at the old per-contract gamma) and a market effect
+ * (gamma and spot moving on the contracts already open)
+ * @param {Object} previous - Earlier record
+ * @param {Object} current - Later record
+ * @param {number} top - Strikes to return, by absolute GEX change
+ * @returns {Array} Per-strike attribution
+ */
+export function attributeGEXChange(previous, current, top = 10) {
+  const strikes = new Set([...Object.keys(previous.strikes || {}), ...Object.keys(current.strikes || {})]);
+  const empty = { call_gex: 0, put_gex: 0, call_oi: 0, put_oi: 0 };
+
+  const legEffect = (before, after, gexKey, oiKey) => {
+    const oiChange = after[oiKey] - before[oiKey];
+    // GEX per open contract, from before if the strike was open, else from now
+    const perContract = before[oiKey] > 0
+      ? before[gexKey] / before[oiKey]
+      : (after[oiKey] > 0 ? after[gexKey] / after[oiKey] : 0);
+    const oiEffect = oiChange * perContract;
+    return { oiChange, oiEffect, marketEffect: (after[gexKey] - before[gexKey]) - oiEffect };
+  };
+
+  return [...strikes]
+    .map(strike => {
+      const before = previous.strikes?.[strike] || empty;
+      const after = current.strikes?.[strike] || empty;
+      const call = legEffect(before, after, 'call_gex', 'call_oi');
+      const put = legEffect(before, after, 'put_gex', 'put_oi');
+      return {
+        strike: parseFloat(strike),
+        gex_change: Math.round((after.call_gex + after.put_gex) - (before.call_gex + before.put_gex)),
+        call_oi_change: call.oiChange,
+        put_oi_change: put.oiChange,
+        oi_effect: Math.round(call.oiEffect + put.oiEffect),
+        market_effect: Math.round(call.marketEffect + put.marketEffect)
+      };
+    })
+    .filter(row => row.gex_change !== 0 || row.call_oi_change !== 0 || row.put_oi_change !== 0)
+    .sort((a, b) => Math.abs(b.gex_change) - Math.abs(a.gex_change))
+    .slice(0, top);
+}
+
+/**
+ * Time series of headline dealer levels with changes between entries
+ * @param {Array} records - From getDealerHistory
+ * @param {Object} options - { granularity: 'daily' (last record per day) | 'all', top_strikes, include_matrix }
+ * @returns {Object} Series, migration summary
+ */
+export function buildDealerHistoryReport(records, options = {}) {
+  const { granularity = 'daily', top_strikes = 10, include_matrix = false } = options;
+  if (!['daily', 'all'].includes(granularity)) {
+    throw new Error(`Unknown granularity: ${granularity}. Use daily or all`);
+  }
+
+  let entries = records;
+  if (granularity === 'daily') {
+    const lastByDate = new Map();
+    records.forEach(record => lastByDate.set(record.date, record));
+    entries = [...lastByDate.values()];
+  }
+
+  const change = (after, before) =>
+    (Number.isFinite(after) && Number.isFinite(before) ? round(after - before) : null);
+
+  const series = entries.map((record, i) => {
+    const previous = i > 0 ? entries[i - 1] : null;
+    const entry = {
+      timestamp: record.timestamp,
+      date: record.date,
+      underlying_price: record.underlying_price,
+      total_gex: record.total_gex,
+      total_vex: record.total_vex,
+      flip_level: record.flip_level,
+      call_wall: record.call_wall,
+      put_wall: record.put_wall,
+      regime: record.regime,
+      complete: record.complete
+    };
+
+    if (previous) {
+      entry.changes = {
+        underlying_price: change(record.underlying_price, previous.underlying_price),
+        total_gex: change(record.total_gex, previous.total_gex),
+        total_gex_percent: previous.total_gex
+          ? round((record.total_gex - previous.total_gex) / Math.abs(previous.total_gex) * 100)
+          : null,
+        total_vex: change(record.total_vex, previous.total_vex),
+        flip_level: change(record.flip_level, previous.flip_level),
+        call_wall_moved: record.call_wall !== previous.call_wall ? { from: previous.call_wall, to: record.call_wall } : null,
+        put_wall_moved: record.put_wall !== previous.put_wall ? { from: previous.put_wall, to: record.put_wall } : null
+      };
+      entry.oi_attribution = attributeGEXChange(previous, record, top_strikes);
+    }
+
+    if (include_matrix) {
+      entry.gex_matrix = record.gex_matrix ?? null;
+      if (record.vex_matrix) entry.vex_matrix = record.vex_matrix;
+    }
+    return entry;
+  });
+
+  const first = entries[0];
+  const last = entries[entries.length - 1];
+  const summary = entries.length > 1 ? {
+    periods: entries.length - 1,
+    flip_level_drift: change(last.flip_level, first.flip_level),
+    total_gex_change: change(last.total_gex, first.total_gex),
+    spot_vs_flip: last.flip_level !== null
+      ? (last.underlying_price >= last.flip_level ? 'above_flip' : 'below_flip')
+      : null,
+    call_wall_changes: entries.filter((e, i) => i > 0 && e.call_wall !== entries[i - 1].call_wall).length,
+    put_wall_changes: entries.filter((e, i) => i > 0 && e.put_wall !== entries[i - 1].put_wall).length,
+    incomplete_records: entries.filter(e => e.complete === false).length
+  } : null;
+
+  return { observations: entries.length, series, summary };
+}
+
+export default {
+  MAX_RECORDS_PER_SYMBOL,
+  MAX_MATRIX_SNAPSHOTS,
+  findFlipLevel,
+  summarizeDealerPositioning,
+  recordDealerSnapshot,
+  getDealerHistory,
+  attributeGEXChange,
+  buildDealerHistoryReport
+};
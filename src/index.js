@@ -8,12 +8,18 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 import { MassiveOptionsClient } from './massive-client.js';
 import dotenv from 'dotenv';
+import fs from 'fs';
 
 // Import risk management and analysis modules
 import { calculatePortfolioGreeks, calculateScenarioPnL, generatePortfolioRiskWarnings } from './portfolio-greeks.js';
-import { addPosition, getOpenPositions, closePosition, calculatePositionPnL, generateExitSignals, monitorPositions } from './position-tracker.js';
-import { checkCircuitBreakers, recordTrade, resetCircuitBreakers, getBreakerStatus, DEFAULT_BREAKERS } from './circuit-breakers.js';
-import { runStressTest, runMonteCarloSimulation, STRESS_SCENARIOS } from './stress-testing.js';
+import { buildPerformanceReport } from './performance.js';
+import { importBrokerStatement } from './broker-import.js';
+import { resolveContract } from './option-symbol.js';
+import { addPosition, loadPositions, getOpenPositions, getPosition, closePosition, addJournalNote, setPositionTags, getPositionHistory, queryJournal, rollPosition, adjustPosition, assignPosition, summarizeCampaign, calculatePositionPnL, generateExitSignals, monitorPositions } from './position-tracker.js';
+import { checkCircuitBreakers, checkAllAccounts, recordTrade, resetCircuitBreakers, getBreakerStatus, getBreakerAudit, resolveBreakerConfig, updateBreakerProfile } from './circuit-breakers.js';
+import { DEFAULT_ACCOUNT, ACCOUNT_TYPES, getAccount, saveAccount, removeAccount, scopeKey, filterByScope, groupByScope, resolveSizingScope, summarizeAccounts } from './accounts.js';
+import { runStressTest, runFullRevaluationStressTest, runMonteCarloSimulation, STRESS_SCENARIOS } from './stress-testing.js';
+import { runPortfolioMonteCarlo } from './monte-carlo.js';
 import { detectUnusualActivity, analyzePutCallFlow, analyzeFlowPersistence } from './flow-detector.js';
 import { analyzeOptionLiquidity, filterOptionsByLiquidity, assessMarketDepth } from './liquidity-filter.js';
 
@@ -39,7 +45,17 @@ const server = new Server(
 
 const client = new MassiveOptionsClient(
   process.env.MASSIVE_API_KEY,
-  process.env.MASSIVE_API_BASE_URL
+  process.env.MASSIVE_API_BASE_URL,
+  {
+    cache: process.env.MASSIVE_CACHE === 'off' ? false : {
+      directory: process.env.MASSIVE_CACHE_DIR,
+      offline: process.env.MASSIVE_OFFLINE === 'true'
+    },
+    scheduler: {
+      tier: process.env.MASSIVE_PLAN_TIER || 'starter',
+      max_concurrent: parseInt(process.env.MASSIVE_MAX_CONCURRENT, 10) || 6
+    }
+  }
 );
 
 // Initialize validation system modules
@@ -65,6 +81,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             expiration: {
               type: 'string',
               description: 'Optional: Filter by specific expiration date in YYYY-MM-DD format (e.g., "2025-11-14")'
+            },
+            max_contracts: {
+              type: 'number',
+              description: 'Optional: Contract budget across pages (default 10000). The result says whether it was truncated'
             }
           },
           required: ['symbol'],
@@ -73,10 +93,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'get_option_quote',
-        description: 'Get data for ONE SPECIFIC option. Use this when you know the exact strike price and expiration date. Returns price, Greeks, IV, and contract details. REQUIRES ALL 4 PARAMETERS: symbol, optionType, strike, expiration.',
+        description: 'Get data for ONE SPECIFIC option. Use this when you know the exact strike price and expiration date. Returns price, Greeks, IV, and contract details. Identify the option EITHER by its contract ticker (contract) OR by ALL 4 of: symbol, optionType, strike, expiration.',
         inputSchema: {
           type: 'object',
           properties: {
+            contract: {
+              type: 'string',
+              description: 'Option contract ticker (e.g., "O:SPY240621P00500000" or OSI "SPY   240621P00500000") in place of symbol, optionType, strike and expiration'
+            },
             symbol: {
               type: 'string',
               description: 'Stock ticker symbol in uppercase (e.g., "IBIT", "AAPL", "SPY")'
@@ -96,7 +120,6 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: 'Expiration date in YYYY-MM-DD format (e.g., "2025-11-14"). Must include leading zeros.'
             }
           },
-          required: ['symbol', 'optionType', 'strike', 'expiration'],
           additionalProperties: false,
           examples: [
             {
@@ -104,16 +127,23 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               optionType: 'call',
               strike: 62,
               expiration: '2025-11-14'
+            },
+            {
+              contract: 'O:IBIT251114C00062000'
             }
           ]
         }
       },
       {
         name: 'get_historical_aggregates',
-        description: 'Get historical OHLC aggregates for an option contract with custom time intervals (e.g., 5-minute, hourly, daily bars). Useful for charting and technical analysis.',
+        description: 'Get historical OHLC aggregates for an option contract with custom time intervals (e.g., 5-minute, hourly, daily bars). Identify the contract by ticker (contract) or by symbol, optionType, strike and expiration. Useful for charting and technical analysis.',
         inputSchema: {
           type: 'object',
           properties: {
+            contract: {
+              type: 'string',
+              description: 'Option contract ticker (e.g., "O:SPY240621P00500000" or OSI "SPY   240621P00500000") in place of symbol, optionType, strike and expiration'
+            },
             symbol: {
               type: 'string',
               description: 'Stock ticker symbol'
@@ -152,7 +182,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: 'End date in YYYY-MM-DD format'
             }
           },
-          required: ['symbol', 'optionType', 'strike', 'expiration', 'multiplier', 'timespan', 'from', 'to'],
+          required: ['multiplier', 'timespan', 'from', 'to'],
           additionalProperties: false
         }
       },
@@ -165,6 +195,10 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             query: {
               type: 'string',
               description: 'Company name or ticker to search for (e.g., "Apple" or "AAPL")'
+            },
+            limit: {
+              type: 'number',
+              description: 'Maximum tickers to return, paging through results as needed (default 10)'
             }
           },
           required: ['query'],
@@ -173,10 +207,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'get_option_analytics',
-        description: 'Get comprehensive analytics for a specific option including break-even, probability of ITM, expected move, leverage, time value, moneyness analysis, and risk/reward calculations. This tool provides advanced calculations beyond basic Greeks.',
+        description: 'Get comprehensive analytics for a specific option including break-even, probability of ITM, expected move, leverage, time value, moneyness analysis, and risk/reward calculations. Identify the option by ticker (contract) or by symbol, optionType, strike and expiration. This tool provides advanced calculations beyond basic Greeks.',
         inputSchema: {
           type: 'object',
           properties: {
+            contract: {
+              type: 'string',
+              description: 'Option contract ticker (e.g., "O:SPY240621P00500000" or OSI "SPY   240621P00500000") in place of symbol, optionType, strike and expiration'
+            },
             symbol: {
               type: 'string',
               description: 'Stock ticker symbol in uppercase'
@@ -200,7 +238,6 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: 'Optional: Target stock price for risk/reward analysis'
             }
           },
-          required: ['symbol', 'optionType', 'strike', 'expiration'],
           additionalProperties: false
         }
       },
@@ -226,7 +263,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'get_market_structure',
-        description: 'Analyze option market structure including put/call ratios, gamma exposure (GEX), max pain, and open interest distribution. Provides insights into dealer positioning, support/resistance levels, and overall market sentiment.',
+        description: 'Analyze option market structure including put/call ratios, gamma exposure (GEX), per-expiration max pain with pin-risk scores, and open interest distribution. Provides insights into dealer positioning, support/resistance levels, and overall market sentiment.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -238,6 +275,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               pattern: '^\\d{4}-\\d{2}-\\d{2}$',
               description: 'Optional: Specific expiration to analyze. If not provided, analyzes all available expirations'
+            },
+            pin_expirations: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 10,
+              description: 'Number of upcoming expirations scored for pin risk (default 3)'
             }
           },
           required: ['symbol'],
@@ -280,10 +323,38 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'boolean',
               description: 'Include Vega Exposure (VEX) matrix in addition to GEX. Default: false'
             },
+            include_dex: {
+              type: 'boolean',
+              description: 'Include dealer Delta Exposure (DEX) matrix and totals. Default: false'
+            },
+            include_charm: {
+              type: 'boolean',
+              description: 'Include charm exposure (change in dealer dollar delta per day from time decay) matrix and totals; concentrates into expiration week and OPEX. Default: false'
+            },
+            include_vanna: {
+              type: 'boolean',
+              description: 'Include vanna exposure (change in dealer dollar delta per vol point) matrix, totals and dealer delta at shifted IV. Default: false'
+            },
+            include_gex_curve: {
+              type: 'boolean',
+              description: 'Recompute total GEX, DEX, charm and vanna at hypothetical spot prices and report the zero-gamma level. Default: true'
+            },
+            curve_range: {
+              type: 'number',
+              description: 'GEX curve spot range as a fraction of spot either side (default 0.1 = +/-10%)'
+            },
+            curve_points: {
+              type: 'number',
+              description: 'Spot prices on the GEX curve (default 41)'
+            },
             format: {
               type: 'string',
               enum: ['matrix', 'list'],
               description: 'Output format: "matrix" (object of objects) or "list" (array of rows). Default: "matrix"'
+            },
+            max_contracts: {
+              type: 'number',
+              description: 'Contract budget for the chain fetch (default 10000). The result reports coverage and warns when the chain was truncated'
             }
           },
           required: ['symbol'],
@@ -324,7 +395,15 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             account_size: {
               type: 'number',
-              description: 'Trading account size in dollars (e.g., 4000 for $4,000 account). Required for position sizing calculations'
+              description: 'Trading account size in dollars (e.g., 4000 for $4,000 account). Required for position sizing unless a registered account is given'
+            },
+            account: {
+              type: 'string',
+              description: 'Optional: Registered account to size against; its account_size and risk_config are the defaults'
+            },
+            sleeve: {
+              type: 'string',
+              description: 'Optional: Strategy sleeve of the account; sizes against the sleeve\'s capital and risk_config'
             },
             mode: {
               type: 'string',
@@ -333,61 +412,945 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             strategies: {
               type: 'array',
-              items: {
-                type: 'string',
-                enum: ['bull_call_spread', 'bear_put_spread', 'iron_condor', 'calendar_spread']
-              },
-              description: 'Array of strategy types to generate. Default: all strategies ["bull_call_spread", "bear_put_spread", "iron_condor", "calendar_spread"]'
+              items: {
+                type: 'string',
+                enum: [
+                  'bull_call_spread', 'bear_put_spread', 'bull_put_spread', 'bear_call_spread',
+                  'iron_condor', 'iron_butterfly', 'long_butterfly', 'short_butterfly', 'broken_wing_butterfly',
+                  'long_straddle', 'short_straddle', 'long_strangle', 'short_strangle',
+                  'call_ratio_spread', 'put_ratio_spread', 'calendar_spread', 'call_diagonal', 'put_diagonal'
+                ]
+              },
+              description: 'Array of strategy types to generate. Default: ["bull_call_spread", "bear_put_spread", "iron_condor", "calendar_spread"]'
+            },
+            risk_config: {
+              type: 'object',
+              properties: {
+                max_risk_pct: {
+                  type: 'number',
+                  description: 'Max % of account to risk per trade (0.005-0.10, default: 0.02 for 2%)'
+                },
+                min_reward_ratio: {
+                  type: 'number',
+                  description: 'Minimum reward:risk ratio to consider (1.0-10.0, default: 2.0)'
+                },
+                min_prob_profit: {
+                  type: 'number',
+                  description: 'Minimum probability of profit (0.3-0.95, default: 0.5)'
+                },
+                max_concentration: {
+                  type: 'number',
+                  description: 'Max % of account in any single position (0.05-0.50, default: 0.40 for 40%)'
+                },
+                buying_power: {
+                  type: 'number',
+                  description: 'Available buying power; contracts are also limited by the Reg-T margin each one uses'
+                },
+                account_type: {
+                  type: 'string',
+                  enum: ACCOUNT_TYPES,
+                  description: 'Margin rules for buying_power (default: the account\'s type, else margin)'
+                },
+                sizing_mode: {
+                  type: 'string',
+                  enum: ['fixed', 'distribution'],
+                  description: 'distribution also caps contracts at fractional Kelly from each strategy\'s IV-weighted P&L distribution and reports risk of ruin and drawdown odds per contract count (default: fixed)'
+                },
+                kelly_multiplier: {
+                  type: 'number',
+                  description: 'Fraction of full Kelly to trade in distribution mode (0.05-1, default: 0.25)'
+                },
+                max_risk_of_ruin: {
+                  type: 'number',
+                  description: 'Largest acceptable chance of losing ruin_threshold of the account over 100 trades (e.g. 0.01)'
+                },
+                ruin_threshold: {
+                  type: 'number',
+                  description: 'Share of the account lost that counts as ruin (0.1-1, default: 0.5)'
+                },
+                distribution_source: {
+                  type: 'string',
+                  enum: ['scenarios', 'simulation'],
+                  description: 'Price grid weighted by the lognormal probabilities, or simulated prices at expiration (default: scenarios)'
+                }
+              },
+              description: 'Optional: Risk management configuration. All parameters have safe defaults if not provided'
+            },
+            current_price: {
+              type: 'number',
+              description: 'Optional: Override current underlying price. If not provided, fetches from market data'
+            }
+          },
+          required: ['symbol'],
+          additionalProperties: false,
+          examples: [
+            {
+              symbol: 'IBIT',
+              target_expirations: ['2026-01-16', '2026-03-20'],
+              strikes_to_analyze: [58, 65, 70, 75, 80],
+              account_size: 4000,
+              mode: 'both',
+              strategies: ['bull_call_spread', 'bear_put_spread'],
+              risk_config: {
+                max_risk_pct: 0.02,
+                min_reward_ratio: 2.0,
+                max_concentration: 0.40
+              }
+            }
+          ]
+        }
+      },
+      {
+        name: 'build_strategies',
+        description: 'Generate and rank option strategies for a symbol from the live chain, filtered by market outlook and ranking preferences. Alternatively pass a custom list of legs (ratios, butterflies, broken-wing butterflies, jade lizards, straddles/strangles, calendars, diagonals) to get max profit/loss, breakevens, probability of profit and a payoff summary. Leg prices are filled from the chain when omitted.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            symbol: {
+              type: 'string',
+              description: 'Stock ticker symbol in uppercase (e.g., "SPY")'
+            },
+            expirations: {
+              type: 'array',
+              items: {
+                type: 'string',
+                pattern: '^\\d{4}-\\d{2}-\\d{2}$'
+              },
+              description: 'Optional: Expiration dates (YYYY-MM-DD). Default: next 3 expirations. For custom legs, the first entry is the default leg expiration'
+            },
+            outlook: {
+              type: 'string',
+              enum: ['bullish', 'bearish', 'neutral', 'volatile', 'any'],
+              description: 'Market outlook used to pick strategy types. Default: "any"'
+            },
+            strategies: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: [
+                  'bull_call_spread', 'bear_put_spread', 'bull_put_spread', 'bear_call_spread',
+                  'iron_condor', 'iron_butterfly', 'long_butterfly', 'short_butterfly', 'broken_wing_butterfly',
+                  'long_straddle', 'short_straddle', 'long_strangle', 'short_strangle',
+                  'call_ratio_spread', 'put_ratio_spread', 'calendar_spread', 'call_diagonal', 'put_diagonal'
+                ]
+              },
+              description: 'Optional: Explicit strategy types to generate (overrides outlook)'
+            },
+            preferences: {
+              type: 'object',
+              properties: {
+                min_reward_ratio: { type: 'number', description: 'Minimum reward:risk ratio (default: 1.5)' },
+                min_prob_profit: { type: 'number', description: 'Minimum probability of profit (default: 0.45)' },
+                max_risk: { type: 'number', description: 'Maximum risk per share in dollars' },
+                preference_type: { type: 'string', enum: ['aggressive', 'balanced', 'conservative'], description: 'Ranking style (default: balanced)' }
+              },
+              description: 'Optional: Ranking preferences'
+            },
+            legs: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  action: { type: 'string', enum: ['buy', 'sell'] },
+                  type: { type: 'string', enum: ['call', 'put', 'stock'] },
+                  strike: { type: 'number' },
+                  expiration: { type: 'string', description: 'YYYY-MM-DD (defaults to first expiration)' },
+                  quantity: { type: 'number', description: 'Leg ratio, e.g. 2 for the short wings of a ratio spread (default 1)' },
+                  price: { type: 'number', description: 'Optional: Price per share (filled from the chain if omitted)' }
+                },
+                required: ['action', 'type']
+              },
+              description: 'Optional: Custom legs to evaluate instead of generating candidates'
+            },
+            max_results: {
+              type: 'number',
+              description: 'Number of ranked candidates to return. Default: 10'
+            },
+            current_price: {
+              type: 'number',
+              description: 'Optional: Override current underlying price'
+            }
+          },
+          required: ['symbol'],
+          additionalProperties: false,
+          examples: [
+            { symbol: 'SPY', outlook: 'neutral', preferences: { min_prob_profit: 0.6 } },
+            {
+              symbol: 'SPY',
+              expirations: ['2026-03-20'],
+              legs: [
+                { action: 'buy', type: 'call', strike: 600 },
+                { action: 'sell', type: 'call', strike: 610, quantity: 2 },
+                { action: 'buy', type: 'call', strike: 625 }
+              ]
+            }
+          ]
+        }
+      },
+      {
+        name: 'backtest_strategy',
+        description: 'Backtest a rule-based options strategy over historical daily bars. Opens a structure at a target DTE on a schedule, manages it with profit target / stop loss / time stop exits, applies commissions and slippage, and reports equity curve, win rate, drawdown, Sharpe ratio and a per-trade log. Legs are model-priced from trailing realized volatility unless price_source is "market".',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            symbol: {
+              type: 'string',
+              description: 'Underlying ticker symbol (e.g., SPY)'
+            },
+            start_date: {
+              type: 'string',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+              description: 'First entry date (YYYY-MM-DD). Required unless bars_file is given'
+            },
+            end_date: {
+              type: 'string',
+              pattern: '^\\d{4}-\\d{2}-\\d{2}$',
+              description: 'Last bar date (YYYY-MM-DD). Required unless bars_file is given'
+            },
+            rules: {
+              type: 'object',
+              properties: {
+                structure: {
+                  type: 'string',
+                  enum: [
+                    'bull_call_spread', 'bear_put_spread', 'bull_put_spread', 'bear_call_spread',
+                    'iron_condor', 'iron_butterfly', 'long_butterfly', 'short_butterfly', 'broken_wing_butterfly',
+                    'long_straddle', 'short_straddle', 'long_strangle', 'short_strangle',
+                    'call_ratio_spread', 'put_ratio_spread', 'calendar_spread', 'call_diagonal', 'put_diagonal',
+                    'custom'
+                  ],
+                  description: 'Structure to trade (default: iron_condor). "custom" uses the legs template'
+                },
+                legs: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      action: { type: 'string', enum: ['buy', 'sell'] },
+                      type: { type: 'string', enum: ['call', 'put'] },
+                      delta: { type: 'number', description: 'Target |delta| for the strike (e.g., 0.16)' },
+                      strike_offset_pct: { type: 'number', description: 'Strike as % from spot when no delta is given (e.g., -5)' },
+                      quantity: { type: 'number', description: 'Leg ratio (default 1)' },
+                      back_month: { type: 'boolean', description: 'Use the back-month expiration (entry_dte + back_dte_offset)' }
+                    },
+                    required: ['action', 'type']
+                  },
+                  description: 'Leg template for the custom structure'
+                },
+                entry_dte: { type: 'number', description: 'Target days to expiration at entry (default 45)' },
+                back_dte_offset: { type: 'number', description: 'Extra days for the back month of calendars/diagonals (default 28)' },
+                delta_target: { type: 'number', description: 'Pick the candidate whose short legs are nearest this |delta|. Default: best expected value' },
+                entry_every_n_days: { type: 'number', description: 'Trading days between entries (default 5)' },
+                max_open_positions: { type: 'number', description: 'Maximum concurrent positions (default 1)' },
+                contracts: { type: 'number', description: 'Contracts per trade (default 1)' },
+                profit_target_pct: { type: 'number', description: 'Close at this % of entry premium (default 50)' },
+                stop_loss_pct: { type: 'number', description: 'Stop at this % loss of entry premium (default 100)' },
+                time_stop_dte: { type: 'number', description: 'Close at this many days to expiration (default 21, 0 disables)' }
+              },
+              description: 'Entry and exit rules'
+            },
+            starting_capital: { type: 'number', description: 'Starting equity in dollars (default 10000)' },
+            price_source: {
+              type: 'string',
+              enum: ['model', 'market'],
+              description: '"model" prices legs from realized volatility; "market" uses historical option closes where available (default: model)'
+            },
+            implied_volatility: { type: 'number', description: 'Optional: Fixed volatility for pricing instead of realized volatility (e.g., 0.2)' },
+            iv_premium: { type: 'number', description: 'Multiplier on realized volatility to approximate implied volatility (default 1.0)' },
+            volatility_lookback: { type: 'number', description: 'Realized volatility window in trading days (default 20)' },
+            bid_ask_spread_pct: { type: 'number', description: 'Assumed bid-ask spread as a fraction of mid (default 0.05)' },
+            commission_per_contract: { type: 'number', description: 'Commission per contract (default 0.65)' },
+            bars_file: { type: 'string', description: 'Optional: Path to a local JSON file of daily bars ({ t, c } or { date, close }) instead of the API' },
+            include_equity_curve: { type: 'boolean', description: 'Include the daily equity curve (default true)' }
+          },
+          required: ['symbol'],
+          additionalProperties: false,
+          examples: [
+            {
+              symbol: 'SPY',
+              start_date: '2023-01-01',
+              end_date: '2024-12-31',
+              rules: { structure: 'iron_condor', entry_dte: 45, delta_target: 0.16, profit_target_pct: 50, time_stop_dte: 21 }
+            }
+          ]
+        }
+      },
+      {
+        name: 'get_cache_stats',
+        description: 'Show market-data cache statistics: memory/disk hits, misses, stale responses served while refreshing, per-endpoint counts, storage use and TTL rules. Can also clear entries or switch offline replay mode, which answers only from recorded responses so analyses can be reproduced without a live API.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            clear: {
+              type: 'string',
+              enum: ['expired', 'memory', 'all'],
+              description: 'Optional: Remove entries past their stale window ("expired"), the in-memory tier ("memory") or everything including recordings on disk ("all")'
+            },
+            offline: {
+              type: 'boolean',
+              description: 'Optional: true to serve only recorded responses, false to go back to the live API'
+            },
+            reset_stats: {
+              type: 'boolean',
+              description: 'Zero the counters after reporting them (default false)'
+            }
+          },
+          additionalProperties: false,
+          examples: [
+            {},
+            { clear: 'expired' },
+            { offline: true }
+          ]
+        }
+      },
+      {
+        name: 'get_request_metrics',
+        description: 'Show API request scheduler metrics: plan tier rate limit, network calls, rate-limit waits, concurrency, retries by reason (429, 5xx, network errors), Retry-After pauses and deduplicated in-flight requests.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            reset: {
+              type: 'boolean',
+              description: 'Zero the counters after reporting them (default false)'
+            }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'get_iv_rank',
+        description: 'Real IV Rank and IV Percentile from stored daily implied volatility history (30-day constant-maturity ATM IV or 25-delta skew). History is recorded from full (unfiltered, untruncated) chain pulls and can be filled in with backfill_iv_history. Reports observations and coverage so thin history is flagged.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            symbol: { type: 'string', description: 'Underlying symbol (e.g., SPY)' },
+            metric: {
+              type: 'string',
+              enum: ['atm_iv', 'skew_25d', 'put_25d_iv', 'call_25d_iv'],
+              description: 'Series to rank (default: atm_iv)'
+            },
+            lookback_days: { type: 'number', description: 'Calendar days of history (default 365)' },
+            current_iv: { type: 'number', description: 'Optional: Current value to rank. Default: pulled from the live chain' }
+          },
+          required: ['symbol'],
+          additionalProperties: false,
+          examples: [
+            { symbol: 'SPY' },
+            { symbol: 'AAPL', metric: 'skew_25d', lookback_days: 180 }
+          ]
+        }
+      },
+      {
+        name: 'get_iv_history',
+        description: 'Stored daily implied volatility snapshots for a symbol: 30-day ATM IV, 25-delta put/call IVs and skew, and optionally the full term structure recorded each day.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            symbol: { type: 'string', description: 'Underlying symbol (e.g., SPY)' },
+            from: { type: 'string', description: 'Optional: Start date (YYYY-MM-DD)' },
+            to: { type: 'string', description: 'Optional: End date (YYYY-MM-DD)' },
+            lookback_days: { type: 'number', description: 'Calendar days back from today when from is not given (default 365)' },
+            include_term_structure: { type: 'boolean', description: 'Include per-expiration points (default false)' }
+          },
+          required: ['symbol'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'backfill_iv_history',
+        description: 'Backfill the daily IV history from historical option aggregates: for each day, the ATM call and put on the expiration nearest the target DTE are priced from their daily closes and solved for implied volatility. Days already recorded from live chains are kept unless overwrite is set.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            symbol: { type: 'string', description: 'Underlying symbol (e.g., SPY)' },
+            from: { type: 'string', description: 'Start date (YYYY-MM-DD)' },
+            to: { type: 'string', description: 'End date (YYYY-MM-DD)' },
+            target_dte: { type: 'number', description: 'Days to expiration of the sampled contracts (default 30)' },
+            expiration_cycle: {
+              type: 'string',
+              enum: ['monthly', 'weekly'],
+              description: 'Sample third-Friday monthlies or weekly Fridays (default: monthly)'
+            },
+            sample_every_days: { type: 'number', description: 'Trading days between samples (default 1)' },
+            strike_increment: { type: 'number', description: 'Optional: Listed strike spacing. Default by price level' },
+            overwrite: { type: 'boolean', description: 'Replace days recorded from live chains (default false)' },
+            max_contract_lookups: { type: 'number', description: 'Cap on option contract history requests (default 120)' }
+          },
+          required: ['symbol', 'from', 'to'],
+          additionalProperties: false,
+          examples: [
+            { symbol: 'SPY', from: '2024-01-01', to: '2024-12-31', sample_every_days: 5 }
+          ]
+        }
+      },
+      {
+        name: 'get_vol_surface',
+        description: 'Fit an implied volatility surface to the live chain: raw SVI per expiration and SSVI across expirations, checked for butterfly and calendar arbitrage (SSVI is used when the SVI slices are not arbitrage-free). Read IV at any strike or delta and DTE, and list contracts trading rich or cheap against the surface.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            symbol: { type: 'string', description: 'Underlying symbol (e.g., SPY)' },
+            expirations: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Optional: Expirations to fit (YYYY-MM-DD). Default: all within the DTE window'
+            },
+            min_dte: { type: 'number', description: 'Shortest expiration to fit in days (default 2)' },
+            max_dte: { type: 'number', description: 'Longest expiration to fit in days (default 730)' },
+            max_expirations: { type: 'number', description: 'Maximum expirations to fit (default 12)' },
+            model: {
+              type: 'string',
+              enum: ['auto', 'svi', 'ssvi'],
+              description: 'Model for queries and residuals (default: auto = SVI when arbitrage-free, else SSVI)'
+            },
+            queries: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  strike: { type: 'number' },
+                  delta: { type: 'number', description: 'Absolute delta, e.g. 0.25' },
+                  type: { type: 'string', enum: ['call', 'put'] },
+                  expiration: { type: 'string' },
+                  dte: { type: 'number' }
+                }
+              },
+              description: 'Optional: Points to read off the surface, each with strike or delta and expiration or dte'
+            },
+            rich_cheap_z: { type: 'number', description: 'Residual z-score that flags a contract (default 2)' },
+            min_residual: { type: 'number', description: 'Minimum residual in vol points to flag, 0.01 = 1 vol (default 0.01)' },
+            max_flagged: { type: 'number', description: 'Rich/cheap contracts listed per side (default 20)' },
+            include_grid: { type: 'boolean', description: 'Include an IV grid by moneyness and expiration (default false)' },
+            max_contracts: { type: 'number', description: 'Maximum contracts to fetch for the chain (default 10000)' }
+          },
+          required: ['symbol'],
+          additionalProperties: false,
+          examples: [
+            { symbol: 'SPY' },
+            { symbol: 'AAPL', queries: [{ delta: 0.25, type: 'put', dte: 30 }, { strike: 200, dte: 45 }], include_grid: true }
+          ]
+        }
+      },
+      {
+        name: 'get_expected_move',
+        description: 'Straddle-implied move for each expiration (ATM straddle at mid, with the ATM-IV one standard deviation move). Given an event date (earnings, FOMC, CPI), backs out the implied one-day event move by differencing total variance between the expirations either side of the event, and compares it with realized moves on prior event dates.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            symbol: { type: 'string', description: 'Underlying symbol (e.g., AAPL)' },
+            event_date: { type: 'string', description: 'Optional: Upcoming event date (YYYY-MM-DD)' },
+            event_timing: {
+              type: 'string',
+              enum: ['before_open', 'intraday', 'after_close'],
+              description: 'When the event lands relative to the session (default: after_close, typical for earnings)'
+            },
+            past_event_dates: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Optional: Prior event dates (YYYY-MM-DD) to measure realized reactions'
+            },
+            max_expirations: { type: 'number', description: 'Expirations to list (default 8)' },
+            max_contracts: { type: 'number', description: 'Maximum contracts to fetch for the chain (default 10000)' }
+          },
+          required: ['symbol'],
+          additionalProperties: false,
+          examples: [
+            { symbol: 'SPY' },
+            { symbol: 'AAPL', event_date: '2025-01-30', event_timing: 'after_close', past_event_dates: ['2024-10-31', '2024-08-01', '2024-05-02', '2024-02-01'] }
+          ]
+        }
+      },
+      {
+        name: 'get_dealer_positioning_history',
+        description: 'History of stored dealer positioning for a symbol: total GEX/VEX, zero-gamma flip level, call wall and put wall per day with day-over-day changes, plus attribution of each strike\'s GEX change to open interest changes versus gamma/spot moves. Records are added by every full-chain get_dealer_positioning_matrix call.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            symbol: { type: 'string', description: 'Underlying symbol (e.g., SPY)' },
+            from: { type: 'string', description: 'Optional: Start date (YYYY-MM-DD)' },
+            to: { type: 'string', description: 'Optional: End date (YYYY-MM-DD)' },
+            lookback_days: { type: 'number', description: 'Calendar days back from today when from is not given (default 30)' },
+            granularity: {
+              type: 'string',
+              enum: ['daily', 'all'],
+              description: 'daily keeps the last record of each day; all keeps every record (default: daily)'
+            },
+            top_strikes: { type: 'number', description: 'Strikes listed in each OI attribution (default 10)' },
+            include_matrix: { type: 'boolean', description: 'Include the stored GEX/VEX matrices, kept for the latest 5 snapshots only (default false)' }
+          },
+          required: ['symbol'],
+          additionalProperties: false,
+          examples: [
+            { symbol: 'SPY' },
+            { symbol: 'QQQ', lookback_days: 10, granularity: 'all', top_strikes: 5 }
+          ]
+        }
+      },
+      {
+        name: 'add_trade_note',
+        description: 'Add a journal note and/or tags to a tracked trade (open or closed). Notes are stored as events in the position history, so the journal keeps the full record of why a trade was entered, managed and exited.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            position_id: { type: 'string', description: 'Position ID from tracked positions' },
+            note: { type: 'string', description: 'Journal note text' },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Tags for the note (e.g., ["earnings", "mistake"]); also added to the trade'
+            },
+            replace_tags: { type: 'boolean', description: 'Replace the trade\'s tags with tags rather than adding to them (default false)' }
+          },
+          required: ['position_id'],
+          additionalProperties: false,
+          examples: [
+            { position_id: 'pos_1718000000000_abc123def', note: 'Entered ahead of CPI, IV rank 62', tags: ['macro', 'high_iv'] },
+            { position_id: 'pos_1718000000000_abc123def', tags: ['earnings'], replace_tags: true }
+          ]
+        }
+      },
+      {
+        name: 'get_trade_journal',
+        description: 'Search trade journal notes across tracked positions by symbol, tag, status, strategy, date range or text. Returns matching notes newest first with tag counts.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            symbol: { type: 'string', description: 'Optional: Underlying symbol' },
+            tag: { type: 'string', description: 'Optional: Tag on the note or the trade' },
+            status: { type: 'string', enum: ['open', 'closed', 'all'], description: 'Trade status (default: all)' },
+            strategy: { type: 'string', description: 'Optional: Strategy name' },
+            position_id: { type: 'string', description: 'Optional: Single trade' },
+            from: { type: 'string', description: 'Optional: Notes on or after this date (YYYY-MM-DD)' },
+            to: { type: 'string', description: 'Optional: Notes on or before this date (YYYY-MM-DD)' },
+            text: { type: 'string', description: 'Optional: Case-insensitive text search in notes' },
+            limit: { type: 'number', description: 'Maximum notes returned (default 100)' }
+          },
+          additionalProperties: false,
+          examples: [
+            { tag: 'earnings' },
+            { symbol: 'SPY', status: 'closed', from: '2024-01-01', text: 'stop' }
+          ]
+        }
+      },
+      {
+        name: 'get_position_history',
+        description: 'Full event history of a tracked position: opening, legs, fills, adjustments, updates, journal notes and close, in the order they were recorded. Works for closed and deleted positions.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            position_id: { type: 'string', description: 'Position ID from tracked positions' }
+          },
+          required: ['position_id'],
+          additionalProperties: false,
+          examples: [
+            { position_id: 'pos_1718000000000_abc123def' }
+          ]
+        }
+      },
+      {
+        name: 'get_performance_report',
+        description: 'Realized P&L and performance analytics across closed tracked positions: P&L by day, week and month, by symbol, strategy and tag, win rate, average winner/loser, expectancy, profit factor, max drawdown of cumulative realized P&L and holding-period statistics.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', description: 'Optional: Trades closed on or after this date (YYYY-MM-DD)' },
+            to: { type: 'string', description: 'Optional: Trades closed on or before this date (YYYY-MM-DD)' },
+            symbol: { type: 'string', description: 'Optional: Underlying symbol' },
+            strategy: { type: 'string', description: 'Optional: Strategy name' },
+            tag: { type: 'string', description: 'Optional: Trade tag' },
+            account_size: { type: 'number', description: 'Optional: Account size for percentage drawdown and return' },
+            include_trades: { type: 'boolean', description: 'Include the per-trade records (default false)' }
+          },
+          additionalProperties: false,
+          examples: [
+            {},
+            { from: '2024-01-01', strategy: 'iron_condor', account_size: 25000 },
+            { tag: 'earnings', include_trades: true }
+          ]
+        }
+      },
+      {
+        name: 'roll_position',
+        description: 'Roll a tracked position: close its legs and open replacements (new strike and/or expiration) as one event. The roll credit or debit joins the position\'s campaign, so premium collected, cost basis and roll lineage carry across rolls.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            position_id: { type: 'string', description: 'Position ID from tracked positions' },
+            open_legs: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  action: { type: 'string', enum: ['buy', 'sell'] },
+                  type: { type: 'string', enum: ['call', 'put'] },
+                  strike: { type: 'number' },
+                  expiration: { type: 'string', description: 'YYYY-MM-DD' },
+                  quantity: { type: 'number', description: 'Leg ratio (default 1)' },
+                  price: { type: 'number', description: 'Fill price per share' }
+                }
+              },
+              description: 'Legs opened by the roll'
+            },
+            close_legs: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Optional: Leg IDs closed by the roll (default: all open legs)'
+            },
+            net_credit: { type: 'number', description: 'Net credit per share per contract (negative for a debit)' },
+            new_expiration: { type: 'string', description: 'Optional: New position expiration YYYY-MM-DD (default: earliest open leg)' },
+            new_strike: { type: 'number', description: 'Optional: New strike price (or short strike for spreads)' },
+            description: { type: 'string', description: 'Optional description of the roll' }
+          },
+          required: ['position_id', 'open_legs'],
+          additionalProperties: false,
+          examples: [
+            {
+              position_id: 'pos_1718000000000_abc123def',
+              close_legs: ['leg_1'],
+              open_legs: [{ action: 'sell', type: 'put', strike: 495, expiration: '2024-07-19' }],
+              net_credit: 0.45,
+              description: 'Roll short put down and out'
+            }
+          ]
+        }
+      },
+      {
+        name: 'adjust_position',
+        description: 'Adjust a tracked position: add or remove legs (e.g. write a covered call on assigned shares), close part of the position by contract count and/or sell assigned shares. Partial closes realize their share of the campaign premium; closing all remaining contracts and shares closes the position.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            position_id: { type: 'string', description: 'Position ID from tracked positions' },
+            add_legs: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  action: { type: 'string', enum: ['buy', 'sell'] },
+                  type: { type: 'string', enum: ['call', 'put'] },
+                  strike: { type: 'number' },
+                  expiration: { type: 'string', description: 'YYYY-MM-DD' },
+                  quantity: { type: 'number', description: 'Leg ratio (default 1)' },
+                  price: { type: 'number', description: 'Fill price per share' }
+                }
+              },
+              description: 'Optional: Legs to add'
+            },
+            remove_legs: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Optional: Leg IDs to close'
+            },
+            net_credit: { type: 'number', description: 'Optional: Net credit per share per contract for the leg changes (negative for a debit)' },
+            close_contracts: { type: 'number', description: 'Optional: Number of contracts to close' },
+            close_price: { type: 'number', description: 'Price per share the contracts were closed at (required with close_contracts)' },
+            close_shares: { type: 'number', description: 'Optional: Number of assigned shares to sell (or buy back when short)' },
+            share_price: { type: 'number', description: 'Price per share the shares were closed at (required with close_shares)' },
+            fees: { type: 'number', description: 'Optional: Fees for the partial close' },
+            description: { type: 'string', description: 'Optional description of the adjustment' }
+          },
+          required: ['position_id'],
+          additionalProperties: false,
+          examples: [
+            { position_id: 'pos_1718000000000_abc123def', close_contracts: 2, close_price: 0.6 },
+            {
+              position_id: 'pos_1718000000000_abc123def',
+              add_legs: [{ action: 'buy', type: 'put', strike: 480, expiration: '2024-06-21' }],
+              net_credit: -0.35,
+              description: 'Buy a wing to define risk'
+            }
+          ]
+        }
+      },
+      {
+        name: 'assign_position',
+        description: 'Record assignment of a short option leg (or exercise of a long one). The resulting shares join the position\'s campaign at the strike, with the premium collected lowering their adjusted cost basis.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            position_id: { type: 'string', description: 'Position ID from tracked positions' },
+            leg_id: { type: 'string', description: 'Optional: Assigned leg (default: the only open leg)' },
+            option_type: { type: 'string', enum: ['call', 'put'], description: 'Optional: Option type, for positions tracked without legs' },
+            action: { type: 'string', enum: ['buy', 'sell'], description: 'Optional: Leg action (sell = assigned, buy = exercised), for positions tracked without legs' },
+            strike: { type: 'number', description: 'Optional: Assignment strike (default: the leg\'s strike)' },
+            assignment_date: { type: 'string', description: 'Optional: Assignment date YYYY-MM-DD (default: today)' }
+          },
+          required: ['position_id'],
+          additionalProperties: false,
+          examples: [
+            { position_id: 'pos_1718000000000_abc123def', leg_id: 'leg_2' }
+          ]
+        }
+      },
+      {
+        name: 'import_broker_statement',
+        description: 'Import broker executions from a CSV export or OFX statement into the position tracker. Option symbols (OCC/OSI or broker descriptions) are normalized into legs, multi-leg orders are grouped into strategies, and fills are reconciled against tracked positions as opens, rolls, closes, partial closes, expirations and assignments. Dry run by default: returns the planned changes without writing. Fills already imported are skipped.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            content: { type: 'string', description: 'Statement content (CSV or OFX text). Provide content or file_path' },
+            file_path: { type: 'string', description: 'Path to a CSV or OFX file. Provide content or file_path' },
+            format: { type: 'string', enum: ['auto', 'csv', 'ofx'], description: 'Optional: Statement format (default: auto-detect)' },
+            account: { type: 'string', description: 'Optional: Account for statements without an account column or ID' },
+            sleeve: { type: 'string', description: 'Optional: Strategy sleeve for positions opened by the import' },
+            dry_run: { type: 'boolean', description: 'Optional: Only plan the changes (default: true). Set false to apply them' },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Optional: Tags for positions opened by the import'
+            }
+          },
+          additionalProperties: false,
+          examples: [
+            { file_path: '/home/user/Downloads/transactions.csv' },
+            { file_path: '/home/user/Downloads/statement.ofx', dry_run: false, tags: ['imported'] }
+          ]
+        }
+      },
+      {
+        name: 'get_correlation_risk',
+        description: 'Measure how much of a portfolio is one bet. Builds a correlation/covariance matrix of daily returns across the held underlyings and a benchmark, reports beta-weighted delta and gamma (in benchmark shares) and dollar delta per underlying and in total, and flags clusters of positions that are highly correlated in the same direction. Uses open tracked positions when no positions are given; legs without Greeks are filled from contract snapshots.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            positions: {
+              type: 'array',
+              items: { type: 'object' },
+              description: 'Optional: Positions with symbol, contracts and legs ({ action, type, strike, expiration, greeks|iv|price }); defaults to open tracked positions'
+            },
+            benchmark: { type: 'string', description: 'Optional: Beta benchmark (default: SPY)' },
+            lookback_days: { type: 'number', description: 'Optional: Trading days of daily returns (default: 90)' },
+            correlation_threshold: { type: 'number', description: 'Optional: Correlation that makes positions one bet (default: circuit breaker correlation_threshold, 0.85)' },
+            underlying_prices: {
+              type: 'object',
+              additionalProperties: { type: 'number' },
+              description: 'Optional: { SYMBOL: price } overriding the last daily close'
+            }
+          },
+          additionalProperties: false,
+          examples: [
+            {},
+            { benchmark: 'QQQ', lookback_days: 60, correlation_threshold: 0.8 }
+          ]
+        }
+      },
+      {
+        name: 'configure_circuit_breakers',
+        description: 'Create, change or remove a circuit breaker profile. The default profile applies everywhere, an account profile overrides it for one account (or, with sleeve, for one of its strategy sleeves) and a symbol profile overrides all of them for one symbol. Rules: max_daily_loss, max_daily_loss_pct, max_position_loss_pct, max_portfolio_risk_pct, vix_spike_threshold, correlation_threshold, max_trades_per_day, max_consecutive_losses, max_vega, max_short_gamma, max_weekly_drawdown, max_monthly_drawdown (null turns a rule off) and enabled. Cooldowns set how long a tripped breaker stays active per breaker type.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            scope: { type: 'string', enum: ['default', 'account', 'symbol'], description: 'Profile scope (default: default)' },
+            name: { type: 'string', description: 'Account or symbol the profile is for (not needed for default)' },
+            sleeve: { type: 'string', description: 'Optional: With scope account, the sleeve the profile is for' },
+            rules: {
+              type: 'object',
+              additionalProperties: { type: ['number', 'boolean', 'null'] },
+              description: 'Rule limits to set, e.g. { "max_daily_loss": 300, "max_consecutive_losses": 3 }'
+            },
+            cooldowns: {
+              type: 'object',
+              additionalProperties: { type: ['number', 'string'] },
+              description: 'Per breaker type: minutes, or end_of_day / end_of_week / end_of_month; 0 = only while the condition holds. E.g. { "VIX_SPIKE": 120 }'
+            },
+            replace: { type: 'boolean', description: 'Optional: Replace the profile instead of merging into it (default: false)' },
+            remove: { type: 'boolean', description: 'Optional: Remove the profile (default: false)' }
+          },
+          additionalProperties: false,
+          examples: [
+            { rules: { max_trades_per_day: 10, max_weekly_drawdown: 1500 } },
+            { scope: 'symbol', name: 'TSLA', rules: { max_position_loss_pct: 0.3, max_vega: 300 }, cooldowns: { MAX_VEGA: 60 } },
+            { scope: 'account', name: 'IRA', sleeve: 'wheel', rules: { max_daily_loss: 200 } }
+          ]
+        }
+      },
+      {
+        name: 'get_circuit_breaker_status',
+        description: 'Show an account\'s (or sleeve\'s) circuit breaker state: active breakers with their expiry, daily P&L, trades today, loss streak, weekly and monthly drawdown, and the effective rule configuration.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            account: { type: 'string', description: 'Optional: Account (default: default)' },
+            sleeve: { type: 'string', description: 'Optional: Strategy sleeve within the account' },
+            symbol: { type: 'string', description: 'Optional: Also show the configuration with this symbol\'s profile applied' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'record_trade_result',
+        description: 'Record a completed trade\'s P&L for the daily loss, trades-per-day, consecutive-loss and drawdown breakers. Closing a tracked position with close_position records it automatically.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            pnl: { type: 'number', description: 'Realized P&L of the trade (negative for a loss)' },
+            account: { type: 'string', description: 'Optional: Account (default: default)' },
+            sleeve: { type: 'string', description: 'Optional: Strategy sleeve; the trade counts toward the sleeve and its account' },
+            symbol: { type: 'string', description: 'Optional: Underlying symbol' },
+            position_id: { type: 'string', description: 'Optional: Tracked position ID' }
+          },
+          required: ['pnl'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'reset_circuit_breakers',
+        description: 'Manually clear tripped circuit breakers before their cooldown ends. Requires reset_code "RESET_CONFIRMED"; the reset and its reason are written to the audit log.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            reset_code: { type: 'string', description: 'Must be "RESET_CONFIRMED"' },
+            account: { type: 'string', description: 'Optional: Account (default: default)' },
+            sleeve: { type: 'string', description: 'Optional: Strategy sleeve within the account' },
+            types: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Optional: Breaker types to clear (default: all), e.g. ["VIX_SPIKE"]'
+            },
+            reason: { type: 'string', description: 'Optional: Why the breakers are being reset' }
+          },
+          required: ['reset_code'],
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'get_circuit_breaker_audit',
+        description: 'Read the append-only circuit breaker audit log, newest first: every evaluation (inputs, breakers tripped, decision), recorded trade, reset, expiry and profile change.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            account: { type: 'string', description: 'Optional: Only entries for this account (including its sleeves)' },
+            sleeve: { type: 'string', description: 'Optional: Only entries for this sleeve' },
+            event: {
+              type: 'string',
+              enum: ['evaluation', 'trade_recorded', 'reset', 'breaker_expired', 'profile_updated', 'profile_removed'],
+              description: 'Optional: Only this kind of entry'
+            },
+            since: { type: 'string', description: 'Optional: Only entries at or after this ISO date/time' },
+            limit: { type: 'number', description: 'Optional: Maximum entries (default: 100)' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'configure_account',
+        description: 'Register or update a trading account (cash, margin or IRA) with its size, its risk config for position sizing and optional strategy sleeves that carve out part of its capital. Positions, circuit breaker state and sizing can then be scoped to the account or a sleeve. Stored in .claude/accounts.json.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', description: 'Account name, e.g. "IRA" (no "/" or spaces)' },
+            type: { type: 'string', enum: ACCOUNT_TYPES, description: 'Optional: Account type (default: margin)' },
+            account_size: { type: 'number', description: 'Account size in dollars (required for a new account)' },
+            description: { type: 'string', description: 'Optional: Description' },
+            risk_config: {
+              type: 'object',
+              properties: {
+                max_risk_pct: { type: 'number' },
+                min_reward_ratio: { type: 'number' },
+                min_prob_profit: { type: 'number' },
+                max_concentration: { type: 'number' }
+              },
+              additionalProperties: false,
+              description: 'Optional: Position sizing rules for this account (same keys as deep_options_analysis risk_config)'
+            },
+            sleeves: {
+              type: 'object',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  allocation_pct: { type: 'number', description: 'Share of the account (0-1)' },
+                  capital: { type: 'number', description: 'Fixed capital in dollars' },
+                  description: { type: 'string' },
+                  risk_config: { type: 'object' }
+                }
+              },
+              description: 'Optional: Sleeves to add or update, each with allocation_pct or capital, e.g. { "wheel": { "allocation_pct": 0.5 } }'
+            },
+            remove_sleeves: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Optional: Sleeves to remove'
+            },
+            replace: { type: 'boolean', description: 'Optional: Replace the account instead of merging into it (default: false)' },
+            remove: { type: 'boolean', description: 'Optional: Remove the account from the registry; its positions keep their account (default: false)' }
+          },
+          required: ['name'],
+          additionalProperties: false,
+          examples: [
+            { name: 'IRA', type: 'ira', account_size: 120000, risk_config: { max_risk_pct: 0.01 }, sleeves: { wheel: { allocation_pct: 0.6 }, spreads: { capital: 20000 } } },
+            { name: 'MARGIN', sleeves: { earnings: { allocation_pct: 0.1, risk_config: { max_risk_pct: 0.005 } } } }
+          ]
+        }
+      },
+      {
+        name: 'get_accounts',
+        description: 'List registered accounts (and accounts that only appear on tracked positions) with their type, size, risk config, sleeves with their capital, and open position counts.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            account: { type: 'string', description: 'Optional: Only this account' }
+          },
+          additionalProperties: false
+        }
+      },
+      {
+        name: 'calculate_margin',
+        description: 'Estimate the margin and buying power positions use: Reg-T strategy rules (long options, naked shorts at 20%/15% of the underlying less OTM, verticals, iron condors, straddles/strangles, covered calls, cash-secured puts; cash and IRA accounts finance nothing and need short calls covered) and/or a TIMS-style portfolio-margin approximation that reprices each underlying across a ±15% price scan and the stress scenarios. With a trade, checks whether it fits the buying power left after the existing positions. Uses open tracked positions of the account when no positions are given; missing underlying prices are fetched.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            positions: {
+              type: 'array',
+              items: { type: 'object' },
+              description: 'Optional: Positions ({ symbol, contracts, legs, shares, underlying_price }); default: open tracked positions of the account/sleeve'
             },
-            risk_config: {
+            trade: {
               type: 'object',
               properties: {
-                max_risk_pct: {
-                  type: 'number',
-                  description: 'Max % of account to risk per trade (0.005-0.10, default: 0.02 for 2%)'
-                },
-                min_reward_ratio: {
-                  type: 'number',
-                  description: 'Minimum reward:risk ratio to consider (1.0-10.0, default: 2.0)'
-                },
-                min_prob_profit: {
-                  type: 'number',
-                  description: 'Minimum probability of profit (0.3-0.95, default: 0.5)'
-                },
-                max_concentration: {
-                  type: 'number',
-                  description: 'Max % of account in any single position (0.05-0.50, default: 0.40 for 40%)'
+                symbol: { type: 'string' },
+                contracts: { type: 'number' },
+                underlying_price: { type: 'number' },
+                cash_secured: { type: 'boolean', description: 'Hold short puts as cash-secured' },
+                legs: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      action: { type: 'string', enum: ['buy', 'sell'] },
+                      type: { type: 'string', enum: ['call', 'put', 'stock'] },
+                      strike: { type: 'number' },
+                      expiration: { type: 'string', description: 'YYYY-MM-DD' },
+                      quantity: { type: 'number', description: 'Leg ratio (default 1); for stock, lots of one contract\'s shares' },
+                      price: { type: 'number', description: 'Option price per share' },
+                      iv: { type: 'number', description: 'Implied volatility (portfolio margin)' }
+                    }
+                  }
                 }
               },
-              description: 'Optional: Risk management configuration. All parameters have safe defaults if not provided'
+              required: ['symbol', 'legs'],
+              description: 'Optional: New trade to check against the buying power'
             },
-            current_price: {
-              type: 'number',
-              description: 'Optional: Override current underlying price. If not provided, fetches from market data'
+            method: { type: 'string', enum: ['reg_t', 'portfolio', 'both'], description: 'Optional: Margin method (default: reg_t)' },
+            account: { type: 'string', description: 'Optional: Registered account; sets account_type and the default buying_power (its account_size)' },
+            sleeve: { type: 'string', description: 'Optional: Only positions in this sleeve' },
+            account_type: { type: 'string', enum: ACCOUNT_TYPES, description: 'Optional: Account type (default: the account\'s, else margin)' },
+            buying_power: { type: 'number', description: 'Optional: Total buying power before the positions (required with trade unless the account is registered)' },
+            underlying_prices: {
+              type: 'object',
+              additionalProperties: { type: 'number' },
+              description: 'Optional: Map of symbol to underlying price'
             }
           },
-          required: ['symbol', 'account_size'],
           additionalProperties: false,
           examples: [
-            {
-              symbol: 'IBIT',
-              target_expirations: ['2026-01-16', '2026-03-20'],
-              strikes_to_analyze: [58, 65, 70, 75, 80],
-              account_size: 4000,
-              mode: 'both',
-              strategies: ['bull_call_spread', 'bear_put_spread'],
-              risk_config: {
-                max_risk_pct: 0.02,
-                min_reward_ratio: 2.0,
-                max_concentration: 0.40
-              }
-            }
+            { trade: { symbol: 'AAPL', contracts: 2, legs: [{ action: 'sell', type: 'put', strike: 180, expiration: '2026-12-18', price: 3.2 }] }, buying_power: 25000 },
+            { account: 'MARGIN', method: 'both' }
           ]
         }
       },
       {
         name: 'get_portfolio_greeks',
-        description: 'Calculate portfolio-level Greeks by aggregating across all positions. Shows total delta, gamma, theta, vega exposure with risk warnings when limits exceeded. Essential for understanding overall portfolio risk and market exposure.',
+        description: 'Calculate portfolio-level Greeks by aggregating across all positions. Shows total delta, gamma, theta, vega exposure with risk warnings when limits exceeded. Essential for understanding overall portfolio risk and market exposure. Positions tagged with account/sleeve can be filtered to one account or broken down per account and sleeve alongside the aggregate.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -397,6 +1360,8 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 type: 'object',
                 properties: {
                   symbol: { type: 'string' },
+                  account: { type: 'string' },
+                  sleeve: { type: 'string' },
                   quantity: { type: 'number' },
                   delta: { type: 'number' },
                   gamma: { type: 'number' },
@@ -408,7 +1373,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             account_size: {
               type: 'number',
-              description: 'Trading account size for risk percentage calculations'
+              description: 'Trading account size for risk percentage calculations (default: the registered size of account)'
+            },
+            account: { type: 'string', description: 'Optional: Only positions in this account' },
+            sleeve: { type: 'string', description: 'Optional: Only positions in this sleeve' },
+            group_by: {
+              type: 'string',
+              enum: ['account', 'sleeve'],
+              description: 'Optional: Also return Greeks per account (and per sleeve within each account)'
             }
           },
           required: ['positions'],
@@ -417,7 +1389,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'track_position',
-        description: 'Add a new position to tracking system. Stores position in .claude/positions.json for ongoing monitoring, P&L calculation, and exit signal generation.',
+        description: 'Add a new position to tracking system. Stores the position as events in .claude/positions/ for ongoing monitoring, P&L calculation, exit signal generation and the trade journal.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -428,7 +1400,29 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             contracts: { type: 'number', description: 'Number of contracts' },
             expiration: { type: 'string', description: 'Expiration date YYYY-MM-DD' },
             strike_price: { type: 'number', description: 'Strike price (or short strike for spreads)' },
-            notes: { type: 'string', description: 'Optional notes about the trade' }
+            account: { type: 'string', description: 'Optional account holding the position (default: default)' },
+            sleeve: { type: 'string', description: 'Optional strategy sleeve of a registered account' },
+            notes: { type: 'string', description: 'Optional notes about the trade (recorded as the first journal entry)' },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Optional tags for the trade journal'
+            },
+            legs: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  action: { type: 'string', enum: ['buy', 'sell'] },
+                  type: { type: 'string', enum: ['call', 'put'] },
+                  strike: { type: 'number' },
+                  expiration: { type: 'string', description: 'YYYY-MM-DD' },
+                  quantity: { type: 'number', description: 'Leg ratio (default 1)' },
+                  price: { type: 'number', description: 'Entry price per share' }
+                }
+              },
+              description: 'Optional option legs of the position'
+            }
           },
           required: ['symbol', 'strategy', 'expiration'],
           additionalProperties: false
@@ -436,7 +1430,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'get_tracked_positions',
-        description: 'View all tracked positions with current P&L and exit signals. Returns positions with alerts for profit targets, stop losses, and time-based exits.',
+        description: 'View all tracked positions with current P&L and exit signals. Returns positions with alerts for profit targets, stop losses, and time-based exits, plus position counts per account and sleeve.',
         inputSchema: {
           type: 'object',
           properties: {
@@ -444,19 +1438,22 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               enum: ['open', 'closed', 'all'],
               description: 'Filter by status. Default: "open"'
-            }
+            },
+            account: { type: 'string', description: 'Optional: Only positions in this account' },
+            sleeve: { type: 'string', description: 'Optional: Only positions in this sleeve' }
           },
           additionalProperties: false
         }
       },
       {
         name: 'close_position',
-        description: 'Close a tracked position and record exit details.',
+        description: 'Close a tracked position and record exit details. Assigned shares still held are sold at share_price.',
         inputSchema: {
           type: 'object',
           properties: {
             position_id: { type: 'string', description: 'Position ID from tracked positions' },
             exit_price: { type: 'number', description: 'Exit price per contract' },
+            share_price: { type: 'number', description: 'Sale price per share for assigned shares (required when shares are held, unless exit_profit is given)' },
             exit_profit: { type: 'number', description: 'Total profit/loss from position' }
           },
           required: ['position_id'],
@@ -465,11 +1462,11 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'check_circuit_breakers',
-        description: 'Check if circuit breakers allow trading. Prevents catastrophic losses by halting trading when daily loss limits, portfolio risk limits, or VIX spikes are exceeded. Returns trading_allowed boolean and any warnings.',
+        description: 'Check if circuit breakers allow trading. Prevents catastrophic losses by halting trading when daily loss limits, portfolio risk limits, or VIX spikes are exceeded, and restricts new positions in underlyings that already form a correlated cluster (new_positions_allowed is false when symbol is one of them). Returns trading_allowed boolean and any warnings. Checks one account or sleeve, or with all_accounts every account and sleeve plus an aggregate.',
         inputSchema: {
           type: 'object',
           properties: {
-            account_size: { type: 'number', description: 'Trading account size' },
+            account_size: { type: 'number', description: 'Trading account size (default: the registered account or sleeve capital)' },
             daily_pnl: { type: 'number', description: 'Current daily P&L (negative for loss)' },
             portfolio_risk: { type: 'number', description: 'Total portfolio risk exposure' },
             vix_level: { type: 'number', description: 'Current VIX level' },
@@ -477,18 +1474,67 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'array',
               items: { type: 'object' },
               description: 'Array of current positions'
-            }
+            },
+            check_correlation: {
+              type: 'boolean',
+              description: 'Optional: Compute correlation across the positions (or open tracked positions) and enforce correlation_threshold (default: true whenever there are positions; false turns it off)'
+            },
+            benchmark: { type: 'string', description: 'Optional: Beta benchmark for the correlation check (default: SPY)' },
+            account: { type: 'string', description: 'Optional: Account whose profile and state to use (default: default)' },
+            sleeve: { type: 'string', description: 'Optional: Sleeve of the account; its profile and state apply, and account-level trips still bind it' },
+            all_accounts: {
+              type: 'boolean',
+              description: 'Optional: Check every registered account and sleeve (and any holding tracked positions) and return per-account results with an aggregate (default: false)'
+            },
+            scopes: {
+              type: 'object',
+              additionalProperties: { type: 'object' },
+              description: 'Optional: With all_accounts, per-scope inputs keyed "ACCOUNT" or "ACCOUNT/SLEEVE", e.g. { "IRA": { "portfolio_risk": 8000 } }'
+            },
+            symbol: { type: 'string', description: 'Optional: Symbol about to be traded; its profile overrides the account profile' },
+            net_vega: { type: 'number', description: 'Optional: Portfolio net vega for the max_vega rule' },
+            net_gamma: { type: 'number', description: 'Optional: Portfolio net gamma for the max_short_gamma rule' }
           },
-          required: ['account_size'],
           additionalProperties: false
         }
       },
       {
         name: 'stress_test_portfolio',
-        description: 'Run stress tests on portfolio to estimate P&L under various market scenarios (crash, volatility spike, sideways grind, etc.). Shows worst-case and best-case scenarios with recommendations. Includes Monte Carlo simulation for Value-at-Risk (VaR) calculations. IMPORTANT: Must provide underlying_price for accurate delta P&L calculations.',
+        description: 'Run stress tests on portfolio to estimate P&L under various market scenarios (crash, volatility spike, sideways grind, etc.). Shows worst-case and best-case scenarios with recommendations. Includes Monte Carlo simulation for Value-at-Risk (VaR) calculations. Pass positions with option legs to fully reprice every leg under each scenario (captures gamma/vega convexity) and see the error of the Greek estimate; otherwise portfolio_greeks are used for a Taylor approximation. IMPORTANT: Must provide underlying_price for accurate delta P&L calculations.',
         inputSchema: {
           type: 'object',
           properties: {
+            positions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  symbol: { type: 'string' },
+                  contracts: { type: 'number' },
+                  underlying_price: { type: 'number', description: 'Underlying price for this position (defaults to underlying_price)' },
+                  legs: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        action: { type: 'string', enum: ['buy', 'sell'] },
+                        type: { type: 'string', enum: ['call', 'put'] },
+                        strike: { type: 'number' },
+                        expiration: { type: 'string', description: 'YYYY-MM-DD' },
+                        iv: { type: 'number', description: 'Implied volatility as decimal (solved from the mid or price if omitted)' },
+                        price: { type: 'number', description: 'Current option price per share' },
+                        bid: { type: 'number', description: 'Current bid; with ask, the mid is the P&L base' },
+                        ask: { type: 'number', description: 'Current ask' },
+                        mid: { type: 'number', description: 'Current mid (instead of bid/ask)' },
+                        quantity: { type: 'number', description: 'Leg ratio (default 1)' }
+                      }
+                    }
+                  }
+                }
+              },
+              description: 'Positions with option legs for full-revaluation stress testing'
+            },
             portfolio_greeks: {
               type: 'object',
               properties: {
@@ -505,23 +1551,60 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
             },
             scenarios: {
               type: 'array',
-              items: { type: 'string' },
-              description: 'Optional: Specific scenarios to test. Available: MARKET_CRASH_MILD, MARKET_CRASH_SEVERE, FLASH_CRASH, VOLATILITY_CRUSH, SLOW_BLEED, RALLY, SIDEWAYS, WHIPSAW'
+              items: {
+                anyOf: [
+                  { type: 'string' },
+                  {
+                    type: 'object',
+                    properties: {
+                      name: { type: 'string' },
+                      price_move_pct: { type: 'number', description: 'Underlying move as decimal (-0.15 = -15%)' },
+                      iv_change_pts: { type: 'number', description: 'IV change in vol points (+10 = +10 pts)' },
+                      days_forward: { type: 'number' },
+                      description: { type: 'string' }
+                    }
+                  }
+                ]
+              },
+              description: 'Optional: Specific scenarios to test, by name or as custom scenario objects. Available: MARKET_CRASH_MILD, MARKET_CRASH_SEVERE, FLASH_CRASH, VOLATILITY_CRUSH, SLOW_BLEED, RALLY, SIDEWAYS, WHIPSAW'
+            },
+            mode: {
+              type: 'string',
+              enum: ['greeks', 'full_revaluation'],
+              description: 'Stress method. Default: "full_revaluation" when positions are provided, otherwise "greeks"'
+            },
+            iv_shock_model: {
+              type: 'string',
+              enum: ['parallel', 'sqrt_time'],
+              description: 'How IV shocks apply across expirations in full revaluation. "sqrt_time" scales shocks by sqrt(30/DTE) so front months move more. Default: "parallel"'
             },
             run_monte_carlo: {
               type: 'boolean',
-              description: 'Run Monte Carlo simulation for VaR calculations. Default: false'
+              description: 'Run Monte Carlo simulation for VaR/CVaR calculations. With positions, every leg is repriced along each simulated path. Default: false'
             },
             monte_carlo_config: {
               type: 'object',
               properties: {
-                num_simulations: { type: 'number', description: 'Number of simulations (default: 1000)' },
+                num_simulations: { type: 'number', description: 'Number of simulations (default: 1000, max 20000; fewer for horizons over 100 days)' },
                 days_forward: { type: 'number', description: 'Time horizon in days (default: 30)' },
-                daily_volatility: { type: 'number', description: 'Daily volatility (default: 0.01 = 1%)' }
+                seed: { type: 'number', description: 'Random seed; the same seed reproduces the same results (default: 42)' },
+                model: { type: 'string', enum: ['gbm', 'jump', 'heston'], description: 'Path model: lognormal GBM, Merton jump-diffusion, or Heston stochastic volatility (default: gbm)' },
+                volatility: { type: 'number', description: 'Annualized path volatility for positions mode (default: average leg IV)' },
+                daily_volatility: { type: 'number', description: 'Daily volatility for portfolio_greeks mode (default: 0.01 = 1%)' },
+                drift: { type: 'number', description: 'Annualized drift (default: 0)' },
+                jump_intensity: { type: 'number', description: 'Jump model: expected jumps per year (default: 3)' },
+                jump_mean: { type: 'number', description: 'Jump model: mean log jump size (default: -0.05)' },
+                jump_volatility: { type: 'number', description: 'Jump model: jump size volatility (default: 0.08)' },
+                kappa: { type: 'number', description: 'Heston: variance mean-reversion speed (default: 3)' },
+                long_run_variance: { type: 'number', description: 'Heston: long-run variance (default: starting variance)' },
+                vol_of_vol: { type: 'number', description: 'Heston: volatility of variance (default: 0.6)' },
+                correlation: { type: 'number', description: 'Heston: spot/vol correlation (default: -0.7)' },
+                breakevens: { type: 'array', items: { type: 'number' }, description: 'Breakeven prices to test for touches (default: derived from legs)' },
+                histogram_buckets: { type: 'number', description: 'Number of histogram buckets (default: 20)' }
               }
             }
           },
-          required: ['portfolio_greeks', 'underlying_price'],
+          required: ['underlying_price'],
           additionalProperties: false
         }
       },
@@ -627,7 +1710,12 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: 'string',
               pattern: '^\\d{4}-\\d{2}-\\d{2}$',
               description: 'Expiration date in YYYY-MM-DD format'
-            }
+            },
+            contracts: { type: 'number', description: 'Optional: Number of contracts for the buying power check (default: 1)' },
+            buying_power: { type: 'number', description: 'Optional: Available buying power; adds a check that rejects trades whose margin exceeds it' },
+            account: { type: 'string', description: 'Optional: Registered account whose type sets the margin rules' },
+            account_type: { type: 'string', enum: ACCOUNT_TYPES, description: 'Optional: Account type for the margin rules (default: margin)' },
+            margin_method: { type: 'string', enum: ['reg_t', 'portfolio'], description: 'Optional: Margin method for the buying power check (default: reg_t)' }
           },
           required: ['symbol', 'strategy_type', 'strikes', 'expiration'],
           additionalProperties: false
@@ -635,10 +1723,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
       {
         name: 'calculate_option_probabilities',
-        description: 'Calculate Black-Scholes probabilities for an option position. Returns probability of touching strike, probability ITM/OTM, expected move, distance in ATR/stddev, IV vs HV comparison, and risk assessment. Essential for understanding true risk before trading.',
+        description: 'Calculate Black-Scholes probabilities for an option position. Returns probability of touching strike, probability ITM/OTM, expected move, distance in ATR/stddev, IV vs HV comparison, and risk assessment. Identify the option by ticker (contract) or by symbol, strike, expiration and option_type. Essential for understanding true risk before trading.',
         inputSchema: {
           type: 'object',
           properties: {
+            contract: {
+              type: 'string',
+              description: 'Option contract ticker (e.g., "O:SPY240621P00500000" or OSI "SPY   240621P00500000") in place of symbol, option_type, strike and expiration'
+            },
             symbol: {
               type: 'string',
               description: 'Underlying ticker symbol'
@@ -658,7 +1750,6 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description: 'Option type: "call" or "put"'
             }
           },
-          required: ['symbol', 'strike', 'expiration', 'option_type'],
           additionalProperties: false
         }
       },
@@ -759,7 +1850,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         if (Object.keys(args).length === 1 && args.symbol) {
           // Get a sample of available expirations to help the user
           try {
-            const chainData = await client.getOptionChain(args.symbol);
+            // One page is plenty for a sample
+            const chainData = await client.getOptionChain(args.symbol, null, { max_contracts: 1000, max_pages: 1 });
             const expirations = [...new Set(chainData.results.map(opt => opt.expiration_date))].sort().slice(0, 5);
             const strikes = [...new Set(chainData.results.filter(opt => opt.contract_type === 'call').map(opt => opt.strike_price))].sort((a,b) => a-b).slice(0, 10);
             
@@ -779,45 +1871,38 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           }
         }
         
-        const data = await client.getOptionChain(args.symbol, args.expiration);
+        const data = await client.getOptionChain(args.symbol, args.expiration, { max_contracts: args.max_contracts });
         return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
       }
       
       case 'get_option_quote': {
         // Debug: log received arguments
         console.error('DEBUG: get_option_quote received args:', JSON.stringify(args, null, 2));
-        
-        // Validate required parameters
-        if (!args.symbol || !args.optionType || args.strike === undefined || !args.expiration) {
-          const missingParams = [];
-          if (!args.symbol) missingParams.push('symbol');
-          if (!args.optionType) missingParams.push('optionType');
-          if (args.strike === undefined) missingParams.push('strike');
-          if (!args.expiration) missingParams.push('expiration');
-          
-          throw new Error(`Missing required parameters: ${missingParams.join(', ')}. To get a quote for a specific option, you must provide ALL of: symbol (e.g., "IBIT"), optionType ("call" or "put"), strike (e.g., 70), and expiration (e.g., "2025-11-14"). Received: ${JSON.stringify(args)}`);
-        }
-        
-        const data = await client.getQuote(args.symbol, args.optionType, args.strike, args.expiration);
+
+        // Either a contract ticker or all four fields; the error names what is missing
+        const contract = resolveContract(args);
+        const data = await client.getQuote(contract.root, contract.option_type, contract.strike, contract.expiration);
         return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
       }
 
       case 'get_historical_aggregates': {
+        const contract = resolveContract(args);
         const data = await client.getHistoricalAggregates(
-          args.symbol, args.optionType, args.strike, args.expiration,
+          contract.root, contract.option_type, contract.strike, contract.expiration,
           args.multiplier, args.timespan, args.from, args.to
         );
         return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
       }
 
       case 'search_options': {
-        const data = await client.searchOptions(args.query);
+        const data = await client.searchOptions(args.query, { limit: args.limit });
         return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
       }
 
       case 'get_option_analytics': {
+        const contract = resolveContract(args);
         const data = await client.getOptionAnalytics(
-          args.symbol, args.optionType, args.strike, args.expiration, args.targetPrice
+          contract.root, contract.option_type, contract.strike, contract.expiration, args.targetPrice
         );
         return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
       }
@@ -831,7 +1916,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       
       case 'get_market_structure': {
         const data = await client.getMarketStructure(
-          args.symbol, args.expiration
+          args.symbol, args.expiration, { pin_expirations: args.pin_expirations || 3 }
         );
         return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
       }
@@ -842,42 +1927,434 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           expirations: args.expirations || null,
           strike_range: args.strike_range || null,
           include_vex: args.include_vex || false,
-          format: args.format || 'matrix'
+          include_dex: args.include_dex || false,
+          include_charm: args.include_charm || false,
+          include_vanna: args.include_vanna || false,
+          include_gex_curve: args.include_gex_curve !== false,
+          curve_range: args.curve_range || 0.1,
+          curve_points: args.curve_points || 41,
+          format: args.format || 'matrix',
+          max_contracts: args.max_contracts
         });
         return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
       }
 
       case 'deep_options_analysis': {
+        // Size against the account's (or sleeve's) capital and risk rules
+        const sizing = resolveSizingScope({
+          account: args.account,
+          sleeve: args.sleeve,
+          account_size: args.account_size,
+          risk_config: args.risk_config
+        });
         const data = await client.deepOptionsAnalysis({
           symbol: args.symbol,
           target_expirations: args.target_expirations || [],
           strikes_to_analyze: args.strikes_to_analyze || [],
-          account_size: args.account_size,
+          account_size: sizing.account_size,
           mode: args.mode || 'both',
           strategies: args.strategies || ['bull_call_spread', 'bear_put_spread', 'iron_condor', 'calendar_spread'],
-          risk_config: args.risk_config || {},
+          risk_config: sizing.account_type ? { account_type: sizing.account_type, ...sizing.risk_config } : sizing.risk_config,
+          current_price: args.current_price
+        });
+        data.sizing_scope = {
+          account: sizing.account,
+          sleeve: sizing.sleeve,
+          account_type: sizing.account_type,
+          account_capital: sizing.account_capital,
+          sized_against: sizing.account_size
+        };
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'build_strategies': {
+        const data = await client.buildStrategies({
+          symbol: args.symbol,
+          expirations: args.expirations || [],
+          outlook: args.outlook || 'any',
+          strategies: args.strategies || null,
+          preferences: args.preferences || {},
+          legs: args.legs || null,
+          max_results: args.max_results || 10,
           current_price: args.current_price
         });
         return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
       }
 
+      case 'backtest_strategy': {
+        const data = await client.backtestStrategy({
+          symbol: args.symbol,
+          start_date: args.start_date,
+          end_date: args.end_date,
+          rules: args.rules || {},
+          starting_capital: args.starting_capital,
+          price_source: args.price_source || 'model',
+          implied_volatility: args.implied_volatility,
+          iv_premium: args.iv_premium,
+          volatility_lookback: args.volatility_lookback,
+          bid_ask_spread_pct: args.bid_ask_spread_pct,
+          commission_per_contract: args.commission_per_contract,
+          bars_file: args.bars_file,
+          include_equity_curve: args.include_equity_curve !== false
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'get_cache_stats': {
+        const data = client.getCacheStats({
+          clear: args.clear,
+          offline: args.offline,
+          reset_stats: args.reset_stats === true
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'get_request_metrics': {
+        const data = client.getRequestMetrics({ reset: args.reset === true });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'get_iv_rank': {
+        const data = await client.getIVRank({
+          symbol: args.symbol,
+          metric: args.metric || 'atm_iv',
+          lookback_days: args.lookback_days || 365,
+          current_iv: args.current_iv
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'get_iv_history': {
+        const data = client.getStoredIVHistory({
+          symbol: args.symbol,
+          from: args.from,
+          to: args.to,
+          lookback_days: args.lookback_days || 365,
+          include_term_structure: args.include_term_structure === true
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'backfill_iv_history': {
+        const data = await client.backfillIVHistory({
+          symbol: args.symbol,
+          from: args.from,
+          to: args.to,
+          target_dte: args.target_dte,
+          expiration_cycle: args.expiration_cycle,
+          sample_every_days: args.sample_every_days,
+          strike_increment: args.strike_increment,
+          overwrite: args.overwrite === true,
+          max_contract_lookups: args.max_contract_lookups
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'get_vol_surface': {
+        const data = await client.getVolSurface({
+          symbol: args.symbol,
+          expirations: args.expirations,
+          min_dte: args.min_dte,
+          max_dte: args.max_dte,
+          max_expirations: args.max_expirations,
+          model: args.model || 'auto',
+          queries: args.queries || [],
+          rich_cheap_z: args.rich_cheap_z,
+          min_residual: args.min_residual,
+          max_flagged: args.max_flagged || 20,
+          include_grid: args.include_grid === true,
+          max_contracts: args.max_contracts || 10000
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'get_expected_move': {
+        const data = await client.getExpectedMove({
+          symbol: args.symbol,
+          event_date: args.event_date || null,
+          event_timing: args.event_timing || 'after_close',
+          past_event_dates: args.past_event_dates || [],
+          max_expirations: args.max_expirations || 8,
+          max_contracts: args.max_contracts || 10000
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'get_dealer_positioning_history': {
+        const data = client.getDealerPositioningHistory({
+          symbol: args.symbol,
+          from: args.from,
+          to: args.to,
+          lookback_days: args.lookback_days || 30,
+          granularity: args.granularity || 'daily',
+          top_strikes: args.top_strikes || 10,
+          include_matrix: args.include_matrix === true
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'add_trade_note': {
+        if (!args.note && !args.tags) {
+          throw new Error('Provide a note and/or tags');
+        }
+        let position;
+        if (args.replace_tags) {
+          position = setPositionTags(args.position_id, args.tags || []);
+          if (args.note) position = addJournalNote(args.position_id, args.note, []);
+        } else if (args.note) {
+          position = addJournalNote(args.position_id, args.note, args.tags || []);
+        } else {
+          const existing = getPosition(args.position_id);
+          if (!existing) throw new Error(`Position ${args.position_id} not found`);
+          position = setPositionTags(args.position_id, [...existing.tags, ...args.tags]);
+        }
+        return { content: [{ type: 'text', text: JSON.stringify({
+          success: true,
+          position_id: position.id,
+          tags: position.tags,
+          journal: position.journal
+        }, null, 2) }] };
+      }
+
+      case 'get_trade_journal': {
+        const data = queryJournal({
+          symbol: args.symbol,
+          tag: args.tag,
+          status: args.status || 'all',
+          strategy: args.strategy,
+          position_id: args.position_id,
+          from: args.from,
+          to: args.to,
+          text: args.text,
+          limit: args.limit || 100
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'get_position_history': {
+        const data = getPositionHistory(args.position_id);
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'get_performance_report': {
+        const data = buildPerformanceReport(loadPositions(), {
+          from: args.from,
+          to: args.to,
+          symbol: args.symbol,
+          strategy: args.strategy,
+          tag: args.tag,
+          account_size: args.account_size || null,
+          include_trades: args.include_trades === true
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'roll_position': {
+        const position = rollPosition(args.position_id, {
+          open_legs: args.open_legs,
+          close_legs: args.close_legs,
+          net_credit: args.net_credit,
+          new_expiration: args.new_expiration,
+          new_strike: args.new_strike,
+          description: args.description
+        });
+        const data = { position, campaign: summarizeCampaign(position) };
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'adjust_position': {
+        const position = adjustPosition(args.position_id, {
+          add_legs: args.add_legs,
+          remove_legs: args.remove_legs,
+          net_credit: args.net_credit,
+          close_contracts: args.close_contracts,
+          close_price: args.close_price,
+          close_shares: args.close_shares,
+          share_price: args.share_price,
+          fees: args.fees,
+          description: args.description
+        });
+        const data = { position, campaign: summarizeCampaign(position) };
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'assign_position': {
+        const position = assignPosition(args.position_id, {
+          leg_id: args.leg_id,
+          option_type: args.option_type,
+          action: args.action,
+          strike: args.strike,
+          assignment_date: args.assignment_date
+        });
+        const data = { position, campaign: summarizeCampaign(position) };
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'import_broker_statement': {
+        if (!args.content && !args.file_path) {
+          throw new Error('Provide content or file_path');
+        }
+        const content = args.content || fs.readFileSync(args.file_path, 'utf8');
+        const data = importBrokerStatement(content, {
+          format: args.format || 'auto',
+          account: args.account,
+          sleeve: args.sleeve,
+          dry_run: args.dry_run !== false,
+          tags: args.tags || []
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'get_correlation_risk': {
+        const data = await client.getCorrelationRisk({
+          positions: args.positions || getOpenPositions(),
+          benchmark: args.benchmark,
+          lookback_days: args.lookback_days,
+          correlation_threshold: args.correlation_threshold ?? resolveBreakerConfig().correlation_threshold,
+          underlying_prices: args.underlying_prices
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
+      case 'configure_circuit_breakers': {
+        const result = updateBreakerProfile({
+          scope: args.scope,
+          name: args.name,
+          sleeve: args.sleeve,
+          rules: args.rules,
+          cooldowns: args.cooldowns,
+          replace: args.replace,
+          remove: args.remove
+        });
+        return { content: [{ type: 'text', text: JSON.stringify({
+          ...result,
+          effective_config: resolveBreakerConfig({
+            account: result.scope === 'account' ? args.name : undefined,
+            sleeve: result.scope === 'account' ? args.sleeve : undefined,
+            symbol: result.scope === 'symbol' ? result.name : undefined
+          })
+        }, null, 2) }] };
+      }
+
+      case 'get_circuit_breaker_status': {
+        const status = getBreakerStatus(scopeKey(args.account, args.sleeve));
+        if (args.symbol) {
+          status.config = resolveBreakerConfig({ account: args.account, sleeve: args.sleeve, symbol: args.symbol });
+        }
+        return { content: [{ type: 'text', text: JSON.stringify(status, null, 2) }] };
+      }
+
+      case 'record_trade_result': {
+        const result = recordTrade(args.pnl, {
+          account: args.account,
+          sleeve: args.sleeve,
+          symbol: args.symbol,
+          position_id: args.position_id
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+      }
+
+      case 'reset_circuit_breakers': {
+        const result = resetCircuitBreakers(args.reset_code, {
+          account: args.account,
+          sleeve: args.sleeve,
+          types: args.types,
+          reason: args.reason
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+      }
+
+      case 'get_circuit_breaker_audit': {
+        const audit = getBreakerAudit({
+          account: args.account,
+          sleeve: args.sleeve,
+          event: args.event,
+          since: args.since,
+          limit: args.limit
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(audit, null, 2) }] };
+      }
+
+      case 'configure_account': {
+        if (args.remove) {
+          const removed = removeAccount(args.name);
+          return { content: [{ type: 'text', text: JSON.stringify({
+            success: removed,
+            message: removed ? `Account ${args.name} removed` : `Account ${args.name} not found`
+          }, null, 2) }] };
+        }
+        const account = saveAccount({
+          name: args.name,
+          type: args.type,
+          account_size: args.account_size,
+          description: args.description,
+          risk_config: args.risk_config,
+          sleeves: args.sleeves
+        }, { replace: args.replace, remove_sleeves: args.remove_sleeves });
+        return { content: [{ type: 'text', text: JSON.stringify({
+          success: true,
+          account,
+          summary: summarizeAccounts(getOpenPositions()).find(a => a.name === account.name)
+        }, null, 2) }] };
+      }
+
+      case 'get_accounts': {
+        const accounts = summarizeAccounts(getOpenPositions())
+          .filter(a => !args.account || a.name === args.account);
+        return { content: [{ type: 'text', text: JSON.stringify({ total_accounts: accounts.length, accounts }, null, 2) }] };
+      }
+
+      case 'calculate_margin': {
+        const registered = args.account ? getAccount(args.account) : null;
+        if (args.account && !registered && !args.positions) {
+          throw new Error(`Unknown account: ${args.account}`);
+        }
+        const data = await client.getMarginRequirement({
+          positions: args.positions || filterByScope(getOpenPositions(), { account: args.account, sleeve: args.sleeve }),
+          trade: args.trade || null,
+          method: args.method || 'reg_t',
+          account_type: args.account_type || registered?.type || 'margin',
+          buying_power: args.buying_power ?? registered?.account_size ?? null,
+          underlying_prices: args.underlying_prices || {}
+        });
+        return { content: [{ type: 'text', text: JSON.stringify(data, null, 2) }] };
+      }
+
       case 'get_portfolio_greeks': {
-        const result = calculatePortfolioGreeks(args.positions, {
-          account_size: args.account_size
+        const positions = filterByScope(args.positions, { account: args.account, sleeve: args.sleeve });
+        const result = calculatePortfolioGreeks(positions, {
+          account_size: args.account_size ?? (args.account ? getAccount(args.account)?.account_size : undefined)
         });
+        if (args.group_by) {
+          result.by_account = Object.entries(groupByScope(positions)).map(([account, group]) => ({
+            account,
+            ...calculatePortfolioGreeks(group.positions, { account_size: getAccount(account)?.account_size }),
+            ...(args.group_by === 'sleeve' && {
+              sleeves: Object.fromEntries(Object.entries(group.sleeves).map(([sleeve, list]) =>
+                [sleeve, calculatePortfolioGreeks(list)]))
+            })
+          }));
+        }
         return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
       }
 
       case 'track_position': {
+        if (args.sleeve && !getAccount(args.account || DEFAULT_ACCOUNT)?.sleeves?.[args.sleeve]) {
+          throw new Error(`Account ${args.account || DEFAULT_ACCOUNT} has no sleeve ${args.sleeve}. Add it with configure_account first`);
+        }
         const position = addPosition({
           symbol: args.symbol,
           strategy: args.strategy,
+          ...(args.account && { account: args.account }),
+          ...(args.sleeve && { sleeve: args.sleeve }),
           entry_price: args.entry_price,
           entry_credit: args.entry_credit,
           contracts: args.contracts,
           expiration: args.expiration,
           strike_price: args.strike_price,
-          notes: args.notes
+          notes: args.notes,
+          tags: args.tags || [],
+          legs: args.legs || []
         });
         return { content: [{ type: 'text', text: JSON.stringify({
           success: true,
@@ -893,15 +2370,19 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         if (status === 'open') {
           positions = getOpenPositions();
         } else if (status === 'all') {
-          const { loadPositions } = await import('./position-tracker.js');
           positions = loadPositions();
         } else {
-          const { loadPositions } = await import('./position-tracker.js');
           positions = loadPositions().filter(p => p.status === status);
         }
+        positions = filterByScope(positions, { account: args.account, sleeve: args.sleeve });
 
         return { content: [{ type: 'text', text: JSON.stringify({
           total_positions: positions.length,
+          by_account: Object.entries(groupByScope(positions)).map(([account, group]) => ({
+            account,
+            total_positions: group.positions.length,
+            sleeves: Object.fromEntries(Object.entries(group.sleeves).map(([sleeve, list]) => [sleeve, list.length]))
+          })),
           positions
         }, null, 2) }] };
       }
@@ -909,47 +2390,117 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case 'close_position': {
         const closedPosition = closePosition(args.position_id, {
           exit_price: args.exit_price,
+          share_price: args.share_price,
           exit_profit: args.exit_profit
         });
+        // Feed the realized result to the daily loss, streak and drawdown breakers
+        const breakerCounters = Number.isFinite(closedPosition.exit_profit)
+          ? recordTrade(closedPosition.exit_profit, {
+            account: closedPosition.account,
+            sleeve: closedPosition.sleeve,
+            symbol: closedPosition.symbol,
+            position_id: closedPosition.id
+          })
+          : null;
         return { content: [{ type: 'text', text: JSON.stringify({
           success: true,
           message: 'Position closed successfully',
-          position: closedPosition
+          position: closedPosition,
+          circuit_breakers: breakerCounters
         }, null, 2) }] };
       }
 
       case 'check_circuit_breakers': {
+        if (args.all_accounts) {
+          const result = checkAllAccounts({
+            vix_level: args.vix_level,
+            symbol: args.symbol,
+            positions: args.positions || getOpenPositions(),
+            scopes: args.scopes
+          });
+          return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+        }
+
+        const scope = { account: args.account, sleeve: args.sleeve };
+        const breakerConfig = resolveBreakerConfig({ ...scope, symbol: args.symbol });
+        // Correlation is checked whenever there are positions to correlate, unless turned off
+        const correlationPositions = args.positions || filterByScope(getOpenPositions(), scope);
+        let correlation;
+        let correlationError = null;
+        if ((args.check_correlation ?? true) && correlationPositions.length > 0) {
+          try {
+            correlation = await client.getCorrelationRisk({
+              positions: correlationPositions,
+              benchmark: args.benchmark,
+              correlation_threshold: breakerConfig.correlation_threshold ?? 1
+            });
+          } catch (error) {
+            // An explicit request must fail loudly; the default check only reports it
+            if (args.check_correlation) throw error;
+            console.error(`Circuit breakers: correlation check skipped: ${error.message}`);
+            correlationError = error.message;
+          }
+        }
         const result = checkCircuitBreakers({
+          account: args.account,
+          sleeve: args.sleeve,
+          symbol: args.symbol,
           account_size: args.account_size,
           daily_pnl: args.daily_pnl,
           portfolio_risk: args.portfolio_risk,
           vix_level: args.vix_level,
-          positions: args.positions || []
-        }, DEFAULT_BREAKERS);
+          net_vega: args.net_vega,
+          net_gamma: args.net_gamma,
+          positions: args.positions || [],
+          correlation
+        });
+        if (correlationError) {
+          result.correlation_check = { skipped: true, reason: correlationError };
+        }
         return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
       }
 
       case 'stress_test_portfolio': {
-        const stressTestResult = runStressTest(
-          args.portfolio_greeks,
-          args.scenarios || null,
-          {
-            underlying_price: args.underlying_price
+        if (!args.portfolio_greeks && !args.positions) {
+          throw new Error('Must provide either "positions" or "portfolio_greeks" parameter');
+        }
+
+        const mode = args.mode || (args.positions ? 'full_revaluation' : 'greeks');
+        let stressTestResult;
+
+        if (mode === 'full_revaluation') {
+          if (!args.positions) {
+            throw new Error('Full revaluation requires "positions" with option legs');
           }
-        );
+          stressTestResult = runFullRevaluationStressTest(
+            args.positions,
+            args.scenarios || null,
+            {
+              underlying_price: args.underlying_price,
+              iv_shock_model: args.iv_shock_model
+            }
+          );
+        } else {
+          stressTestResult = runStressTest(
+            args.portfolio_greeks || calculatePortfolioGreeks(args.positions),
+            args.scenarios || null,
+            {
+              underlying_price: args.underlying_price
+            }
+          );
+        }
 
         let result = { stress_test: stressTestResult };
 
         if (args.run_monte_carlo) {
           const monteCarloConfig = {
             ...(args.monte_carlo_config || {}),
-            underlying_price: args.underlying_price
+            underlying_price: args.underlying_price,
+            iv_shock_model: args.iv_shock_model
           };
-          const monteCarloResult = runMonteCarloSimulation(
-            args.portfolio_greeks,
-            monteCarloConfig
-          );
-          result.monte_carlo = monteCarloResult;
+          result.monte_carlo = args.positions
+            ? runPortfolioMonteCarlo(args.positions, monteCarloConfig)
+            : runMonteCarloSimulation(args.portfolio_greeks, monteCarloConfig);
         }
 
         return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
@@ -1005,17 +2556,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           args.symbol,
           args.strategy_type,
           args.strikes,
-          args.expiration
+          args.expiration,
+          {
+            contracts: args.contracts,
+            buying_power: args.buying_power,
+            account_type: args.account_type || (args.account ? getAccount(args.account)?.type : undefined),
+            margin_method: args.margin_method
+          }
         );
         return { content: [{ type: 'text', text: JSON.stringify(validation, null, 2) }] };
       }
 
       case 'calculate_option_probabilities': {
+        const contract = resolveContract(args);
         const probabilities = await probCalc.calculateProbabilities(
-          args.symbol,
-          args.strike,
-          args.expiration,
-          args.option_type
+          contract.symbol,
+          contract.strike,
+          contract.expiration,
+          contract.option_type
         );
         return { content: [{ type: 'text', text: JSON.stringify(probabilities, null, 2) }] };
       }
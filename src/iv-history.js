@@ -0,0 +1,458 @@
+/**
+ * Implied Volatility History Module
+ *
+ * Persists one volatility snapshot per symbol per day so IV Rank and
+ * IV Percentile come from real implied volatility instead of a realized
+ * volatility proxy:
+ * - ATM IV per expiration, interpolated to a 30-day constant maturity
+ * - 25-delta put/call IVs and skew
+ * - The term structure seen that day
+ *
+ * Snapshots are recorded from full chain pulls whose expirations bracket the
+ * 30-day constant maturity and can be backfilled from historical ATM option
+ * closes.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { calculateIVRank } from './volatility-analysis.js';
+import { DEFAULT_RISK_FREE_RATE, solveImpliedVolatility, yearsToExpiration } from './option-pricing.js';
+
+const IV_HISTORY_FILE = '.claude/iv-history.json';
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 252;
+
+export const CONSTANT_MATURITY_DAYS = 30;
+export const MIN_OBSERVATIONS = 20;
+export const IV_METRICS = ['atm_iv', 'skew_25d', 'put_25d_iv', 'call_25d_iv'];
+
+/**
+ * Load the IV history store
+ * @param {string} file - Store location
+ * @returns {Object} { symbols: { SYMBOL: { 'YYYY-MM-DD': entry } } }
+ */
+function loadIVHistory(file = IV_HISTORY_FILE) {
+  try {
+    if (!fs.existsSync(file)) {
+      return { symbols: {} };
+    }
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { symbols: data.symbols || {} };
+  } catch (error) {
+    console.error('Error loading IV history:', error.message);
+    return { symbols: {} };
+  }
+}
+
+/**
+ * Save the IV history store
+ * @param {Object} data - Store contents
+ * @param {string} file - Store location
+ */
+function saveIVHistory(data, file = IV_HISTORY_FILE) {
+  try {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(file, JSON.stringify(data, null, 2));
+  } catch (error) {
+    console.error('Error saving IV history:', error.message);
+    throw error;
+  }
+}
+
+function toDateString(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+function round(value, digits = 4) {
+  return value === null || value === undefined || !Number.isFinite(value)
+    ? null
+    : parseFloat(value.toFixed(digits));
+}
+
+// Linear interpolation of y at x over points sorted by x; null outside the range
+function interpolate(points, x) {
+  for (let i = 0; i < points.length - 1; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[i + 1];
+    if (x >= x0 && x <= x1) {
+      return x1 === x0 ? y0 : y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+    }
+  }
+  return null;
+}
+
+/**
+ * IV at a target |delta| for one side of an expiration
+ * @param {Array} options - Calls or puts with greeks.delta and implied_volatility
+ * @param {number} targetDelta - Absolute delta (e.g., 0.25)
+ * @returns {number|null} Interpolated IV
+ */
+function ivAtDelta(options, targetDelta) {
+  const points = options
+    .filter(o => o.implied_volatility > 0 && Number.isFinite(o.greeks?.delta))
+    .map(o => [Math.abs(o.greeks.delta), o.implied_volatility])
+    .filter(([delta]) => delta > 0 && delta < 1)
+    .sort((a, b) => a[0] - b[0]);
+
+  return interpolate(points, targetDelta);
+}
+
+/**
+ * Summarize one expiration: ATM IV, 25-delta wings and skew
+ * @param {Object} expData - { calls, puts } from getOptionChainSnapshot
+ * @param {number} spot - Underlying price
+ * @param {string} expiration - Expiration date
+ * @param {Date} asOf - Snapshot time
+ * @returns {Object|null} Term structure point
+ */
+export function summarizeExpiration(expData, spot, expiration, asOf = new Date()) {
+  const dte = Math.round(yearsToExpiration(expiration, asOf) * 365 * 100) / 100;
+  if (!(dte > 0)) return null;
+
+  // ATM IV: average the call and put IV at each strike, then interpolate at spot
+  const byStrike = new Map();
+  [...(expData.calls || []), ...(expData.puts || [])].forEach(option => {
+    if (!(option.implied_volatility > 0) || !option.strike) return;
+    const ivs = byStrike.get(option.strike) || [];
+    ivs.push(option.implied_volatility);
+    byStrike.set(option.strike, ivs);
+  });
+  const strikes = [...byStrike.entries()]
+    .map(([strike, ivs]) => [strike, ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length])
+    .sort((a, b) => a[0] - b[0]);
+  if (strikes.length === 0) return null;
+
+  let atmIV = interpolate(strikes, spot);
+  if (atmIV === null) {
+    // Spot outside the listed strikes: use the nearest one
+    atmIV = strikes.reduce((best, point) =>
+      Math.abs(point[0] - spot) < Math.abs(best[0] - spot) ? point : best)[1];
+  }
+
+  const put25 = ivAtDelta(expData.puts || [], 0.25);
+  const call25 = ivAtDelta(expData.calls || [], 0.25);
+
+  return {
+    expiration,
+    dte,
+    atm_iv: round(atmIV),
+    put_25d_iv: round(put25),
+    call_25d_iv: round(call25),
+    skew_25d: put25 !== null && call25 !== null ? round(put25 - call25) : null
+  };
+}
+
+/**
+ * ATM IV at a constant maturity, interpolated in total variance between the
+ * bracketing expirations and held flat beyond the listed range
+ * @param {Array} termStructure - Points with dte and atm_iv
+ * @param {number} targetDays - Maturity in days (default 30)
+ * @returns {number|null} Constant-maturity IV
+ */
+export function constantMaturityIV(termStructure, targetDays = CONSTANT_MATURITY_DAYS) {
+  const points = termStructure
+    .filter(p => p.dte > 0 && p.atm_iv > 0)
+    .sort((a, b) => a.dte - b.dte);
+  if (points.length === 0) return null;
+
+  if (targetDays <= points[0].dte) return points[0].atm_iv;
+  if (targetDays >= points[points.length - 1].dte) return points[points.length - 1].atm_iv;
+
+  const variance = interpolate(points.map(p => [p.dte, p.atm_iv * p.atm_iv * p.dte]), targetDays);
+  return round(Math.sqrt(variance / targetDays));
+}
+
+/**
+ * Whether a snapshot has expirations on both sides of the constant maturity,
+ * so its headline ATM IV is interpolated rather than held flat from one side
+ * @param {Object} snapshot - From extractIVSnapshot
+ * @param {number} targetDays - Maturity in days (default 30)
+ * @returns {boolean}
+ */
+export function bracketsConstantMaturity(snapshot, targetDays = CONSTANT_MATURITY_DAYS) {
+  const dtes = (snapshot?.term_structure || []).filter(p => p.atm_iv > 0).map(p => p.dte);
+  return dtes.some(dte => dte <= targetDays) && dtes.some(dte => dte >= targetDays);
+}
+
+/**
+ * Headline metrics for a day from its term structure
+ * Skew comes from the expiration nearest the constant maturity.
+ */
+function summarizeTermStructure(termStructure) {
+  const withSkew = termStructure.filter(p => p.skew_25d !== null && p.skew_25d !== undefined);
+  const reference = withSkew.length > 0
+    ? withSkew.reduce((best, p) =>
+      Math.abs(p.dte - CONSTANT_MATURITY_DAYS) < Math.abs(best.dte - CONSTANT_MATURITY_DAYS) ? p : best)
+    : null;
+
+  return {
+    atm_iv: constantMaturityIV(termStructure),
+    skew_25d: reference ? reference.skew_25d : null,
+    put_25d_iv: reference ? reference.put_25d_iv : null,
+    call_25d_iv: reference ? reference.call_25d_iv : null,
+    skew_expiration: reference ? reference.expiration : null
+  };
+}
+
+/**
+ * Build a day's volatility snapshot from a chain
+ * @param {Object} chainData - Result of getOptionChainSnapshot
+ * @param {Object} options - { as_of }
+ * @returns {Object|null} Snapshot with headline metrics and term structure
+ */
+export function extractIVSnapshot(chainData, options = {}) {
+  const asOf = options.as_of ? new Date(options.as_of) : new Date(chainData?.snapshot_time || Date.now());
+  const spot = chainData?.underlying?.price;
+  if (!chainData?.data || !(spot > 0)) return null;
+
+  const termStructure = Object.keys(chainData.data)
+    .sort()
+    .map(expiration => summarizeExpiration(chainData.data[expiration], spot, expiration, asOf))
+    .filter(Boolean);
+  if (termStructure.length === 0) return null;
+
+  return {
+    date: toDateString(asOf),
+    underlying_price: spot,
+    ...summarizeTermStructure(termStructure),
+    term_structure: termStructure
+  };
+}
+
+/**
+ * Record a day's snapshot for a symbol
+ * Term structure points merge by expiration, so several partial chain pulls on
+ * the same day build up one entry. Live snapshots replace backfilled days;
+ * backfill never replaces a live snapshot unless `overwrite` is set.
+ * @param {string} symbol - Underlying symbol
+ * @param {Object} snapshot - From extractIVSnapshot or buildBackfillObservation
+ * @param {Object} options - { source: 'snapshot'|'backfill', overwrite, file }
+ * @returns {Object|null} Stored entry, or null when an existing entry was kept
+ */
+export function recordIVSnapshot(symbol, snapshot, options = {}) {
+  const { source = 'snapshot', overwrite = false, file = IV_HISTORY_FILE } = options;
+  if (!snapshot || !snapshot.date) {
+    throw new Error('Snapshot with a date is required');
+  }
+
+  const store = loadIVHistory(file);
+  const key = symbol.toUpperCase();
+  const days = store.symbols[key] || (store.symbols[key] = {});
+  const existing = days[snapshot.date];
+
+  if (existing && existing.source === 'snapshot' && source === 'backfill' && !overwrite) {
+    return null;
+  }
+
+  const points = new Map();
+  if (existing && existing.source === source) {
+    existing.term_structure.forEach(p => points.set(p.expiration, p));
+  }
+  snapshot.term_structure.forEach(p => points.set(p.expiration, p));
+  const termStructure = [...points.values()].sort((a, b) => a.dte - b.dte);
+
+  const entry = {
+    date: snapshot.date,
+    source,
+    underlying_price: snapshot.underlying_price,
+    ...summarizeTermStructure(termStructure),
+    term_structure: termStructure,
+    recorded_at: new Date().toISOString()
+  };
+  days[snapshot.date] = entry;
+  saveIVHistory(store, file);
+
+  return entry;
+}
+
+/**
+ * Stored history for a symbol, oldest first
+ * @param {string} symbol - Underlying symbol
+ * @param {Object} options - { from, to, lookback_days, as_of, file }
+ * @returns {Array} Daily entries
+ */
+export function getIVHistory(symbol, options = {}) {
+  const { lookback_days = null, as_of = new Date(), file = IV_HISTORY_FILE } = options;
+  const to = options.to || toDateString(as_of);
+  const from = options.from ||
+    (lookback_days ? toDateString(new Date(new Date(to).getTime() - lookback_days * MS_PER_DAY)) : '0000-00-00');
+
+  const days = loadIVHistory(file).symbols[symbol.toUpperCase()] || {};
+  return Object.keys(days)
+    .filter(date => date >= from && date <= to)
+    .sort()
+    .map(date => days[date]);
+}
+
+/**
+ * IV Rank and IV Percentile from stored history
+ * @param {string} symbol - Underlying symbol
+ * @param {Object} options
+ * @param {number} options.current - Current metric value (default: latest stored value)
+ * @param {string} options.metric - One of IV_METRICS (default atm_iv)
+ * @param {number} options.lookback_days - Calendar days of history (default 365)
+ * @returns {Object} Rank, percentile, range and data coverage
+ */
+export function calculateIVStats(symbol, options = {}) {
+  const { metric = 'atm_iv', lookback_days = 365, as_of = new Date(), file = IV_HISTORY_FILE } = options;
+  if (!IV_METRICS.includes(metric)) {
+    throw new Error(`Unknown IV metric: ${metric}. Use one of ${IV_METRICS.join(', ')}`);
+  }
+
+  const history = getIVHistory(symbol, { lookback_days, as_of, file })
+    .filter(entry => Number.isFinite(entry[metric]));
+  const values = history.map(entry => entry[metric]);
+  const current = Number.isFinite(options.current)
+    ? options.current
+    : (values.length > 0 ? values[values.length - 1] : null);
+
+  const expectedDays = Math.round(lookback_days * TRADING_DAYS_PER_YEAR / 365);
+  const result = {
+    symbol: symbol.toUpperCase(),
+    metric,
+    current: round(current),
+    lookback_days,
+    observations: values.length,
+    first_date: history[0]?.date || null,
+    last_date: history[history.length - 1]?.date || null,
+    coverage_pct: round(Math.min(1, values.length / expectedDays) * 100, 1),
+    backfilled_days: history.filter(entry => entry.source === 'backfill').length,
+    sufficient_history: values.length >= MIN_OBSERVATIONS
+  };
+
+  if (current === null || values.length === 0) {
+    return {
+      ...result,
+      iv_rank: null,
+      iv_percentile: null,
+      interpretation: 'No stored IV history - pull a chain or run backfill_iv_history first'
+    };
+  }
+
+  const ranked = calculateIVRank(current, values);
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+
+  return {
+    ...result,
+    iv_rank: ranked.rank,
+    iv_percentile: ranked.percentile,
+    historical_min: ranked.historicalMin,
+    historical_max: ranked.historicalMax,
+    historical_mean: round(mean),
+    // Premium-selling guidance only makes sense for the level of IV itself
+    interpretation: metric === 'atm_iv'
+      ? ranked.interpretation
+      : `Current ${metric} is above ${ranked.percentile}% of stored days`,
+    ...(result.sufficient_history ? {} : {
+      warning: `Only ${values.length} days of history (need ${MIN_OBSERVATIONS}) - treat rank and percentile as provisional`
+    })
+  };
+}
+
+/**
+ * Monthly (third Friday) or weekly (Friday) expiration nearest to the target
+ * DTE, at least a week out
+ * @param {string} date - Observation date
+ * @param {number} targetDte - Target days to expiration
+ * @param {string} cycle - 'monthly' or 'weekly'
+ * @returns {string} Expiration date
+ */
+export function selectBackfillExpiration(date, targetDte = CONSTANT_MATURITY_DAYS, cycle = 'monthly') {
+  const start = new Date(`${date}T00:00:00Z`);
+  const target = start.getTime() + targetDte * MS_PER_DAY;
+  const earliest = start.getTime() + 7 * MS_PER_DAY;
+  const candidates = [];
+
+  if (cycle === 'weekly') {
+    const friday = new Date(start);
+    friday.setUTCDate(friday.getUTCDate() + ((5 - friday.getUTCDay() + 7) % 7));
+    for (let i = 0; i < Math.ceil(targetDte / 7) + 3; i++) {
+      candidates.push(new Date(friday.getTime() + i * 7 * MS_PER_DAY));
+    }
+  } else {
+    for (let i = 0; i < Math.ceil(targetDte / 28) + 3; i++) {
+      const first = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i, 1));
+      const firstFriday = 1 + ((5 - first.getUTCDay() + 7) % 7);
+      candidates.push(new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), firstFriday + 14)));
+    }
+  }
+
+  const best = candidates
+    .filter(d => d.getTime() >= earliest)
+    .reduce((closest, d) =>
+      !closest || Math.abs(d.getTime() - target) < Math.abs(closest.getTime() - target) ? d : closest, null);
+  return toDateString(best);
+}
+
+/**
+ * Solve a day's ATM IV from historical call/put closes
+ * @param {Object} params
+ * @param {string} params.date - Observation date
+ * @param {number} params.underlying_price - Underlying close
+ * @param {string} params.expiration - Contract expiration
+ * @param {number} params.strike - ATM strike
+ * @param {number} params.call_price - Call close (optional)
+ * @param {number} params.put_price - Put close (optional)
+ * @returns {Object|null} Snapshot for recordIVSnapshot, null if no IV could be solved
+ */
+export function buildBackfillObservation(params) {
+  const {
+    date,
+    underlying_price: spot,
+    expiration,
+    strike,
+    call_price = null,
+    put_price = null,
+    rate = DEFAULT_RISK_FREE_RATE,
+    style = 'american'
+  } = params;
+
+  const asOf = new Date(`${date}T20:00:00Z`);
+  const time = yearsToExpiration(expiration, asOf);
+  if (!(spot > 0) || !(time > 0)) return null;
+
+  const solve = (type, price) => price > 0
+    ? solveImpliedVolatility({ type, price, spot, strike, time, rate, style })
+    : null;
+  const callIV = solve('call', call_price);
+  const putIV = solve('put', put_price);
+  const ivs = [callIV, putIV].filter(iv => iv > 0);
+  if (ivs.length === 0) return null;
+
+  // Put-call parity noise partly cancels when both sides are averaged
+  const atmIV = ivs.reduce((sum, iv) => sum + iv, 0) / ivs.length;
+
+  return {
+    date,
+    underlying_price: spot,
+    term_structure: [{
+      expiration,
+      dte: Math.round(time * 365 * 100) / 100,
+      atm_iv: round(atmIV),
+      strike,
+      call_iv: round(callIV),
+      put_iv: round(putIV),
+      put_25d_iv: null,
+      call_25d_iv: null,
+      skew_25d: null
+    }]
+  };
+}
+
+export default {
+  CONSTANT_MATURITY_DAYS,
+  MIN_OBSERVATIONS,
+  IV_METRICS,
+  summarizeExpiration,
+  constantMaturityIV,
+  bracketsConstantMaturity,
+  extractIVSnapshot,
+  recordIVSnapshot,
+  getIVHistory,
+  calculateIVStats,
+  selectBackfillExpiration,
+  buildBackfillObservation
+};
@@ -0,0 +1,514 @@
+/**
+ * Margin Module
+ *
+ * Estimates the buying power an option position consumes so sizing and
+ * validation can reject trades the account cannot carry.
+ *
+ * Reg-T (strategy-based) rules, per contract:
+ * - Long options: paid in full; in a margin account options with more than
+ *   9 months left can be financed at 75% of their cost
+ * - Naked short options: premium + 20% of the underlying (15% for
+ *   broad-based indexes) less the out-of-the-money amount, at least premium +
+ *   10% of the underlying (calls) or of the strike (puts)
+ * - Spreads (long leg expiring with or after the short): the net debit, or
+ *   the strike width for a credit spread; iron condors and iron butterflies
+ *   hold only the wider side, and a butterfly (credit and debit spreads
+ *   sharing the body strike) holds the net debit plus any extra wing width
+ * - Short straddles/strangles: the larger naked requirement plus the other
+ *   side's premium
+ * - Covered calls and cash-secured puts: the stock or the strike in cash
+ * - Cash and IRA accounts finance nothing, need short calls covered and
+ *   short puts cash-secured
+ *
+ * Portfolio margin (TIMS-style approximation): each underlying's legs are
+ * fully repriced across a scan of price moves (±15% for equities, -8%/+6% for
+ * broad-based indexes) and the STRESS_SCENARIOS; the requirement is the worst
+ * loss, at least $37.50 per contract.
+ *
+ * requirement is the margin held including option premium; buying_power_effect
+ * is what the position takes from buying power once credits are applied.
+ */
+
+import { calculateFullRevaluationPnL, prepareLegsForRevaluation } from './portfolio-greeks.js';
+import { STRESS_SCENARIOS } from './stress-testing.js';
+import { underlyingOfRoot } from './option-symbol.js';
+
+export const REG_T_RULES = {
+  naked_equity_pct: 0.20,
+  naked_index_pct: 0.15,
+  naked_minimum_pct: 0.10,
+  long_term_months: 9,
+  long_term_financed_pct: 0.75,
+  stock_margin_pct: 0.50
+};
+
+export const PORTFOLIO_MARGIN_RULES = {
+  equity_range: [-0.15, 0.15],
+  index_range: [-0.08, 0.06],
+  scan_points: 10,
+  min_per_contract: 37.5
+};
+
+// Reg-T treats these as broad-based indexes (15% naked requirement)
+const BROAD_BASED_INDEXES = new Set(['SPX', 'XSP', 'NDX', 'XND', 'RUT', 'MRUT', 'DJX', 'OEX', 'XEO']);
+
+const CASH_ACCOUNT_TYPES = ['cash', 'ira'];
+const MS_PER_MONTH = 30.4375 * 24 * 60 * 60 * 1000;
+
+const round = value => parseFloat(value.toFixed(2));
+
+/**
+ * Whether a symbol is a broad-based index for margin purposes
+ * @param {string} symbol - Underlying or option root
+ * @returns {boolean}
+ */
+export function isBroadBasedIndex(symbol) {
+  return Boolean(symbol) && BROAD_BASED_INDEXES.has(underlyingOfRoot(symbol));
+}
+
+/**
+ * Open option lots (one per contract) and net shares of a position or strategy.
+ * Stock legs count `quantity` units of one contract's shares, as in custom
+ * strategies; assigned tracker shares are counted as held.
+ * @param {object} position - { symbol, contracts, legs, shares: { quantity }, expiration }
+ * @param {number} multiplier - Contract multiplier
+ * @returns {object} { lots, shares }
+ */
+function collectLots(position, multiplier) {
+  const contracts = position.contracts || 1;
+  const lots = [];
+  let shares = position.shares?.quantity || 0;
+
+  (position.legs || []).forEach((leg, index) => {
+    if (leg.status === 'closed') return;
+    const sign = leg.action === 'buy' || leg.position === 'long' ? 1 : -1;
+    const units = (leg.quantity || 1) * contracts;
+    const type = leg.type || leg.contract_type;
+
+    if (type === 'stock') {
+      shares += sign * units * multiplier;
+      return;
+    }
+
+    const strike = leg.strike || leg.strike_price;
+    const expiration = leg.expiration || leg.expiration_date || position.expiration;
+    if (!['call', 'put'].includes(type) || !(strike > 0) || !expiration) {
+      throw new Error(`Leg ${index + 1} needs type, strike and expiration`);
+    }
+    const price = leg.price ?? leg.premium ?? leg.entry_price ?? 0;
+    for (let i = 0; i < units; i++) {
+      lots.push({ type, strike, expiration, sign, price, leg: index + 1 });
+    }
+  });
+
+  return { lots, shares };
+}
+
+/**
+ * Requirement per share of one naked short option
+ * @param {object} lot - { type, strike, price }
+ * @param {number} spot - Underlying price
+ * @param {boolean} index - Broad-based index
+ * @returns {number} Requirement per share, premium included
+ */
+export function nakedRequirement(lot, spot, index = false) {
+  const pct = index ? REG_T_RULES.naked_index_pct : REG_T_RULES.naked_equity_pct;
+  const otm = lot.type === 'call' ? Math.max(0, lot.strike - spot) : Math.max(0, spot - lot.strike);
+  const minimum = REG_T_RULES.naked_minimum_pct * (lot.type === 'call' ? spot : lot.strike);
+  return lot.price + Math.max(pct * spot - otm, minimum);
+}
+
+// Requirement per share of a short lot hedged by a long lot of the same type
+function spreadRequirement(short, long) {
+  const width = short.type === 'call' ? long.strike - short.strike : short.strike - long.strike;
+  return Math.max(0, width);
+}
+
+// Pair short lots with the long lot of the same type that leaves the least requirement
+function pairSpreads(shorts, longs) {
+  const spreads = [];
+  const unpaired = [];
+  shorts.forEach(short => {
+    let best = -1;
+    longs.forEach((long, i) => {
+      if (long.type !== short.type || long.expiration < short.expiration) return;
+      if (best < 0) {
+        best = i;
+        return;
+      }
+      const current = longs[best];
+      const diff = spreadRequirement(short, long) - spreadRequirement(short, current);
+      if (diff < 0 || (diff === 0 && Math.abs(long.strike - short.strike) < Math.abs(current.strike - short.strike))) {
+        best = i;
+      }
+    });
+    if (best < 0) {
+      unpaired.push(short);
+    } else {
+      spreads.push({ short, long: longs[best] });
+      longs.splice(best, 1);
+    }
+  });
+  return { spreads, unpaired };
+}
+
+function describeLot(lot) {
+  return `${lot.sign > 0 ? '+' : '-'}${lot.strike}${lot.type[0].toUpperCase()} ${lot.expiration}`;
+}
+
+/**
+ * Reg-T requirement of one position or strategy (one underlying)
+ * @param {object} position - { symbol, contracts, legs: [{ action, type (call/put/stock), strike, expiration, quantity, price }], shares, underlying_price, cash_secured }
+ * @param {object} options - { account_type (margin/cash/ira, default margin), underlying_price, underlying_prices, contract_multiplier, as_of }
+ * @returns {object} { method, symbol, account_type, requirement, premium, buying_power_effect, components, violations, allowed }
+ */
+export function calculateRegTMargin(position, options = {}) {
+  const {
+    account_type = 'margin',
+    underlying_prices = {},
+    contract_multiplier: multiplier = 100,
+    as_of = new Date()
+  } = options;
+  const cashAccount = CASH_ACCOUNT_TYPES.includes(account_type);
+  const spot = position.underlying_price || underlying_prices[position.symbol] || options.underlying_price || null;
+  const index = isBroadBasedIndex(position.symbol);
+  const { lots, shares } = collectLots(position, multiplier);
+
+  const components = [];
+  const violations = [];
+  const add = (structure, legs, requirement, premium, rule) => {
+    components.push({ structure, legs: legs.map(describeLot), requirement, premium, rule });
+  };
+  const needSpot = () => {
+    if (!(spot > 0)) {
+      throw new Error(`Underlying price is required for the margin of ${position.symbol || 'the position'}`);
+    }
+    return spot;
+  };
+
+  // Stock: the shares themselves, financed at 50% only in a margin account
+  if (shares !== 0) {
+    const value = Math.abs(shares) * needSpot();
+    if (shares < 0 && cashAccount) {
+      violations.push(`Short stock is not allowed in a ${account_type} account`);
+    }
+    const pct = cashAccount ? 1 : REG_T_RULES.stock_margin_pct;
+    add(shares > 0 ? 'long_stock' : 'short_stock', [], value * pct, 0,
+      `${pct * 100}% of $${round(value)} stock`);
+  }
+
+  const shorts = lots.filter(lot => lot.sign < 0).sort((a, b) => a.strike - b.strike);
+  const longs = lots.filter(lot => lot.sign > 0);
+
+  // Short calls covered by long stock and short puts by short stock
+  let coverShares = Math.abs(shares);
+  const uncovered = [];
+  shorts.forEach(lot => {
+    const covers = (lot.type === 'call' && shares > 0) || (lot.type === 'put' && shares < 0);
+    if (covers && coverShares >= multiplier) {
+      coverShares -= multiplier;
+      add(lot.type === 'call' ? 'covered_call' : 'covered_put', [lot], 0, lot.price * multiplier,
+        'Covered by the stock; premium is credited');
+    } else {
+      uncovered.push(lot);
+    }
+  });
+
+  // Spreads against long options; credit spreads then pair into butterflies and condors
+  const { spreads, unpaired } = pairSpreads(uncovered, longs);
+  const credit = { call: [], put: [] };
+  const debit = [];
+  spreads.forEach(({ short, long }) => {
+    const width = spreadRequirement(short, long);
+    const premium = (short.price - long.price) * multiplier;
+    if (width > 0) {
+      credit[short.type].push({ short, long, width: width * multiplier, premium });
+    } else {
+      debit.push({ short, long, premium });
+    }
+  });
+  // A credit spread sharing its short strike (the body) with a debit spread of
+  // the same type is a butterfly: the net debit plus any extra width of the
+  // credit wing over the debit wing
+  ['call', 'put'].forEach(type => {
+    credit[type] = credit[type].filter(spread => {
+      const wingIndex = debit.findIndex(wing => wing.short.type === type
+        && wing.short.strike === spread.short.strike && wing.long.strike !== wing.short.strike
+        && wing.short.expiration === spread.short.expiration
+        && wing.long.expiration === spread.short.expiration && spread.long.expiration === spread.short.expiration);
+      if (wingIndex < 0) return true;
+      const [wing] = debit.splice(wingIndex, 1);
+      const premium = spread.premium + wing.premium;
+      const extraWidth = spread.width - Math.abs(wing.short.strike - wing.long.strike) * multiplier;
+      add(`${type}_butterfly`, [wing.long, wing.short, spread.short, spread.long],
+        Math.max(0, -premium) + Math.max(0, extraWidth), premium,
+        'Net debit plus any extra width of the credit wing');
+      return false;
+    });
+  });
+  debit.forEach(({ short, long, premium }) => {
+    add('debit_spread', [long, short], Math.max(0, -premium), premium, 'Net debit paid in full');
+  });
+  while (credit.call.length > 0 && credit.put.length > 0) {
+    const call = credit.call.shift();
+    const putIndex = credit.put.findIndex(put => put.short.expiration === call.short.expiration);
+    if (putIndex < 0) {
+      add('credit_spread', [call.long, call.short], call.width, call.premium, 'Strike width');
+      continue;
+    }
+    const [put] = credit.put.splice(putIndex, 1);
+    add('iron_condor', [put.long, put.short, call.short, call.long], Math.max(call.width, put.width),
+      call.premium + put.premium, 'Wider of the two spreads; only one side can finish in the money');
+  }
+  [...credit.call, ...credit.put].forEach(spread => {
+    add('credit_spread', [spread.long, spread.short], spread.width, spread.premium, 'Strike width');
+  });
+
+  // Naked shorts: cash-secured puts, then straddles/strangles, then single legs
+  const nakedCalls = unpaired.filter(lot => lot.type === 'call');
+  const nakedPuts = unpaired.filter(lot => lot.type === 'put');
+  if (cashAccount && nakedCalls.length > 0) {
+    violations.push(`${nakedCalls.length} naked short call(s) are not allowed in a ${account_type} account`);
+  }
+  const securedPuts = cashAccount || position.cash_secured ? nakedPuts.splice(0) : [];
+  securedPuts.forEach(lot => {
+    add('cash_secured_put', [lot], lot.strike * multiplier, lot.price * multiplier, 'Strike held in cash; premium is credited');
+  });
+  while (nakedCalls.length > 0 && nakedPuts.length > 0) {
+    const call = nakedCalls.shift();
+    const put = nakedPuts.shift();
+    const callReq = nakedRequirement(call, needSpot(), index);
+    const putReq = nakedRequirement(put, needSpot(), index);
+    add(call.strike === put.strike ? 'short_straddle' : 'short_strangle', [put, call],
+      (Math.max(callReq, putReq) + (callReq >= putReq ? put.price : call.price)) * multiplier,
+      (call.price + put.price) * multiplier,
+      'Larger naked requirement plus the other side\'s premium');
+  }
+  [...nakedCalls, ...nakedPuts].forEach(lot => {
+    add(`naked_${lot.type}`, [lot], nakedRequirement(lot, needSpot(), index) * multiplier, lot.price * multiplier,
+      `Premium + ${(index ? REG_T_RULES.naked_index_pct : REG_T_RULES.naked_equity_pct) * 100}% of the underlying less the OTM amount (min ${REG_T_RULES.naked_minimum_pct * 100}%)`);
+  });
+
+  // Unpaired long options
+  longs.forEach(lot => {
+    const months = (new Date(`${lot.expiration}T20:00:00Z`) - new Date(as_of)) / MS_PER_MONTH;
+    const financed = !cashAccount && months > REG_T_RULES.long_term_months;
+    const cost = lot.price * multiplier;
+    add(`long_${lot.type}`, [lot], financed ? cost * REG_T_RULES.long_term_financed_pct : cost, -cost,
+      financed ? `${REG_T_RULES.long_term_financed_pct * 100}% of cost (more than ${REG_T_RULES.long_term_months} months left)` : 'Paid in full');
+  });
+
+  // Merge identical components (one per contract so far)
+  const merged = [];
+  components.forEach(component => {
+    const key = `${component.structure}|${component.legs.join(',')}`;
+    const existing = merged.find(entry => entry.key === key);
+    if (existing) {
+      existing.contracts += 1;
+      existing.requirement += component.requirement;
+      existing.premium += component.premium;
+    } else {
+      merged.push({ key, contracts: 1, ...component });
+    }
+  });
+
+  const totals = merged.reduce((sum, component) => ({
+    requirement: sum.requirement + component.requirement,
+    premium: sum.premium + component.premium,
+    buying_power_effect: sum.buying_power_effect + component.requirement - Math.max(0, component.premium)
+  }), { requirement: 0, premium: 0, buying_power_effect: 0 });
+
+  return {
+    method: 'reg_t',
+    symbol: position.symbol || null,
+    ...(position.id ? { position_id: position.id } : {}),
+    account_type,
+    underlying_price: spot,
+    requirement: round(totals.requirement),
+    premium: round(totals.premium),
+    buying_power_effect: round(totals.buying_power_effect),
+    components: merged.map(({ key, ...component }) => ({
+      ...component,
+      contracts: component.structure.endsWith('_stock') ? null : component.contracts,
+      requirement: round(component.requirement),
+      premium: round(component.premium),
+      buying_power_effect: round(component.requirement - Math.max(0, component.premium))
+    })),
+    violations,
+    allowed: violations.length === 0
+  };
+}
+
+/**
+ * Portfolio-margin (TIMS-style) requirement per underlying: full repricing
+ * across a price scan and the stress scenarios
+ * @param {Array} positions - Positions with legs (iv or price per leg) and optional shares
+ * @param {object} options - { underlying_price, underlying_prices, scenarios (STRESS_SCENARIOS keys), contract_multiplier, as_of, rate }
+ * @returns {object} { method, requirement, underlyings: [{ symbol, requirement, worst_case, scan, stress }], skipped_legs }
+ */
+export function calculatePortfolioMargin(positions = [], options = {}) {
+  const {
+    underlying_prices = {},
+    scenarios = Object.keys(STRESS_SCENARIOS),
+    contract_multiplier: multiplier = 100
+  } = options;
+
+  const groups = {};
+  positions.forEach((position, i) => {
+    const symbol = position.symbol;
+    const spot = position.underlying_price || underlying_prices[symbol] || options.underlying_price;
+    if (!(spot > 0)) {
+      throw new Error(`Underlying price is required for the margin of ${symbol || 'the position'}`);
+    }
+    const { lots, shares } = collectLots(position, multiplier);
+    groups[symbol] = groups[symbol] || { symbol, spot, positions: [], shares: 0, contracts: 0 };
+    groups[symbol].shares += shares;
+    groups[symbol].contracts += lots.length;
+    groups[symbol].positions.push({
+      id: position.id || `position_${i + 1}`,
+      symbol,
+      contracts: position.contracts || 1,
+      underlying_price: spot,
+      legs: (position.legs || []).filter(leg => leg.status !== 'closed' && (leg.type || leg.contract_type) !== 'stock')
+    });
+  });
+
+  const skipped = [];
+  const underlyings = Object.values(groups).map(group => {
+    const prepared = prepareLegsForRevaluation(group.positions, { ...options, contract_multiplier: multiplier });
+    skipped.push(...prepared.skipped);
+    const pnlAt = scenario => {
+      const options_pnl = prepared.legs.length > 0
+        ? calculateFullRevaluationPnL(group.positions, scenario, { ...options, contract_multiplier: multiplier, prepared }).full_revaluation_pnl
+        : 0;
+      return round(options_pnl + group.shares * group.spot * (scenario.price_move_pct || 0));
+    };
+
+    const [low, high] = isBroadBasedIndex(group.symbol) ? PORTFOLIO_MARGIN_RULES.index_range : PORTFOLIO_MARGIN_RULES.equity_range;
+    const scan = [];
+    for (let i = 0; i <= PORTFOLIO_MARGIN_RULES.scan_points; i++) {
+      const move = low + (high - low) * i / PORTFOLIO_MARGIN_RULES.scan_points;
+      scan.push({ price_move_pct: parseFloat((move * 100).toFixed(1)), pnl: pnlAt({ price_move_pct: move }) });
+    }
+    const stress = scenarios.map(key => {
+      const scenario = typeof key === 'string' ? STRESS_SCENARIOS[key] : key;
+      return scenario ? { scenario: scenario.name || key, pnl: pnlAt(scenario) } : null;
+    }).filter(Boolean);
+
+    const worst = [...scan.map(point => ({ ...point, source: 'scan' })), ...stress.map(point => ({ ...point, source: 'stress' }))]
+      .reduce((min, point) => (point.pnl < min.pnl ? point : min), { pnl: 0, source: 'none' });
+    const minimum = group.contracts * PORTFOLIO_MARGIN_RULES.min_per_contract;
+
+    return {
+      symbol: group.symbol,
+      underlying_price: group.spot,
+      contracts: group.contracts,
+      shares: group.shares,
+      requirement: round(Math.max(-worst.pnl, minimum)),
+      worst_case: worst,
+      minimum_applied: -worst.pnl < minimum,
+      scan,
+      stress
+    };
+  });
+
+  return {
+    method: 'portfolio',
+    requirement: round(underlyings.reduce((sum, group) => sum + group.requirement, 0)),
+    underlyings,
+    skipped_legs: skipped,
+    ...(skipped.length > 0 ? { warning: `${skipped.length} leg(s) could not be repriced and carry no requirement` } : {})
+  };
+}
+
+/**
+ * Margin of a set of positions under Reg-T, portfolio margin or both
+ * @param {Array} positions - Positions or strategies
+ * @param {object} options - { method (reg_t/portfolio/both, default reg_t), account_type, ... } (see calculateRegTMargin, calculatePortfolioMargin)
+ * @returns {object} { method, account_type, requirement, buying_power_effect, reg_t, portfolio }
+ */
+export function calculateMarginRequirement(positions = [], options = {}) {
+  const { method = 'reg_t', account_type = 'margin' } = options;
+  if (method !== 'reg_t' && CASH_ACCOUNT_TYPES.includes(account_type)) {
+    throw new Error(`Portfolio margin is not available in a ${account_type} account`);
+  }
+
+  const result = { method, account_type };
+  if (method === 'reg_t' || method === 'both') {
+    const byPosition = positions.map(position => calculateRegTMargin(position, options));
+    result.reg_t = {
+      requirement: round(byPosition.reduce((sum, entry) => sum + entry.requirement, 0)),
+      buying_power_effect: round(byPosition.reduce((sum, entry) => sum + entry.buying_power_effect, 0)),
+      violations: byPosition.flatMap(entry => entry.violations.map(violation => `${entry.symbol}: ${violation}`)),
+      positions: byPosition
+    };
+  }
+  if (method === 'portfolio' || method === 'both') {
+    result.portfolio = calculatePortfolioMargin(positions, options);
+  }
+
+  // Portfolio margin replaces the strategy requirement when it is the method in force
+  const inForce = method === 'portfolio' ? result.portfolio : result.reg_t;
+  result.requirement = inForce.requirement;
+  result.buying_power_effect = method === 'portfolio' ? result.portfolio.requirement : result.reg_t.buying_power_effect;
+  result.violations = result.reg_t?.violations || [];
+  return result;
+}
+
+/**
+ * Whether a new trade fits the buying power left after existing positions
+ * @param {object} trade - Position or strategy (legs, contracts, symbol)
+ * @param {object} account - { buying_power, account_type, method (reg_t/portfolio), positions (existing) }
+ * @param {object} options - Pricing options (underlying_price(s), contract_multiplier, as_of)
+ * @returns {object} { allowed, reason, available, used_by_existing, trade_effect, remaining, max_contracts, trade_margin (Reg-T breakdown), portfolio_margin (with method portfolio) }
+ */
+export function checkBuyingPower(trade, account = {}, options = {}) {
+  const { buying_power, account_type = 'margin', method = 'reg_t', positions = [] } = account;
+  if (!(buying_power >= 0)) {
+    throw new Error('buying_power is required');
+  }
+  const settings = { ...options, account_type, method };
+
+  const existing = positions.length > 0 ? calculateMarginRequirement(positions, settings) : null;
+  const usedByExisting = existing ? existing.buying_power_effect : 0;
+  // Under portfolio margin a trade costs what it adds to the combined requirement
+  const combined = calculateMarginRequirement([...positions, trade], settings);
+  const tradeEffect = combined.buying_power_effect - usedByExisting;
+  const available = buying_power - usedByExisting;
+  const tradeMargin = calculateRegTMargin(trade, settings);
+
+  // Contracts that fit, assuming the requirement scales with size
+  const contracts = trade.contracts || 1;
+  const perContract = tradeEffect / contracts;
+  const maxContracts = perContract > 0 ? Math.max(0, Math.floor(available / perContract)) : null;
+
+  const violations = tradeMargin.violations;
+  const allowed = violations.length === 0 && tradeEffect <= available;
+  return {
+    allowed,
+    reason: violations.length > 0 ? violations.join('; ')
+      : allowed ? `Trade uses $${round(tradeEffect)} of $${round(available)} available buying power`
+        : `Trade needs $${round(tradeEffect)} but only $${round(available)} buying power is available`,
+    method,
+    account_type,
+    buying_power: round(buying_power),
+    used_by_existing: round(usedByExisting),
+    available: round(available),
+    trade_effect: round(tradeEffect),
+    remaining: round(available - tradeEffect),
+    max_contracts: maxContracts,
+    trade_margin: tradeMargin,
+    ...(method === 'portfolio' ? { portfolio_margin: combined.portfolio } : {})
+  };
+}
+
+export default {
+  REG_T_RULES,
+  PORTFOLIO_MARGIN_RULES,
+  isBroadBasedIndex,
+  nakedRequirement,
+  calculateRegTMargin,
+  calculatePortfolioMargin,
+  calculateMarginRequirement,
+  checkBuyingPower
+};
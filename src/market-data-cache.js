@@ -0,0 +1,463 @@
+/**
+ * Market Data Cache Module
+ *
+ * Memory + on-disk cache for Massive API responses, plugged into the axios
+ * clients as an adapter so every endpoint is covered without touching the
+ * individual client methods.
+ *
+ * - Entries are keyed by endpoint and query params (the API key is never part
+ *   of the key and never written to disk)
+ * - Each endpoint family has its own TTL; finished historical ranges are
+ *   effectively immutable and kept for a month
+ * - Expired entries inside the stale window are served immediately while a
+ *   background request refreshes them (stale-while-revalidate)
+ * - Offline mode replays recorded responses from disk regardless of age and
+ *   fails on anything that was never recorded
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+
+const DEFAULT_CACHE_DIR = '.claude/cache';
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Query params that identify the caller rather than the data
+const EXCLUDED_PARAMS = new Set(['apiKey', 'apikey']);
+
+/**
+ * True when a date (YYYY-MM-DD or epoch ms) falls before today (UTC),
+ * meaning the data for it can no longer change
+ */
+function isPastDate(value, now) {
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(`${value}T00:00:00Z`);
+  if (isNaN(date.getTime())) return false;
+
+  const today = new Date(now);
+  today.setUTCHours(0, 0, 0, 0);
+  return date.getTime() < today.getTime();
+}
+
+/**
+ * Per-endpoint TTL rules, matched in order against the request path.
+ * `ttl_ms` may be a function of the regex match for date-dependent endpoints.
+ */
+export const DEFAULT_TTL_RULES = [
+  {
+    endpoint: 'options_snapshot',
+    pattern: /\/snapshot\/options\//,
+    ttl_ms: MINUTE,
+    stale_ms: 5 * MINUTE
+  },
+  {
+    endpoint: 'stock_snapshot',
+    pattern: /\/snapshot$/,
+    ttl_ms: 15 * SECOND,
+    stale_ms: MINUTE
+  },
+  {
+    endpoint: 'quotes',
+    pattern: /\/(quotes|last\/trade)\//,
+    ttl_ms: 10 * SECOND,
+    stale_ms: 30 * SECOND
+  },
+  {
+    endpoint: 'contract_reference',
+    pattern: /\/reference\/options\/contracts/,
+    ttl_ms: 12 * HOUR,
+    stale_ms: DAY
+  },
+  {
+    endpoint: 'ticker_reference',
+    pattern: /\/reference\/tickers/,
+    ttl_ms: DAY,
+    stale_ms: 7 * DAY
+  },
+  {
+    endpoint: 'previous_close',
+    pattern: /\/aggs\/ticker\/[^/]+\/prev$/,
+    ttl_ms: 15 * MINUTE,
+    stale_ms: 12 * HOUR
+  },
+  {
+    endpoint: 'aggregates',
+    pattern: /\/aggs\/ticker\/[^/]+\/range\/\d+\/\w+\/[^/]+\/([^/]+)$/,
+    ttl_ms: (match, now) => isPastDate(match[1], now) ? 30 * DAY : 5 * MINUTE,
+    stale_ms: HOUR
+  },
+  {
+    endpoint: 'daily_open_close',
+    pattern: /\/open-close\/[^/]+\/([^/]+)$/,
+    ttl_ms: (match, now) => isPastDate(match[1], now) ? 30 * DAY : 5 * MINUTE,
+    stale_ms: HOUR
+  },
+  {
+    endpoint: 'indicators',
+    pattern: /\/indicators\//,
+    ttl_ms: 5 * MINUTE,
+    stale_ms: 30 * MINUTE
+  }
+];
+
+const DEFAULT_RULE = { endpoint: 'other', ttl_ms: MINUTE, stale_ms: 5 * MINUTE };
+
+/**
+ * Build a stable cache key from a request: absolute path plus sorted params
+ * @param {Object} config - axios request config (baseURL, url, params)
+ * @returns {{key: string, path: string, params: Object}}
+ */
+export function buildCacheKey(config) {
+  const base = (config.baseURL || '').replace(/\/$/, '');
+  const url = new URL(/^https?:\/\//.test(config.url || '') ? config.url : `${base}${config.url || ''}`);
+
+  const params = {};
+  url.searchParams.forEach((value, name) => { params[name] = value; });
+  Object.entries(config.params || {}).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) params[name] = String(value);
+  });
+
+  const sorted = {};
+  Object.keys(params)
+    .filter(name => !EXCLUDED_PARAMS.has(name))
+    .sort()
+    .forEach(name => { sorted[name] = params[name]; });
+
+  const query = new URLSearchParams(sorted).toString();
+  return {
+    key: `${url.origin}${url.pathname}${query ? `?${query}` : ''}`,
+    path: url.pathname,
+    params: sorted
+  };
+}
+
+export class MarketDataCache {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - Serve from cache at all (default true)
+   * @param {boolean} options.persist - Record responses to disk (default true)
+   * @param {string} options.directory - Disk location (default .claude/cache)
+   * @param {boolean} options.offline - Replay recorded responses only
+   * @param {number} options.max_memory_entries - LRU bound for the memory tier
+   * @param {Object} options.ttl_overrides - { endpoint: { ttl_ms, stale_ms } }
+   * @param {Function} options.now - Clock, for tests
+   */
+  constructor(options = {}) {
+    const {
+      enabled = true,
+      persist = true,
+      directory = DEFAULT_CACHE_DIR,
+      offline = false,
+      max_memory_entries = 500,
+      ttl_overrides = {},
+      now = () => Date.now()
+    } = options;
+
+    this.enabled = enabled;
+    this.persist = persist;
+    this.directory = directory;
+    this.offline = offline;
+    this.maxMemoryEntries = max_memory_entries;
+    this.rules = DEFAULT_TTL_RULES.map(rule => ({ ...rule, ...(ttl_overrides[rule.endpoint] || {}) }));
+    this.defaultRule = { ...DEFAULT_RULE, ...(ttl_overrides[DEFAULT_RULE.endpoint] || {}) };
+    this.now = now;
+
+    this.memory = new Map();
+    this.revalidations = new Map();
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      since: new Date(this.now()).toISOString(),
+      requests: 0,
+      memory_hits: 0,
+      disk_hits: 0,
+      misses: 0,
+      stale_served: 0,
+      revalidations: 0,
+      revalidation_errors: 0,
+      served_on_error: 0,
+      offline_replays: 0,
+      offline_misses: 0,
+      bypassed: 0,
+      by_endpoint: {}
+    };
+  }
+
+  /**
+   * Find the TTL rule for a request path
+   * @returns {{endpoint: string, ttl_ms: number, stale_ms: number}}
+   */
+  resolveRule(requestPath) {
+    for (const rule of this.rules) {
+      const match = requestPath.match(rule.pattern);
+      if (match) {
+        const ttl = typeof rule.ttl_ms === 'function' ? rule.ttl_ms(match, this.now()) : rule.ttl_ms;
+        return { endpoint: rule.endpoint, ttl_ms: ttl, stale_ms: rule.stale_ms };
+      }
+    }
+    return { ...this.defaultRule };
+  }
+
+  count(endpoint, field) {
+    this.stats[field]++;
+    const bucket = this.stats.by_endpoint[endpoint] ||
+      (this.stats.by_endpoint[endpoint] = { requests: 0, hits: 0, misses: 0, stale_served: 0 });
+    if (field in bucket) bucket[field]++;
+    if (field === 'memory_hits' || field === 'disk_hits' || field === 'offline_replays') bucket.hits++;
+  }
+
+  filePath(key) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  remember(key, entry) {
+    // Re-insert so Map order doubles as LRU order
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    while (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * Look an entry up in memory, then on disk
+   * @returns {{entry: Object, tier: string} | null}
+   */
+  lookup(key) {
+    if (this.memory.has(key)) {
+      const entry = this.memory.get(key);
+      this.remember(key, entry);
+      return { entry, tier: 'memory' };
+    }
+
+    const file = this.filePath(key);
+    try {
+      if (!fs.existsSync(file)) return null;
+      const entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (entry.key !== key) return null;
+      this.remember(key, entry);
+      return { entry, tier: 'disk' };
+    } catch (error) {
+      console.error('Error reading cache entry:', error.message);
+      return null;
+    }
+  }
+
+  store(key, requestPath, params, response) {
+    const entry = {
+      key,
+      path: requestPath,
+      params,
+      stored_at: this.now(),
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers: { 'content-type': response.headers?.['content-type'] || 'application/json' },
+        data: response.data
+      }
+    };
+    this.remember(key, entry);
+
+    if (!this.persist) return;
+    try {
+      if (!fs.existsSync(this.directory)) {
+        fs.mkdirSync(this.directory, { recursive: true });
+      }
+      fs.writeFileSync(this.filePath(key), JSON.stringify(entry));
+    } catch (error) {
+      console.error('Error writing cache entry:', error.message);
+    }
+  }
+
+  /**
+   * Refresh an entry in the background; concurrent refreshes of one key share
+   * a single request
+   */
+  revalidate(key, requestPath, params, endpoint, fetcher) {
+    if (this.revalidations.has(key)) return this.revalidations.get(key);
+
+    this.stats.revalidations++;
+    const pending = fetcher()
+      .then(response => this.store(key, requestPath, params, response))
+      .catch(error => {
+        this.stats.revalidation_errors++;
+        console.error(`Cache revalidation failed for ${endpoint}:`, error.message);
+      })
+      .finally(() => this.revalidations.delete(key));
+
+    this.revalidations.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Wait for background revalidations to finish
+   */
+  async settle() {
+    await Promise.all([...this.revalidations.values()]);
+  }
+
+  /**
+   * Resolve a GET request through the cache
+   * @param {Object} config - axios request config
+   * @param {Function} fetcher - Performs the real request, resolving to an axios response
+   * @returns {Promise<Object>} axios-style response
+   */
+  async fetch(config, fetcher) {
+    const method = (config.method || 'get').toLowerCase();
+    if (method !== 'get' || config.cache === false || (!this.enabled && !this.offline)) {
+      this.stats.bypassed++;
+      return fetcher();
+    }
+
+    const { key, path: requestPath, params } = buildCacheKey(config);
+    const rule = this.resolveRule(requestPath);
+    const found = this.lookup(key);
+    const replay = (entry, flags) => ({
+      ...entry.response,
+      config,
+      request: null,
+      cached: { tier: found?.tier, stored_at: new Date(entry.stored_at).toISOString(), ...flags }
+    });
+    this.count(rule.endpoint, 'requests');
+
+    if (this.offline) {
+      if (!found) {
+        this.count(rule.endpoint, 'offline_misses');
+        throw new Error(`Offline mode: no recorded response for GET ${requestPath}`);
+      }
+      this.count(rule.endpoint, 'offline_replays');
+      return replay(found.entry, { offline: true });
+    }
+
+    if (found) {
+      const age = this.now() - found.entry.stored_at;
+      if (age <= rule.ttl_ms) {
+        this.count(rule.endpoint, found.tier === 'memory' ? 'memory_hits' : 'disk_hits');
+        return replay(found.entry, { stale: false });
+      }
+      if (age <= rule.ttl_ms + rule.stale_ms) {
+        this.count(rule.endpoint, 'stale_served');
+        this.revalidate(key, requestPath, params, rule.endpoint, fetcher);
+        return replay(found.entry, { stale: true });
+      }
+    }
+
+    this.count(rule.endpoint, 'misses');
+    try {
+      const response = await fetcher();
+      this.store(key, requestPath, params, response);
+      return response;
+    } catch (error) {
+      // A recorded answer beats no answer when the API is unreachable
+      if (found && !error.response) {
+        this.stats.served_on_error++;
+        console.error(`Serving expired cache for ${requestPath}: ${error.message}`);
+        return replay(found.entry, { stale: true, error: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Route an axios instance through the cache
+   * @param {Object} instance - axios instance
+   */
+  attach(instance) {
+    const baseAdapter = axios.getAdapter(instance.defaults.adapter || axios.defaults.adapter);
+    instance.defaults.adapter = (config) => this.fetch(config, () => baseAdapter(config));
+    return instance;
+  }
+
+  /**
+   * Drop entries from the cache
+   * @param {string} scope - 'expired' (past TTL + stale window), 'memory' or 'all'
+   * @returns {Object} Removed counts
+   */
+  clear(scope = 'expired') {
+    if (!['expired', 'memory', 'all'].includes(scope)) {
+      throw new Error(`Unknown cache scope: ${scope}. Use expired, memory or all`);
+    }
+
+    const removed = { memory: 0, disk: 0 };
+    const isExpired = (entry) => {
+      const rule = this.resolveRule(entry.path);
+      return this.now() - entry.stored_at > rule.ttl_ms + rule.stale_ms;
+    };
+
+    for (const [key, entry] of this.memory) {
+      if (scope !== 'expired' || isExpired(entry)) {
+        this.memory.delete(key);
+        removed.memory++;
+      }
+    }
+    if (scope === 'memory') return removed;
+
+    for (const file of this.listFiles()) {
+      const fullPath = path.join(this.directory, file);
+      try {
+        if (scope === 'expired' && !isExpired(JSON.parse(fs.readFileSync(fullPath, 'utf8')))) continue;
+        fs.unlinkSync(fullPath);
+        removed.disk++;
+      } catch (error) {
+        console.error('Error removing cache entry:', error.message);
+      }
+    }
+    return removed;
+  }
+
+  listFiles() {
+    try {
+      if (!fs.existsSync(this.directory)) return [];
+      return fs.readdirSync(this.directory).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      console.error('Error listing cache directory:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Snapshot of configuration, hit rates and storage use
+   */
+  getStats() {
+    const files = this.listFiles();
+    const diskBytes = files.reduce((sum, file) => {
+      try {
+        return sum + fs.statSync(path.join(this.directory, file)).size;
+      } catch {
+        return sum;
+      }
+    }, 0);
+    const hits = this.stats.memory_hits + this.stats.disk_hits + this.stats.stale_served + this.stats.offline_replays;
+    const lookups = hits + this.stats.misses + this.stats.offline_misses;
+
+    return {
+      mode: this.offline ? 'offline' : (this.enabled ? 'online' : 'disabled'),
+      persist: this.persist,
+      directory: this.directory,
+      hit_rate: lookups > 0 ? parseFloat((hits / lookups).toFixed(4)) : null,
+      ...this.stats,
+      pending_revalidations: this.revalidations.size,
+      memory_entries: this.memory.size,
+      max_memory_entries: this.maxMemoryEntries,
+      disk_entries: files.length,
+      disk_bytes: diskBytes,
+      ttl_rules: [...this.rules, this.defaultRule].map(rule => ({
+        endpoint: rule.endpoint,
+        ttl_seconds: typeof rule.ttl_ms === 'function' ? 'date-dependent' : rule.ttl_ms / SECOND,
+        stale_seconds: rule.stale_ms / SECOND
+      }))
+    };
+  }
+}
+
+export default {
+  MarketDataCache,
+  DEFAULT_TTL_RULES,
+  buildCacheKey
+};
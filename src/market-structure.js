@@ -1,6 +1,12 @@
 // Market structure analysis module
 // Provides insights into option market positioning and sentiment
 
+import { yearsToExpiration } from './option-pricing.js';
+
+// Pin-risk score weights: distance to max pain (in expected-move units), gamma
+// concentrated around the pin strike, and time left to expiration
+const PIN_RISK_WEIGHTS = { distance: 0.4, gamma: 0.35, time: 0.25 };
+
 /**
  * Analyze put/call ratios across different metrics
  * @param {Object} chainData - Option chain data with calls and puts
@@ -256,44 +262,14 @@ export function analyzeGammaExposure(chainData, spotPrice) {
 
 /**
  * Calculate max pain (strike where most options expire worthless)
+ * Pools open interest across every expiration in the chain; use
+ * analyzeMaxPainByExpiration for chains spanning more than one expiry.
  * @param {Object} chainData - Option chain data
  * @param {number} spotPrice - Current underlying price
  * @returns {Object} Max pain analysis
  */
 export function calculateMaxPain(chainData, spotPrice) {
-  const strikePains = {};
-  const strikes = new Set();
-  
-  // Collect all unique strikes
-  Object.values(chainData).forEach(expiration => {
-    expiration.calls?.forEach(call => strikes.add(call.strike));
-    expiration.puts?.forEach(put => strikes.add(put.strike));
-  });
-  
-  const strikeArray = Array.from(strikes).sort((a, b) => a - b);
-  
-  // Calculate pain at each strike
-  strikeArray.forEach(testStrike => {
-    let totalPain = 0;
-    
-    Object.values(chainData).forEach(expiration => {
-      // Calculate call pain
-      expiration.calls?.forEach(call => {
-        const oi = call.price?.open_interest || 0;
-        const pain = Math.max(0, testStrike - call.strike) * oi * 100;
-        totalPain += pain;
-      });
-      
-      // Calculate put pain
-      expiration.puts?.forEach(put => {
-        const oi = put.price?.open_interest || 0;
-        const pain = Math.max(0, put.strike - testStrike) * oi * 100;
-        totalPain += pain;
-      });
-    });
-    
-    strikePains[testStrike] = totalPain;
-  });
+  const { strikeArray, strikePains } = buildPainCurve(Object.values(chainData));
   
   // Find strike with minimum pain
   let maxPainStrike = null;
@@ -339,6 +315,210 @@ export function calculateMaxPain(chainData, spotPrice) {
   };
 }
 
+/**
+ * Max pain, pain curve and OI concentration for a single expiration
+ * @param {Object} expirationData - { calls, puts } for one expiration
+ * @param {number} spotPrice - Current underlying price
+ * @param {Object} options - expiration, asOf, nearSpotPercent, curveRange, pinBandPercent
+ * @returns {Object} Per-expiration OI analysis
+ */
+export function analyzeExpirationOI(expirationData, spotPrice, options = {}) {
+  const {
+    expiration = null,
+    asOf = new Date(),
+    nearSpotPercent = 2,   // OI concentration band around spot
+    curveRange = 0.1,      // Pain curve window as a fraction of spot
+    pinBandPercent = 1     // Gamma counted towards the pin within this % of max pain
+  } = options;
+  
+  const time = expiration ? yearsToExpiration(expiration, asOf) : null;
+  const byStrike = {};
+  let callOI = 0;
+  let putOI = 0;
+  let totalDollarGamma = 0;
+  
+  ['calls', 'puts'].forEach(side => {
+    expirationData[side]?.forEach(option => {
+      const oi = option.price?.open_interest || 0;
+      const row = byStrike[option.strike] || (byStrike[option.strike] = { callOI: 0, putOI: 0, dollarGamma: 0, ivs: [] });
+      const dollarGamma = Math.abs(option.greeks?.gamma || 0) * oi * 100 * spotPrice * spotPrice * 0.01;
+      
+      if (side === 'calls') {
+        row.callOI += oi;
+        callOI += oi;
+      } else {
+        row.putOI += oi;
+        putOI += oi;
+      }
+      row.dollarGamma += dollarGamma;
+      totalDollarGamma += dollarGamma;
+      if (option.implied_volatility > 0) row.ivs.push(option.implied_volatility);
+    });
+  });
+  
+  const totalOI = callOI + putOI;
+  const analysis = {
+    expiration,
+    dte: time !== null ? parseFloat((time * 365).toFixed(2)) : null,
+    totalOI,
+    callOI,
+    putOI,
+    putCallOIRatio: callOI > 0 ? parseFloat((putOI / callOI).toFixed(3)) : null,
+    maxPainStrike: null
+  };
+  if (totalOI === 0) return analysis;
+  
+  const { strikeArray, strikePains } = buildPainCurve([expirationData]);
+  let maxPainStrike = null;
+  let minPain = Infinity;
+  strikeArray.forEach(strike => {
+    if (strikePains[strike] < minPain) {
+      minPain = strikePains[strike];
+      maxPainStrike = strike;
+    }
+  });
+  
+  // ATM IV from the strike nearest spot sets the expected move to expiration
+  const atmStrike = strikeArray.reduce((best, strike) =>
+    Math.abs(strike - spotPrice) < Math.abs(best - spotPrice) ? strike : best
+  );
+  const atmIVs = byStrike[atmStrike].ivs;
+  const atmIV = atmIVs.length > 0 ? atmIVs.reduce((sum, iv) => sum + iv, 0) / atmIVs.length : null;
+  const expectedMove = atmIV && time > 0 ? spotPrice * atmIV * Math.sqrt(time) : null;
+  
+  const nearSpot = strikeArray.filter(strike => Math.abs(strike - spotPrice) / spotPrice * 100 <= nearSpotPercent);
+  const nearSpotOI = nearSpot.reduce((sum, strike) => sum + byStrike[strike].callOI + byStrike[strike].putOI, 0);
+  const topStrikes = strikeArray
+    .map(strike => ({
+      strike,
+      callOI: byStrike[strike].callOI,
+      putOI: byStrike[strike].putOI,
+      totalOI: byStrike[strike].callOI + byStrike[strike].putOI
+    }))
+    .sort((a, b) => b.totalOI - a.totalOI)
+    .slice(0, 5)
+    .map(row => ({ ...row, percentOfTotal: parseFloat((row.totalOI / totalOI * 100).toFixed(2)) }));
+  
+  const pinGamma = strikeArray
+    .filter(strike => Math.abs(strike - maxPainStrike) <= maxPainStrike * pinBandPercent / 100)
+    .reduce((sum, strike) => sum + byStrike[strike].dollarGamma, 0);
+  
+  return {
+    ...analysis,
+    maxPainStrike,
+    percentFromSpot: parseFloat(((maxPainStrike - spotPrice) / spotPrice * 100).toFixed(2)),
+    totalPainAtMax: parseFloat((minPain / 1000000).toFixed(2)), // In millions
+    atmIV: atmIV !== null ? parseFloat(atmIV.toFixed(4)) : null,
+    expectedMove: expectedMove !== null ? parseFloat(expectedMove.toFixed(2)) : null,
+    pinGammaShare: totalDollarGamma > 0 ? parseFloat((pinGamma / totalDollarGamma).toFixed(4)) : null,
+    oiConcentration: {
+      nearSpotPercent,
+      nearSpotStrikes: nearSpot.length,
+      nearSpotOI,
+      percentOfTotal: parseFloat((nearSpotOI / totalOI * 100).toFixed(2)),
+      topStrikes
+    },
+    painCurve: strikeArray
+      .filter(strike => Math.abs(strike - spotPrice) <= spotPrice * curveRange)
+      .map(strike => ({
+        strike,
+        pain: parseFloat((strikePains[strike] / 1000000).toFixed(2)), // In millions
+        percentFromMax: parseFloat(((strike - maxPainStrike) / maxPainStrike * 100).toFixed(2))
+      }))
+  };
+}
+
+/**
+ * Score the risk of spot pinning to max pain into an expiration
+ * Combines distance to max pain in expected-move units, the share of the
+ * expiration's dollar gamma sitting around the pin strike, and DTE.
+ * @param {Object} analysis - Result of analyzeExpirationOI
+ * @param {number} spotPrice - Current underlying price
+ * @returns {Object|null} Pin-risk score (0-100) with its components, or null without max pain
+ */
+export function scorePinRisk(analysis, spotPrice) {
+  if (analysis.maxPainStrike === null || analysis.dte === null) return null;
+  
+  const distance = Math.abs(analysis.maxPainStrike - spotPrice);
+  // Without an ATM IV, treat a 2% move as one expected move
+  const moveUnits = analysis.expectedMove > 0
+    ? distance / analysis.expectedMove
+    : (distance / spotPrice * 100) / 2;
+  
+  const components = {
+    distance: Math.exp(-0.5 * moveUnits * moveUnits),
+    gamma: analysis.pinGammaShare || 0,
+    time: Math.exp(-analysis.dte / 5)
+  };
+  const score = 100 * Object.entries(PIN_RISK_WEIGHTS)
+    .reduce((sum, [key, weight]) => sum + weight * components[key], 0);
+  
+  let level, interpretation;
+  if (score >= 60) {
+    level = 'HIGH';
+    interpretation = `Spot likely to gravitate towards ${analysis.maxPainStrike} into ${analysis.expiration} - expect dampened moves near expiry`;
+  } else if (score >= 35) {
+    level = 'MODERATE';
+    interpretation = `Some pull towards ${analysis.maxPainStrike} into ${analysis.expiration} if spot drifts closer`;
+  } else {
+    level = 'LOW';
+    interpretation = `Max pain at ${analysis.maxPainStrike} is unlikely to pin ${analysis.expiration}`;
+  }
+  
+  return {
+    expiration: analysis.expiration,
+    dte: analysis.dte,
+    pinStrike: analysis.maxPainStrike,
+    distanceToPin: parseFloat((analysis.maxPainStrike - spotPrice).toFixed(2)),
+    expectedMoveUnits: parseFloat(moveUnits.toFixed(3)),
+    score: parseFloat(score.toFixed(1)),
+    level,
+    components: {
+      distance: parseFloat(components.distance.toFixed(3)),
+      gamma: parseFloat(components.gamma.toFixed(3)),
+      time: parseFloat(components.time.toFixed(3))
+    },
+    interpretation
+  };
+}
+
+/**
+ * Max pain and OI analytics for each expiration, with pin risk for the nearest ones
+ * @param {Object} chainData - Option chain data keyed by expiration
+ * @param {number} spotPrice - Current underlying price
+ * @param {Object} options - asOf, pinExpirations (default 3), plus analyzeExpirationOI options
+ * @returns {Object} { expirations, pinRisk, highestPinRisk, interpretation }
+ */
+export function analyzeMaxPainByExpiration(chainData, spotPrice, options = {}) {
+  const { asOf = new Date(), pinExpirations = 3, ...expirationOptions } = options;
+  
+  const analyses = Object.keys(chainData)
+    .sort()
+    .map(expiration => analyzeExpirationOI(chainData[expiration], spotPrice, { ...expirationOptions, expiration, asOf }))
+    .filter(analysis => analysis.dte > 0); // Drop expirations that have already settled
+  
+  const pinCandidates = analyses.filter(analysis => analysis.maxPainStrike !== null).slice(0, pinExpirations);
+  const pinRisk = pinCandidates.map(analysis => scorePinRisk(analysis, spotPrice));
+  const highestPinRisk = pinRisk.reduce((best, risk) => (!best || risk.score > best.score ? risk : best), null);
+  
+  // Pain curves only for the expirations scored for pin risk, to keep LEAPS chains compact
+  const pinned = new Set(pinCandidates.map(analysis => analysis.expiration));
+  const expirations = analyses.map(analysis => {
+    if (pinned.has(analysis.expiration)) return analysis;
+    const { painCurve, ...summary } = analysis;
+    return summary;
+  });
+  
+  return {
+    expirations,
+    pinRisk,
+    highestPinRisk,
+    interpretation: highestPinRisk
+      ? highestPinRisk.interpretation
+      : 'No open interest in upcoming expirations to assess pin risk'
+  };
+}
+
 /**
  * Analyze open interest distribution
  * @param {Object} chainData - Option chain data
@@ -436,6 +616,33 @@ export function analyzeOIDistribution(chainData, spotPrice) {
   };
 }
 
+// Helper: total intrinsic value paid to option holders if price settles at each strike
+function buildPainCurve(expirations) {
+  const strikes = new Set();
+  expirations.forEach(expiration => {
+    expiration.calls?.forEach(call => strikes.add(call.strike));
+    expiration.puts?.forEach(put => strikes.add(put.strike));
+  });
+  
+  const strikeArray = Array.from(strikes).sort((a, b) => a - b);
+  const strikePains = {};
+  
+  strikeArray.forEach(testStrike => {
+    let totalPain = 0;
+    expirations.forEach(expiration => {
+      expiration.calls?.forEach(call => {
+        totalPain += Math.max(0, testStrike - call.strike) * (call.price?.open_interest || 0) * 100;
+      });
+      expiration.puts?.forEach(put => {
+        totalPain += Math.max(0, put.strike - testStrike) * (put.price?.open_interest || 0) * 100;
+      });
+    });
+    strikePains[testStrike] = totalPain;
+  });
+  
+  return { strikeArray, strikePains };
+}
+
 // Helper function to interpret P/C ratios
 function interpretPCRatio(ratio, type) {
   if (type === 'volume') {
@@ -9,6 +9,7 @@ import {
   analyzePutCallRatios,
   analyzeGammaExposure,
   calculateMaxPain,
+  analyzeMaxPainByExpiration,
   analyzeOIDistribution
 } from './market-structure.js';
 import {
@@ -16,7 +17,10 @@ import {
   generateBearPutSpreads,
   generateIronCondors,
   generateCalendarSpreads,
-  rankStrategies
+  generateStrategies,
+  rankStrategies,
+  buildCustomStrategy,
+  STRATEGIES_BY_OUTLOOK
 } from './strategy-builder.js';
 import {
   calculatePositionSize,
@@ -33,8 +37,45 @@ import {
   identifyKeyLevels,
   generateExpirationSummaries,
   generateTradingImplications,
-  formatMatrixForDisplay
+  formatMatrixForDisplay,
+  summarizeExposureMatrix,
+  calculateGEXCurve,
+  calculateVannaVolProfile
 } from './dealer-positioning.js';
+import { fillMissingGreeks, inferExerciseStyle } from './option-pricing.js';
+import { parseOptionSymbol, isOptionSymbol, resolveContract } from './option-symbol.js';
+import { loadBarsFile, runBacktest } from './backtester.js';
+import { MarketDataCache } from './market-data-cache.js';
+import { RequestScheduler } from './request-scheduler.js';
+import { createBudget, paginate, buildExpirationSlices, describeCoverage } from './paginator.js';
+import {
+  bracketsConstantMaturity,
+  extractIVSnapshot,
+  recordIVSnapshot,
+  getIVHistory,
+  calculateIVStats,
+  selectBackfillExpiration,
+  buildBackfillObservation
+} from './iv-history.js';
+import {
+  buildVolSurface,
+  surfaceIV,
+  surfaceIVAtDelta,
+  surfaceResiduals,
+  summarizeSurface
+} from './vol-surface.js';
+import {
+  buildMoveTermStructure,
+  impliedEventMove,
+  realizedEventMoves,
+  compareEventMoves
+} from './event-moves.js';
+import { recordDealerSnapshot, getDealerHistory, buildDealerHistoryReport } from './gex-history.js';
+import { analyzeCorrelationRisk } from './correlation-risk.js';
+import { calculateMarginRequirement, checkBuyingPower } from './margin.js';
+
+// Live IV snapshots are rewritten at most this often per symbol and day
+const IV_SNAPSHOT_INTERVAL_MS = 15 * 60 * 1000;
 
 // Helper function to calculate days to expiration
 function calculateDaysToExpiration(expirationDate) {
@@ -61,7 +102,16 @@ function calculateMoneyness(contractType, strikePrice, underlyingPrice) {
 }
 
 export class MassiveOptionsClient {
-  constructor(apiKey, baseUrl = 'https://api.massive.com/v3') {
+  /**
+   * @param {string} apiKey - Massive API key
+   * @param {string} baseUrl - API base URL (version suffix optional)
+   * @param {Object} options
+   * @param {Object|false} options.cache - MarketDataCache options, or false to hit the network directly
+   * @param {Object|false} options.scheduler - RequestScheduler options (tier, max_concurrent, retries), or false to disable
+   * @param {boolean} options.record_iv_history - Store a daily IV snapshot from full chain pulls (default true)
+   * @param {boolean} options.record_gex_history - Store every full-chain dealer matrix (default true)
+   */
+  constructor(apiKey, baseUrl = 'https://api.massive.com/v3', options = {}) {
     this.apiKey = apiKey;
 
     // Normalize baseUrl: strip trailing slash, ensure /v3 suffix
@@ -94,20 +144,103 @@ export class MassiveOptionsClient {
         apiKey: apiKey
       }
     });
+
+    // All three clients share one rate limit and retry policy; the cache sits
+    // in front of it so hits never spend request budget
+    const instances = [this.client, this.clientV2, this.clientV1];
+    this.scheduler = options.scheduler === false ? null : new RequestScheduler(options.scheduler);
+    if (this.scheduler) {
+      instances.forEach(instance => this.scheduler.attach(instance));
+    }
+    this.cache = options.cache === false ? null : new MarketDataCache(options.cache);
+    if (this.cache) {
+      instances.forEach(instance => this.cache.attach(instance));
+    }
+
+    this.recordIVHistory = options.record_iv_history !== false;
+    this.ivSnapshotTimes = new Map();
+    this.recordGEXHistory = options.record_gex_history !== false;
+  }
+
+  /**
+   * Request scheduler metrics: throughput, rate-limit waits, retries and deduplication
+   * @param {Object} params - { reset: zero the counters after reading them }
+   * @returns {Object} Scheduler configuration and metrics
+   */
+  getRequestMetrics(params = {}) {
+    if (!this.scheduler) {
+      return { enabled: false, message: 'Request scheduling is turned off for this client' };
+    }
+
+    const metrics = { enabled: true, ...this.scheduler.getMetrics() };
+    if (params.reset) {
+      this.scheduler.resetMetrics();
+    }
+    return metrics;
+  }
+
+  /**
+   * Cache statistics, optionally clearing entries or switching offline replay
+   * @param {Object} params
+   * @param {string} params.clear - 'expired', 'memory' or 'all'
+   * @param {boolean} params.offline - Enable/disable offline replay
+   * @param {boolean} params.reset_stats - Zero the counters after reading them
+   * @returns {Object} Cache stats
+   */
+  getCacheStats(params = {}) {
+    if (!this.cache) {
+      return { mode: 'disabled', message: 'Response caching is turned off for this client' };
+    }
+
+    const { clear, offline, reset_stats = false } = params;
+    const result = {};
+    if (clear) {
+      result.cleared = { scope: clear, ...this.cache.clear(clear) };
+    }
+    if (typeof offline === 'boolean') {
+      this.cache.offline = offline;
+    }
+
+    const stats = { ...this.cache.getStats(), ...result };
+    if (reset_stats) {
+      this.cache.resetStats();
+    }
+    return stats;
   }
 
-  async getOptionChain(symbol, expiration = null) {
+  /**
+   * List option contracts for an underlying, following pagination cursors
+   * @param {string} symbol - Underlying symbol
+   * @param {string} expiration - Optional expiration filter
+   * @param {Object} options - { max_contracts, max_pages } budget
+   * @returns {Object} { results, count, truncated, coverage, next_url }
+   */
+  async getOptionChain(symbol, expiration = null, options = {}) {
+    const { max_contracts = 10000, max_pages = 20 } = options;
+
     try {
       const params = {
         underlying_ticker: symbol,
-        limit: 1000  // Already correct here
+        limit: 1000
       };
       if (expiration) {
         params.expiration_date = expiration;
       }
 
-      const response = await this.client.get('/reference/options/contracts', { params });
-      return response.data;
+      const budget = createBudget({ max_items: max_contracts, max_pages });
+      const page = await paginate(this.client, '/reference/options/contracts', params, { budget });
+      if (page.truncated) {
+        console.error(`Warning: ${symbol} contract list truncated at ${page.results.length} contracts (${page.truncation_reason})`);
+      }
+
+      return {
+        status: 'OK',
+        results: page.results,
+        count: page.results.length,
+        truncated: page.truncated,
+        coverage: describeCoverage([page], budget),
+        next_url: page.next_url
+      };
     } catch (error) {
       throw new Error(`Failed to get option chain: ${error.message}`);
     }
@@ -211,23 +344,17 @@ export class MassiveOptionsClient {
     }
   }
 
+  /**
+   * Quote, Greeks, IV and contract details for one option
+   * @param {string} symbol - Underlying symbol, or an option ticker (O:AAPL250117C00150000 or OSI) in place of all four fields
+   * @param {string} optionType - 'call' or 'put'
+   * @param {number} strike - Strike price
+   * @param {string} expiration - Expiration date (YYYY-MM-DD)
+   */
   async getQuote(symbol, optionType, strike, expiration) {
     try {
-      // Use the snapshot endpoint with filters to get quote data
-      const response = await this.client.get('/snapshot/options/' + symbol, {
-        params: {
-          contract_type: optionType,
-          strike_price: strike,
-          expiration_date: expiration
-        }
-      });
-
-      if (!response.data.results || response.data.results.length === 0) {
-        throw new Error('Option contract not found or no quote data available');
-      }
-
-      // Return the first result (should be only one with our filters)
-      const quote = response.data.results[0];
+      const contract = resolveContract({ symbol, option_type: optionType, strike, expiration });
+      const quote = await this.getContractSnapshot(contract, 'Option contract not found or no quote data available');
       
       // Get additional contract details from reference endpoint
       let contractDetails = {};
@@ -243,13 +370,13 @@ export class MassiveOptionsClient {
       // Get underlying stock price - use real-time data first, fallback to previous close
       let underlyingPrice = null;
       try {
-        const stockQuote = await this.getStockQuote(symbol);
+        const stockQuote = await this.getStockQuote(contract.symbol);
         underlyingPrice = stockQuote.price;
       } catch (stockError) {
         console.error('Real-time quote failed, trying previous close:', stockError.message);
         // Fallback to previous close to ensure we always have a price
         try {
-          const prevResponse = await this.clientV2.get(`/aggs/ticker/${symbol}/prev`);
+          const prevResponse = await this.clientV2.get(`/aggs/ticker/${contract.symbol}/prev`);
           if (prevResponse.data.results && prevResponse.data.results.length > 0) {
             underlyingPrice = prevResponse.data.results[0].c;
             console.error('Successfully fetched previous close as fallback');
@@ -269,7 +396,7 @@ export class MassiveOptionsClient {
 
         // Contract identification
         ticker: quote.details.ticker,
-        underlying_ticker: symbol,
+        underlying_ticker: contract.symbol,
         contract_type: quote.details.contract_type,
 
         // Contract specifications
@@ -336,6 +463,7 @@ export class MassiveOptionsClient {
   async getHistoricalAggregates(symbol, optionType, strike, expiration, multiplier, timespan, from, to) {
     try {
       // First, get the option ticker
+      const contract = resolveContract({ symbol, option_type: optionType, strike, expiration });
       const ticker = await this.getOptionTicker(symbol, optionType, strike, expiration);
 
       // Get aggregates with custom timespan (v2 endpoint)
@@ -343,10 +471,10 @@ export class MassiveOptionsClient {
       
       return {
         ticker: ticker,
-        underlying: symbol,
-        contract_type: optionType,
-        strike: strike,
-        expiration: expiration,
+        underlying: contract.symbol,
+        contract_type: contract.option_type,
+        strike: contract.strike,
+        expiration: contract.expiration,
         timespan: `${multiplier} ${timespan}`,
         from: from,
         to: to,
@@ -361,6 +489,7 @@ export class MassiveOptionsClient {
   async getPreviousDayOHLC(symbol, optionType, strike, expiration) {
     try {
       // Get the option ticker
+      const contract = resolveContract({ symbol, option_type: optionType, strike, expiration });
       const ticker = await this.getOptionTicker(symbol, optionType, strike, expiration);
 
       // Get previous day's OHLC (v2 endpoint)
@@ -374,10 +503,10 @@ export class MassiveOptionsClient {
       
       return {
         ticker: ticker,
-        underlying: symbol,
-        contract_type: optionType,
-        strike: strike,
-        expiration: expiration,
+        underlying: contract.symbol,
+        contract_type: contract.option_type,
+        strike: contract.strike,
+        expiration: contract.expiration,
         date: new Date(data.t).toISOString().split('T')[0],
         open: data.o,
         high: data.h,
@@ -395,6 +524,7 @@ export class MassiveOptionsClient {
   async getDailyOpenClose(symbol, optionType, strike, expiration, date) {
     try {
       // Get the option ticker
+      const contract = resolveContract({ symbol, option_type: optionType, strike, expiration });
       const ticker = await this.getOptionTicker(symbol, optionType, strike, expiration);
 
       // Get open-close data for specific date (v1 endpoint)
@@ -406,10 +536,10 @@ export class MassiveOptionsClient {
       
       return {
         ticker: ticker,
-        underlying: symbol,
-        contract_type: optionType,
-        strike: strike,
-        expiration: expiration,
+        underlying: contract.symbol,
+        contract_type: contract.option_type,
+        strike: contract.strike,
+        expiration: contract.expiration,
         date: date,
         open: response.data.open || null,
         close: response.data.close || null,
@@ -426,27 +556,15 @@ export class MassiveOptionsClient {
 
   async getGreeks(symbol, optionType, strike, expiration) {
     try {
-      // Get snapshot data which includes Greeks
-      const response = await this.client.get('/snapshot/options/' + symbol, {
-        params: {
-          contract_type: optionType,
-          strike_price: strike,
-          expiration_date: expiration
-        }
-      });
-
-      if (!response.data.results || response.data.results.length === 0) {
-        throw new Error('Option contract not found or no Greeks data available');
-      }
-
-      const quote = response.data.results[0];
+      const contract = resolveContract({ symbol, option_type: optionType, strike, expiration });
+      const quote = await this.getContractSnapshot(contract, 'Option contract not found or no Greeks data available');
       
       return {
         ticker: quote.details.ticker,
-        underlying: symbol,
-        contract_type: optionType,
-        strike: strike,
-        expiration: expiration,
+        underlying: contract.symbol,
+        contract_type: contract.option_type,
+        strike: contract.strike,
+        expiration: contract.expiration,
         greeks: quote.greeks || {
           delta: null,
           gamma: null,
@@ -464,27 +582,15 @@ export class MassiveOptionsClient {
 
   async getImpliedVolatility(symbol, optionType, strike, expiration) {
     try {
-      // Get snapshot data which includes implied volatility
-      const response = await this.client.get('/snapshot/options/' + symbol, {
-        params: {
-          contract_type: optionType,
-          strike_price: strike,
-          expiration_date: expiration
-        }
-      });
-
-      if (!response.data.results || response.data.results.length === 0) {
-        throw new Error('Option contract not found or no IV data available');
-      }
-
-      const quote = response.data.results[0];
+      const contract = resolveContract({ symbol, option_type: optionType, strike, expiration });
+      const quote = await this.getContractSnapshot(contract, 'Option contract not found or no IV data available');
       
       return {
         ticker: quote.details.ticker,
-        underlying: symbol,
-        contract_type: optionType,
-        strike: strike,
-        expiration: expiration,
+        underlying: contract.symbol,
+        contract_type: contract.option_type,
+        strike: contract.strike,
+        expiration: contract.expiration,
         implied_volatility: quote.implied_volatility,
         last_price: quote.day.close,
         volume: quote.day.volume,
@@ -496,28 +602,68 @@ export class MassiveOptionsClient {
     }
   }
 
-  // Helper method to get option ticker
+  /**
+   * Snapshot of one contract: the underlying's snapshot filtered by the
+   * contract fields, picking the exact ticker when several roots share them
+   * (SPX and SPXW)
+   * @param {Object} contract - Resolved contract (option-symbol.js resolveContract)
+   * @param {string} notFoundMessage - Error when nothing matches
+   * @returns {Object} Snapshot result
+   */
+  async getContractSnapshot(contract, notFoundMessage) {
+    const response = await this.client.get('/snapshot/options/' + contract.symbol, {
+      params: {
+        contract_type: contract.option_type,
+        strike_price: contract.strike,
+        expiration_date: contract.expiration
+      }
+    });
+
+    const results = response.data.results || [];
+    if (results.length === 0) {
+      throw new Error(notFoundMessage);
+    }
+    return results.find(result => result.details?.ticker === contract.ticker) || results[0];
+  }
+
+  /**
+   * Option ticker for a contract. A ticker passed as the symbol is normalized
+   * locally; component fields are looked up, since the root can differ from
+   * the underlying (SPXW weeklies, adjusted contracts)
+   * @param {string} symbol - Underlying symbol or option ticker
+   * @param {string} optionType - 'call' or 'put'
+   * @param {number} strike - Strike price
+   * @param {string} expiration - Expiration date (YYYY-MM-DD)
+   * @returns {string} Option ticker
+   */
   async getOptionTicker(symbol, optionType, strike, expiration) {
+    const contract = resolveContract({ symbol, option_type: optionType, strike, expiration });
+    if (isOptionSymbol(symbol)) {
+      return contract.ticker;
+    }
+
     const contractResponse = await this.client.get('/reference/options/contracts', {
       params: {
-        underlying_ticker: symbol,
-        contract_type: optionType,
-        strike_price: strike,
-        expiration_date: expiration,
-        limit: 1
+        underlying_ticker: contract.symbol,
+        contract_type: contract.option_type,
+        strike_price: contract.strike,
+        expiration_date: contract.expiration,
+        limit: 10
       }
     });
 
-    if (!contractResponse.data.results || contractResponse.data.results.length === 0) {
+    const results = contractResponse.data.results || [];
+    if (results.length === 0) {
       throw new Error('Option contract not found');
     }
 
-    return contractResponse.data.results[0].ticker;
+    return (results.find(result => result.ticker === contract.ticker) || results[0]).ticker;
   }
 
   async getLastTrade(symbol, optionType, strike, expiration) {
     try {
       // Get the option ticker
+      const contract = resolveContract({ symbol, option_type: optionType, strike, expiration });
       const ticker = await this.getOptionTicker(symbol, optionType, strike, expiration);
 
       // Get last trade data (v2 endpoint)
@@ -531,10 +677,10 @@ export class MassiveOptionsClient {
       
       return {
         ticker: ticker,
-        underlying: symbol,
-        contract_type: optionType,
-        strike: strike,
-        expiration: expiration,
+        underlying: contract.symbol,
+        contract_type: contract.option_type,
+        strike: contract.strike,
+        expiration: contract.expiration,
         trade: {
           price: trade.price,
           size: trade.size,
@@ -552,51 +698,53 @@ export class MassiveOptionsClient {
     }
   }
 
-  async getOptionChainSnapshot(symbol, expiration = null, strikeMin = null, strikeMax = null) {
+  /**
+   * Full chain snapshot organized by expiration
+   * Without an expiration filter the calendar is split into date slices that
+   * are paged in parallel under one shared contract/page budget.
+   * @param {string} symbol - Underlying symbol
+   * @param {string} expiration - Optional single expiration
+   * @param {number} strikeMin - Optional lower strike bound
+   * @param {number} strikeMax - Optional upper strike bound
+   * @param {Object} options - { max_contracts (default 10000), max_pages (default 100) }
+   * @returns {Object} Chain with `truncated` and `coverage` metadata
+   */
+  async getOptionChainSnapshot(symbol, expiration = null, strikeMin = null, strikeMax = null, options = {}) {
+    const { max_contracts = 10000, max_pages = 100 } = options;
+
     try {
       // Build query parameters
       const params = {
         limit: 250  // Maximum allowed by API
       };
-      if (expiration) params.expiration_date = expiration;
       if (strikeMin !== null) params['strike_price.gte'] = strikeMin;
       if (strikeMax !== null) params['strike_price.lte'] = strikeMax;
 
-      // Fetch all pages of results (pagination)
-      let allResults = [];
-      let offset = 0;
-      let hasMore = true;
-
-      while (hasMore) {
-        params.offset = offset;
-
-        const response = await this.client.get(`/snapshot/options/${symbol}`, { params });
-
-        if (!response.data.results) {
-          break;
-        }
-
-        allResults = allResults.concat(response.data.results);
-
-        // Check if there are more pages
-        if (response.data.next_url && response.data.results.length === params.limit) {
-          offset += params.limit;
+      const budget = createBudget({ max_items: max_contracts, max_pages });
+      const slices = expiration ? [null] : buildExpirationSlices();
+      const parts = await Promise.all(slices.map(async (slice) => {
+        const sliceParams = { ...params };
+        if (expiration) {
+          sliceParams.expiration_date = expiration;
         } else {
-          hasMore = false;
+          sliceParams['expiration_date.gte'] = slice.from;
+          if (slice.to) sliceParams['expiration_date.lte'] = slice.to;
         }
+        const part = await paginate(this.client, `/snapshot/options/${symbol}`, sliceParams, { budget });
+        return slice ? { ...part, slice } : part;
+      }));
 
-        // Safety check: don't fetch more than 2000 contracts total
-        if (allResults.length >= 2000) {
-          console.error('Warning: Reached max of 2000 contracts, stopping pagination');
-          hasMore = false;
-        }
-      }
+      const allResults = parts.flatMap(part => part.results);
+      const coverage = describeCoverage(parts, budget, contract => contract.details?.expiration_date);
 
       if (allResults.length === 0) {
         throw new Error('No options data available for this symbol');
       }
 
-      console.error(`Fetched ${allResults.length} contracts via pagination`);
+      console.error(`Fetched ${allResults.length} contracts in ${coverage.pages_fetched} pages`);
+      if (!coverage.complete) {
+        console.error(`Warning: ${symbol} chain truncated by the ${coverage.truncation_reason.replace('_', ' ')} - raise max_contracts/max_pages for the full chain`);
+      }
 
       // Get underlying asset data
       let underlyingData = null;
@@ -610,7 +758,10 @@ export class MassiveOptionsClient {
       }
 
       // Process and organize the data
-      const contracts = allResults.map(contract => ({
+      const spotPrice = underlyingData?.c || allResults[0]?.underlying_asset?.price || null;
+      const exerciseStyle = inferExerciseStyle(symbol);
+
+      const contracts = allResults.map(contract => fillMissingGreeks({
         // Contract identification
         ticker: contract.details.ticker,
         type: contract.details.contract_type,
@@ -623,7 +774,9 @@ export class MassiveOptionsClient {
           change: contract.day?.change || 0,
           change_percent: contract.day?.change_percent || 0,
           volume: contract.day?.volume || 0,
-          open_interest: contract.open_interest || 0
+          open_interest: contract.open_interest || 0,
+          bid: contract.last_quote?.bid_price || null,
+          ask: contract.last_quote?.ask_price || null
         },
         
         // Greeks and IV
@@ -637,6 +790,12 @@ export class MassiveOptionsClient {
         break_even: contract.details.contract_type === 'call' ? 
           contract.details.strike_price + (contract.day?.close || 0) :
           contract.details.strike_price - (contract.day?.close || 0)
+      }, spotPrice, {
+        // Snapshots without Greeks get model values solved from the quote mid
+        mid: contract.last_quote?.bid_price > 0 && contract.last_quote?.ask_price > 0
+          ? (contract.last_quote.bid_price + contract.last_quote.ask_price) / 2
+          : null,
+        style: exerciseStyle
       }));
       
       // Organize by expiration and strike
@@ -661,7 +820,7 @@ export class MassiveOptionsClient {
         expirations[exp].puts.sort((a, b) => a.strike - b.strike);
       });
       
-      return {
+      const chainSnapshot = {
         underlying: {
           symbol: symbol,
           price: underlyingData?.c || null,
@@ -670,6 +829,8 @@ export class MassiveOptionsClient {
         },
         snapshot_time: new Date().toISOString(),
         total_contracts: contracts.length,
+        truncated: !coverage.complete,
+        coverage,
         expirations: Object.keys(expirations).sort(),
         data: expirations,
         summary: {
@@ -681,23 +842,578 @@ export class MassiveOptionsClient {
                           contracts.filter(c => c.type === 'call').reduce((sum, c) => sum + c.price.volume, 0) || 0
         }
       };
+
+      // Filtered or truncated pulls can miss the ATM region or the 30-day point; replayed data is not today's
+      if (this.recordIVHistory && expiration === null && strikeMin === null && strikeMax === null &&
+          !chainSnapshot.truncated && !this.cache?.offline) {
+        this.storeIVSnapshot(symbol, chainSnapshot);
+      }
+
+      return chainSnapshot;
     } catch (error) {
       throw new Error(`Failed to get option chain snapshot: ${error.message}`);
     }
   }
 
-  async searchOptions(query) {
+  /**
+   * Record the day's IV snapshot for a chain; never fails the caller
+   * Chains whose expirations do not bracket the 30-day point are skipped, and
+   * a symbol's day is rewritten at most every IV_SNAPSHOT_INTERVAL_MS.
+   * @param {string} symbol - Underlying symbol
+   * @param {Object} chainData - Result of getOptionChainSnapshot
+   * @returns {Object|null} Stored entry, or null when nothing was recorded
+   */
+  storeIVSnapshot(symbol, chainData) {
     try {
-      // Search for underlying ticker
-      const response = await this.client.get('/reference/tickers', {
-        params: {
-          search: query,
-          type: 'CS',  // Common Stock
-          limit: 10
+      const snapshot = extractIVSnapshot(chainData);
+      if (!snapshot || !bracketsConstantMaturity(snapshot)) return null;
+
+      const key = symbol.toUpperCase();
+      const last = this.ivSnapshotTimes.get(key);
+      if (last && last.date === snapshot.date && Date.now() - last.at < IV_SNAPSHOT_INTERVAL_MS) return null;
+      this.ivSnapshotTimes.set(key, { date: snapshot.date, at: Date.now() });
+      return recordIVSnapshot(symbol, snapshot);
+    } catch (error) {
+      console.error(`Failed to record IV snapshot for ${symbol}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * IV Rank and IV Percentile from stored daily IV history
+   * @param {Object} params
+   * @param {string} params.symbol - Underlying symbol
+   * @param {string} params.metric - atm_iv, skew_25d, put_25d_iv or call_25d_iv
+   * @param {number} params.lookback_days - Calendar days of history (default 365)
+   * @param {number} params.current_iv - Optional current value; otherwise the live chain is pulled
+   * @returns {Object} Rank, percentile and history coverage
+   */
+  async getIVRank(params) {
+    const { symbol, metric = 'atm_iv', lookback_days = 365, current_iv = null } = params;
+
+    try {
+      let current = current_iv;
+      let currentSource = 'provided';
+      if (current === null || current === undefined) {
+        // Pulling the chain also records today's snapshot
+        const chainData = await this.getOptionChainSnapshot(symbol);
+        const snapshot = extractIVSnapshot(chainData);
+        current = snapshot ? snapshot[metric] : null;
+        currentSource = 'live_chain';
+      }
+
+      return {
+        ...calculateIVStats(symbol, { current, metric, lookback_days }),
+        current_source: currentSource
+      };
+    } catch (error) {
+      throw new Error(`Failed to get IV rank: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stored daily IV snapshots for a symbol
+   * @param {Object} params - { symbol, from, to, lookback_days, include_term_structure }
+   * @returns {Object} History series
+   */
+  getStoredIVHistory(params) {
+    const { symbol, from, to, lookback_days = 365, include_term_structure = false } = params;
+
+    const history = getIVHistory(symbol, { from, to, lookback_days: from ? null : lookback_days });
+    return {
+      symbol: symbol.toUpperCase(),
+      observations: history.length,
+      first_date: history[0]?.date || null,
+      last_date: history[history.length - 1]?.date || null,
+      history: history.map(entry => {
+        if (include_term_structure) return entry;
+        const { term_structure, ...headline } = entry;
+        return { ...headline, expirations: term_structure.length };
+      })
+    };
+  }
+
+  /**
+   * Backfill daily ATM IV from historical option closes
+   * For each sampled day, the call and put at the strike nearest the close on
+   * the expiration nearest target_dte are priced from their daily aggregates
+   * and solved for implied volatility. Each contract is fetched once.
+   * @param {Object} params
+   * @param {string} params.symbol - Underlying symbol
+   * @param {string} params.from - Start date (YYYY-MM-DD)
+   * @param {string} params.to - End date (YYYY-MM-DD)
+   * @param {number} params.target_dte - Days to expiration to sample (default 30)
+   * @param {string} params.expiration_cycle - 'monthly' or 'weekly' (default monthly)
+   * @param {number} params.sample_every_days - Trading days between samples (default 1)
+   * @param {number} params.strike_increment - Listed strike spacing (default by price level)
+   * @param {boolean} params.overwrite - Replace days already recorded from live chains
+   * @param {number} params.max_contract_lookups - Cap on contract history requests (default 120)
+   * @returns {Object} Backfill summary
+   */
+  async backfillIVHistory(params) {
+    const {
+      symbol,
+      from,
+      to,
+      target_dte = 30,
+      expiration_cycle = 'monthly',
+      sample_every_days = 1,
+      strike_increment = null,
+      overwrite = false,
+      max_contract_lookups = 120
+    } = params;
+
+    try {
+      if (!from || !to) {
+        throw new Error('from and to dates are required');
+      }
+
+      const bars = await this.getHistoricalBars(symbol, 1, 'day', from, to);
+      if (bars.length === 0) {
+        throw new Error(`No underlying bars between ${from} and ${to}`);
+      }
+
+      const style = inferExerciseStyle(symbol);
+      const closesByContract = new Map();
+      let contractLookups = 0;
+      const contractCloses = (type, strike, expiration, date) => {
+        const key = `${type}|${strike}|${expiration}`;
+        if (!closesByContract.has(key)) {
+          if (contractLookups >= max_contract_lookups) return Promise.resolve(null);
+          contractLookups++;
+          const end = expiration < to ? expiration : to;
+          closesByContract.set(key, this.getHistoricalAggregates(symbol, type, strike, expiration, 1, 'day', date, end)
+            .then(data => new Map(data.results.map(bar => [new Date(bar.t).toISOString().split('T')[0], bar.c])))
+            .catch(error => {
+              console.error(`No option history for ${key}: ${error.message}`);
+              return new Map();
+            }));
+        }
+        return closesByContract.get(key);
+      };
+
+      const summary = { recorded: 0, kept_existing: 0, skipped: [] };
+      for (let i = 0; i < bars.length; i += Math.max(1, sample_every_days)) {
+        const date = new Date(bars[i].t).toISOString().split('T')[0];
+        const spot = bars[i].c;
+        const increment = strike_increment || (spot < 25 ? 0.5 : spot < 150 ? 1 : spot < 500 ? 5 : 10);
+        const strike = Math.round(spot / increment) * increment;
+        const expiration = selectBackfillExpiration(date, target_dte, expiration_cycle);
+
+        const [callCloses, putCloses] = await Promise.all([
+          contractCloses('call', strike, expiration, date),
+          contractCloses('put', strike, expiration, date)
+        ]);
+        if (!callCloses && !putCloses) {
+          summary.skipped.push({ date, reason: 'contract lookup limit reached' });
+          continue;
+        }
+
+        const observation = buildBackfillObservation({
+          date,
+          underlying_price: spot,
+          expiration,
+          strike,
+          call_price: callCloses?.get(date) ?? null,
+          put_price: putCloses?.get(date) ?? null,
+          style
+        });
+        if (!observation) {
+          summary.skipped.push({ date, reason: 'no option closes for the ATM contracts' });
+          continue;
+        }
+
+        const stored = recordIVSnapshot(symbol, observation, { source: 'backfill', overwrite });
+        if (stored) {
+          summary.recorded++;
+        } else {
+          summary.kept_existing++;
+        }
+      }
+
+      const storedIVs = getIVHistory(symbol, { from, to })
+        .map(entry => entry.atm_iv)
+        .filter(Number.isFinite);
+      return {
+        symbol: symbol.toUpperCase(),
+        from,
+        to,
+        target_dte,
+        expiration_cycle,
+        days_sampled: Math.ceil(bars.length / Math.max(1, sample_every_days)),
+        recorded: summary.recorded,
+        kept_existing: summary.kept_existing,
+        skipped: summary.skipped.length,
+        skipped_days: summary.skipped.slice(0, 20),
+        contract_lookups: contractLookups,
+        stored_days_in_range: storedIVs.length,
+        iv_range: storedIVs.length > 0 ? { min: Math.min(...storedIVs), max: Math.max(...storedIVs) } : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to backfill IV history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fit an SVI/SSVI implied volatility surface to the live chain
+   * @param {Object} params - Request parameters
+   * @param {string} params.symbol - Underlying symbol
+   * @param {Array} params.expirations - Optional expirations to fit (default: all in the DTE window)
+   * @param {number} params.min_dte - Shortest expiration to fit (default 2)
+   * @param {number} params.max_dte - Longest expiration to fit (default 730)
+   * @param {number} params.max_expirations - Cap on fitted slices (default 12)
+   * @param {string} params.model - 'auto' (SVI when arbitrage-free, else SSVI), 'svi' or 'ssvi'
+   * @param {Array} params.queries - [{ strike | delta, type, expiration | dte }] points to read off the surface
+   * @param {number} params.rich_cheap_z - Residual z-score to flag a contract (default 2)
+   * @param {number} params.min_residual - Minimum residual in vol points to flag (default 0.01)
+   * @param {number} params.max_flagged - Rich/cheap contracts listed per side (default 20)
+   * @param {boolean} params.include_grid - Include an IV grid by moneyness and expiration
+   * @param {number} params.max_contracts - Chain contract budget (default 10000)
+   * @returns {Object} Surface summary, arbitrage report, query results and rich/cheap contracts
+   */
+  async getVolSurface(params) {
+    const {
+      symbol,
+      expirations,
+      min_dte,
+      max_dte,
+      max_expirations,
+      model = 'auto',
+      queries = [],
+      rich_cheap_z,
+      min_residual,
+      max_flagged = 20,
+      include_grid = false,
+      max_contracts = 10000
+    } = params;
+
+    try {
+      const chainData = await this.getOptionChainSnapshot(symbol, null, null, null, { max_contracts });
+      if (!chainData?.data || Object.keys(chainData.data).length === 0) {
+        throw new Error('No option chain data available');
+      }
+
+      const options = { model };
+      if (expirations?.length) options.expirations = expirations;
+      if (min_dte !== undefined) options.min_dte = min_dte;
+      if (max_dte !== undefined) options.max_dte = max_dte;
+      if (max_expirations !== undefined) options.max_expirations = max_expirations;
+      if (rich_cheap_z !== undefined) options.rich_cheap_z = rich_cheap_z;
+      if (min_residual !== undefined) options.min_residual = min_residual;
+
+      const surface = buildVolSurface(chainData, options);
+      const residuals = surfaceResiduals(surface);
+
+      const queryResults = queries.map(query => {
+        try {
+          return Number.isFinite(query.delta)
+            ? surfaceIVAtDelta(surface, query)
+            : surfaceIV(surface, query);
+        } catch (error) {
+          return { query, error: error.message };
         }
       });
-      
-      return response.data;
+
+      const result = {
+        symbol: symbol.toUpperCase(),
+        ...summarizeSurface(surface),
+        queries: queryResults,
+        fit_quality: residuals.by_expiration,
+        rich: residuals.rich.slice(0, max_flagged),
+        cheap: residuals.cheap.slice(0, max_flagged),
+        data_coverage: chainData.coverage
+      };
+
+      if (include_grid) {
+        const moneyness = [0.8, 0.85, 0.9, 0.95, 1, 1.05, 1.1, 1.15, 1.2];
+        result.grid = {
+          moneyness,
+          rows: surface.slices.map(slice => ({
+            expiration: slice.expiration,
+            dte: slice.dte,
+            iv: moneyness.map(m => surfaceIV(surface, { strike: surface.spot * m, T: slice.T }).iv)
+          }))
+        };
+      }
+
+      if (chainData.truncated) {
+        result.warning = 'Option chain was truncated by the contract budget; distant expirations may be missing from the surface';
+      }
+
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to build volatility surface: ${error.message}`);
+    }
+  }
+
+  /**
+   * Straddle-implied moves per expiration and, around a scheduled event, the
+   * implied one-day event move compared with past reactions
+   * @param {Object} params - Request parameters
+   * @param {string} params.symbol - Underlying symbol
+   * @param {string} params.event_date - Optional upcoming event date (YYYY-MM-DD)
+   * @param {string} params.event_timing - before_open, intraday or after_close (default after_close)
+   * @param {Array} params.past_event_dates - Optional prior event dates for realized moves
+   * @param {number} params.max_expirations - Expirations in the move term structure (default 8)
+   * @param {number} params.max_contracts - Chain contract budget (default 10000)
+   * @returns {Object} Move term structure, event move and realized comparison
+   */
+  async getExpectedMove(params) {
+    const {
+      symbol,
+      event_date = null,
+      event_timing = 'after_close',
+      past_event_dates = [],
+      max_expirations = 8,
+      max_contracts = 10000
+    } = params;
+
+    try {
+      const chainData = await this.getOptionChainSnapshot(symbol, null, null, null, { max_contracts });
+      if (!chainData?.data || Object.keys(chainData.data).length === 0) {
+        throw new Error('No option chain data available');
+      }
+
+      const spot = chainData.underlying.price;
+      // The event needs the expirations around it even when it is far out
+      const termStructure = buildMoveTermStructure(chainData, { max_expirations: Infinity });
+      if (termStructure.length === 0) {
+        throw new Error('No expiration has a priced at-the-money straddle');
+      }
+
+      const result = {
+        symbol: symbol.toUpperCase(),
+        underlying_price: spot,
+        expected_moves: termStructure.slice(0, max_expirations)
+      };
+
+      if (event_date) {
+        const eventMove = impliedEventMove(termStructure, event_date, { timing: event_timing, spot });
+        result.event_move = eventMove;
+        // Make sure the expirations used are shown even past max_expirations
+        [eventMove.reference_expiration, eventMove.event_expiration].forEach(expiration => {
+          if (!result.expected_moves.some(point => point.expiration === expiration)) {
+            result.expected_moves.push(termStructure.find(point => point.expiration === expiration));
+          }
+        });
+      }
+
+      if (past_event_dates.length > 0) {
+        const sorted = past_event_dates.slice().sort();
+        const dayMs = 24 * 60 * 60 * 1000;
+        const from = new Date(new Date(sorted[0]).getTime() - 10 * dayMs).toISOString().split('T')[0];
+        const to = new Date(Math.min(Date.now(), new Date(sorted[sorted.length - 1]).getTime() + 10 * dayMs))
+          .toISOString().split('T')[0];
+
+        const bars = await this.getHistoricalBars(symbol, 1, 'day', from, to);
+        result.realized_event_moves = realizedEventMoves(bars, sorted, { timing: event_timing });
+        if (result.event_move) {
+          result.comparison = compareEventMoves(result.event_move, result.realized_event_moves);
+        }
+      }
+
+      if (chainData.truncated) {
+        result.warning = 'Option chain was truncated by the contract budget; later expirations may be missing';
+      }
+
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get expected move: ${error.message}`);
+    }
+  }
+
+  /**
+   * Correlation and beta-weighted risk across the underlyings of a set of
+   * positions. Open legs without Greeks, IV or a price are filled from the
+   * contract snapshot before deltas are aggregated.
+   * @param {Object} params - Request parameters
+   * @param {Array} params.positions - Positions with legs (and optional shares)
+   * @param {string} params.benchmark - Beta benchmark (default SPY)
+   * @param {number} params.lookback_days - Trading days of daily returns (default 90)
+   * @param {number} params.correlation_threshold - Effective correlation that makes a cluster (default 0.85)
+   * @param {Object} params.underlying_prices - Optional { SYMBOL: price } overriding the last close
+   * @returns {Object} Correlation matrix, betas, beta-weighted exposure and clusters
+   */
+  async getCorrelationRisk(params) {
+    const {
+      positions = [],
+      benchmark = 'SPY',
+      lookback_days = 90,
+      correlation_threshold = 0.85,
+      underlying_prices = {}
+    } = params;
+
+    try {
+      const benchmarkSymbol = benchmark.toUpperCase();
+      const symbols = [...new Set([benchmarkSymbol, ...positions.map(p => String(p.symbol || '').toUpperCase()).filter(Boolean)])];
+
+      // Calendar span covering the trading days, with room for holidays
+      const dayMs = 24 * 60 * 60 * 1000;
+      const to = new Date().toISOString().split('T')[0];
+      const from = new Date(Date.now() - Math.ceil(lookback_days * 7 / 5 + 10) * dayMs).toISOString().split('T')[0];
+
+      const barsBySymbol = {};
+      const missingData = [];
+      for (const symbol of symbols) {
+        try {
+          const bars = await this.getHistoricalBars(symbol, 1, 'day', from, to);
+          barsBySymbol[symbol] = bars.slice(-(lookback_days + 1));
+        } catch (error) {
+          console.error(`Correlation risk: no bars for ${symbol}: ${error.message}`);
+          missingData.push({ symbol, reason: error.message });
+        }
+      }
+      if (!barsBySymbol[benchmarkSymbol]) {
+        throw new Error(`No price history for benchmark ${benchmarkSymbol}`);
+      }
+
+      const priced = [];
+      for (const position of positions) {
+        const legs = [];
+        for (const leg of position.legs || []) {
+          const open = !leg.status || leg.status === 'open';
+          const priceable = (leg.greeks && Number.isFinite(leg.greeks.delta)) || leg.iv || leg.implied_volatility || leg.price > 0;
+          if (!open || priceable) {
+            legs.push(leg);
+            continue;
+          }
+          try {
+            const contract = resolveContract({
+              symbol: position.symbol,
+              option_type: leg.type || leg.contract_type,
+              strike: leg.strike || leg.strike_price,
+              expiration: leg.expiration || leg.expiration_date || position.expiration
+            });
+            const snapshot = await this.getContractSnapshot(contract, 'Option contract not found');
+            legs.push({ ...leg, greeks: snapshot.greeks, iv: snapshot.implied_volatility });
+          } catch (error) {
+            console.error(`Correlation risk: no Greeks for ${position.symbol} leg: ${error.message}`);
+            legs.push(leg);
+          }
+        }
+        priced.push({ ...position, legs });
+      }
+
+      const result = analyzeCorrelationRisk(priced, barsBySymbol, {
+        benchmark: benchmarkSymbol,
+        underlying_prices,
+        correlation_threshold
+      });
+
+      return {
+        ...result,
+        lookback_days,
+        excluded: [...missingData, ...result.excluded]
+      };
+    } catch (error) {
+      throw new Error(`Failed to get correlation risk: ${error.message}`);
+    }
+  }
+
+  /**
+   * Margin requirement of positions, and whether a new trade fits the buying power
+   * Missing underlying prices are fetched; for portfolio margin, open legs without
+   * an IV are priced from contract snapshots.
+   * @param {Object} params - { positions, trade, method (reg_t/portfolio/both), account_type, buying_power, underlying_prices }
+   * @returns {Object} Margin requirement, plus the buying power check when a trade is given
+   */
+  async getMarginRequirement(params) {
+    const {
+      positions = [],
+      trade = null,
+      method = 'reg_t',
+      account_type = 'margin',
+      buying_power = null,
+      underlying_prices = {}
+    } = params;
+
+    try {
+      const all = trade ? [...positions, trade] : positions;
+      const prices = { ...underlying_prices };
+      for (const symbol of new Set(all.map(p => p.symbol).filter(Boolean))) {
+        if (prices[symbol] || all.some(p => p.symbol === symbol && p.underlying_price)) continue;
+        const quote = await this.getStockQuote(symbol);
+        if (!quote.price) {
+          throw new Error(`No price for ${symbol}`);
+        }
+        prices[symbol] = quote.price;
+      }
+
+      let priced = all;
+      if (method !== 'reg_t') {
+        priced = [];
+        for (const position of all) {
+          const legs = [];
+          for (const leg of position.legs || []) {
+            const open = !leg.status || leg.status === 'open';
+            if (!open || leg.type === 'stock' || leg.iv || leg.implied_volatility) {
+              legs.push(leg);
+              continue;
+            }
+            try {
+              const contract = resolveContract({
+                symbol: position.symbol,
+                option_type: leg.type || leg.contract_type,
+                strike: leg.strike || leg.strike_price,
+                expiration: leg.expiration || leg.expiration_date || position.expiration
+              });
+              const snapshot = await this.getContractSnapshot(contract, 'Option contract not found');
+              legs.push({ ...leg, iv: snapshot.implied_volatility });
+            } catch (error) {
+              console.error(`Margin: no IV for ${position.symbol} leg: ${error.message}`);
+              legs.push(leg);
+            }
+          }
+          priced.push({ ...position, legs });
+        }
+      }
+
+      const existing = trade ? priced.slice(0, -1) : priced;
+      const settings = { method, account_type, underlying_prices: prices };
+      const result = calculateMarginRequirement(existing, settings);
+      if (buying_power !== null) {
+        result.buying_power = buying_power;
+        result.available = parseFloat((buying_power - result.buying_power_effect).toFixed(2));
+      }
+      if (trade) {
+        result.trade = checkBuyingPower(priced[priced.length - 1], {
+          ...(buying_power !== null ? { buying_power } : {}),
+          account_type,
+          method: method === 'both' ? 'reg_t' : method,
+          positions: existing
+        }, { underlying_prices: prices });
+      }
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to calculate margin: ${error.message}`);
+    }
+  }
+
+  /**
+   * Search underlying tickers
+   * @param {string} query - Company name or ticker
+   * @param {Object} options - { limit: max tickers to return (default 10), max_pages }
+   * @returns {Object} { results, count, truncated, coverage }
+   */
+  async searchOptions(query, options = {}) {
+    const { limit = 10, max_pages = 5 } = options;
+
+    try {
+      // Search for underlying ticker
+      const budget = createBudget({ max_items: limit, max_pages });
+      const page = await paginate(this.client, '/reference/tickers', {
+        search: query,
+        type: 'CS',  // Common Stock
+        limit: Math.min(limit, 1000)
+      }, { budget });
+
+      return {
+        status: 'OK',
+        results: page.results,
+        count: page.results.length,
+        truncated: page.truncated,
+        coverage: describeCoverage([page], budget)
+      };
     } catch (error) {
       throw new Error(`Failed to search options: ${error.message}`);
     }
@@ -867,11 +1583,11 @@ export class MassiveOptionsClient {
         }
       }
       
-      // Note: IV Rank would require historical data which isn't available from current API
-      analysis.iv_rank = {
-        message: 'IV Rank calculation requires historical implied volatility data',
-        current_iv: analysis.smile_analysis[expirations[0]]?.atmIV || null
-      };
+      // IV Rank from the stored daily snapshots (this pull has just been recorded)
+      const ivSnapshot = extractIVSnapshot(chainData);
+      analysis.iv_rank = calculateIVStats(symbol, {
+        current: ivSnapshot?.atm_iv ?? analysis.smile_analysis[expirations[0]]?.atmIV ?? null
+      });
       
       return analysis;
       
@@ -880,7 +1596,17 @@ export class MassiveOptionsClient {
     }
   }
 
-  async getMarketStructure(symbol, expiration = null) {
+  /**
+   * Market structure analysis: put/call ratios, GEX, max pain and OI distribution
+   * Max pain is computed per expiration; the headline max_pain is the nearest
+   * expiration with open interest, and pin risk is scored for the next few.
+   * @param {string} symbol - Underlying symbol
+   * @param {string|null} expiration - Optional single expiration to analyze
+   * @param {Object} options - { pin_expirations } number of expirations scored for pin risk (default 3)
+   * @returns {Object} Market structure analysis
+   */
+  async getMarketStructure(symbol, expiration = null, options = {}) {
+    const { pin_expirations = 3 } = options;
     try {
       // Get option chain snapshot
       const chainData = await this.getOptionChainSnapshot(symbol, expiration);
@@ -894,6 +1620,11 @@ export class MassiveOptionsClient {
         throw new Error('Unable to get underlying price');
       }
       
+      const maxPainByExpiration = analyzeMaxPainByExpiration(chainData.data, spotPrice, {
+        pinExpirations: pin_expirations
+      });
+      const frontExpiration = maxPainByExpiration.expirations.find(e => e.maxPainStrike !== null)?.expiration;
+      
       // Perform all market structure analyses
       const analysis = {
         symbol: symbol,
@@ -906,15 +1637,27 @@ export class MassiveOptionsClient {
         // Gamma exposure
         gamma_exposure: analyzeGammaExposure(chainData.data, spotPrice),
         
-        // Max pain
-        max_pain: calculateMaxPain(chainData.data, spotPrice),
+        // Max pain for the nearest expiration with open interest, then per expiration
+        max_pain: frontExpiration
+          ? { expiration: frontExpiration, ...calculateMaxPain({ [frontExpiration]: chainData.data[frontExpiration] }, spotPrice) }
+          : null,
+        max_pain_by_expiration: maxPainByExpiration.expirations,
+        pin_risk: {
+          expirations: maxPainByExpiration.pinRisk,
+          highest: maxPainByExpiration.highestPinRisk,
+          interpretation: maxPainByExpiration.interpretation
+        },
         
         // OI distribution
         oi_distribution: analyzeOIDistribution(chainData.data, spotPrice),
         
         // Summary metrics from chainData
-        summary: chainData.summary
+        summary: chainData.summary,
+        data_coverage: chainData.coverage
       };
+      if (chainData.truncated) {
+        analysis.warning = 'Option chain was truncated by the request budget - GEX, max pain and OI walls may be incomplete';
+      }
       
       // Add overall market interpretation
       analysis.overall_interpretation = this.interpretMarketStructure(analysis);
@@ -945,11 +1688,16 @@ export class MassiveOptionsClient {
     }
     
     // Max pain
-    const maxPainDiff = analysis.max_pain.percentFromSpot;
+    const maxPainDiff = analysis.max_pain?.percentFromSpot ?? 0;
     if (Math.abs(maxPainDiff) > 3) {
       interpretations.push(`Max pain ${maxPainDiff > 0 ? 'above' : 'below'} spot may create ${maxPainDiff > 0 ? 'upward' : 'downward'} pressure`);
     }
     
+    // Pin risk
+    if (analysis.pin_risk?.highest?.level === 'HIGH') {
+      interpretations.push(analysis.pin_risk.highest.interpretation);
+    }
+    
     // Support/Resistance
     if (analysis.oi_distribution.nearestResistance && analysis.oi_distribution.nearestSupport) {
       interpretations.push(`Key range: ${analysis.oi_distribution.nearestSupport}-${analysis.oi_distribution.nearestResistance}`);
@@ -1000,7 +1748,9 @@ export class MassiveOptionsClient {
         underlying_price: snapshot.underlying.price,
         total_contracts: snapshot.total_contracts,
         expirations_available: snapshot.expirations,
-        put_call_ratio: snapshot.summary.put_call_ratio
+        put_call_ratio: snapshot.summary.put_call_ratio,
+        truncated: snapshot.truncated,
+        coverage: snapshot.coverage
       };
 
       const underlyingPrice = current_price || snapshot.underlying.price;
@@ -1136,6 +1886,7 @@ export class MassiveOptionsClient {
 
       // Step 6: Generate strategies for each expiration
       const allStrategies = [];
+      const chainsToUse = {};
 
       for (const expiration of expirationsToAnalyze) {
         const expData = snapshot.data[expiration];
@@ -1148,6 +1899,7 @@ export class MassiveOptionsClient {
         const putsToUse = strikesToUse.length > 0 ?
           expData.puts.filter(p => strikesToUse.includes(p.strike)) :
           expData.puts;
+        chainsToUse[expiration] = { calls: callsToUse, puts: putsToUse };
 
         // Generate each strategy type if requested
         if (strategies.includes('bull_call_spread')) {
@@ -1188,6 +1940,14 @@ export class MassiveOptionsClient {
         allStrategies.push(...calendarSpreads);
       }
 
+      // Remaining strategy types come from the shared generators on the filtered chains
+      const additionalTypes = strategies.filter(type =>
+        !['bull_call_spread', 'bear_put_spread', 'iron_condor', 'calendar_spread'].includes(type)
+      );
+      if (additionalTypes.length > 0) {
+        allStrategies.push(...generateStrategies(chainsToUse, underlyingPrice, additionalTypes));
+      }
+
       console.error(`Step 6: Generated ${allStrategies.length} strategy candidates...`);
 
       // Step 7: Rank and filter strategies
@@ -1201,7 +1961,12 @@ export class MassiveOptionsClient {
 
       // Step 8: Calculate position sizing for top strategies
       const strategiesWithSizing = rankedStrategies.slice(0, 15).map(strategy => {
-        const sizing = calculatePositionSize(strategy, account_size, validatedRiskConfig);
+        // Distribution sizing weights the expiration payoffs by that expiration's ATM IV
+        const atmIV = analysis.volatility_analysis[strategy.expiration]?.smile?.atmIV;
+        const sizing = calculatePositionSize(strategy, account_size, {
+          ...validatedRiskConfig,
+          ...(validatedRiskConfig.sizing_mode === 'distribution' && atmIV > 0 ? { volatility: atmIV } : {})
+        });
 
         // Generate P&L scenarios
         const pnlReport = generateComprehensivePnLReport(
@@ -1272,9 +2037,210 @@ export class MassiveOptionsClient {
     }
   }
 
+  /**
+   * Build and rank option strategies for a symbol, or evaluate a custom leg list
+   * @param {Object} params - Build parameters
+   * @param {string} params.symbol - Underlying symbol
+   * @param {Array} params.expirations - Expirations to use (default: next 3)
+   * @param {string} params.outlook - 'bullish', 'bearish', 'neutral' or 'any'
+   * @param {Array} params.strategies - Explicit strategy types (overrides outlook)
+   * @param {Object} params.preferences - Ranking preferences
+   * @param {Array} params.legs - Custom legs; prices filled from the chain when omitted
+   * @param {number} params.max_results - Number of ranked candidates to return
+   * @returns {Object} Ranked candidates or the evaluated custom strategy
+   */
+  async buildStrategies(params) {
+    const {
+      symbol,
+      expirations = [],
+      outlook = 'any',
+      strategies = null,
+      preferences = {},
+      legs = null,
+      max_results = 10
+    } = params;
+
+    try {
+      // A single expiration keeps the snapshot small
+      const singleExpiration = !legs && expirations.length === 1 ? expirations[0] : null;
+      const snapshot = await this.getOptionChainSnapshot(symbol, singleExpiration);
+      const underlyingPrice = params.current_price || snapshot.underlying.price;
+      if (!underlyingPrice) {
+        throw new Error('Could not determine underlying price');
+      }
+
+      if (legs && legs.length > 0) {
+        const defaultExpiration = expirations[0] || snapshot.expirations[0];
+        const resolvedLegs = legs.map((leg, index) => {
+          if (leg.type === 'stock') return leg;
+
+          const expiration = leg.expiration || defaultExpiration;
+          const contracts = snapshot.data[expiration]?.[leg.type === 'call' ? 'calls' : 'puts'] || [];
+          const contract = contracts.find(c => c.strike === leg.strike);
+
+          if (!contract && leg.price === undefined) {
+            throw new Error(`Leg ${index + 1}: no ${leg.type} at strike ${leg.strike} expiring ${expiration}`);
+          }
+
+          return {
+            ...leg,
+            expiration,
+            price: leg.price ?? contract.price?.last,
+            iv: leg.iv ?? contract?.implied_volatility ?? undefined,
+            delta: contract?.greeks?.delta,
+            volume: contract?.price?.volume,
+            open_interest: contract?.price?.open_interest
+          };
+        });
+
+        return {
+          symbol,
+          underlying_price: underlyingPrice,
+          analysis_time: new Date().toISOString(),
+          custom_strategy: buildCustomStrategy(resolvedLegs, underlyingPrice)
+        };
+      }
+
+      const strategyTypes = strategies && strategies.length > 0
+        ? strategies
+        : outlook === 'any'
+          ? [...new Set(Object.values(STRATEGIES_BY_OUTLOOK).flat())]
+          : STRATEGIES_BY_OUTLOOK[outlook];
+
+      if (!strategyTypes) {
+        throw new Error(`Unknown outlook "${outlook}". Use ${Object.keys(STRATEGIES_BY_OUTLOOK).join(', ')} or any`);
+      }
+
+      const targetExpirations = (expirations.length > 0 ? expirations : snapshot.expirations.slice(0, 3))
+        .filter(exp => snapshot.data[exp]);
+      if (targetExpirations.length === 0) {
+        throw new Error('No data available for requested expirations');
+      }
+
+      const byExpiration = Object.fromEntries(targetExpirations.map(exp => [exp, snapshot.data[exp]]));
+      const candidates = generateStrategies(byExpiration, underlyingPrice, strategyTypes);
+
+      const ranked = rankStrategies(candidates, {
+        minRewardRatio: preferences.min_reward_ratio,
+        minProbProfit: preferences.min_prob_profit,
+        maxRisk: preferences.max_risk,
+        preferenceType: preferences.preference_type
+      });
+
+      const countByType = candidates.reduce((acc, s) => {
+        acc[s.type] = (acc[s.type] || 0) + 1;
+        return acc;
+      }, {});
+
+      return {
+        symbol,
+        underlying_price: underlyingPrice,
+        analysis_time: new Date().toISOString(),
+        outlook,
+        strategy_types: strategyTypes,
+        expirations_analyzed: targetExpirations,
+        candidates_generated: candidates.length,
+        candidates_by_type: countByType,
+        candidates_qualified: ranked.length,
+        strategies: ranked.slice(0, max_results)
+      };
+    } catch (error) {
+      throw new Error(`Failed to build strategies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Backtest a rule-based options strategy over historical daily bars
+   * Bars come from getHistoricalBars or a local JSON dataset; legs are model-priced
+   * unless price_source is 'market', which marks them with getHistoricalAggregates
+   * @param {Object} params - { symbol, start_date, end_date, rules, bars_file, price_source, ... }
+   * @returns {Object} Backtest report with summary, equity curve and trade log
+   */
+  async backtestStrategy(params) {
+    const {
+      symbol,
+      start_date = null,
+      end_date = null,
+      rules = {},
+      bars_file = null,
+      price_source = 'model',
+      starting_capital,
+      implied_volatility,
+      iv_premium,
+      volatility_lookback = 20,
+      bid_ask_spread_pct,
+      commission_per_contract,
+      include_equity_curve = true,
+      max_contract_lookups = 200
+    } = params;
+
+    try {
+      let bars;
+      if (bars_file) {
+        bars = loadBarsFile(bars_file);
+      } else {
+        if (!start_date || !end_date) {
+          throw new Error('start_date and end_date are required unless bars_file is given');
+        }
+        // Extra history so realized volatility is warmed up on the start date
+        const warmupDays = Math.ceil(volatility_lookback * 1.6) + 5;
+        const warmupStart = new Date(new Date(start_date).getTime() - warmupDays * 24 * 60 * 60 * 1000)
+          .toISOString().split('T')[0];
+        bars = await this.getHistoricalBars(symbol, 1, 'day', warmupStart, end_date);
+      }
+
+      // Historical option closes, fetched once per contract
+      let optionPriceProvider = null;
+      let contractLookups = 0;
+      if (price_source === 'market') {
+        const closesByContract = new Map();
+        optionPriceProvider = async (leg, date) => {
+          const key = `${leg.type}|${leg.strike}|${leg.expiration}`;
+          if (!closesByContract.has(key)) {
+            if (contractLookups >= max_contract_lookups) return null;
+            contractLookups++;
+            closesByContract.set(key, this.getHistoricalAggregates(
+              symbol, leg.type, leg.strike, leg.expiration, 1, 'day', date, leg.expiration
+            ).then(data => new Map(data.results.map(bar => [new Date(bar.t).toISOString().split('T')[0], bar.c])))
+              .catch(error => {
+                console.error(`No option history for ${key}: ${error.message}`);
+                return new Map();
+              }));
+          }
+          const closes = await closesByContract.get(key);
+          return closes.get(date) ?? null;
+        };
+      }
+
+      const report = await runBacktest(bars, rules, {
+        symbol,
+        start_date,
+        end_date,
+        starting_capital,
+        implied_volatility,
+        iv_premium,
+        volatility_lookback,
+        bid_ask_spread_pct,
+        cost_config: commission_per_contract !== undefined ? { commission_per_contract } : {},
+        option_price_provider: optionPriceProvider,
+        include_equity_curve
+      });
+
+      return {
+        ...report,
+        data_source: bars_file ? 'file' : 'api',
+        price_source,
+        contract_lookups: contractLookups
+      };
+    } catch (error) {
+      throw new Error(`Failed to backtest strategy: ${error.message}`);
+    }
+  }
+
   /**
    * Get dealer positioning matrix (GEX/VEX) across strikes and expirations
-   * HeatSeeker-style analysis showing dealer gamma and vega exposure
+   * HeatSeeker-style analysis showing dealer gamma and vega exposure, with
+   * optional delta/charm/vanna exposure and a GEX curve across spot prices
    * @param {Object} params - Analysis parameters
    * @returns {Object} Dealer positioning matrix with key levels and implications
    */
@@ -1284,7 +2250,14 @@ export class MassiveOptionsClient {
       expirations = null, // If null, uses all available
       strike_range = null, // { min, max } or null for all
       include_vex = false,
-      format = 'matrix' // 'matrix' or 'list'
+      include_dex = false,
+      include_charm = false,
+      include_vanna = false,
+      include_gex_curve = true,
+      curve_range = 0.1, // +/- fraction of spot for the GEX curve
+      curve_points = 41,
+      format = 'matrix', // 'matrix' or 'list'
+      max_contracts = 10000
     } = params;
 
     try {
@@ -1295,7 +2268,8 @@ export class MassiveOptionsClient {
         symbol,
         null, // Get all expirations
         strike_range?.min,
-        strike_range?.max
+        strike_range?.max,
+        { max_contracts }
       );
 
       const underlyingPrice = snapshot.underlying.price;
@@ -1320,13 +2294,16 @@ export class MassiveOptionsClient {
       console.error(`Processing ${Object.keys(filteredData).length} expirations...`);
 
       // Generate dealer GEX/VEX matrix
-      const { gexMatrix, vexMatrix, strikes } = generateDealerMatrix(
+      const { gexMatrix, vexMatrix, dexMatrix, charmMatrix, vannaMatrix, strikes } = generateDealerMatrix(
         filteredData,
         underlyingPrice,
         {
           strikeMin: strike_range?.min,
           strikeMax: strike_range?.max,
-          includeVEX: include_vex
+          includeVEX: include_vex,
+          includeDEX: include_dex,
+          includeCharm: include_charm,
+          includeVanna: include_vanna
         }
       );
 
@@ -1401,6 +2378,58 @@ export class MassiveOptionsClient {
         result.vex_matrix = format === 'matrix' ? vexMatrix : formatMatrixForDisplay(vexMatrix, strikes);
       }
 
+      // Delta, charm and vanna exposure: matrices plus totals by expiration and strike
+      const exposureMatrices = { dex: dexMatrix, charm: charmMatrix, vanna: vannaMatrix };
+      const exposureProfiles = {};
+      Object.entries(exposureMatrices).forEach(([kind, matrix]) => {
+        if (!matrix) return;
+        result[`${kind}_matrix`] = format === 'matrix' ? matrix : formatMatrixForDisplay(matrix, strikes);
+        exposureProfiles[kind] = summarizeExposureMatrix(matrix);
+      });
+      if (include_vanna) {
+        exposureProfiles.vanna_by_vol = calculateVannaVolProfile(filteredData, underlyingPrice, {
+          strikeMin: strike_range?.min ?? null,
+          strikeMax: strike_range?.max ?? null
+        });
+      }
+      if (Object.keys(exposureProfiles).length > 0) {
+        result.exposure_profiles = exposureProfiles;
+      }
+
+      if (include_gex_curve) {
+        result.gex_curve = calculateGEXCurve(filteredData, underlyingPrice, {
+          range: curve_range,
+          points: curve_points,
+          strikeMin: strike_range?.min ?? null,
+          strikeMax: strike_range?.max ?? null
+        });
+        result.key_levels.zero_gamma_level = result.gex_curve.zero_gamma_level;
+      }
+
+      result.data_coverage = snapshot.coverage;
+
+      // Only full-chain matrices are comparable over time
+      if (this.recordGEXHistory && !expirations && !strike_range && !this.cache?.offline) {
+        try {
+          recordDealerSnapshot(symbol, {
+            timestamp: result.analysis_time,
+            underlying_price: underlyingPrice,
+            chain_data: filteredData,
+            gex_matrix: gexMatrix,
+            vex_matrix: vexMatrix,
+            zero_gamma_strike: keyLevels.zeroGammaStrike,
+            regime: keyLevels.regime,
+            complete: !snapshot.truncated
+          });
+        } catch (error) {
+          console.error(`Failed to record dealer positioning for ${symbol}:`, error.message);
+        }
+      }
+
+      if (snapshot.truncated) {
+        result.warning = `Chain truncated at ${snapshot.total_contracts} contracts - dealer exposure excludes ${snapshot.coverage.unfetched_ranges.map(r => `${r.from}..${r.to || 'latest'}`).join(', ')}. Raise max_contracts for the full chain`;
+      }
+
       console.error('Dealer positioning analysis complete.');
 
       return result;
@@ -1410,6 +2439,49 @@ export class MassiveOptionsClient {
     }
   }
 
+  /**
+   * History of stored dealer positioning for a symbol
+   * @param {Object} params - Request parameters
+   * @param {string} params.symbol - Underlying symbol
+   * @param {string} params.from - Optional start date (YYYY-MM-DD)
+   * @param {string} params.to - Optional end date (YYYY-MM-DD)
+   * @param {number} params.lookback_days - Calendar days back when from is not given (default 30)
+   * @param {string} params.granularity - 'daily' (last record per day) or 'all'
+   * @param {number} params.top_strikes - Strikes in each OI attribution (default 10)
+   * @param {boolean} params.include_matrix - Include the stored GEX/VEX matrices
+   * @returns {Object} Series of total GEX, flip level and walls with changes
+   */
+  getDealerPositioningHistory(params) {
+    const {
+      symbol,
+      from,
+      to,
+      lookback_days = 30,
+      granularity = 'daily',
+      top_strikes = 10,
+      include_matrix = false
+    } = params;
+
+    try {
+      const records = getDealerHistory(symbol, { from, to, lookback_days: from ? null : lookback_days, include_matrix });
+      const report = buildDealerHistoryReport(records, { granularity, top_strikes, include_matrix });
+
+      const result = {
+        symbol: symbol.toUpperCase(),
+        granularity,
+        first_record: records[0]?.timestamp || null,
+        last_record: records[records.length - 1]?.timestamp || null,
+        ...report
+      };
+      if (records.length === 0) {
+        result.note = 'No dealer positioning recorded yet. Each full-chain get_dealer_positioning_matrix call (no expiration or strike filter) adds a record';
+      }
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get dealer positioning history: ${error.message}`);
+    }
+  }
+
   async getMarketIndicators() {
     try {
       console.error('Fetching market indicators...');
@@ -1599,14 +2671,15 @@ export class MassiveOptionsClient {
    * Get specific option snapshot by option contract ticker
    * Example: O:AAPL250117C00150000
    * @param {string} symbol - Underlying ticker (used for context only)
-   * @param {string} optionContract - Option contract ticker (e.g., O:AAPL250117C00150000)
+   * @param {string} optionContract - Option contract ticker (e.g., O:AAPL250117C00150000) or OSI symbol
    */
   async getSpecificOptionSnapshot(symbol, optionContract) {
     try {
       const fetchTimestamp = new Date().toISOString();
 
-      // Use /quotes/{contractTicker} endpoint for specific option contracts
-      const response = await this.client.get(`/quotes/${optionContract}`);
+      // Use /quotes/{contractTicker} endpoint for specific option contracts (OSI and broker forms normalized)
+      const ticker = parseOptionSymbol(optionContract)?.ticker || optionContract;
+      const response = await this.client.get(`/quotes/${ticker}`);
 
       if (!response.data.results || response.data.results.length === 0) {
         throw new Error('Option contract not found');
@@ -0,0 +1,470 @@
+/**
+ * Monte Carlo Simulation Engine
+ *
+ * Reproducible path simulation for option portfolios:
+ * - Seedable PRNG (mulberry32) with Box-Muller normals and Poisson draws
+ * - Lognormal/GBM paths, Merton jump-diffusion, Heston stochastic volatility
+ * - Per-path repricing of every leg, daily or at evenly sampled days when the
+ *   paths x days x legs work would exceed MAX_REVALUATIONS (touches stay daily)
+ * - VaR, CVaR/expected shortfall, breakeven touch probabilities, histograms
+ */
+
+import { prepareLegsForRevaluation, revalueLeg } from './portfolio-greeks.js';
+
+const DAYS_PER_YEAR = 365;
+const MAX_PATHS = 20000;
+const MAX_DAYS = 730;
+const MAX_PATH_STEPS = 2000000; // paths x days held in memory per underlying
+const MAX_REVALUATIONS = 500000; // leg repricings per simulation run
+
+// Path count after the per-run caps; long horizons get fewer paths
+function cappedPathCount(numPaths, steps) {
+  return Math.max(1, Math.min(MAX_PATHS, Math.floor(MAX_PATH_STEPS / steps), Math.round(numPaths)));
+}
+
+/**
+ * Jump and Heston parameters from a flat tool config
+ * @param {object} config - { jump_intensity, jump_mean, jump_volatility, kappa, long_run_variance, vol_of_vol, correlation }
+ * @returns {object} { jump, heston } for simulatePricePaths
+ */
+export function pathModelParameters(config = {}) {
+  return {
+    jump: {
+      intensity: config.jump_intensity,
+      mean: config.jump_mean,
+      volatility: config.jump_volatility
+    },
+    heston: {
+      kappa: config.kappa,
+      theta: config.long_run_variance,
+      vol_of_vol: config.vol_of_vol,
+      correlation: config.correlation
+    }
+  };
+}
+
+/**
+ * Create a seeded pseudo-random generator
+ * @param {number} seed - Integer seed (same seed => same sequence)
+ * @returns {object} { uniform(), normal(), poisson(lambda) }
+ */
+export function createRandom(seed = 42) {
+  let state = (Number(seed) >>> 0) || 1;
+  let spareNormal = null;
+
+  // mulberry32: fast 32-bit generator with good statistical quality
+  const uniform = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const normal = () => {
+    if (spareNormal !== null) {
+      const value = spareNormal;
+      spareNormal = null;
+      return value;
+    }
+    let u1 = uniform();
+    while (u1 <= Number.EPSILON) u1 = uniform();
+    const u2 = uniform();
+    const radius = Math.sqrt(-2 * Math.log(u1));
+    spareNormal = radius * Math.sin(2 * Math.PI * u2);
+    return radius * Math.cos(2 * Math.PI * u2);
+  };
+
+  // Knuth's algorithm; jump intensities per step are small
+  const poisson = (lambda) => {
+    if (lambda <= 0) return 0;
+    const limit = Math.exp(-lambda);
+    let count = 0;
+    let product = uniform();
+    while (product > limit) {
+      count++;
+      product *= uniform();
+    }
+    return count;
+  };
+
+  return { uniform, normal, poisson };
+}
+
+/**
+ * Simulate underlying price paths
+ * @param {object} config - Simulation configuration
+ * @param {number} config.spot - Starting price
+ * @param {number} config.volatility - Annualized volatility (e.g. 0.25)
+ * @param {number} config.days - Number of calendar days to simulate
+ * @param {number} config.num_paths - Number of paths
+ * @param {number} config.drift - Annualized drift (default 0)
+ * @param {string} config.model - 'gbm' | 'jump' | 'heston'
+ * @param {object} config.jump - { intensity (jumps/year), mean (log size), volatility }
+ * @param {object} config.heston - { kappa, theta, vol_of_vol, correlation, v0 }
+ * @param {number|object} config.seed - Seed or an existing generator from createRandom
+ * @returns {object} { prices: Array<Float64Array>, vols: Array<Float64Array>, dt }
+ *   Each path has days + 1 points, starting at spot. Paths are capped at
+ *   MAX_PATHS and at MAX_PATH_STEPS / days.
+ */
+export function simulatePricePaths(config = {}) {
+  const {
+    spot,
+    volatility,
+    days = 30,
+    num_paths = 1000,
+    drift = 0,
+    model = 'gbm',
+    jump = {},
+    heston = {},
+    seed = 42
+  } = config;
+
+  if (!(spot > 0)) throw new Error('Simulation requires a positive spot price');
+  if (!(volatility > 0)) throw new Error('Simulation requires a positive volatility');
+  if (!['gbm', 'jump', 'heston'].includes(model)) {
+    throw new Error(`Unknown simulation model: ${model}. Use gbm, jump or heston`);
+  }
+
+  const steps = Math.max(1, Math.min(MAX_DAYS, Math.round(days)));
+  const pathCount = cappedPathCount(num_paths, steps);
+  const rng = typeof seed === 'object' ? seed : createRandom(seed);
+  const dt = 1 / DAYS_PER_YEAR;
+  const sqrtDt = Math.sqrt(dt);
+
+  // Merton jump parameters (defaults: ~3 jumps/year averaging -5%)
+  const jumpIntensity = jump.intensity ?? 3;
+  const jumpMean = jump.mean ?? -0.05;
+  const jumpVol = jump.volatility ?? 0.08;
+  const jumpCompensator = jumpIntensity * (Math.exp(jumpMean + 0.5 * jumpVol * jumpVol) - 1);
+
+  // Heston parameters (defaults mean-revert to the starting variance)
+  const v0 = heston.v0 ?? volatility * volatility;
+  const kappa = heston.kappa ?? 3;
+  const thetaVar = heston.theta ?? v0;
+  const volOfVol = heston.vol_of_vol ?? 0.6;
+  const rho = heston.correlation ?? -0.7;
+  const rhoComplement = Math.sqrt(1 - rho * rho);
+
+  const prices = [];
+  const vols = [];
+
+  for (let p = 0; p < pathCount; p++) {
+    const pricePath = new Float64Array(steps + 1);
+    const volPath = new Float64Array(steps + 1);
+    pricePath[0] = spot;
+    volPath[0] = model === 'heston' ? Math.sqrt(v0) : volatility;
+
+    let s = spot;
+    let v = v0;
+
+    for (let t = 1; t <= steps; t++) {
+      const z1 = rng.normal();
+      let logReturn;
+
+      if (model === 'heston') {
+        // Full-truncation Euler keeps variance usable when it dips below zero
+        const vPos = Math.max(v, 0);
+        const z2 = rho * z1 + rhoComplement * rng.normal();
+        logReturn = (drift - 0.5 * vPos) * dt + Math.sqrt(vPos) * sqrtDt * z1;
+        v = v + kappa * (thetaVar - vPos) * dt + volOfVol * Math.sqrt(vPos) * sqrtDt * z2;
+        volPath[t] = Math.sqrt(Math.max(v, 0));
+      } else {
+        logReturn = (drift - 0.5 * volatility * volatility) * dt + volatility * sqrtDt * z1;
+        volPath[t] = volatility;
+
+        if (model === 'jump') {
+          logReturn -= jumpCompensator * dt;
+          const jumps = rng.poisson(jumpIntensity * dt);
+          for (let j = 0; j < jumps; j++) {
+            logReturn += jumpMean + jumpVol * rng.normal();
+          }
+        }
+      }
+
+      s *= Math.exp(logReturn);
+      pricePath[t] = s;
+    }
+
+    prices.push(pricePath);
+    vols.push(volPath);
+  }
+
+  return { prices, vols, dt };
+}
+
+/**
+ * Value at a percentile of a sorted array (linear interpolation)
+ */
+function percentile(sorted, pct) {
+  if (sorted.length === 0) return 0;
+  const index = (sorted.length - 1) * pct;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Build histogram buckets for a P&L distribution
+ * @param {Array<number>} values - P&L outcomes
+ * @param {number} bucketCount - Number of equal-width buckets
+ * @returns {Array} [{ from, to, count, pct }]
+ */
+export function buildHistogram(values, bucketCount = 20) {
+  if (values.length === 0) return [];
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = (max - min) / bucketCount || 1;
+  const counts = new Array(bucketCount).fill(0);
+
+  values.forEach(value => {
+    const index = Math.min(bucketCount - 1, Math.floor((value - min) / width));
+    counts[index]++;
+  });
+
+  return counts.map((count, i) => ({
+    from: parseFloat((min + i * width).toFixed(2)),
+    to: parseFloat((min + (i + 1) * width).toFixed(2)),
+    count,
+    pct: parseFloat(((count / values.length) * 100).toFixed(2))
+  }));
+}
+
+/**
+ * Summarize a simulated P&L distribution
+ * VaR figures are the P&L at the given percentile (negative = loss);
+ * CVaR is the average P&L of outcomes at or beyond that percentile.
+ * @param {Array<number>} outcomes - P&L per path
+ * @param {number} bucketCount - Histogram buckets
+ * @returns {object} Statistics, risk metrics and histogram
+ */
+export function summarizeDistribution(outcomes, bucketCount = 20) {
+  const sorted = [...outcomes].sort((a, b) => a - b);
+  const n = sorted.length;
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / n;
+  const variance = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / Math.max(1, n - 1);
+
+  const tailMean = (pct) => {
+    const cutoff = Math.max(1, Math.ceil(n * pct));
+    return sorted.slice(0, cutoff).reduce((sum, v) => sum + v, 0) / cutoff;
+  };
+  const round = (value) => parseFloat(value.toFixed(2));
+
+  return {
+    statistics: {
+      mean_pnl: round(mean),
+      median_pnl: round(percentile(sorted, 0.5)),
+      std_dev: round(Math.sqrt(variance)),
+      best_case: round(sorted[n - 1]),
+      worst_case: round(sorted[0]),
+      percentile_5: round(percentile(sorted, 0.05)),
+      percentile_95: round(percentile(sorted, 0.95))
+    },
+    risk_metrics: {
+      var_95: round(percentile(sorted, 0.05)),
+      var_99: round(percentile(sorted, 0.01)),
+      cvar_95: round(tailMean(0.05)),
+      cvar_99: round(tailMean(0.01)),
+      probability_of_profit: parseFloat((sorted.filter(v => v > 0).length / n).toFixed(4)),
+      probability_of_loss: parseFloat((sorted.filter(v => v < 0).length / n).toFixed(4))
+    },
+    histogram: buildHistogram(sorted, bucketCount)
+  };
+}
+
+/**
+ * Find breakeven prices of a set of legs at a horizon by scanning spot
+ * @param {Array} legs - Prepared legs for a single underlying
+ * @param {number} spot - Current underlying price
+ * @param {object} config - Revaluation configuration (days_forward, as_of, rate)
+ * @returns {Array<number>} Breakeven prices where horizon P&L crosses zero
+ */
+export function findHorizonBreakevens(legs, spot, config = {}) {
+  const { days_forward = 0, grid_points = 201, range_pct = 0.5 } = config;
+  const breakevens = [];
+
+  const pnlAt = (price) => legs.reduce((sum, leg) =>
+    sum + (revalueLeg(leg, { spot: price, days_forward }, config) - leg.value) * leg.shares, 0);
+
+  const low = spot * (1 - range_pct);
+  const step = (spot * 2 * range_pct) / (grid_points - 1);
+  let prevPrice = low;
+  let prevPnL = pnlAt(low);
+
+  for (let i = 1; i < grid_points; i++) {
+    const price = low + i * step;
+    const pnl = pnlAt(price);
+    if ((prevPnL < 0 && pnl >= 0) || (prevPnL >= 0 && pnl < 0)) {
+      const crossing = prevPrice + (0 - prevPnL) * (price - prevPrice) / (pnl - prevPnL);
+      breakevens.push(parseFloat(crossing.toFixed(2)));
+    }
+    prevPrice = price;
+    prevPnL = pnl;
+  }
+
+  return breakevens;
+}
+
+/**
+ * Run a full-revaluation Monte Carlo simulation on a portfolio of option positions
+ * Each underlying gets its own simulated paths (independent across symbols) and
+ * every leg is repriced along the path, so P&L includes gamma, vega and theta
+ * effects rather than a Greek approximation. Legs are repriced daily while
+ * paths x days x legs stays within MAX_REVALUATIONS, otherwise at evenly
+ * spaced days ending at the horizon; portfolios too large to reprice even
+ * once per path are rejected.
+ * @param {Array} positions - Positions with option legs
+ * @param {object} config - Simulation configuration
+ * @param {number} config.underlying_price - Default underlying price
+ * @param {number} config.num_simulations - Paths per underlying (default 1000)
+ * @param {number} config.days_forward - Horizon in calendar days (default 30)
+ * @param {string} config.model - 'gbm' | 'jump' | 'heston' (jump_* and Heston keys as in pathModelParameters)
+ * @param {number} config.volatility - Annualized path volatility (default: average leg IV)
+ * @param {number} config.seed - PRNG seed for reproducibility (default 42)
+ * @param {Array<number>} config.breakevens - Optional breakeven overrides (single underlying)
+ * @param {number} config.histogram_buckets - Histogram bucket count (default 20)
+ * @returns {object} Distribution statistics, VaR/CVaR, touch probabilities, path risk
+ *   (peak-to-trough drawdown and worst interim P&L of the whole portfolio) and histogram
+ */
+export function runPortfolioMonteCarlo(positions = [], config = {}) {
+  const {
+    num_simulations = 1000,
+    days_forward = 30,
+    model = 'gbm',
+    seed = 42,
+    histogram_buckets = 20,
+    breakevens = null
+  } = config;
+
+  const { legs, skipped } = prepareLegsForRevaluation(positions, config);
+  if (legs.length === 0) {
+    throw new Error('No legs could be priced for simulation. Provide type, strike, expiration and iv or price for each leg.');
+  }
+
+  const days = Math.max(1, Math.min(MAX_DAYS, Math.round(days_forward)));
+  const rng = createRandom(seed);
+  const symbols = [...new Set(legs.map(leg => leg.symbol))];
+  const pathCount = cappedPathCount(num_simulations, days);
+
+  const revaluationSteps = Math.floor(MAX_REVALUATIONS / (pathCount * legs.length));
+  if (revaluationSteps < 1) {
+    throw new Error(`Simulation too large: ${pathCount} paths x ${legs.length} legs exceeds ${MAX_REVALUATIONS} repricings. Reduce num_simulations or the number of legs`);
+  }
+  const stepCount = Math.min(days, revaluationSteps);
+  const repriceDays = [...new Set(Array.from({ length: stepCount }, (_, i) => Math.round((i + 1) * days / stepCount)))];
+
+  const finalPnL = new Array(pathCount).fill(0);
+  // Portfolio P&L on each repricing day of each path, summed across underlyings
+  const interimPnL = new Float64Array(pathCount * repriceDays.length);
+  const touchSummary = [];
+
+  symbols.forEach(symbol => {
+    const symbolLegs = legs.filter(leg => leg.symbol === symbol);
+    const spot = symbolLegs[0].spot;
+    const pathVol = config.volatility ||
+      symbolLegs.reduce((sum, leg) => sum + leg.iv, 0) / symbolLegs.length;
+
+    const levels = (symbols.length === 1 && breakevens) ||
+      findHorizonBreakevens(symbolLegs, spot, { ...config, days_forward: days });
+    const touches = levels.map(() => 0);
+
+    const { prices, vols } = simulatePricePaths({
+      spot,
+      volatility: pathVol,
+      days,
+      num_paths: pathCount,
+      drift: config.drift || 0,
+      model,
+      ...pathModelParameters(config),
+      seed: rng
+    });
+
+    for (let p = 0; p < pathCount; p++) {
+      const path = prices[p];
+      const volPath = vols[p];
+      let pathPnL = 0;
+
+      repriceDays.forEach((t, step) => {
+        // IV moves with the instantaneous vol of the path (zero shift for GBM/jump)
+        const ivShiftPts = (volPath[t] - volPath[0]) * 100;
+        pathPnL = symbolLegs.reduce((sum, leg) =>
+          sum + (revalueLeg(leg, { spot: path[t], iv_change_pts: ivShiftPts, days_forward: t }, config) - leg.value) * leg.shares, 0);
+        interimPnL[p * repriceDays.length + step] += pathPnL;
+      });
+
+      finalPnL[p] += pathPnL;
+
+      levels.forEach((level, i) => {
+        const above = spot >= level;
+        for (let t = 1; t <= days; t++) {
+          if (above ? path[t] <= level : path[t] >= level) {
+            touches[i]++;
+            break;
+          }
+        }
+      });
+    }
+
+    levels.forEach((level, i) => {
+      touchSummary.push({
+        symbol,
+        breakeven: level,
+        direction: spot >= level ? 'below' : 'above',
+        probability_of_touch: parseFloat((touches[i] / pathCount).toFixed(4))
+      });
+    });
+  });
+
+  const distribution = summarizeDistribution(finalPnL, histogram_buckets);
+
+  // Worst portfolio P&L versus the start, and the largest peak-to-trough fall, per path
+  const worstPnL = new Array(pathCount).fill(0);
+  const maxDrawdown = new Array(pathCount).fill(0);
+  for (let p = 0; p < pathCount; p++) {
+    let peak = 0;
+    for (let step = 0; step < repriceDays.length; step++) {
+      const pnl = interimPnL[p * repriceDays.length + step];
+      if (pnl > peak) peak = pnl;
+      if (pnl < worstPnL[p]) worstPnL[p] = pnl;
+      if (pnl - peak < maxDrawdown[p]) maxDrawdown[p] = pnl - peak;
+    }
+  }
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / pathCount;
+  const sortedWorst = [...worstPnL].sort((a, b) => a - b);
+  const sortedDrawdown = [...maxDrawdown].sort((a, b) => a - b);
+
+  return {
+    method: 'full_revaluation',
+    model,
+    seed,
+    simulations_run: pathCount,
+    time_horizon_days: days,
+    legs_repriced: legs.length,
+    repricing_days: repriceDays.length,
+    skipped_legs: skipped,
+    ...distribution,
+    path_risk: {
+      ...(repriceDays.length < days ? { note: `Drawdowns measured on ${repriceDays.length} of ${days} days to stay within the repricing budget` } : {}),
+      mean_max_drawdown: parseFloat(mean(maxDrawdown).toFixed(2)),
+      max_drawdown_95: parseFloat(percentile(sortedDrawdown, 0.05).toFixed(2)),
+      mean_worst_interim_pnl: parseFloat(mean(worstPnL).toFixed(2)),
+      worst_interim_pnl_95: parseFloat(percentile(sortedWorst, 0.05).toFixed(2))
+    },
+    breakeven_touches: touchSummary,
+    assumptions: symbols.length > 1
+      ? 'Underlyings simulated independently; correlated selloffs are not modeled'
+      : `Single underlying simulated with ${model.toUpperCase()} dynamics`,
+    interpretation: `95% confident portfolio won't lose more than $${Math.abs(Math.min(0, distribution.risk_metrics.var_95)).toFixed(0)} over next ${days} days; average loss in the worst 5% of paths is $${Math.abs(Math.min(0, distribution.risk_metrics.cvar_95)).toFixed(0)}`
+  };
+}
+
+export default {
+  createRandom,
+  pathModelParameters,
+  simulatePricePaths,
+  buildHistogram,
+  summarizeDistribution,
+  findHorizonBreakevens,
+  runPortfolioMonteCarlo
+};
@@ -0,0 +1,488 @@
+/**
+ * Option Pricing Engine
+ *
+ * Local pricing models so analysis does not depend on API-supplied Greeks:
+ * - Generalized Black-Scholes-Merton (European, continuous dividend yield)
+ * - Bjerksund-Stensland (1993) closed-form approximation for American exercise
+ * - Implied volatility solver (Newton-Raphson with bisection fallback)
+ * - First- and second-order Greeks (delta, gamma, theta, vega, rho,
+ *   vanna, charm, vomma, speed)
+ *
+ * Greek units follow the API convention so model and market Greeks can be mixed:
+ * theta and charm are per calendar day, vega/vanna/vomma per 1 vol point,
+ * rho per 1% change in rates.
+ */
+
+export const DEFAULT_RISK_FREE_RATE = 0.045;
+
+const DAYS_PER_YEAR = 365;
+const MIN_VOLATILITY = 1e-4;
+const MAX_VOLATILITY = 5;
+
+// Cash-settled index options that can only be exercised at expiration
+const EUROPEAN_STYLE_ROOTS = ['SPX', 'SPXW', 'XSP', 'NDX', 'NDXP', 'RUT', 'RUTW', 'VIX', 'VIXW', 'DJX', 'OEX', 'XEO'];
+
+/**
+ * Standard normal probability density
+ * @param {number} x - Input value
+ * @returns {number} Density at x
+ */
+export function normalPDF(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 26.2.17)
+ * @param {number} x - Input value
+ * @returns {number} P(Z <= x)
+ */
+export function normalCDF(x) {
+  if (x < -10) return 0;
+  if (x > 10) return 1;
+
+  const k = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = k * (0.319381530 + k * (-0.356563782 + k * (1.781477937 + k * (-1.821255978 + k * 1.330274429))));
+  const tail = normalPDF(x) * poly;
+
+  return x >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Year fraction remaining until an expiration date
+ * Expirations are treated as expiring at the 4:00 PM ET close (20:00 UTC).
+ * @param {string|Date} expiration - Expiration date (YYYY-MM-DD) or Date
+ * @param {Date} asOf - Valuation date (defaults to now)
+ * @returns {number} Time to expiration in years (never negative)
+ */
+export function yearsToExpiration(expiration, asOf = new Date()) {
+  const expiry = expiration instanceof Date
+    ? expiration
+    : new Date(`${expiration}T20:00:00Z`);
+
+  const ms = expiry.getTime() - new Date(asOf).getTime();
+  if (!Number.isFinite(ms)) {
+    throw new Error(`Invalid expiration date: ${expiration}`);
+  }
+
+  return Math.max(0, ms / (DAYS_PER_YEAR * 24 * 60 * 60 * 1000));
+}
+
+/**
+ * Infer the exercise style of an underlying's options
+ * @param {string} symbol - Underlying or option root symbol
+ * @returns {string} 'european' for cash-settled index roots, otherwise 'american'
+ */
+export function inferExerciseStyle(symbol) {
+  if (!symbol) return 'american';
+  const root = symbol.toUpperCase().replace(/^I:/, '').replace(/^O:/, '').match(/^[A-Z]+/)?.[0];
+  return EUROPEAN_STYLE_ROOTS.includes(root) ? 'european' : 'american';
+}
+
+/**
+ * Normalize pricing inputs and validate them
+ */
+function normalizeInputs(params) {
+  const {
+    type,
+    spot,
+    strike,
+    time,
+    volatility,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = 0
+  } = params;
+
+  if (type !== 'call' && type !== 'put') {
+    throw new Error('Invalid option type. Must be "call" or "put"');
+  }
+  if (!(spot > 0) || !(strike > 0)) {
+    throw new Error('Spot and strike must be positive numbers');
+  }
+  if (!Number.isFinite(time) || time < 0) {
+    throw new Error('Time to expiration must be a non-negative number of years');
+  }
+  if (!Number.isFinite(volatility) || volatility < 0) {
+    throw new Error('Volatility must be a non-negative number');
+  }
+
+  return { type, spot, strike, time, volatility, rate, dividendYield };
+}
+
+function intrinsicValue(type, spot, strike) {
+  return type === 'call' ? Math.max(0, spot - strike) : Math.max(0, strike - spot);
+}
+
+/**
+ * Generalized Black-Scholes call/put with cost of carry b (= r - q)
+ */
+function generalizedBlackScholes(type, S, K, T, r, b, sigma) {
+  if (T <= 0 || sigma <= 0) {
+    // Degenerate case: discounted forward intrinsic value
+    const forward = S * Math.exp(b * T);
+    const df = Math.exp(-r * T);
+    return type === 'call'
+      ? df * Math.max(0, forward - K)
+      : df * Math.max(0, K - forward);
+  }
+
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (b + sigma * sigma / 2) * T) / (sigma * sqrtT);
+  const d2 = d1 - sigma * sqrtT;
+  const carry = Math.exp((b - r) * T);
+  const df = Math.exp(-r * T);
+
+  if (type === 'call') {
+    return S * carry * normalCDF(d1) - K * df * normalCDF(d2);
+  }
+  return K * df * normalCDF(-d2) - S * carry * normalCDF(-d1);
+}
+
+/**
+ * Price a European option with the Black-Scholes-Merton model
+ * @param {object} params - Pricing inputs
+ * @param {string} params.type - 'call' or 'put'
+ * @param {number} params.spot - Underlying price
+ * @param {number} params.strike - Strike price
+ * @param {number} params.time - Time to expiration in years
+ * @param {number} params.volatility - Annualized volatility (0.25 = 25%)
+ * @param {number} params.rate - Continuously compounded risk-free rate
+ * @param {number} params.dividendYield - Continuous dividend yield
+ * @returns {number} Option value per share
+ */
+export function blackScholesPrice(params) {
+  const { type, spot, strike, time, volatility, rate, dividendYield } = normalizeInputs(params);
+
+  if (time === 0) {
+    return intrinsicValue(type, spot, strike);
+  }
+
+  return generalizedBlackScholes(type, spot, strike, time, rate, rate - dividendYield, volatility);
+}
+
+/**
+ * Bjerksund-Stensland phi helper
+ */
+function bsPhi(S, T, gamma, H, I, r, b, sigma) {
+  const sigmaSq = sigma * sigma;
+  const sqrtT = Math.sqrt(T);
+  const lambda = (-r + gamma * b + 0.5 * gamma * (gamma - 1) * sigmaSq) * T;
+  const d = -(Math.log(S / H) + (b + (gamma - 0.5) * sigmaSq) * T) / (sigma * sqrtT);
+  const kappa = 2 * b / sigmaSq + (2 * gamma - 1);
+
+  return Math.exp(lambda) * Math.pow(S, gamma) *
+    (normalCDF(d) - Math.pow(I / S, kappa) * normalCDF(d - 2 * Math.log(I / S) / (sigma * sqrtT)));
+}
+
+/**
+ * Bjerksund-Stensland (1993) American call with cost of carry b
+ */
+function bjerksundStenslandCall(S, K, T, r, b, sigma) {
+  // Never optimal to exercise early when carry >= rate: equals the European value
+  if (b >= r) {
+    return generalizedBlackScholes('call', S, K, T, r, b, sigma);
+  }
+
+  const sigmaSq = sigma * sigma;
+  const beta = (0.5 - b / sigmaSq) + Math.sqrt(Math.pow(b / sigmaSq - 0.5, 2) + 2 * r / sigmaSq);
+  const bInfinity = (beta / (beta - 1)) * K;
+  const b0 = Math.max(K, (r / (r - b)) * K);
+  const ht = -(b * T + 2 * sigma * Math.sqrt(T)) * b0 / (bInfinity - b0);
+  const trigger = b0 + (bInfinity - b0) * (1 - Math.exp(ht));
+
+  if (S >= trigger) {
+    return S - K;
+  }
+
+  const alpha = (trigger - K) * Math.pow(trigger, -beta);
+
+  return alpha * Math.pow(S, beta)
+    - alpha * bsPhi(S, T, beta, trigger, trigger, r, b, sigma)
+    + bsPhi(S, T, 1, trigger, trigger, r, b, sigma)
+    - bsPhi(S, T, 1, K, trigger, r, b, sigma)
+    - K * bsPhi(S, T, 0, trigger, trigger, r, b, sigma)
+    + K * bsPhi(S, T, 0, K, trigger, r, b, sigma);
+}
+
+/**
+ * Price an American option with the Bjerksund-Stensland approximation
+ * Puts are priced through the put-call transformation
+ * P(S, K, T, r, b) = C(K, S, T, r - b, -b).
+ * @param {object} params - Same inputs as blackScholesPrice
+ * @returns {number} Option value per share
+ */
+export function bjerksundStenslandPrice(params) {
+  const { type, spot, strike, time, volatility, rate, dividendYield } = normalizeInputs(params);
+  const intrinsic = intrinsicValue(type, spot, strike);
+
+  if (time === 0 || volatility === 0) {
+    return Math.max(intrinsic, generalizedBlackScholes(type, spot, strike, time, rate, rate - dividendYield, volatility));
+  }
+
+  const b = rate - dividendYield;
+  const american = type === 'call'
+    ? bjerksundStenslandCall(spot, strike, time, rate, b, volatility)
+    : bjerksundStenslandCall(strike, spot, time, rate - b, -b, volatility);
+  const european = generalizedBlackScholes(type, spot, strike, time, rate, b, volatility);
+
+  // The approximation is a lower bound; never report less than European or intrinsic value
+  return Math.max(american, european, intrinsic);
+}
+
+/**
+ * Price an option using the model appropriate for its exercise style
+ * @param {object} params - Pricing inputs (see blackScholesPrice)
+ * @param {string} params.style - 'european' or 'american' (default 'american')
+ * @returns {number} Option value per share
+ */
+export function priceOption(params) {
+  return params.style === 'european'
+    ? blackScholesPrice(params)
+    : bjerksundStenslandPrice(params);
+}
+
+/**
+ * Closed-form Black-Scholes-Merton Greeks
+ */
+function analyticGreeks({ type, spot: S, strike: K, time: T, volatility: sigma, rate: r, dividendYield: q }) {
+  const sqrtT = Math.sqrt(T);
+  const d1 = (Math.log(S / K) + (r - q + sigma * sigma / 2) * T) / (sigma * sqrtT);
+  const d2 = d1 - sigma * sqrtT;
+  const carry = Math.exp(-q * T);
+  const df = Math.exp(-r * T);
+  const pdf = normalPDF(d1);
+  const isCall = type === 'call';
+
+  const price = generalizedBlackScholes(type, S, K, T, r, r - q, sigma);
+  const delta = isCall ? carry * normalCDF(d1) : -carry * normalCDF(-d1);
+  const gamma = carry * pdf / (S * sigma * sqrtT);
+  const vega = S * carry * pdf * sqrtT;
+
+  const thetaDecay = -S * carry * pdf * sigma / (2 * sqrtT);
+  const theta = isCall
+    ? thetaDecay - r * K * df * normalCDF(d2) + q * S * carry * normalCDF(d1)
+    : thetaDecay + r * K * df * normalCDF(-d2) - q * S * carry * normalCDF(-d1);
+
+  const rho = isCall
+    ? K * T * df * normalCDF(d2)
+    : -K * T * df * normalCDF(-d2);
+
+  const charmCommon = carry * pdf * (2 * (r - q) * T - d2 * sigma * sqrtT) / (2 * T * sigma * sqrtT);
+  const charm = isCall
+    ? q * carry * normalCDF(d1) - charmCommon
+    : -q * carry * normalCDF(-d1) - charmCommon;
+
+  return {
+    price,
+    delta,
+    gamma,
+    theta: theta / DAYS_PER_YEAR,
+    vega: vega / 100,
+    rho: rho / 100,
+    vanna: (-carry * pdf * d2 / sigma) / 100,
+    charm: charm / DAYS_PER_YEAR,
+    vomma: (vega * d1 * d2 / sigma) / 10000,
+    speed: -gamma / S * (d1 / (sigma * sqrtT) + 1)
+  };
+}
+
+/**
+ * Finite-difference Greeks for models without closed-form sensitivities
+ */
+function numericalGreeks(params) {
+  const price = (overrides = {}) => priceOption({ ...params, ...overrides });
+  const { spot: S, volatility: sigma, time: T, rate: r } = params;
+
+  const hS = S * 0.005;
+  const hV = Math.min(0.01, sigma / 2);
+  const hT = Math.min(1 / DAYS_PER_YEAR, T);
+  const hR = 0.0001;
+
+  const p0 = price();
+  const pUp = price({ spot: S + hS });
+  const pDown = price({ spot: S - hS });
+  const pUp2 = price({ spot: S + 2 * hS });
+  const pDown2 = price({ spot: S - 2 * hS });
+  const pVolUp = price({ volatility: sigma + hV });
+  const pVolDown = price({ volatility: sigma - hV });
+
+  const delta = (pUp - pDown) / (2 * hS);
+  const deltaAt = (overrides) =>
+    (price({ ...overrides, spot: S + hS }) - price({ ...overrides, spot: S - hS })) / (2 * hS);
+
+  const decayedTime = Math.max(0, T - hT);
+  const vanna = (deltaAt({ volatility: sigma + hV }) - deltaAt({ volatility: sigma - hV })) / (2 * hV);
+  const charmPerStep = deltaAt({ time: decayedTime }) - delta;
+  const thetaPerStep = price({ time: decayedTime }) - p0;
+  const stepDays = hT * DAYS_PER_YEAR || 1;
+
+  return {
+    price: p0,
+    delta,
+    gamma: (pUp - 2 * p0 + pDown) / (hS * hS),
+    theta: thetaPerStep / stepDays,
+    vega: (pVolUp - pVolDown) / (2 * hV) / 100,
+    rho: (price({ rate: r + hR }) - price({ rate: r - hR })) / (2 * hR) / 100,
+    vanna: vanna / 100,
+    charm: charmPerStep / stepDays,
+    vomma: (pVolUp - 2 * p0 + pVolDown) / (hV * hV) / 10000,
+    speed: (pUp2 - 2 * pUp + 2 * pDown - pDown2) / (2 * Math.pow(hS, 3))
+  };
+}
+
+/**
+ * Calculate model price and full Greeks for an option
+ * Uses closed-form Black-Scholes-Merton sensitivities for European options and
+ * finite differences on the Bjerksund-Stensland price for American options.
+ * @param {object} params - Pricing inputs (see blackScholesPrice) plus style
+ * @returns {object} { price, delta, gamma, theta, vega, rho, vanna, charm, vomma, speed }
+ */
+export function calculateGreeks(params) {
+  const inputs = { ...normalizeInputs(params), style: params.style || 'american' };
+  const { type, spot, strike, time, volatility } = inputs;
+
+  let greeks;
+  if (time === 0 || volatility === 0) {
+    const value = priceOption(inputs);
+    const itm = type === 'call' ? spot > strike : spot < strike;
+    greeks = {
+      price: value,
+      delta: itm ? (type === 'call' ? 1 : -1) : 0,
+      gamma: 0, theta: 0, vega: 0, rho: 0, vanna: 0, charm: 0, vomma: 0, speed: 0
+    };
+  } else if (inputs.style === 'european') {
+    greeks = analyticGreeks(inputs);
+  } else {
+    greeks = numericalGreeks(inputs);
+  }
+
+  return Object.fromEntries(
+    Object.entries(greeks).map(([key, value]) => [key, parseFloat(value.toFixed(6))])
+  );
+}
+
+/**
+ * Solve for the implied volatility that reproduces an observed option price
+ * @param {object} params - Pricing inputs without volatility
+ * @param {number} params.price - Observed option price (typically the bid/ask mid)
+ * @param {object} options - { tolerance, maxIterations }
+ * @returns {number|null} Annualized implied volatility, or null if the price
+ *   violates no-arbitrage bounds
+ */
+export function solveImpliedVolatility(params, options = {}) {
+  const { tolerance = 1e-6, maxIterations = 100 } = options;
+  const { price: target, style = 'american' } = params;
+
+  if (!(target > 0)) return null;
+
+  const base = { ...normalizeInputs({ ...params, volatility: 0 }), style };
+  if (base.time === 0) return null;
+
+  const valueAt = (sigma) => priceOption({ ...base, volatility: sigma });
+
+  let low = MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+  const lowValue = valueAt(low);
+  const highValue = valueAt(high);
+
+  if (target < lowValue - tolerance || target > highValue + tolerance) {
+    return null;
+  }
+  if (target <= lowValue) return low;
+
+  // Brenner-Subrahmanyam seed, clamped to a sensible range
+  let sigma = Math.sqrt(2 * Math.PI / base.time) * target / base.spot;
+  sigma = Math.min(Math.max(sigma, 0.05), 3);
+
+  for (let i = 0; i < maxIterations; i++) {
+    const value = valueAt(sigma);
+    const diff = value - target;
+
+    if (Math.abs(diff) < tolerance) {
+      return parseFloat(sigma.toFixed(6));
+    }
+
+    // Keep a bracket so we can fall back to bisection
+    if (diff > 0) high = sigma; else low = sigma;
+
+    const bump = 1e-4;
+    const vega = (valueAt(sigma + bump) - valueAt(sigma - bump)) / (2 * bump);
+    let next = vega > 1e-8 ? sigma - diff / vega : NaN;
+
+    if (!Number.isFinite(next) || next <= low || next >= high) {
+      next = (low + high) / 2;
+    }
+
+    sigma = next;
+
+    if (high - low < tolerance) break;
+  }
+
+  return parseFloat(sigma.toFixed(6));
+}
+
+/**
+ * Compute model Greeks for a chain contract whose snapshot is missing them
+ * Contracts that already carry a delta are returned unchanged.
+ * @param {object} contract - Normalized contract ({ type, strike, expiration, price, greeks, implied_volatility })
+ * @param {number} spot - Underlying price
+ * @param {object} options - { mid, rate, dividendYield, style, asOf }
+ * @returns {object} Contract with greeks, implied_volatility and greeks_source populated
+ */
+export function fillMissingGreeks(contract, spot, options = {}) {
+  const hasApiGreeks = contract.greeks && Number.isFinite(contract.greeks.delta);
+  if (hasApiGreeks) {
+    return { ...contract, greeks_source: 'api' };
+  }
+
+  if (!(spot > 0) || !(contract.strike > 0) || !contract.expiration) {
+    return contract;
+  }
+
+  const {
+    mid = null,
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividendYield = 0,
+    style = 'american',
+    asOf = new Date()
+  } = options;
+
+  try {
+    const time = yearsToExpiration(contract.expiration, asOf);
+    if (time === 0) return contract;
+
+    const inputs = { type: contract.type, spot, strike: contract.strike, time, rate, dividendYield, style };
+    const marketPrice = mid > 0 ? mid : contract.price?.last;
+
+    const volatility = contract.implied_volatility > 0
+      ? contract.implied_volatility
+      : solveImpliedVolatility({ ...inputs, price: marketPrice });
+
+    if (!volatility) return contract;
+
+    const { price: _modelPrice, ...greeks } = calculateGreeks({ ...inputs, volatility });
+
+    return {
+      ...contract,
+      greeks,
+      implied_volatility: contract.implied_volatility || volatility,
+      greeks_source: 'model'
+    };
+  } catch (error) {
+    console.error(`Could not compute model Greeks for ${contract.ticker || contract.strike}: ${error.message}`);
+    return contract;
+  }
+}
+
+export default {
+  DEFAULT_RISK_FREE_RATE,
+  normalPDF,
+  normalCDF,
+  yearsToExpiration,
+  inferExerciseStyle,
+  blackScholesPrice,
+  bjerksundStenslandPrice,
+  priceOption,
+  calculateGreeks,
+  solveImpliedVolatility,
+  fillMissingGreeks
+};
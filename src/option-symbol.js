@@ -0,0 +1,213 @@
+/**
+ * Option Contract Identifiers
+ *
+ * One place to parse and format OCC/OSI option symbols:
+ * - API tickers ("O:AAPL250117C00150000"), space-padded OSI symbols
+ *   ("AAPL  250117C00150000") and broker forms with a decimal strike
+ *   (".AAPL250117C150")
+ * - Adjusted (non-standard deliverable) roots such as "AAPL1", which keep
+ *   their root in the ticker but resolve to the underlying "AAPL"
+ * - Index roots that differ from the index (SPXW -> SPX, NDXP -> NDX)
+ * - Resolution of tool and client arguments given either as a contract
+ *   ticker or as symbol, option type, strike and expiration
+ */
+
+// Option roots whose underlying is an index with another symbol
+export const INDEX_ROOTS = {
+  SPXW: 'SPX',
+  SPXPM: 'SPX',
+  NDXP: 'NDX',
+  RUTW: 'RUT',
+  VIXW: 'VIX'
+};
+
+const INDEX_UNDERLYINGS = new Set(['SPX', 'NDX', 'RUT', 'VIX', 'XSP', 'DJX', 'OEX', 'XEO']);
+
+// OSI strikes: 8 digits, 3 implied decimals
+const MAX_STRIKE = 99999.999;
+
+function isoDate(year, month, day) {
+  const m = parseInt(month, 10);
+  const d = parseInt(day, 10);
+  if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31)) return null;
+  return `20${year}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function normalizeType(type) {
+  const text = String(type || '').trim().toLowerCase();
+  if (text === 'call' || text === 'c') return 'call';
+  if (text === 'put' || text === 'p') return 'put';
+  return null;
+}
+
+/**
+ * Underlying of an option root: index roots map to their index and adjusted
+ * roots (trailing digit) to the original symbol
+ * @param {string} root - Option root (e.g. 'SPXW', 'AAPL1', 'SPY')
+ * @returns {string} Underlying symbol
+ */
+export function underlyingOfRoot(root) {
+  const upper = String(root).toUpperCase();
+  return INDEX_ROOTS[upper] || upper.replace(/(?<=[A-Z])\d$/, '');
+}
+
+function describeRoot(root) {
+  const underlying = underlyingOfRoot(root);
+  return {
+    root,
+    underlying,
+    adjusted: /[A-Z]\d$/.test(root),
+    index: INDEX_UNDERLYINGS.has(underlying)
+  };
+}
+
+/**
+ * Parse an OCC/OSI option symbol
+ * @param {string} symbol - "O:AAPL250117C00150000", "AAPL  250117C00150000", ".AAPL250117C150", ...
+ * @returns {Object|null} { root, underlying, expiration, type, strike, ticker, osi, adjusted, index }, or null when not an option symbol
+ */
+export function parseOptionSymbol(symbol) {
+  if (!symbol || typeof symbol !== 'string') return null;
+  const compact = symbol.toUpperCase().trim().replace(/^O:/, '').replace(/^[-.]/, '').replace(/\s+/g, '');
+  const match = compact.match(/^([A-Z][A-Z0-9.]{0,5}?)(\d{2})(\d{2})(\d{2})([CP])(\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+
+  const [, root, year, month, day, code, strikeText] = match;
+  const strike = !strikeText.includes('.') && strikeText.length === 8
+    ? parseInt(strikeText, 10) / 1000
+    : parseFloat(strikeText);
+  const expiration = isoDate(year, month, day);
+  if (!expiration || !(strike > 0) || strike > MAX_STRIKE) return null;
+
+  const type = code === 'C' ? 'call' : 'put';
+  return {
+    ...describeRoot(root),
+    expiration,
+    type,
+    strike,
+    ticker: formatOptionTicker({ root, expiration, type, strike }),
+    osi: formatOsiSymbol({ root, expiration, type, strike })
+  };
+}
+
+/**
+ * Whether a string is an option contract symbol
+ * @param {string} symbol - Candidate symbol
+ * @returns {boolean}
+ */
+export function isOptionSymbol(symbol) {
+  return parseOptionSymbol(symbol) !== null;
+}
+
+function contractParts(contract) {
+  const root = String(contract.root || contract.underlying || contract.symbol || '').toUpperCase().replace(/^O:/, '');
+  const type = normalizeType(contract.type ?? contract.option_type ?? contract.optionType);
+  const strike = Number(contract.strike);
+  const match = String(contract.expiration || '').match(/^\d{2}(\d{2})-(\d{2})-(\d{2})$/);
+
+  if (!/^[A-Z][A-Z0-9.]{0,5}$/.test(root)) throw new Error(`Invalid option root: ${root || '(missing)'}`);
+  if (!type) throw new Error(`Invalid option type: ${contract.type ?? contract.option_type ?? contract.optionType}`);
+  if (!(strike > 0) || strike > MAX_STRIKE) throw new Error(`Invalid strike: ${contract.strike}`);
+  if (!match) throw new Error(`Invalid expiration (YYYY-MM-DD): ${contract.expiration}`);
+
+  const [, year, month, day] = match;
+  return {
+    root,
+    date: `${year}${month}${day}`,
+    code: type === 'call' ? 'C' : 'P',
+    strike: String(Math.round(strike * 1000)).padStart(8, '0')
+  };
+}
+
+/**
+ * Format an API option ticker
+ * @param {Object} contract - { root|underlying|symbol, expiration (YYYY-MM-DD), type|option_type (call/put/C/P), strike }
+ * @returns {string} e.g. "O:AAPL250117C00150000"
+ */
+export function formatOptionTicker(contract) {
+  const { root, date, code, strike } = contractParts(contract);
+  return `O:${root}${date}${code}${strike}`;
+}
+
+/**
+ * Format a 21-character OSI symbol (root padded to 6)
+ * @param {Object} contract - Same fields as formatOptionTicker
+ * @returns {string} e.g. "AAPL  250117C00150000"
+ */
+export function formatOsiSymbol(contract) {
+  const { root, date, code, strike } = contractParts(contract);
+  return `${root.padEnd(6, ' ')}${date}${code}${strike}`;
+}
+
+/**
+ * Resolve a contract given as a ticker (contract, or an option symbol passed
+ * as symbol) or as symbol, option type, strike and expiration. Component
+ * fields given alongside a ticker must agree with it.
+ * @param {Object} fields - { contract, symbol, option_type|optionType, strike, expiration }
+ * @returns {Object} { symbol (underlying), root, option_type, strike, expiration, ticker, adjusted, index }
+ */
+export function resolveContract(fields = {}) {
+  const optionType = fields.option_type ?? fields.optionType;
+  const tickerText = fields.contract || (isOptionSymbol(fields.symbol) ? fields.symbol : null);
+
+  if (tickerText) {
+    const parsed = parseOptionSymbol(tickerText);
+    if (!parsed) {
+      throw new Error(`Invalid option contract: ${tickerText}`);
+    }
+
+    const conflicts = [];
+    const symbol = fields.contract && fields.symbol ? String(fields.symbol).toUpperCase() : null;
+    if (symbol && symbol !== parsed.underlying && symbol !== parsed.root) conflicts.push(`symbol ${fields.symbol}`);
+    if (optionType && normalizeType(optionType) !== parsed.type) conflicts.push(`type ${optionType}`);
+    if (fields.strike !== undefined && fields.strike !== null && Number(fields.strike) !== parsed.strike) conflicts.push(`strike ${fields.strike}`);
+    if (fields.expiration && fields.expiration !== parsed.expiration) conflicts.push(`expiration ${fields.expiration}`);
+    if (conflicts.length > 0) {
+      throw new Error(`Contract ${parsed.ticker} does not match ${conflicts.join(', ')}`);
+    }
+
+    return {
+      symbol: parsed.underlying,
+      root: parsed.root,
+      option_type: parsed.type,
+      strike: parsed.strike,
+      expiration: parsed.expiration,
+      ticker: parsed.ticker,
+      adjusted: parsed.adjusted,
+      index: parsed.index
+    };
+  }
+
+  const missing = [
+    !fields.symbol && 'symbol',
+    !optionType && 'option type',
+    (fields.strike === undefined || fields.strike === null) && 'strike',
+    !fields.expiration && 'expiration'
+  ].filter(Boolean);
+  if (missing.length > 0) {
+    throw new Error(`Provide an option contract ticker (e.g. O:AAPL250117C00150000) or symbol, option type, strike and expiration (missing: ${missing.join(', ')})`);
+  }
+
+  const root = String(fields.symbol).toUpperCase();
+  const { underlying, adjusted, index } = describeRoot(root);
+  return {
+    symbol: underlying,
+    root,
+    option_type: normalizeType(optionType),
+    strike: Number(fields.strike),
+    expiration: fields.expiration,
+    ticker: formatOptionTicker({ root, expiration: fields.expiration, type: optionType, strike: fields.strike }),
+    adjusted,
+    index
+  };
+}
+
+export default {
+  INDEX_ROOTS,
+  underlyingOfRoot,
+  parseOptionSymbol,
+  isOptionSymbol,
+  formatOptionTicker,
+  formatOsiSymbol,
+  resolveContract
+};
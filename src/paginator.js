@@ -0,0 +1,158 @@
+/**
+ * Paginator Module
+ *
+ * Follows Massive `next_url` cursors so chains and searches are not silently
+ * cut off at one page:
+ * - A budget (items and pages) bounds each call and can be shared across
+ *   several paginations running in parallel
+ * - Every result says whether it was truncated and why, so analyses know
+ *   whether they saw the whole chain
+ * - Expiration-date slices let a full chain be fetched in parallel
+ */
+
+export const DEFAULT_PAGINATION_BUDGET = {
+  max_items: 10000,
+  max_pages: 100
+};
+
+// Expiration slice boundaries in days from today; the last slice is open-ended
+export const EXPIRATION_SLICE_DAYS = [0, 7, 30, 90, 365];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a request budget; pass the same object to several paginate() calls
+ * to share it
+ * @param {Object} limits - { max_items, max_pages }
+ * @returns {Object} Budget with running counters
+ */
+export function createBudget(limits = {}) {
+  return {
+    max_items: limits.max_items ?? DEFAULT_PAGINATION_BUDGET.max_items,
+    max_pages: limits.max_pages ?? DEFAULT_PAGINATION_BUDGET.max_pages,
+    items: 0,
+    pages: 0
+  };
+}
+
+/**
+ * Fetch every page of a list endpoint, following next_url cursors
+ * @param {Object} http - axios instance (supplies baseURL and the API key)
+ * @param {string} path - Endpoint path for the first page
+ * @param {Object} params - Query params for the first page (cursors carry them after that)
+ * @param {Object} options - { budget } or { max_items, max_pages }
+ * @returns {Promise<Object>} { results, pages, truncated, truncation_reason, next_url }
+ */
+export async function paginate(http, path, params = {}, options = {}) {
+  const budget = options.budget || createBudget(options);
+  const results = [];
+  let pages = 0;
+  let nextUrl = null;
+  let reason = null;
+  let request = { url: path, config: { params } };
+
+  while (request) {
+    if (budget.items >= budget.max_items) {
+      reason = 'item_budget';
+      break;
+    }
+    if (budget.pages >= budget.max_pages) {
+      reason = 'page_budget';
+      break;
+    }
+
+    const response = await http.get(request.url, request.config);
+    budget.pages++;
+    pages++;
+
+    const page = response.data?.results || [];
+    const room = budget.max_items - budget.items;
+    results.push(...page.slice(0, room));
+    budget.items += Math.min(page.length, room);
+    nextUrl = response.data?.next_url || null;
+
+    if (page.length > room) {
+      // The cursor points past this page, so the cut-off rows cannot be resumed
+      reason = 'item_budget';
+      nextUrl = null;
+      break;
+    }
+    request = nextUrl && page.length > 0 ? { url: nextUrl, config: {} } : null;
+  }
+
+  // The loop only stops early with pages still to fetch
+  const truncated = reason !== null;
+  return {
+    results,
+    pages,
+    truncated,
+    truncation_reason: truncated ? reason : null,
+    next_url: truncated ? nextUrl : null
+  };
+}
+
+/**
+ * Split the expiration calendar into date ranges that can be paged in parallel
+ * @param {Date} asOf - Start date (default today)
+ * @param {Array} boundaries - Day offsets (default EXPIRATION_SLICE_DAYS)
+ * @returns {Array} [{ from, to }] with to = null for the open-ended last slice
+ */
+export function buildExpirationSlices(asOf = new Date(), boundaries = EXPIRATION_SLICE_DAYS) {
+  const dateAt = (days) => new Date(asOf.getTime() + days * MS_PER_DAY).toISOString().split('T')[0];
+
+  return boundaries.map((start, i) => ({
+    from: dateAt(i === 0 ? start : start + 1),
+    to: i < boundaries.length - 1 ? dateAt(boundaries[i + 1]) : null
+  }));
+}
+
+/**
+ * Coverage metadata for a set of paginations
+ * @param {Array} parts - paginate() results, each optionally with a `slice` ({ from, to })
+ * @param {Object} budget - Shared budget
+ * @param {Function} expirationOf - Reads an expiration date from a result row (for sliced fetches)
+ * @returns {Object} Coverage summary
+ */
+export function describeCoverage(parts, budget, expirationOf = null) {
+  const truncatedParts = parts.filter(part => part.truncated);
+  const coverage = {
+    complete: truncatedParts.length === 0,
+    items_fetched: parts.reduce((sum, part) => sum + part.results.length, 0),
+    pages_fetched: parts.reduce((sum, part) => sum + part.pages, 0),
+    budget: { max_items: budget.max_items, max_pages: budget.max_pages },
+    truncation_reason: truncatedParts[0]?.truncation_reason || null
+  };
+
+  if (parts.some(part => part.slice)) {
+    coverage.slices = parts.map(part => ({
+      expiration_from: part.slice.from,
+      expiration_to: part.slice.to,
+      items: part.results.length,
+      pages: part.pages,
+      complete: !part.truncated
+    }));
+
+    // Rows arrive in ticker (and so expiration) order: the last expiration seen
+    // in a truncated slice is partial and anything after it is missing
+    if (expirationOf) {
+      coverage.partial_expirations = [];
+      coverage.unfetched_ranges = [];
+      truncatedParts.forEach(part => {
+        const lastSeen = part.results.length > 0 ? expirationOf(part.results[part.results.length - 1]) : null;
+        if (lastSeen) coverage.partial_expirations.push(lastSeen);
+        coverage.unfetched_ranges.push({ from: lastSeen || part.slice.from, to: part.slice.to });
+      });
+    }
+  }
+
+  return coverage;
+}
+
+export default {
+  DEFAULT_PAGINATION_BUDGET,
+  EXPIRATION_SLICE_DAYS,
+  createBudget,
+  paginate,
+  buildExpirationSlices,
+  describeCoverage
+};
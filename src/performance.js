@@ -0,0 +1,347 @@
+/**
+ * Performance Analytics Module
+ *
+ * Realized P&L and trade statistics across closed tracked positions:
+ * - Realized P&L per trade from the recorded exit profit, else from fills
+ *   that net the position flat, else from the position's campaign premium
+ *   (entry, rolls, adjustments, partial closes), assigned share sales and
+ *   its exit price
+ * - P&L by day, week and month of exit, and by symbol, strategy and tag
+ * - Win rate, average winner/loser, expectancy, profit factor, drawdown of
+ *   the cumulative realized P&L and holding-period statistics
+ */
+
+import { campaignOf } from './position-store.js';
+
+const CONTRACT_MULTIPLIER = 100;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const UNTAGGED = '(untagged)';
+
+function round(value, digits = 2) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+// Whether bought and sold quantities match for each leg the fills touch
+function fillsAreFlat(fills) {
+  const net = {};
+  fills.forEach(fill => {
+    const key = fill.leg_id || '';
+    net[key] = (net[key] || 0) + (fill.side === 'buy' ? fill.quantity : -fill.quantity);
+  });
+  return Object.values(net).every(quantity => Math.abs(quantity) < 1e-9);
+}
+
+/**
+ * Realized P&L of a closed position
+ * @param {Object} position - Tracked position (see position-tracker.js)
+ * @returns {Object|null} { pnl, source: exit_profit|fills|prices }, or null when it cannot be determined
+ */
+export function realizedPnL(position) {
+  if (Number.isFinite(position.exit_profit)) {
+    return { pnl: position.exit_profit, source: 'exit_profit' };
+  }
+
+  // Fills: sells bring cash in, buys pay it out, fees always cost. Only fills that
+  // net every leg flat price the trade; a lone opening fill falls through to prices
+  const fills = position.fills || [];
+  if (fills.length > 0 && fillsAreFlat(fills)) {
+    const pnl = fills.reduce((sum, fill) => {
+      const cash = fill.price * fill.quantity * CONTRACT_MULTIPLIER;
+      return sum + (fill.side === 'sell' ? cash : -cash) - (fill.fees || 0);
+    }, 0);
+    return { pnl, source: 'fills' };
+  }
+
+  // Prices: the campaign's premium (entry, rolls, adjustments, partial closes)
+  // and share sales, with any contracts still open bought or sold back at the exit price
+  if (!Number.isFinite(position.entry_price) && !Number.isFinite(position.entry_credit)) {
+    return null;
+  }
+  if (position.shares?.quantity) {
+    return null; // Shares closed without a sale price
+  }
+  const campaign = campaignOf(position);
+  const contracts = position.contracts ?? 1;
+  let closing = 0;
+  if (contracts > 0) {
+    if (!Number.isFinite(position.exit_price)) return null;
+    closing = (campaign.entry_type === 'credit' ? -1 : 1) * position.exit_price * contracts * CONTRACT_MULTIPLIER;
+  }
+
+  return { pnl: campaign.realized_pnl + campaign.open_premium + closing, source: 'prices' };
+}
+
+/**
+ * One record per closed position with its realized P&L
+ * @param {Array} positions - Tracked positions
+ * @returns {Object} { trades (sorted by exit), unpriced: [{ position_id, symbol, reason }] }
+ */
+export function buildTradeRecords(positions) {
+  const trades = [];
+  const unpriced = [];
+
+  positions.filter(p => p.status === 'closed').forEach(position => {
+    const realized = realizedPnL(position);
+    if (!realized) {
+      unpriced.push({
+        position_id: position.id,
+        symbol: position.symbol,
+        reason: 'No exit_profit, fills or entry/exit prices recorded'
+      });
+      return;
+    }
+
+    const exitDate = position.exit_date || position.closed_at?.split('T')[0];
+    const entryDate = position.entry_date || position.created_at?.split('T')[0];
+    const daysHeld = entryDate && exitDate
+      ? Math.max(0, Math.round((Date.parse(exitDate) - Date.parse(entryDate)) / MS_PER_DAY))
+      : null;
+
+    trades.push({
+      position_id: position.id,
+      symbol: position.symbol,
+      strategy: position.strategy || 'unknown',
+      tags: position.tags || [],
+      entry_date: entryDate || null,
+      exit_date: exitDate || null,
+      closed_at: position.closed_at || null,
+      days_held: daysHeld,
+      realized_pnl: round(realized.pnl),
+      pnl_source: realized.source
+    });
+  });
+
+  trades.sort((a, b) =>
+    (a.exit_date || '').localeCompare(b.exit_date || '') || (a.closed_at || '').localeCompare(b.closed_at || '')
+  );
+  return { trades, unpriced };
+}
+
+/**
+ * Drawdown of cumulative realized P&L, trade by trade
+ * @param {Array} trades - Trades in exit order
+ * @param {number|null} accountSize - Starting equity, for percentage drawdown
+ * @returns {Object} Max drawdown, its percent (with account size) and the peak/trough dates
+ */
+export function realizedDrawdown(trades, accountSize = null) {
+  let equity = accountSize || 0;
+  let peak = equity;
+  let peakDate = null;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+  let window = { peak_date: null, trough_date: null };
+
+  trades.forEach(trade => {
+    equity += trade.realized_pnl;
+    if (equity > peak) {
+      peak = equity;
+      peakDate = trade.exit_date;
+    }
+    const drawdown = equity - peak;
+    if (drawdown < maxDrawdown) {
+      maxDrawdown = drawdown;
+      window = { peak_date: peakDate, trough_date: trade.exit_date };
+    }
+    if (accountSize && peak > 0) {
+      maxDrawdownPct = Math.min(maxDrawdownPct, drawdown / peak);
+    }
+  });
+
+  return {
+    max_drawdown: round(maxDrawdown),
+    max_drawdown_pct: accountSize ? round(maxDrawdownPct * 100) : null,
+    ...window
+  };
+}
+
+/**
+ * Win/loss statistics for a set of trades (breakeven trades count as losses)
+ * @param {Array} trades - Trade records
+ * @returns {Object} Trade statistics
+ */
+export function summarizeTrades(trades) {
+  const wins = trades.filter(t => t.realized_pnl > 0);
+  const losses = trades.filter(t => t.realized_pnl <= 0);
+  const grossProfit = wins.reduce((sum, t) => sum + t.realized_pnl, 0);
+  const grossLoss = losses.reduce((sum, t) => sum + t.realized_pnl, 0);
+  const netPnL = grossProfit + grossLoss;
+  const avgWin = wins.length > 0 ? grossProfit / wins.length : 0;
+  const avgLoss = losses.length > 0 ? grossLoss / losses.length : 0;
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    net_pnl: round(netPnL),
+    gross_profit: round(grossProfit),
+    gross_loss: round(grossLoss),
+    win_rate: trades.length > 0 ? round(wins.length / trades.length, 3) : 0,
+    avg_win: round(avgWin),
+    avg_loss: round(avgLoss),
+    largest_win: wins.length > 0 ? Math.max(...wins.map(t => t.realized_pnl)) : 0,
+    largest_loss: losses.length > 0 ? Math.min(...losses.map(t => t.realized_pnl)) : 0,
+    payoff_ratio: avgLoss < 0 ? round(avgWin / -avgLoss) : null,
+    profit_factor: grossLoss < 0 ? round(grossProfit / -grossLoss) : null,
+    expectancy: trades.length > 0 ? round(netPnL / trades.length) : 0
+  };
+}
+
+/**
+ * Holding-period statistics in calendar days
+ * @param {Array} trades - Trade records
+ * @returns {Object} Average, median, min and max days held, split by winners and losers
+ */
+export function holdingPeriodStats(trades) {
+  const held = trades.filter(t => t.days_held !== null);
+  const days = held.map(t => t.days_held);
+  const average = list => (list.length > 0 ? round(list.reduce((sum, d) => sum + d, 0) / list.length, 1) : null);
+
+  return {
+    trades_with_dates: held.length,
+    avg_days: average(days),
+    median_days: median(days),
+    min_days: days.length > 0 ? Math.min(...days) : null,
+    max_days: days.length > 0 ? Math.max(...days) : null,
+    avg_days_winners: average(held.filter(t => t.realized_pnl > 0).map(t => t.days_held)),
+    avg_days_losers: average(held.filter(t => t.realized_pnl <= 0).map(t => t.days_held))
+  };
+}
+
+// Monday of the exit date's week, as YYYY-MM-DD
+function weekOf(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  const offset = (day.getUTCDay() + 6) % 7;
+  return new Date(day.getTime() - offset * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+const PERIOD_KEYS = {
+  day: date => date,
+  week: weekOf,
+  month: date => date.slice(0, 7)
+};
+
+/**
+ * Realized P&L by exit period, with the running cumulative P&L
+ * @param {Array} trades - Trades in exit order
+ * @param {string} period - day, week or month
+ * @returns {Array} [{ period, trades, wins, losses, net_pnl, win_rate, cumulative_pnl }]
+ */
+export function pnlByPeriod(trades, period = 'month') {
+  const keyOf = PERIOD_KEYS[period];
+  if (!keyOf) {
+    throw new Error(`Unknown period: ${period}. Use day, week or month`);
+  }
+
+  const buckets = new Map();
+  trades.filter(t => t.exit_date).forEach(trade => {
+    const key = keyOf(trade.exit_date);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(trade);
+  });
+
+  let cumulative = 0;
+  return [...buckets.keys()].sort().map(key => {
+    const bucket = buckets.get(key);
+    const net = bucket.reduce((sum, t) => sum + t.realized_pnl, 0);
+    const wins = bucket.filter(t => t.realized_pnl > 0).length;
+    cumulative += net;
+    return {
+      period: key,
+      trades: bucket.length,
+      wins,
+      losses: bucket.length - wins,
+      net_pnl: round(net),
+      win_rate: round(wins / bucket.length, 3),
+      cumulative_pnl: round(cumulative)
+    };
+  });
+}
+
+/**
+ * Trade statistics per group, sorted by net P&L
+ * @param {Array} trades - Trade records
+ * @param {Function} keysOf - trade => [group keys] (a trade may belong to several groups)
+ * @returns {Array} [{ key, ...summarizeTrades }]
+ */
+export function groupTrades(trades, keysOf) {
+  const groups = new Map();
+  trades.forEach(trade => {
+    keysOf(trade).forEach(key => {
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(trade);
+    });
+  });
+
+  return [...groups.entries()]
+    .map(([key, group]) => ({ key, ...summarizeTrades(group) }))
+    .sort((a, b) => b.net_pnl - a.net_pnl || String(a.key).localeCompare(String(b.key)));
+}
+
+/**
+ * Performance report across closed positions
+ * @param {Array} positions - Tracked positions (open ones are only counted)
+ * @param {Object} options - from, to (exit dates), symbol, strategy, tag, account_size, include_trades
+ * @returns {Object} Performance report
+ */
+export function buildPerformanceReport(positions, options = {}) {
+  const { from, to, symbol, strategy, tag, account_size = null, include_trades = false } = options;
+
+  const { trades: allTrades, unpriced } = buildTradeRecords(positions);
+  const trades = allTrades.filter(t =>
+    (!from || (t.exit_date && t.exit_date >= from)) &&
+    (!to || (t.exit_date && t.exit_date <= to)) &&
+    (!symbol || t.symbol?.toUpperCase() === symbol.toUpperCase()) &&
+    (!strategy || t.strategy === strategy) &&
+    (!tag || t.tags.includes(tag))
+  );
+
+  const report = {
+    filters: { from: from || null, to: to || null, symbol: symbol || null, strategy: strategy || null, tag: tag || null },
+    open_positions: positions.filter(p => p.status === 'open').length,
+    closed_positions: trades.length,
+    summary: summarizeTrades(trades),
+    drawdown: realizedDrawdown(trades, account_size),
+    holding_period: holdingPeriodStats(trades),
+    by_day: pnlByPeriod(trades, 'day'),
+    by_week: pnlByPeriod(trades, 'week'),
+    by_month: pnlByPeriod(trades, 'month'),
+    by_symbol: groupTrades(trades, t => [t.symbol]),
+    by_strategy: groupTrades(trades, t => [t.strategy]),
+    by_tag: groupTrades(trades, t => (t.tags.length > 0 ? t.tags : [UNTAGGED])),
+    pnl_sources: trades.reduce((acc, t) => {
+      acc[t.pnl_source] = (acc[t.pnl_source] || 0) + 1;
+      return acc;
+    }, {})
+  };
+
+  if (account_size) {
+    report.summary.return_on_account_pct = round(report.summary.net_pnl / account_size * 100);
+  }
+  if (unpriced.length > 0) {
+    report.unpriced_positions = unpriced;
+    report.warning = `${unpriced.length} closed position(s) have no realized P&L and are excluded - close them with exit_profit or exit_price`;
+  }
+  if (include_trades) {
+    report.trades = trades;
+  }
+
+  return report;
+}
+
+export default {
+  realizedPnL,
+  buildTradeRecords,
+  realizedDrawdown,
+  summarizeTrades,
+  holdingPeriodStats,
+  pnlByPeriod,
+  groupTrades,
+  buildPerformanceReport
+};
@@ -23,18 +23,19 @@ export function calculateSpreadPnL(strategy, underlyingPrice, contracts = 1) {
       legValue = Math.max(0, leg.strike - underlyingPrice);
     }
 
-    // Calculate P&L based on action
+    // Calculate P&L based on action (ratio legs carry a quantity per spread)
+    const quantity = leg.quantity || 1;
     let legPnL;
     if (leg.action === 'buy') {
-      legPnL = (legValue - leg.price) * multiplier * contracts;
+      legPnL = (legValue - leg.price) * multiplier * contracts * quantity;
     } else if (leg.action === 'sell') {
-      legPnL = (leg.price - legValue) * multiplier * contracts;
+      legPnL = (leg.price - legValue) * multiplier * contracts * quantity;
     }
 
     totalPnL += legPnL;
 
     return {
-      leg: `${leg.action} ${leg.type} ${leg.strike}`,
+      leg: `${leg.action} ${quantity > 1 ? `${quantity}x ` : ''}${leg.type} ${leg.strike}`,
       value_at_price: parseFloat(legValue.toFixed(2)),
       entry_price: leg.price,
       pnl: parseFloat(legPnL.toFixed(2))
@@ -127,6 +128,16 @@ export function calculateBreakevens(strategy) {
       break;
 
     default:
+      // Custom strategies carry scanned breakevens
+      if (Array.isArray(strategy.breakevens) && strategy.breakevens.length > 0) {
+        strategy.breakevens.forEach(price => {
+          result.breakevens.push({
+            price,
+            description: `Breakeven at ${price}`
+          });
+        });
+        break;
+      }
       result.breakevens.push({
         price: null,
         description: 'Breakeven calculation not available for this strategy type'
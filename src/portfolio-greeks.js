@@ -7,6 +7,15 @@
  * Critical for preventing hidden exposure accumulation.
  */
 
+import {
+  DEFAULT_RISK_FREE_RATE,
+  calculateGreeks,
+  inferExerciseStyle,
+  priceOption,
+  solveImpliedVolatility,
+  yearsToExpiration
+} from './option-pricing.js';
+
 /**
  * Calculate portfolio-level Greeks from multiple positions
  * @param {Array} positions - Array of positions with option legs
@@ -120,6 +129,12 @@ export function calculatePortfolioGreeks(positions = [], config = {}) {
     warnings.push(`⚠️  Net vega ${netVega.toFixed(0)} exceeds limit of ±${max_vega}`);
   }
 
+  // Share deltas of different underlyings do not add up to one exposure
+  const underlyings = new Set(positions.map(position => position.symbol).filter(Boolean));
+  if (underlyings.size > 1) {
+    warnings.push(`Net delta adds share deltas across ${underlyings.size} underlyings; use get_correlation_risk for beta-weighted delta`);
+  }
+
   // Determine directional bias
   let directionalBias;
   if (netDelta > 100) {
@@ -282,8 +297,8 @@ export function calculateScenarioPnL(portfolioGreeks, scenarios = {}, underlying
   // Theta P&L
   const thetaPnL = net_theta * days_forward;
 
-  // Vega P&L
-  const vegaPnL = net_vega * (iv_change_pts / 100);
+  // Vega P&L (vega is per 1 vol point)
+  const vegaPnL = net_vega * iv_change_pts;
 
   const totalPnL = deltaPnL + gammaPnL + thetaPnL + vegaPnL;
 
@@ -307,6 +322,216 @@ export function calculateScenarioPnL(portfolioGreeks, scenarios = {}, underlying
   };
 }
 
+/**
+ * Resolve every option leg into a priceable form for full revaluation
+ * Missing IVs are solved from the leg's market price and missing Greeks are
+ * filled from the pricing model, so legs can be repriced under any scenario.
+ * The P&L base (`value`) is the market price - the quote mid, else `price` -
+ * and the model price only when the leg has no quote; `model_value` keeps the
+ * model price so a mismatch between a given IV and the quote can be reported.
+ * @param {Array} positions - Positions with legs ({ action|position, type, strike, expiration, iv|implied_volatility, price, mid|bid+ask, greeks, quantity })
+ * @param {object} config - { underlying_price, underlying_prices, rate, dividend_yield, contract_multiplier, as_of }
+ * @returns {object} { legs, skipped } where legs carry spot, iv, value, model_value, value_source and signed share quantity
+ */
+export function prepareLegsForRevaluation(positions = [], config = {}) {
+  const {
+    underlying_price = null,
+    underlying_prices = {},
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividend_yield = 0,
+    contract_multiplier = 100,
+    as_of = new Date()
+  } = config;
+
+  const legs = [];
+  const skipped = [];
+
+  positions.forEach((position, index) => {
+    const positionId = position.id || `position_${index + 1}`;
+    const spot = position.underlying_price || underlying_prices[position.symbol] || underlying_price;
+
+    (position.legs || []).forEach((leg, legIndex) => {
+      const type = leg.type || leg.contract_type;
+      const strike = leg.strike || leg.strike_price;
+      const expiration = leg.expiration || leg.expiration_date || position.expiration;
+      const contracts = position.contracts || leg.contracts || 1;
+      const sign = (leg.action === 'buy' || leg.position === 'long') ? 1 : -1;
+      const style = leg.style || inferExerciseStyle(position.symbol);
+
+      const skip = (reason) => skipped.push({ position_id: positionId, leg: legIndex + 1, reason });
+
+      if (!spot) return skip('No underlying price');
+      if (!type || !strike || !expiration) return skip('Leg needs type, strike and expiration');
+
+      const time = yearsToExpiration(expiration, as_of);
+      const inputs = { type, spot, strike, time, rate, dividendYield: dividend_yield, style };
+
+      const quoteMid = leg.mid > 0 ? leg.mid : (leg.bid > 0 && leg.ask > 0 ? (leg.bid + leg.ask) / 2 : null);
+      const marketPrice = quoteMid ?? (leg.price > 0 ? leg.price : null);
+
+      let iv = leg.iv || leg.implied_volatility || null;
+      if (!iv && marketPrice) {
+        iv = solveImpliedVolatility({ ...inputs, price: marketPrice });
+      }
+      if (!iv) return skip('No implied volatility and price could not be inverted');
+
+      const model = calculateGreeks({ ...inputs, volatility: iv });
+      const hasApiGreeks = leg.greeks && Number.isFinite(leg.greeks.delta);
+
+      legs.push({
+        position_id: positionId,
+        symbol: position.symbol,
+        type,
+        strike,
+        expiration,
+        style,
+        spot,
+        iv,
+        sign,
+        shares: sign * (leg.quantity || 1) * contracts * contract_multiplier,
+        value: marketPrice ?? model.price,
+        model_value: model.price,
+        value_source: quoteMid ? 'mid' : (marketPrice ? 'price' : 'model'),
+        greeks: hasApiGreeks ? leg.greeks : model,
+        greeks_source: hasApiGreeks ? 'api' : 'model'
+      });
+    });
+  });
+
+  return { legs, skipped };
+}
+
+/**
+ * Reprice a prepared leg under shocked spot, IV and valuation date
+ * @param {object} leg - Leg from prepareLegsForRevaluation
+ * @param {object} shock - { spot, iv_change_pts, days_forward }
+ * @param {object} config - { rate, dividend_yield, as_of, iv_floor, iv_shock_model }
+ * @returns {number} Option value per share after the shock
+ */
+export function revalueLeg(leg, shock = {}, config = {}) {
+  const {
+    rate = DEFAULT_RISK_FREE_RATE,
+    dividend_yield = 0,
+    as_of = new Date(),
+    iv_floor = 0.01,
+    iv_shock_model = 'parallel'
+  } = config;
+  const { spot = leg.spot, iv_change_pts = 0, days_forward = 0 } = shock;
+
+  const valuationDate = new Date(new Date(as_of).getTime() + days_forward * 24 * 60 * 60 * 1000);
+  const time = yearsToExpiration(leg.expiration, valuationDate);
+
+  // 'sqrt_time' shocks front-month vol harder than back-month, scaled to a 30-day reference
+  let ivShift = iv_change_pts / 100;
+  if (iv_shock_model === 'sqrt_time') {
+    const dte = Math.max(1, yearsToExpiration(leg.expiration, as_of) * 365);
+    ivShift *= Math.sqrt(30 / dte);
+  }
+
+  return priceOption({
+    type: leg.type,
+    spot,
+    strike: leg.strike,
+    time,
+    volatility: Math.max(iv_floor, leg.iv + ivShift),
+    rate,
+    dividendYield: dividend_yield,
+    style: leg.style
+  });
+}
+
+/**
+ * Full-revaluation scenario P&L: reprice every leg instead of using Greek Taylor terms
+ * Reports the Greek approximation (calculateScenarioPnL on the same legs) and its error
+ * per position so convexity the Greeks miss is visible.
+ * P&L runs from the market price of each leg, so it includes `model_vs_market`:
+ * what the model at the given IVs adds over the quotes before any shock. The
+ * approximation error leaves that offset out.
+ * @param {Array} positions - Positions with legs
+ * @param {object} scenario - { price_move_pct, iv_change_pts, days_forward }
+ * @param {object} config - See prepareLegsForRevaluation and revalueLeg
+ * @returns {object} Full-revaluation P&L, Greek estimate and approximation error
+ */
+export function calculateFullRevaluationPnL(positions = [], scenario = {}, config = {}) {
+  const { price_move_pct = 0, iv_change_pts = 0, days_forward = 0 } = scenario;
+  const { legs, skipped } = config.prepared || prepareLegsForRevaluation(positions, config);
+
+  const byPosition = {};
+
+  legs.forEach(leg => {
+    const shockedValue = revalueLeg(leg, {
+      spot: leg.spot * (1 + price_move_pct),
+      iv_change_pts,
+      days_forward
+    }, config);
+    const fullPnL = (shockedValue - leg.value) * leg.shares;
+
+    if (!byPosition[leg.position_id]) {
+      byPosition[leg.position_id] = {
+        position_id: leg.position_id,
+        symbol: leg.symbol,
+        spot: leg.spot,
+        full_pnl: 0,
+        model_vs_market: 0,
+        greeks: { net_delta: 0, net_gamma: 0, net_theta: 0, net_vega: 0 }
+      };
+    }
+
+    const entry = byPosition[leg.position_id];
+    entry.full_pnl += fullPnL;
+    entry.model_vs_market += (leg.model_value - leg.value) * leg.shares;
+    entry.greeks.net_delta += (leg.greeks.delta || 0) * leg.shares;
+    entry.greeks.net_gamma += (leg.greeks.gamma || 0) * leg.shares;
+    entry.greeks.net_theta += (leg.greeks.theta || 0) * leg.shares;
+    entry.greeks.net_vega += (leg.greeks.vega || 0) * leg.shares;
+  });
+
+  let totalFull = 0;
+  let totalApprox = 0;
+  let totalMismatch = 0;
+
+  const positionResults = Object.values(byPosition).map(entry => {
+    const approx = calculateScenarioPnL(entry.greeks, { price_move_pct, iv_change_pts, days_forward }, entry.spot);
+    const error = approx.total_estimated_pnl - (entry.full_pnl - entry.model_vs_market);
+
+    totalFull += entry.full_pnl;
+    totalApprox += approx.total_estimated_pnl;
+    totalMismatch += entry.model_vs_market;
+
+    return {
+      position_id: entry.position_id,
+      symbol: entry.symbol,
+      full_revaluation_pnl: parseFloat(entry.full_pnl.toFixed(2)),
+      greek_estimated_pnl: approx.total_estimated_pnl,
+      approximation_error: parseFloat(error.toFixed(2)),
+      model_vs_market: parseFloat(entry.model_vs_market.toFixed(2))
+    };
+  });
+
+  const totalError = totalApprox - (totalFull - totalMismatch);
+  const mismatched = Math.abs(totalMismatch) >= 0.01;
+
+  return {
+    scenarios: {
+      price_move_pct: `${(price_move_pct * 100).toFixed(1)}%`,
+      iv_change_pts: `${iv_change_pts > 0 ? '+' : ''}${iv_change_pts}pts`,
+      days_forward
+    },
+    full_revaluation_pnl: parseFloat(totalFull.toFixed(2)),
+    greek_estimated_pnl: parseFloat(totalApprox.toFixed(2)),
+    approximation_error: parseFloat(totalError.toFixed(2)),
+    approximation_error_pct: Math.abs(totalFull - totalMismatch) > 0.01 ?
+      parseFloat(((totalError / Math.abs(totalFull - totalMismatch)) * 100).toFixed(1)) : 0,
+    model_vs_market: parseFloat(totalMismatch.toFixed(2)),
+    ...(mismatched ? {
+      base_note: `P&L is measured from market prices; $${totalMismatch.toFixed(2)} of it is the model at the given IVs pricing the legs away from their quotes`
+    } : {}),
+    positions: positionResults,
+    legs_repriced: legs.length,
+    skipped_legs: skipped
+  };
+}
+
 /**
  * Generate portfolio risk warnings based on Greeks
  * @param {object} portfolioGreeks - Portfolio Greeks
@@ -377,5 +602,8 @@ export function generatePortfolioRiskWarnings(portfolioGreeks, marketData = {})
 export default {
   calculatePortfolioGreeks,
   calculateScenarioPnL,
+  prepareLegsForRevaluation,
+  revalueLeg,
+  calculateFullRevaluationPnL,
   generatePortfolioRiskWarnings
 };
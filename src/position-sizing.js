@@ -2,12 +2,19 @@
 // Calculates optimal position sizes based on account size and risk parameters
 
 import { adjustStrategyForCosts, calculateTrueExpectedValue } from './transaction-costs.js';
+import { calculateRegTMargin } from './margin.js';
+import { generatePnLScenarios, calculateSpreadPnL } from './pnl-calculator.js';
+import { createRandom, simulatePricePaths } from './monte-carlo.js';
+import { normalCDF, yearsToExpiration } from './option-pricing.js';
 
 /**
  * Calculate position size for a strategy
  * @param {Object} strategy - Strategy object with max_risk
  * @param {number} accountSize - Total account size
- * @param {Object} riskConfig - Risk configuration
+ * @param {Object} riskConfig - Risk configuration; with buying_power (and account_type) contracts are
+ *   also limited by the Reg-T buying power each one uses. sizing_mode 'distribution' also caps them at
+ *   fractional Kelly (and max_risk_of_ruin) from the strategy's P&L distribution: strategy.pnl_distribution,
+ *   or one built with distribution_source and volatility
  * @param {boolean} includeCosts - Whether to include transaction costs (default: true)
  * @returns {Object} Position sizing recommendation
  */
@@ -17,7 +24,15 @@ export function calculatePositionSize(strategy, accountSize, riskConfig = {}, in
     min_reward_ratio = 2.0,
     min_prob_profit = 0.5,
     max_concentration = 0.40, // Max 40% in any position
-    contract_multiplier = 100 // Standard options contract size
+    contract_multiplier = 100, // Standard options contract size
+    buying_power = null, // Available buying power (null = not checked)
+    account_type = 'margin',
+    sizing_mode = 'fixed', // 'fixed' or 'distribution' (Kelly from the P&L distribution)
+    kelly_multiplier = 0.25,
+    max_risk_of_ruin = null,
+    ruin_threshold = 0.5,
+    distribution_source = 'scenarios',
+    volatility = null
   } = riskConfig;
 
   // Adjust strategy for transaction costs if enabled
@@ -63,8 +78,65 @@ export function calculatePositionSize(strategy, accountSize, riskConfig = {}, in
   const totalCostPerContract = Math.abs(strategy.net_debit || strategy.net_credit) * contract_multiplier;
   const contractsBasedOnConcentration = Math.floor(maxPositionDollars / totalCostPerContract);
 
-  // Use the more conservative limit
-  const recommendedContracts = Math.min(contractsBasedOnRisk, contractsBasedOnConcentration);
+  // Buying power per contract: a naked short uses far more than its max loss suggests
+  let marginPerContract = null;
+  let contractsBasedOnMargin = Infinity;
+  if (buying_power !== null) {
+    marginPerContract = strategy.margin_per_contract ?? (strategy.legs?.length
+      ? calculateRegTMargin({ ...strategy, contracts: 1 }, { account_type, contract_multiplier }).buying_power_effect
+      : null);
+    if (marginPerContract > 0) {
+      contractsBasedOnMargin = Math.floor(buying_power / marginPerContract);
+      if (contractsBasedOnMargin < 1) {
+        return {
+          recommended_contracts: 0,
+          reason: `Buying power $${buying_power.toFixed(2)} below the $${marginPerContract.toFixed(2)} margin one contract needs`,
+          rejected: true,
+          margin_per_contract: marginPerContract,
+          transaction_costs: transactionCosts
+        };
+      }
+    }
+  }
+
+  // Distribution Kelly: size from the whole payoff rather than one win rate and ratio
+  let distributionKelly = null;
+  let contractsBasedOnKelly = Infinity;
+  if (sizing_mode === 'distribution') {
+    try {
+      const distribution = strategy.pnl_distribution ||
+        buildPnLDistribution(strategy, { source: distribution_source, volatility });
+      distributionKelly = calculateDistributionKelly(distribution, accountSize, {
+        kelly_multiplier,
+        max_risk_of_ruin,
+        ruin_threshold,
+        contract_counts: [Math.min(contractsBasedOnRisk, contractsBasedOnConcentration, contractsBasedOnMargin)]
+      });
+    } catch (error) {
+      distributionKelly = { available: false, reason: error.message };
+    }
+
+    if (distributionKelly.available !== false) {
+      contractsBasedOnKelly = Math.min(
+        distributionKelly.fractional_kelly_contracts ?? Infinity,
+        distributionKelly.max_contracts_for_ruin_limit ?? Infinity
+      );
+      if (contractsBasedOnKelly < 1) {
+        return {
+          recommended_contracts: 0,
+          reason: distributionKelly.fractional_kelly_contracts < 1
+            ? `Fractional Kelly (${kelly_multiplier}x) from the P&L distribution allows no contracts (expected P&L $${distributionKelly.expected_pnl_per_contract} per contract)`
+            : `One contract exceeds the ${(max_risk_of_ruin * 100).toFixed(2)}% risk of ruin limit`,
+          rejected: true,
+          distribution_kelly: distributionKelly,
+          transaction_costs: transactionCosts
+        };
+      }
+    }
+  }
+
+  // Use the most conservative limit
+  const recommendedContracts = Math.min(contractsBasedOnRisk, contractsBasedOnConcentration, contractsBasedOnMargin, contractsBasedOnKelly);
 
   // Ensure at least 1 contract if strategy qualifies
   const finalContracts = Math.max(1, recommendedContracts);
@@ -110,8 +182,23 @@ export function calculatePositionSize(strategy, accountSize, riskConfig = {}, in
     limits_applied: {
       risk_based: contractsBasedOnRisk,
       concentration_based: contractsBasedOnConcentration,
-      limiting_factor: contractsBasedOnRisk < contractsBasedOnConcentration ? 'risk' : 'concentration'
+      ...(marginPerContract !== null ? { margin_based: Number.isFinite(contractsBasedOnMargin) ? contractsBasedOnMargin : null } : {}),
+      ...(distributionKelly ? { kelly_based: Number.isFinite(contractsBasedOnKelly) ? contractsBasedOnKelly : null } : {}),
+      limiting_factor: contractsBasedOnKelly < Math.min(contractsBasedOnRisk, contractsBasedOnConcentration, contractsBasedOnMargin) ? 'kelly'
+        : contractsBasedOnMargin < Math.min(contractsBasedOnRisk, contractsBasedOnConcentration) ? 'buying_power'
+          : contractsBasedOnRisk < contractsBasedOnConcentration ? 'risk' : 'concentration'
     },
+    sizing_mode,
+    ...(distributionKelly ? {
+      distribution_kelly: distributionKelly.available === false ? distributionKelly : {
+        ...distributionKelly,
+        at_recommended: distributionKelly.contract_analysis.find(row => row.contracts === finalContracts) || null
+      }
+    } : {}),
+    ...(marginPerContract !== null ? {
+      margin_per_contract: parseFloat(marginPerContract.toFixed(2)),
+      total_margin: parseFloat((marginPerContract * finalContracts).toFixed(2))
+    } : {}),
     // Transaction cost details
     transaction_costs_included: includeCosts,
     transaction_costs_per_contract: transactionCosts,
@@ -172,6 +259,55 @@ export function validateRiskParameters(riskConfig = {}) {
   // Contract multiplier (usually 100)
   validated.contract_multiplier = riskConfig.contract_multiplier || 100;
 
+  // Buying power limit and the account type whose margin rules apply (optional)
+  if (riskConfig.buying_power !== undefined && riskConfig.buying_power !== null) {
+    if (!(riskConfig.buying_power >= 0)) {
+      throw new Error('buying_power must be a non-negative number');
+    }
+    validated.buying_power = riskConfig.buying_power;
+  }
+  if (riskConfig.account_type) {
+    validated.account_type = riskConfig.account_type;
+  }
+
+  // Distribution-based Kelly sizing (optional)
+  if (riskConfig.sizing_mode) {
+    if (!['fixed', 'distribution'].includes(riskConfig.sizing_mode)) {
+      throw new Error(`Unknown sizing_mode: ${riskConfig.sizing_mode}. Use fixed or distribution`);
+    }
+    validated.sizing_mode = riskConfig.sizing_mode;
+  }
+  if (validated.sizing_mode === 'distribution') {
+    // Kelly multiplier (5% to 100% of full Kelly)
+    const kellyMultiplier = riskConfig.kelly_multiplier || 0.25;
+    validated.kelly_multiplier = Math.max(0.05, Math.min(1.0, kellyMultiplier));
+    if (kellyMultiplier !== validated.kelly_multiplier) {
+      validated.warnings = validated.warnings || [];
+      validated.warnings.push(`kelly_multiplier adjusted to ${validated.kelly_multiplier} (must be 0.05-1)`);
+    }
+
+    // Account loss counted as ruin (10% to 100%)
+    const ruinThreshold = riskConfig.ruin_threshold || 0.5;
+    validated.ruin_threshold = Math.max(0.1, Math.min(1.0, ruinThreshold));
+    if (ruinThreshold !== validated.ruin_threshold) {
+      validated.warnings = validated.warnings || [];
+      validated.warnings.push(`ruin_threshold adjusted to ${validated.ruin_threshold} (must be 0.1-1)`);
+    }
+
+    if (riskConfig.max_risk_of_ruin !== undefined && riskConfig.max_risk_of_ruin !== null) {
+      if (!(riskConfig.max_risk_of_ruin >= 0 && riskConfig.max_risk_of_ruin < 1)) {
+        throw new Error('max_risk_of_ruin must be between 0 and 1');
+      }
+      validated.max_risk_of_ruin = riskConfig.max_risk_of_ruin;
+    }
+    if (riskConfig.distribution_source) {
+      if (!['scenarios', 'simulation'].includes(riskConfig.distribution_source)) {
+        throw new Error(`Unknown distribution_source: ${riskConfig.distribution_source}. Use scenarios or simulation`);
+      }
+      validated.distribution_source = riskConfig.distribution_source;
+    }
+  }
+
   return validated;
 }
 
@@ -210,6 +346,9 @@ export function generateAllocationReport(strategies, accountSize) {
     return sum + (profit * prob - risk * (1 - prob));
   }, 0);
 
+  // Distribution Kelly results, when the strategies were sized that way
+  const kellySized = strategies.filter(s => s.position_sizing?.distribution_kelly?.at_recommended);
+
   // Group by strategy type
   const byType = {};
   strategies.forEach(s => {
@@ -280,8 +419,25 @@ export function generateAllocationReport(strategies, accountSize) {
       cost: s.position_sizing?.total_cost || 0,
       risk: s.position_sizing?.total_risk || 0,
       potential_profit: s.position_sizing?.potential_profit || 0,
-      allocation_pct: parseFloat((s.position_sizing?.total_cost / totalCapital * 100).toFixed(2))
-    }))
+      allocation_pct: parseFloat((s.position_sizing?.total_cost / totalCapital * 100).toFixed(2)),
+      ...(s.position_sizing?.distribution_kelly?.at_recommended ? {
+        full_kelly_contracts: s.position_sizing.distribution_kelly.full_kelly_contracts,
+        fractional_kelly_contracts: s.position_sizing.distribution_kelly.fractional_kelly_contracts,
+        risk_of_ruin: s.position_sizing.distribution_kelly.at_recommended.risk_of_ruin,
+        drawdown_probabilities: s.position_sizing.distribution_kelly.at_recommended.drawdown_probabilities
+      } : {})
+    })),
+    ...(kellySized.length > 0 ? {
+      distribution_sizing: {
+        strategies_sized: kellySized.length,
+        // Each strategy's risk of ruin assumes it is traded on its own
+        highest_risk_of_ruin: Math.max(...kellySized.map(s => s.position_sizing.distribution_kelly.at_recommended.risk_of_ruin)),
+        above_full_kelly: kellySized
+          .filter(s => s.position_sizing.distribution_kelly.full_kelly_contracts !== null &&
+            s.position_sizing.recommended_contracts > s.position_sizing.distribution_kelly.full_kelly_contracts)
+          .map(s => s.strategy_name || s.type)
+      }
+    } : {})
   };
 }
 
@@ -311,6 +467,281 @@ export function calculateKellyCriterion(winProb, winLossRatio) {
   return Math.max(0, Math.min(1, fractionalKelly));
 }
 
+/**
+ * Build the per-contract P&L distribution of a strategy at expiration
+ * Explicit outcomes (e.g. simulated P&L per path) are used as given; otherwise the
+ * price at expiration is either simulated or taken from the generatePnLScenarios grid
+ * weighted by the lognormal probability of each price bucket.
+ * @param {Object} strategy - Strategy with legs, underlying_price and expiration
+ * @param {Object} options - { outcomes, source ('scenarios'|'simulation'), volatility, days,
+ *   num_points, price_range, num_paths, seed, as_of }
+ * @returns {Object} { source, outcomes: [{ pnl, probability }], expected_pnl, worst_pnl, best_pnl, probability_of_profit }
+ */
+export function buildPnLDistribution(strategy, options = {}) {
+  const {
+    outcomes = null,
+    source = 'scenarios',
+    num_points = 81,
+    num_paths = 2000,
+    seed = 42,
+    as_of = new Date()
+  } = options;
+
+  let weighted;
+  let resolvedSource = source;
+
+  if (outcomes) {
+    if (!Array.isArray(outcomes) || outcomes.length === 0) {
+      throw new Error('outcomes must be a non-empty array of P&L values');
+    }
+    weighted = outcomes.map(o => typeof o === 'number' ? { pnl: o, probability: 1 } : { pnl: o.pnl, probability: o.probability ?? 1 });
+    resolvedSource = 'outcomes';
+  } else {
+    if (!['scenarios', 'simulation'].includes(source)) {
+      throw new Error(`Unknown distribution source: ${source}. Use scenarios or simulation`);
+    }
+    const spot = strategy.underlying_price;
+    if (!(spot > 0) || !strategy.legs?.length) {
+      throw new Error('A P&L distribution needs the strategy legs and underlying_price');
+    }
+    // Expiration payoffs cannot value a long leg that outlives the short one
+    if (new Set(strategy.legs.map(leg => leg.expiration || strategy.expiration)).size > 1 || strategy.type === 'calendar_spread') {
+      throw new Error('Multi-expiration strategies need explicit outcomes for a P&L distribution');
+    }
+
+    const legIVs = strategy.legs.map(leg => leg.iv).filter(v => v > 0);
+    const volatility = options.volatility ||
+      (legIVs.length > 0 ? legIVs.reduce((sum, v) => sum + v, 0) / legIVs.length : null);
+    if (!(volatility > 0)) {
+      throw new Error('A volatility (or leg IVs) is required for the P&L distribution');
+    }
+
+    const days = options.days ?? (strategy.expiration
+      ? Math.max(1, Math.round(yearsToExpiration(strategy.expiration, as_of) * 365))
+      : null);
+    if (!(days > 0)) {
+      throw new Error('days or the strategy expiration is required for the P&L distribution');
+    }
+    const sigmaT = volatility * Math.sqrt(days / 365);
+
+    if (source === 'simulation') {
+      const { prices } = simulatePricePaths({ spot, volatility, days, num_paths, seed });
+      weighted = prices.map(path => ({
+        pnl: calculateSpreadPnL(strategy, path[path.length - 1], 1).total_pnl,
+        probability: 1
+      }));
+    } else {
+      // Grid out to four standard deviations; the end buckets carry the tails
+      const priceRange = options.price_range ?? Math.min(0.9, 4 * sigmaT);
+      const scenarios = generatePnLScenarios(strategy, 1, {
+        currentPrice: spot,
+        priceRange,
+        numPoints: num_points
+      });
+      const cdf = price => price <= 0 ? 0 : normalCDF((Math.log(price / spot) + 0.5 * sigmaT * sigmaT) / sigmaT);
+
+      weighted = scenarios.map((scenario, i) => {
+        const lower = i === 0 ? 0 : cdf((scenarios[i - 1].price + scenario.price) / 2);
+        const upper = i === scenarios.length - 1 ? 1 : cdf((scenario.price + scenarios[i + 1].price) / 2);
+        return { pnl: scenario.pnl, probability: upper - lower };
+      });
+    }
+  }
+
+  const totalWeight = weighted.reduce((sum, o) => sum + o.probability, 0);
+  if (!(totalWeight > 0)) {
+    throw new Error('Outcome probabilities must sum to a positive number');
+  }
+  const normalized = weighted
+    .filter(o => Number.isFinite(o.pnl) && o.probability > 0)
+    .map(o => ({ pnl: o.pnl, probability: o.probability / totalWeight }));
+  const pnls = normalized.map(o => o.pnl);
+
+  return {
+    source: resolvedSource,
+    outcomes: normalized,
+    expected_pnl: parseFloat(normalized.reduce((sum, o) => sum + o.pnl * o.probability, 0).toFixed(2)),
+    worst_pnl: Math.min(...pnls),
+    best_pnl: Math.max(...pnls),
+    probability_of_profit: parseFloat(normalized.filter(o => o.pnl > 0).reduce((sum, o) => sum + o.probability, 0).toFixed(4))
+  };
+}
+
+/**
+ * Continuous Kelly, fractional Kelly, risk of ruin and drawdown odds from a P&L distribution
+ * Kelly maximizes the expected log growth sum(p * ln(1 + n * pnl / account)) over the
+ * contract count n. Risk of ruin and drawdowns come from bootstrapped sequences of
+ * independent trades at a fixed contract count, sharing the same draws across counts.
+ * @param {Object} distribution - From buildPnLDistribution (per-contract outcomes)
+ * @param {number} accountSize - Account capital
+ * @param {Object} options - { kelly_multiplier (0.25), max_risk_of_ruin, ruin_threshold (0.5 = half the account lost),
+ *   num_trades (100), num_paths (2000), drawdown_levels ([0.1, 0.2, 0.3]), contract_counts, seed }
+ * @returns {Object} Kelly sizing and per-contract-count risk table
+ */
+export function calculateDistributionKelly(distribution, accountSize, options = {}) {
+  const {
+    kelly_multiplier = 0.25,
+    max_risk_of_ruin = null,
+    ruin_threshold = 0.5,
+    num_trades = 100,
+    num_paths = 2000,
+    drawdown_levels = [0.1, 0.2, 0.3],
+    contract_counts = [],
+    seed = 42
+  } = options;
+
+  if (!(accountSize > 0)) {
+    throw new Error('Account size must be positive for Kelly sizing');
+  }
+  const { outcomes } = distribution;
+  const worstLoss = -Math.min(0, distribution.worst_pnl);
+  const mean = outcomes.reduce((sum, o) => sum + o.pnl * o.probability, 0);
+  const warnings = [];
+
+  // f is the share of the account lost in the worst outcome; the log growth is concave in f
+  let kellyFraction;
+  if (mean <= 0) {
+    kellyFraction = 0;
+    warnings.push(`Expected P&L of $${mean.toFixed(2)} per contract has no edge; Kelly sizes it at zero`);
+  } else if (worstLoss === 0) {
+    kellyFraction = null;
+    warnings.push('No outcome loses money; Kelly is unbounded and the other limits apply');
+  } else {
+    const slope = f => outcomes.reduce((sum, o) => {
+      const r = o.pnl / worstLoss;
+      return sum + o.probability * r / (1 + f * r);
+    }, 0);
+    let low = 0;
+    let high = 1 - 1e-9;
+    for (let i = 0; i < 100; i++) {
+      const mid = (low + high) / 2;
+      if (slope(mid) > 0) low = mid; else high = mid;
+    }
+    // Trim bisection noise so an exact root does not floor to one contract less
+    kellyFraction = parseFloat(low.toFixed(10));
+  }
+
+  const fullKellyContracts = kellyFraction === null ? null : kellyFraction * accountSize / worstLoss;
+  const fractionalContracts = fullKellyContracts === null ? null : fullKellyContracts * kelly_multiplier;
+
+  // Common random trade sequences: cumulative per-contract P&L along each path
+  const rng = createRandom(seed);
+  const cumulative = new Array(num_paths);
+  const pathMinimum = new Float64Array(num_paths);
+  const cdf = [];
+  outcomes.reduce((sum, o) => {
+    cdf.push(sum + o.probability);
+    return sum + o.probability;
+  }, 0);
+  const draw = () => {
+    const u = rng.uniform() * cdf[cdf.length - 1];
+    let lo = 0;
+    let hi = cdf.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cdf[mid] > u) hi = mid; else lo = mid + 1;
+    }
+    return outcomes[lo].pnl;
+  };
+  for (let p = 0; p < num_paths; p++) {
+    const path = new Float64Array(num_trades);
+    let total = 0;
+    let minimum = 0;
+    for (let t = 0; t < num_trades; t++) {
+      total += draw();
+      path[t] = total;
+      if (total < minimum) minimum = total;
+    }
+    cumulative[p] = path;
+    pathMinimum[p] = minimum;
+  }
+
+  // A path is ruined once n * cumulative P&L reaches -ruin_threshold * account
+  const ruinLevel = ruin_threshold * accountSize;
+  const riskOfRuin = contracts => {
+    let ruined = 0;
+    for (let p = 0; p < num_paths; p++) {
+      if (contracts * pathMinimum[p] <= -ruinLevel) ruined++;
+    }
+    return ruined / num_paths;
+  };
+
+  let maxContractsForRuin = null;
+  if (max_risk_of_ruin !== null) {
+    // Contracts at which each path is ruined; at most floor(limit * paths) of them may be
+    const ruinAt = Array.from(pathMinimum).filter(m => m < 0).map(m => ruinLevel / -m).sort((a, b) => a - b);
+    const allowed = Math.floor(max_risk_of_ruin * num_paths);
+    maxContractsForRuin = allowed < ruinAt.length ? Math.ceil(ruinAt[allowed]) - 1 : null;
+  }
+
+  const analyzeContracts = contracts => {
+    const drawdownHits = drawdown_levels.map(() => 0);
+    const finals = new Float64Array(num_paths);
+    for (let p = 0; p < num_paths; p++) {
+      const path = cumulative[p];
+      let peak = accountSize;
+      let maxDrawdown = 0;
+      let equity = accountSize;
+      for (let t = 0; t < num_trades; t++) {
+        equity = accountSize + contracts * path[t];
+        if (equity > peak) peak = equity;
+        const drawdown = (peak - equity) / peak;
+        if (drawdown > maxDrawdown) maxDrawdown = drawdown;
+        if (equity <= 0) break;
+      }
+      finals[p] = Math.max(0, equity);
+      drawdown_levels.forEach((level, i) => {
+        if (maxDrawdown >= level) drawdownHits[i]++;
+      });
+    }
+    finals.sort();
+
+    const oneTradeRuin = outcomes.some(o => 1 + contracts * o.pnl / accountSize <= 0);
+    const growth = oneTradeRuin ? null
+      : outcomes.reduce((sum, o) => sum + o.probability * Math.log(1 + contracts * o.pnl / accountSize), 0);
+
+    return {
+      contracts,
+      worst_case_loss_pct: parseFloat((contracts * worstLoss / accountSize * 100).toFixed(2)),
+      expected_pnl_per_trade: parseFloat((contracts * mean).toFixed(2)),
+      expected_log_growth_per_trade: growth === null ? null : parseFloat(growth.toFixed(6)),
+      risk_of_ruin: parseFloat(riskOfRuin(contracts).toFixed(4)),
+      drawdown_probabilities: drawdown_levels.map((level, i) => ({
+        drawdown_pct: parseFloat((level * 100).toFixed(2)),
+        probability: parseFloat((drawdownHits[i] / num_paths).toFixed(4))
+      })),
+      median_final_equity: parseFloat(finals[Math.floor(num_paths / 2)].toFixed(2))
+    };
+  };
+
+  const counts = [1, fractionalContracts, fullKellyContracts && fullKellyContracts / 2, fullKellyContracts,
+    fullKellyContracts && fullKellyContracts * 2, maxContractsForRuin, ...contract_counts]
+    .filter(n => Number.isFinite(n) && n >= 1)
+    .map(n => Math.floor(n));
+
+  return {
+    source: distribution.source,
+    outcomes: outcomes.length,
+    expected_pnl_per_contract: parseFloat(mean.toFixed(2)),
+    worst_loss_per_contract: parseFloat(worstLoss.toFixed(2)),
+    probability_of_profit: distribution.probability_of_profit,
+    kelly_fraction: kellyFraction === null ? null : parseFloat(kellyFraction.toFixed(4)),
+    full_kelly_contracts: fullKellyContracts === null ? null : Math.floor(fullKellyContracts),
+    kelly_multiplier,
+    fractional_kelly_contracts: fractionalContracts === null ? null : Math.floor(fractionalContracts),
+    max_risk_of_ruin,
+    max_contracts_for_ruin_limit: maxContractsForRuin,
+    simulation: {
+      num_trades,
+      num_paths,
+      ruin_threshold_pct: parseFloat((ruin_threshold * 100).toFixed(2)),
+      seed
+    },
+    contract_analysis: [...new Set(counts)].sort((a, b) => a - b).map(analyzeContracts),
+    warnings
+  };
+}
+
 /**
  * Analyze portfolio risk metrics
  * @param {Array} positions - Array of current positions with sizing
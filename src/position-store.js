@@ -0,0 +1,846 @@
+/**
+ * Position Store Module
+ *
+ * Event-sourced storage for tracked positions. Every change is appended to
+ * .claude/positions/events.jsonl as its own event, so nothing is rewritten
+ * and closed or deleted positions keep their full audit trail:
+ * - position_opened / position_updated / position_closed / position_deleted
+ * - leg_added, fill and adjustment events for the trade's legs
+ * - position_rolled, contracts_closed, position_assigned and shares_closed
+ *   for campaigns that roll, scale out or end up holding (and selling) shares
+ * - note_added and tags_set for the trade journal
+ *
+ * Each position carries a campaign ledger built from these events: premium
+ * collected or paid across the entry, rolls and adjustments, P&L realized by
+ * partial closes and assignments, shares from assignment and the lineage of
+ * every operation.
+ *
+ * index.json holds the positions materialized from the log up to a byte
+ * offset. It is only a cache: it is caught up from the log on every read and
+ * rebuilt by replaying the log when it is missing or stale.
+ *
+ * Writers take an exclusive lock file, so several server processes can share
+ * one store. A line torn by a crashed writer is cut off by the next writer.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const POSITION_STORE_DIR = '.claude/positions';
+const LEGACY_POSITIONS_FILE = '.claude/positions.json';
+
+export const SCHEMA_VERSION = 1;
+
+export const EVENT_TYPES = [
+  'position_opened',
+  'position_updated',
+  'position_closed',
+  'position_deleted',
+  'leg_added',
+  'fill',
+  'adjustment',
+  'position_rolled',
+  'contracts_closed',
+  'position_assigned',
+  'shares_closed',
+  'note_added',
+  'tags_set'
+];
+
+// Fields managed by the event history that position_updated may not overwrite
+const PROTECTED_FIELDS = new Set([
+  'id', 'status', 'legs', 'fills', 'adjustments', 'journal', 'tags', 'campaign', 'shares', 'contracts',
+  'created_at', 'updated_at', 'closed_at'
+]);
+
+// Events that can only be recorded against an open position
+const OPEN_ONLY_EVENTS = new Set([
+  'position_closed', 'leg_added', 'fill', 'adjustment', 'position_rolled', 'contracts_closed', 'position_assigned',
+  'shares_closed'
+]);
+
+const CONTRACT_MULTIPLIER = 100;
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 20;
+
+/**
+ * Schema migrations, applied in order by the first process to open an older store.
+ * Each returns the events to append; a schema_migrated marker is appended after them.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Import positions from the legacy positions.json file',
+    migrate: (state, paths) => legacyPositionEvents(paths.legacy)
+  }
+];
+
+function storePaths(options = {}) {
+  const dir = options.dir || POSITION_STORE_DIR;
+  return {
+    dir,
+    events: path.join(dir, 'events.jsonl'),
+    index: path.join(dir, 'index.json'),
+    lock: path.join(dir, 'store.lock'),
+    // A custom store only migrates a legacy file it is pointed at
+    legacy: options.legacy_file !== undefined
+      ? options.legacy_file
+      : (options.dir ? null : LEGACY_POSITIONS_FILE)
+  };
+}
+
+function emptyState() {
+  return { schema_version: 0, last_seq: 0, log_bytes: 0, positions: {} };
+}
+
+function newEventId() {
+  return `evt_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Block the (synchronous) caller while another process holds the lock
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Run fn while holding the store's exclusive lock
+ * @param {Object} paths - Store paths
+ * @param {Function} fn - Critical section
+ * @returns {*} fn's result
+ */
+function withStoreLock(paths, fn) {
+  const start = Date.now();
+
+  while (true) {
+    try {
+      const fd = fs.openSync(paths.lock, 'wx');
+      fs.writeSync(fd, JSON.stringify({ pid: process.pid, acquired_at: new Date().toISOString() }));
+      fs.closeSync(fd);
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      try {
+        // A lock older than any write takes was left by a crashed process
+        if (Date.now() - fs.statSync(paths.lock).mtimeMs > LOCK_STALE_MS) {
+          console.error(`Removing stale position store lock ${paths.lock}`);
+          fs.unlinkSync(paths.lock);
+          continue;
+        }
+      } catch (statError) {
+        if (statError.code === 'ENOENT') continue; // Released between open and stat
+        throw statError;
+      }
+
+      if (Date.now() - start > LOCK_TIMEOUT_MS) {
+        throw new Error(`Position store is locked by another process (${paths.lock})`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    try {
+      fs.unlinkSync(paths.lock);
+    } catch (error) {
+      console.error('Error releasing position store lock:', error.message);
+    }
+  }
+}
+
+/**
+ * Read complete event lines from the log starting at a byte offset
+ * @param {string} file - Event log
+ * @param {number} offset - Byte offset of the first unread line
+ * @returns {Object} { events, end (offset after the last complete line), torn (partial line after end) }
+ */
+function readLog(file, offset = 0) {
+  if (!fs.existsSync(file)) {
+    return { events: [], end: 0, torn: false };
+  }
+
+  const size = fs.statSync(file).size;
+  if (size <= offset) {
+    return { events: [], end: offset, torn: false };
+  }
+
+  const buffer = Buffer.alloc(size - offset);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, offset);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  const lastNewline = buffer.lastIndexOf(0x0a);
+  const complete = lastNewline === -1 ? '' : buffer.toString('utf8', 0, lastNewline);
+  const events = complete.split('\n').filter(Boolean).map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Corrupt position event log ${file} after byte ${offset} (line ${i + 1}): ${error.message}`);
+    }
+  });
+
+  return { events, end: offset + lastNewline + 1, torn: lastNewline + 1 < buffer.length };
+}
+
+function loadIndex(paths) {
+  try {
+    if (!fs.existsSync(paths.index)) return null;
+    const index = JSON.parse(fs.readFileSync(paths.index, 'utf8'));
+    return Number.isInteger(index.log_bytes) && index.positions ? index : null;
+  } catch (error) {
+    console.error('Error loading position index, rebuilding from the event log:', error.message);
+    return null;
+  }
+}
+
+// Write-then-rename so readers never see a half-written index
+function saveIndex(paths, state) {
+  const tmp = `${paths.index}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state));
+  fs.renameSync(tmp, paths.index);
+}
+
+/**
+ * Indexed state caught up with every complete event in the log
+ * @param {Object} paths - Store paths
+ * @returns {Object} { state, torn }
+ */
+function currentState(paths) {
+  let state = loadIndex(paths);
+  const size = fs.existsSync(paths.events) ? fs.statSync(paths.events).size : 0;
+
+  // A log shorter than the indexed offset was replaced: replay it from scratch
+  if (!state || state.log_bytes > size) {
+    state = emptyState();
+  }
+
+  const { events, end, torn } = readLog(paths.events, state.log_bytes);
+  events.forEach(event => applyEvent(state, event));
+  state.log_bytes = end;
+
+  return { state, torn };
+}
+
+/**
+ * Whether a position was opened for a credit: a credit strategy, or an
+ * entry_credit without an entry_price
+ * @param {Object} position - Position fields
+ * @returns {boolean}
+ */
+export function isCreditPosition(position) {
+  if (position.campaign) return position.campaign.entry_type === 'credit';
+  return Boolean(position.strategy && position.strategy.includes('credit')) ||
+    (Number.isFinite(position.entry_credit) && !Number.isFinite(position.entry_price));
+}
+
+function openingCampaign(fields, contracts) {
+  const credit = isCreditPosition(fields);
+  const premium = credit ? (fields.entry_credit ?? fields.entry_price) : (fields.entry_price ?? fields.entry_credit);
+  const flow = Number.isFinite(premium) ? (credit ? 1 : -1) * premium * contracts * CONTRACT_MULTIPLIER : 0;
+
+  return {
+    entry_type: credit ? 'credit' : 'debit',
+    entry_contracts: contracts,
+    entry_premium: flow,
+    net_premium: flow,   // Every option premium cash flow: + received, - paid
+    open_premium: flow,  // Share of net premium still attached to open contracts or shares
+    realized_pnl: 0,
+    fees: 0,
+    rolls: 0,
+    lineage: []
+  };
+}
+
+/**
+ * Campaign ledger of a position; derived from the entry (and any adjustment
+ * credits) for positions that were not built from the event log
+ * @param {Object} position - Position
+ * @returns {Object} Campaign ledger
+ */
+export function campaignOf(position) {
+  if (position.campaign) return position.campaign;
+
+  const campaign = openingCampaign(position, position.contracts ?? 1);
+  (position.adjustments || []).forEach(adjustment => {
+    if (Number.isFinite(adjustment.net_credit)) {
+      const flow = adjustment.net_credit * (position.contracts ?? 1) * CONTRACT_MULTIPLIER;
+      campaign.net_premium += flow;
+      campaign.open_premium += flow;
+    }
+  });
+  return campaign;
+}
+
+/**
+ * Contracts a per-share premium applies to. position.contracts counts open
+ * option contracts and drops to 0 once every leg is assigned; the campaign
+ * is then sized by its shares, so a covered call written on them still counts
+ * @param {Object} position - Position
+ * @returns {number} Contracts
+ */
+export function ledgerContracts(position) {
+  if (position.contracts > 0) return position.contracts;
+  if (position.shares?.quantity) return Math.abs(position.shares.quantity) / CONTRACT_MULTIPLIER;
+  return position.contracts ?? 1;
+}
+
+// Option legs opened on a position whose contracts were all assigned reopen them
+function reopenContracts(position) {
+  if (!(position.contracts > 0) && position.legs.some(leg => leg.status === 'open')) {
+    position.contracts = ledgerContracts(position);
+  }
+}
+
+// Premium from a roll or adjustment, per share per contract (+ credit, - debit)
+function applyNetCredit(position, netCredit) {
+  if (!Number.isFinite(netCredit)) return 0;
+  const flow = netCredit * ledgerContracts(position) * CONTRACT_MULTIPLIER;
+  position.campaign.net_premium += flow;
+  position.campaign.open_premium += flow;
+  return flow;
+}
+
+function replaceLegs(position, legsClosed = [], legsOpened = [], closedStatus = 'closed') {
+  const closed = position.legs.filter(leg => legsClosed.includes(leg.leg_id));
+  closed.forEach(leg => { leg.status = closedStatus; });
+
+  const opened = legsOpened.map((leg, i) => ({
+    leg_id: leg.leg_id || `leg_${position.legs.length + i + 1}`,
+    status: 'open',
+    ...leg
+  }));
+  position.legs.push(...opened);
+  return { closed, opened };
+}
+
+function legSummary(leg) {
+  const { leg_id, action, type, strike, expiration, quantity } = leg;
+  return { leg_id, action, type, strike, expiration, quantity: quantity || 1 };
+}
+
+// Shares bought (+) or sold (-) at a price, realizing P&L on any reduction
+function applyShares(position, quantity, price) {
+  const shares = position.shares || { quantity: 0, average_price: 0 };
+  let realized = 0;
+
+  if (shares.quantity === 0 || Math.sign(shares.quantity) === Math.sign(quantity)) {
+    const total = shares.quantity + quantity;
+    shares.average_price = (shares.average_price * shares.quantity + price * quantity) / total;
+    shares.quantity = total;
+  } else {
+    const closing = Math.min(Math.abs(quantity), Math.abs(shares.quantity)) * Math.sign(quantity);
+    realized = (price - shares.average_price) * -closing;
+    shares.quantity += closing;
+
+    const remainder = quantity - closing;
+    if (remainder !== 0) {
+      shares.quantity = remainder;
+      shares.average_price = price;
+    } else if (shares.quantity === 0) {
+      shares.average_price = 0;
+    }
+  }
+
+  position.shares = shares;
+  position.campaign.realized_pnl += realized;
+  return realized;
+}
+
+// Shares delivered when an option leg is assigned or exercised
+function assignedShareQuantity(leg, contracts) {
+  const quantity = (leg.quantity || 1) * contracts * CONTRACT_MULTIPLIER;
+  const receivesShares = (leg.type === 'put') === (leg.action === 'sell');
+  return receivesShares ? quantity : -quantity;
+}
+
+/**
+ * Apply one event to materialized state
+ * @param {Object} state - { schema_version, last_seq, positions }
+ * @param {Object} event - Stored event
+ * @returns {Object} state
+ */
+export function applyEvent(state, event) {
+  const { type, position_id: id, data = {}, timestamp } = event;
+  state.last_seq = Math.max(state.last_seq, event.seq || 0);
+
+  if (type === 'schema_migrated') {
+    state.schema_version = data.to;
+    return state;
+  }
+
+  if (type === 'position_opened') {
+    const { legs = [], tags = [], ...fields } = data;
+    const contracts = fields.contracts ?? 1;
+    state.positions[id] = {
+      id,
+      ...fields,
+      contracts,
+      entry_date: fields.entry_date || timestamp.split('T')[0],
+      status: 'open',
+      legs: legs.map((leg, i) => ({ leg_id: leg.leg_id || `leg_${i + 1}`, status: 'open', ...leg })),
+      fills: [],
+      adjustments: [],
+      journal: [],
+      tags: [...new Set(tags)],
+      campaign: openingCampaign(fields, contracts),
+      created_at: timestamp,
+      updated_at: timestamp
+    };
+    return state;
+  }
+
+  const position = state.positions[id];
+  if (!position) return state; // Events for deleted positions stay in the log only
+
+  switch (type) {
+    case 'position_updated':
+      Object.entries(data).forEach(([key, value]) => {
+        if (!PROTECTED_FIELDS.has(key)) position[key] = value;
+      });
+      break;
+
+    case 'position_closed':
+      position.status = 'closed';
+      position.exit_date = data.exit_date || timestamp.split('T')[0];
+      position.exit_price = data.exit_price;
+      position.exit_profit = data.exit_profit;
+      position.closed_at = timestamp;
+      break;
+
+    case 'position_deleted':
+      delete state.positions[id];
+      return state;
+
+    case 'leg_added':
+      position.legs.push({ leg_id: data.leg_id || `leg_${position.legs.length + 1}`, status: 'open', ...data });
+      reopenContracts(position);
+      break;
+
+    case 'fill':
+      position.fills.push({ fill_id: event.event_id, timestamp, ...data });
+      break;
+
+    case 'adjustment': {
+      const { legs_closed = [], legs_opened = [], ...details } = data;
+      const { opened } = replaceLegs(position, legs_closed, legs_opened);
+      applyNetCredit(position, data.net_credit);
+      reopenContracts(position);
+      position.adjustments.push({
+        adjustment_id: event.event_id,
+        timestamp,
+        ...details,
+        legs_closed,
+        legs_opened: opened.map(leg => leg.leg_id)
+      });
+      position.campaign.lineage.push({
+        type: 'adjustment',
+        timestamp,
+        legs_closed,
+        legs_opened: opened.map(leg => leg.leg_id),
+        net_credit: data.net_credit ?? null
+      });
+      break;
+    }
+
+    case 'position_rolled': {
+      const { closed, opened } = replaceLegs(position, data.legs_closed, data.legs_opened, 'rolled');
+      applyNetCredit(position, data.net_credit);
+      reopenContracts(position);
+      const fromExpiration = position.expiration;
+      const openExpirations = position.legs.filter(leg => leg.status === 'open' && leg.expiration).map(leg => leg.expiration);
+      position.expiration = data.new_expiration || (openExpirations.length > 0 ? openExpirations.sort()[0] : fromExpiration);
+      if (data.new_strike !== undefined) position.strike_price = data.new_strike;
+
+      position.campaign.rolls += 1;
+      position.campaign.lineage.push({
+        type: 'roll',
+        roll_number: position.campaign.rolls,
+        timestamp,
+        description: data.description || null,
+        net_credit: data.net_credit ?? null,
+        from_expiration: fromExpiration || null,
+        to_expiration: position.expiration || null,
+        closed: closed.map(legSummary),
+        opened: opened.map(legSummary)
+      });
+      break;
+    }
+
+    case 'contracts_closed': {
+      // The closed contracts take their pro-rata share of the campaign premium with them
+      const { campaign } = position;
+      const share = campaign.open_premium * data.contracts / position.contracts;
+      const closing = (campaign.entry_type === 'credit' ? -1 : 1) * data.price * data.contracts * CONTRACT_MULTIPLIER;
+      const fees = data.fees || 0;
+      const realized = share + closing - fees;
+
+      campaign.net_premium += closing;
+      campaign.open_premium -= share;
+      campaign.realized_pnl += realized;
+      campaign.fees += fees;
+      position.contracts -= data.contracts;
+      campaign.lineage.push({
+        type: 'partial_close',
+        timestamp,
+        contracts: data.contracts,
+        price: data.price,
+        contracts_remaining: position.contracts,
+        realized_pnl: parseFloat(realized.toFixed(2))
+      });
+      break;
+    }
+
+    case 'position_assigned': {
+      const leg = data.leg_id
+        ? position.legs.find(l => l.leg_id === data.leg_id)
+        : { leg_id: null, action: data.action, type: data.option_type, strike: data.strike, quantity: 1 };
+      const strike = data.strike ?? leg.strike;
+      const shares = assignedShareQuantity(leg, position.contracts);
+      if (leg.leg_id) leg.status = leg.action === 'sell' ? 'assigned' : 'exercised';
+
+      const realized = applyShares(position, shares, strike);
+      // With no option legs left, the campaign's premium now rides on the shares
+      if (!position.legs.some(l => l.status === 'open')) position.contracts = 0;
+
+      position.campaign.lineage.push({
+        type: leg.action === 'sell' ? 'assignment' : 'exercise',
+        timestamp,
+        leg_id: leg.leg_id,
+        option_type: leg.type,
+        strike,
+        shares,
+        realized_pnl: parseFloat(realized.toFixed(2))
+      });
+      break;
+    }
+
+    case 'shares_closed': {
+      const { campaign } = position;
+      const held = position.shares.quantity;
+      const fees = data.fees || 0;
+      // With no option contracts left the shares carry the campaign premium; sold shares take their share
+      const premium = position.contracts > 0 ? 0 : campaign.open_premium * data.quantity / Math.abs(held);
+      const realized = applyShares(position, -Math.sign(held) * data.quantity, data.price) + premium - fees;
+
+      campaign.open_premium -= premium;
+      campaign.realized_pnl += premium - fees;
+      campaign.fees += fees;
+      campaign.lineage.push({
+        type: 'share_sale',
+        timestamp,
+        quantity: data.quantity,
+        price: data.price,
+        shares_remaining: position.shares.quantity,
+        realized_pnl: parseFloat(realized.toFixed(2))
+      });
+      break;
+    }
+
+    case 'note_added':
+      position.journal.push({ note_id: event.event_id, timestamp, note: data.note, tags: data.tags || [] });
+      position.tags = [...new Set([...position.tags, ...(data.tags || [])])];
+      break;
+
+    case 'tags_set':
+      position.tags = [...new Set(data.tags || [])];
+      break;
+
+    default:
+      console.error(`Skipping unknown position event type: ${type}`);
+      return state;
+  }
+
+  position.updated_at = timestamp;
+  return state;
+}
+
+function validateEvent(state, event) {
+  const { type, position_id: id, data = {} } = event;
+
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown position event type: ${type}`);
+  }
+  if (!id) {
+    throw new Error(`${type} event requires a position_id`);
+  }
+
+  if (type === 'position_opened') {
+    if (state.positions[id]) throw new Error(`Position ${id} already exists`);
+    if (!data.symbol) throw new Error('position_opened event requires a symbol');
+    return;
+  }
+
+  const position = state.positions[id];
+  if (!position) {
+    throw new Error(`Position ${id} not found`);
+  }
+  if (OPEN_ONLY_EVENTS.has(type) && position.status !== 'open') {
+    throw new Error(`Position ${id} is already closed`);
+  }
+
+  if (type === 'position_rolled' || type === 'adjustment') {
+    const open = new Set(position.legs.filter(leg => leg.status === 'open').map(leg => leg.leg_id));
+    (data.legs_closed || []).forEach(legId => {
+      if (!open.has(legId)) throw new Error(`Leg ${legId} is not an open leg of position ${id}`);
+    });
+  }
+  if (type === 'position_rolled' && !(data.legs_opened?.length > 0)) {
+    throw new Error('A roll must open at least one new leg');
+  }
+  if (type === 'contracts_closed') {
+    if (!(data.contracts > 0) || data.contracts > position.contracts) {
+      throw new Error(`Contracts to close must be between 1 and ${position.contracts}`);
+    }
+    if (!Number.isFinite(data.price)) throw new Error('Closing price is required');
+  }
+  if (type === 'position_assigned') {
+    const leg = data.leg_id ? position.legs.find(l => l.leg_id === data.leg_id) : data;
+    if (!leg || (data.leg_id && leg.status !== 'open')) {
+      throw new Error(`Leg ${data.leg_id} is not an open leg of position ${id}`);
+    }
+    const optionType = data.leg_id ? leg.type : leg.option_type;
+    if (!['call', 'put'].includes(optionType) || !['buy', 'sell'].includes(leg.action)) {
+      throw new Error('Assignment needs an option leg with type call/put and action buy/sell');
+    }
+    if (!Number.isFinite(data.strike ?? leg.strike)) throw new Error('Assignment strike is required');
+    if (!(position.contracts > 0)) throw new Error(`Position ${id} has no open contracts to assign`);
+  }
+  if (type === 'shares_closed') {
+    const held = Math.abs(position.shares?.quantity || 0);
+    if (!(data.quantity > 0) || data.quantity > held) {
+      throw new Error(`Shares to close must be between 1 and ${held}`);
+    }
+    if (!Number.isFinite(data.price)) throw new Error('Share price is required');
+  }
+
+  if (type === 'fill') {
+    if (!['buy', 'sell'].includes(data.side)) throw new Error('Fill side must be "buy" or "sell"');
+    if (!(data.quantity > 0)) throw new Error('Fill quantity must be positive');
+    if (!Number.isFinite(data.price)) throw new Error('Fill price is required');
+  }
+  if (type === 'note_added' && !(typeof data.note === 'string' && data.note.trim())) {
+    throw new Error('Journal note text is required');
+  }
+  if ((type === 'note_added' || type === 'tags_set') && data.tags !== undefined && !Array.isArray(data.tags)) {
+    throw new Error('Tags must be an array of strings');
+  }
+}
+
+// Validate, stamp and apply events to state in order
+function stampEvents(state, events) {
+  return events.map(event => {
+    validateEvent(state, event);
+    const stored = {
+      seq: state.last_seq + 1,
+      event_id: newEventId(),
+      v: SCHEMA_VERSION,
+      type: event.type,
+      position_id: event.position_id,
+      timestamp: event.timestamp || new Date().toISOString(),
+      data: event.data || {}
+    };
+    applyEvent(state, stored);
+    return stored;
+  });
+}
+
+// Under the lock: one append for the whole batch, then the index
+function commitEvents(paths, state, stored) {
+  appendLines(paths, stored);
+  state.log_bytes = fs.statSync(paths.events).size;
+  saveIndex(paths, state);
+  return stored;
+}
+
+function appendLines(paths, records) {
+  if (records.length === 0) return;
+  const fd = fs.openSync(paths.events, 'a');
+  try {
+    fs.writeSync(fd, records.map(record => JSON.stringify(record)).join('\n') + '\n');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Legacy positions become opened (and closed) events keeping their ids and timestamps
+function legacyPositionEvents(legacyFile) {
+  if (!legacyFile || !fs.existsSync(legacyFile)) return [];
+
+  const legacy = JSON.parse(fs.readFileSync(legacyFile, 'utf8'));
+  const events = [];
+  const seen = new Set();
+
+  (legacy.positions || []).forEach((position, i) => {
+    const { status, created_at, updated_at, closed_at, exit_date, exit_price, exit_profit, ...fields } = position;
+    let id = position.id || `pos_legacy_${i + 1}`;
+    if (seen.has(id)) {
+      console.error(`Duplicate legacy position id ${id}, importing as ${id}_${i + 1}`);
+      id = `${id}_${i + 1}`;
+    }
+    seen.add(id);
+    delete fields.id;
+    if (!fields.symbol) fields.symbol = 'UNKNOWN';
+    const opened = created_at || (fields.entry_date ? `${fields.entry_date}T00:00:00.000Z` : new Date().toISOString());
+
+    events.push({ type: 'position_opened', position_id: id, timestamp: opened, data: { ...fields, source: 'legacy_import' } });
+    if (fields.notes) {
+      events.push({ type: 'note_added', position_id: id, timestamp: opened, data: { note: fields.notes, tags: [] } });
+    }
+    if (status === 'closed') {
+      events.push({
+        type: 'position_closed',
+        position_id: id,
+        timestamp: closed_at || updated_at || opened,
+        data: { exit_date, exit_price, exit_profit }
+      });
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Bring the store up to SCHEMA_VERSION, creating it on first use
+ * @param {Object} paths - Store paths
+ */
+function ensureStore(paths) {
+  if (!fs.existsSync(paths.dir)) {
+    fs.mkdirSync(paths.dir, { recursive: true });
+  }
+
+  // Cheap check without the lock; re-checked under it
+  const { state: snapshot } = currentState(paths);
+  if (snapshot.schema_version >= SCHEMA_VERSION) return;
+
+  withStoreLock(paths, () => {
+    const { state, torn } = currentState(paths);
+    if (torn) truncateTornLine(paths, state);
+
+    MIGRATIONS.filter(step => step.version > state.schema_version).forEach(step => {
+      const from = state.schema_version;
+      const stored = stampEvents(state, step.migrate(state, paths));
+
+      // The marker goes out in the same write, so a migration is never half-recorded
+      const marker = {
+        seq: state.last_seq + 1,
+        event_id: newEventId(),
+        v: step.version,
+        type: 'schema_migrated',
+        position_id: null,
+        timestamp: new Date().toISOString(),
+        data: { from, to: step.version, description: step.description, events_written: stored.length }
+      };
+      applyEvent(state, marker);
+      commitEvents(paths, state, [...stored, marker]);
+      if (stored.length > 0) {
+        console.error(`Position store migrated to schema v${step.version}: ${step.description} (${stored.length} events)`);
+      }
+    });
+  });
+}
+
+function truncateTornLine(paths, state) {
+  console.error(`Discarding partial position event after byte ${state.log_bytes} in ${paths.events}`);
+  fs.truncateSync(paths.events, state.log_bytes);
+}
+
+/**
+ * Append events to the store atomically (all or none)
+ * @param {Array} events - [{ type, position_id, data, timestamp? }]
+ * @param {Object} options - { dir, legacy_file }
+ * @returns {Object} { events: stored events, positions: affected positions after the write }
+ */
+export function appendPositionEvents(events, options = {}) {
+  const paths = storePaths(options);
+  ensureStore(paths);
+
+  return withStoreLock(paths, () => {
+    const { state, torn } = currentState(paths);
+    if (torn) truncateTornLine(paths, state);
+
+    const stored = commitEvents(paths, state, stampEvents(state, events));
+    const ids = [...new Set(stored.map(event => event.position_id))];
+    return {
+      events: stored,
+      positions: ids.map(id => state.positions[id] || null)
+    };
+  });
+}
+
+/**
+ * Materialized positions
+ * @param {Object} options - { dir, legacy_file }
+ * @returns {Object} { schema_version, last_seq, positions: [] }
+ */
+export function loadPositionState(options = {}) {
+  const paths = storePaths(options);
+  ensureStore(paths);
+
+  const { state } = currentState(paths);
+  return {
+    schema_version: state.schema_version,
+    last_seq: state.last_seq,
+    positions: Object.values(state.positions)
+  };
+}
+
+/**
+ * Read events from the log
+ * @param {Object} filters - { position_id, types, from, to } (from/to compare against event timestamps)
+ * @param {Object} options - { dir, legacy_file }
+ * @returns {Array} Events in log order
+ */
+export function readPositionEvents(filters = {}, options = {}) {
+  const { position_id, types, from, to } = filters;
+  const paths = storePaths(options);
+  ensureStore(paths);
+
+  return readLog(paths.events).events.filter(event =>
+    (!position_id || event.position_id === position_id) &&
+    (!types || types.includes(event.type)) &&
+    (!from || event.timestamp >= from) &&
+    (!to || event.timestamp.slice(0, to.length) <= to)
+  );
+}
+
+/**
+ * Drop the index and replay the whole log
+ * @param {Object} options - { dir, legacy_file }
+ * @returns {Object} { events_replayed, positions }
+ */
+export function rebuildPositionIndex(options = {}) {
+  const paths = storePaths(options);
+  ensureStore(paths);
+
+  return withStoreLock(paths, () => {
+    const state = emptyState();
+    const { events, end, torn } = readLog(paths.events);
+    events.forEach(event => applyEvent(state, event));
+    state.log_bytes = end;
+    if (torn) truncateTornLine(paths, state);
+    saveIndex(paths, state);
+    return { events_replayed: events.length, positions: Object.keys(state.positions).length };
+  });
+}
+
+export default {
+  SCHEMA_VERSION,
+  EVENT_TYPES,
+  isCreditPosition,
+  campaignOf,
+  ledgerContracts,
+  applyEvent,
+  appendPositionEvents,
+  loadPositionState,
+  readPositionEvents,
+  rebuildPositionIndex
+};
@@ -2,34 +2,29 @@
  * Position Tracking Module
  *
  * Tracks open options positions, monitors P&L, and generates exit signals.
- * Positions are stored in .claude/positions.json for persistence.
+ * Positions live in the event-sourced store under .claude/positions/ (see
+ * position-store.js): opening, legs, fills, adjustments, closes and journal
+ * notes are each recorded as separate events.
  */
 
-import fs from 'fs';
-import path from 'path';
+import {
+  appendPositionEvents,
+  loadPositionState,
+  readPositionEvents,
+  campaignOf,
+  applyEvent
+} from './position-store.js';
 
-const POSITIONS_FILE = '.claude/positions.json';
+const CONTRACT_MULTIPLIER = 100;
 
 /**
- * Load positions from file
- * @param {string} filePath - Path to positions file (optional)
+ * Load all tracked positions (open and closed)
+ * @param {Object} options - Store options ({ dir }), for tests and alternate stores
  * @returns {Array} Array of positions
  */
-export function loadPositions(filePath = POSITIONS_FILE) {
+export function loadPositions(options = {}) {
   try {
-    if (!fs.existsSync(filePath)) {
-      // Create empty positions file
-      const dir = path.dirname(filePath);
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-      fs.writeFileSync(filePath, JSON.stringify({ positions: [], watchlist: [] }, null, 2));
-      return [];
-    }
-
-    const data = fs.readFileSync(filePath, 'utf8');
-    const parsed = JSON.parse(data);
-    return parsed.positions || [];
+    return loadPositionState(options).positions;
   } catch (error) {
     console.error('Error loading positions:', error.message);
     return [];
@@ -37,165 +32,507 @@ export function loadPositions(filePath = POSITIONS_FILE) {
 }
 
 /**
- * Save positions to file
- * @param {Array} positions - Array of positions
- * @param {string} filePath - Path to positions file (optional)
+ * Events that open a new position, for writing alone or in a larger batch
+ * @param {object} position - Position details; optional legs, tags and notes (recorded as the first journal entry)
+ * @returns {Array} Events; all carry the new position's ID
  */
-export function savePositions(positions, filePath = POSITIONS_FILE) {
-  try {
-    const dir = path.dirname(filePath);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
-
-    // Load existing data to preserve watchlist
-    let existingData = { positions: [], watchlist: [] };
-    if (fs.existsSync(filePath)) {
-      existingData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+export function buildOpenEvents(position) {
+  const { notes, tags = [], ...fields } = position;
+  const id = `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  const events = [{
+    type: 'position_opened',
+    position_id: id,
+    data: {
+      ...fields,
+      ...(notes !== undefined && { notes }),
+      entry_date: fields.entry_date || new Date().toISOString().split('T')[0],
+      tags
     }
-
-    existingData.positions = positions;
-    fs.writeFileSync(filePath, JSON.stringify(existingData, null, 2));
-  } catch (error) {
-    console.error('Error saving positions:', error.message);
-    throw error;
+  }];
+  if (notes) {
+    events.push({ type: 'note_added', position_id: id, data: { note: notes, tags } });
   }
+  return events;
 }
 
 /**
  * Add a new position
- * @param {object} position - Position details
+ * @param {object} position - Position details; optional legs, tags and notes (recorded as the first journal entry)
+ * @param {Object} options - Store options
  * @returns {object} Added position with ID
  */
-export function addPosition(position) {
-  const positions = loadPositions();
-
-  const newPosition = {
-    id: `pos_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-    ...position,
-    entry_date: position.entry_date || new Date().toISOString().split('T')[0],
-    status: 'open',
-    created_at: new Date().toISOString()
-  };
-
-  positions.push(newPosition);
-  savePositions(positions);
-
-  return newPosition;
+export function addPosition(position, options = {}) {
+  return appendPositionEvents(buildOpenEvents(position), options).positions[0];
 }
 
 /**
  * Update existing position
  * @param {string} positionId - Position ID
  * @param {object} updates - Fields to update
+ * @param {Object} options - Store options
  * @returns {object} Updated position
  */
-export function updatePosition(positionId, updates) {
-  const positions = loadPositions();
-  const index = positions.findIndex(p => p.id === positionId);
-
-  if (index === -1) {
-    throw new Error(`Position ${positionId} not found`);
-  }
-
-  positions[index] = {
-    ...positions[index],
-    ...updates,
-    updated_at: new Date().toISOString()
-  };
-
-  savePositions(positions);
-  return positions[index];
+export function updatePosition(positionId, updates, options = {}) {
+  return appendPositionEvents([{ type: 'position_updated', position_id: positionId, data: updates }], options).positions[0];
 }
 
 /**
- * Close a position
+ * Close a position. Assigned shares still held are sold at share_price
  * @param {string} positionId - Position ID
- * @param {object} exitDetails - Exit details (price, date, profit)
+ * @param {object} exitDetails - Exit details (price, date, profit, share_price)
+ * @param {Object} options - Store options
  * @returns {object} Closed position
  */
-export function closePosition(positionId, exitDetails = {}) {
-  return updatePosition(positionId, {
-    status: 'closed',
-    exit_date: exitDetails.exit_date || new Date().toISOString().split('T')[0],
-    exit_price: exitDetails.exit_price,
-    exit_profit: exitDetails.exit_profit,
-    closed_at: new Date().toISOString()
+export function closePosition(positionId, exitDetails = {}, options = {}) {
+  const position = requirePosition(positionId, options);
+  const events = [];
+
+  const shares = Math.abs(position.shares?.quantity || 0);
+  if (shares > 0) {
+    if (Number.isFinite(exitDetails.share_price)) {
+      events.push({ type: 'shares_closed', position_id: positionId, data: { quantity: shares, price: exitDetails.share_price } });
+    } else if (!Number.isFinite(exitDetails.exit_profit)) {
+      throw new Error(`Position ${positionId} holds ${position.shares.quantity} shares - pass share_price (or exit_profit) to close it`);
+    }
+  }
+
+  events.push({
+    type: 'position_closed',
+    position_id: positionId,
+    data: {
+      exit_date: exitDetails.exit_date || new Date().toISOString().split('T')[0],
+      exit_price: exitDetails.exit_price,
+      exit_profit: exitDetails.exit_profit
+    }
   });
+  return appendPositionEvents(events, options).positions[0];
 }
 
 /**
  * Get all open positions
+ * @param {Object} options - Store options
  * @returns {Array} Open positions
  */
-export function getOpenPositions() {
-  const positions = loadPositions();
-  return positions.filter(p => p.status === 'open');
+export function getOpenPositions(options = {}) {
+  return loadPositions(options).filter(p => p.status === 'open');
 }
 
 /**
  * Get position by ID
  * @param {string} positionId - Position ID
+ * @param {Object} options - Store options
  * @returns {object} Position
  */
-export function getPosition(positionId) {
-  const positions = loadPositions();
-  return positions.find(p => p.id === positionId);
+export function getPosition(positionId, options = {}) {
+  return loadPositions(options).find(p => p.id === positionId);
 }
 
 /**
- * Delete position
+ * Delete position (its events stay in the log)
  * @param {string} positionId - Position ID
+ * @param {Object} options - Store options
  */
-export function deletePosition(positionId) {
-  const positions = loadPositions();
-  const filtered = positions.filter(p => p.id !== positionId);
-  savePositions(filtered);
+export function deletePosition(positionId, options = {}) {
+  appendPositionEvents([{ type: 'position_deleted', position_id: positionId }], options);
 }
 
 /**
- * Calculate current P&L for a position
- * @param {object} position - Position object
- * @param {object} currentMarketData - Current market prices
- * @returns {object} P&L analysis
+ * Add a leg to an open position
+ * @param {string} positionId - Position ID
+ * @param {object} leg - { action, type, strike, expiration, quantity, ... }
+ * @param {Object} options - Store options
+ * @returns {object} Updated position
  */
-export function calculatePositionPnL(position, currentMarketData) {
-  const { entry_price, entry_credit, contracts = 1, strategy } = position;
-  const { current_price, current_bid, current_ask } = currentMarketData;
+export function addLeg(positionId, leg, options = {}) {
+  return appendPositionEvents([{ type: 'leg_added', position_id: positionId, data: leg }], options).positions[0];
+}
 
-  const contractMultiplier = 100;
-  const entryValue = (entry_price || entry_credit) * contracts * contractMultiplier;
+/**
+ * Event recording an execution against an open position
+ * @param {string} positionId - Position ID
+ * @param {object} fill - { side: buy|sell, quantity, price, leg_id?, fees?, timestamp? }
+ * @returns {object} Fill event
+ */
+export function buildFillEvent(positionId, fill) {
+  const { timestamp, ...data } = fill;
+  return { type: 'fill', position_id: positionId, timestamp, data };
+}
 
-  let currentValue, unrealizedPnL;
+/**
+ * Record an execution against an open position
+ * @param {string} positionId - Position ID
+ * @param {object} fill - { side: buy|sell, quantity, price, leg_id?, fees?, timestamp? }
+ * @param {Object} options - Store options
+ * @returns {object} Updated position
+ */
+export function recordFill(positionId, fill, options = {}) {
+  return appendPositionEvents([buildFillEvent(positionId, fill)], options).positions[0];
+}
 
-  // Determine if position was entered for debit or credit
-  if (strategy && strategy.includes('credit')) {
-    // Credit spread: we received credit, now want to buy it back cheaper
-    const exitCost = (current_price || current_ask) * contracts * contractMultiplier;
-    unrealizedPnL = entryValue - exitCost;
-    currentValue = exitCost;
+/**
+ * Record an adjustment: legs closed and opened in one change
+ * @param {string} positionId - Position ID
+ * @param {object} adjustment - { description, legs_closed: [leg_id], legs_opened: [leg], net_credit? }
+ * @param {Object} options - Store options
+ * @returns {object} Updated position
+ */
+export function recordAdjustment(positionId, adjustment, options = {}) {
+  return appendPositionEvents([{ type: 'adjustment', position_id: positionId, data: adjustment }], options).positions[0];
+}
+
+/**
+ * Add a journal note to a trade (open or closed)
+ * @param {string} positionId - Position ID
+ * @param {string} note - Note text
+ * @param {Array} tags - Tags for the note; they are also added to the trade
+ * @param {Object} options - Store options
+ * @returns {object} Updated position
+ */
+export function addJournalNote(positionId, note, tags = [], options = {}) {
+  return appendPositionEvents([{ type: 'note_added', position_id: positionId, data: { note, tags } }], options).positions[0];
+}
+
+/**
+ * Replace a trade's tags
+ * @param {string} positionId - Position ID
+ * @param {Array} tags - New tag set
+ * @param {Object} options - Store options
+ * @returns {object} Updated position
+ */
+export function setPositionTags(positionId, tags, options = {}) {
+  return appendPositionEvents([{ type: 'tags_set', position_id: positionId, data: { tags } }], options).positions[0];
+}
+
+/**
+ * Full event history of a position, including deleted ones
+ * @param {string} positionId - Position ID
+ * @param {Object} options - Store options
+ * @returns {object} { position (null once deleted), events }
+ */
+export function getPositionHistory(positionId, options = {}) {
+  const events = readPositionEvents({ position_id: positionId }, options);
+  if (events.length === 0) {
+    throw new Error(`Position ${positionId} not found`);
+  }
+  return {
+    position: getPosition(positionId, options) || null,
+    events
+  };
+}
+
+/**
+ * Search journal notes across trades
+ * @param {object} filters - symbol, tag (on the note or the trade), status, strategy, from, to (note dates), text, position_id, limit
+ * @param {Object} options - Store options
+ * @returns {object} Matching entries (newest first) with tag counts
+ */
+export function queryJournal(filters = {}, options = {}) {
+  const { symbol, tag, status, strategy, from, to, text, position_id, limit = 100 } = filters;
+  const needle = text ? text.toLowerCase() : null;
+
+  const entries = loadPositions(options)
+    .filter(p =>
+      (!symbol || p.symbol?.toUpperCase() === symbol.toUpperCase()) &&
+      (!status || status === 'all' || p.status === status) &&
+      (!strategy || p.strategy === strategy) &&
+      (!position_id || p.id === position_id)
+    )
+    .flatMap(p => p.journal.map(entry => ({
+      position_id: p.id,
+      symbol: p.symbol,
+      strategy: p.strategy,
+      status: p.status,
+      trade_tags: p.tags,
+      ...entry
+    })))
+    .filter(entry =>
+      (!tag || entry.tags.includes(tag) || entry.trade_tags.includes(tag)) &&
+      (!from || entry.timestamp >= from) &&
+      (!to || entry.timestamp.slice(0, to.length) <= to) &&
+      (!needle || entry.note.toLowerCase().includes(needle))
+    )
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+  const tagCounts = {};
+  entries.forEach(entry => {
+    new Set([...entry.tags, ...entry.trade_tags]).forEach(t => {
+      tagCounts[t] = (tagCounts[t] || 0) + 1;
+    });
+  });
+
+  return {
+    total_entries: entries.length,
+    trades: new Set(entries.map(entry => entry.position_id)).size,
+    tag_counts: tagCounts,
+    entries: entries.slice(0, limit)
+  };
+}
+
+function openLegs(position) {
+  return (position.legs || []).filter(leg => leg.status === 'open');
+}
+
+function requirePosition(positionId, options) {
+  const position = getPosition(positionId, options);
+  if (!position) {
+    throw new Error(`Position ${positionId} not found`);
+  }
+  return position;
+}
+
+/**
+ * Events that roll a position (see rollPosition)
+ * @param {object} position - Current position
+ * @param {object} roll - As for rollPosition
+ * @returns {Array} Events
+ */
+export function buildRollEvents(position, roll) {
+  const { open_legs = [], close_legs, net_credit, new_expiration, new_strike, description } = roll;
+
+  return [{
+    type: 'position_rolled',
+    position_id: position.id,
+    data: {
+      legs_closed: close_legs || openLegs(position).map(leg => leg.leg_id),
+      legs_opened: open_legs,
+      net_credit,
+      new_expiration,
+      new_strike,
+      description
+    }
+  }];
+}
+
+/**
+ * Roll a position: close legs and open replacements in one step, keeping the
+ * campaign's premium, realized P&L and lineage
+ * @param {string} positionId - Position ID
+ * @param {object} roll - open_legs (required), close_legs (leg IDs, default all open legs),
+ *   net_credit (per share per contract, negative for a debit), new_expiration, new_strike, description
+ * @param {Object} options - Store options
+ * @returns {object} Rolled position
+ */
+export function rollPosition(positionId, roll, options = {}) {
+  return appendPositionEvents(buildRollEvents(requirePosition(positionId, options), roll), options).positions[0];
+}
+
+// Position as it would be after the events, without writing them
+function projectEvents(position, events) {
+  const state = { schema_version: 0, last_seq: 0, positions: { [position.id]: structuredClone(position) } };
+  const timestamp = new Date().toISOString();
+  events.forEach(event => applyEvent(state, { ...event, timestamp }));
+  return state.positions[position.id];
+}
+
+/**
+ * Events that adjust a position (see adjustPosition)
+ * @param {object} position - Current position
+ * @param {object} adjustment - As for adjustPosition
+ * @returns {Array} Events, ending with the close when nothing remains open
+ */
+export function buildAdjustmentEvents(position, adjustment) {
+  const positionId = position.id;
+  const {
+    add_legs = [], remove_legs = [], net_credit, close_contracts, close_price,
+    close_shares, share_price, close_date, fees, description
+  } = adjustment;
+  const events = [];
+
+  if (add_legs.length > 0 || remove_legs.length > 0) {
+    events.push({
+      type: 'adjustment',
+      position_id: positionId,
+      data: { legs_closed: remove_legs, legs_opened: add_legs, net_credit, description }
+    });
+  }
+
+  if (close_contracts) {
+    events.push({
+      type: 'contracts_closed',
+      position_id: positionId,
+      data: { contracts: close_contracts, price: close_price, fees }
+    });
+  }
+
+  if (close_shares) {
+    events.push({
+      type: 'shares_closed',
+      position_id: positionId,
+      // Fees go with the contracts when both close together
+      data: { quantity: close_shares, price: share_price, fees: close_contracts ? 0 : fees }
+    });
+  }
+
+  if (events.length === 0) {
+    throw new Error('Adjustment needs add_legs, remove_legs, close_contracts or close_shares');
+  }
+
+  if (close_contracts || close_shares) {
+    const projected = projectEvents(position, events);
+    if (!(projected.contracts > 0) && !projected.shares?.quantity) {
+      // Closing everything realizes the whole campaign: option premium and share P&L
+      const campaign = projected.campaign;
+      events.push({
+        type: 'position_closed',
+        position_id: positionId,
+        data: {
+          exit_date: close_date || new Date().toISOString().split('T')[0],
+          exit_price: close_price,
+          exit_profit: parseFloat((campaign.realized_pnl + campaign.open_premium).toFixed(2))
+        }
+      });
+    }
+  }
+  return events;
+}
+
+/**
+ * Adjust a position: add or remove legs, close some contracts and/or sell assigned shares.
+ * Closing every remaining contract and share closes the position.
+ * @param {string} positionId - Position ID
+ * @param {object} adjustment - add_legs, remove_legs (leg IDs), net_credit (per share per contract for the leg change),
+ *   close_contracts, close_price (per share), close_shares, share_price, close_date (exit date when everything
+ *   closes, default today), fees, description
+ * @param {Object} options - Store options
+ * @returns {object} Adjusted position
+ */
+export function adjustPosition(positionId, adjustment, options = {}) {
+  return appendPositionEvents(buildAdjustmentEvents(requirePosition(positionId, options), adjustment), options).positions[0];
+}
+
+/**
+ * Event recording an assignment or exercise (see assignPosition)
+ * @param {object} position - Current position
+ * @param {object} assignment - As for assignPosition
+ * @returns {object} Assignment event
+ */
+export function buildAssignmentEvent(position, assignment = {}) {
+  const { leg_id, option_type, action, strike, assignment_date } = assignment;
+  const data = { assignment_date: assignment_date || new Date().toISOString().split('T')[0] };
+
+  if (leg_id) {
+    data.leg_id = leg_id;
+  } else if (option_type || action) {
+    Object.assign(data, { option_type, action, strike: strike ?? position.strike_price });
   } else {
-    // Debit spread: we paid debit, now want to sell it for more
-    const exitValue = (current_price || current_bid) * contracts * contractMultiplier;
-    unrealizedPnL = exitValue - entryValue;
-    currentValue = exitValue;
+    const legs = openLegs(position);
+    if (legs.length !== 1) {
+      throw new Error(`Position ${position.id} has ${legs.length} open legs - specify leg_id`);
+    }
+    data.leg_id = legs[0].leg_id;
+  }
+  if (strike !== undefined) data.strike = strike;
+
+  return { type: 'position_assigned', position_id: position.id, data };
+}
+
+/**
+ * Record assignment (short leg) or exercise (long leg) of an option leg.
+ * The shares join the campaign; the premium collected lowers their cost basis.
+ * @param {string} positionId - Position ID
+ * @param {object} assignment - leg_id (default: the only open leg), or option_type, action and strike
+ *   for positions tracked without legs; strike overrides the leg's; assignment_date
+ * @param {Object} options - Store options
+ * @returns {object} Position holding the shares
+ */
+export function assignPosition(positionId, assignment = {}, options = {}) {
+  const event = buildAssignmentEvent(requirePosition(positionId, options), assignment);
+  return appendPositionEvents([event], options).positions[0];
+}
+
+/**
+ * Campaign summary: premium collected across rolls and adjustments, realized
+ * P&L, assigned shares with their premium-adjusted cost basis, and lineage
+ * @param {object} position - Position
+ * @returns {object} Campaign summary
+ */
+export function summarizeCampaign(position) {
+  const campaign = campaignOf(position);
+  const units = campaign.entry_contracts * CONTRACT_MULTIPLIER;
+  const shares = position.shares?.quantity
+    ? {
+      quantity: position.shares.quantity,
+      average_price: parseFloat(position.shares.average_price.toFixed(4)),
+      // Premium still attached to the campaign lowers (long) or raises (short) the effective share price
+      adjusted_cost_basis: parseFloat((position.shares.average_price - campaign.open_premium / position.shares.quantity).toFixed(4))
+    }
+    : null;
+
+  return {
+    entry_type: campaign.entry_type,
+    contracts_open: position.contracts ?? 1,
+    net_premium: parseFloat(campaign.net_premium.toFixed(2)),
+    net_premium_per_share: units > 0 ? parseFloat((campaign.net_premium / units).toFixed(4)) : null,
+    open_premium: parseFloat(campaign.open_premium.toFixed(2)),
+    realized_pnl: parseFloat(campaign.realized_pnl.toFixed(2)),
+    fees: parseFloat((campaign.fees || 0).toFixed(2)),
+    rolls: campaign.rolls,
+    shares,
+    lineage: campaign.lineage
+  };
+}
+
+/**
+ * Calculate current P&L for a position across its whole campaign:
+ * P&L realized by partial closes and assignments, plus the premium still
+ * attached to open contracts against what closing them would cost now,
+ * plus assigned shares marked at the underlying price
+ * @param {object} position - Position object
+ * @param {object} currentMarketData - Current market prices; underlying_price marks assigned shares
+ * @returns {object} P&L analysis
+ */
+export function calculatePositionPnL(position, currentMarketData) {
+  const campaign = campaignOf(position);
+  const contracts = position.contracts ?? 1;
+  const { current_price, current_bid, current_ask, underlying_price } = currentMarketData;
+
+  const entryValue = Math.abs(campaign.entry_premium);
+
+  // Credit positions cost money to close; debit positions return money
+  let currentValue = 0;
+  let liquidation = 0;
+  if (contracts > 0) {
+    if (campaign.entry_type === 'credit') {
+      currentValue = (current_price || current_ask) * contracts * CONTRACT_MULTIPLIER;
+      liquidation = -currentValue;
+    } else {
+      currentValue = (current_price || current_bid) * contracts * CONTRACT_MULTIPLIER;
+      liquidation = currentValue;
+    }
   }
 
-  const profitPct = entryValue !== 0 ? (unrealizedPnL / entryValue) * 100 : 0;
+  const shares = position.shares?.quantity || 0;
+  const sharesPnL = shares !== 0 && Number.isFinite(underlying_price)
+    ? (underlying_price - position.shares.average_price) * shares
+    : 0;
+
+  const unrealizedPnL = campaign.open_premium + liquidation + sharesPnL;
+  const campaignPnL = campaign.realized_pnl + unrealizedPnL;
+  const profitPct = entryValue !== 0 ? (campaignPnL / entryValue) * 100 : 0;
 
   // Calculate days held
   const entryDate = new Date(position.entry_date);
   const today = new Date();
   const daysHeld = Math.floor((today - entryDate) / (1000 * 60 * 60 * 24));
 
-  return {
+  const result = {
     entry_value: parseFloat(entryValue.toFixed(2)),
     current_value: parseFloat(currentValue.toFixed(2)),
     unrealized_pnl: parseFloat(unrealizedPnL.toFixed(2)),
+    realized_pnl: parseFloat(campaign.realized_pnl.toFixed(2)),
+    campaign_pnl: parseFloat(campaignPnL.toFixed(2)),
     profit_pct: parseFloat(profitPct.toFixed(2)),
     days_held: daysHeld,
-    daily_pnl: daysHeld > 0 ? parseFloat((unrealizedPnL / daysHeld).toFixed(2)) : 0
+    daily_pnl: daysHeld > 0 ? parseFloat((campaignPnL / daysHeld).toFixed(2)) : 0
   };
+  if (shares !== 0) {
+    result.shares_pnl = parseFloat(sharesPnL.toFixed(2));
+    if (!Number.isFinite(underlying_price)) {
+      result.warning = `${shares} assigned shares not marked - pass underlying_price`;
+    }
+  }
+  return result;
 }
 
 /**
@@ -210,7 +547,8 @@ export function generateExitSignals(position, pnlData, config = {}) {
     profit_target_pct = 50, // Close at 50% of max profit
     stop_loss_pct = 50, // Stop loss at 50% of max loss
     time_stop_dte = 7, // Close at 7 days to expiration
-    theta_threshold = 0.10 // Close when capturing 80%+ of theta
+    theta_threshold = 0.10, // Close when capturing 80%+ of theta
+    as_of = new Date() // Evaluation date (backtests replay historical dates)
   } = config;
 
   const signals = [];
@@ -219,7 +557,7 @@ export function generateExitSignals(position, pnlData, config = {}) {
 
   // Calculate days to expiration
   const expirationDate = new Date(position.expiration);
-  const today = new Date();
+  const today = new Date(as_of);
   const dte = Math.floor((expirationDate - today) / (1000 * 60 * 60 * 24));
 
   // Profit target hit
@@ -361,13 +699,28 @@ export async function monitorPositions(marketDataFetcher) {
 
 export default {
   loadPositions,
-  savePositions,
   addPosition,
   updatePosition,
   closePosition,
   getOpenPositions,
   getPosition,
   deletePosition,
+  addLeg,
+  recordFill,
+  recordAdjustment,
+  addJournalNote,
+  setPositionTags,
+  getPositionHistory,
+  queryJournal,
+  rollPosition,
+  adjustPosition,
+  assignPosition,
+  buildOpenEvents,
+  buildFillEvent,
+  buildRollEvents,
+  buildAdjustmentEvents,
+  buildAssignmentEvent,
+  summarizeCampaign,
   calculatePositionPnL,
   generateExitSignals,
   monitorPositions
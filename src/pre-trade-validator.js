@@ -14,6 +14,7 @@
 import { OptionsProbabilityCalculator } from './probability-calculator.js';
 import { RealTimeOptionsMonitor } from './real-time-monitor.js';
 import { calculateIVRank } from './volatility-analysis.js';
+import { checkBuyingPower } from './margin.js';
 
 /**
  * Pre-Trade Validator Class
@@ -32,7 +33,8 @@ export class PreTradeValidator {
    * @param {string} strategyType - Type of strategy ('iron_condor', 'strangle', 'call_credit_spread', etc.)
    * @param {Object} strikes - Strike prices for the strategy
    * @param {string} expiration - Expiration date (YYYY-MM-DD)
-   * @param {Object} options - Additional options
+   * @param {Object} options - Additional options: buying_power (enables the buying power check),
+   *   account_type, margin_method (reg_t/portfolio), contracts, positions (existing, for the margin they use)
    * @returns {Object} Complete validation report
    */
   async validateTrade(symbol, strategyType, strikes, expiration, options = {}) {
@@ -387,6 +389,44 @@ export class PreTradeValidator {
         }
       });
 
+      // ===== CHECK 10: Buying Power =====
+      let margin = null;
+      if (options.buying_power !== undefined && options.buying_power !== null) {
+        const trade = this.buildMarginTrade(symbol, strategyType, strikes, expiration, probabilities, currentPrice, options.contracts);
+        margin = checkBuyingPower(trade, {
+          buying_power: options.buying_power,
+          account_type: options.account_type,
+          method: options.margin_method,
+          positions: options.positions || []
+        }, { underlying_prices: { [symbol]: currentPrice } });
+
+        const usedPct = margin.available > 0 ? (margin.trade_effect / margin.available) * 100 : 100;
+        const marginStatus = !margin.allowed ? 'FAIL'
+          : usedPct > 50 ? 'WARNING'
+            : 'PASS';
+
+        validationChecks.push({
+          name: 'Buying Power',
+          status: marginStatus,
+          severity: marginStatus === 'FAIL' ? 'CRITICAL' : marginStatus === 'WARNING' ? 'MEDIUM' : 'INFO',
+          value: margin.trade_effect,
+          threshold: margin.available,
+          details: {
+            method: margin.method,
+            account_type: margin.account_type,
+            requirement: margin.trade_margin.requirement,
+            buying_power_effect: margin.trade_effect,
+            available: margin.available,
+            max_contracts: margin.max_contracts,
+            message: marginStatus === 'FAIL'
+              ? `⛔ INSUFFICIENT BUYING POWER - ${margin.reason}`
+              : marginStatus === 'WARNING'
+                ? `⚠️ Trade uses ${usedPct.toFixed(0)}% of available buying power`
+                : `✓ ${margin.reason}`
+          }
+        });
+      }
+
       // ===== FINAL VERDICT =====
       const failures = validationChecks.filter(c => c.status === 'FAIL');
       const warnings = validationChecks.filter(c => c.status === 'WARNING');
@@ -418,6 +458,7 @@ export class PreTradeValidator {
         checks: validationChecks,
         probabilities: probabilities,
         market_data: marketData,
+        ...(margin ? { margin } : {}),
 
         recommendation: this.generateRecommendation(overallStatus, failures, warnings, validationChecks, probabilities)
       };
@@ -426,6 +467,43 @@ export class PreTradeValidator {
     }
   }
 
+  /**
+   * Legs of the trade for the margin check, priced at the quoted mids
+   *
+   * @param {string} symbol - Underlying symbol
+   * @param {string} strategyType - Strategy type
+   * @param {Object} strikes - Strike prices for the strategy
+   * @param {string} expiration - Expiration date
+   * @param {Object} probabilities - Probability analysis per strike (mid, implied_volatility)
+   * @param {number} currentPrice - Underlying price
+   * @param {number} contracts - Number of contracts (default 1)
+   * @returns {Object} Trade for checkBuyingPower
+   */
+  buildMarginTrade(symbol, strategyType, strikes, expiration, probabilities, currentPrice, contracts = 1) {
+    const legs = ['short_call', 'short_put', 'long_call', 'long_put']
+      .filter(key => strikes[key])
+      .map(key => ({
+        action: key.startsWith('short') ? 'sell' : 'buy',
+        type: key.endsWith('call') ? 'call' : 'put',
+        strike: strikes[key],
+        expiration,
+        price: probabilities[key]?.mid || 0,
+        ...(probabilities[key]?.implied_volatility ? { iv: probabilities[key].implied_volatility } : {})
+      }));
+
+    if (strategyType === 'covered_call') {
+      legs.push({ action: 'buy', type: 'stock' });
+    }
+
+    return {
+      symbol,
+      contracts,
+      underlying_price: currentPrice,
+      legs,
+      cash_secured: strategyType === 'cash_secured_put'
+    };
+  }
+
   /**
    * Generate comprehensive recommendation
    *
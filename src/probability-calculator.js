@@ -5,6 +5,8 @@
  * and historical volatility analysis. Critical for pre-trade validation.
  */
 
+import { calculateIVStats } from './iv-history.js';
+
 /**
  * Calculate days to expiration from an expiration date string
  * @param {string} expirationDate - Date in YYYY-MM-DD format
@@ -387,7 +389,8 @@ export class OptionsProbabilityCalculator {
 
   /**
    * Calculate IV Rank (where current IV stands in 52-week range)
-   * Requires historical IV data
+   * Uses the stored daily IV history when there is enough of it,
+   * otherwise falls back to a realized volatility range
    *
    * @param {string} symbol - Underlying symbol
    * @param {number} currentIV - Current implied volatility
@@ -395,14 +398,16 @@ export class OptionsProbabilityCalculator {
    */
   async calculateIVRank(symbol, currentIV) {
     try {
+      const stored = calculateIVStats(symbol, { current: currentIV });
+      if (stored.sufficient_history && stored.iv_rank !== null) {
+        return Math.max(0, Math.min(100, stored.iv_rank));
+      }
+
       // Get 1 year of option data to build IV history
       const toDate = new Date().toISOString().split('T')[0];
       const fromDate = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
 
-      // This would need historical IV data - approximation for now
-      // In production, you'd cache daily IV snapshots
-
-      // Simplified: use HV as proxy for IV range
+      // Not enough stored IV yet: use HV as proxy for IV range
       const bars = await this.client.getHistoricalBars(symbol, 1, 'day', fromDate, toDate);
 
       // Calculate rolling 30-day HV for each day
@@ -0,0 +1,294 @@
+/**
+ * Request Scheduler Module
+ *
+ * Sits between the axios clients and the network so long multi-request runs
+ * (deep analysis, dealer matrices, backfills) survive rate limits and
+ * transient failures:
+ * - Token-bucket rate limiting sized to the Massive plan tier
+ * - A cap on concurrent in-flight requests
+ * - Retries on 429/5xx and network errors with exponential backoff and full
+ *   jitter, honoring Retry-After (which also pauses every other request)
+ * - Identical in-flight GETs share one network call
+ * - Metrics on throughput, waits and retries
+ */
+
+import axios from 'axios';
+import { buildCacheKey } from './market-data-cache.js';
+
+/**
+ * Request budgets per plan tier
+ * basic is the free plan's 5 calls/minute; paid plans are unlimited but
+ * should stay well under the API's abuse thresholds.
+ */
+export const PLAN_TIERS = {
+  basic: { requests_per_second: 5 / 60, burst: 5 },
+  starter: { requests_per_second: 10, burst: 20 },
+  developer: { requests_per_second: 25, burst: 50 },
+  advanced: { requests_per_second: 100, burst: 100 }
+};
+
+export const DEFAULT_SCHEDULER_CONFIG = {
+  tier: 'starter',
+  max_concurrent: 6,
+  max_retries: 4,
+  base_delay_ms: 500,
+  max_delay_ms: 30000,
+  max_retry_after_ms: 60000 // Never sleep longer than this on a Retry-After header
+};
+
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ERR_NETWORK']);
+
+/**
+ * Whether a failed request is worth retrying
+ * @param {Error} error - axios error
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (error.response) {
+    return RETRYABLE_STATUSES.has(error.response.status);
+  }
+  // No response at all: only connection-level failures are transient
+  return RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string|number} value - Header value
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Delay in ms
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function headerValue(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') return headers.get(name);
+  return headers[name] ?? headers[name.toLowerCase()];
+}
+
+export class RequestScheduler {
+  /**
+   * @param {Object} options - DEFAULT_SCHEDULER_CONFIG overrides, plus
+   *   requests_per_second/burst to override the tier, and sleep/now/random for tests
+   */
+  constructor(options = {}) {
+    const config = { ...DEFAULT_SCHEDULER_CONFIG, ...options };
+    const tier = PLAN_TIERS[config.tier];
+    if (!tier) {
+      throw new Error(`Unknown plan tier: ${config.tier}. Use one of ${Object.keys(PLAN_TIERS).join(', ')}`);
+    }
+
+    this.config = {
+      ...config,
+      requests_per_second: options.requests_per_second || tier.requests_per_second,
+      burst: options.burst || tier.burst
+    };
+    this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.now = options.now || (() => Date.now());
+    this.random = options.random || Math.random;
+
+    this.tokens = this.config.burst;
+    this.lastRefill = this.now();
+    this.pausedUntil = 0;
+    this.tokenQueue = Promise.resolve();
+
+    this.active = 0;
+    this.waiting = [];
+    this.inFlight = new Map();
+    this.resetMetrics();
+  }
+
+  resetMetrics() {
+    this.metrics = {
+      since: new Date(this.now()).toISOString(),
+      requests: 0,
+      network_calls: 0,
+      succeeded: 0,
+      failed: 0,
+      retries: 0,
+      retries_by_reason: {},
+      deduplicated: 0,
+      rate_limited_waits: 0,
+      rate_limit_wait_ms: 0,
+      concurrency_waits: 0,
+      retry_after_honored: 0,
+      peak_concurrency: 0
+    };
+  }
+
+  refill() {
+    const now = this.now();
+    const elapsed = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.config.burst, this.tokens + elapsed * this.config.requests_per_second);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Take one token, waiting for refill or a server-requested pause.
+   * Callers queue FIFO so a burst cannot starve earlier requests.
+   */
+  acquireToken() {
+    const take = async () => {
+      for (;;) {
+        const pause = this.pausedUntil - this.now();
+        this.refill();
+        if (pause <= 0 && this.tokens >= 1) {
+          this.tokens -= 1;
+          return;
+        }
+
+        const wait = Math.max(pause, Math.ceil((1 - this.tokens) / this.config.requests_per_second * 1000), 1);
+        this.metrics.rate_limited_waits++;
+        this.metrics.rate_limit_wait_ms += wait;
+        await this.sleep(wait);
+      }
+    };
+
+    const turn = this.tokenQueue.then(take);
+    this.tokenQueue = turn.catch(() => {});
+    return turn;
+  }
+
+  async acquireSlot() {
+    if (this.active >= this.config.max_concurrent) {
+      this.metrics.concurrency_waits++;
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+    this.active++;
+    this.metrics.peak_concurrency = Math.max(this.metrics.peak_concurrency, this.active);
+  }
+
+  releaseSlot() {
+    this.active--;
+    const next = this.waiting.shift();
+    if (next) next();
+  }
+
+  /**
+   * Backoff before retry number `attempt` (0-based): the server's Retry-After
+   * when given, otherwise full jitter over an exponential ceiling
+   */
+  retryDelay(attempt, error) {
+    const retryAfter = parseRetryAfter(headerValue(error.response?.headers, 'retry-after'), this.now());
+    if (retryAfter !== null) {
+      this.metrics.retry_after_honored++;
+      return Math.min(retryAfter, this.config.max_retry_after_ms);
+    }
+
+    const ceiling = Math.min(this.config.max_delay_ms, this.config.base_delay_ms * 2 ** attempt);
+    return Math.round(this.random() * ceiling);
+  }
+
+  /**
+   * Send one request under the rate limit, concurrency cap and retry policy
+   * @param {Function} send - Performs the request, resolving to a response
+   * @returns {Promise<Object>} Response
+   */
+  async execute(send) {
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      let failure = null;
+
+      await this.acquireSlot();
+      try {
+        await this.acquireToken();
+        this.metrics.network_calls++;
+        response = await send();
+      } catch (error) {
+        failure = error;
+      } finally {
+        this.releaseSlot();
+      }
+
+      if (!failure) {
+        this.metrics.succeeded++;
+        return response;
+      }
+      if (attempt >= this.config.max_retries || !isRetryableError(failure)) {
+        this.metrics.failed++;
+        throw failure;
+      }
+
+      const reason = failure.response ? String(failure.response.status) : failure.code;
+      const delay = this.retryDelay(attempt, failure);
+      this.metrics.retries++;
+      this.metrics.retries_by_reason[reason] = (this.metrics.retries_by_reason[reason] || 0) + 1;
+
+      // A 429 means the whole key is over budget, not just this request
+      if (failure.response?.status === 429) {
+        this.pausedUntil = Math.max(this.pausedUntil, this.now() + delay);
+      }
+      console.error(`Request failed (${reason}), retry ${attempt + 1}/${this.config.max_retries} in ${delay}ms`);
+      await this.sleep(delay);
+    }
+  }
+
+  /**
+   * Schedule a request, sharing the network call with identical in-flight GETs
+   * @param {Object} config - axios request config
+   * @param {Function} send - Performs the request
+   * @returns {Promise<Object>} Response (a copy per caller)
+   */
+  schedule(config, send) {
+    this.metrics.requests++;
+    const method = (config.method || 'get').toLowerCase();
+    if (method !== 'get') {
+      return this.execute(send);
+    }
+
+    const { key } = buildCacheKey(config);
+    if (this.inFlight.has(key)) {
+      this.metrics.deduplicated++;
+      return this.inFlight.get(key).then(response => ({ ...response, config }));
+    }
+
+    const pending = this.execute(send).finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, pending);
+    // axios transforms response.data in place, so each caller gets its own object
+    return pending.then(response => ({ ...response }));
+  }
+
+  /**
+   * Route an axios instance through the scheduler
+   * @param {Object} instance - axios instance
+   */
+  attach(instance) {
+    const baseAdapter = axios.getAdapter(instance.defaults.adapter || axios.defaults.adapter);
+    instance.defaults.adapter = (config) => this.schedule(config, () => baseAdapter(config));
+    return instance;
+  }
+
+  /**
+   * Snapshot of configuration and metrics
+   */
+  getMetrics() {
+    this.refill();
+    return {
+      tier: this.config.tier,
+      requests_per_second: parseFloat(this.config.requests_per_second.toFixed(4)),
+      burst: this.config.burst,
+      max_concurrent: this.config.max_concurrent,
+      max_retries: this.config.max_retries,
+      ...this.metrics,
+      in_flight: this.active,
+      queued: this.waiting.length,
+      available_tokens: parseFloat(this.tokens.toFixed(2)),
+      paused_for_ms: Math.max(0, this.pausedUntil - this.now())
+    };
+  }
+}
+
+export default {
+  RequestScheduler,
+  PLAN_TIERS,
+  DEFAULT_SCHEDULER_CONFIG,
+  isRetryableError,
+  parseRetryAfter
+};
@@ -1,6 +1,30 @@
 // Strategy builder module for options spread strategies
 // Generates and ranks various multi-leg option strategies
 
+import {
+  DEFAULT_RISK_FREE_RATE,
+  normalCDF,
+  priceOption,
+  solveImpliedVolatility,
+  yearsToExpiration
+} from './option-pricing.js';
+
+// Strategy types generated for each market outlook
+export const STRATEGIES_BY_OUTLOOK = {
+  bullish: ['bull_call_spread', 'bull_put_spread', 'call_ratio_spread', 'call_diagonal'],
+  bearish: ['bear_put_spread', 'bear_call_spread', 'put_ratio_spread', 'put_diagonal'],
+  neutral: [
+    'iron_condor',
+    'iron_butterfly',
+    'long_butterfly',
+    'broken_wing_butterfly',
+    'short_straddle',
+    'short_strangle',
+    'calendar_spread'
+  ],
+  volatile: ['long_straddle', 'long_strangle', 'short_butterfly']
+};
+
 /**
  * Generate bull call spread strategies
  * Buy lower strike call, sell higher strike call
@@ -191,9 +215,10 @@ export function generateIronCondors(callOptions, putOptions, underlyingPrice) {
  * @param {Object} optionsByExpiration - Options grouped by expiration
  * @param {number} underlyingPrice - Current stock price
  * @param {string} optionType - 'call' or 'put'
+ * @param {Object} options - { as_of } valuation date (default: now)
  * @returns {Array} Array of calendar spread strategies
  */
-export function generateCalendarSpreads(optionsByExpiration, underlyingPrice, optionType = 'call') {
+export function generateCalendarSpreads(optionsByExpiration, underlyingPrice, optionType = 'call', options = {}) {
   const strategies = [];
 
   const expirations = Object.keys(optionsByExpiration).sort();
@@ -221,7 +246,7 @@ export function generateCalendarSpreads(optionsByExpiration, underlyingPrice, op
       );
 
       if (farOpt) {
-        const calendar = buildCalendarSpread(nearOpt, farOpt, underlyingPrice, optionType);
+        const calendar = buildCalendarSpread(nearOpt, farOpt, underlyingPrice, optionType, { as_of: options.as_of });
         if (calendar) strategies.push(calendar);
       }
     });
@@ -230,6 +255,404 @@ export function generateCalendarSpreads(optionsByExpiration, underlyingPrice, op
   return strategies;
 }
 
+/**
+ * Generate bull put (credit) spread strategies
+ * Sell higher strike put, buy lower strike put
+ * @param {Array} putOptions - Array of put option contracts with pricing
+ * @param {number} underlyingPrice - Current stock price
+ * @param {Object} options - { as_of } valuation date (default: now)
+ * @returns {Array} Array of bull put spread strategies
+ */
+export function generateBullPutSpreads(putOptions, underlyingPrice, options = {}) {
+  const strategies = [];
+  const curve = buildProbabilityCurve(putOptions);
+
+  // Short strike at or below the money, within 15%
+  const validPuts = putOptions.filter(opt =>
+    opt.price?.last > 0 && opt.strike <= underlyingPrice && opt.strike >= underlyingPrice * 0.85
+  ).sort((a, b) => b.strike - a.strike);
+
+  for (let i = 0; i < validPuts.length - 1 && i < 6; i++) {
+    const shortLeg = validPuts[i];
+
+    for (let j = i + 1; j < validPuts.length && j <= i + 3; j++) {
+      const longLeg = validPuts[j];
+      const spread = buildBullPutSpread(shortLeg, longLeg, underlyingPrice, { curve, as_of: options.as_of });
+      if (spread) strategies.push(spread);
+    }
+  }
+
+  return strategies.slice(0, 10);
+}
+
+/**
+ * Generate bear call (credit) spread strategies
+ * Sell lower strike call, buy higher strike call
+ * @param {Array} callOptions - Array of call option contracts with pricing
+ * @param {number} underlyingPrice - Current stock price
+ * @param {Object} options - { as_of } valuation date (default: now)
+ * @returns {Array} Array of bear call spread strategies
+ */
+export function generateBearCallSpreads(callOptions, underlyingPrice, options = {}) {
+  const strategies = [];
+  const curve = buildProbabilityCurve(callOptions);
+
+  // Short strike at or above the money, within 15%
+  const validCalls = callOptions.filter(opt =>
+    opt.price?.last > 0 && opt.strike >= underlyingPrice && opt.strike <= underlyingPrice * 1.15
+  ).sort((a, b) => a.strike - b.strike);
+
+  for (let i = 0; i < validCalls.length - 1 && i < 6; i++) {
+    const shortLeg = validCalls[i];
+
+    for (let j = i + 1; j < validCalls.length && j <= i + 3; j++) {
+      const longLeg = validCalls[j];
+      const spread = buildBearCallSpread(shortLeg, longLeg, underlyingPrice, { curve, as_of: options.as_of });
+      if (spread) strategies.push(spread);
+    }
+  }
+
+  return strategies.slice(0, 10);
+}
+
+/**
+ * Generate butterfly strategies
+ * Long: buy lower wing, sell 2x body, buy upper wing (equal wing widths).
+ * Short: the same strikes with every action reversed.
+ * @param {Array} contracts - Array of call or put option contracts
+ * @param {number} underlyingPrice - Current stock price
+ * @param {string} direction - 'long' or 'short'
+ * @param {Object} options - { as_of } valuation date (default: now)
+ * @returns {Array} Array of butterfly strategies
+ */
+export function generateButterflies(contracts, underlyingPrice, direction = 'long', options = {}) {
+  const strategies = [];
+  const curve = buildProbabilityCurve(contracts);
+
+  const validOptions = contracts.filter(opt => opt.price?.last > 0)
+    .sort((a, b) => a.strike - b.strike);
+  const byStrike = new Map(validOptions.map(opt => [opt.strike, opt]));
+
+  // Bodies closest to the money first
+  const bodies = validOptions
+    .filter(opt => Math.abs(opt.strike - underlyingPrice) / underlyingPrice <= 0.05)
+    .sort((a, b) => Math.abs(a.strike - underlyingPrice) - Math.abs(b.strike - underlyingPrice));
+
+  for (const body of bodies) {
+    const lowerWings = validOptions.filter(opt =>
+      opt.strike < body.strike && (body.strike - opt.strike) / underlyingPrice <= 0.10
+    ).reverse();
+
+    for (const lower of lowerWings.slice(0, 3)) {
+      const upper = byStrike.get(2 * body.strike - lower.strike);
+      if (!upper) continue;
+
+      const butterfly = direction === 'short'
+        ? buildShortButterfly(lower, body, upper, underlyingPrice, { curve, as_of: options.as_of })
+        : buildLongButterfly(lower, body, upper, underlyingPrice, { curve, as_of: options.as_of });
+      if (butterfly) strategies.push(butterfly);
+    }
+  }
+
+  return strategies.slice(0, 10);
+}
+
+/**
+ * Generate iron butterfly strategies
+ * Sell ATM put and call at the same strike, buy equidistant wings
+ * @param {Array} callOptions - Array of call option contracts
+ * @param {Array} putOptions - Array of put option contracts
+ * @param {number} underlyingPrice - Current stock price
+ * @param {Object} options - { as_of } valuation date (default: now)
+ * @returns {Array} Array of iron butterfly strategies
+ */
+export function generateIronButterflies(callOptions, putOptions, underlyingPrice, options = {}) {
+  const strategies = [];
+  const curve = buildProbabilityCurve([...callOptions, ...putOptions]);
+
+  const validCalls = callOptions.filter(opt => opt.price?.last > 0);
+  const validPuts = putOptions.filter(opt => opt.price?.last > 0);
+  const callsByStrike = new Map(validCalls.map(opt => [opt.strike, opt]));
+
+  const bodies = validPuts
+    .filter(put => callsByStrike.has(put.strike) &&
+      Math.abs(put.strike - underlyingPrice) / underlyingPrice <= 0.03)
+    .sort((a, b) => Math.abs(a.strike - underlyingPrice) - Math.abs(b.strike - underlyingPrice))
+    .slice(0, 2);
+
+  for (const shortPut of bodies) {
+    const shortCall = callsByStrike.get(shortPut.strike);
+    const longPuts = validPuts.filter(opt =>
+      opt.strike < shortPut.strike && (shortPut.strike - opt.strike) / underlyingPrice <= 0.10
+    ).sort((a, b) => b.strike - a.strike);
+
+    for (const longPut of longPuts.slice(0, 4)) {
+      const longCall = callsByStrike.get(2 * shortPut.strike - longPut.strike);
+      if (!longCall) continue;
+
+      const ironButterfly = buildIronButterfly(longPut, shortPut, shortCall, longCall, underlyingPrice, { curve, as_of: options.as_of });
+      if (ironButterfly) strategies.push(ironButterfly);
+    }
+  }
+
+  return strategies.slice(0, 10);
+}
+
+/**
+ * Generate broken-wing butterfly strategies
+ * The wing on the risk side is skipped out to twice the body width, usually
+ * for a small credit: calls break the upper wing, puts break the lower wing.
+ * @param {Array} contracts - Array of call or put option contracts
+ * @param {number} underlyingPrice - Current stock price
+ * @param {string} optionType - 'call' or 'put'
+ * @param {Object} options - { as_of } valuation date (default: now)
+ * @returns {Array} Array of broken-wing butterfly strategies
+ */
+export function generateBrokenWingButterflies(contracts, underlyingPrice, optionType = 'call', options = {}) {
+  const strategies = [];
+  const curve = buildProbabilityCurve(contracts);
+
+  const validOptions = contracts.filter(opt => opt.price?.last > 0)
+    .sort((a, b) => a.strike - b.strike);
+  const byStrike = new Map(validOptions.map(opt => [opt.strike, opt]));
+
+  // Body slightly OTM in the direction of the trade
+  const bodies = validOptions.filter(opt => {
+    const distance = (opt.strike - underlyingPrice) / underlyingPrice;
+    return optionType === 'call' ? distance >= 0 && distance <= 0.05 : distance <= 0 && distance >= -0.05;
+  });
+
+  for (const body of bodies) {
+    const nearWings = validOptions.filter(opt =>
+      (optionType === 'call' ? opt.strike < body.strike : opt.strike > body.strike) &&
+      Math.abs(body.strike - opt.strike) / underlyingPrice <= 0.05
+    ).sort((a, b) => Math.abs(body.strike - a.strike) - Math.abs(body.strike - b.strike));
+
+    for (const nearWing of nearWings.slice(0, 2)) {
+      const width = Math.abs(body.strike - nearWing.strike);
+      const farStrike = optionType === 'call' ? body.strike + 2 * width : body.strike - 2 * width;
+      const farWing = byStrike.get(farStrike);
+      if (!farWing) continue;
+
+      const [lower, upper] = optionType === 'call' ? [nearWing, farWing] : [farWing, nearWing];
+      const butterfly = buildBrokenWingButterfly(lower, body, upper, underlyingPrice, { curve, as_of: options.as_of });
+      if (butterfly) strategies.push(butterfly);
+    }
+  }
+
+  return strategies.slice(0, 10);
+}
+
+/**
+ * Generate straddle strategies at the strikes nearest the money
+ * @param {Array} callOptions - Array of call option contracts
+ * @param {Array} putOptions - Array of put option contracts
+ * @param {number} underlyingPrice - Current stock price
+ * @param {string} direction - 'long' or 'short'
+ * @param {Object} options - { as_of } valuation date (default: now)
+ * @returns {Array} Array of straddle strategies
+ */
+export function generateStraddles(callOptions, putOptions, underlyingPrice, direction = 'long', options = {}) {
+  const strategies = [];
+  const curve = buildProbabilityCurve([...callOptions, ...putOptions]);
+
+  const putsByStrike = new Map(putOptions.filter(opt => opt.price?.last > 0).map(opt => [opt.strike, opt]));
+
+  callOptions
+    .filter(call => call.price?.last > 0 && putsByStrike.has(call.strike))
+    .sort((a, b) => Math.abs(a.strike - underlyingPrice) - Math.abs(b.strike - underlyingPrice))
+    .slice(0, 2)
+    .forEach(call => {
+      const straddle = buildStraddle(call, putsByStrike.get(call.strike), underlyingPrice, direction, { curve, as_of: options.as_of });
+      if (straddle) strategies.push(straddle);
+    });
+
+  return strategies;
+}
+
+/**
+ * Generate strangle strategies from OTM puts and calls roughly equidistant from the money
+ * @param {Array} callOptions - Array of call option contracts
+ * @param {Array} putOptions - Array of put option contracts
+ * @param {number} underlyingPrice - Current stock price
+ * @param {string} direction - 'long' or 'short'
+ * @param {Object} options - { as_of } valuation date (default: now)
+ * @returns {Array} Array of strangle strategies
+ */
+export function generateStrangles(callOptions, putOptions, underlyingPrice, direction = 'long', options = {}) {
+  const strategies = [];
+  const curve = buildProbabilityCurve([...callOptions, ...putOptions]);
+
+  const otmCalls = callOptions.filter(opt =>
+    opt.price?.last > 0 && opt.strike > underlyingPrice && opt.strike <= underlyingPrice * 1.10
+  ).sort((a, b) => a.strike - b.strike);
+  const otmPuts = putOptions.filter(opt =>
+    opt.price?.last > 0 && opt.strike < underlyingPrice && opt.strike >= underlyingPrice * 0.90
+  ).sort((a, b) => b.strike - a.strike);
+
+  for (const call of otmCalls.slice(0, 5)) {
+    for (const put of otmPuts.slice(0, 5)) {
+      const callDistance = call.strike - underlyingPrice;
+      const putDistance = underlyingPrice - put.strike;
+
+      if (Math.abs(callDistance - putDistance) / Math.max(callDistance, putDistance) > 0.3) continue;
+
+      const strangle = buildStrangle(put, call, underlyingPrice, direction, { curve, as_of: options.as_of });
+      if (strangle) strategies.push(strangle);
+    }
+  }
+
+  return strategies.slice(0, 10);
+}
+
+/**
+ * Generate front ratio spread strategies
+ * Buy one near-the-money option, sell `ratio` options further OTM
+ * @param {Array} contracts - Array of call or put option contracts
+ * @param {number} underlyingPrice - Current stock price
+ * @param {string} optionType - 'call' or 'put'
+ * @param {number} ratio - Short contracts per long contract
+ * @param {Object} options - { as_of } valuation date (default: now)
+ * @returns {Array} Array of ratio spread strategies
+ */
+export function generateRatioSpreads(contracts, underlyingPrice, optionType = 'call', ratio = 2, options = {}) {
+  const strategies = [];
+  const curve = buildProbabilityCurve(contracts);
+
+  const validOptions = contracts.filter(opt => opt.price?.last > 0);
+  const longCandidates = [...validOptions]
+    .sort((a, b) => Math.abs(a.strike - underlyingPrice) - Math.abs(b.strike - underlyingPrice))
+    .slice(0, 2);
+
+  for (const longLeg of longCandidates) {
+    const shortCandidates = validOptions.filter(opt =>
+      optionType === 'call'
+        ? opt.strike > longLeg.strike && opt.strike <= underlyingPrice * 1.10
+        : opt.strike < longLeg.strike && opt.strike >= underlyingPrice * 0.90
+    ).sort((a, b) => Math.abs(a.strike - longLeg.strike) - Math.abs(b.strike - longLeg.strike));
+
+    for (const shortLeg of shortCandidates.slice(0, 4)) {
+      const spread = buildRatioSpread(longLeg, shortLeg, underlyingPrice, ratio, { curve, as_of: options.as_of });
+      if (spread) strategies.push(spread);
+    }
+  }
+
+  return strategies.slice(0, 10);
+}
+
+/**
+ * Generate diagonal spread strategies
+ * Sell a near-term OTM option, buy a longer-term option one strike closer to the money
+ * @param {Object} optionsByExpiration - Options grouped by expiration
+ * @param {number} underlyingPrice - Current stock price
+ * @param {string} optionType - 'call' or 'put'
+ * @param {Object} options - { as_of } valuation date (default: now)
+ * @returns {Array} Array of diagonal spread strategies
+ */
+export function generateDiagonalSpreads(optionsByExpiration, underlyingPrice, optionType = 'call', options = {}) {
+  const strategies = [];
+
+  const expirations = Object.keys(optionsByExpiration).sort();
+  if (expirations.length < 2) return strategies;
+
+  for (let i = 0; i < expirations.length - 1 && i < 3; i++) {
+    const side = optionType === 'call' ? 'calls' : 'puts';
+    const nearOptions = optionsByExpiration[expirations[i]][side];
+    const farOptions = optionsByExpiration[expirations[i + 1]][side]
+      .filter(opt => opt.price?.last > 0)
+      .sort((a, b) => a.strike - b.strike);
+
+    nearOptions.filter(opt => {
+      const distance = (opt.strike - underlyingPrice) / underlyingPrice;
+      return opt.price?.last > 0 &&
+        (optionType === 'call' ? distance > 0 && distance <= 0.05 : distance < 0 && distance >= -0.05);
+    }).forEach(nearOpt => {
+      // Long leg: the next listed strike toward the money
+      const farOpt = optionType === 'call'
+        ? [...farOptions].reverse().find(f => f.strike < nearOpt.strike)
+        : farOptions.find(f => f.strike > nearOpt.strike);
+
+      if (farOpt) {
+        const diagonal = buildDiagonalSpread(nearOpt, farOpt, underlyingPrice, optionType, { as_of: options.as_of });
+        if (diagonal) strategies.push(diagonal);
+      }
+    });
+  }
+
+  return strategies;
+}
+
+// Generators keyed by strategy type. Single-expiration generators receive one
+// expiration's { calls, puts }; multi-expiration ones receive the full map.
+const SINGLE_EXPIRATION_GENERATORS = {
+  bull_call_spread: ({ calls }, price) => generateBullCallSpreads(calls, price),
+  bear_put_spread: ({ puts }, price) => generateBearPutSpreads(puts, price),
+  bull_put_spread: ({ puts }, price, options) => generateBullPutSpreads(puts, price, options),
+  bear_call_spread: ({ calls }, price, options) => generateBearCallSpreads(calls, price, options),
+  iron_condor: ({ calls, puts }, price) => generateIronCondors(calls, puts, price),
+  iron_butterfly: ({ calls, puts }, price, options) => generateIronButterflies(calls, puts, price, options),
+  long_butterfly: ({ calls }, price, options) => generateButterflies(calls, price, 'long', options),
+  short_butterfly: ({ calls }, price, options) => generateButterflies(calls, price, 'short', options),
+  broken_wing_butterfly: ({ calls, puts }, price, options) => [
+    ...generateBrokenWingButterflies(calls, price, 'call', options),
+    ...generateBrokenWingButterflies(puts, price, 'put', options)
+  ],
+  long_straddle: ({ calls, puts }, price, options) => generateStraddles(calls, puts, price, 'long', options),
+  short_straddle: ({ calls, puts }, price, options) => generateStraddles(calls, puts, price, 'short', options),
+  long_strangle: ({ calls, puts }, price, options) => generateStrangles(calls, puts, price, 'long', options),
+  short_strangle: ({ calls, puts }, price, options) => generateStrangles(calls, puts, price, 'short', options),
+  call_ratio_spread: ({ calls }, price, options) => generateRatioSpreads(calls, price, 'call', 2, options),
+  put_ratio_spread: ({ puts }, price, options) => generateRatioSpreads(puts, price, 'put', 2, options)
+};
+
+const MULTI_EXPIRATION_GENERATORS = {
+  calendar_spread: (byExpiration, price, options) => generateCalendarSpreads(byExpiration, price, 'call', options),
+  call_diagonal: (byExpiration, price, options) => generateDiagonalSpreads(byExpiration, price, 'call', options),
+  put_diagonal: (byExpiration, price, options) => generateDiagonalSpreads(byExpiration, price, 'put', options)
+};
+
+// Strategy types that need two expirations
+export const MULTI_EXPIRATION_TYPES = Object.keys(MULTI_EXPIRATION_GENERATORS);
+
+// Every strategy type the generators understand
+export const STRATEGY_TYPES = [
+  ...Object.keys(SINGLE_EXPIRATION_GENERATORS),
+  ...Object.keys(MULTI_EXPIRATION_GENERATORS)
+];
+
+/**
+ * Generate candidates for several strategy types across expirations
+ * @param {Object} optionsByExpiration - { [expiration]: { calls, puts } }
+ * @param {number} underlyingPrice - Current stock price
+ * @param {Array} strategyTypes - Strategy types from STRATEGY_TYPES
+ * @param {Object} options - { as_of } valuation date (default: now)
+ * @returns {Array} Unranked strategy candidates
+ */
+export function generateStrategies(optionsByExpiration, underlyingPrice, strategyTypes, options = {}) {
+  const unknown = strategyTypes.filter(type => !STRATEGY_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown strategy type(s): ${unknown.join(', ')}`);
+  }
+
+  const candidates = [];
+  const expirations = Object.keys(optionsByExpiration).sort();
+
+  for (const expiration of expirations) {
+    const chain = optionsByExpiration[expiration];
+    strategyTypes
+      .filter(type => SINGLE_EXPIRATION_GENERATORS[type])
+      .forEach(type => candidates.push(...SINGLE_EXPIRATION_GENERATORS[type](chain, underlyingPrice, options)));
+  }
+
+  if (expirations.length >= 2) {
+    strategyTypes
+      .filter(type => MULTI_EXPIRATION_GENERATORS[type])
+      .forEach(type => candidates.push(...MULTI_EXPIRATION_GENERATORS[type](optionsByExpiration, underlyingPrice, options)));
+  }
+
+  return candidates;
+}
+
 /**
  * Rank strategies by multiple criteria
  * @param {Array} strategies - Array of strategy objects
@@ -344,6 +767,285 @@ export function rankStrategies(strategies, preferences = {}) {
   return qualified.sort((a, b) => b.score - a.score);
 }
 
+/**
+ * Build a strategy from an arbitrary list of legs
+ * Handles ratios, butterflies, broken-wing structures, jade lizards, straddles,
+ * strangles, calendars and diagonals. Payoff is evaluated at the front expiration;
+ * longer-dated legs are repriced with the pricing model at their remaining time.
+ * @param {Array} legs - [{ action: 'buy'|'sell', type: 'call'|'put'|'stock', strike, expiration, price, quantity, iv, delta, volume, open_interest }]
+ * @param {number} underlyingPrice - Current stock price
+ * @param {Object} options - { rate, iv (fallback volatility), as_of }
+ * @returns {Object} Strategy object compatible with rankStrategies
+ */
+export function buildCustomStrategy(legs, underlyingPrice, options = {}) {
+  const {
+    rate = DEFAULT_RISK_FREE_RATE,
+    iv: fallbackIV = null,
+    as_of = new Date()
+  } = options;
+
+  if (!Array.isArray(legs) || legs.length === 0) {
+    throw new Error('Custom strategy requires at least one leg');
+  }
+  if (!(underlyingPrice > 0)) {
+    throw new Error('Custom strategy requires the underlying price');
+  }
+
+  const normalized = legs.map((leg, index) => {
+    if (leg.action !== 'buy' && leg.action !== 'sell') {
+      throw new Error(`Leg ${index + 1}: action must be "buy" or "sell"`);
+    }
+    if (!['call', 'put', 'stock'].includes(leg.type)) {
+      throw new Error(`Leg ${index + 1}: type must be "call", "put" or "stock"`);
+    }
+    if (leg.type !== 'stock' && !(leg.strike > 0 && leg.expiration)) {
+      throw new Error(`Leg ${index + 1}: option legs need strike and expiration`);
+    }
+    if (!(leg.price >= 0) && leg.type !== 'stock') {
+      throw new Error(`Leg ${index + 1}: missing price`);
+    }
+    return {
+      ...leg,
+      price: leg.type === 'stock' ? (leg.price ?? underlyingPrice) : leg.price,
+      quantity: leg.quantity || 1,
+      sign: leg.action === 'buy' ? 1 : -1
+    };
+  });
+
+  const optionLegs = normalized.filter(leg => leg.type !== 'stock');
+  const expirations = [...new Set(optionLegs.map(leg => leg.expiration))].sort();
+  const frontExpiration = expirations[0] || null;
+  const frontDate = frontExpiration ? new Date(`${frontExpiration}T20:00:00Z`) : as_of;
+  const timeToFront = frontExpiration ? yearsToExpiration(frontExpiration, as_of) : 0;
+
+  // Resolve a volatility per leg for repricing back-month legs and for POP
+  optionLegs.forEach(leg => {
+    if (!leg.iv && leg.price > 0) {
+      leg.iv = solveImpliedVolatility({
+        type: leg.type,
+        spot: underlyingPrice,
+        strike: leg.strike,
+        time: yearsToExpiration(leg.expiration, as_of),
+        rate,
+        price: leg.price
+      });
+    }
+  });
+  const knownIVs = optionLegs.map(leg => leg.iv).filter(v => v > 0);
+  const strategyIV = knownIVs.length > 0
+    ? knownIVs.reduce((sum, v) => sum + v, 0) / knownIVs.length
+    : fallbackIV;
+
+  const netPremium = normalized.reduce((sum, leg) => sum + leg.sign * leg.quantity * leg.price, 0);
+
+  const valueAt = (price) => normalized.reduce((sum, leg) => {
+    let legValue;
+    if (leg.type === 'stock') {
+      legValue = price;
+    } else if (leg.expiration === frontExpiration) {
+      legValue = leg.type === 'call' ? Math.max(0, price - leg.strike) : Math.max(0, leg.strike - price);
+    } else {
+      legValue = priceOption({
+        type: leg.type,
+        spot: price,
+        strike: leg.strike,
+        time: yearsToExpiration(leg.expiration, frontDate),
+        volatility: leg.iv || strategyIV || 0.3,
+        rate
+      });
+    }
+    return sum + leg.sign * leg.quantity * legValue;
+  }, 0);
+  const pnlAt = (price) => valueAt(price) - netPremium;
+
+  // Evaluate on a grid that always includes every strike (exact for single-expiration payoffs)
+  const strikes = optionLegs.map(leg => leg.strike);
+  const sigmaMove = (strategyIV || 0.3) * Math.sqrt(Math.max(timeToFront, 1 / 365));
+  const upperBound = Math.max(...strikes, underlyingPrice) * 1.5;
+  const gridTop = Math.max(upperBound, underlyingPrice * Math.exp(3 * sigmaMove));
+  const steps = expirations.length > 1 ? 400 : 100;
+  const grid = [...new Set([
+    0.01,
+    ...strikes,
+    underlyingPrice,
+    ...Array.from({ length: steps + 1 }, (_, i) => (gridTop * i) / steps)
+  ].filter(p => p > 0))].sort((a, b) => a - b);
+  const pnls = grid.map(pnlAt);
+
+  // Asymptotic slope decides unlimited profit/loss above the highest strike
+  const slope = normalized.reduce((sum, leg) =>
+    sum + (leg.type === 'put' ? 0 : leg.sign * leg.quantity), 0);
+  const unlimitedProfit = slope > 0;
+  const unlimitedRisk = slope < 0;
+
+  // Unlimited sides are measured at a 3-sigma move so ranking stays meaningful
+  const threeSigmaUp = underlyingPrice * Math.exp(3 * sigmaMove);
+  const boundedPnls = grid.map((price, i) => ((unlimitedProfit || unlimitedRisk) && price > threeSigmaUp ? null : pnls[i]))
+    .filter(v => v !== null);
+  const maxProfit = Math.max(...boundedPnls, unlimitedProfit ? pnlAt(threeSigmaUp) : -Infinity);
+  const maxLoss = Math.min(...boundedPnls, unlimitedRisk ? pnlAt(threeSigmaUp) : Infinity);
+
+  const breakevens = [];
+  for (let i = 1; i < grid.length; i++) {
+    const prev = pnls[i - 1];
+    const curr = pnls[i];
+    if ((prev < 0 && curr >= 0) || (prev >= 0 && curr < 0)) {
+      if (Math.abs(curr - prev) < 1e-9) continue;
+      const crossing = grid[i - 1] + (0 - prev) * (grid[i] - grid[i - 1]) / (curr - prev);
+      breakevens.push(parseFloat(crossing.toFixed(2)));
+    }
+  }
+
+  // POP: lognormal probability mass of the profitable price ranges at the front expiration
+  let probProfit = 0.5;
+  let probabilityMethod = 'unavailable';
+  if (strategyIV && timeToFront > 0) {
+    const cdfAt = (price) => {
+      if (price <= 0) return 0;
+      const d2 = (Math.log(underlyingPrice / price) + (rate - strategyIV * strategyIV / 2) * timeToFront) /
+        (strategyIV * Math.sqrt(timeToFront));
+      return 1 - normalCDF(d2);
+    };
+    const edges = [0, ...breakevens, Infinity];
+    probProfit = 0;
+    for (let i = 0; i < edges.length - 1; i++) {
+      const lower = edges[i];
+      const upper = edges[i + 1];
+      const sample = upper === Infinity ? Math.max(lower * 1.5, gridTop) : (lower + upper) / 2;
+      if (pnlAt(sample) > 0) {
+        probProfit += (upper === Infinity ? 1 : cdfAt(upper)) - cdfAt(lower);
+      }
+    }
+    probabilityMethod = 'lognormal';
+  }
+
+  const structure = classifyLegs(normalized);
+  const maxRisk = Math.max(0, -maxLoss);
+  const strategy = {
+    type: structure,
+    strategy_name: `${normalized.map(leg =>
+      `${leg.sign > 0 ? '+' : '-'}${leg.quantity > 1 ? leg.quantity : ''}${leg.type === 'stock' ? 'STK' : `${leg.strike}${leg.type[0].toUpperCase()}`}`
+    ).join(' ')} ${structure.split('_').map(w => w[0].toUpperCase() + w.slice(1)).join(' ')}`,
+    expiration: frontExpiration,
+    underlying_price: underlyingPrice,
+    legs: normalized.map(leg => ({
+      action: leg.action,
+      type: leg.type,
+      strike: leg.strike,
+      expiration: leg.expiration,
+      quantity: leg.quantity,
+      price: leg.price,
+      delta: leg.delta,
+      iv: leg.iv || undefined,
+      volume: leg.volume,
+      open_interest: leg.open_interest
+    })),
+    ...(netPremium >= 0
+      ? { net_debit: parseFloat(netPremium.toFixed(2)) }
+      : { net_credit: parseFloat((-netPremium).toFixed(2)) }),
+    max_profit: parseFloat(maxProfit.toFixed(2)),
+    max_risk: parseFloat(maxRisk.toFixed(2)),
+    risk_reward: maxRisk > 0 ? parseFloat((maxProfit / maxRisk).toFixed(2)) : 0,
+    breakevens,
+    probability_profit: parseFloat(probProfit.toFixed(3)),
+    probability_method: probabilityMethod,
+    unlimited_profit: unlimitedProfit,
+    unlimited_risk: unlimitedRisk,
+    payoff_at_strikes: [...new Set(strikes)].sort((a, b) => a - b).map(strike => ({
+      price: strike,
+      pnl: parseFloat(pnlAt(strike).toFixed(2))
+    }))
+  };
+
+  // Keep single/double breakeven fields used by the P&L calculator
+  if (breakevens.length === 1) {
+    strategy.breakeven = breakevens[0];
+    strategy.distance_to_breakeven = parseFloat(((breakevens[0] - underlyingPrice) / underlyingPrice * 100).toFixed(2));
+  } else if (breakevens.length === 2) {
+    strategy.breakeven_lower = breakevens[0];
+    strategy.breakeven_upper = breakevens[1];
+  }
+  if (unlimitedProfit || unlimitedRisk) {
+    strategy.note = 'Unlimited side measured at a 3-sigma move';
+  }
+
+  return strategy;
+}
+
+/**
+ * Identify the structure of a leg list
+ * @param {Array} legs - Normalized legs with sign and quantity
+ * @returns {string} Structure type (e.g. 'iron_condor', 'call_ratio_spread', 'custom')
+ */
+export function classifyLegs(legs) {
+  const options = legs.filter(leg => leg.type !== 'stock');
+  const hasStock = legs.some(leg => leg.type === 'stock');
+  const expirations = new Set(options.map(leg => leg.expiration));
+  const calls = options.filter(leg => leg.type === 'call').sort((a, b) => a.strike - b.strike);
+  const puts = options.filter(leg => leg.type === 'put').sort((a, b) => a.strike - b.strike);
+  const qty = (leg) => leg.sign * leg.quantity;
+
+  if (hasStock) {
+    if (options.length === 1 && calls.length === 1 && qty(calls[0]) < 0) return 'covered_call';
+    if (options.length === 1 && puts.length === 1 && qty(puts[0]) > 0) return 'protective_put';
+    if (options.length === 2 && calls.length === 1 && puts.length === 1 && qty(calls[0]) < 0 && qty(puts[0]) > 0) return 'collar';
+    return 'custom';
+  }
+
+  if (expirations.size > 1) {
+    if (options.length === 2 && options[0].type === options[1].type && qty(options[0]) === -qty(options[1])) {
+      return options[0].strike === options[1].strike ? 'calendar_spread' : `${options[0].type}_diagonal`;
+    }
+    return 'custom';
+  }
+
+  if (options.length === 1) {
+    return `${qty(options[0]) > 0 ? 'long' : 'short'}_${options[0].type}`;
+  }
+
+  if (options.length === 2) {
+    if (calls.length === 1 && puts.length === 1 && Math.sign(qty(calls[0])) === Math.sign(qty(puts[0]))) {
+      const prefix = qty(calls[0]) > 0 ? 'long' : 'short';
+      return calls[0].strike === puts[0].strike ? `${prefix}_straddle` : `${prefix}_strangle`;
+    }
+    const sameType = calls.length === 2 ? calls : puts.length === 2 ? puts : null;
+    if (sameType && Math.sign(qty(sameType[0])) !== Math.sign(qty(sameType[1]))) {
+      if (Math.abs(qty(sameType[0])) !== Math.abs(qty(sameType[1]))) return `${sameType[0].type}_ratio_spread`;
+      const lowerLong = qty(sameType[0]) > 0;
+      if (sameType === calls) return lowerLong ? 'bull_call_spread' : 'bear_call_spread';
+      return lowerLong ? 'bull_put_spread' : 'bear_put_spread';
+    }
+    return 'custom';
+  }
+
+  if (options.length === 3 && (calls.length === 3 || puts.length === 3)) {
+    const [low, mid, high] = calls.length === 3 ? calls : puts;
+    if (qty(low) === qty(high) && qty(mid) === -2 * qty(low)) {
+      const symmetric = Math.abs((mid.strike - low.strike) - (high.strike - mid.strike)) < 1e-9;
+      if (!symmetric) return 'broken_wing_butterfly';
+      return qty(low) > 0 ? 'long_butterfly' : 'short_butterfly';
+    }
+  }
+
+  if (options.length === 3 && puts.length === 1 && calls.length === 2) {
+    // Jade lizard: short put + short call spread, no upside risk when credit >= call spread width
+    const [lowCall, highCall] = calls;
+    if (qty(puts[0]) < 0 && qty(lowCall) < 0 && qty(highCall) > 0 && puts[0].strike < lowCall.strike) {
+      return 'jade_lizard';
+    }
+  }
+
+  if (options.length === 4 && calls.length === 2 && puts.length === 2) {
+    const [longPut, shortPut] = puts;
+    const [shortCall, longCall] = calls;
+    if (qty(longPut) > 0 && qty(shortPut) < 0 && qty(shortCall) < 0 && qty(longCall) > 0) {
+      return shortPut.strike === shortCall.strike ? 'iron_butterfly' : 'iron_condor';
+    }
+  }
+
+  return 'custom';
+}
+
 // Helper functions to build individual strategy objects
 
 function buildBullCallSpread(longLeg, shortLeg, underlyingPrice) {
@@ -512,7 +1214,7 @@ function buildIronCondor(longPut, shortPut, shortCall, longCall, underlyingPrice
   };
 }
 
-function buildCalendarSpread(nearLeg, farLeg, underlyingPrice, optionType) {
+function buildCalendarSpread(nearLeg, farLeg, underlyingPrice, optionType, context = {}) {
   const netDebit = farLeg.price.last - nearLeg.price.last;
   if (netDebit <= 0) return null; // Invalid calendar
 
@@ -533,7 +1235,7 @@ function buildCalendarSpread(nearLeg, farLeg, underlyingPrice, optionType) {
         strike: nearLeg.strike,
         expiration: nearLeg.expiration,
         price: nearLeg.price.last,
-        days_to_expiry: calculateDTE(nearLeg.expiration)
+        days_to_expiry: calculateDTE(nearLeg.expiration, context.as_of)
       },
       {
         action: 'buy',
@@ -541,7 +1243,7 @@ function buildCalendarSpread(nearLeg, farLeg, underlyingPrice, optionType) {
         strike: farLeg.strike,
         expiration: farLeg.expiration,
         price: farLeg.price.last,
-        days_to_expiry: calculateDTE(farLeg.expiration)
+        days_to_expiry: calculateDTE(farLeg.expiration, context.as_of)
       }
     ],
     net_debit: parseFloat(netDebit.toFixed(2)),
@@ -553,11 +1255,350 @@ function buildCalendarSpread(nearLeg, farLeg, underlyingPrice, optionType) {
   };
 }
 
-// Helper to calculate days to expiration
-function calculateDTE(expirationDate) {
+function buildBullPutSpread(shortLeg, longLeg, underlyingPrice, context = {}) {
+  return buildExpirationPayoffStrategy(
+    'bull_put_spread',
+    `${longLeg.strike}/${shortLeg.strike} Bull Put Spread`,
+    [
+      { option: longLeg, action: 'buy', type: 'put' },
+      { option: shortLeg, action: 'sell', type: 'put' }
+    ],
+    underlyingPrice,
+    context
+  );
+}
+
+function buildBearCallSpread(shortLeg, longLeg, underlyingPrice, context = {}) {
+  return buildExpirationPayoffStrategy(
+    'bear_call_spread',
+    `${shortLeg.strike}/${longLeg.strike} Bear Call Spread`,
+    [
+      { option: shortLeg, action: 'sell', type: 'call' },
+      { option: longLeg, action: 'buy', type: 'call' }
+    ],
+    underlyingPrice,
+    context
+  );
+}
+
+function buildLongButterfly(lowerWing, body, upperWing, underlyingPrice, context = {}) {
+  const optionType = body.type || 'call';
+  return buildExpirationPayoffStrategy(
+    'long_butterfly',
+    `${lowerWing.strike}/${body.strike}/${upperWing.strike} ${capitalize(optionType)} Butterfly`,
+    [
+      { option: lowerWing, action: 'buy', type: optionType },
+      { option: body, action: 'sell', type: optionType, quantity: 2 },
+      { option: upperWing, action: 'buy', type: optionType }
+    ],
+    underlyingPrice,
+    context
+  );
+}
+
+function buildShortButterfly(lowerWing, body, upperWing, underlyingPrice, context = {}) {
+  const optionType = body.type || 'call';
+  return buildExpirationPayoffStrategy(
+    'short_butterfly',
+    `${lowerWing.strike}/${body.strike}/${upperWing.strike} Short ${capitalize(optionType)} Butterfly`,
+    [
+      { option: lowerWing, action: 'sell', type: optionType },
+      { option: body, action: 'buy', type: optionType, quantity: 2 },
+      { option: upperWing, action: 'sell', type: optionType }
+    ],
+    underlyingPrice,
+    context
+  );
+}
+
+function buildIronButterfly(longPut, shortPut, shortCall, longCall, underlyingPrice, context = {}) {
+  return buildExpirationPayoffStrategy(
+    'iron_butterfly',
+    `${longPut.strike}/${shortPut.strike}/${longCall.strike} Iron Butterfly`,
+    [
+      { option: longPut, action: 'buy', type: 'put' },
+      { option: shortPut, action: 'sell', type: 'put' },
+      { option: shortCall, action: 'sell', type: 'call' },
+      { option: longCall, action: 'buy', type: 'call' }
+    ],
+    underlyingPrice,
+    context
+  );
+}
+
+function buildBrokenWingButterfly(lowerWing, body, upperWing, underlyingPrice, context = {}) {
+  const optionType = body.type || 'call';
+  return buildExpirationPayoffStrategy(
+    'broken_wing_butterfly',
+    `${lowerWing.strike}/${body.strike}/${upperWing.strike} ${capitalize(optionType)} Broken Wing Butterfly`,
+    [
+      { option: lowerWing, action: 'buy', type: optionType },
+      { option: body, action: 'sell', type: optionType, quantity: 2 },
+      { option: upperWing, action: 'buy', type: optionType }
+    ],
+    underlyingPrice,
+    context
+  );
+}
+
+function buildStraddle(callLeg, putLeg, underlyingPrice, direction = 'long', context = {}) {
+  const action = direction === 'short' ? 'sell' : 'buy';
+  return buildExpirationPayoffStrategy(
+    `${direction}_straddle`,
+    `${callLeg.strike} ${capitalize(direction)} Straddle`,
+    [
+      { option: putLeg, action, type: 'put' },
+      { option: callLeg, action, type: 'call' }
+    ],
+    underlyingPrice,
+    context
+  );
+}
+
+function buildStrangle(putLeg, callLeg, underlyingPrice, direction = 'long', context = {}) {
+  const action = direction === 'short' ? 'sell' : 'buy';
+  return buildExpirationPayoffStrategy(
+    `${direction}_strangle`,
+    `${putLeg.strike}/${callLeg.strike} ${capitalize(direction)} Strangle`,
+    [
+      { option: putLeg, action, type: 'put' },
+      { option: callLeg, action, type: 'call' }
+    ],
+    underlyingPrice,
+    context
+  );
+}
+
+function buildRatioSpread(longLeg, shortLeg, underlyingPrice, ratio = 2, context = {}) {
+  const optionType = longLeg.type || 'call';
+  return buildExpirationPayoffStrategy(
+    `${optionType}_ratio_spread`,
+    `${longLeg.strike}/${shortLeg.strike} 1x${ratio} ${capitalize(optionType)} Ratio Spread`,
+    [
+      { option: longLeg, action: 'buy', type: optionType },
+      { option: shortLeg, action: 'sell', type: optionType, quantity: ratio }
+    ],
+    underlyingPrice,
+    context
+  );
+}
+
+function buildDiagonalSpread(nearLeg, farLeg, underlyingPrice, optionType, context = {}) {
+  // The long leg outlives the short one, so value it with the pricing model
+  const strategy = buildCustomStrategy([
+    {
+      action: 'sell',
+      type: optionType,
+      strike: nearLeg.strike,
+      expiration: nearLeg.expiration,
+      price: nearLeg.price.last,
+      iv: nearLeg.implied_volatility,
+      delta: nearLeg.greeks?.delta,
+      volume: nearLeg.price?.volume,
+      open_interest: nearLeg.price?.open_interest
+    },
+    {
+      action: 'buy',
+      type: optionType,
+      strike: farLeg.strike,
+      expiration: farLeg.expiration,
+      price: farLeg.price.last,
+      iv: farLeg.implied_volatility,
+      delta: farLeg.greeks?.delta,
+      volume: farLeg.price?.volume,
+      open_interest: farLeg.price?.open_interest
+    }
+  ], underlyingPrice, { as_of: context.as_of });
+
+  if (strategy.max_profit <= 0 || strategy.max_risk <= 0) return null;
+
+  strategy.type = `${optionType}_diagonal`;
+  strategy.strategy_name = `${nearLeg.strike}/${farLeg.strike} ${optionType.toUpperCase()} Diagonal`;
+  strategy.legs.forEach(leg => {
+    leg.days_to_expiry = calculateDTE(leg.expiration, context.as_of);
+  });
+  delete strategy.payoff_at_strikes;
+  return strategy;
+}
+
+/**
+ * Build a single-expiration strategy from its expiration payoff
+ * The payoff is piecewise linear between strikes, so max profit/loss and
+ * breakevens are exact. Unlimited sides are measured at a 3-sigma move, as in
+ * buildCustomStrategy. POP uses the same delta-as-probability convention as the
+ * vertical spread builders, interpolated between strikes.
+ * @param {string} type - Strategy type
+ * @param {string} strategyName - Display name
+ * @param {Array} legSpecs - [{ option, action, type, quantity }]
+ * @param {number} underlyingPrice - Current stock price
+ * @param {Object} context - { curve (from buildProbabilityCurve), as_of (valuation date) }
+ * @returns {Object|null} Strategy object, or null when the pricing is not tradable
+ */
+function buildExpirationPayoffStrategy(type, strategyName, legSpecs, underlyingPrice, context = {}) {
+  const { curve = null, as_of = new Date() } = context;
+  const legs = legSpecs.map(({ option, action, type: optionType, quantity = 1 }) => ({
+    action,
+    type: optionType,
+    strike: option.strike,
+    quantity,
+    price: option.price.last,
+    delta: option.greeks?.delta,
+    volume: option.price?.volume,
+    open_interest: option.price?.open_interest
+  }));
+  const sign = (leg) => (leg.action === 'buy' ? 1 : -1);
+  const expiration = legSpecs[0].option.expiration;
+
+  const netPremium = legs.reduce((sum, leg) => sum + sign(leg) * leg.quantity * leg.price, 0);
+  const pnlAt = (price) => legs.reduce((sum, leg) => {
+    const intrinsic = leg.type === 'call' ? Math.max(0, price - leg.strike) : Math.max(0, leg.strike - price);
+    return sum + sign(leg) * leg.quantity * intrinsic;
+  }, 0) - netPremium;
+
+  const strikes = [...new Set(legs.map(leg => leg.strike))].sort((a, b) => a - b);
+  const topStrike = strikes[strikes.length - 1];
+  const slope = legs.reduce((sum, leg) => sum + (leg.type === 'call' ? sign(leg) * leg.quantity : 0), 0);
+
+  const ivs = legSpecs.map(spec => spec.option.implied_volatility).filter(v => v > 0);
+  const iv = ivs.length > 0 ? ivs.reduce((sum, v) => sum + v, 0) / ivs.length : 0.3;
+  const years = Math.max(yearsToExpiration(expiration, as_of), 1 / 365);
+  const tailPrice = Math.max(underlyingPrice * Math.exp(3 * iv * Math.sqrt(years)), topStrike * 1.01);
+
+  const nodes = [0, ...strikes];
+  const extremes = [...nodes, ...(slope !== 0 ? [tailPrice] : [])].map(pnlAt);
+  const maxProfit = Math.max(...extremes);
+  const maxRisk = Math.max(0, -Math.min(...extremes));
+  if (maxProfit <= 0 || maxRisk <= 0) return null; // Not a tradable structure at these prices
+
+  const breakevens = [];
+  for (let i = 1; i < nodes.length; i++) {
+    const prev = pnlAt(nodes[i - 1]);
+    const curr = pnlAt(nodes[i]);
+    if (((prev < 0 && curr >= 0) || (prev >= 0 && curr < 0)) && Math.abs(curr - prev) > 1e-9) {
+      breakevens.push(nodes[i - 1] + (0 - prev) * (nodes[i] - nodes[i - 1]) / (curr - prev));
+    }
+  }
+  if (slope !== 0) {
+    const tailBreakeven = topStrike - pnlAt(topStrike) / slope;
+    if (tailBreakeven > topStrike) breakevens.push(tailBreakeven);
+  }
+
+  // POP: probability mass of the profitable ranges between breakevens
+  const probabilityCurve = curve && curve.length >= 2
+    ? curve
+    : buildProbabilityCurve(legSpecs.map(spec => ({ ...spec.option, type: spec.type })));
+  const edges = [0, ...breakevens, Infinity];
+  let probProfit = 0;
+  for (let i = 0; i < edges.length - 1; i++) {
+    const lower = edges[i];
+    const upper = edges[i + 1];
+    const sample = upper === Infinity ? Math.max(lower, topStrike) * 1.5 + 1 : (lower + upper) / 2;
+    if (pnlAt(sample) > 0) {
+      probProfit += probabilityAbove(lower, probabilityCurve, underlyingPrice) -
+                    probabilityAbove(upper, probabilityCurve, underlyingPrice);
+    }
+  }
+  probProfit = Math.min(1, Math.max(0, probProfit));
+
+  const roundedBreakevens = breakevens.map(b => parseFloat(b.toFixed(2)));
+  const strategy = {
+    type,
+    strategy_name: strategyName,
+    expiration,
+    underlying_price: underlyingPrice,
+    legs,
+    ...(netPremium >= 0
+      ? { net_debit: parseFloat(netPremium.toFixed(2)) }
+      : { net_credit: parseFloat((-netPremium).toFixed(2)) }),
+    max_profit: parseFloat(maxProfit.toFixed(2)),
+    max_risk: parseFloat(maxRisk.toFixed(2)),
+    risk_reward: parseFloat((maxProfit / maxRisk).toFixed(2)),
+    breakevens: roundedBreakevens,
+    probability_profit: parseFloat(probProfit.toFixed(3)),
+    unlimited_profit: slope > 0,
+    unlimited_risk: slope < 0
+  };
+
+  if (roundedBreakevens.length === 1) {
+    strategy.breakeven = roundedBreakevens[0];
+    strategy.distance_to_breakeven = parseFloat(((roundedBreakevens[0] - underlyingPrice) / underlyingPrice * 100).toFixed(2));
+  } else if (roundedBreakevens.length === 2) {
+    strategy.breakeven_lower = roundedBreakevens[0];
+    strategy.breakeven_upper = roundedBreakevens[1];
+    if (pnlAt((breakevens[0] + breakevens[1]) / 2) > 0) {
+      strategy.profit_range = `${roundedBreakevens[0]} - ${roundedBreakevens[1]}`;
+    }
+  }
+  if (slope !== 0) {
+    strategy.note = 'Unlimited side measured at a 3-sigma move';
+  }
+
+  return strategy;
+}
+
+/**
+ * Build a strike -> probability-of-finishing-above curve from contract deltas
+ * Calls contribute |delta|, puts 1 - |delta|; strikes quoted on both sides are averaged.
+ * @param {Array} options - Option contracts with type, strike and greeks
+ * @returns {Array} [{ strike, probability_above }] sorted by strike
+ */
+function buildProbabilityCurve(options) {
+  const byStrike = new Map();
+  options.forEach(opt => {
+    const delta = opt.greeks?.delta;
+    if (!Number.isFinite(delta) || delta === 0 || !opt.strike) return;
+    const probability = opt.type === 'put' ? 1 - Math.abs(delta) : Math.abs(delta);
+    const entry = byStrike.get(opt.strike) || { sum: 0, count: 0 };
+    entry.sum += probability;
+    entry.count += 1;
+    byStrike.set(opt.strike, entry);
+  });
+
+  return [...byStrike.entries()]
+    .map(([strike, { sum, count }]) => ({ strike, probability_above: sum / count }))
+    .sort((a, b) => a.strike - b.strike);
+}
+
+// Probability of finishing above a price, interpolated along the delta curve
+function probabilityAbove(price, curve, underlyingPrice) {
+  if (price <= 0) return 1;
+  if (price === Infinity) return 0;
+
+  if (curve.length >= 2) {
+    if (price <= curve[0].strike) return curve[0].probability_above;
+    const last = curve[curve.length - 1];
+    if (price >= last.strike) return last.probability_above;
+
+    const i = curve.findIndex(point => point.strike >= price);
+    const lower = curve[i - 1];
+    const upper = curve[i];
+    const weight = (price - lower.strike) / (upper.strike - lower.strike);
+    return lower.probability_above + weight * (upper.probability_above - lower.probability_above);
+  }
+
+  // No deltas: rough moneyness buckets, mirrored below the money
+  const distance = Math.abs(price - underlyingPrice) / underlyingPrice;
+  let beyond;
+  if (distance < 0.02) {
+    beyond = 0.45;
+  } else if (distance < 0.05) {
+    beyond = 0.35;
+  } else if (distance < 0.10) {
+    beyond = 0.25;
+  } else {
+    beyond = 0.15;
+  }
+  return price >= underlyingPrice ? beyond : 1 - beyond;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+// Helper to calculate days to expiration from the valuation date
+function calculateDTE(expirationDate, asOf = new Date()) {
   const expiry = new Date(expirationDate);
-  const today = new Date();
-  const diffTime = expiry - today;
+  const diffTime = expiry - new Date(asOf);
   const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
   return diffDays > 0 ? diffDays : 0;
 }
@@ -5,7 +5,12 @@
  * to understand worst-case outcomes before they happen.
  */
 
-import { calculateScenarioPnL } from './portfolio-greeks.js';
+import {
+  calculateScenarioPnL,
+  calculateFullRevaluationPnL,
+  prepareLegsForRevaluation
+} from './portfolio-greeks.js';
+import { createRandom, pathModelParameters, simulatePricePaths, summarizeDistribution } from './monte-carlo.js';
 
 /**
  * Predefined stress test scenarios
@@ -90,8 +95,7 @@ export function runStressTest(portfolioGreeks, scenarios = null, config = {}) {
   const results = [];
 
   scenariosToTest.forEach(scenarioKey => {
-    const scenario = typeof scenarioKey === 'string' ?
-      STRESS_SCENARIOS[scenarioKey] : scenarioKey;
+    const scenario = resolveScenario(scenarioKey);
 
     if (!scenario) return;
 
@@ -104,11 +108,7 @@ export function runStressTest(portfolioGreeks, scenarios = null, config = {}) {
     results.push({
       scenario: scenario.name || scenarioKey,
       description: scenario.description,
-      parameters: {
-        price_move: `${(scenario.price_move_pct * 100).toFixed(1)}%`,
-        iv_change: `${scenario.iv_change_pts > 0 ? '+' : ''}${scenario.iv_change_pts}pts`,
-        time_period: `${scenario.days_forward} days`
-      },
+      parameters: describeScenarioParameters(scenario),
       estimated_pnl: pnlResult.total_estimated_pnl,
       pnl_breakdown: pnlResult.pnl_breakdown,
       severity: categorizeSeverity(pnlResult.total_estimated_pnl, portfolioGreeks)
@@ -142,6 +142,146 @@ export function runStressTest(portfolioGreeks, scenarios = null, config = {}) {
   };
 }
 
+/**
+ * Run stress test by fully repricing every leg under each scenario
+ * Unlike runStressTest, this captures convexity beyond second order (e.g. short
+ * gamma books in a -15% crash) and reports how far the Greek estimate is off.
+ * @param {Array} positions - Positions with option legs (type, strike, expiration, iv or price)
+ * @param {Array} scenarios - Array of scenario names or custom scenarios
+ * @param {object} config - Revaluation configuration
+ * @param {number} config.underlying_price - Default underlying price for positions without one
+ * @param {object} config.underlying_prices - Optional map of symbol -> price
+ * @param {string} config.iv_shock_model - 'parallel' (default) or 'sqrt_time'
+ * @returns {object} Stress test results with full-revaluation and Greek-estimated P&L
+ */
+export function runFullRevaluationStressTest(positions = [], scenarios = null, config = {}) {
+  const { sort_by = 'pnl' } = config;
+
+  const prepared = prepareLegsForRevaluation(positions, config);
+  if (prepared.legs.length === 0) {
+    throw new Error('No legs could be priced for full revaluation. Provide type, strike, expiration and iv or price for each leg.');
+  }
+
+  // Current Greeks of the book, used for severity sizing and recommendations
+  const portfolioGreeks = prepared.legs.reduce((acc, leg) => {
+    acc.net_delta += (leg.greeks.delta || 0) * leg.shares;
+    acc.net_gamma += (leg.greeks.gamma || 0) * leg.shares;
+    acc.net_theta += (leg.greeks.theta || 0) * leg.shares;
+    acc.net_vega += (leg.greeks.vega || 0) * leg.shares;
+    return acc;
+  }, { net_delta: 0, net_gamma: 0, net_theta: 0, net_vega: 0 });
+
+  const scenariosToTest = scenarios || Object.keys(STRESS_SCENARIOS);
+  const results = [];
+
+  scenariosToTest.forEach(scenarioKey => {
+    const scenario = resolveScenario(scenarioKey);
+
+    if (!scenario) return;
+
+    const reval = calculateFullRevaluationPnL(positions, scenario, { ...config, prepared });
+
+    results.push({
+      scenario: scenario.name || scenarioKey,
+      description: scenario.description,
+      parameters: describeScenarioParameters(scenario),
+      estimated_pnl: reval.full_revaluation_pnl,
+      greek_estimated_pnl: reval.greek_estimated_pnl,
+      approximation_error: reval.approximation_error,
+      approximation_error_pct: reval.approximation_error_pct,
+      position_pnl: reval.positions,
+      severity: categorizeSeverity(reval.full_revaluation_pnl, portfolioGreeks)
+    });
+  });
+
+  if (results.length === 0) {
+    throw new Error('No valid scenarios to test');
+  }
+
+  if (sort_by === 'pnl') {
+    results.sort((a, b) => a.estimated_pnl - b.estimated_pnl);
+  }
+
+  const worstCase = results[0];
+  const bestCase = results[results.length - 1];
+  const largestError = results.reduce((max, r) =>
+    Math.abs(r.approximation_error) > Math.abs(max.approximation_error) ? r : max, results[0]);
+
+  const recommendations = generateStressRecommendations(results, portfolioGreeks);
+  if (Math.abs(largestError.approximation_error) > 100 &&
+      Math.abs(largestError.approximation_error_pct) > 25) {
+    recommendations.unshift({
+      priority: 'HIGH',
+      type: 'CONVEXITY_RISK',
+      message: `Greek estimate misstates ${largestError.scenario} by $${Math.abs(largestError.approximation_error).toFixed(0)} (${Math.abs(largestError.approximation_error_pct).toFixed(0)}%)`,
+      action: 'Use full-revaluation results for sizing; Greeks understate tail risk for this book'
+    });
+  }
+
+  return {
+    mode: 'full_revaluation',
+    total_scenarios_tested: results.length,
+    legs_repriced: prepared.legs.length,
+    skipped_legs: prepared.skipped,
+    model_vs_market: parseFloat(prepared.legs.reduce((sum, leg) => sum + (leg.model_value - leg.value) * leg.shares, 0).toFixed(2)),
+    worst_case: {
+      scenario: worstCase.scenario,
+      estimated_loss: worstCase.estimated_pnl,
+      greek_estimated_loss: worstCase.greek_estimated_pnl,
+      description: worstCase.description
+    },
+    best_case: {
+      scenario: bestCase.scenario,
+      estimated_gain: bestCase.estimated_pnl,
+      greek_estimated_gain: bestCase.greek_estimated_pnl,
+      description: bestCase.description
+    },
+    approximation_quality: {
+      largest_error_scenario: largestError.scenario,
+      largest_error: largestError.approximation_error,
+      mean_absolute_error: parseFloat((results.reduce((sum, r) =>
+        sum + Math.abs(r.approximation_error), 0) / results.length).toFixed(2))
+    },
+    current_greeks: {
+      net_delta: parseFloat(portfolioGreeks.net_delta.toFixed(2)),
+      net_gamma: parseFloat(portfolioGreeks.net_gamma.toFixed(4)),
+      net_theta: parseFloat(portfolioGreeks.net_theta.toFixed(2)),
+      net_vega: parseFloat(portfolioGreeks.net_vega.toFixed(2))
+    },
+    scenarios: results,
+    summary: generateStressSummary(results, portfolioGreeks),
+    recommendations
+  };
+}
+
+/**
+ * Look up a predefined scenario by key or pass a custom scenario through
+ * @param {string|object} scenarioKey - STRESS_SCENARIOS key or scenario object
+ * @returns {object|null} Scenario with defaults applied
+ */
+function resolveScenario(scenarioKey) {
+  if (typeof scenarioKey === 'string') {
+    return STRESS_SCENARIOS[scenarioKey] || null;
+  }
+  if (!scenarioKey || typeof scenarioKey !== 'object') {
+    return null;
+  }
+  return createCustomScenario(scenarioKey.name || 'Custom Scenario', scenarioKey);
+}
+
+/**
+ * Format scenario parameters for display
+ * @param {object} scenario - Scenario definition
+ * @returns {object} Human-readable parameters
+ */
+function describeScenarioParameters(scenario) {
+  return {
+    price_move: `${(scenario.price_move_pct * 100).toFixed(1)}%`,
+    iv_change: `${scenario.iv_change_pts > 0 ? '+' : ''}${scenario.iv_change_pts}pts`,
+    time_period: `${scenario.days_forward} days`
+  };
+}
+
 /**
  * Categorize P&L severity
  * @param {number} pnl - Estimated P&L
@@ -278,10 +418,15 @@ export function createCustomScenario(name, parameters = {}) {
 }
 
 /**
- * Run Monte Carlo simulation (simplified)
+ * Run Monte Carlo simulation on portfolio Greeks
+ * Uses seeded lognormal (or jump/Heston) price paths and a random walk in IV, then
+ * applies the Greek approximation at the horizon. For portfolios with option legs,
+ * runPortfolioMonteCarlo in monte-carlo.js reprices every leg instead.
  * @param {object} portfolioGreeks - Portfolio Greeks
  * @param {object} config - Monte Carlo configuration
- * @param {number} config.underlying_price - Current underlying price (required for accurate delta P&L)
+ * @param {number} config.underlying_price - Current underlying price (required)
+ * @param {string} config.model - 'gbm' | 'jump' | 'heston' (jump_* and Heston keys as in pathModelParameters)
+ * @param {number} config.seed - PRNG seed for reproducible results (default 42)
  * @returns {object} Simulation results
  */
 export function runMonteCarloSimulation(portfolioGreeks, config = {}) {
@@ -289,64 +434,76 @@ export function runMonteCarloSimulation(portfolioGreeks, config = {}) {
     num_simulations = 1000,
     days_forward = 30,
     daily_volatility = 0.01, // 1% daily vol
-    iv_volatility = 2, // 2% daily IV change
-    underlying_price = 100 // Default to $100 if not provided
+    iv_volatility = 2, // 2 vol points daily IV change
+    underlying_price,
+    model = 'gbm',
+    seed = 42,
+    histogram_buckets = 20
   } = config;
 
-  const results = [];
+  if (!(underlying_price > 0)) {
+    throw new Error('Monte Carlo simulation requires underlying_price');
+  }
 
-  for (let i = 0; i < num_simulations; i++) {
-    // Random walk price movement
-    let cumulativeMove = 0;
-    let cumulativeIVChange = 0;
+  const days = Math.max(1, Math.round(days_forward));
+  const rng = createRandom(seed);
+
+  // Daily vol quoted on trading days; paths step in calendar days
+  const { prices } = simulatePricePaths({
+    spot: underlying_price,
+    volatility: daily_volatility * Math.sqrt(252),
+    days,
+    num_paths: num_simulations,
+    drift: config.drift || 0,
+    model,
+    ...pathModelParameters(config),
+    seed: rng
+  });
 
-    for (let day = 0; day < days_forward; day++) {
-      const randomMove = (Math.random() - 0.5) * 2 * daily_volatility;
-      const randomIVChange = (Math.random() - 0.5) * 2 * iv_volatility;
-      cumulativeMove += randomMove;
-      cumulativeIVChange += randomIVChange;
+  const results = prices.map(path => {
+    let cumulativeIVChange = 0;
+    for (let day = 0; day < days; day++) {
+      cumulativeIVChange += rng.normal() * iv_volatility;
     }
 
     const pnl = calculateScenarioPnL(portfolioGreeks, {
-      price_move_pct: cumulativeMove,
+      price_move_pct: path[days] / underlying_price - 1,
       iv_change_pts: cumulativeIVChange,
-      days_forward
+      days_forward: days
     }, underlying_price);
 
-    results.push(pnl.total_estimated_pnl);
-  }
-
-  // Calculate statistics
-  results.sort((a, b) => a - b);
+    return pnl.total_estimated_pnl;
+  });
 
-  const mean = results.reduce((sum, val) => sum + val, 0) / results.length;
-  const var95 = results[Math.floor(results.length * 0.05)]; // 5th percentile
-  const var99 = results[Math.floor(results.length * 0.01)]; // 1st percentile
-  const median = results[Math.floor(results.length * 0.5)];
+  const distribution = summarizeDistribution(results, histogram_buckets);
+  const var95 = distribution.risk_metrics.var_95;
 
   return {
-    simulations_run: num_simulations,
-    time_horizon_days: days_forward,
+    method: 'greek_approximation',
+    model,
+    seed,
+    simulations_run: results.length,
+    time_horizon_days: days,
     statistics: {
-      mean_pnl: parseFloat(mean.toFixed(2)),
-      median_pnl: parseFloat(median.toFixed(2)),
-      best_case: parseFloat(results[results.length - 1].toFixed(2)),
-      worst_case: parseFloat(results[0].toFixed(2)),
-      var_95: parseFloat(var95.toFixed(2)), // 95% confident won't lose more than this
-      var_99: parseFloat(var99.toFixed(2)) // 99% confident won't lose more than this
+      ...distribution.statistics,
+      var_95: var95, // 95% confident won't lose more than this
+      var_99: distribution.risk_metrics.var_99 // 99% confident won't lose more than this
     },
+    risk_metrics: distribution.risk_metrics,
     distribution: {
       profitable: results.filter(r => r > 0).length,
       breakeven: results.filter(r => Math.abs(r) < 10).length,
       losing: results.filter(r => r < 0).length
     },
-    interpretation: `95% confident portfolio won't lose more than $${Math.abs(var95).toFixed(0)} over next ${days_forward} days`
+    histogram: distribution.histogram,
+    interpretation: `95% confident portfolio won't lose more than $${Math.abs(Math.min(0, var95)).toFixed(0)} over next ${days} days`
   };
 }
 
 export default {
   STRESS_SCENARIOS,
   runStressTest,
+  runFullRevaluationStressTest,
   createCustomScenario,
   runMonteCarloSimulation
 };
@@ -0,0 +1,668 @@
+/**
+ * Implied Volatility Surface Module
+ *
+ * Fits a smooth, arbitrage-checked surface to a chain snapshot so IV can be
+ * read at any strike or delta and any maturity:
+ * - Raw SVI per expiration (quasi-explicit fit: the linear parameters are
+ *   solved exactly for each (m, sigma) chosen by Nelder-Mead), with a penalty
+ *   on negative butterfly density
+ * - SSVI across expirations (power-law phi) fitted to the monotone ATM total
+ *   variance curve; its parameters are constrained so the surface is free of
+ *   butterfly and calendar arbitrage by construction
+ * - Arbitrage report: Durrleman's g(k) per SVI slice and slice crossings in
+ *   total variance. Queries use SVI when it is clean, SSVI otherwise
+ * - Per-contract residuals against the surface to flag rich/cheap options
+ *
+ * Conventions: k = ln(K / F) with F = S * e^(rT); total variance w = IV^2 * T.
+ */
+
+import { DEFAULT_RISK_FREE_RATE, normalCDF, normalPDF, yearsToExpiration } from './option-pricing.js';
+
+export const SURFACE_DEFAULTS = {
+  min_points_per_slice: 5,
+  min_dte: 2,
+  max_dte: 730,
+  max_expirations: 12,
+  max_std_moneyness: 3, // Fit strikes within this many standard deviations of the forward
+  rich_cheap_z: 2, // Flag residuals beyond this many slice standard deviations
+  min_residual: 0.01, // ...and at least this many vol points (0.01 = 1 vol)
+  rate: DEFAULT_RISK_FREE_RATE
+};
+
+const ARBITRAGE_TOLERANCE = 1e-6;
+
+/**
+ * Minimize f with the Nelder-Mead simplex method
+ * @param {Function} f - Objective of a parameter array
+ * @param {Array} x0 - Starting point
+ * @param {Object} options - { step, maxIterations, tolerance }
+ * @returns {{x: Array, value: number}} Best point found
+ */
+function nelderMead(f, x0, options = {}) {
+  const { step = 0.1, maxIterations = 400, tolerance = 1e-10 } = options;
+  const n = x0.length;
+
+  let simplex = [x0.slice()];
+  for (let i = 0; i < n; i++) {
+    const vertex = x0.slice();
+    vertex[i] += Array.isArray(step) ? step[i] : step;
+    simplex.push(vertex);
+  }
+  let values = simplex.map(f);
+
+  const sortSimplex = () => {
+    const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+    simplex = order.map(i => simplex[i]);
+    values = order.map(i => values[i]);
+  };
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    sortSimplex();
+    if (Math.abs(values[n] - values[0]) <= tolerance * (Math.abs(values[0]) + tolerance)) break;
+
+    const centroid = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) centroid[j] += simplex[i][j] / n;
+    }
+    const along = (t) => centroid.map((c, j) => c + t * (simplex[n][j] - c));
+
+    const reflected = along(-1);
+    const reflectedValue = f(reflected);
+    if (reflectedValue < values[0]) {
+      const expanded = along(-2);
+      const expandedValue = f(expanded);
+      [simplex[n], values[n]] = expandedValue < reflectedValue
+        ? [expanded, expandedValue]
+        : [reflected, reflectedValue];
+      continue;
+    }
+    if (reflectedValue < values[n - 1]) {
+      [simplex[n], values[n]] = [reflected, reflectedValue];
+      continue;
+    }
+
+    const contracted = reflectedValue < values[n] ? along(-0.5) : along(0.5);
+    const contractedValue = f(contracted);
+    if (contractedValue < Math.min(reflectedValue, values[n])) {
+      [simplex[n], values[n]] = [contracted, contractedValue];
+      continue;
+    }
+
+    // Shrink toward the best vertex
+    for (let i = 1; i <= n; i++) {
+      simplex[i] = simplex[i].map((x, j) => simplex[0][j] + 0.5 * (x - simplex[0][j]));
+      values[i] = f(simplex[i]);
+    }
+  }
+
+  sortSimplex();
+  return { x: simplex[0], value: values[0] };
+}
+
+// Solve a 3x3 linear system by Gaussian elimination with partial pivoting
+function solve3(A, b) {
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < 3; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 3; row++) {
+      if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-14) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let row = col + 1; row < 3; row++) {
+      const factor = M[row][col] / M[col][col];
+      for (let j = col; j < 4; j++) M[row][j] -= factor * M[col][j];
+    }
+  }
+  const x = [0, 0, 0];
+  for (let row = 2; row >= 0; row--) {
+    let sum = M[row][3];
+    for (let j = row + 1; j < 3; j++) sum -= M[row][j] * x[j];
+    x[row] = sum / M[row][row];
+  }
+  return x;
+}
+
+function round(value, digits = 6) {
+  return Number.isFinite(value) ? parseFloat(value.toFixed(digits)) : null;
+}
+
+/**
+ * Raw SVI total variance
+ * w(k) = a + b * (rho * (k - m) + sqrt((k - m)^2 + sigma^2))
+ * @param {Object} params - { a, b, rho, m, sigma }
+ * @param {number} k - Log forward moneyness
+ * @returns {number} Total variance
+ */
+export function sviTotalVariance(params, k) {
+  const { a, b, rho, m, sigma } = params;
+  const x = k - m;
+  return a + b * (rho * x + Math.sqrt(x * x + sigma * sigma));
+}
+
+/**
+ * Durrleman's butterfly condition for an SVI slice; negative g(k) means the
+ * implied risk-neutral density is negative (butterfly arbitrage)
+ * @param {Object} params - SVI parameters
+ * @param {number} k - Log forward moneyness
+ * @returns {number} g(k)
+ */
+export function sviButterflyDensity(params, k) {
+  const { b, rho, m, sigma } = params;
+  const x = k - m;
+  const root = Math.sqrt(x * x + sigma * sigma);
+  const w = sviTotalVariance(params, k);
+  if (!(w > 0)) return -Infinity;
+
+  const w1 = b * (rho + x / root);
+  const w2 = b * sigma * sigma / (root * root * root);
+  return (1 - k * w1 / (2 * w)) ** 2 - (w1 * w1 / 4) * (1 / w + 0.25) + w2 / 2;
+}
+
+function kGrid(kMin, kMax, count = 41) {
+  return Array.from({ length: count }, (_, i) => kMin + (kMax - kMin) * i / (count - 1));
+}
+
+/**
+ * Fit raw SVI to one expiration
+ * For fixed (m, sigma) the model is linear in (a, b*rho*sigma, b*sigma), so
+ * only two parameters are searched; the rest come from weighted least squares
+ * projected onto the admissible region.
+ * @param {Array} points - [{ k, w, weight }]
+ * @param {number} T - Years to expiration
+ * @returns {Object} { params, rmse_iv, min_butterfly_density, butterfly_arbitrage_free }
+ */
+export function fitSVISlice(points, T) {
+  if (points.length < 3) {
+    throw new Error('Need at least 3 points to fit an SVI slice');
+  }
+
+  const kMin = Math.min(...points.map(p => p.k));
+  const kMax = Math.max(...points.map(p => p.k));
+  const grid = kGrid(kMin - 0.1, kMax + 0.1);
+  const totalWeight = points.reduce((sum, p) => sum + p.weight, 0);
+  const meanW = points.reduce((sum, p) => sum + p.weight * p.w, 0) / totalWeight;
+
+  const linearFit = (m, sigma) => {
+    const rows = points.map(p => {
+      const y = (p.k - m) / sigma;
+      return { y, z: Math.sqrt(y * y + 1), w: p.w, weight: p.weight };
+    });
+
+    // Weighted normal equations for w = a + d*y + c*z
+    const A = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const rhs = [0, 0, 0];
+    rows.forEach(({ y, z, w, weight }) => {
+      const basis = [1, y, z];
+      for (let i = 0; i < 3; i++) {
+        rhs[i] += weight * basis[i] * w;
+        for (let j = 0; j < 3; j++) A[i][j] += weight * basis[i] * basis[j];
+      }
+    });
+    let [a, d, c] = solve3(A, rhs) || [meanW, 0, 0];
+
+    // Admissible region: 0 <= c <= 4*sigma (Lee's wing bound), |d| <= min(c, 4*sigma - c)
+    c = Math.min(Math.max(c, 0), 4 * sigma);
+    const dLimit = Math.min(c, 4 * sigma - c) * 0.999;
+    d = Math.min(Math.max(d, -dLimit), dLimit);
+    a = rows.reduce((sum, r) => sum + r.weight * (r.w - d * r.y - c * r.z), 0) / totalWeight;
+
+    const b = c / sigma;
+    const rho = c > 0 ? d / c : 0;
+    // Keep the minimum total variance non-negative
+    a = Math.max(a, -c * Math.sqrt(1 - rho * rho));
+    return { a, b, rho, m, sigma };
+  };
+
+  const objective = ([m, logSigma]) => {
+    const sigma = Math.exp(logSigma);
+    if (!(sigma > 1e-4) || sigma > 5 || Math.abs(m) > 2) return 1e6;
+    const params = linearFit(m, sigma);
+
+    const sse = points.reduce((sum, p) => sum + p.weight * (sviTotalVariance(params, p.k) - p.w) ** 2, 0);
+    const penalty = grid.reduce((sum, k) => sum + Math.max(0, -sviButterflyDensity(params, k)) ** 2, 0);
+    return sse / totalWeight / (meanW * meanW) + penalty;
+  };
+
+  // Start from the smile's minimum and a moderate curvature
+  const lowest = points.reduce((best, p) => (p.w < best.w ? p : best));
+  const starts = [[lowest.k, Math.log(0.1)], [0, Math.log(0.3)], [lowest.k, Math.log(0.02)]];
+  const best = starts
+    .map(start => nelderMead(objective, start, { step: [0.05, 0.5] }))
+    .reduce((a, b) => (b.value < a.value ? b : a));
+
+  const params = linearFit(best.x[0], Math.exp(best.x[1]));
+  const minG = Math.min(...grid.map(k => sviButterflyDensity(params, k)));
+  const ivErrors = points.map(p => Math.sqrt(Math.max(sviTotalVariance(params, p.k), 0) / T) - Math.sqrt(p.w / T));
+
+  return {
+    params,
+    rmse_iv: Math.sqrt(ivErrors.reduce((sum, e) => sum + e * e, 0) / ivErrors.length),
+    min_butterfly_density: minG,
+    butterfly_arbitrage_free: minG >= -ARBITRAGE_TOLERANCE
+  };
+}
+
+/**
+ * SSVI total variance with power-law phi
+ * w(k, theta) = theta/2 * (1 + rho*phi*k + sqrt((phi*k + rho)^2 + 1 - rho^2)),
+ * phi(theta) = eta / (theta^gamma * (1 + theta)^(1 - gamma))
+ * @param {Object} params - { rho, eta, gamma }
+ * @param {number} theta - ATM total variance
+ * @param {number} k - Log forward moneyness
+ * @returns {number} Total variance
+ */
+export function ssviTotalVariance(params, theta, k) {
+  const { rho, eta, gamma } = params;
+  const phi = eta / (theta ** gamma * (1 + theta) ** (1 - gamma));
+  return theta / 2 * (1 + rho * phi * k + Math.sqrt((phi * k + rho) ** 2 + 1 - rho * rho));
+}
+
+/**
+ * Make ATM total variance non-decreasing in maturity (pool adjacent violators)
+ * @param {Array} values - Total variances in maturity order
+ * @returns {Array} Monotone values
+ */
+export function monotoneTotalVariance(values) {
+  const blocks = [];
+  values.forEach(value => {
+    blocks.push({ sum: value, count: 1 });
+    while (blocks.length > 1 &&
+      blocks[blocks.length - 2].sum / blocks[blocks.length - 2].count >
+      blocks[blocks.length - 1].sum / blocks[blocks.length - 1].count) {
+      const last = blocks.pop();
+      blocks[blocks.length - 1].sum += last.sum;
+      blocks[blocks.length - 1].count += last.count;
+    }
+  });
+  return blocks.flatMap(block => new Array(block.count).fill(block.sum / block.count));
+}
+
+/**
+ * Fit SSVI across slices
+ * gamma is kept in (0, 1/2] and eta*(1 + |rho|) <= 2, which (with a monotone
+ * theta) rules out butterfly and calendar arbitrage (Gatheral-Jacquier 2014).
+ * @param {Array} slices - [{ theta, points: [{ k, w, weight }] }]
+ * @returns {Object} { params, rmse_iv }
+ */
+export function fitSSVI(slices) {
+  const decode = ([x0, x1, x2]) => {
+    const rho = 0.999 * Math.tanh(x0);
+    const gamma = 0.5 / (1 + Math.exp(-x2));
+    // Scale eta into the no-butterfly region instead of penalizing it
+    const eta = (2 / (1 + Math.abs(rho))) / (1 + Math.exp(-x1));
+    return { rho, eta, gamma };
+  };
+
+  const objective = (x) => {
+    const params = decode(x);
+    let total = 0;
+    let weights = 0;
+    slices.forEach(slice => {
+      slice.points.forEach(p => {
+        total += p.weight * ((ssviTotalVariance(params, slice.theta, p.k) - p.w) / slice.theta) ** 2;
+        weights += p.weight;
+      });
+    });
+    return total / weights;
+  };
+
+  const best = [[-0.5, 0, 0], [-1, 1, 1], [0, -1, -1]]
+    .map(start => nelderMead(objective, start, { step: 0.5, maxIterations: 600 }))
+    .reduce((a, b) => (b.value < a.value ? b : a));
+  const params = decode(best.x);
+
+  const ivErrors = slices.flatMap(slice => slice.points.map(p =>
+    Math.sqrt(ssviTotalVariance(params, slice.theta, p.k) / slice.T) - Math.sqrt(p.w / slice.T)));
+
+  return {
+    params,
+    rmse_iv: Math.sqrt(ivErrors.reduce((sum, e) => sum + e * e, 0) / ivErrors.length)
+  };
+}
+
+/**
+ * Turn a chain snapshot into fit inputs: OTM quotes per expiration in
+ * log-forward-moneyness and total variance
+ * @param {Object} chainData - Result of getOptionChainSnapshot
+ * @param {Object} options - SURFACE_DEFAULTS overrides, plus as_of and expirations
+ * @returns {Array} Slices with points
+ */
+export function extractSurfacePoints(chainData, options = {}) {
+  const config = { ...SURFACE_DEFAULTS, ...options };
+  const spot = chainData?.underlying?.price;
+  if (!(spot > 0)) {
+    throw new Error('Chain snapshot has no underlying price');
+  }
+  const asOf = options.as_of ? new Date(options.as_of) : new Date(chainData.snapshot_time || Date.now());
+
+  const expirations = (config.expirations || Object.keys(chainData.data || {})).slice().sort();
+  const slices = [];
+
+  for (const expiration of expirations) {
+    const expData = chainData.data?.[expiration];
+    if (!expData) continue;
+
+    const T = yearsToExpiration(expiration, asOf);
+    const dte = T * 365;
+    if (dte < config.min_dte || dte > config.max_dte) continue;
+
+    const forward = spot * Math.exp(config.rate * T);
+    // Out-of-the-money side only: puts below the forward, calls at or above
+    const quotes = [
+      ...(expData.puts || []).filter(o => o.strike < forward),
+      ...(expData.calls || []).filter(o => o.strike >= forward)
+    ].filter(o => o.implied_volatility > 0.01 && o.implied_volatility < 5 && o.strike > 0);
+    if (quotes.length < config.min_points_per_slice) continue;
+
+    const sortedIVs = quotes.map(o => o.implied_volatility).sort((a, b) => a - b);
+    const referenceIV = sortedIVs[Math.floor(sortedIVs.length / 2)];
+    const stdMove = referenceIV * Math.sqrt(T);
+    const maxK = Math.max(0.05, config.max_std_moneyness * stdMove);
+
+    const points = quotes
+      .map(o => {
+        const k = Math.log(o.strike / forward);
+        return {
+          k,
+          w: o.implied_volatility * o.implied_volatility * T,
+          iv: o.implied_volatility,
+          strike: o.strike,
+          type: o.type,
+          ticker: o.ticker,
+          open_interest: o.price?.open_interest || 0,
+          // Vega-like weighting: the body of the smile matters most
+          weight: Math.max(0.05, normalPDF(k / stdMove) / normalPDF(0))
+        };
+      })
+      .filter(p => Math.abs(p.k) <= maxK);
+    if (points.length < config.min_points_per_slice) continue;
+
+    slices.push({ expiration, T, dte: round(dte, 2), forward, points });
+  }
+
+  return slices.slice(0, config.max_expirations);
+}
+
+/**
+ * Check adjacent SVI slices for calendar arbitrage (total variance must not
+ * fall with maturity at any moneyness)
+ */
+function findCalendarViolations(slices) {
+  const violations = [];
+  for (let i = 1; i < slices.length; i++) {
+    const near = slices[i - 1];
+    const far = slices[i];
+    const ks = far.points.map(p => p.k).concat(near.points.map(p => p.k));
+    const grid = kGrid(Math.min(...ks), Math.max(...ks));
+    const crossing = grid.filter(k =>
+      sviTotalVariance(far.svi.params, k) < sviTotalVariance(near.svi.params, k) - ARBITRAGE_TOLERANCE);
+    if (crossing.length > 0) {
+      violations.push({
+        near_expiration: near.expiration,
+        far_expiration: far.expiration,
+        moneyness_range: [round(Math.exp(Math.min(...crossing)), 4), round(Math.exp(Math.max(...crossing)), 4)]
+      });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Fit SVI slices and SSVI from a chain snapshot
+ * @param {Object} chainData - Result of getOptionChainSnapshot
+ * @param {Object} options - SURFACE_DEFAULTS overrides, plus model ('auto'|'svi'|'ssvi')
+ * @returns {Object} Surface (pass to surfaceIV / surfaceIVAtDelta / surfaceResiduals)
+ */
+export function buildVolSurface(chainData, options = {}) {
+  const config = { ...SURFACE_DEFAULTS, ...options };
+  const { model = 'auto' } = options;
+  if (!['auto', 'svi', 'ssvi'].includes(model)) {
+    throw new Error(`Unknown surface model: ${model}. Use auto, svi or ssvi`);
+  }
+
+  const slices = extractSurfacePoints(chainData, config);
+  if (slices.length === 0) {
+    throw new Error(`No expiration has ${config.min_points_per_slice}+ usable quotes between ${config.min_dte} and ${config.max_dte} DTE`);
+  }
+
+  slices.forEach(slice => {
+    slice.svi = fitSVISlice(slice.points, slice.T);
+  });
+
+  // SSVI anchors on a calendar-consistent ATM total variance curve
+  const thetas = monotoneTotalVariance(slices.map(slice => Math.max(sviTotalVariance(slice.svi.params, 0), 1e-8)));
+  slices.forEach((slice, i) => { slice.theta = thetas[i]; });
+  const ssvi = fitSSVI(slices);
+
+  const butterflyViolations = slices
+    .filter(slice => !slice.svi.butterfly_arbitrage_free)
+    .map(slice => ({ expiration: slice.expiration, min_density: round(slice.svi.min_butterfly_density) }));
+  const calendarViolations = findCalendarViolations(slices);
+  const sviClean = butterflyViolations.length === 0 && calendarViolations.length === 0;
+
+  return {
+    spot: chainData.underlying.price,
+    as_of: options.as_of ? new Date(options.as_of).toISOString() : (chainData.snapshot_time || new Date().toISOString()),
+    rate: config.rate,
+    query_model: model === 'auto' ? (sviClean ? 'svi' : 'ssvi') : model,
+    slices,
+    ssvi,
+    arbitrage: {
+      svi_arbitrage_free: sviClean,
+      butterfly_violations: butterflyViolations,
+      calendar_violations: calendarViolations,
+      ssvi_arbitrage_free: true,
+      atm_variance_adjusted: thetas.some((theta, i) =>
+        Math.abs(theta - sviTotalVariance(slices[i].svi.params, 0)) > ARBITRAGE_TOLERANCE)
+    },
+    config
+  };
+}
+
+/**
+ * Total variance at (k, T) from the surface's query model
+ * SVI slices are interpolated linearly in total variance between maturities;
+ * outside the fitted range implied volatility is held flat.
+ */
+function totalVarianceAt(surface, k, T, modelOverride = null) {
+  const { slices } = surface;
+  const model = modelOverride || surface.query_model;
+
+  const index = slices.findIndex(slice => slice.T >= T);
+  if (model === 'ssvi') {
+    let theta;
+    if (index === 0) {
+      theta = slices[0].theta * T / slices[0].T;
+    } else if (index === -1) {
+      theta = slices[slices.length - 1].theta * T / slices[slices.length - 1].T;
+    } else {
+      const [near, far] = [slices[index - 1], slices[index]];
+      theta = near.theta + (far.theta - near.theta) * (T - near.T) / (far.T - near.T);
+    }
+    return ssviTotalVariance(surface.ssvi.params, theta, k);
+  }
+
+  if (index === 0) return sviTotalVariance(slices[0].svi.params, k) * T / slices[0].T;
+  if (index === -1) {
+    const last = slices[slices.length - 1];
+    return sviTotalVariance(last.svi.params, k) * T / last.T;
+  }
+  const [near, far] = [slices[index - 1], slices[index]];
+  const wNear = sviTotalVariance(near.svi.params, k);
+  const wFar = sviTotalVariance(far.svi.params, k);
+  return wNear + (wFar - wNear) * (T - near.T) / (far.T - near.T);
+}
+
+function resolveMaturity(surface, query) {
+  if (Number.isFinite(query.T)) return query.T;
+  if (query.expiration) return yearsToExpiration(query.expiration, new Date(surface.as_of));
+  if (Number.isFinite(query.dte)) return query.dte / 365;
+  throw new Error('Query needs expiration, dte or T');
+}
+
+/**
+ * Implied volatility at a strike (or log-moneyness) and maturity
+ * @param {Object} surface - From buildVolSurface
+ * @param {Object} query - { strike | k, expiration | dte | T, model }
+ * @returns {Object} { strike, k, T, iv, model }
+ */
+export function surfaceIV(surface, query) {
+  const T = resolveMaturity(surface, query);
+  if (!(T > 0)) throw new Error('Maturity must be in the future');
+
+  const forward = surface.spot * Math.exp(surface.rate * T);
+  const k = Number.isFinite(query.k) ? query.k : Math.log(query.strike / forward);
+  if (!Number.isFinite(k)) throw new Error('Query needs a positive strike or k');
+
+  const model = query.model || surface.query_model;
+  const w = totalVarianceAt(surface, k, T, model);
+  return {
+    strike: round(forward * Math.exp(k), 4),
+    k: round(k),
+    T: round(T),
+    iv: round(Math.sqrt(Math.max(w, 0) / T)),
+    model
+  };
+}
+
+/**
+ * Implied volatility and strike at a target delta
+ * Delta is the undiscounted forward delta N(d1), with d1 measured against the
+ * forward S * e^(rT) and the surface's own IV at each strike, solved by
+ * bisection in moneyness. With no dividend yield this equals the Black-Scholes
+ * spot delta; the dividend discount e^(-qT) is not applied.
+ * @param {Object} surface - From buildVolSurface
+ * @param {Object} query - { delta (e.g. 0.25), type: 'call'|'put', expiration | dte | T }
+ * @returns {Object} { strike, k, T, iv, delta, model }
+ */
+export function surfaceIVAtDelta(surface, query) {
+  const { delta, type = 'call' } = query;
+  const target = Math.abs(delta);
+  if (!(target > 0 && target < 1)) throw new Error('Delta must be between 0 and 1 in absolute value');
+
+  const T = resolveMaturity(surface, query);
+  const model = query.model || surface.query_model;
+  // Call delta N(d1) falls as strike rises; a put at |delta| matches call delta 1 - |delta|
+  const callTarget = type === 'put' ? 1 - target : target;
+  const callDelta = (k) => {
+    const w = Math.max(totalVarianceAt(surface, k, T, model), 1e-10);
+    return normalCDF((-k + w / 2) / Math.sqrt(w));
+  };
+
+  let low = -3;
+  let high = 3;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (callDelta(mid) > callTarget) low = mid; else high = mid;
+  }
+  const k = (low + high) / 2;
+  const point = surfaceIV(surface, { k, T, model });
+  return { ...point, delta: round(type === 'put' ? callDelta(k) - 1 : callDelta(k), 4), type };
+}
+
+/**
+ * Market-minus-surface residuals for every fitted quote, flagging rich and
+ * cheap contracts relative to their own slice's fit error
+ * @param {Object} surface - From buildVolSurface
+ * @returns {Object} { by_expiration, rich, cheap }
+ */
+export function surfaceResiduals(surface) {
+  const { rich_cheap_z: zLimit, min_residual: minResidual } = surface.config;
+  const rich = [];
+  const cheap = [];
+
+  const byExpiration = surface.slices.map(slice => {
+    const rows = slice.points.map(p => {
+      const model = surface.query_model === 'svi' ? sviTotalVariance(slice.svi.params, p.k) : ssviTotalVariance(surface.ssvi.params, slice.theta, p.k);
+      const surfaceIVValue = Math.sqrt(Math.max(model, 0) / slice.T);
+      return { ...p, surface_iv: surfaceIVValue, residual: p.iv - surfaceIVValue };
+    });
+    const std = Math.sqrt(rows.reduce((sum, r) => sum + r.residual * r.residual, 0) / rows.length) || 1e-9;
+
+    rows.forEach(r => {
+      const z = r.residual / std;
+      if (Math.abs(z) < zLimit || Math.abs(r.residual) < minResidual) return;
+      const flagged = {
+        ticker: r.ticker,
+        expiration: slice.expiration,
+        type: r.type,
+        strike: r.strike,
+        market_iv: round(r.iv, 4),
+        surface_iv: round(r.surface_iv, 4),
+        residual: round(r.residual, 4),
+        z_score: round(z, 2),
+        open_interest: r.open_interest
+      };
+      (z > 0 ? rich : cheap).push(flagged);
+    });
+
+    return {
+      expiration: slice.expiration,
+      points: rows.length,
+      rmse_iv: round(std, 4),
+      max_abs_residual: round(Math.max(...rows.map(r => Math.abs(r.residual))), 4)
+    };
+  });
+
+  const byMagnitude = (a, b) => Math.abs(b.residual) - Math.abs(a.residual);
+  return { by_expiration: byExpiration, rich: rich.sort(byMagnitude), cheap: cheap.sort(byMagnitude) };
+}
+
+/**
+ * Compact description of a fitted surface
+ * @param {Object} surface - From buildVolSurface
+ * @returns {Object} Per-slice parameters and ATM/skew readings plus SSVI parameters
+ */
+export function summarizeSurface(surface) {
+  return {
+    spot: surface.spot,
+    as_of: surface.as_of,
+    query_model: surface.query_model,
+    arbitrage: surface.arbitrage,
+    slices: surface.slices.map(slice => {
+      const atm = surfaceIV(surface, { k: 0, T: slice.T });
+      const put25 = surfaceIVAtDelta(surface, { delta: 0.25, type: 'put', T: slice.T });
+      const call25 = surfaceIVAtDelta(surface, { delta: 0.25, type: 'call', T: slice.T });
+      const { a, b, rho, m, sigma } = slice.svi.params;
+      return {
+        expiration: slice.expiration,
+        dte: slice.dte,
+        forward: round(slice.forward, 4),
+        points: slice.points.length,
+        atm_iv: atm.iv,
+        put_25d_iv: put25.iv,
+        call_25d_iv: call25.iv,
+        skew_25d: round(put25.iv - call25.iv, 4),
+        svi: {
+          a: round(a), b: round(b), rho: round(rho), m: round(m), sigma: round(sigma),
+          rmse_iv: round(slice.svi.rmse_iv, 4),
+          butterfly_arbitrage_free: slice.svi.butterfly_arbitrage_free
+        },
+        atm_total_variance: round(slice.theta)
+      };
+    }),
+    ssvi: {
+      rho: round(surface.ssvi.params.rho),
+      eta: round(surface.ssvi.params.eta),
+      gamma: round(surface.ssvi.params.gamma),
+      rmse_iv: round(surface.ssvi.rmse_iv, 4)
+    }
+  };
+}
+
+export default {
+  SURFACE_DEFAULTS,
+  sviTotalVariance,
+  sviButterflyDensity,
+  fitSVISlice,
+  ssviTotalVariance,
+  monotoneTotalVariance,
+  fitSSVI,
+  extractSurfacePoints,
+  buildVolSurface,
+  surfaceIV,
+  surfaceIVAtDelta,
+  surfaceResiduals,
+  summarizeSurface
+};
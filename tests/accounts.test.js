@@ -0,0 +1,135 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  saveAccount,
+  getAccount,
+  resolveSizingScope,
+  sizePositionForScope,
+  filterByScope,
+  groupByScope,
+  summarizeAccounts
+} from '../src/accounts.js';
+import {
+  updateBreakerProfile,
+  resolveBreakerConfig,
+  checkCircuitBreakers,
+  checkAllAccounts,
+  recordTrade,
+  getBreakerStatus
+} from '../src/circuit-breakers.js';
+
+const IRA = {
+  name: 'IRA',
+  type: 'ira',
+  account_size: 100000,
+  risk_config: { max_risk_pct: 0.005 },
+  sleeves: {
+    wheel: { allocation_pct: 0.5, risk_config: { max_risk_pct: 0.02 } },
+    spreads: { capital: 20000 }
+  }
+};
+
+const POSITIONS = [
+  { id: 'a', symbol: 'SPY', account: 'IRA', sleeve: 'wheel' },
+  { id: 'b', symbol: 'QQQ', account: 'IRA' },
+  { id: 'c', symbol: 'IWM', account: 'CASH' },
+  { id: 'd', symbol: 'AAPL' }
+];
+
+describe('Accounts', () => {
+  let options;
+
+  beforeEach(() => {
+    options = { dir: fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-')) };
+  });
+
+  test('Accounts validate their type, risk config and sleeve allocations', () => {
+    const saved = saveAccount(IRA, {}, options);
+    expect(saved).toMatchObject({ name: 'IRA', type: 'ira', account_size: 100000 });
+
+    // Updates merge into the existing account
+    saveAccount({ name: 'IRA', sleeves: { earnings: { capital: 5000 } } }, { remove_sleeves: ['spreads'] }, options);
+    expect(Object.keys(getAccount('IRA', options).sleeves)).toEqual(['wheel', 'earnings']);
+    expect(getAccount('IRA', options).risk_config).toEqual({ max_risk_pct: 0.005 });
+
+    expect(() => saveAccount({ name: 'X', type: 'futures', account_size: 1000 }, {}, options)).toThrow('Account type must be one of');
+    expect(() => saveAccount({ name: 'X', account_size: 1000, risk_config: { max_loss: 1 } }, {}, options)).toThrow('Unknown risk setting');
+    expect(() => saveAccount({ name: 'IRA', sleeves: { big: { allocation_pct: 0.6 } } }, {}, options)).toThrow('Sleeves allocate');
+    expect(() => saveAccount({ name: 'IRA', sleeves: { both: { allocation_pct: 0.1, capital: 10 } } }, {}, options)).toThrow('either allocation_pct or capital');
+    expect(() => saveAccount({ name: 'a/b', account_size: 1000 }, {}, options)).toThrow('may not contain');
+  });
+
+  test('Sizing uses the account or sleeve capital and risk config', () => {
+    saveAccount(IRA, {}, options);
+    expect(resolveSizingScope({ account: 'IRA', sleeve: 'wheel' }, options))
+      .toMatchObject({ scope: 'IRA/wheel', account_size: 50000, account_capital: 100000, risk_config: { max_risk_pct: 0.02 } });
+    expect(resolveSizingScope({ account: 'IRA', sleeve: 'spreads' }, options).account_size).toBe(20000);
+    expect(resolveSizingScope({ account_size: 4000 }, options)).toMatchObject({ account: 'default', account_size: 4000 });
+
+    expect(() => resolveSizingScope({ account: 'HSA' }, options)).toThrow('Unknown account: HSA');
+    expect(() => resolveSizingScope({ account: 'IRA', sleeve: 'yolo' }, options)).toThrow('has no sleeve yolo');
+    expect(() => resolveSizingScope({}, options)).toThrow('account_size is required');
+
+    const strategy = { max_loss: 1, max_profit: 3, risk_reward_ratio: 3, probability_profit: 0.6, net_debit: 1 };
+    const sizeOptions = { ...options, include_costs: false };
+    expect(sizePositionForScope(strategy, { account: 'IRA' }, sizeOptions).recommended_contracts).toBe(5);
+    expect(sizePositionForScope(strategy, { account: 'IRA', sleeve: 'wheel' }, sizeOptions))
+      .toMatchObject({ recommended_contracts: 10, account: 'IRA', sleeve: 'wheel', sized_against: 50000 });
+  });
+
+  test('Positions are filtered and grouped by account and sleeve', () => {
+    saveAccount(IRA, {}, options);
+    expect(filterByScope(POSITIONS, { account: 'IRA' }).map(p => p.id)).toEqual(['a', 'b']);
+    expect(filterByScope(POSITIONS, { account: 'IRA', sleeve: 'wheel' }).map(p => p.id)).toEqual(['a']);
+    expect(filterByScope(POSITIONS, { account: 'default' }).map(p => p.id)).toEqual(['d']);
+
+    const groups = groupByScope(POSITIONS);
+    expect(Object.keys(groups)).toEqual(['IRA', 'CASH', 'default']);
+    expect(Object.keys(groups.IRA.sleeves)).toEqual(['wheel', 'unassigned']);
+
+    const summary = summarizeAccounts(POSITIONS, options);
+    const ira = summary.find(a => a.name === 'IRA');
+    expect(ira).toMatchObject({ registered: true, open_positions: 2 });
+    expect(ira.sleeves.find(s => s.name === 'wheel')).toMatchObject({ capital: 50000, open_positions: 1 });
+    expect(summary.find(a => a.name === 'CASH')).toMatchObject({ registered: false, open_positions: 1 });
+  });
+
+  test('Breaker state and profiles are kept per sleeve and roll up to the account', () => {
+    saveAccount(IRA, {}, options);
+    updateBreakerProfile({ scope: 'account', name: 'IRA', rules: { max_daily_loss: 1000 } }, options);
+    updateBreakerProfile({ scope: 'account', name: 'IRA', sleeve: 'wheel', rules: { max_daily_loss: 300 } }, options);
+    expect(resolveBreakerConfig({ account: 'IRA', sleeve: 'wheel' }, options).profiles_applied)
+      .toEqual(['default', 'account:IRA', 'sleeve:IRA/wheel']);
+
+    recordTrade(-400, { account: 'IRA', sleeve: 'wheel', symbol: 'SPY' }, options);
+    expect(getBreakerStatus('IRA/wheel', options)).toMatchObject({ account: 'IRA', sleeve: 'wheel', daily_pnl: -400 });
+    expect(getBreakerStatus('IRA', options).daily_pnl).toBe(-400);
+
+    // The sleeve limit trips on its own capital; the account limit does not
+    const wheel = checkCircuitBreakers({ account: 'IRA', sleeve: 'wheel' }, null, options);
+    expect(wheel).toMatchObject({ sleeve: 'wheel', account_size: 50000, trading_allowed: false });
+    expect(checkCircuitBreakers({ account: 'IRA', sleeve: 'spreads' }, null, options).trading_allowed).toBe(true);
+    expect(checkCircuitBreakers({ account: 'IRA' }, null, options).trading_allowed).toBe(true);
+
+    // An account-level halt binds every sleeve
+    recordTrade(-700, { account: 'IRA', symbol: 'QQQ' }, options);
+    expect(checkCircuitBreakers({ account: 'IRA' }, null, options).trading_allowed).toBe(false);
+    const spreads = checkCircuitBreakers({ account: 'IRA', sleeve: 'spreads' }, null, options);
+    expect(spreads.trading_allowed).toBe(false);
+    expect(spreads.breakers_tripped[0]).toMatchObject({ type: 'MAX_DAILY_LOSS', inherited_from: 'IRA' });
+
+    const all = checkAllAccounts({ positions: POSITIONS }, options);
+    expect(all.accounts.map(r => [r.account, r.sleeve || null])).toEqual([
+      ['CASH', null], ['IRA', null], ['IRA', 'spreads'], ['IRA', 'wheel'], ['default', null]
+    ]);
+    expect(all.aggregate).toMatchObject({
+      accounts_checked: 3,
+      sleeves_checked: 2,
+      total_daily_pnl: -1100,
+      total_capital: 100000,
+      halted: ['IRA', 'IRA/spreads', 'IRA/wheel'],
+      trading_allowed: false
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import {
+  normalizeBars,
+  realizedVolatility,
+  runBacktest,
+  summarizeBacktest
+} from '../src/backtester.js';
+import { createRandom } from '../src/monte-carlo.js';
+import { generateExitSignals } from '../src/position-tracker.js';
+
+// Weekday bars from a seeded lognormal walk (or a flat line when volatility is 0)
+function makeBars(count, { start = '2023-01-02', spot = 100, volatility = 0.18, seed = 3 } = {}) {
+  const rng = createRandom(seed);
+  const bars = [];
+  let price = spot;
+  let day = new Date(`${start}T00:00:00Z`);
+
+  while (bars.length < count) {
+    const weekday = day.getUTCDay();
+    if (weekday !== 0 && weekday !== 6) {
+      bars.push({ t: day.getTime(), c: price });
+      price *= Math.exp(volatility / Math.sqrt(252) * rng.normal());
+    }
+    day = new Date(day.getTime() + 24 * 60 * 60 * 1000);
+  }
+  return bars;
+}
+
+describe('Backtester', () => {
+  describe('Bar handling', () => {
+    test('normalizeBars accepts API and dataset rows, dedupes and sorts by date', () => {
+      const bars = normalizeBars([
+        { date: '2024-01-03', close: 101 },
+        { t: Date.UTC(2024, 0, 2), c: 100 },
+        { date: '2024-01-03T00:00:00Z', close: 102 },
+        { date: '2024-01-04', close: 0 }
+      ]);
+
+      expect(bars).toEqual([
+        { date: '2024-01-02', close: 100 },
+        { date: '2024-01-03', close: 102 }
+      ]);
+    });
+
+    test('realizedVolatility annualizes daily log returns', () => {
+      const closes = [100];
+      for (let i = 0; i < 40; i++) closes.push(closes[i] * Math.exp(i % 2 === 0 ? 0.01 : -0.01));
+
+      expect(realizedVolatility(closes, 10, 20)).toBeNull();
+      expect(realizedVolatility(closes, 40, 20)).toBeCloseTo(0.01 * Math.sqrt(252), 2);
+    });
+  });
+
+  describe('Simulation', () => {
+    const bars = makeBars(220);
+
+    test('Trades an iron condor rule and reconciles equity with the trade log', async () => {
+      const result = await runBacktest(bars, { structure: 'iron_condor', delta_target: 0.16 }, { symbol: 'TEST' });
+      const { summary, trades, equity_curve: curve } = result;
+
+      expect(trades.length).toBeGreaterThan(5);
+      expect(curve).toHaveLength(result.period.trading_days);
+      trades.forEach(trade => {
+        expect(trade.type).toBe('iron_condor');
+        expect(trade.legs).toHaveLength(4);
+        expect(['PROFIT_TARGET', 'STOP_LOSS', 'TIME_STOP', 'EXPIRATION', 'END_OF_DATA']).toContain(trade.exit_reason);
+        expect(trade.exit_date >= trade.entry_date).toBe(true);
+      });
+
+      // Everything is closed on the last bar, so equity is capital plus net trade P&L
+      const netPnL = trades.reduce((sum, t) => sum + t.net_pnl, 0);
+      expect(summary.ending_equity).toBeCloseTo(10000 + netPnL, 0);
+      expect(summary.wins + summary.losses).toBe(trades.length);
+      expect(summary.win_rate).toBeCloseTo(summary.wins / trades.length, 3);
+      expect(summary.max_drawdown).toBeLessThanOrEqual(0);
+      expect(Number.isFinite(summary.sharpe_ratio)).toBe(true);
+      expect(result.pricing.model_marks).toBeGreaterThan(0);
+    });
+
+    test('Transaction costs are charged on entry and exit', async () => {
+      const rules = { structure: 'bull_put_spread' };
+      const withCosts = await runBacktest(bars, rules);
+      const free = await runBacktest(bars, rules, {
+        bid_ask_spread_pct: 0,
+        cost_config: { commission_per_contract: 0, regulatory_fees: 0 }
+      });
+
+      expect(free.summary.total_costs).toBe(0);
+      free.trades.forEach(t => expect(t.net_pnl).toBeCloseTo(t.gross_pnl, 2));
+      expect(withCosts.summary.total_costs).toBeGreaterThan(0);
+      expect(withCosts.trades[0].entry_costs).toBeGreaterThanOrEqual(2 * 0.7);
+    });
+
+    test('Short premium on a flat underlying exits at the profit target', async () => {
+      const flat = makeBars(120, { volatility: 0 });
+      const result = await runBacktest(flat, {
+        structure: 'short_strangle',
+        time_stop_dte: 0,
+        stop_loss_pct: 1000
+      }, { implied_volatility: 0.2 });
+
+      expect(result.trades[0].exit_reason).toBe('PROFIT_TARGET');
+      expect(result.trades[0].net_pnl).toBeGreaterThan(0);
+      expect(result.summary.exit_reasons.PROFIT_TARGET).toBeGreaterThan(0);
+    });
+
+    test('Custom delta templates and historical option prices', async () => {
+      const seen = [];
+      const result = await runBacktest(bars, {
+        structure: 'custom',
+        legs: [
+          { action: 'sell', type: 'put', delta: 0.3 },
+          { action: 'buy', type: 'put', delta: 0.15 }
+        ],
+        max_open_positions: 2
+      }, {
+        option_price_provider: async (leg, date) => {
+          seen.push(date);
+          return leg.action === 'sell' ? 2 : 1;
+        }
+      });
+
+      expect(result.trades[0].type).toBe('bull_put_spread');
+      expect(result.trades[0].net_credit).toBe(1);
+      expect(result.pricing.market_marks).toBeGreaterThan(0);
+      expect(seen.length).toBeGreaterThan(0);
+    });
+
+    test('Validates rules and data', async () => {
+      await expect(runBacktest(bars, { structure: 'wheel' })).rejects.toThrow('Unknown structure');
+      await expect(runBacktest(bars, { structure: 'custom' })).rejects.toThrow('legs template');
+      await expect(runBacktest(bars.slice(0, 10))).rejects.toThrow('at least 22 daily bars');
+      await expect(runBacktest(bars, {}, { start_date: '2030-01-01' })).rejects.toThrow('No bars on or after');
+    });
+  });
+
+  describe('Reporting', () => {
+    test('summarizeBacktest measures drawdown from the running peak', () => {
+      const curve = [10000, 10500, 9975, 10200, 11000].map(equity => ({ equity }));
+      const trades = [
+        { net_pnl: 500, days_held: 10, entry_costs: 2, exit_costs: 2, exit_reason: 'PROFIT_TARGET' },
+        { net_pnl: -200, days_held: 5, entry_costs: 2, exit_costs: 2, exit_reason: 'STOP_LOSS' }
+      ];
+      const summary = summarizeBacktest(trades, curve, 10000);
+
+      expect(summary.max_drawdown).toBe(-525);
+      expect(summary.max_drawdown_pct).toBe(-5);
+      expect(summary.profit_factor).toBe(2.5);
+      expect(summary.expectancy).toBe(150);
+      expect(summary.exit_reasons).toEqual({ PROFIT_TARGET: 1, STOP_LOSS: 1 });
+    });
+
+    test('generateExitSignals evaluates time stops as of a replayed date', () => {
+      const signals = generateExitSignals(
+        { expiration: '2024-03-15' },
+        { profit_pct: 10 },
+        { time_stop_dte: 21, as_of: new Date('2024-03-01T20:00:00Z') }
+      );
+
+      expect(signals.days_to_expiration).toBe(13);
+      expect(signals.signals.map(s => s.type)).toContain('TIME_STOP');
+    });
+  });
+});
@@ -0,0 +1,166 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseBrokerCsv,
+  parseOfx,
+  importBrokerStatement
+} from '../src/broker-import.js';
+import { loadPositions, getPosition, summarizeCampaign } from '../src/position-tracker.js';
+
+// Schwab-style history: newest first, preamble and total rows, no order IDs
+const SPREAD_CSV = [
+  '"Transactions  for account XXXX-1234 as of 03/20/2024"',
+  '"Date","Action","Symbol","Description","Quantity","Price","Fees & Comm","Amount"',
+  '"03/18/2024","Buy to Close","SPY 04/19/2024 480.00 P","PUT SPDR S&P 500 $480 EXP 04/19/24","2","$0.50","$1.32","-$101.32"',
+  '"03/18/2024","Sell to Close","SPY 04/19/2024 470.00 P","PUT SPDR S&P 500 $470 EXP 04/19/24","2","$0.20","$1.32","$38.68"',
+  '"03/15/2024","Sell to Open","SPY 04/19/2024 480.00 P","PUT SPDR S&P 500 $480 EXP 04/19/24","2","$2.10","$1.32","$418.68"',
+  '"03/15/2024","Buy to Open","SPY 04/19/2024 470.00 P","PUT SPDR S&P 500 $470 EXP 04/19/24","2","$1.10","$1.32","-$221.32"',
+  '"03/15/2024","Qualified Dividend","SPY","SPDR S&P 500","","","","$50.00"',
+  'Transactions Total,,,,,,,"$135.04"'
+].join('\r\n');
+
+// Order IDs, a separate open/close column and contract fields in their own columns
+const CAMPAIGN_CSV = [
+  'Exec Time,Side,Qty,Pos Effect,Symbol,Exp,Strike,Type,Price,Order ID',
+  '3/1/24 10:00:00,SELL,-3,TO OPEN,SPY,4/19/24,480,PUT,2.00,1001',
+  '3/8/24 11:00:00,BUY,+1,TO CLOSE,SPY,4/19/24,480,PUT,1.20,1002',
+  '3/15/24 12:00:00,BUY,+2,TO CLOSE,SPY,4/19/24,480,PUT,1.00,1003',
+  '3/15/24 12:00:00,SELL,-2,TO OPEN,SPY,5/17/24,475,PUT,1.80,1003',
+  '5/17/24 16:00:00,ASSIGNED,2,,SPY,5/17/24,475,PUT,0,'
+].join('\n');
+
+const OFX_SGML = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+
+<OFX>
+<INVSTMTMSGSRSV1><INVSTMTTRNRS><INVSTMTRS>
+<INVACCTFROM><BROKERID>broker.example<ACCTID>998877</INVACCTFROM>
+<INVTRANLIST>
+<DTSTART>20240301<DTEND>20240331
+<SELLOPT><INVSELL><INVTRAN><FITID>T1<DTTRADE>20240304143000</INVTRAN>
+<SECID><UNIQUEID>OPT1<UNIQUEIDTYPE>CUSIP</SECID>
+<UNITS>-1<UNITPRICE>1.50<COMMISSION>0.65<TOTAL>149.35<SUBACCTSEC>MARGIN<SUBACCTFUND>MARGIN</INVSELL>
+<OPTSELLTYPE>SELLTOOPEN<SHPERCTRCT>100</SELLOPT>
+<BUYSTOCK><INVBUY><INVTRAN><FITID>T2<DTTRADE>20240305</INVTRAN>
+<SECID><UNIQUEID>STK1<UNIQUEIDTYPE>CUSIP</SECID>
+<UNITS>10<UNITPRICE>170<TOTAL>-1700<SUBACCTSEC>CASH<SUBACCTFUND>CASH</INVBUY><BUYTYPE>BUY</BUYSTOCK>
+<CLOSUREOPT><INVTRAN><FITID>T3<DTTRADE>20240322</INVTRAN>
+<SECID><UNIQUEID>OPT1<UNIQUEIDTYPE>CUSIP</SECID>
+<OPTACTION>EXPIRE<UNITS>1<SHPERCTRCT>100<SUBACCTSEC>MARGIN</CLOSUREOPT>
+</INVTRANLIST>
+</INVSTMTRS></INVSTMTTRNRS></INVSTMTMSGSRSV1>
+<SECLISTMSGSRSV1><SECLIST>
+<STOCKINFO><SECINFO><SECID><UNIQUEID>STK1<UNIQUEIDTYPE>CUSIP</SECID><SECNAME>Apple Inc<TICKER>AAPL</SECINFO></STOCKINFO>
+<OPTINFO><SECINFO><SECID><UNIQUEID>OPT1<UNIQUEIDTYPE>CUSIP</SECID><SECNAME>AAPL Mar 22 2024 165 Put</SECNAME></SECINFO>
+<OPTTYPE>PUT<STRIKEPRICE>165<DTEXPIRE>20240322<SHPERCTRCT>100
+<SECID><UNIQUEID>STK1<UNIQUEIDTYPE>CUSIP</SECID></OPTINFO>
+</SECLIST></SECLISTMSGSRSV1>
+</OFX>`;
+
+describe('Broker Statement Import', () => {
+  let options;
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'broker-import-'));
+    options = { dir: path.join(root, 'positions') };
+  });
+
+  test('CSV rows become fills; non-trades and totals are skipped', () => {
+    const { fills, skipped } = parseBrokerCsv(SPREAD_CSV);
+    expect(fills).toHaveLength(4);
+    expect(fills[2]).toMatchObject({
+      line: 5, date: '2024-03-15', side: 'sell', effect: 'open', event: 'trade', instrument: 'option',
+      symbol: 'SPY', type: 'put', strike: 480, expiration: '2024-04-19', quantity: 2, price: 2.1, fees: 1.32
+    });
+    expect(skipped.map(s => s.line)).toEqual([7, 8]);
+
+    expect(parseBrokerCsv(CAMPAIGN_CSV).fills[4]).toMatchObject({ event: 'assignment', side: null, time: '16:00:00', strike: 475 });
+    expect(() => parseBrokerCsv('a,b\n1,2')).toThrow('No header row');
+  });
+
+  test('Dry run plans a spread and its close; apply writes it once', () => {
+    const plan = importBrokerStatement(SPREAD_CSV, {}, options);
+    expect(plan.dry_run).toBe(true);
+    expect(plan.actions.map(a => a.action)).toEqual(['open', 'close']);
+    expect(plan.actions[0]).toMatchObject({
+      strategy: 'bull_put_spread', contracts: 2, entry_credit: 1, expiration: '2024-04-19', strike_price: 480, entry_date: '2024-03-15'
+    });
+    expect(plan.actions[0].legs).toEqual([
+      { action: 'sell', type: 'put', strike: 480, expiration: '2024-04-19', quantity: 1, price: 2.1 },
+      { action: 'buy', type: 'put', strike: 470, expiration: '2024-04-19', quantity: 1, price: 1.1 }
+    ]);
+    expect(plan.actions[1]).toMatchObject({ position_id: 'new_1', contracts: 2, close_price: 0.3, fees: 2.64 });
+    expect(loadPositions(options)).toHaveLength(0);
+
+    const result = importBrokerStatement(SPREAD_CSV, { dry_run: false, tags: ['imported'] }, options);
+    expect(result.errors).toEqual([]);
+    const [position] = loadPositions(options);
+    expect(position).toMatchObject({ status: 'closed', exit_date: '2024-03-18', exit_profit: 137.36, tags: ['imported'] });
+    expect(position.fills).toHaveLength(4);
+
+    const again = importBrokerStatement(SPREAD_CSV, { dry_run: false }, options);
+    expect(again.summary).toMatchObject({ duplicates: 4, opens: 0, closes: 0 });
+    expect(loadPositions(options)).toHaveLength(1);
+  });
+
+  test('Partial closes, rolls and assignments reconcile into one campaign', () => {
+    const plan = importBrokerStatement(CAMPAIGN_CSV, {}, options);
+    expect(plan.actions.map(a => a.action)).toEqual(['open', 'partial_close', 'roll', 'assign']);
+    expect(plan.actions[1]).toMatchObject({ contracts: 1, contracts_remaining: 2, close_price: 1.2 });
+    expect(plan.actions[2]).toMatchObject({
+      close_legs: ['leg_1'],
+      open_legs: [{ action: 'sell', type: 'put', strike: 475, expiration: '2024-05-17', quantity: 1, price: 1.8 }],
+      net_credit: 0.8
+    });
+    expect(plan.actions[3]).toMatchObject({ leg_id: 'leg_2', date: '2024-05-17' });
+
+    const { applied } = importBrokerStatement(CAMPAIGN_CSV, { dry_run: false }, options);
+    const position = getPosition(applied[0].position_id, options);
+    expect(position.legs.map(leg => `${leg.leg_id}:${leg.status}`)).toEqual(['leg_1:rolled', 'leg_2:assigned']);
+
+    // 600 opened, 120 paid to close one contract (80 realized), 160 more from the roll
+    const campaign = summarizeCampaign(position);
+    expect(campaign).toMatchObject({ net_premium: 640, open_premium: 560, realized_pnl: 80, rolls: 1 });
+    expect(campaign.shares).toEqual({ quantity: 200, average_price: 475, adjusted_cost_basis: 472.2 });
+  });
+
+  test('A failing action writes none of its events and stops the import', () => {
+    // 0.4 of a contract rounds to no contracts closed, which the store rejects
+    const csv = [
+      'Date,Action,Symbol,Quantity,Price,Trade ID',
+      '2024-03-15,Sell to Open,SPY 240419P00480000,2,2.10,A1',
+      '2024-03-18,Buy to Close,SPY 240419P00480000,0.4,1.00,A2'
+    ].join('\n');
+
+    const result = importBrokerStatement(csv, { dry_run: false }, options);
+    expect(result.applied.map(a => a.action)).toEqual(['open']);
+    expect(result.errors).toEqual([expect.objectContaining({ action_index: 1, action: 'partial_close' })]);
+
+    // The close's fill is not left behind on the still-open position
+    const [position] = loadPositions(options);
+    expect(position).toMatchObject({ status: 'open', contracts: 2 });
+    expect(position.fills.map(fill => fill.trade_id)).toEqual(['A1']);
+  });
+
+  test('OFX options, expirations and securities resolve; unmatched closes are reported', () => {
+    const { fills, skipped } = parseOfx(OFX_SGML);
+    expect(skipped).toEqual([]);
+    expect(fills.map(f => `${f.trade_id}:${f.instrument}:${f.event}`)).toEqual(['ofx:T1:option:trade', 'ofx:T2:stock:trade', 'ofx:T3:option:expiration']);
+    expect(fills[0]).toMatchObject({
+      account: '998877', date: '2024-03-04', time: '14:30:00', side: 'sell', effect: 'open',
+      ticker: 'O:AAPL240322P00165000', quantity: 1, price: 1.5, fees: 0.65
+    });
+
+    const result = importBrokerStatement(OFX_SGML, { dry_run: false }, options);
+    expect(result.format).toBe('ofx');
+    expect(result.actions.map(a => a.action)).toEqual(['open', 'expire']);
+    expect(result.skipped).toEqual([{ trade_id: 'ofx:T2', reason: 'Stock trades are not tracked' }]);
+    expect(loadPositions(options)[0]).toMatchObject({ strategy: 'short_put', account: '998877', status: 'closed', exit_profit: 150 });
+
+    const orphan = importBrokerStatement('Date,Action,Symbol,Quantity,Price\n2024-03-20,Buy to Close,QQQ 240419C00450000,1,2.5', {}, options);
+    expect(orphan.summary.unmatched).toBe(1);
+    expect(orphan.unmatched[0].reason).toContain('No open tracked leg');
+  });
+});
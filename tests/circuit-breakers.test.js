@@ -0,0 +1,162 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_BREAKERS,
+  cooldownExpiry,
+  resolveBreakerConfig,
+  updateBreakerProfile,
+  checkCircuitBreakers,
+  recordTrade,
+  resetCircuitBreakers,
+  getBreakerStatus,
+  getBreakerAudit
+} from '../src/circuit-breakers.js';
+
+describe('Circuit Breakers', () => {
+  let options;
+
+  beforeEach(() => {
+    options = { dir: fs.mkdtempSync(path.join(os.tmpdir(), 'circuit-breakers-')) };
+  });
+
+  test('Profiles layer default, account and symbol rules', () => {
+    updateBreakerProfile({ rules: { max_daily_loss: 400, max_trades_per_day: 10 } }, options);
+    updateBreakerProfile({ scope: 'account', name: 'IRA', rules: { max_daily_loss: 200 } }, options);
+    updateBreakerProfile({ scope: 'symbol', name: 'tsla', rules: { max_vega: 300 }, cooldowns: { MAX_VEGA: 30 } }, options);
+
+    expect(resolveBreakerConfig({}, options)).toMatchObject({ max_daily_loss: 400, max_trades_per_day: 10, max_vega: null });
+    const config = resolveBreakerConfig({ account: 'IRA', symbol: 'TSLA' }, options);
+    expect(config).toMatchObject({ max_daily_loss: 200, max_trades_per_day: 10, max_vega: 300, vix_spike_threshold: 40 });
+    expect(config.cooldowns).toMatchObject({ MAX_VEGA: 30, MAX_DAILY_LOSS: 'end_of_day' });
+    expect(config.profiles_applied).toEqual(['default', 'account:IRA', 'symbol:TSLA']);
+
+    updateBreakerProfile({ scope: 'symbol', name: 'TSLA', remove: true }, options);
+    expect(resolveBreakerConfig({ symbol: 'TSLA' }, options).max_vega).toBeNull();
+
+    expect(() => updateBreakerProfile({ rules: { max_loss: 1 } }, options)).toThrow('Unknown breaker rule: max_loss');
+    expect(() => updateBreakerProfile({ rules: { max_vega: -5 } }, options)).toThrow('non-negative');
+    expect(() => updateBreakerProfile({ cooldowns: { VIX_SPIKE: 'forever' } }, options)).toThrow('Cooldown for VIX_SPIKE');
+    expect(() => updateBreakerProfile({ scope: 'account', rules: {} }, options)).toThrow('needs a name');
+  });
+
+  test('Trade-based rules trip on loss streaks, trade counts and drawdowns', () => {
+    updateBreakerProfile({
+      rules: { max_consecutive_losses: 3, max_trades_per_day: 5, max_weekly_drawdown: 250, max_daily_loss: null, max_daily_loss_pct: null }
+    }, options);
+
+    recordTrade(100, { symbol: 'spy' }, options);
+    recordTrade(-120, {}, options);
+    recordTrade(-80, {}, options);
+    const counters = recordTrade(-90, { position_id: 'pos_1' }, options);
+    expect(counters).toMatchObject({ trades_today: 4, consecutive_losses: 3, weekly_drawdown: 290, daily_pnl: -190 });
+
+    const result = checkCircuitBreakers({ account_size: 50000 }, null, options);
+    expect(result.breakers_tripped.map(b => b.type)).toEqual(['CONSECUTIVE_LOSSES', 'MAX_WEEKLY_DRAWDOWN']);
+    expect(result.trading_allowed).toBe(false);
+    expect(result.breakers_tripped[1].expires_at).toBe(cooldownExpiry('end_of_week'));
+
+    recordTrade(50, {}, options);
+    const busy = checkCircuitBreakers({ account_size: 50000 }, null, options);
+    expect(busy.breakers_tripped.find(b => b.type === 'MAX_TRADES_PER_DAY').cooling_down).toBeUndefined();
+    // The streak is broken but the breaker keeps its cooldown
+    expect(busy.breakers_tripped.find(b => b.type === 'CONSECUTIVE_LOSSES').cooling_down).toBe(true);
+  });
+
+  test('A loss streak starts over after a reset or cooldown expiry', async () => {
+    updateBreakerProfile({ rules: { max_consecutive_losses: 3, max_daily_loss: null, max_daily_loss_pct: null } }, options);
+    const streakTripped = () => checkCircuitBreakers({ account_size: 50000 }, null, options)
+      .breakers_tripped.some(b => b.type === 'CONSECUTIVE_LOSSES');
+    const lose = async count => {
+      for (let i = 0; i < count; i++) {
+        await new Promise(resolve => setTimeout(resolve, 2));
+        recordTrade(-100, {}, options);
+      }
+    };
+
+    await lose(3);
+    expect(streakTripped()).toBe(true);
+    resetCircuitBreakers('RESET_CONFIRMED', { types: ['CONSECUTIVE_LOSSES'] }, options);
+    expect(streakTripped()).toBe(false);
+    expect(getBreakerStatus('default', options).consecutive_losses).toBe(0);
+
+    // New losses count again from the reset
+    await lose(2);
+    expect(streakTripped()).toBe(false);
+    await lose(1);
+    expect(streakTripped()).toBe(true);
+
+    // Once the cooldown runs out the same losses do not trip it again
+    const stateFile = path.join(options.dir, 'circuit-breakers.json');
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    state.accounts.default.breakers_tripped[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    fs.writeFileSync(stateFile, JSON.stringify(state));
+    const expired = checkCircuitBreakers({ account_size: 50000 }, null, options);
+    expect(expired).toMatchObject({ breakers_tripped: [], new_positions_allowed: true });
+  });
+
+  test('Greek exposure rules apply per symbol profile', () => {
+    updateBreakerProfile({ scope: 'symbol', name: 'TSLA', rules: { max_vega: 300, max_short_gamma: 20 } }, options);
+
+    const spy = checkCircuitBreakers({ account_size: 50000, symbol: 'SPY', net_vega: -500, net_gamma: -40 }, null, options);
+    expect(spy.breakers_tripped).toEqual([]);
+
+    const tsla = checkCircuitBreakers({ account_size: 50000, symbol: 'TSLA', portfolio_greeks: { net_vega: -500, net_gamma: -40 } }, null, options);
+    expect(tsla.breakers_tripped.map(b => b.type)).toEqual(['MAX_VEGA', 'MAX_SHORT_GAMMA']);
+    expect(tsla.breakers_tripped[0]).toMatchObject({ action: 'REDUCE_EXPOSURE', expires_at: null });
+    expect(tsla.profiles_applied).toEqual(['default', 'symbol:TSLA']);
+
+    // Exposure rules only last while the exposure does
+    expect(checkCircuitBreakers({ account_size: 50000, symbol: 'TSLA' }, null, options).breakers_tripped).toEqual([]);
+  });
+
+  test('Tripped breakers cool down, expire and can be reset', () => {
+    const tripped = checkCircuitBreakers({ account_size: 50000, vix_level: 45, account: 'IRA' }, null, options);
+    expect(tripped.breakers_tripped).toHaveLength(1);
+    expect(new Date(tripped.breakers_tripped[0].expires_at) - new Date(tripped.breakers_tripped[0].triggered_at)).toBe(60 * 60 * 1000);
+
+    const later = checkCircuitBreakers({ account_size: 50000, vix_level: 22, account: 'IRA' }, null, options);
+    expect(later.breakers_tripped).toMatchObject([{ type: 'VIX_SPIKE', cooling_down: true }]);
+    expect(getBreakerStatus('default', options).status).toBe('ACTIVE');
+    expect(getBreakerStatus('IRA', options).status).toBe('TRIPPED');
+
+    // Past its expiry the breaker drops off and the expiry is audited
+    const stateFile = path.join(options.dir, 'circuit-breakers.json');
+    const state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    state.accounts.IRA.breakers_tripped[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    fs.writeFileSync(stateFile, JSON.stringify(state));
+    expect(getBreakerStatus('IRA', options).status).toBe('ACTIVE');
+    expect(getBreakerAudit({ event: 'breaker_expired' }, options).entries[0]).toMatchObject({ account: 'IRA', type: 'VIX_SPIKE' });
+
+    checkCircuitBreakers({ account_size: 10000, daily_pnl: -900 }, null, options);
+    expect(resetCircuitBreakers('yes', {}, options).success).toBe(false);
+    const reset = resetCircuitBreakers('RESET_CONFIRMED', { types: ['MAX_DAILY_LOSS'], reason: 'Fat finger P&L' }, options);
+    expect(reset.cleared).toEqual(['MAX_DAILY_LOSS']);
+    expect(getBreakerStatus('default', options).breakers_tripped.map(b => b.type)).toEqual(['MAX_DAILY_LOSS_PCT']);
+  });
+
+  test('Every evaluation, trade and reset is audited; legacy state migrates', () => {
+    fs.writeFileSync(path.join(options.dir, 'circuit-breakers.json'), JSON.stringify({
+      daily_pnl: -50,
+      last_reset_date: new Date().toISOString().split('T')[0],
+      breakers_tripped: [{ type: 'VIX_SPIKE', action: 'REDUCE_EXPOSURE', triggered_at: new Date().toISOString() }],
+      trades_today: 2
+    }));
+    const status = getBreakerStatus(undefined, options);
+    expect(status).toMatchObject({ account: 'default', daily_pnl: -50, trades_today: 2, status: 'TRIPPED' });
+    expect(status.breakers_tripped[0].expires_at).toBe(cooldownExpiry('end_of_day', new Date(status.breakers_tripped[0].triggered_at)));
+
+    recordTrade(-25, { account: 'IRA' }, options);
+    checkCircuitBreakers({ account_size: 10000, account: 'IRA', vix_level: 50 }, null, options);
+    checkCircuitBreakers({ account_size: 10000 }, DEFAULT_BREAKERS, options);
+    resetCircuitBreakers('RESET_CONFIRMED', { account: 'IRA', reason: 'VIX back under 30' }, options);
+
+    const audit = getBreakerAudit({}, options);
+    expect(audit.entries.map(e => e.event)).toEqual(['reset', 'evaluation', 'evaluation', 'trade_recorded']);
+    expect(audit.entries[0]).toMatchObject({ account: 'IRA', cleared: ['VIX_SPIKE'], reason: 'VIX back under 30' });
+    expect(audit.entries[2]).toMatchObject({ account: 'IRA', tripped: ['VIX_SPIKE'], trading_allowed: true, profiles: ['default'] });
+    expect(audit.entries[1].profiles).toEqual(['custom']);
+    expect(getBreakerAudit({ account: 'IRA', event: 'evaluation' }, options).total).toBe(1);
+    expect(getBreakerAudit({ limit: 1 }, options)).toMatchObject({ total: 4, entries: [{ event: 'reset' }] });
+  });
+});
@@ -0,0 +1,126 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  dailyReturns,
+  buildCorrelationMatrix,
+  calculateBetas,
+  analyzeCorrelationRisk
+} from '../src/correlation-risk.js';
+import { checkCircuitBreakers, DEFAULT_BREAKERS } from '../src/circuit-breakers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 2);
+
+// Deterministic market return path and daily bars compounding a return series
+const marketReturn = i => 0.01 * Math.sin(i * 1.7) + 0.004 * Math.cos(i * 0.9);
+const noise = (i, seed) => 0.003 * Math.sin(i * seed + seed);
+
+function barsFrom(returnFor, start, days = 80) {
+  const bars = [{ t: START, c: start }];
+  for (let i = 1; i <= days; i++) {
+    bars.push({ t: START + i * DAY_MS, c: bars[i - 1].c * Math.exp(returnFor(i)) });
+  }
+  return bars;
+}
+
+const BARS = {
+  SPY: barsFrom(marketReturn, 500),
+  QQQ: barsFrom(i => 1.3 * marketReturn(i) + noise(i, 3.1), 400),
+  XLE: barsFrom(i => 0.012 * Math.sin(i * 0.37 + 1) + noise(i, 5.3), 90)
+};
+
+const longCall = (id, symbol, delta) => ({
+  id,
+  symbol,
+  contracts: 1,
+  legs: [{ action: 'buy', type: 'call', strike: 100, expiration: '2030-01-18', greeks: { delta, gamma: 0.02 } }]
+});
+
+describe('Correlation Risk', () => {
+  test('Returns, correlation and beta follow the price paths', () => {
+    const returns = dailyReturns([...BARS.SPY].reverse());
+    expect(Object.keys(returns)).toHaveLength(80);
+    expect(returns['2024-01-03']).toBeCloseTo(marketReturn(1), 10);
+
+    const matrix = buildCorrelationMatrix({
+      SPY: returns,
+      QQQ: dailyReturns(BARS.QQQ),
+      XLE: dailyReturns(BARS.XLE)
+    });
+    expect(matrix.observations).toBe(80);
+    expect(matrix.correlation.SPY.QQQ).toBeGreaterThan(0.95);
+    expect(Math.abs(matrix.correlation.SPY.XLE)).toBeLessThan(0.5);
+    expect(matrix.correlation.QQQ.SPY).toBe(matrix.correlation.SPY.QQQ);
+
+    const betas = calculateBetas(matrix, 'SPY');
+    expect(betas.SPY).toBe(1);
+    expect(betas.QQQ).toBeCloseTo(1.3, 1);
+
+    const short = buildCorrelationMatrix({ SPY: returns, NEW: { '2024-01-03': 0.01 } });
+    expect(short.symbols).toEqual(['SPY']);
+    expect(short.excluded[0]).toMatchObject({ symbol: 'NEW' });
+  });
+
+  test('Deltas are beta-weighted into benchmark shares', () => {
+    const report = analyzeCorrelationRisk(
+      [longCall('a', 'SPY', 0.5), longCall('b', 'QQQ', 0.5), longCall('c', 'XLE', 0.4)],
+      BARS,
+      { underlying_prices: { SPY: 500, QQQ: 400, XLE: 90 } }
+    );
+
+    const qqq = report.exposure.underlyings.find(u => u.symbol === 'QQQ');
+    const ratio = report.betas.QQQ * 400 / 500;
+    expect(qqq).toMatchObject({ delta: 50, dollar_delta: 20000, position_ids: ['b'] });
+    expect(qqq.beta_weighted_delta).toBeCloseTo(50 * ratio, 1);
+    expect(qqq.beta_weighted_gamma).toBeCloseTo(2 * ratio * ratio, 3);
+
+    expect(report.exposure.dollar_delta).toBe(25000 + 20000 + 3600);
+    expect(report.exposure.beta_weighted_dollar_delta).toBeCloseTo(report.exposure.beta_weighted_delta * 500, -1);
+    expect(report.delta_risk.diversification_ratio).toBeGreaterThanOrEqual(1);
+  });
+
+  test('Same-direction correlated positions form a cluster; hedges do not', () => {
+    const positions = [longCall('a', 'SPY', 0.5), longCall('b', 'QQQ', 0.6), longCall('c', 'XLE', 0.4)];
+    const report = analyzeCorrelationRisk(positions, BARS);
+    expect(report.clusters).toHaveLength(1);
+    expect(report.clusters[0]).toMatchObject({ symbols: ['QQQ', 'SPY'], position_ids: ['a', 'b'] });
+    expect(report.warnings[0]).toContain('effectively one bet');
+
+    // A QQQ put against SPY calls is a hedge, not the same bet
+    const hedged = analyzeCorrelationRisk([positions[0], longCall('b', 'QQQ', -0.6)], BARS);
+    expect(hedged.pairs[0].same_direction).toBe(false);
+    expect(hedged.clusters).toEqual([]);
+
+    // Closed legs carry no delta
+    const closed = { ...positions[1], legs: [{ ...positions[1].legs[0], status: 'closed' }] };
+    expect(analyzeCorrelationRisk([positions[0], closed], BARS).clusters).toEqual([]);
+  });
+
+  test('The correlation breaker restricts the clustered underlyings', () => {
+    const options = { dir: fs.mkdtempSync(path.join(os.tmpdir(), 'correlation-breaker-')) };
+    const correlation = analyzeCorrelationRisk([longCall('a', 'SPY', 0.5), longCall('b', 'QQQ', 0.6)], BARS);
+    const result = checkCircuitBreakers({ account_size: 50000, daily_pnl: 0, correlation }, DEFAULT_BREAKERS, options);
+    expect(result.breakers_tripped.map(b => b.type)).toEqual(['CORRELATION']);
+    expect(result.restricted_symbols).toEqual(['QQQ', 'SPY']);
+    expect(result.trading_allowed).toBe(true);
+    expect(result.new_positions_allowed).toBe(true);
+    expect(result.recommendation).toContain('QQQ, SPY');
+    expect(result.recommendation).not.toContain('STOP TRADING');
+
+    // Opening more of a clustered underlying is blocked; an unrelated one is not
+    const blocked = checkCircuitBreakers({ account_size: 50000, daily_pnl: 0, symbol: 'qqq', correlation }, DEFAULT_BREAKERS, options);
+    expect(blocked.new_positions_allowed).toBe(false);
+    expect(blocked.trading_allowed).toBe(true);
+    const other = checkCircuitBreakers({ account_size: 50000, daily_pnl: 0, symbol: 'XLE', correlation }, DEFAULT_BREAKERS, options);
+    expect(other.new_positions_allowed).toBe(true);
+
+    const loose = checkCircuitBreakers({ account_size: 50000, daily_pnl: 0, correlation }, { ...DEFAULT_BREAKERS, correlation_threshold: 0.999 }, options);
+    expect(loose.breakers_tripped).toEqual([]);
+
+    // Alongside a halting breaker the generic recommendation applies
+    const halted = checkCircuitBreakers({ account_size: 50000, daily_pnl: -5000, symbol: 'XLE', correlation }, DEFAULT_BREAKERS,
+      { dir: fs.mkdtempSync(path.join(os.tmpdir(), 'correlation-breaker-')) });
+    expect(halted.recommendation).toContain('STOP TRADING');
+  });
+});
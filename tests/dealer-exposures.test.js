@@ -0,0 +1,91 @@
+import {
+  calculateDealerGEX,
+  calculateDealerExposures,
+  generateDealerMatrix,
+  summarizeExposureMatrix,
+  calculateGEXCurve,
+  calculateVannaVolProfile
+} from '../src/dealer-positioning.js';
+import { calculateGreeks, yearsToExpiration } from '../src/option-pricing.js';
+
+const AS_OF = new Date('2024-06-03T15:00:00Z');
+const SPOT = 100;
+
+// Contract carrying chain-style Greeks computed from its IV
+function contract(type, strike, expiration, oi, iv = 0.2) {
+  const greeks = calculateGreeks({
+    type, spot: SPOT, strike, time: yearsToExpiration(expiration, AS_OF), volatility: iv, rate: 0.045, style: 'european'
+  });
+  return { type, strike, expiration, implied_volatility: iv, greeks, price: { open_interest: oi } };
+}
+
+// Heavy puts below spot (dealer long gamma), heavy calls above (dealer short gamma)
+function makeChain() {
+  const data = {};
+  ['2024-06-07', '2024-06-21'].forEach(expiration => {
+    data[expiration] = {
+      calls: [100, 105, 110].map(k => contract('call', k, expiration, k === 105 ? 8000 : 2000)),
+      puts: [90, 95, 100].map(k => contract('put', k, expiration, k === 95 ? 8000 : 2000))
+    };
+  });
+  return data;
+}
+
+describe('Dealer Exposures', () => {
+  test('Model GEX matches the chain-Greek GEX at current spot', () => {
+    const call = contract('call', 100, '2024-06-21', 1000);
+    const exposures = calculateDealerExposures(call, SPOT, 'call', { asOf: AS_OF });
+    // Chain Greeks are rounded to 6 decimals, so compare ratios
+    expect(exposures.gex / calculateDealerGEX(call, SPOT, 'call')).toBeCloseTo(1, 4);
+
+    // Dealers short calls: negative delta; charm and vanna follow the same sign convention
+    expect(exposures.dex / (-call.greeks.delta * 1000 * 100 * SPOT)).toBeCloseTo(1, 4);
+    expect(exposures.charm / (-call.greeks.charm * 1000 * 100 * SPOT)).toBeCloseTo(1, 2);
+    expect(exposures.vanna / (-call.greeks.vanna * 1000 * 100 * SPOT)).toBeCloseTo(1, 2);
+  });
+
+  test('Contracts without IV or open interest contribute nothing', () => {
+    expect(calculateDealerExposures({ strike: 100, expiration: '2024-06-21', price: { open_interest: 10 } }, SPOT, 'call', { asOf: AS_OF })).toBeNull();
+    expect(calculateDealerExposures(contract('put', 95, '2024-06-21', 0), SPOT, 'put', { asOf: AS_OF })).toBeNull();
+  });
+
+  test('Matrix builds only the requested exposure maps', () => {
+    const chain = makeChain();
+    const plain = generateDealerMatrix(chain, SPOT);
+    expect(plain.dexMatrix).toBeNull();
+    expect(plain.charmMatrix).toBeNull();
+
+    const full = generateDealerMatrix(chain, SPOT, { includeDEX: true, includeCharm: true, includeVanna: true, asOf: AS_OF });
+    expect(Object.keys(full.dexMatrix)).toEqual(['2024-06-07', '2024-06-21']);
+    expect(full.dexMatrix['2024-06-21'][105]).toBeLessThan(0);
+    expect(full.vannaMatrix['2024-06-21'][95]).toBeDefined();
+
+    const charm = summarizeExposureMatrix(full.charmMatrix);
+    // Charm concentrates in the nearer expiration
+    expect(Math.abs(charm.by_expiration['2024-06-07'])).toBeGreaterThan(Math.abs(charm.by_expiration['2024-06-21']));
+    expect(charm.top_strikes.length).toBeLessThanOrEqual(5);
+    expect(charm.total).toBeCloseTo(charm.by_expiration['2024-06-07'] + charm.by_expiration['2024-06-21'], 0);
+  });
+
+  test('GEX curve crosses zero between the put and call concentrations', () => {
+    const curve = calculateGEXCurve(makeChain(), SPOT, { asOf: AS_OF, range: 0.15, points: 61 });
+
+    expect(curve.points).toHaveLength(61);
+    expect(curve.points[0].spot).toBeCloseTo(85, 2);
+    expect(curve.points[30].spot).toBeCloseTo(SPOT, 2);
+    expect(curve.contracts_used).toBe(12);
+    // Long put gamma dominates low, short call gamma dominates high
+    expect(curve.points[10].gex).toBeGreaterThan(0);
+    expect(curve.points[50].gex).toBeLessThan(0);
+    expect(curve.zero_gamma_level).toBeGreaterThan(95);
+    expect(curve.zero_gamma_level).toBeLessThan(105);
+  });
+
+  test('Vanna profile reports dealer delta at shifted volatility', () => {
+    const profile = calculateVannaVolProfile(makeChain(), SPOT, { asOf: AS_OF, shifts: [-5, 0, 5] });
+
+    expect(profile.map(p => p.iv_shift)).toEqual([-5, 0, 5]);
+    expect(profile[1].dex_change).toBe(0);
+    expect(Math.sign(profile[0].dex_change)).toBe(-Math.sign(profile[2].dex_change));
+  });
+});
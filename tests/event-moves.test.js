@@ -0,0 +1,127 @@
+import {
+  countTradingDays,
+  straddleImpliedMove,
+  buildMoveTermStructure,
+  impliedEventMove,
+  realizedEventMoves,
+  compareEventMoves
+} from '../src/event-moves.js';
+import { blackScholesPrice, yearsToExpiration } from '../src/option-pricing.js';
+
+const AS_OF = new Date('2024-06-03T15:00:00Z'); // Monday
+const SPOT = 100;
+
+// Straddle chain where each expiration's ATM IV is given
+function makeChain(ivByExpiration) {
+  const data = {};
+  Object.entries(ivByExpiration).forEach(([expiration, iv]) => {
+    const T = yearsToExpiration(expiration, AS_OF);
+    const contract = (type, strike) => {
+      const price = blackScholesPrice({ type, spot: SPOT, strike, time: T, volatility: iv, rate: 0 });
+      return { type, strike, implied_volatility: iv, price: { bid: price * 0.98, ask: price * 1.02, last: price } };
+    };
+    data[expiration] = {
+      calls: [95, 100, 105].map(k => contract('call', k)),
+      puts: [95, 100, 105].map(k => contract('put', k))
+    };
+  });
+  return { underlying: { price: SPOT }, snapshot_time: AS_OF.toISOString(), data };
+}
+
+// Total variance in IV terms for a target trading-day profile
+const ivFor = (expiration, totalVariance) => Math.sqrt(totalVariance / yearsToExpiration(expiration, AS_OF));
+
+describe('Event Moves', () => {
+  test('Counts weekdays between dates', () => {
+    expect(countTradingDays('2024-06-03', '2024-06-07')).toBe(4);
+    expect(countTradingDays('2024-06-07', '2024-06-10')).toBe(1);
+    expect(countTradingDays('2024-06-03', '2024-06-03')).toBe(0);
+  });
+
+  test('Straddle move uses the ATM mid and tracks the IV move', () => {
+    const chain = makeChain({ '2024-06-21': 0.2 });
+    const move = straddleImpliedMove(chain.data['2024-06-21'], SPOT, '2024-06-21', AS_OF);
+
+    expect(move.atm_strike).toBe(100);
+    expect(move.price_source).toBe('mid');
+    expect(move.trading_days).toBe(14);
+    expect(move.move_range).toEqual([SPOT - move.implied_move, SPOT + move.implied_move].map(v => parseFloat(v.toFixed(2))));
+    // ATM straddle is about sqrt(2/pi) of the one standard deviation move
+    expect(move.implied_move / move.one_sd_move).toBeCloseTo(Math.sqrt(2 / Math.PI), 1);
+  });
+
+  test('Falls back to last trade when there is no two-sided quote', () => {
+    const chain = makeChain({ '2024-06-21': 0.2 });
+    chain.data['2024-06-21'].calls.forEach(c => { c.price.bid = 0; });
+    expect(straddleImpliedMove(chain.data['2024-06-21'], SPOT, '2024-06-21', AS_OF).price_source).toBe('last');
+  });
+
+  test('Recovers the event variance between expirations bracketing the event', () => {
+    // Base daily variance 0.0001 (1% a day); the event day carries 0.0016 (4%)
+    const v = 0.0001;
+    const e = 0.0016;
+    const pre = '2024-06-07'; // 4 trading days
+    const post = '2024-06-14'; // 9 trading days, includes the event
+    const chain = makeChain({
+      [pre]: ivFor(pre, v * 4),
+      [post]: ivFor(post, v * 8 + e)
+    });
+
+    const term = buildMoveTermStructure(chain, { as_of: AS_OF });
+    const event = impliedEventMove(term, '2024-06-11', { timing: 'after_close', spot: SPOT });
+
+    expect(event.method).toBe('pre_post_difference');
+    expect(event.reference_expiration).toBe(pre);
+    expect(event.event_expiration).toBe(post);
+    expect(event.event_std_move_percent).toBeCloseTo(4, 1);
+    expect(event.expected_abs_move_percent).toBeCloseTo(4 * Math.sqrt(2 / Math.PI), 1);
+    expect(event.expected_abs_move).toBeCloseTo(SPOT * 0.04 * Math.sqrt(2 / Math.PI), 1);
+    expect(event.priced).toBe(true);
+  });
+
+  test('Uses the two expirations after the event when it sits in the front one', () => {
+    const v = 0.0001;
+    const e = 0.0009;
+    const chain = makeChain({
+      '2024-06-07': ivFor('2024-06-07', v * 3 + e),
+      '2024-06-14': ivFor('2024-06-14', v * 8 + e)
+    });
+    const event = impliedEventMove(buildMoveTermStructure(chain, { as_of: AS_OF }), '2024-06-04', { timing: 'before_open' });
+
+    expect(event.method).toBe('post_event_pair');
+    expect(event.event_std_move_percent).toBeCloseTo(3, 1);
+    expect(event.base_iv).toBeCloseTo(Math.sqrt(v * 252), 3);
+  });
+
+  test('Variance flat in trading days means no event is priced', () => {
+    const chain = makeChain({ '2024-06-07': ivFor('2024-06-07', 0.0001 * 4), '2024-06-14': ivFor('2024-06-14', 0.0001 * 9) });
+    const event = impliedEventMove(buildMoveTermStructure(chain, { as_of: AS_OF }), '2024-06-11');
+    expect(event.priced).toBe(false);
+    expect(event.note).toMatch(/not pricing/);
+    expect(() => impliedEventMove([], '2024-06-11')).toThrow('No listed expiration');
+    expect(() => impliedEventMove([], '2024-06-11', { timing: 'weekend' })).toThrow('Unknown event timing');
+  });
+
+  test('Realized reactions use the right session and compare with the implied move', () => {
+    const closes = [
+      ['2024-01-30', 100], ['2024-01-31', 101], ['2024-02-01', 101], ['2024-02-02', 106.05], ['2024-02-05', 106],
+      ['2024-04-30', 100], ['2024-05-01', 100], ['2024-05-02', 100], ['2024-05-03', 97], ['2024-05-06', 97.5]
+    ];
+    const bars = closes.map(([date, c]) => ({ t: Date.parse(`${date}T05:00:00Z`), c }));
+
+    const realized = realizedEventMoves(bars, ['2024-02-01', '2024-05-02', '2023-01-01'], { timing: 'after_close' });
+    expect(realized.count).toBe(2);
+    expect(realized.skipped_dates).toEqual(['2023-01-01']);
+    expect(realized.events[0]).toMatchObject({ reaction_date: '2024-02-02', move_percent: 5 });
+    expect(realized.events[1]).toMatchObject({ reaction_date: '2024-05-03', move_percent: -3 });
+    expect(realized.mean_abs_move_percent).toBe(4);
+
+    const sameDay = realizedEventMoves(bars, ['2024-02-02'], { timing: 'before_open' });
+    expect(sameDay.events[0].reaction_date).toBe('2024-02-02');
+
+    const comparison = compareEventMoves({ expected_abs_move_percent: 2.5 }, realized);
+    expect(comparison.verdict).toBe('CHEAP');
+    expect(comparison.realized_exceeded_implied).toBe(2);
+    expect(comparison.sample_warning).toMatch(/Only 2/);
+  });
+});
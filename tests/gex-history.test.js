@@ -0,0 +1,161 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  findFlipLevel,
+  summarizeDealerPositioning,
+  recordDealerSnapshot,
+  getDealerHistory,
+  attributeGEXChange,
+  buildDealerHistoryReport,
+  MAX_MATRIX_SNAPSHOTS
+} from '../src/gex-history.js';
+
+const option = (strike, gamma, oi, vega = 0.1) => ({
+  strike,
+  greeks: { gamma, vega },
+  price: { open_interest: oi }
+});
+
+// Puts below spot (dealer long gamma), calls above (dealer short gamma)
+function makeChain({ putOI = 1000, callOI = 1000, wallCallOI = 5000 } = {}) {
+  return {
+    '2024-06-21': {
+      calls: [option(100, 0.05, callOI), option(105, 0.04, wallCallOI), option(110, 0.02, callOI)],
+      puts: [option(90, 0.02, putOI), option(95, 0.04, putOI * 4), option(100, 0.05, putOI)]
+    }
+  };
+}
+
+describe('GEX History', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gex-history-')), 'gex-history');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(dir), { recursive: true, force: true });
+  });
+
+  test('Flip level interpolates where cumulative GEX changes sign', () => {
+    const rows = [
+      { strike: 90, gex: 100 },
+      { strike: 95, gex: 100 },
+      { strike: 100, gex: -300 },
+      { strike: 105, gex: -100 }
+    ];
+    // Cumulative: 100, 200, -100 -> crosses two thirds of the way from 95 to 100
+    expect(findFlipLevel(rows, 100)).toBeCloseTo(98.33, 2);
+    expect(findFlipLevel([{ strike: 90, gex: 1 }, { strike: 95, gex: 2 }], 100)).toBeNull();
+  });
+
+  test('Summary finds walls and totals per strike', () => {
+    const summary = summarizeDealerPositioning(makeChain(), 100);
+
+    expect(summary.call_wall).toBe(105);
+    expect(summary.put_wall).toBe(95);
+    expect(summary.strikes[100].call_oi).toBe(1000);
+    expect(summary.strikes[100].put_oi).toBe(1000);
+    const total = Object.values(summary.strikes).reduce((sum, row) => sum + row.call_gex + row.put_gex, 0);
+    expect(summary.total_gex).toBeCloseTo(total, -1);
+    expect(summary.flip_level).toBeGreaterThan(95);
+    expect(summary.flip_level).toBeLessThan(110);
+  });
+
+  test('Records persist in time order and filter by date', () => {
+    recordDealerSnapshot('spy', { timestamp: '2024-06-04T15:00:00Z', underlying_price: 100, chain_data: makeChain() }, { dir });
+    recordDealerSnapshot('SPY', { timestamp: '2024-06-03T15:00:00Z', underlying_price: 99, chain_data: makeChain(), complete: false }, { dir });
+
+    const all = getDealerHistory('SPY', { dir });
+    expect(all.map(r => r.date)).toEqual(['2024-06-03', '2024-06-04']);
+    expect(all[0].complete).toBe(false);
+    expect(getDealerHistory('SPY', { dir, from: '2024-06-04' })).toHaveLength(1);
+    expect(getDealerHistory('QQQ', { dir })).toEqual([]);
+    expect(() => recordDealerSnapshot('SPY', { underlying_price: 100 }, { dir })).toThrow('chain data is required');
+  });
+
+  test('Old records are pruned beyond the cap', () => {
+    for (let day = 1; day <= 5; day++) {
+      const timestamp = `2024-06-0${day}T15:00:00Z`;
+      recordDealerSnapshot('SPY', { timestamp, underlying_price: 100, chain_data: makeChain() }, { dir, max_records: 3 });
+    }
+    expect(getDealerHistory('SPY', { dir }).map(r => r.date)).toEqual(['2024-06-03', '2024-06-04', '2024-06-05']);
+  });
+
+  test('Records are appended per symbol and matrices kept for the latest snapshots only', () => {
+    const matrix = { '2024-06-21': { 100: -1500.4, 105: 0 } };
+    for (let day = 1; day <= MAX_MATRIX_SNAPSHOTS + 2; day++) {
+      const timestamp = `2024-06-0${day}T15:00:00Z`;
+      recordDealerSnapshot('SPY', { timestamp, underlying_price: 100, chain_data: makeChain(), gex_matrix: matrix }, { dir });
+    }
+
+    const lines = fs.readFileSync(path.join(dir, 'SPY.jsonl'), 'utf8').trim().split('\n');
+    expect(lines).toHaveLength(MAX_MATRIX_SNAPSHOTS + 2);
+    expect(JSON.parse(lines[0]).gex_matrix).toBeUndefined();
+
+    const records = getDealerHistory('SPY', { dir, include_matrix: true });
+    expect(records[0].gex_matrix).toBeNull();
+    expect(records[records.length - 1].gex_matrix).toEqual({ '2024-06-21': { 100: -1500 } });
+    expect(records.filter(record => record.gex_matrix)).toHaveLength(MAX_MATRIX_SNAPSHOTS);
+    expect(getDealerHistory('SPY', { dir })[0].gex_matrix).toBeUndefined();
+  });
+
+  test('A legacy single-file store is split into per-symbol logs', () => {
+    const legacy = path.join(path.dirname(dir), 'gex-history.json');
+    const record = (day, matrix) => ({
+      timestamp: `2024-06-0${day}T15:00:00Z`, date: `2024-06-0${day}`, underlying_price: 100,
+      total_gex: day, strikes: {}, gex_matrix: matrix, vex_matrix: null
+    });
+    fs.writeFileSync(legacy, JSON.stringify({ symbols: { SPY: [record(1, { x: { 100: 1 } }), record(2, { x: { 100: 2 } })] } }));
+
+    const records = getDealerHistory('SPY', { dir, include_matrix: true });
+    expect(records.map(r => r.total_gex)).toEqual([1, 2]);
+    expect(records[1].gex_matrix).toEqual({ x: { 100: 2 } });
+    expect(fs.existsSync(legacy)).toBe(false);
+    expect(fs.existsSync(`${legacy}.migrated`)).toBe(true);
+  });
+
+  test('GEX change is attributed to open interest versus market moves', () => {
+    const before = summarizeDealerPositioning(makeChain(), 100);
+    // Call wall OI doubles at the same spot: the whole change is OI
+    const after = summarizeDealerPositioning(makeChain({ wallCallOI: 10000 }), 100);
+
+    const [top] = attributeGEXChange({ strikes: before.strikes }, { strikes: after.strikes });
+    expect(top.strike).toBe(105);
+    expect(top.call_oi_change).toBe(5000);
+    expect(top.oi_effect).toBe(top.gex_change);
+    expect(Math.abs(top.market_effect)).toBeLessThanOrEqual(1);
+
+    // Same OI at a higher spot: the change is market effect
+    const moved = summarizeDealerPositioning(makeChain(), 102);
+    const [shift] = attributeGEXChange({ strikes: before.strikes }, { strikes: moved.strikes });
+    expect(shift.oi_effect).toBe(0);
+    expect(shift.market_effect).toBe(shift.gex_change);
+  });
+
+  test('Daily report keeps the last record per day with day-over-day changes', () => {
+    recordDealerSnapshot('SPY', { timestamp: '2024-06-03T14:00:00Z', underlying_price: 100, chain_data: makeChain() }, { dir });
+    recordDealerSnapshot('SPY', { timestamp: '2024-06-03T20:00:00Z', underlying_price: 100, chain_data: makeChain({ putOI: 1200 }) }, { dir });
+    recordDealerSnapshot('SPY', {
+      timestamp: '2024-06-04T20:00:00Z', underlying_price: 101,
+      chain_data: { ...makeChain(), '2024-06-28': { calls: [option(110, 0.03, 20000)], puts: [] } }
+    }, { dir });
+
+    const records = getDealerHistory('SPY', { dir });
+    const daily = buildDealerHistoryReport(records);
+    expect(daily.observations).toBe(2);
+    expect(daily.series[0].timestamp).toBe('2024-06-03T20:00:00Z');
+    expect(daily.series[0].changes).toBeUndefined();
+
+    const { changes, oi_attribution: attribution } = daily.series[1];
+    expect(changes.underlying_price).toBe(1);
+    expect(changes.call_wall_moved).toEqual({ from: 105, to: 110 });
+    expect(attribution[0].strike).toBe(110);
+    expect(daily.summary.call_wall_changes).toBe(1);
+
+    expect(buildDealerHistoryReport(records, { granularity: 'all' }).observations).toBe(3);
+    expect(buildDealerHistoryReport(records, { include_matrix: true }).series[0].gex_matrix).toBeNull();
+    expect(() => buildDealerHistoryReport(records, { granularity: 'hourly' })).toThrow('Unknown granularity');
+  });
+});
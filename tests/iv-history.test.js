@@ -0,0 +1,163 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  summarizeExpiration,
+  constantMaturityIV,
+  bracketsConstantMaturity,
+  extractIVSnapshot,
+  recordIVSnapshot,
+  getIVHistory,
+  calculateIVStats,
+  selectBackfillExpiration,
+  buildBackfillObservation
+} from '../src/iv-history.js';
+import { priceOption, yearsToExpiration } from '../src/option-pricing.js';
+
+// Chain in getOptionChainSnapshot shape with a linear put skew
+function makeChain(spot, asOf, expirations) {
+  const data = {};
+  expirations.forEach(({ expiration, atm_iv }) => {
+    const calls = [];
+    const puts = [];
+    for (let strike = spot * 0.8; strike <= spot * 1.2; strike += spot * 0.025) {
+      const iv = atm_iv + (spot - strike) / spot * 0.5;
+      const time = yearsToExpiration(expiration, asOf);
+      const d1 = (Math.log(spot / strike) + 0.5 * iv * iv * time) / (iv * Math.sqrt(time));
+      const callDelta = 0.5 * (1 + Math.tanh(d1 * 0.8));
+      calls.push({ strike, implied_volatility: iv, greeks: { delta: callDelta } });
+      puts.push({ strike, implied_volatility: iv, greeks: { delta: callDelta - 1 } });
+    }
+    data[expiration] = { calls, puts };
+  });
+  return { underlying: { price: spot }, snapshot_time: asOf.toISOString(), data };
+}
+
+describe('IV History', () => {
+  let file;
+  const asOf = new Date('2024-06-03T15:00:00Z');
+
+  beforeEach(() => {
+    file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'iv-history-')), 'iv-history.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  });
+
+  describe('Snapshot extraction', () => {
+    test('ATM IV is read at spot and put skew is positive', () => {
+      const chain = makeChain(100, asOf, [{ expiration: '2024-06-21', atm_iv: 0.2 }]);
+      const point = summarizeExpiration(chain.data['2024-06-21'], 100, '2024-06-21', asOf);
+
+      expect(point.atm_iv).toBeCloseTo(0.2, 3);
+      expect(point.skew_25d).toBeGreaterThan(0);
+      expect(point.put_25d_iv).toBeGreaterThan(point.call_25d_iv);
+    });
+
+    test('Constant maturity interpolates total variance between expirations', () => {
+      const iv = constantMaturityIV([{ dte: 20, atm_iv: 0.2 }, { dte: 40, atm_iv: 0.3 }], 30);
+      const expected = Math.sqrt((0.2 ** 2 * 20 + (0.3 ** 2 * 40 - 0.2 ** 2 * 20) / 2) / 30);
+
+      expect(iv).toBeCloseTo(expected, 4);
+      expect(constantMaturityIV([{ dte: 45, atm_iv: 0.25 }], 30)).toBe(0.25);
+      expect(constantMaturityIV([])).toBeNull();
+    });
+
+    test('extractIVSnapshot builds a dated term structure', () => {
+      const chain = makeChain(100, asOf, [
+        { expiration: '2024-06-21', atm_iv: 0.18 },
+        { expiration: '2024-07-19', atm_iv: 0.22 }
+      ]);
+      const snapshot = extractIVSnapshot(chain);
+
+      expect(snapshot.date).toBe('2024-06-03');
+      expect(snapshot.term_structure).toHaveLength(2);
+      expect(snapshot.atm_iv).toBeGreaterThan(0.18);
+      expect(snapshot.atm_iv).toBeLessThan(0.22);
+      expect(snapshot.skew_expiration).toBe('2024-06-21'); // 18 DTE is nearer 30 than 46
+      expect(bracketsConstantMaturity(snapshot)).toBe(true);
+
+      // A single-expiration pull only holds one side of the 30-day point
+      const single = extractIVSnapshot(makeChain(100, asOf, [{ expiration: '2024-07-19', atm_iv: 0.22 }]));
+      expect(bracketsConstantMaturity(single)).toBe(false);
+    });
+  });
+
+  describe('Store', () => {
+    const snapshotFor = (date, atmIV, expiration = '2024-12-20') => ({
+      date,
+      underlying_price: 100,
+      term_structure: [{ expiration, dte: 30, atm_iv: atmIV, put_25d_iv: atmIV + 0.03, call_25d_iv: atmIV - 0.01, skew_25d: 0.04 }]
+    });
+
+    test('Merges same-day pulls and protects live days from backfill', () => {
+      recordIVSnapshot('spy', snapshotFor('2024-06-03', 0.2, '2024-06-21'), { file });
+      const merged = recordIVSnapshot('SPY', snapshotFor('2024-06-03', 0.22, '2024-07-19'), { file });
+      expect(merged.term_structure).toHaveLength(2);
+
+      expect(recordIVSnapshot('SPY', snapshotFor('2024-06-03', 0.5), { source: 'backfill', file })).toBeNull();
+      const replaced = recordIVSnapshot('SPY', snapshotFor('2024-06-03', 0.5), { source: 'backfill', overwrite: true, file });
+      expect(replaced.source).toBe('backfill');
+      expect(replaced.atm_iv).toBe(0.5);
+
+      expect(getIVHistory('SPY', { file, as_of: asOf })).toHaveLength(1);
+    });
+
+    test('IV rank and percentile come from stored history', () => {
+      for (let day = 1; day <= 25; day++) {
+        const date = `2024-05-${String(day).padStart(2, '0')}`;
+        recordIVSnapshot('QQQ', snapshotFor(date, 0.1 + day * 0.01), { file });
+      }
+
+      const stats = calculateIVStats('QQQ', { current: 0.2, file, as_of: asOf });
+      expect(stats.observations).toBe(25);
+      expect(stats.historical_min).toBe(0.11);
+      expect(stats.historical_max).toBe(0.35);
+      expect(stats.iv_rank).toBeCloseTo(37.5, 1);
+      expect(stats.iv_percentile).toBe(36);
+      expect(stats.sufficient_history).toBe(true);
+
+      const skew = calculateIVStats('QQQ', { metric: 'skew_25d', file, as_of: asOf });
+      expect(skew.current).toBe(0.04);
+      expect(() => calculateIVStats('QQQ', { metric: 'vega', file })).toThrow('Unknown IV metric');
+    });
+
+    test('Thin or missing history is flagged', () => {
+      recordIVSnapshot('IWM', snapshotFor('2024-06-01', 0.25), { file });
+
+      const thin = calculateIVStats('IWM', { current: 0.3, file, as_of: asOf });
+      expect(thin.sufficient_history).toBe(false);
+      expect(thin.warning).toContain('Only 1 days');
+
+      const none = calculateIVStats('DIA', { file, as_of: asOf });
+      expect(none.iv_rank).toBeNull();
+      expect(none.observations).toBe(0);
+    });
+  });
+
+  describe('Backfill', () => {
+    test('Picks the third-Friday monthly nearest the target DTE', () => {
+      expect(selectBackfillExpiration('2024-06-03', 30)).toBe('2024-06-21');
+      expect(selectBackfillExpiration('2024-06-14', 30)).toBe('2024-07-19');
+      expect(selectBackfillExpiration('2024-06-03', 30, 'weekly')).toBe('2024-07-05');
+    });
+
+    test('Recovers implied volatility from ATM closes', () => {
+      const time = yearsToExpiration('2024-07-19', new Date('2024-06-14T20:00:00Z'));
+      const params = { spot: 100, strike: 100, time, volatility: 0.24, rate: 0.045 };
+      const observation = buildBackfillObservation({
+        date: '2024-06-14',
+        underlying_price: 100,
+        expiration: '2024-07-19',
+        strike: 100,
+        call_price: priceOption({ ...params, type: 'call', style: 'american' }),
+        put_price: priceOption({ ...params, type: 'put', style: 'american' })
+      });
+
+      expect(observation.term_structure[0].atm_iv).toBeCloseTo(0.24, 3);
+      expect(observation.term_structure[0].dte).toBe(35);
+      expect(buildBackfillObservation({ date: '2024-06-14', underlying_price: 100, expiration: '2024-07-19', strike: 100 })).toBeNull();
+    });
+  });
+});
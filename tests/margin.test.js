@@ -0,0 +1,165 @@
+import {
+  calculateRegTMargin,
+  calculatePortfolioMargin,
+  calculateMarginRequirement,
+  checkBuyingPower
+} from '../src/margin.js';
+import { calculatePositionSize } from '../src/position-sizing.js';
+
+const EXP = '2030-01-18';
+const leg = (action, type, strike, price, extra = {}) => ({ action, type, strike, expiration: EXP, price, ...extra });
+const structures = result => result.components.map(c => [c.structure, c.contracts, c.requirement, c.buying_power_effect]);
+
+describe('Margin', () => {
+  test('Reg-T naked shorts use 20% (15% for broad-based indexes) less OTM with a 10% floor', () => {
+    const put = calculateRegTMargin({ symbol: 'XYZ', underlying_price: 100, legs: [leg('sell', 'put', 95, 2)] });
+    // 2 + max(20 - 5, 9.5) per share
+    expect(put).toMatchObject({ requirement: 1700, premium: 200, buying_power_effect: 1500, allowed: true });
+
+    // Far OTM call: 10% of the underlying floor
+    const call = calculateRegTMargin({ symbol: 'XYZ', underlying_price: 100, legs: [leg('sell', 'call', 130, 0.1)] });
+    expect(call.requirement).toBe(1010);
+
+    const spx = calculateRegTMargin({ symbol: 'SPXW', underlying_price: 5000, legs: [leg('sell', 'put', 4800, 20)] });
+    expect(spx.requirement).toBe((20 + 0.15 * 5000 - 200) * 100);
+
+    expect(() => calculateRegTMargin({ symbol: 'XYZ', legs: [leg('sell', 'put', 95, 2)] })).toThrow('Underlying price is required');
+  });
+
+  test('Spreads, condors and strangles hold less than their naked legs', () => {
+    const condor = calculateRegTMargin({
+      symbol: 'XYZ',
+      underlying_price: 100,
+      contracts: 2,
+      legs: [leg('sell', 'put', 95, 2), leg('buy', 'put', 90, 1), leg('sell', 'call', 105, 1.5), leg('buy', 'call', 112, 0.5)]
+    });
+    // Only the wider (7-point) side is held; credits are applied
+    expect(structures(condor)).toEqual([['iron_condor', 2, 1400, 1000]]);
+
+    const debit = calculateRegTMargin({ symbol: 'XYZ', legs: [leg('buy', 'call', 100, 4), leg('sell', 'call', 110, 1)] });
+    expect(structures(debit)).toEqual([['debit_spread', 1, 300, 300]]);
+
+    const strangle = calculateRegTMargin({ symbol: 'XYZ', underlying_price: 100, legs: [leg('sell', 'put', 95, 2), leg('sell', 'call', 105, 1.5)] });
+    // Larger naked side (17) plus the call premium
+    expect(structures(strangle)).toEqual([['short_strangle', 1, 1850, 1500]]);
+
+    // A long call expiring before the short one does not cover it
+    const early = calculateRegTMargin({
+      symbol: 'XYZ',
+      underlying_price: 100,
+      legs: [leg('sell', 'call', 105, 1.5), leg('buy', 'call', 110, 0.5, { expiration: '2029-12-21' })]
+    });
+    expect(early.components.map(c => c.structure)).toEqual(['naked_call', 'long_call']);
+  });
+
+  test('Butterflies hold the net debit plus any extra wing width', () => {
+    const butterfly = calculateRegTMargin({
+      symbol: 'XYZ',
+      underlying_price: 100,
+      legs: [leg('buy', 'call', 95, 7), leg('sell', 'call', 100, 4, { quantity: 2 }), leg('buy', 'call', 105, 2)]
+    });
+    // 7 - 2 * 4 + 2 = $1 debit per share
+    expect(butterfly).toMatchObject({ requirement: 100, premium: -100, buying_power_effect: 100 });
+    expect(structures(butterfly)).toEqual([['call_butterfly', 1, 100, 100]]);
+
+    const puts = calculateRegTMargin({
+      symbol: 'XYZ',
+      underlying_price: 100,
+      contracts: 3,
+      legs: [leg('buy', 'put', 105, 7), leg('sell', 'put', 100, 4, { quantity: 2 }), leg('buy', 'put', 95, 2)]
+    });
+    expect(structures(puts)).toEqual([['put_butterfly', 3, 300, 300]]);
+
+    // Broken wing: the extra 5 points of the upper wing are held, the credit applied
+    const broken = calculateRegTMargin({
+      symbol: 'XYZ',
+      underlying_price: 100,
+      legs: [leg('buy', 'call', 95, 7), leg('sell', 'call', 100, 4, { quantity: 2 }), leg('buy', 'call', 110, 0.5)]
+    });
+    expect(structures(broken)).toEqual([['call_butterfly', 1, 500, 450]]);
+  });
+
+  test('Cash and IRA accounts secure puts in cash and reject naked calls', () => {
+    const covered = calculateRegTMargin(
+      { symbol: 'XYZ', underlying_price: 100, legs: [{ action: 'buy', type: 'stock' }, leg('sell', 'call', 105, 1.5)] },
+      { account_type: 'ira' }
+    );
+    expect(structures(covered)).toEqual([['long_stock', null, 10000, 10000], ['covered_call', 1, 0, -150]]);
+    expect(covered.allowed).toBe(true);
+
+    const naked = calculateRegTMargin(
+      { symbol: 'XYZ', underlying_price: 100, legs: [leg('sell', 'call', 105, 1.5), leg('sell', 'put', 95, 2)] },
+      { account_type: 'cash' }
+    );
+    expect(naked.components.find(c => c.structure === 'cash_secured_put')).toMatchObject({ requirement: 9500, buying_power_effect: 9300 });
+    expect(naked.allowed).toBe(false);
+    expect(naked.violations[0]).toContain('naked short call');
+
+    // Margin accounts finance half the stock and long-dated options at 75%
+    const margin = calculateRegTMargin(
+      { symbol: 'XYZ', underlying_price: 100, legs: [{ action: 'buy', type: 'stock' }, leg('buy', 'put', 90, 4)] },
+      { as_of: new Date('2028-01-01') }
+    );
+    expect(structures(margin)).toEqual([['long_stock', null, 5000, 5000], ['long_put', 1, 300, 300]]);
+
+    expect(() => calculateMarginRequirement([], { method: 'portfolio', account_type: 'ira' })).toThrow('not available in a ira account');
+  });
+
+  test('Portfolio margin is the worst scan or stress loss with a per-contract minimum', () => {
+    // One month before expiration
+    const as_of = new Date('2029-12-18T20:00:00Z');
+    const nakedPut = { symbol: 'XYZ', underlying_price: 100, legs: [leg('sell', 'put', 95, 2, { iv: 0.3 })] };
+    const pm = calculatePortfolioMargin([nakedPut], { as_of });
+    const [xyz] = pm.underlyings;
+    expect(xyz.scan).toHaveLength(11);
+    expect(xyz.scan[0].price_move_pct).toBe(-15);
+    expect(xyz.requirement).toBe(-Math.min(...xyz.scan.map(p => p.pnl), ...xyz.stress.map(p => p.pnl)));
+    expect(pm.requirement).toBeLessThan(calculateRegTMargin(nakedPut, { as_of }).requirement);
+
+    // Stock hedged by a long put loses little; the minimum applies
+    const hedged = calculatePortfolioMargin([{
+      symbol: 'XYZ',
+      underlying_price: 100,
+      shares: { quantity: 100 },
+      legs: [leg('buy', 'put', 100, 5, { iv: 0.3 })]
+    }], { scenarios: [], as_of });
+    expect(hedged.underlyings[0].requirement).toBeLessThan(1500);
+  });
+
+  test('Trades are checked against buying power left after existing positions', () => {
+    const existing = [{ symbol: 'XYZ', underlying_price: 100, legs: [leg('sell', 'put', 95, 2)] }];
+    const trade = { symbol: 'XYZ', underlying_price: 100, contracts: 3, legs: [leg('sell', 'put', 90, 1)] };
+    // 1 + max(20 - 10, 9) = 11 per share, 10 after the credit
+    const check = checkBuyingPower(trade, { buying_power: 5000, positions: existing });
+    expect(check).toMatchObject({ used_by_existing: 1500, available: 3500, trade_effect: 3000, allowed: true, max_contracts: 3 });
+
+    const tight = checkBuyingPower({ ...trade, contracts: 4 }, { buying_power: 5000, positions: existing });
+    expect(tight.allowed).toBe(false);
+    expect(tight.reason).toContain('only $3500');
+
+    expect(checkBuyingPower({ symbol: 'XYZ', underlying_price: 100, legs: [leg('sell', 'call', 105, 1)] }, { buying_power: 1e6, account_type: 'ira' }).allowed).toBe(false);
+  });
+
+  test('Position sizing is limited by the buying power each contract uses', () => {
+    const shortPut = {
+      underlying_price: 100,
+      expiration: EXP,
+      legs: [{ action: 'sell', type: 'put', strike: 95, price: 2 }],
+      max_loss: 93,
+      max_profit: 2,
+      risk_reward_ratio: 3,
+      probability_profit: 0.8,
+      net_credit: 2
+    };
+    const sized = calculatePositionSize(shortPut, 1000000, { max_risk_pct: 0.10, buying_power: 4000 }, false);
+    expect(sized).toMatchObject({ recommended_contracts: 2, margin_per_contract: 1500, total_margin: 3000 });
+    expect(sized.limits_applied).toMatchObject({ margin_based: 2, limiting_factor: 'buying_power' });
+
+    const rejected = calculatePositionSize(shortPut, 100000, { buying_power: 1000 }, false);
+    expect(rejected).toMatchObject({ recommended_contracts: 0, rejected: true });
+    expect(rejected.reason).toContain('Buying power');
+
+    // Without buying_power sizing is unchanged
+    expect(calculatePositionSize(shortPut, 100000, { max_risk_pct: 0.10 }, false).margin_per_contract).toBeUndefined();
+  });
+});
@@ -0,0 +1,152 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { MarketDataCache, buildCacheKey } from '../src/market-data-cache.js';
+
+describe('Market Data Cache', () => {
+  let directory;
+  let clock;
+  let calls;
+
+  const makeCache = (options = {}) => new MarketDataCache({ directory, now: () => clock, ...options });
+
+  // Fake transport that counts requests and stamps each response
+  const fetcher = (data = {}) => () => {
+    calls++;
+    return Promise.resolve({ status: 200, statusText: 'OK', headers: {}, data: { ...data, call: calls } });
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'market-cache-'));
+    clock = Date.UTC(2024, 5, 3, 15, 0, 0);
+    calls = 0;
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('Keys ignore the API key and param order', () => {
+    const a = buildCacheKey({ baseURL: 'https://api.massive.com/v3', url: '/snapshot/options/SPY', params: { apiKey: 'secret', limit: 250, expiration_date: '2024-06-21' } });
+    const b = buildCacheKey({ baseURL: 'https://api.massive.com/v3/', url: '/snapshot/options/SPY', params: { expiration_date: '2024-06-21', limit: '250', apiKey: 'other' } });
+
+    expect(a.key).toBe(b.key);
+    expect(a.key).not.toContain('secret');
+    expect(a.key).toBe('https://api.massive.com/v3/snapshot/options/SPY?expiration_date=2024-06-21&limit=250');
+  });
+
+  test('Per-endpoint TTLs, with finished historical ranges kept long', () => {
+    const cache = makeCache();
+
+    expect(cache.resolveRule('/v3/snapshot/options/SPY').endpoint).toBe('options_snapshot');
+    expect(cache.resolveRule('/v3/snapshot').endpoint).toBe('stock_snapshot');
+    expect(cache.resolveRule('/v2/aggs/ticker/SPY/prev').endpoint).toBe('previous_close');
+    expect(cache.resolveRule('/v2/aggs/ticker/SPY/range/1/day/2024-01-01/2024-03-01').ttl_ms).toBe(30 * 24 * 60 * 60 * 1000);
+    expect(cache.resolveRule('/v2/aggs/ticker/SPY/range/1/day/2024-05-01/2024-06-03').ttl_ms).toBe(5 * 60 * 1000);
+    expect(cache.resolveRule('/v1/marketstatus/now').endpoint).toBe('other');
+  });
+
+  test('Serves fresh hits from memory and disk without refetching', async () => {
+    const config = { baseURL: 'https://api.massive.com/v3', url: '/snapshot/options/SPY', params: { apiKey: 'k' } };
+    const first = await makeCache().fetch(config, fetcher());
+
+    // A new instance shares the disk tier, then keeps the entry in memory
+    const cache = makeCache();
+    const diskHit = await cache.fetch(config, fetcher());
+    const memoryHit = await cache.fetch(config, fetcher());
+
+    expect(calls).toBe(1);
+    expect(first.data.call).toBe(1);
+    expect(diskHit.cached.tier).toBe('disk');
+    expect(diskHit.data.call).toBe(1);
+    expect(memoryHit.cached.tier).toBe('memory');
+    expect(cache.getStats()).toMatchObject({ disk_hits: 1, memory_hits: 1, misses: 0, disk_entries: 1 });
+
+    const recorded = fs.readFileSync(path.join(directory, fs.readdirSync(directory)[0]), 'utf8');
+    expect(recorded).not.toContain('apiKey');
+  });
+
+  test('Serves stale entries while revalidating in the background', async () => {
+    const cache = makeCache();
+    const config = { url: 'https://api.massive.com/v3/snapshot/options/SPY' };
+    await cache.fetch(config, fetcher());
+
+    clock += 2 * 60 * 1000; // past the 1 minute TTL, inside the stale window
+    const [stale, sharedRefresh] = await Promise.all([
+      cache.fetch(config, fetcher()),
+      cache.fetch(config, fetcher())
+    ]);
+    expect(stale.cached.stale).toBe(true);
+    expect(stale.data.call).toBe(1);
+    expect(sharedRefresh.cached.stale).toBe(true);
+
+    await cache.settle();
+    const refreshed = await cache.fetch(config, fetcher());
+    expect(calls).toBe(2);
+    expect(refreshed.data.call).toBe(2);
+    expect(refreshed.cached.stale).toBe(false);
+
+    clock += 60 * 60 * 1000; // beyond the stale window: fetch synchronously
+    const expired = await cache.fetch(config, fetcher());
+    expect(expired.data.call).toBe(3);
+    expect(cache.getStats()).toMatchObject({ stale_served: 2, revalidations: 1, misses: 2 });
+  });
+
+  test('Offline mode replays recordings and fails on anything unrecorded', async () => {
+    const config = { url: 'https://api.massive.com/v2/aggs/ticker/SPY/prev' };
+    await makeCache().fetch(config, fetcher({ close: 500 }));
+
+    const offline = makeCache({ offline: true });
+    clock += 365 * 24 * 60 * 60 * 1000;
+    const replayed = await offline.fetch(config, fetcher());
+
+    expect(replayed.data.close).toBe(500);
+    expect(replayed.cached.offline).toBe(true);
+    await expect(offline.fetch({ url: 'https://api.massive.com/v2/aggs/ticker/QQQ/prev' }, fetcher()))
+      .rejects.toThrow('Offline mode: no recorded response');
+    expect(calls).toBe(1);
+  });
+
+  test('Falls back to an expired recording when the network fails', async () => {
+    const cache = makeCache();
+    const config = { url: 'https://api.massive.com/v3/reference/tickers', params: { search: 'apple' } };
+    await cache.fetch(config, fetcher());
+
+    clock += 30 * 24 * 60 * 60 * 1000;
+    const result = await cache.fetch(config, () => Promise.reject(new Error('ECONNRESET')));
+    expect(result.cached.error).toBe('ECONNRESET');
+
+    const apiError = Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+    await expect(cache.fetch(config, () => Promise.reject(apiError))).rejects.toThrow('404');
+  });
+
+  test('Plugs into axios instances and clears expired entries', async () => {
+    const cache = makeCache();
+    let requests = 0;
+    const transport = async (config) => {
+      requests++;
+      return {
+        data: JSON.stringify({ results: [{ ticker: 'SPY' }] }),
+        status: 200,
+        statusText: 'OK',
+        headers: { 'content-type': 'application/json' },
+        config
+      };
+    };
+    const instance = cache.attach(axios.create({ baseURL: 'https://api.massive.com/v3', params: { apiKey: 'k' }, adapter: transport }));
+
+    const first = await instance.get('/reference/tickers', { params: { search: 'spy' } });
+    const second = await instance.get('/reference/tickers', { params: { search: 'spy' } });
+    expect(requests).toBe(1);
+    expect(second.data).toEqual(first.data);
+    expect(second.data.results[0].ticker).toBe('SPY');
+
+    await instance.get('/reference/tickers', { params: { search: 'spy' }, cache: false });
+    expect(requests).toBe(2);
+
+    clock += 10 * 24 * 60 * 60 * 1000;
+    expect(cache.clear('expired')).toEqual({ memory: 1, disk: 1 });
+    expect(() => cache.clear('everything')).toThrow('Unknown cache scope');
+  });
+});
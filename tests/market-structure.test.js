@@ -3,7 +3,10 @@ import {
   analyzeOptionFlow,
   analyzeGammaExposure,
   calculateMaxPain,
-  analyzeOIDistribution
+  analyzeOIDistribution,
+  analyzeExpirationOI,
+  scorePinRisk,
+  analyzeMaxPainByExpiration
 } from '../src/market-structure.js';
 
 describe('Market Structure Analysis', () => {
@@ -253,4 +256,79 @@ describe('Market Structure Analysis', () => {
       expect(analysis.interpretation).toBeDefined();
     });
   });
+
+  describe('Max Pain by Expiration and Pin Risk', () => {
+    const AS_OF = new Date('2024-06-03T15:00:00Z');
+    const option = (strike, oi, gamma = 0.02, iv = 0.2) => ({
+      strike, implied_volatility: iv, greeks: { gamma }, price: { open_interest: oi }
+    });
+    
+    // Weekly pinned at 100, LEAPS with heavy OI far from spot
+    const chainData = {
+      '2024-06-07': {
+        calls: [option(95, 500), option(100, 8000, 0.12), option(105, 500)],
+        puts: [option(95, 500), option(100, 8000, 0.12), option(105, 500)]
+      },
+      '2025-12-19': {
+        calls: [option(150, 50000, 0.004)],
+        puts: [option(140, 50000, 0.004)]
+      },
+      '2024-05-31': {
+        calls: [option(100, 1000)],
+        puts: []
+      }
+    };
+    
+    test('Max pain is computed per expiration instead of pooled', () => {
+      const pooled = calculateMaxPain(chainData, 100);
+      const result = analyzeMaxPainByExpiration(chainData, 100, { asOf: AS_OF });
+      
+      // Settled expirations are dropped
+      expect(result.expirations.map(e => e.expiration)).toEqual(['2024-06-07', '2025-12-19']);
+      expect(result.expirations[0].maxPainStrike).toBe(100);
+      expect(result.expirations[1].maxPainStrike).toBe(140);
+      expect(pooled.maxPainStrike).not.toBe(100);
+    });
+    
+    test('Expiration analysis reports pain curve and OI concentration near spot', () => {
+      const analysis = analyzeExpirationOI(chainData['2024-06-07'], 100, { expiration: '2024-06-07', asOf: AS_OF });
+      
+      expect(analysis.dte).toBeCloseTo(4.21, 1);
+      expect(analysis.totalOI).toBe(18000);
+      expect(analysis.putCallOIRatio).toBe(1);
+      expect(analysis.oiConcentration.nearSpotOI).toBe(16000);
+      expect(analysis.oiConcentration.topStrikes[0]).toMatchObject({ strike: 100, totalOI: 16000 });
+      expect(analysis.painCurve.map(p => p.strike)).toEqual([95, 100, 105]);
+      expect(analysis.painCurve[1].pain).toBe(analysis.totalPainAtMax);
+      expect(analysis.painCurve[0].pain).toBeGreaterThan(analysis.painCurve[1].pain);
+      expect(analysis.expectedMove).toBeCloseTo(100 * 0.2 * Math.sqrt(analysis.dte / 365), 1);
+      
+      expect(analyzeExpirationOI({ calls: [option(100, 0)], puts: [] }, 100).maxPainStrike).toBeNull();
+    });
+    
+    test('Pin risk is high for a near expiry at max pain and low for distant OI', () => {
+      const result = analyzeMaxPainByExpiration(chainData, 100, { asOf: AS_OF });
+      const [weekly, leaps] = result.pinRisk;
+      
+      expect(weekly.level).toBe('HIGH');
+      expect(weekly.components.distance).toBe(1);
+      expect(weekly.components.gamma).toBeGreaterThan(0.8);
+      expect(leaps.level).toBe('LOW');
+      expect(result.highestPinRisk.expiration).toBe('2024-06-07');
+      
+      // Pain curves are kept only for the scored expirations
+      const compact = analyzeMaxPainByExpiration(chainData, 100, { asOf: AS_OF, pinExpirations: 1 });
+      expect(compact.pinRisk).toHaveLength(1);
+      expect(compact.expirations[1].painCurve).toBeUndefined();
+    });
+    
+    test('Pin distance falls back to percent moves without IV', () => {
+      const analysis = { expiration: '2024-06-07', dte: 1, maxPainStrike: 102, expectedMove: null, pinGammaShare: null };
+      const risk = scorePinRisk(analysis, 100);
+      
+      expect(risk.expectedMoveUnits).toBe(1);
+      expect(risk.components.gamma).toBe(0);
+      expect(scorePinRisk({ ...analysis, maxPainStrike: null }, 100)).toBeNull();
+    });
+  });
 });
\ No newline at end of file
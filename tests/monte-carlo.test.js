@@ -0,0 +1,188 @@
+import {
+  createRandom,
+  simulatePricePaths,
+  buildHistogram,
+  summarizeDistribution,
+  findHorizonBreakevens,
+  runPortfolioMonteCarlo
+} from '../src/monte-carlo.js';
+import { runMonteCarloSimulation } from '../src/stress-testing.js';
+import { prepareLegsForRevaluation } from '../src/portfolio-greeks.js';
+
+describe('Monte Carlo Engine', () => {
+  describe('Seeded random generator', () => {
+    test('Same seed reproduces the same sequence', () => {
+      const a = createRandom(7);
+      const b = createRandom(7);
+      const c = createRandom(8);
+      const seqA = [a.uniform(), a.normal(), a.poisson(2)];
+      const seqB = [b.uniform(), b.normal(), b.poisson(2)];
+
+      expect(seqA).toEqual(seqB);
+      expect(c.uniform()).not.toBe(seqA[0]);
+    });
+
+    test('Normal draws have zero mean and unit variance', () => {
+      const rng = createRandom(123);
+      const draws = Array.from({ length: 20000 }, () => rng.normal());
+      const mean = draws.reduce((s, v) => s + v, 0) / draws.length;
+      const variance = draws.reduce((s, v) => s + (v - mean) ** 2, 0) / draws.length;
+
+      expect(mean).toBeCloseTo(0, 1);
+      expect(variance).toBeCloseTo(1, 1);
+    });
+  });
+
+  describe('Price paths', () => {
+    test('GBM terminal prices are lognormal around the drift-free forward', () => {
+      const { prices } = simulatePricePaths({ spot: 100, volatility: 0.2, days: 365, num_paths: 2000, seed: 1 });
+      const terminal = prices.map(p => p[365]);
+      const mean = terminal.reduce((s, v) => s + v, 0) / terminal.length;
+      const logStd = Math.sqrt(terminal.reduce((s, v) => s + Math.log(v / 100) ** 2, 0) / terminal.length);
+
+      expect(prices[0][0]).toBe(100);
+      expect(mean).toBeGreaterThan(98);
+      expect(mean).toBeLessThan(102);
+      expect(logStd).toBeCloseTo(0.2, 1);
+    });
+
+    test('Jump and Heston models produce fatter left tails than GBM', () => {
+      const terminalLoss = (model) => {
+        const { prices } = simulatePricePaths({
+          spot: 100, volatility: 0.2, days: 30, num_paths: 3000, model, seed: 5,
+          jump: { intensity: 10, mean: -0.08, volatility: 0.05 }
+        });
+        const sorted = prices.map(p => p[30]).sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length * 0.01)];
+      };
+
+      expect(terminalLoss('jump')).toBeLessThan(terminalLoss('gbm'));
+      expect(Number.isFinite(terminalLoss('heston'))).toBe(true);
+    });
+
+    test('Rejects unknown models and missing inputs', () => {
+      expect(() => simulatePricePaths({ spot: 100, volatility: 0.2, model: 'garch' })).toThrow('Unknown simulation model');
+      expect(() => simulatePricePaths({ volatility: 0.2 })).toThrow('positive spot');
+    });
+  });
+
+  describe('Distribution statistics', () => {
+    test('VaR and CVaR come from the left tail', () => {
+      const outcomes = Array.from({ length: 100 }, (_, i) => i - 50);
+      const summary = summarizeDistribution(outcomes, 10);
+
+      expect(summary.risk_metrics.var_95).toBeCloseTo(-45.05, 1);
+      expect(summary.risk_metrics.cvar_95).toBe(-48);
+      expect(summary.risk_metrics.cvar_95).toBeLessThanOrEqual(summary.risk_metrics.var_95);
+      expect(summary.histogram).toHaveLength(10);
+    });
+
+    test('Histogram buckets cover every outcome', () => {
+      const buckets = buildHistogram([1, 2, 2, 3, 10], 3);
+      expect(buckets.reduce((s, b) => s + b.count, 0)).toBe(5);
+      expect(buckets[0].from).toBe(1);
+      expect(buckets[2].to).toBe(10);
+    });
+  });
+
+  describe('Portfolio simulation', () => {
+    const asOf = new Date('2025-01-02T20:00:00Z');
+    const ironCondor = {
+      symbol: 'SPY',
+      contracts: 1,
+      legs: [
+        { action: 'buy', type: 'put', strike: 85, expiration: '2025-02-21', iv: 0.22 },
+        { action: 'sell', type: 'put', strike: 90, expiration: '2025-02-21', iv: 0.22 },
+        { action: 'sell', type: 'call', strike: 110, expiration: '2025-02-21', iv: 0.22 },
+        { action: 'buy', type: 'call', strike: 115, expiration: '2025-02-21', iv: 0.22 }
+      ]
+    };
+    const config = { underlying_price: 100, as_of: asOf, num_simulations: 300, days_forward: 20 };
+
+    test('Finds both breakevens of an iron condor', () => {
+      const { legs } = prepareLegsForRevaluation([ironCondor], config);
+      const breakevens = findHorizonBreakevens(legs, 100, { as_of: asOf, days_forward: 20 });
+
+      expect(breakevens).toHaveLength(2);
+      expect(breakevens[0]).toBeLessThan(100);
+      expect(breakevens[1]).toBeGreaterThan(100);
+    });
+
+    test('Is reproducible for a seed and reports tail and touch metrics', () => {
+      const first = runPortfolioMonteCarlo([ironCondor], config);
+      const second = runPortfolioMonteCarlo([ironCondor], config);
+
+      expect(first.risk_metrics).toEqual(second.risk_metrics);
+      expect(first.simulations_run).toBe(300);
+      expect(first.risk_metrics.cvar_95).toBeLessThanOrEqual(first.risk_metrics.var_95);
+      expect(first.statistics.worst_case).toBeGreaterThanOrEqual(-500);
+      expect(first.breakeven_touches).toHaveLength(2);
+      first.breakeven_touches.forEach(t => {
+        expect(t.probability_of_touch).toBeGreaterThanOrEqual(0);
+        expect(t.probability_of_touch).toBeLessThanOrEqual(1);
+      });
+      expect(first.path_risk.mean_max_drawdown).toBeLessThanOrEqual(first.path_risk.mean_worst_interim_pnl);
+      expect(first.path_risk.mean_worst_interim_pnl).toBeLessThanOrEqual(0);
+    });
+
+    test('Measures path risk on the whole portfolio', () => {
+      // Near-still paths: the long call bleeds theta that the short call on another underlying collects
+      const call = (symbol, action) => ({
+        symbol,
+        legs: [{ action, type: 'call', strike: 100, expiration: '2025-02-21', iv: 0.22 }]
+      });
+      const still = { ...config, volatility: 1e-6 };
+      const longOnly = runPortfolioMonteCarlo([call('AAA', 'buy')], still);
+      const offset = runPortfolioMonteCarlo([call('AAA', 'buy'), call('BBB', 'sell')], still);
+
+      expect(longOnly.path_risk.mean_worst_interim_pnl).toBeLessThan(-50);
+      expect(offset.path_risk.mean_worst_interim_pnl).toBeGreaterThan(-1);
+      expect(offset.path_risk.mean_max_drawdown).toBeGreaterThan(-1);
+    });
+
+    test('Different seeds give different paths', () => {
+      const a = runPortfolioMonteCarlo([ironCondor], { ...config, seed: 1 });
+      const b = runPortfolioMonteCarlo([ironCondor], { ...config, seed: 2 });
+      expect(a.statistics.mean_pnl).not.toBe(b.statistics.mean_pnl);
+    });
+
+    test('Stays within the repricing budget', () => {
+      const daily = runPortfolioMonteCarlo([ironCondor], config);
+      expect(daily.repricing_days).toBe(20);
+      expect(daily.path_risk.note).toBeUndefined();
+
+      // A year allows 5479 paths; 5479 paths x 4 legs leave 22 repricing days
+      const long = runPortfolioMonteCarlo([ironCondor], { ...config, num_simulations: 20000, days_forward: 365 });
+      expect(long).toMatchObject({ simulations_run: 5479, time_horizon_days: 365, repricing_days: 22 });
+      expect(long.path_risk.note).toContain('22 of 365 days');
+
+      const huge = { symbol: 'SPY', legs: Array.from({ length: 30 }, () => ironCondor.legs[1]) };
+      expect(() => runPortfolioMonteCarlo([huge], { ...config, num_simulations: 20000 })).toThrow('Simulation too large');
+    });
+  });
+
+  describe('Greek-based simulation', () => {
+    test('Requires an underlying price and is reproducible', () => {
+      const greeks = { net_delta: 50, net_gamma: -2, net_theta: 10, net_vega: -30 };
+
+      expect(() => runMonteCarloSimulation(greeks, {})).toThrow('underlying_price');
+
+      const a = runMonteCarloSimulation(greeks, { underlying_price: 450, num_simulations: 500 });
+      const b = runMonteCarloSimulation(greeks, { underlying_price: 450, num_simulations: 500 });
+      expect(a.statistics).toEqual(b.statistics);
+      expect(a.risk_metrics.cvar_99).toBeLessThanOrEqual(a.risk_metrics.var_99);
+    });
+
+    test('Applies the jump and Heston settings', () => {
+      const greeks = { net_delta: 50, net_gamma: -2, net_theta: 10, net_vega: -30 };
+      const base = { underlying_price: 450, num_simulations: 500, model: 'jump' };
+      const mild = runMonteCarloSimulation(greeks, base);
+      const crashes = runMonteCarloSimulation(greeks, { ...base, jump_intensity: 20, jump_mean: -0.1 });
+      expect(crashes.risk_metrics.var_99).toBeLessThan(mild.risk_metrics.var_99);
+
+      const heston = { ...base, model: 'heston' };
+      expect(runMonteCarloSimulation(greeks, { ...heston, vol_of_vol: 1.5 }).statistics)
+        .not.toEqual(runMonteCarloSimulation(greeks, heston).statistics);
+    });
+  });
+});
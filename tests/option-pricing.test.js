@@ -0,0 +1,187 @@
+import {
+  normalCDF,
+  yearsToExpiration,
+  inferExerciseStyle,
+  blackScholesPrice,
+  bjerksundStenslandPrice,
+  priceOption,
+  calculateGreeks,
+  solveImpliedVolatility,
+  fillMissingGreeks
+} from '../src/option-pricing.js';
+
+describe('Option Pricing Engine', () => {
+  const base = { spot: 100, strike: 100, time: 1, volatility: 0.2, rate: 0.05, dividendYield: 0 };
+
+  describe('Black-Scholes-Merton', () => {
+    test('Matches textbook ATM call and put values', () => {
+      expect(blackScholesPrice({ ...base, type: 'call' })).toBeCloseTo(10.4506, 3);
+      expect(blackScholesPrice({ ...base, type: 'put' })).toBeCloseTo(5.5735, 3);
+    });
+
+    test('Satisfies put-call parity with a dividend yield', () => {
+      const params = { ...base, strike: 95, dividendYield: 0.02 };
+      const call = blackScholesPrice({ ...params, type: 'call' });
+      const put = blackScholesPrice({ ...params, type: 'put' });
+      const parity = 100 * Math.exp(-0.02) - 95 * Math.exp(-0.05);
+      expect(call - put).toBeCloseTo(parity, 4);
+    });
+
+    test('Returns intrinsic value at expiration', () => {
+      expect(blackScholesPrice({ ...base, type: 'call', spot: 110, time: 0 })).toBe(10);
+      expect(blackScholesPrice({ ...base, type: 'put', spot: 110, time: 0 })).toBe(0);
+    });
+
+    test('Rejects invalid inputs', () => {
+      expect(() => blackScholesPrice({ ...base, type: 'straddle' })).toThrow('Invalid option type');
+      expect(() => blackScholesPrice({ ...base, type: 'call', spot: -1 })).toThrow();
+    });
+  });
+
+  describe('Bjerksund-Stensland American pricing', () => {
+    test('Matches the published reference value for an American call', () => {
+      // Haug, The Complete Guide to Option Pricing Formulas: S=42, K=40, T=0.75, r=4%, b=-4%, vol=35%
+      const price = bjerksundStenslandPrice({
+        type: 'call', spot: 42, strike: 40, time: 0.75, rate: 0.04, dividendYield: 0.08, volatility: 0.35
+      });
+      expect(price).toBeCloseTo(5.2704, 3);
+    });
+
+    test('American call without dividends equals the European value', () => {
+      const american = bjerksundStenslandPrice({ ...base, type: 'call' });
+      const european = blackScholesPrice({ ...base, type: 'call' });
+      expect(american).toBeCloseTo(european, 8);
+    });
+
+    test('American put carries an early-exercise premium', () => {
+      const params = { ...base, type: 'put', strike: 110 };
+      expect(bjerksundStenslandPrice(params)).toBeGreaterThan(blackScholesPrice(params));
+    });
+
+    test('Deep ITM American put is worth intrinsic value', () => {
+      const price = bjerksundStenslandPrice({ ...base, type: 'put', spot: 50, rate: 0.1 });
+      expect(price).toBeCloseTo(50, 6);
+    });
+
+    test('priceOption dispatches on exercise style', () => {
+      const params = { ...base, type: 'put', strike: 110 };
+      expect(priceOption({ ...params, style: 'european' })).toBe(blackScholesPrice(params));
+      expect(priceOption(params)).toBe(bjerksundStenslandPrice(params));
+    });
+  });
+
+  describe('Greeks', () => {
+    test('European Greeks match finite differences of the price', () => {
+      const params = { ...base, type: 'call', strike: 105, dividendYield: 0.01, style: 'european' };
+      const greeks = calculateGreeks(params);
+      const h = 0.01;
+      const up = blackScholesPrice({ ...params, spot: 100 + h });
+      const down = blackScholesPrice({ ...params, spot: 100 - h });
+      const mid = blackScholesPrice(params);
+
+      expect(greeks.delta).toBeCloseTo((up - down) / (2 * h), 4);
+      expect(greeks.gamma).toBeCloseTo((up - 2 * mid + down) / (h * h), 3);
+
+      const volUp = blackScholesPrice({ ...params, volatility: 0.21 });
+      const volDown = blackScholesPrice({ ...params, volatility: 0.19 });
+      expect(greeks.vega).toBeCloseTo((volUp - volDown) / 2, 3);
+
+      const dayLater = blackScholesPrice({ ...params, time: 1 - 1 / 365 });
+      expect(greeks.theta).toBeCloseTo(dayLater - mid, 3);
+    });
+
+    test('Second-order Greeks are consistent with bumped first-order Greeks', () => {
+      const params = { ...base, type: 'put', strike: 95, style: 'european' };
+      const greeks = calculateGreeks(params);
+
+      const deltaVolUp = calculateGreeks({ ...params, volatility: 0.2001 }).delta;
+      const deltaVolDown = calculateGreeks({ ...params, volatility: 0.1999 }).delta;
+      expect(greeks.vanna).toBeCloseTo((deltaVolUp - deltaVolDown) / 0.0002 / 100, 4);
+
+      const deltaTomorrow = calculateGreeks({ ...params, time: 1 - 1 / 365 }).delta;
+      expect(greeks.charm).toBeCloseTo(deltaTomorrow - greeks.delta, 4);
+
+      const gammaUp = calculateGreeks({ ...params, spot: 100.01 }).gamma;
+      const gammaDown = calculateGreeks({ ...params, spot: 99.99 }).gamma;
+      expect(greeks.speed).toBeCloseTo((gammaUp - gammaDown) / 0.02, 4);
+
+      expect(Number.isFinite(greeks.vomma)).toBe(true);
+    });
+
+    test('American Greeks are close to European Greeks when early exercise is worthless', () => {
+      const european = calculateGreeks({ ...base, type: 'call', style: 'european' });
+      const american = calculateGreeks({ ...base, type: 'call', style: 'american' });
+
+      expect(american.delta).toBeCloseTo(european.delta, 3);
+      expect(american.gamma).toBeCloseTo(european.gamma, 3);
+      expect(american.vega).toBeCloseTo(european.vega, 3);
+      expect(american.theta).toBeCloseTo(european.theta, 2);
+    });
+
+    test('Expired options have step-function delta and no other Greeks', () => {
+      const greeks = calculateGreeks({ ...base, type: 'put', spot: 90, time: 0 });
+      expect(greeks.delta).toBe(-1);
+      expect(greeks.gamma).toBe(0);
+      expect(greeks.price).toBe(10);
+    });
+  });
+
+  describe('Implied volatility solver', () => {
+    test('Recovers the volatility used to price European and American options', () => {
+      for (const style of ['european', 'american']) {
+        for (const type of ['call', 'put']) {
+          const params = { ...base, type, strike: 90, style, volatility: 0.35 };
+          const price = priceOption(params);
+          expect(solveImpliedVolatility({ ...params, price })).toBeCloseTo(0.35, 4);
+        }
+      }
+    });
+
+    test('Returns null for prices outside no-arbitrage bounds', () => {
+      expect(solveImpliedVolatility({ ...base, type: 'call', price: 150 })).toBeNull();
+      expect(solveImpliedVolatility({ ...base, type: 'call', strike: 50, price: 1 })).toBeNull();
+      expect(solveImpliedVolatility({ ...base, type: 'call', price: 0 })).toBeNull();
+    });
+  });
+
+  describe('Helpers', () => {
+    test('normalCDF is symmetric', () => {
+      expect(normalCDF(0)).toBeCloseTo(0.5, 7);
+      expect(normalCDF(1.96)).toBeCloseTo(0.975, 3);
+      expect(normalCDF(-1.5) + normalCDF(1.5)).toBeCloseTo(1, 7);
+    });
+
+    test('yearsToExpiration measures to the 4 PM ET close and never goes negative', () => {
+      const asOf = new Date('2025-01-17T20:00:00Z');
+      expect(yearsToExpiration('2025-01-17', asOf)).toBe(0);
+      expect(yearsToExpiration('2025-01-16', asOf)).toBe(0);
+      expect(yearsToExpiration('2026-01-17', asOf)).toBeCloseTo(1, 6);
+    });
+
+    test('inferExerciseStyle recognizes cash-settled index roots', () => {
+      expect(inferExerciseStyle('SPXW')).toBe('european');
+      expect(inferExerciseStyle('I:SPX')).toBe('european');
+      expect(inferExerciseStyle('SPY')).toBe('american');
+      expect(inferExerciseStyle('O:AAPL250117C00150000')).toBe('american');
+    });
+
+    test('fillMissingGreeks solves IV from the mid and computes Greeks', () => {
+      const asOf = new Date('2025-01-17T20:00:00Z');
+      const mid = priceOption({ ...base, type: 'call', volatility: 0.3 });
+      const contract = { type: 'call', strike: 100, expiration: '2026-01-17', price: { last: 9 }, greeks: {} };
+
+      const filled = fillMissingGreeks(contract, 100, { mid, asOf, rate: 0.05 });
+      expect(filled.greeks_source).toBe('model');
+      expect(filled.implied_volatility).toBeCloseTo(0.3, 3);
+      expect(filled.greeks.delta).toBeGreaterThan(0.5);
+      expect(filled.greeks.vanna).toBeDefined();
+    });
+
+    test('fillMissingGreeks keeps API Greeks untouched', () => {
+      const contract = { type: 'put', strike: 100, expiration: '2099-01-17', greeks: { delta: -0.4 } };
+      const filled = fillMissingGreeks(contract, 100);
+      expect(filled.greeks).toEqual({ delta: -0.4 });
+      expect(filled.greeks_source).toBe('api');
+    });
+  });
+});
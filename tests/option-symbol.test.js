@@ -0,0 +1,113 @@
+import {
+  parseOptionSymbol,
+  isOptionSymbol,
+  formatOptionTicker,
+  formatOsiSymbol,
+  resolveContract
+} from '../src/option-symbol.js';
+import { MassiveOptionsClient } from '../src/massive-client.js';
+
+// Client whose API answers from `results` and records each request
+function stubClient(results) {
+  const client = new MassiveOptionsClient('test-api-key');
+  const requests = [];
+  client.client = {
+    get: async (url, config = {}) => {
+      requests.push({ url, params: config.params });
+      return { data: { results } };
+    }
+  };
+  return { client, requests };
+}
+
+describe('Option Symbols', () => {
+  test('API tickers, OSI and broker forms parse to the same contract', () => {
+    const expected = {
+      root: 'SPY', underlying: 'SPY', expiration: '2024-06-21', type: 'put', strike: 500,
+      ticker: 'O:SPY240621P00500000', osi: 'SPY   240621P00500000', adjusted: false, index: false
+    };
+    expect(parseOptionSymbol('O:SPY240621P00500000')).toEqual(expected);
+    expect(parseOptionSymbol('SPY   240621P00500000')).toEqual(expected);
+    expect(parseOptionSymbol('.SPY240621P500')).toEqual(expected);
+    expect(parseOptionSymbol('spy240621p00500000')).toEqual(expected);
+
+    expect(parseOptionSymbol('O:AAPL250117C00152500').strike).toBe(152.5);
+    expect(parseOptionSymbol('-QQQ240419C450.5')).toMatchObject({ strike: 450.5, type: 'call' });
+
+    expect(isOptionSymbol('AAPL')).toBe(false);
+    expect(parseOptionSymbol('SPY241321P00500000')).toBeNull();
+    expect(parseOptionSymbol('SPY240621X00500000')).toBeNull();
+    expect(parseOptionSymbol(null)).toBeNull();
+  });
+
+  test('Adjusted and index roots resolve to their underlying', () => {
+    expect(parseOptionSymbol('O:AAPL1250117C00150000')).toMatchObject({
+      root: 'AAPL1', underlying: 'AAPL', adjusted: true, ticker: 'O:AAPL1250117C00150000'
+    });
+    expect(parseOptionSymbol('SPXW  240621C05400000')).toMatchObject({
+      root: 'SPXW', underlying: 'SPX', index: true, adjusted: false, strike: 5400
+    });
+    expect(parseOptionSymbol('O:NDXP240621P18000000').underlying).toBe('NDX');
+  });
+
+  test('Formatting pads strikes and validates fields', () => {
+    const contract = { underlying: 'aapl', expiration: '2025-01-17', option_type: 'C', strike: 150 };
+    expect(formatOptionTicker(contract)).toBe('O:AAPL250117C00150000');
+    expect(formatOsiSymbol({ root: 'SPXW', expiration: '2024-06-21', type: 'put', strike: 5412.5 })).toBe('SPXW  240621P05412500');
+
+    expect(() => formatOptionTicker({ ...contract, option_type: 'straddle' })).toThrow('Invalid option type');
+    expect(() => formatOptionTicker({ ...contract, strike: 0 })).toThrow('Invalid strike');
+    expect(() => formatOptionTicker({ ...contract, expiration: '01/17/2025' })).toThrow('Invalid expiration');
+    expect(() => formatOptionTicker({ ...contract, underlying: 'TOOLONGX' })).toThrow('Invalid option root');
+  });
+
+  test('Contracts resolve from a ticker or from component fields', () => {
+    const fromFields = resolveContract({ symbol: 'SPY', optionType: 'put', strike: 500, expiration: '2024-06-21' });
+    expect(resolveContract({ contract: 'SPY   240621P00500000' })).toEqual(fromFields);
+    expect(resolveContract({ symbol: 'O:SPY240621P00500000' })).toEqual(fromFields);
+    expect(fromFields).toMatchObject({ symbol: 'SPY', option_type: 'put', ticker: 'O:SPY240621P00500000' });
+
+    expect(resolveContract({ symbol: 'SPXW', option_type: 'call', strike: 5400, expiration: '2024-06-21' }))
+      .toMatchObject({ symbol: 'SPX', root: 'SPXW', ticker: 'O:SPXW240621C05400000' });
+
+    // Matching fields alongside a ticker are fine; conflicting ones are not
+    expect(resolveContract({ contract: 'O:SPY240621P00500000', symbol: 'SPY', strike: 500 }).strike).toBe(500);
+    expect(() => resolveContract({ contract: 'O:SPY240621P00500000', option_type: 'call', strike: 505 }))
+      .toThrow('does not match type call, strike 505');
+    expect(() => resolveContract({ contract: 'SPY' })).toThrow('Invalid option contract');
+    expect(() => resolveContract({ symbol: 'SPY', strike: 500 })).toThrow('missing: option type, expiration');
+  });
+
+  test('Client resolves tickers locally and picks the matching root', async () => {
+    const { client, requests } = stubClient([
+      { ticker: 'O:SPX240621C05400000' },
+      { ticker: 'O:SPXW240621C05400000' }
+    ]);
+    expect(await client.getOptionTicker('SPXW  240621C05400000')).toBe('O:SPXW240621C05400000');
+    expect(requests).toHaveLength(0);
+
+    expect(await client.getOptionTicker('SPXW', 'call', 5400, '2024-06-21')).toBe('O:SPXW240621C05400000');
+    expect(requests[0].params).toMatchObject({ underlying_ticker: 'SPX', contract_type: 'call', strike_price: 5400 });
+  });
+
+  test('Snapshot lookups by ticker query the underlying', async () => {
+    const snapshot = ticker => ({
+      details: { ticker },
+      greeks: { delta: ticker.includes('SPXW') ? 0.45 : 0.5 },
+      day: { close: 12, last_updated: 1718900000000000000 }
+    });
+    const { client, requests } = stubClient([snapshot('O:SPX240621C05400000'), snapshot('O:SPXW240621C05400000')]);
+
+    const greeks = await client.getGreeks('O:SPXW240621C05400000');
+    expect(requests[0]).toEqual({
+      url: '/snapshot/options/SPX',
+      params: { contract_type: 'call', strike_price: 5400, expiration_date: '2024-06-21' }
+    });
+    expect(greeks).toMatchObject({
+      ticker: 'O:SPXW240621C05400000', underlying: 'SPX', contract_type: 'call', strike: 5400, expiration: '2024-06-21'
+    });
+    expect(greeks.greeks.delta).toBe(0.45);
+
+    await expect(client.getGreeks('SPY', 'call')).rejects.toThrow('Failed to get greeks: Provide an option contract ticker');
+  });
+});
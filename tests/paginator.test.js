@@ -0,0 +1,96 @@
+import {
+  createBudget,
+  paginate,
+  buildExpirationSlices,
+  describeCoverage
+} from '../src/paginator.js';
+
+// Fake API serving `total` rows in pages, linked by next_url cursors
+function makeApi(total, pageSize, rowFor = i => ({ id: i })) {
+  const api = { requests: [] };
+  api.get = async (url, config = {}) => {
+    api.requests.push({ url, params: config.params });
+    const cursor = url.includes('cursor=') ? Number(url.split('cursor=')[1]) : 0;
+    const end = Math.min(total, cursor + pageSize);
+    const results = [];
+    for (let i = cursor; i < end; i++) results.push(rowFor(i));
+    return {
+      data: {
+        results,
+        next_url: end < total ? `https://api.massive.com/v3/list?cursor=${end}` : undefined
+      }
+    };
+  };
+  return api;
+}
+
+describe('Paginator', () => {
+  test('Follows next_url cursors to the end', async () => {
+    const api = makeApi(2600, 250);
+    const page = await paginate(api, '/snapshot/options/SPY', { limit: 250 });
+
+    expect(page.results).toHaveLength(2600);
+    expect(page.pages).toBe(11);
+    expect(page.truncated).toBe(false);
+    expect(api.requests[0].params).toEqual({ limit: 250 });
+    expect(api.requests[1].url).toContain('cursor=250');
+    expect(api.requests[1].params).toBeUndefined();
+  });
+
+  test('Stops at the item budget and reports truncation', async () => {
+    const api = makeApi(2600, 250);
+    const page = await paginate(api, '/list', {}, { max_items: 600 });
+
+    expect(page.results).toHaveLength(600);
+    expect(page.truncated).toBe(true);
+    expect(page.truncation_reason).toBe('item_budget');
+    expect(api.requests).toHaveLength(3);
+  });
+
+  test('Stops at the page budget with a resumable cursor', async () => {
+    const api = makeApi(1000, 100);
+    const page = await paginate(api, '/list', {}, { max_pages: 2 });
+
+    expect(page.results).toHaveLength(200);
+    expect(page.truncation_reason).toBe('page_budget');
+    expect(page.next_url).toContain('cursor=200');
+  });
+
+  test('A budget that exactly fits the data is not truncated', async () => {
+    const page = await paginate(makeApi(500, 250), '/list', {}, { max_items: 500 });
+    expect(page.truncated).toBe(false);
+  });
+
+  test('Parallel slices share one budget and coverage names what was missed', async () => {
+    const budget = createBudget({ max_items: 700 });
+    const slices = [{ from: '2024-06-03', to: '2024-06-10' }, { from: '2024-06-11', to: '2024-07-03' }];
+    const expirationFor = (slice) => (i) => ({ details: { expiration_date: i < 300 ? slice.from : slice.to } });
+
+    const parts = await Promise.all(slices.map(async (slice) => ({
+      ...(await paginate(makeApi(500, 100, expirationFor(slice)), '/snapshot', {}, { budget })),
+      slice
+    })));
+    const coverage = describeCoverage(parts, budget, row => row.details.expiration_date);
+
+    expect(budget.items).toBe(700);
+    expect(coverage.complete).toBe(false);
+    expect(coverage.items_fetched).toBe(700);
+    expect(coverage.slices.map(s => s.items).reduce((a, b) => a + b, 0)).toBe(700);
+    expect(coverage.unfetched_ranges.length).toBeGreaterThan(0);
+    coverage.unfetched_ranges.forEach(range => {
+      expect(slices.map(s => s.to)).toContain(range.to);
+    });
+  });
+
+  test('Expiration slices tile the calendar without gaps', () => {
+    const slices = buildExpirationSlices(new Date('2024-06-03T12:00:00Z'));
+
+    expect(slices[0]).toEqual({ from: '2024-06-03', to: '2024-06-10' });
+    expect(slices[1].from).toBe('2024-06-11');
+    expect(slices[slices.length - 1].to).toBeNull();
+    for (let i = 1; i < slices.length; i++) {
+      const previousEnd = new Date(`${slices[i - 1].to}T00:00:00Z`).getTime();
+      expect(new Date(`${slices[i].from}T00:00:00Z`).getTime() - previousEnd).toBe(24 * 60 * 60 * 1000);
+    }
+  });
+});
@@ -0,0 +1,112 @@
+import {
+  realizedPnL,
+  buildTradeRecords,
+  realizedDrawdown,
+  pnlByPeriod,
+  buildPerformanceReport
+} from '../src/performance.js';
+
+const closed = (id, pnl, entry_date, exit_date, extra = {}) => ({
+  id,
+  symbol: 'SPY',
+  strategy: 'iron_condor',
+  status: 'closed',
+  tags: [],
+  entry_date,
+  exit_date,
+  exit_profit: pnl,
+  ...extra
+});
+
+// Cumulative: 300, 100, -300, 200
+const POSITIONS = [
+  closed('p1', 300, '2024-05-01', '2024-05-06'),
+  closed('p2', -200, '2024-05-02', '2024-05-07', { tags: ['earnings'] }),
+  closed('p3', -400, '2024-05-10', '2024-05-20', { symbol: 'AAPL', strategy: 'long_call', tags: ['earnings', 'mistake'] }),
+  closed('p4', 500, '2024-06-03', '2024-06-04', { symbol: 'AAPL', strategy: 'long_call' }),
+  { id: 'p5', symbol: 'QQQ', strategy: 'long_put', status: 'open', tags: [] }
+];
+
+describe('Performance Analytics', () => {
+  test('Realized P&L falls back from exit profit to fills to prices', () => {
+    expect(realizedPnL({ exit_profit: -50, fills: [{ side: 'sell', quantity: 1, price: 9 }] })).toEqual({ pnl: -50, source: 'exit_profit' });
+
+    const fills = realizedPnL({
+      fills: [
+        { side: 'buy', quantity: 2, price: 1.5, fees: 1.3 },
+        { side: 'sell', quantity: 2, price: 2.25, fees: 1.3 }
+      ]
+    });
+    expect(fills.source).toBe('fills');
+    expect(fills.pnl).toBeCloseTo(150 - 2.6, 6);
+
+    // An opening fill alone does not price the trade; the exit price does
+    expect(realizedPnL({
+      strategy: 'long_call', entry_price: 2.5, exit_price: 4, contracts: 1,
+      fills: [{ side: 'buy', quantity: 1, price: 2.5 }]
+    })).toEqual({ pnl: 150, source: 'prices' });
+    expect(realizedPnL({ fills: [{ side: 'buy', quantity: 1, price: 2.5, leg_id: 'leg_1' }, { side: 'sell', quantity: 1, price: 4 }] })).toBeNull();
+
+    // Credit spread sold for 1.20, bought back at 0.40, rolled for another 0.30 credit
+    const credit = realizedPnL({
+      strategy: 'put_credit_spread', entry_credit: 1.2, exit_price: 0.4, contracts: 2, adjustments: [{ net_credit: 0.3 }]
+    });
+    expect(credit).toEqual({ pnl: expect.any(Number), source: 'prices' });
+    expect(credit.pnl).toBeCloseTo(220, 6);
+
+    expect(realizedPnL({ strategy: 'long_call', entry_price: 2, exit_price: 3.5, contracts: 1 }).pnl).toBeCloseTo(150, 6);
+    expect(realizedPnL({ strategy: 'long_call', entry_price: 2 })).toBeNull();
+  });
+
+  test('Trade records sort by exit and list unpriced closes', () => {
+    const { trades, unpriced } = buildTradeRecords([
+      ...POSITIONS,
+      { id: 'p6', symbol: 'IWM', status: 'closed', tags: [] }
+    ]);
+    expect(trades.map(t => t.position_id)).toEqual(['p1', 'p2', 'p3', 'p4']);
+    expect(trades[2].days_held).toBe(10);
+    expect(unpriced).toEqual([expect.objectContaining({ position_id: 'p6' })]);
+  });
+
+  test('Drawdown follows cumulative realized P&L', () => {
+    const { trades } = buildTradeRecords(POSITIONS);
+    expect(realizedDrawdown(trades)).toEqual({
+      max_drawdown: -600, max_drawdown_pct: null, peak_date: '2024-05-06', trough_date: '2024-05-20'
+    });
+    expect(realizedDrawdown(trades, 10000).max_drawdown_pct).toBeCloseTo(-600 / 10300 * 100, 2);
+  });
+
+  test('P&L buckets by day, Monday-based week and month', () => {
+    const { trades } = buildTradeRecords(POSITIONS);
+    expect(pnlByPeriod(trades, 'week').map(w => [w.period, w.net_pnl])).toEqual([
+      ['2024-05-06', 100], ['2024-05-20', -400], ['2024-06-03', 500]
+    ]);
+    const months = pnlByPeriod(trades, 'month');
+    expect(months.map(m => m.period)).toEqual(['2024-05', '2024-06']);
+    expect(months[1].cumulative_pnl).toBe(200);
+    expect(() => pnlByPeriod(trades, 'quarter')).toThrow('Unknown period');
+  });
+
+  test('Report summarizes trades and groups by symbol, strategy and tag', () => {
+    const report = buildPerformanceReport(POSITIONS, { account_size: 10000 });
+    const { summary } = report;
+
+    expect(report.open_positions).toBe(1);
+    expect(summary).toMatchObject({
+      trades: 4, wins: 2, losses: 2, net_pnl: 200, win_rate: 0.5, avg_win: 400, avg_loss: -300, expectancy: 50
+    });
+    expect(summary.profit_factor).toBeCloseTo(800 / 600, 2);
+    expect(summary.return_on_account_pct).toBe(2);
+    expect(report.holding_period).toMatchObject({ avg_days: 5.3, median_days: 5, min_days: 1, max_days: 10 });
+
+    expect(report.by_symbol.map(g => [g.key, g.net_pnl])).toEqual([['AAPL', 100], ['SPY', 100]]);
+    const earnings = report.by_tag.find(g => g.key === 'earnings');
+    expect(earnings).toMatchObject({ trades: 2, net_pnl: -600, win_rate: 0 });
+    expect(report.by_tag.find(g => g.key === '(untagged)').trades).toBe(2);
+    expect(report.trades).toBeUndefined();
+
+    const filtered = buildPerformanceReport(POSITIONS, { from: '2024-05-10', strategy: 'long_call', include_trades: true });
+    expect(filtered.trades.map(t => t.position_id)).toEqual(['p3', 'p4']);
+    expect(buildPerformanceReport(POSITIONS, { tag: 'mistake' }).summary.net_pnl).toBe(-400);
+  });
+});
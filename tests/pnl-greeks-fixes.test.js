@@ -220,7 +220,7 @@ describe('P&L and Greeks Calculation Fixes', () => {
       expect(result.pnl_breakdown.delta_pnl).toBeCloseTo(250, 2);
     });
 
-    test('theta and vega P&L remain unchanged', () => {
+    test('theta and vega P&L scale by days and vol points', () => {
       const portfolioGreeks = {
         net_delta: 0,
         net_gamma: 0,
@@ -239,8 +239,8 @@ describe('P&L and Greeks Calculation Fixes', () => {
       // Theta: -50 * 7 days = -350
       expect(result.pnl_breakdown.theta_pnl).toBeCloseTo(-350, 2);
 
-      // Vega: 100 * (10/100) = 10
-      expect(result.pnl_breakdown.vega_pnl).toBeCloseTo(10, 2);
+      // Vega: 100 * 10 pts = 1000
+      expect(result.pnl_breakdown.vega_pnl).toBeCloseTo(1000, 2);
     });
   });
 
@@ -271,8 +271,8 @@ describe('P&L and Greeks Calculation Fixes', () => {
       // Theta P&L: 50 * 1 = 50
       expect(result.pnl_breakdown.theta_pnl).toBeCloseTo(50, 1);
 
-      // Vega P&L: -200 * 0.20 = -40
-      expect(result.pnl_breakdown.vega_pnl).toBeCloseTo(-40, 1);
+      // Vega P&L: -200 * 20 pts = -4000
+      expect(result.pnl_breakdown.vega_pnl).toBeCloseTo(-4000, 1);
 
       // Total should be very negative
       expect(result.total_estimated_pnl).toBeLessThan(-5000);
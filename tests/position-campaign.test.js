@@ -0,0 +1,161 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  addPosition,
+  getPosition,
+  getPositionHistory,
+  rollPosition,
+  adjustPosition,
+  assignPosition,
+  closePosition,
+  summarizeCampaign,
+  calculatePositionPnL
+} from '../src/position-tracker.js';
+import { rebuildPositionIndex, loadPositionState } from '../src/position-store.js';
+import { realizedPnL } from '../src/performance.js';
+
+describe('Position Campaigns', () => {
+  let options;
+
+  beforeEach(() => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'position-campaign-'));
+    options = { dir: path.join(root, 'positions') };
+  });
+
+  const shortPut = () => addPosition({
+    symbol: 'SPY',
+    strategy: 'cash_secured_put',
+    entry_credit: 1.5,
+    contracts: 2,
+    expiration: '2024-06-21',
+    strike_price: 500,
+    legs: [{ action: 'sell', type: 'put', strike: 500, expiration: '2024-06-21' }]
+  }, options);
+
+  test('Plain positions keep the original P&L', () => {
+    const pnl = calculatePositionPnL({
+      strategy: 'put_credit_spread', entry_credit: 2, contracts: 1, entry_date: new Date().toISOString()
+    }, { current_price: 1 });
+    expect(pnl).toMatchObject({
+      entry_value: 200, current_value: 100, unrealized_pnl: 100, realized_pnl: 0, campaign_pnl: 100, profit_pct: 50
+    });
+
+    const debit = calculatePositionPnL({ strategy: 'long_call', entry_price: 3, contracts: 2 }, { current_bid: 2.5 });
+    expect(debit).toMatchObject({ entry_value: 600, current_value: 500, unrealized_pnl: -100 });
+  });
+
+  test('A roll carries premium and lineage into the new legs', () => {
+    const position = shortPut();
+    const rolled = rollPosition(position.id, {
+      open_legs: [{ action: 'sell', type: 'put', strike: 495, expiration: '2024-07-19' }],
+      net_credit: 0.5,
+      new_strike: 495,
+      description: 'Down and out'
+    }, options);
+
+    expect(rolled.legs.map(leg => `${leg.leg_id}:${leg.status}`)).toEqual(['leg_1:rolled', 'leg_2:open']);
+    expect(rolled.expiration).toBe('2024-07-19');
+    expect(rolled.strike_price).toBe(495);
+
+    const campaign = summarizeCampaign(rolled);
+    expect(campaign).toMatchObject({ net_premium: 400, open_premium: 400, net_premium_per_share: 2, rolls: 1 });
+    expect(campaign.lineage[0].type).toBe('roll');
+
+    // Whole campaign: 400 collected against 160 to buy back
+    expect(calculatePositionPnL(rolled, { current_price: 0.8 })).toMatchObject({
+      entry_value: 300, unrealized_pnl: 240, campaign_pnl: 240, profit_pct: 80
+    });
+
+    expect(() => rollPosition(position.id, { open_legs: [] }, options)).toThrow();
+  });
+
+  test('Partial close and assignment realize P&L and set the share basis', () => {
+    const position = shortPut();
+    rollPosition(position.id, {
+      open_legs: [{ action: 'sell', type: 'put', strike: 495, expiration: '2024-07-19' }],
+      net_credit: 0.5
+    }, options);
+
+    // Half the contracts carry half the open premium: 200 - 60 - 1 in fees
+    const partial = adjustPosition(position.id, { close_contracts: 1, close_price: 0.6, fees: 1 }, options);
+    expect(partial.contracts).toBe(1);
+    expect(partial.status).toBe('open');
+    expect(summarizeCampaign(partial)).toMatchObject({ realized_pnl: 139, open_premium: 200 });
+
+    const assigned = assignPosition(position.id, {}, options);
+    expect(assigned.contracts).toBe(0);
+    expect(assigned.legs[1].status).toBe('assigned');
+
+    const campaign = summarizeCampaign(assigned);
+    expect(campaign.shares).toEqual({ quantity: 100, average_price: 495, adjusted_cost_basis: 493 });
+    expect(campaign.lineage.map(entry => entry.type)).toEqual(['roll', 'partial_close', 'assignment']);
+
+    const pnl = calculatePositionPnL(assigned, { underlying_price: 490 });
+    expect(pnl).toMatchObject({ unrealized_pnl: -300, realized_pnl: 139, campaign_pnl: -161, shares_pnl: -500 });
+    expect(calculatePositionPnL(assigned, {}).warning).toContain('underlying_price');
+
+    // The campaign survives a rebuild from the event log
+    rebuildPositionIndex(options);
+    expect(summarizeCampaign(loadPositionState(options).positions[0])).toEqual(campaign);
+    expect(getPositionHistory(position.id, options).events.map(e => e.type))
+      .toEqual(['position_opened', 'position_rolled', 'contracts_closed', 'position_assigned']);
+  });
+
+  test('Closing the last contracts closes the position with the campaign profit', () => {
+    const position = shortPut();
+    adjustPosition(position.id, {
+      add_legs: [{ action: 'buy', type: 'put', strike: 480, expiration: '2024-06-21' }],
+      net_credit: -0.3,
+      description: 'Buy a wing'
+    }, options);
+    expect(() => adjustPosition(position.id, {}, options)).toThrow('Adjustment needs');
+    expect(() => adjustPosition(position.id, { close_contracts: 3, close_price: 0.2 }, options)).toThrow();
+
+    // 300 collected, 60 for the wing, 40 to close both contracts
+    const closed = adjustPosition(position.id, { close_contracts: 2, close_price: 0.2 }, options);
+    expect(closed.status).toBe('closed');
+    expect(closed.exit_profit).toBe(200);
+    expect(realizedPnL(getPosition(position.id, options))).toEqual({ pnl: 200, source: 'exit_profit' });
+  });
+
+  test('Covered calls on assigned shares count their premium and share sales realize the shares', () => {
+    const wheel = () => {
+      const position = addPosition({
+        symbol: 'XYZ',
+        strategy: 'cash_secured_put',
+        entry_credit: 2,
+        contracts: 1,
+        strike_price: 100,
+        legs: [{ action: 'sell', type: 'put', strike: 100, expiration: '2024-06-21' }]
+      }, options);
+      assignPosition(position.id, {}, options);
+      return adjustPosition(position.id, {
+        add_legs: [{ action: 'sell', type: 'call', strike: 105, expiration: '2024-07-19' }],
+        net_credit: 1.5
+      }, options);
+    };
+
+    // 200 + 150 collected, the call costs 20 to close, the shares are down 1000
+    const covered = wheel();
+    expect(covered.contracts).toBe(1);
+    expect(summarizeCampaign(covered)).toMatchObject({ net_premium: 350, open_premium: 350 });
+    expect(calculatePositionPnL(covered, { current_price: 0.2, underlying_price: 90 }).campaign_pnl).toBe(-670);
+
+    expect(() => closePosition(covered.id, { exit_price: 0.2 }, options)).toThrow('pass share_price');
+    const closed = closePosition(covered.id, { exit_price: 0.2, share_price: 90 }, options);
+    expect(closed).toMatchObject({ status: 'closed', shares: { quantity: 0 } });
+    expect(realizedPnL(closed)).toEqual({ pnl: -670, source: 'prices' });
+
+    // Closing the call and selling the shares in one adjustment books the same profit
+    const adjusted = wheel();
+    const partial = adjustPosition(adjusted.id, { close_shares: 40, share_price: 90 }, options);
+    expect(partial.status).toBe('open');
+    expect(summarizeCampaign(partial).realized_pnl).toBe(-400);
+    expect(() => adjustPosition(adjusted.id, { close_shares: 61, share_price: 90 }, options)).toThrow('between 1 and 60');
+
+    const flat = adjustPosition(adjusted.id, { close_contracts: 1, close_price: 0.2, close_shares: 60, share_price: 90 }, options);
+    expect(flat).toMatchObject({ status: 'closed', exit_profit: -670 });
+    expect(flat.campaign.lineage.map(entry => entry.type)).toEqual(['assignment', 'adjustment', 'share_sale', 'partial_close', 'share_sale']);
+  });
+});
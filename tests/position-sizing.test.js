@@ -0,0 +1,118 @@
+import {
+  buildPnLDistribution,
+  calculateDistributionKelly,
+  calculateKellyCriterion,
+  calculatePositionSize,
+  generateAllocationReport,
+  validateRiskParameters
+} from '../src/position-sizing.js';
+import { blackScholesPrice } from '../src/option-pricing.js';
+
+const coinFlip = (win, loss, p) => buildPnLDistribution({}, {
+  outcomes: [{ pnl: win, probability: p }, { pnl: -loss, probability: 1 - p }]
+});
+
+const callSpread = {
+  type: 'bull_call_spread',
+  strategy_name: '100/110 Bull Call Spread',
+  expiration: '2030-01-18',
+  underlying_price: 100,
+  legs: [
+    { action: 'buy', type: 'call', strike: 100, price: 3 },
+    { action: 'sell', type: 'call', strike: 110, price: 1 }
+  ],
+  net_debit: 2,
+  max_profit: 8,
+  max_loss: 2,
+  risk_reward_ratio: 4,
+  probability_profit: 0.5
+};
+
+describe('Distribution Kelly sizing', () => {
+  test('A two-outcome distribution reproduces the classic Kelly fraction', () => {
+    const kelly = calculateDistributionKelly(coinFlip(100, 100, 0.6), 10000, { num_paths: 500 });
+    // f = p - q / b = 0.2 of the account at risk in the worst case
+    expect(kelly.kelly_fraction).toBeCloseTo(0.2, 4);
+    expect(kelly).toMatchObject({ full_kelly_contracts: 20, fractional_kelly_contracts: 5, expected_pnl_per_contract: 20 });
+    expect(kelly.kelly_fraction * 0.25).toBeCloseTo(calculateKellyCriterion(0.6, 1), 4);
+
+    const negative = calculateDistributionKelly(coinFlip(100, 100, 0.45), 10000, { num_paths: 100 });
+    expect(negative).toMatchObject({ kelly_fraction: 0, full_kelly_contracts: 0 });
+    expect(negative.warnings[0]).toContain('no edge');
+  });
+
+  test('Growth peaks at full Kelly while ruin and drawdown odds keep rising', () => {
+    const kelly = calculateDistributionKelly(coinFlip(100, 100, 0.6), 10000, {
+      num_paths: 1000,
+      contract_counts: [60],
+      max_risk_of_ruin: 0.05
+    });
+    const row = n => kelly.contract_analysis.find(r => r.contracts === n);
+    expect(kelly.contract_analysis.map(r => r.contracts)).toEqual(expect.arrayContaining([1, 5, 10, 20, 40, 60]));
+
+    expect(row(20).expected_log_growth_per_trade).toBeGreaterThan(row(10).expected_log_growth_per_trade);
+    expect(row(20).expected_log_growth_per_trade).toBeGreaterThan(row(40).expected_log_growth_per_trade);
+    expect(row(1).risk_of_ruin).toBe(0);
+    expect(row(60).risk_of_ruin).toBeGreaterThan(row(20).risk_of_ruin);
+    expect(row(40).drawdown_probabilities[2].probability).toBeGreaterThan(row(5).drawdown_probabilities[2].probability);
+
+    // The ruin limit is the largest count still within it
+    const limit = kelly.max_contracts_for_ruin_limit;
+    expect(row(limit).risk_of_ruin).toBeLessThanOrEqual(0.05);
+    const over = calculateDistributionKelly(coinFlip(100, 100, 0.6), 10000, { num_paths: 1000, contract_counts: [limit + 1] });
+    expect(over.contract_analysis.find(r => r.contracts === limit + 1).risk_of_ruin).toBeGreaterThan(0.05);
+  });
+
+  test('Scenario grids are weighted by the lognormal price distribution', () => {
+    const as_of = new Date('2029-12-19T20:00:00Z');
+    const premium = blackScholesPrice({ type: 'call', spot: 100, strike: 100, time: 30 / 365, volatility: 0.3, rate: 0 });
+    const longCall = {
+      underlying_price: 100,
+      expiration: '2030-01-18',
+      legs: [{ action: 'buy', type: 'call', strike: 100, price: premium }]
+    };
+    const distribution = buildPnLDistribution(longCall, { volatility: 0.3, as_of });
+    expect(distribution.source).toBe('scenarios');
+    expect(distribution.outcomes).toHaveLength(81);
+    expect(distribution.outcomes.reduce((sum, o) => sum + o.probability, 0)).toBeCloseTo(1, 6);
+    // A fairly priced call has no edge
+    expect(Math.abs(distribution.expected_pnl)).toBeLessThan(premium * 100 * 0.05);
+
+    const simulated = buildPnLDistribution(longCall, { source: 'simulation', volatility: 0.3, as_of, num_paths: 500 });
+    expect(simulated.outcomes).toHaveLength(500);
+    expect(simulated.worst_pnl).toBeCloseTo(-premium * 100, 2);
+
+    expect(() => buildPnLDistribution(longCall, { as_of })).toThrow('volatility');
+    expect(() => buildPnLDistribution({
+      ...longCall,
+      legs: [...longCall.legs, { action: 'sell', type: 'call', strike: 105, price: 1, expiration: '2029-12-21' }]
+    }, { volatility: 0.3 })).toThrow('Multi-expiration');
+  });
+
+  test('Distribution mode caps contracts and feeds the allocation report', () => {
+    const riskConfig = validateRiskParameters({ max_risk_pct: 0.1, min_reward_ratio: 1, sizing_mode: 'distribution', kelly_multiplier: 2 });
+    expect(riskConfig).toMatchObject({ sizing_mode: 'distribution', kelly_multiplier: 1, ruin_threshold: 0.5 });
+    expect(() => validateRiskParameters({ sizing_mode: 'optimal' })).toThrow('Unknown sizing_mode');
+
+    const config = { ...riskConfig, kelly_multiplier: 0.25, volatility: 0.3 };
+    const strategy = { ...callSpread, pnl_distribution: coinFlip(400, 200, 0.5) };
+    // Full Kelly risks 25% of the account: 125 contracts at $200, a quarter of that traded
+    const sized = calculatePositionSize(strategy, 100000, config, false);
+    expect(sized).toMatchObject({ recommended_contracts: 31, sizing_mode: 'distribution' });
+    expect(sized.limits_applied).toMatchObject({ risk_based: 50, kelly_based: 31, limiting_factor: 'kelly' });
+    expect(sized.distribution_kelly.at_recommended.contracts).toBe(31);
+
+    const losing = calculatePositionSize({ ...strategy, pnl_distribution: coinFlip(100, 200, 0.5) }, 100000, config, false);
+    expect(losing).toMatchObject({ recommended_contracts: 0, rejected: true });
+    expect(losing.reason).toContain('Fractional Kelly');
+
+    // Without a usable distribution the fixed limits still apply
+    const fallback = calculatePositionSize(callSpread, 100000, { ...config, volatility: null }, false);
+    expect(fallback.distribution_kelly).toMatchObject({ available: false });
+    expect(fallback.recommended_contracts).toBe(50);
+
+    const report = generateAllocationReport([{ ...callSpread, position_sizing: sized }], 100000);
+    expect(report.strategies[0]).toMatchObject({ full_kelly_contracts: 125, fractional_kelly_contracts: 31 });
+    expect(report.distribution_sizing).toMatchObject({ strategies_sized: 1, above_full_kelly: [] });
+  });
+});
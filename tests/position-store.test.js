@@ -0,0 +1,176 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import {
+  appendPositionEvents,
+  loadPositionState,
+  readPositionEvents,
+  rebuildPositionIndex
+} from '../src/position-store.js';
+import {
+  addPosition,
+  closePosition,
+  deletePosition,
+  getOpenPositions,
+  recordFill,
+  recordAdjustment,
+  addJournalNote,
+  getPositionHistory,
+  queryJournal
+} from '../src/position-tracker.js';
+
+const STORE_MODULE = path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/position-store.js');
+
+describe('Position Store', () => {
+  let root;
+  let options;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'position-store-'));
+    options = { dir: path.join(root, 'positions') };
+  });
+
+  test('Positions, fills, adjustments and closes are separate events', () => {
+    const position = addPosition({
+      symbol: 'SPY',
+      strategy: 'bull_call_spread',
+      expiration: '2024-06-21',
+      entry_price: 2.5,
+      legs: [
+        { action: 'buy', type: 'call', strike: 500, expiration: '2024-06-21' },
+        { action: 'sell', type: 'call', strike: 510, expiration: '2024-06-21' }
+      ]
+    }, options);
+
+    recordFill(position.id, { side: 'buy', quantity: 1, price: 2.5, leg_id: 'leg_1' }, options);
+    const adjusted = recordAdjustment(position.id, {
+      description: 'Roll short call up',
+      legs_closed: ['leg_2'],
+      legs_opened: [{ action: 'sell', type: 'call', strike: 515, expiration: '2024-06-21' }],
+      net_credit: -0.4
+    }, options);
+    expect(adjusted.legs.map(leg => `${leg.leg_id}:${leg.status}`)).toEqual(['leg_1:open', 'leg_2:closed', 'leg_3:open']);
+    expect(adjusted.adjustments[0].legs_opened).toEqual(['leg_3']);
+
+    closePosition(position.id, { exit_price: 4, exit_profit: 150 }, options);
+    expect(getOpenPositions(options)).toHaveLength(0);
+
+    const history = getPositionHistory(position.id, options);
+    expect(history.events.map(e => e.type)).toEqual(['position_opened', 'fill', 'adjustment', 'position_closed']);
+    expect(history.position.status).toBe('closed');
+    expect(history.position.fills[0]).toMatchObject({ side: 'buy', price: 2.5 });
+
+    // Closed positions reject new executions
+    expect(() => recordFill(position.id, { side: 'sell', quantity: 1, price: 4 }, options)).toThrow('already closed');
+  });
+
+  test('Deleted positions leave the state but keep their history', () => {
+    const position = addPosition({ symbol: 'QQQ', strategy: 'iron_condor', expiration: '2024-06-21' }, options);
+    deletePosition(position.id, options);
+
+    expect(loadPositionState(options).positions).toHaveLength(0);
+    const history = getPositionHistory(position.id, options);
+    expect(history.position).toBeNull();
+    expect(history.events.map(e => e.type)).toEqual(['position_opened', 'position_deleted']);
+  });
+
+  test('A batch with an invalid event writes nothing', () => {
+    const position = addPosition({ symbol: 'SPY', strategy: 'long_call', expiration: '2024-06-21' }, options);
+    const before = readPositionEvents({}, options).length;
+
+    expect(() => appendPositionEvents([
+      { type: 'note_added', position_id: position.id, data: { note: 'fine' } },
+      { type: 'fill', position_id: position.id, data: { side: 'hold', quantity: 1, price: 1 } }
+    ], options)).toThrow('Fill side');
+    expect(() => appendPositionEvents([{ type: 'note_added', position_id: 'pos_missing', data: { note: 'x' } }], options))
+      .toThrow('not found');
+
+    expect(readPositionEvents({}, options)).toHaveLength(before);
+    expect(loadPositionState(options).positions[0].journal).toHaveLength(0);
+  });
+
+  test('Index is rebuilt from the log and torn writes are discarded', () => {
+    const position = addPosition({ symbol: 'SPY', strategy: 'long_put', expiration: '2024-06-21' }, options);
+    addJournalNote(position.id, 'Hedge into FOMC', ['macro'], options);
+
+    // Index lost: state comes back from the log
+    fs.unlinkSync(path.join(options.dir, 'index.json'));
+    expect(loadPositionState(options).positions[0].journal[0].note).toBe('Hedge into FOMC');
+
+    // A crashed writer left half a line: readers skip it, the next writer cuts it off
+    const log = path.join(options.dir, 'events.jsonl');
+    fs.appendFileSync(log, '{"seq":99,"type":"note_ad');
+    expect(loadPositionState(options).positions[0].journal).toHaveLength(1);
+    addJournalNote(position.id, 'Closed hedge', [], options);
+    expect(readPositionEvents({ position_id: position.id }, options).map(e => e.seq)).toEqual([2, 3, 4]);
+
+    expect(rebuildPositionIndex(options)).toEqual({ events_replayed: 4, positions: 1 });
+  });
+
+  test('Legacy positions.json is migrated once with ids and closes preserved', () => {
+    const legacyFile = path.join(root, 'positions.json');
+    fs.writeFileSync(legacyFile, JSON.stringify({
+      positions: [
+        { id: 'pos_1', symbol: 'SPY', strategy: 'bull_call_spread', status: 'open', entry_date: '2024-05-01', created_at: '2024-05-01T14:00:00.000Z', notes: 'First trade' },
+        { id: 'pos_2', symbol: 'AAPL', strategy: 'long_put', status: 'closed', exit_profit: -120, closed_at: '2024-05-10T19:00:00.000Z', created_at: '2024-05-02T14:00:00.000Z' }
+      ],
+      watchlist: ['TSLA']
+    }));
+    const migrated = { ...options, legacy_file: legacyFile };
+
+    const state = loadPositionState(migrated);
+    expect(state.schema_version).toBe(1);
+    expect(state.positions.map(p => `${p.id}:${p.status}`)).toEqual(['pos_1:open', 'pos_2:closed']);
+    expect(state.positions[0].journal[0].note).toBe('First trade');
+    expect(state.positions[1].closed_at).toBe('2024-05-10T19:00:00.000Z');
+
+    // Second open does not import again; the legacy file is untouched
+    loadPositionState(migrated);
+    expect(readPositionEvents({ types: ['schema_migrated'] }, migrated)).toHaveLength(1);
+    expect(readPositionEvents({ types: ['position_opened'] }, migrated)).toHaveLength(2);
+    expect(JSON.parse(fs.readFileSync(legacyFile, 'utf8')).watchlist).toEqual(['TSLA']);
+  });
+
+  test('Concurrent writers in separate processes do not lose events', async () => {
+    const position = addPosition({ symbol: 'SPY', strategy: 'long_call', expiration: '2024-06-21' }, options);
+    const script = `
+      const { appendPositionEvents } = await import(${JSON.stringify(STORE_MODULE)});
+      for (let i = 0; i < 25; i++) {
+        appendPositionEvents([{ type: 'note_added', position_id: ${JSON.stringify(position.id)}, data: { note: process.argv[1] + ' ' + i } }], { dir: ${JSON.stringify(options.dir)} });
+      }
+    `;
+    const run = label => new Promise((resolve, reject) => {
+      const child = spawn(process.execPath, ['--input-type=module', '-e', script, label], { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderr = '';
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('exit', code => (code === 0 ? resolve() : reject(new Error(stderr))));
+    });
+
+    await Promise.all([run('a'), run('b')]);
+
+    const events = readPositionEvents({ types: ['note_added'] }, options);
+    expect(events).toHaveLength(50);
+    expect(new Set(events.map(e => e.seq)).size).toBe(50);
+    expect(loadPositionState(options).positions[0].journal).toHaveLength(50);
+  }, 30000);
+
+  test('Journal query filters by tag, symbol, status and text', () => {
+    const spy = addPosition({ symbol: 'SPY', strategy: 'iron_condor', expiration: '2024-06-21', notes: 'Sold the wings', tags: ['income'] }, options);
+    const aapl = addPosition({ symbol: 'AAPL', strategy: 'long_call', expiration: '2024-06-21' }, options);
+    addJournalNote(aapl.id, 'Earnings run-up entry', ['earnings'], options);
+    addJournalNote(aapl.id, 'Stopped out after the print', ['earnings', 'mistake'], options);
+    closePosition(aapl.id, { exit_profit: -200 }, options);
+
+    expect(queryJournal({ tag: 'earnings' }, options).total_entries).toBe(2);
+    expect(queryJournal({ tag: 'income' }, options).entries[0].position_id).toBe(spy.id);
+    expect(queryJournal({ status: 'open' }, options).total_entries).toBe(1);
+    expect(queryJournal({ symbol: 'aapl', text: 'STOPPED' }, options).entries[0].tags).toEqual(['earnings', 'mistake']);
+
+    const all = queryJournal({}, options);
+    expect(all.trades).toBe(2);
+    expect(all.tag_counts.earnings).toBe(2);
+    expect(queryJournal({ limit: 1 }, options).entries).toHaveLength(1);
+  });
+});
@@ -0,0 +1,140 @@
+import axios from 'axios';
+import {
+  RequestScheduler,
+  isRetryableError,
+  parseRetryAfter
+} from '../src/request-scheduler.js';
+
+// Virtual clock: sleeping advances time instantly and logs the delay
+function makeClock() {
+  const clock = { now: 0, sleeps: [] };
+  clock.sleep = async (ms) => {
+    clock.sleeps.push(ms);
+    clock.now += ms;
+  };
+  return clock;
+}
+
+const httpError = (status, headers = {}) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+
+describe('Request Scheduler', () => {
+  let clock;
+  const makeScheduler = (options = {}) => new RequestScheduler({
+    now: () => clock.now,
+    sleep: clock.sleep,
+    random: () => 0.5,
+    ...options
+  });
+
+  beforeEach(() => {
+    clock = makeClock();
+  });
+
+  test('Classifies retryable failures and parses Retry-After', () => {
+    expect(isRetryableError(httpError(429))).toBe(true);
+    expect(isRetryableError(httpError(503))).toBe(true);
+    expect(isRetryableError(httpError(404))).toBe(false);
+    expect(isRetryableError(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(true);
+    expect(isRetryableError(new Error('bug'))).toBe(false);
+
+    expect(parseRetryAfter('3')).toBe(3000);
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:10 GMT', Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'))).toBe(10000);
+    expect(parseRetryAfter(undefined)).toBeNull();
+  });
+
+  test('Token bucket spaces requests beyond the burst', async () => {
+    const scheduler = makeScheduler({ tier: 'basic' });
+    const sentAt = [];
+    for (let i = 0; i < 7; i++) {
+      await scheduler.execute(async () => { sentAt.push(clock.now); return { status: 200 }; });
+    }
+
+    // Five immediately, then one every 12 seconds at 5 per minute
+    expect(sentAt.slice(0, 5)).toEqual([0, 0, 0, 0, 0]);
+    expect(sentAt[5]).toBe(12000);
+    expect(sentAt[6]).toBe(24000);
+    expect(scheduler.getMetrics().rate_limited_waits).toBe(2);
+  });
+
+  test('Retries with jittered exponential backoff', async () => {
+    const scheduler = makeScheduler({ base_delay_ms: 1000 });
+    let attempts = 0;
+    const response = await scheduler.execute(async () => {
+      attempts++;
+      if (attempts < 3) throw httpError(502);
+      return { status: 200, data: 'ok' };
+    });
+
+    expect(response.data).toBe('ok');
+    expect(clock.sleeps).toEqual([500, 1000]); // half of 1s, then half of 2s
+    expect(scheduler.getMetrics()).toMatchObject({ retries: 2, retries_by_reason: { 502: 2 }, succeeded: 1 });
+  });
+
+  test('Honors Retry-After and pauses other requests on 429', async () => {
+    const scheduler = makeScheduler();
+    let limited = true;
+    const first = scheduler.execute(async () => {
+      if (limited) {
+        limited = false;
+        throw httpError(429, { 'retry-after': '5' });
+      }
+      return { status: 200 };
+    });
+    await first;
+
+    const sentAt = [];
+    await scheduler.execute(async () => { sentAt.push(clock.now); return { status: 200 }; });
+    expect(clock.sleeps[0]).toBe(5000);
+    expect(sentAt[0]).toBeGreaterThanOrEqual(5000);
+    expect(scheduler.getMetrics().retry_after_honored).toBe(1);
+  });
+
+  test('Gives up after max retries and never retries client errors', async () => {
+    const scheduler = makeScheduler({ max_retries: 2 });
+    let calls = 0;
+    await expect(scheduler.execute(async () => { calls++; throw httpError(500); })).rejects.toThrow('500');
+    expect(calls).toBe(3);
+
+    calls = 0;
+    await expect(scheduler.execute(async () => { calls++; throw httpError(403); })).rejects.toThrow('403');
+    expect(calls).toBe(1);
+    expect(scheduler.getMetrics().failed).toBe(2);
+  });
+
+  test('Caps concurrency and shares identical in-flight GETs', async () => {
+    const scheduler = new RequestScheduler({ max_concurrent: 2, tier: 'advanced' });
+    let active = 0;
+    let peak = 0;
+    let networkCalls = 0;
+    const transport = async (config) => {
+      networkCalls++;
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+      return { data: JSON.stringify({ path: config.url }), status: 200, statusText: 'OK', headers: {}, config };
+    };
+    const instance = scheduler.attach(axios.create({ baseURL: 'https://api.massive.com/v3', adapter: transport }));
+
+    const results = await Promise.all([
+      instance.get('/snapshot/options/SPY'),
+      instance.get('/snapshot/options/SPY'),
+      instance.get('/snapshot/options/QQQ'),
+      instance.get('/snapshot/options/IWM'),
+      instance.get('/snapshot/options/DIA')
+    ]);
+
+    expect(results.map(r => r.data.path)).toEqual([
+      '/snapshot/options/SPY', '/snapshot/options/SPY', '/snapshot/options/QQQ',
+      '/snapshot/options/IWM', '/snapshot/options/DIA'
+    ]);
+    expect(networkCalls).toBe(4);
+    expect(peak).toBe(2);
+    expect(scheduler.getMetrics()).toMatchObject({ deduplicated: 1, peak_concurrency: 2, in_flight: 0 });
+  });
+
+  test('Rejects unknown plan tiers', () => {
+    expect(() => new RequestScheduler({ tier: 'platinum' })).toThrow('Unknown plan tier');
+  });
+});
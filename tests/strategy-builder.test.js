@@ -0,0 +1,266 @@
+import {
+  buildCustomStrategy,
+  classifyLegs,
+  rankStrategies,
+  generateBullPutSpreads,
+  generateBearCallSpreads,
+  generateButterflies,
+  generateIronButterflies,
+  generateBrokenWingButterflies,
+  generateStraddles,
+  generateStrangles,
+  generateRatioSpreads,
+  generateDiagonalSpreads,
+  generateStrategies,
+  STRATEGY_TYPES,
+  STRATEGIES_BY_OUTLOOK
+} from '../src/strategy-builder.js';
+import { calculateSpreadPnL } from '../src/pnl-calculator.js';
+import { calculateGreeks } from '../src/option-pricing.js';
+
+describe('Strategy Builder', () => {
+  const asOf = new Date('2025-01-02T20:00:00Z');
+  const expiration = '2025-02-21';
+  const options = { as_of: asOf, iv: 0.25 };
+
+  describe('buildCustomStrategy', () => {
+    test('Bull call spread has capped profit and risk', () => {
+      const strategy = buildCustomStrategy([
+        { action: 'buy', type: 'call', strike: 100, expiration, price: 4 },
+        { action: 'sell', type: 'call', strike: 110, expiration, price: 1.5 }
+      ], 100, options);
+
+      expect(strategy.type).toBe('bull_call_spread');
+      expect(strategy.net_debit).toBe(2.5);
+      expect(strategy.max_profit).toBe(7.5);
+      expect(strategy.max_risk).toBe(2.5);
+      expect(strategy.risk_reward).toBe(3);
+      expect(strategy.breakeven).toBe(102.5);
+      expect(strategy.unlimited_profit).toBe(false);
+      expect(strategy.unlimited_risk).toBe(false);
+      expect(strategy.probability_method).toBe('lognormal');
+      expect(strategy.probability_profit).toBeGreaterThan(0.2);
+      expect(strategy.probability_profit).toBeLessThan(0.6);
+    });
+
+    test('Broken-wing butterfly with ratio quantities', () => {
+      const strategy = buildCustomStrategy([
+        { action: 'buy', type: 'call', strike: 100, expiration, price: 5 },
+        { action: 'sell', type: 'call', strike: 105, expiration, price: 3, quantity: 2 },
+        { action: 'buy', type: 'call', strike: 115, expiration, price: 0.8 }
+      ], 100, options);
+
+      expect(strategy.type).toBe('broken_wing_butterfly');
+      expect(strategy.net_credit).toBeCloseTo(0.2, 5);
+      // Peak at the short strike: 5 intrinsic + 0.2 credit
+      expect(strategy.max_profit).toBeCloseTo(5.2, 2);
+      // Worst case above the long wing: 5 - 2*10 + 0 ... = -4.8
+      expect(strategy.max_risk).toBeCloseTo(4.8, 2);
+      expect(strategy.payoff_at_strikes.find(p => p.price === 105).pnl).toBeCloseTo(5.2, 2);
+    });
+
+    test('Short strangle flags unlimited risk and finds both breakevens', () => {
+      const strategy = buildCustomStrategy([
+        { action: 'sell', type: 'put', strike: 90, expiration, price: 1.2 },
+        { action: 'sell', type: 'call', strike: 110, expiration, price: 1.0 }
+      ], 100, options);
+
+      expect(strategy.type).toBe('short_strangle');
+      expect(strategy.unlimited_risk).toBe(true);
+      expect(strategy.net_credit).toBe(2.2);
+      expect(strategy.max_profit).toBe(2.2);
+      expect(strategy.breakeven_lower).toBeCloseTo(87.8, 1);
+      expect(strategy.breakeven_upper).toBeCloseTo(112.2, 1);
+      expect(strategy.max_risk).toBeGreaterThan(0);
+      expect(strategy.probability_profit).toBeGreaterThan(0.5);
+    });
+
+    test('Diagonal reprices the back-month leg at the front expiration', () => {
+      const strategy = buildCustomStrategy([
+        { action: 'sell', type: 'call', strike: 105, expiration, price: 1.5, iv: 0.25 },
+        { action: 'buy', type: 'call', strike: 100, expiration: '2025-04-17', price: 6, iv: 0.25 }
+      ], 100, options);
+
+      expect(strategy.type).toBe('call_diagonal');
+      expect(strategy.expiration).toBe(expiration);
+      expect(strategy.net_debit).toBe(4.5);
+      expect(strategy.max_risk).toBeLessThanOrEqual(4.5);
+      expect(strategy.max_profit).toBeGreaterThan(0);
+    });
+
+    test('Rejects malformed legs', () => {
+      expect(() => buildCustomStrategy([], 100)).toThrow('at least one leg');
+      expect(() => buildCustomStrategy([{ action: 'hold', type: 'call', strike: 100, expiration, price: 1 }], 100))
+        .toThrow('action must be');
+      expect(() => buildCustomStrategy([{ action: 'buy', type: 'call', expiration, price: 1 }], 100))
+        .toThrow('need strike and expiration');
+    });
+
+    test('Custom strategies can be ranked with generated ones', () => {
+      const strategy = buildCustomStrategy([
+        { action: 'buy', type: 'call', strike: 100, expiration, price: 4, volume: 500 },
+        { action: 'sell', type: 'call', strike: 110, expiration, price: 1.5, volume: 500 }
+      ], 100, options);
+
+      const ranked = rankStrategies([strategy], { minRewardRatio: 1, minProbProfit: 0.1 });
+      expect(ranked).toHaveLength(1);
+      expect(ranked[0].score).toBeDefined();
+    });
+  });
+
+  describe('classifyLegs', () => {
+    const leg = (action, type, strike, quantity = 1, exp = expiration) =>
+      ({ action, type, strike, quantity, expiration: exp, sign: action === 'buy' ? 1 : -1 });
+
+    test('Recognizes common structures', () => {
+      expect(classifyLegs([leg('buy', 'call', 100), leg('buy', 'put', 100)])).toBe('long_straddle');
+      expect(classifyLegs([leg('sell', 'put', 95), leg('buy', 'put', 90)])).toBe('bull_put_spread');
+      expect(classifyLegs([leg('buy', 'call', 100), leg('sell', 'call', 105, 2)])).toBe('call_ratio_spread');
+      expect(classifyLegs([
+        leg('buy', 'put', 90), leg('sell', 'put', 100), leg('sell', 'call', 100), leg('buy', 'call', 110)
+      ])).toBe('iron_butterfly');
+      expect(classifyLegs([
+        leg('sell', 'put', 95), leg('sell', 'call', 105), leg('buy', 'call', 110)
+      ])).toBe('jade_lizard');
+      expect(classifyLegs([leg('sell', 'call', 100), leg('buy', 'call', 100, 1, '2025-03-21')])).toBe('calendar_spread');
+      expect(classifyLegs([{ action: 'buy', type: 'stock', quantity: 1, sign: 1 }, leg('sell', 'call', 110)])).toBe('covered_call');
+    });
+  });
+
+  describe('Generated structures', () => {
+    const spot = 100;
+    const dateIn = (days) => new Date(Date.now() + days * 86400000).toISOString().split('T')[0];
+    const near = dateIn(45);
+    const far = dateIn(80);
+
+    // Flat-vol chain priced with the model so deltas and premiums agree
+    const buildChain = (expiration, days) => {
+      const side = (type) => [80, 85, 90, 95, 100, 105, 110, 115, 120].map(strike => {
+        const greeks = calculateGreeks({
+          type, spot, strike, time: days / 365, volatility: 0.25, rate: 0.045, style: 'european'
+        });
+        return {
+          type,
+          strike,
+          expiration,
+          implied_volatility: 0.25,
+          price: { last: parseFloat(greeks.price.toFixed(2)), volume: 200, open_interest: 1000 },
+          greeks: { delta: greeks.delta }
+        };
+      });
+      return { calls: side('call'), puts: side('put') };
+    };
+    const chain = buildChain(near, 45);
+    const byExpiration = { [near]: chain, [far]: buildChain(far, 80) };
+
+    test('Long butterflies peak at the body and lose the debit outside the wings', () => {
+      const flies = generateButterflies(chain.calls, spot, 'long');
+      const fly = flies.find(s => s.strategy_name.startsWith('95/100/105'));
+
+      expect(fly.type).toBe('long_butterfly');
+      expect(fly.legs[1].quantity).toBe(2);
+      expect(fly.max_profit).toBeCloseTo(5 - fly.net_debit, 2);
+      expect(fly.max_risk).toBe(fly.net_debit);
+      expect(fly.breakeven_lower).toBeCloseTo(95 + fly.net_debit, 2);
+      expect(fly.breakeven_upper).toBeCloseTo(105 - fly.net_debit, 2);
+      expect(fly.probability_profit).toBeGreaterThan(0);
+      expect(fly.probability_profit).toBeLessThan(0.5);
+
+      // Ratio legs are honored by the P&L calculator
+      expect(calculateSpreadPnL(fly, 100).total_pnl).toBeCloseTo(fly.max_profit * 100, 0);
+      expect(calculateSpreadPnL(fly, 120).total_pnl).toBeCloseTo(-fly.max_risk * 100, 0);
+
+      const shortFly = generateButterflies(chain.calls, spot, 'short')[0];
+      expect(shortFly.type).toBe('short_butterfly');
+      expect(shortFly.net_credit).toBeGreaterThan(0);
+    });
+
+    test('Credit spreads collect premium with POP above the short strike probability', () => {
+      const bullPut = generateBullPutSpreads(chain.puts, spot).find(s => s.strategy_name === '90/95 Bull Put Spread');
+      const shortPut = chain.puts.find(p => p.strike === 95);
+
+      expect(bullPut.net_credit).toBeCloseTo(shortPut.price.last - chain.puts.find(p => p.strike === 90).price.last, 2);
+      expect(bullPut.max_profit).toBe(bullPut.net_credit);
+      expect(bullPut.max_risk).toBeCloseTo(5 - bullPut.net_credit, 2);
+      expect(bullPut.breakeven).toBeCloseTo(95 - bullPut.net_credit, 2);
+      expect(bullPut.probability_profit).toBeGreaterThan(1 - Math.abs(shortPut.greeks.delta));
+
+      const bearCall = generateBearCallSpreads(chain.calls, spot)[0];
+      expect(bearCall.type).toBe('bear_call_spread');
+      expect(bearCall.breakeven).toBeGreaterThan(bearCall.legs[0].strike);
+    });
+
+    test('Straddles, strangles and ratio spreads report unlimited sides', () => {
+      const straddle = generateStraddles(chain.calls, chain.puts, spot, 'long')[0];
+      expect(straddle.type).toBe('long_straddle');
+      expect(straddle.unlimited_profit).toBe(true);
+      expect(straddle.max_risk).toBe(straddle.net_debit);
+      expect(straddle.breakeven_lower).toBeCloseTo(100 - straddle.net_debit, 2);
+      expect(straddle.breakeven_upper).toBeCloseTo(100 + straddle.net_debit, 2);
+
+      const strangle = generateStrangles(chain.calls, chain.puts, spot, 'short')[0];
+      expect(strangle.type).toBe('short_strangle');
+      expect(strangle.unlimited_risk).toBe(true);
+      expect(strangle.profit_range).toBeDefined();
+      expect(strangle.probability_profit).toBeGreaterThan(0.5);
+
+      const ratio = generateRatioSpreads(chain.puts, spot, 'put')[0];
+      expect(ratio.type).toBe('put_ratio_spread');
+      expect(ratio.legs[1].quantity).toBe(2);
+      expect(ratio.unlimited_risk).toBe(false);
+      expect(ratio.max_risk).toBeGreaterThan(0);
+    });
+
+    test('Iron and broken-wing butterflies have the expected shape', () => {
+      const ironFly = generateIronButterflies(chain.calls, chain.puts, spot)[0];
+      expect(ironFly.type).toBe('iron_butterfly');
+      expect(ironFly.net_credit).toBe(ironFly.max_profit);
+      expect(ironFly.legs[1].strike).toBe(ironFly.legs[2].strike);
+
+      const bwb = generateBrokenWingButterflies(chain.calls, spot, 'call')[0];
+      const [lower, body, upper] = bwb.legs.map(leg => leg.strike);
+      expect(bwb.type).toBe('broken_wing_butterfly');
+      expect(upper - body).toBe(2 * (body - lower));
+      expect(classifyLegs(bwb.legs.map(leg => ({ ...leg, expiration: near, sign: leg.action === 'buy' ? 1 : -1 }))))
+        .toBe('broken_wing_butterfly');
+    });
+
+    test('Diagonals sell the near month and buy the next strike toward the money', () => {
+      const diagonal = generateDiagonalSpreads(byExpiration, spot, 'call')[0];
+      const [shortLeg, longLeg] = diagonal.legs;
+
+      expect(diagonal.type).toBe('call_diagonal');
+      expect(shortLeg.expiration).toBe(near);
+      expect(longLeg.expiration).toBe(far);
+      expect(longLeg.strike).toBeLessThan(shortLeg.strike);
+      expect(diagonal.max_risk).toBeLessThanOrEqual(diagonal.net_debit);
+    });
+
+    test('Calendar and diagonal days to expiry count from the valuation date', () => {
+      const asOfNear = new Date(new Date(near).getTime() - 7 * 86400000);
+      const candidates = generateStrategies(byExpiration, spot, ['calendar_spread', 'call_diagonal'], { as_of: asOfNear });
+
+      ['calendar_spread', 'call_diagonal'].forEach(type => {
+        const strategy = candidates.find(s => s.type === type);
+        expect(strategy.legs.map(leg => leg.days_to_expiry)).toEqual([7, 42]);
+      });
+    });
+
+    test('generateStrategies covers every type and feeds rankStrategies', () => {
+      const candidates = generateStrategies(byExpiration, spot, STRATEGY_TYPES);
+      const types = new Set(candidates.map(s => s.type));
+
+      STRATEGY_TYPES.forEach(type => expect(types.has(type)).toBe(true));
+      Object.values(STRATEGIES_BY_OUTLOOK).flat().forEach(type => expect(STRATEGY_TYPES).toContain(type));
+      candidates.forEach(s => {
+        expect(s.max_risk).toBeGreaterThan(0);
+        expect(s.probability_profit).toBeGreaterThanOrEqual(0);
+        expect(s.probability_profit).toBeLessThanOrEqual(1);
+      });
+
+      const ranked = rankStrategies(candidates, { minRewardRatio: 0, minProbProfit: 0 });
+      expect(ranked).toHaveLength(candidates.length);
+      expect(() => generateStrategies(byExpiration, spot, ['poor_mans_covered_call'])).toThrow('Unknown strategy type');
+    });
+  });
+});
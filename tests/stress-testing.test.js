@@ -0,0 +1,157 @@
+import {
+  runFullRevaluationStressTest,
+  runStressTest,
+  STRESS_SCENARIOS
+} from '../src/stress-testing.js';
+import { calculateFullRevaluationPnL } from '../src/portfolio-greeks.js';
+import { priceOption, yearsToExpiration } from '../src/option-pricing.js';
+
+describe('Full-Revaluation Stress Testing', () => {
+  const asOf = new Date('2025-01-02T20:00:00Z');
+  const expiration = '2025-02-21';
+
+  const shortStrangle = {
+    id: 'strangle',
+    symbol: 'SPY',
+    contracts: 2,
+    legs: [
+      { action: 'sell', type: 'put', strike: 90, expiration, iv: 0.25 },
+      { action: 'sell', type: 'call', strike: 110, expiration, iv: 0.2 }
+    ]
+  };
+
+  test('Reprices each leg under the shocked spot, IV and date', () => {
+    const position = {
+      symbol: 'AAPL',
+      contracts: 1,
+      legs: [{ action: 'buy', type: 'call', strike: 100, expiration, iv: 0.3 }]
+    };
+
+    const result = calculateFullRevaluationPnL([position], {
+      price_move_pct: 0.1,
+      iv_change_pts: -5,
+      days_forward: 7
+    }, { underlying_price: 100, as_of: asOf });
+
+    const base = { type: 'call', strike: 100, rate: 0.045, dividendYield: 0, style: 'american' };
+    const before = priceOption({ ...base, spot: 100, volatility: 0.3, time: yearsToExpiration(expiration, asOf) });
+    const later = new Date(asOf.getTime() + 7 * 24 * 60 * 60 * 1000);
+    const after = priceOption({ ...base, spot: 110, volatility: 0.25, time: yearsToExpiration(expiration, later) });
+
+    expect(result.full_revaluation_pnl).toBeCloseTo((after - before) * 100, 1);
+    expect(result.legs_repriced).toBe(1);
+  });
+
+  test('Reports the Greek approximation error for a short-gamma crash', () => {
+    const result = calculateFullRevaluationPnL([shortStrangle], STRESS_SCENARIOS.MARKET_CRASH_SEVERE, {
+      underlying_price: 100,
+      as_of: asOf
+    });
+
+    expect(result.full_revaluation_pnl).toBeLessThan(0);
+    expect(result.approximation_error).toBeCloseTo(
+      result.greek_estimated_pnl - result.full_revaluation_pnl, 1
+    );
+    expect(result.positions[0].position_id).toBe('strangle');
+  });
+
+  test('Greek and full-revaluation P&L agree to first order on a pure vol shock', () => {
+    const straddle = {
+      symbol: 'AAPL',
+      contracts: 1,
+      legs: [
+        { action: 'buy', type: 'call', strike: 100, expiration, iv: 0.3 },
+        { action: 'buy', type: 'put', strike: 100, expiration, iv: 0.3 }
+      ]
+    };
+    const result = calculateFullRevaluationPnL([straddle], { iv_change_pts: 1 }, { underlying_price: 100, as_of: asOf });
+
+    expect(result.full_revaluation_pnl).toBeGreaterThan(20);
+    expect(Math.abs(result.approximation_error_pct)).toBeLessThan(2);
+
+    const tenPoints = runFullRevaluationStressTest([straddle], [{ name: 'Vol Spike', iv_change_pts: 10 }],
+      { underlying_price: 100, as_of: asOf });
+    expect(Math.abs(tenPoints.scenarios[0].approximation_error_pct)).toBeLessThan(5);
+    expect(tenPoints.recommendations.map(r => r.type)).not.toContain('CONVEXITY_RISK');
+  });
+
+  test('P&L runs from the quoted mid and reports the model mismatch', () => {
+    const time = yearsToExpiration(expiration, asOf);
+    const base = { type: 'call', strike: 100, rate: 0.045, dividendYield: 0, style: 'american', time };
+    const model = priceOption({ ...base, spot: 100, volatility: 0.3 });
+    const position = {
+      symbol: 'AAPL',
+      contracts: 1,
+      legs: [{ action: 'buy', type: 'call', strike: 100, expiration, iv: 0.3, bid: model - 0.6, ask: model - 0.2 }]
+    };
+
+    // Unshocked, the long call is worth $40 more on the model than at the mid
+    const flat = calculateFullRevaluationPnL([position], {}, { underlying_price: 100, as_of: asOf });
+    expect(flat.full_revaluation_pnl).toBeCloseTo(40, 1);
+    expect(flat.model_vs_market).toBeCloseTo(40, 1);
+    expect(flat.positions[0].model_vs_market).toBeCloseTo(40, 1);
+    expect(flat.approximation_error).toBeCloseTo(0, 1);
+    expect(flat.base_note).toContain('market prices');
+
+    const up = calculateFullRevaluationPnL([position], { price_move_pct: 0.05 }, { underlying_price: 100, as_of: asOf });
+    const after = priceOption({ ...base, spot: 105, volatility: 0.3 });
+    expect(up.full_revaluation_pnl).toBeCloseTo((after - (model - 0.4)) * 100, 1);
+
+    // Without a quote the model price is the base
+    const unquoted = calculateFullRevaluationPnL([{ ...position, legs: [{ ...position.legs[0], bid: null, ask: null }] }], {},
+      { underlying_price: 100, as_of: asOf });
+    expect(unquoted.full_revaluation_pnl).toBeCloseTo(0, 2);
+    expect(unquoted.model_vs_market).toBe(0);
+    expect(unquoted.base_note).toBeUndefined();
+  });
+
+  test('Runs predefined and custom scenarios with worst case first', () => {
+    const result = runFullRevaluationStressTest([shortStrangle], [
+      'MARKET_CRASH_SEVERE',
+      'SIDEWAYS',
+      { name: 'Gap Up', price_move_pct: 0.08, iv_change_pts: 5 }
+    ], { underlying_price: 100, as_of: asOf });
+
+    expect(result.mode).toBe('full_revaluation');
+    expect(result.total_scenarios_tested).toBe(3);
+    expect(result.worst_case.scenario).toBe('Market Crash (Severe)');
+    expect(result.scenarios.map(s => s.scenario)).toContain('Gap Up');
+    expect(result.scenarios.find(s => s.scenario === 'Sideways Grind').estimated_pnl).toBeGreaterThan(0);
+    expect(result.current_greeks.net_gamma).toBeLessThan(0);
+    expect(result.approximation_quality.mean_absolute_error).toBeGreaterThanOrEqual(0);
+  });
+
+  test('Solves IV from leg price and reports legs it cannot price', () => {
+    const price = priceOption({
+      type: 'put', spot: 100, strike: 95, volatility: 0.3, rate: 0.045, dividendYield: 0,
+      time: yearsToExpiration(expiration, asOf)
+    });
+
+    const result = runFullRevaluationStressTest([{
+      symbol: 'QQQ',
+      legs: [
+        { action: 'buy', type: 'put', strike: 95, expiration, price },
+        { action: 'buy', type: 'put', strike: 90, expiration }
+      ]
+    }], ['FLASH_CRASH'], { underlying_price: 100, as_of: asOf });
+
+    expect(result.legs_repriced).toBe(1);
+    expect(result.skipped_legs).toHaveLength(1);
+    expect(result.scenarios[0].estimated_pnl).toBeGreaterThan(0);
+  });
+
+  test('Throws when no leg can be priced', () => {
+    expect(() => runFullRevaluationStressTest([{ symbol: 'SPY', legs: [] }], null, { underlying_price: 100 }))
+      .toThrow('No legs could be priced');
+  });
+
+  test('Greek stress test accepts custom scenario objects with missing fields', () => {
+    const result = runStressTest(
+      { net_delta: 100, net_gamma: 0, net_theta: 0, net_vega: 0 },
+      [{ name: 'Drop', price_move_pct: -0.1 }],
+      { underlying_price: 50 }
+    );
+
+    expect(result.scenarios[0].estimated_pnl).toBe(-500);
+  });
+});
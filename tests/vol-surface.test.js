@@ -0,0 +1,132 @@
+import {
+  sviTotalVariance,
+  sviButterflyDensity,
+  fitSVISlice,
+  ssviTotalVariance,
+  monotoneTotalVariance,
+  buildVolSurface,
+  surfaceIV,
+  surfaceIVAtDelta,
+  surfaceResiduals,
+  summarizeSurface
+} from '../src/vol-surface.js';
+import { yearsToExpiration } from '../src/option-pricing.js';
+
+const AS_OF = '2024-06-03T15:00:00Z';
+const SPOT = 100;
+const RATE = 0.045;
+const TRUE_SSVI = { rho: -0.6, eta: 1.0, gamma: 0.4 };
+
+// Chain snapshot priced off a known SSVI surface (ATM vol 20%), strikes every 2.5
+function makeChain(expirations, bump = () => 0) {
+  const data = {};
+  expirations.forEach(expiration => {
+    const T = yearsToExpiration(expiration, new Date(AS_OF));
+    const forward = SPOT * Math.exp(RATE * T);
+    const theta = 0.04 * T;
+    const calls = [];
+    const puts = [];
+    for (let strike = 60; strike <= 140; strike += 2.5) {
+      const k = Math.log(strike / forward);
+      const iv = Math.sqrt(ssviTotalVariance(TRUE_SSVI, theta, k) / T);
+      ['call', 'put'].forEach(type => {
+        const ticker = `O:TEST${expiration.replace(/-/g, '').slice(2)}${type[0].toUpperCase()}${strike}`;
+        const contract = {
+          ticker, type, strike,
+          implied_volatility: iv + bump(ticker),
+          price: { open_interest: 100 }
+        };
+        (type === 'call' ? calls : puts).push(contract);
+      });
+    }
+    data[expiration] = { calls, puts };
+  });
+  return { underlying: { price: SPOT }, snapshot_time: AS_OF, data };
+}
+
+describe('Volatility Surface', () => {
+  test('SVI fit recovers a known smile without butterfly arbitrage', () => {
+    const truth = { a: 0.01, b: 0.1, rho: -0.4, m: 0.02, sigma: 0.15 };
+    const points = [];
+    for (let k = -0.4; k <= 0.3001; k += 0.05) {
+      points.push({ k, w: sviTotalVariance(truth, k), weight: 1 });
+    }
+
+    const fit = fitSVISlice(points, 0.5);
+    expect(fit.rmse_iv).toBeLessThan(0.001);
+    expect(fit.butterfly_arbitrage_free).toBe(true);
+    points.forEach(p => {
+      expect(sviTotalVariance(fit.params, p.k)).toBeCloseTo(p.w, 4);
+    });
+  });
+
+  test('Butterfly density flags an arbitrageable slice', () => {
+    // Steep wings with almost no curvature at the money break Durrleman's condition
+    const bad = { a: -0.05, b: 0.9, rho: -0.95, m: 0, sigma: 0.02 };
+    const ks = [-0.3, -0.2, -0.1, 0, 0.1, 0.2];
+    expect(Math.min(...ks.map(k => sviButterflyDensity(bad, k)))).toBeLessThan(0);
+  });
+
+  test('ATM total variance is made non-decreasing', () => {
+    expect(monotoneTotalVariance([0.01, 0.03, 0.02, 0.05])).toEqual([0.01, 0.025, 0.025, 0.05]);
+    expect(monotoneTotalVariance([0.01, 0.02])).toEqual([0.01, 0.02]);
+  });
+
+  test('Surface reproduces the generating SSVI and answers strike/delta queries', () => {
+    const surface = buildVolSurface(makeChain(['2024-06-21', '2024-07-19', '2024-09-20']), { as_of: AS_OF });
+
+    expect(surface.slices).toHaveLength(3);
+    expect(surface.arbitrage.svi_arbitrage_free).toBe(true);
+    expect(surface.query_model).toBe('svi');
+    expect(surface.ssvi.rmse_iv).toBeLessThan(0.005);
+
+    // ATM forward vol is 20% at every maturity, including between slices
+    expect(surfaceIV(surface, { k: 0, dte: 30 }).iv).toBeCloseTo(0.2, 2);
+    expect(surfaceIV(surface, { k: 0, dte: 30, model: 'ssvi' }).iv).toBeCloseTo(0.2, 2);
+
+    const T = yearsToExpiration('2024-07-19', new Date(AS_OF));
+    const truth = Math.sqrt(ssviTotalVariance(TRUE_SSVI, 0.04 * T, Math.log(90 / (SPOT * Math.exp(RATE * T)))) / T);
+    expect(surfaceIV(surface, { strike: 90, expiration: '2024-07-19' }).iv).toBeCloseTo(truth, 2);
+
+    // Negative rho: 25-delta puts trade over 25-delta calls
+    const put = surfaceIVAtDelta(surface, { delta: 0.25, type: 'put', expiration: '2024-07-19' });
+    const call = surfaceIVAtDelta(surface, { delta: 0.25, type: 'call', expiration: '2024-07-19' });
+    expect(put.delta).toBeCloseTo(-0.25, 3);
+    expect(call.delta).toBeCloseTo(0.25, 3);
+    expect(put.strike).toBeLessThan(SPOT);
+    expect(put.iv).toBeGreaterThan(call.iv);
+
+    const summary = summarizeSurface(surface);
+    expect(summary.slices[1].skew_25d).toBeGreaterThan(0);
+    expect(summary.ssvi.eta * (1 + Math.abs(summary.ssvi.rho))).toBeLessThanOrEqual(2);
+  });
+
+  test('Residuals flag contracts bumped off the surface', () => {
+    const bumps = { 'O:TEST240719P90': 0.03, 'O:TEST240719C110': -0.03 };
+    const chain = makeChain(['2024-06-21', '2024-07-19', '2024-09-20'], ticker => bumps[ticker] || 0);
+    const residuals = surfaceResiduals(buildVolSurface(chain, { as_of: AS_OF }));
+
+    expect(residuals.rich.map(r => r.ticker)).toContain('O:TEST240719P90');
+    expect(residuals.cheap.map(r => r.ticker)).toContain('O:TEST240719C110');
+    expect(residuals.rich[0].residual).toBeGreaterThan(0.02);
+    expect(residuals.by_expiration).toHaveLength(3);
+  });
+
+  test('Falls back to SSVI when SVI slices cross in maturity', () => {
+    // The far expiration is quoted far below the near one: calendar arbitrage
+    const chain = makeChain(['2024-06-21', '2024-07-19']);
+    chain.data['2024-07-19'].calls.forEach(c => { c.implied_volatility *= 0.5; });
+    chain.data['2024-07-19'].puts.forEach(p => { p.implied_volatility *= 0.5; });
+    const surface = buildVolSurface(chain, { as_of: AS_OF });
+
+    expect(surface.arbitrage.calendar_violations.length).toBeGreaterThan(0);
+    expect(surface.arbitrage.atm_variance_adjusted).toBe(true);
+    expect(surface.query_model).toBe('ssvi');
+    expect(() => buildVolSurface(chain, { as_of: AS_OF, model: 'local' })).toThrow('Unknown surface model');
+  });
+
+  test('Rejects chains without usable slices', () => {
+    expect(() => buildVolSurface({ underlying: { price: 100 }, data: {} })).toThrow('No expiration');
+    expect(() => buildVolSurface({ data: {} })).toThrow('no underlying price');
+  });
+});